@@ -0,0 +1,213 @@
+/**
+ * Property-Based Tests for Ability Scores and Skills
+ * Feature: siege-of-neverwinter
+ * Tests the proficiency bonus, saving throws, skill bonuses and passive scores
+ * worked out from a character's ability scores, and the saves stored from them
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant } = require('../server/models');
+const Abilities = require('../shared/abilities');
+const { validateAbilities } = require('../server/utils/abilities');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-death-saves.sql', 'add-concentration.sql', 'add-hit-dice.sql', 'add-ability-scores.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Abilities') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+// Generators
+const scoreArb = fc.integer({ min: 1, max: 30 });
+const scoresArb = fc.record({
+  stat_str: scoreArb,
+  stat_dex: scoreArb,
+  stat_con: scoreArb,
+  stat_int: scoreArb,
+  stat_wis: scoreArb,
+  stat_cha: scoreArb
+});
+const skillNames = Object.keys(Abilities.SKILLS);
+
+// Property Tests
+
+describe('Ability Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 74: Skill bonuses add the proficiency bonus once, or twice with expertise
+   *
+   * For any scores, level and proficiencies, every save and skill is its ability
+   * modifier plus the level's proficiency bonus when proficient (twice with
+   * expertise), and passive scores are 10 plus the skill bonus
+   */
+  test('Property 74: Skill bonuses add the proficiency bonus once, or twice with expertise', () => {
+    fc.assert(
+      fc.property(
+        scoresArb,
+        fc.integer({ min: 1, max: 20 }),
+        fc.subarray(Abilities.ABILITIES),
+        fc.subarray(skillNames),
+        fc.subarray(skillNames),
+        (scores, level, saveProficiencies, skillProficiencies, skillExpertise) => {
+          const character = {
+            ...scores,
+            level,
+            save_proficiencies: saveProficiencies,
+            skill_proficiencies: skillProficiencies,
+            skill_expertise: skillExpertise
+          };
+          const sheet = Abilities.sheet(character);
+          const bonus = [2, 3, 4, 5, 6][Math.floor((level - 1) / 4)];
+          const modifierOf = ability => Math.floor((character[Abilities.ABILITY_COLUMNS[ability]] - 10) / 2);
+
+          expect(sheet.proficiency_bonus).toBe(bonus);
+
+          for (const ability of Abilities.ABILITIES) {
+            expect(sheet.abilities[ability].modifier).toBe(modifierOf(ability));
+            expect(sheet.abilities[ability].save).toBe(
+              modifierOf(ability) + (saveProficiencies.includes(ability) ? bonus : 0)
+            );
+          }
+
+          for (const skill of skillNames) {
+            const multiplier = skillExpertise.includes(skill) ? 2 : skillProficiencies.includes(skill) ? 1 : 0;
+            expect(sheet.skills[skill].bonus).toBe(modifierOf(Abilities.SKILLS[skill]) + bonus * multiplier);
+            expect(sheet.skills[skill].proficient).toBe(multiplier > 0);
+          }
+
+          for (const skill of Abilities.PASSIVE_SKILLS) {
+            expect(sheet.passive[skill]).toBe(10 + sheet.skills[skill].bonus);
+          }
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 75: Stored saves follow the ability scores
+   *
+   * For any scores, level and save proficiencies, syncing a character writes
+   * the saving throws worked out from them, and the sheet reads them back
+   */
+  test('Property 75: Stored saves follow the ability scores', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const character = await Combatant.create(testCampaignId, {
+      name: 'Ability Test Ranger',
+      type: 'PC',
+      initiative: 10,
+      ac: 15,
+      current_hp: 30,
+      max_hp: 30,
+      character_class: 'Ranger',
+      level: 1
+    });
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          scoresArb,
+          fc.integer({ min: 1, max: 20 }),
+          fc.subarray(Abilities.ABILITIES),
+          async (scores, level, saveProficiencies) => {
+            const updated = await Combatant.update(character.id, { ...scores, level, save_proficiencies: saveProficiencies });
+            const synced = await Combatant.syncSaves(updated);
+            const expected = Abilities.saves(synced);
+
+            for (const ability of Abilities.ABILITIES) {
+              expect(synced[`save_${ability}`]).toBe(expected[ability]);
+            }
+
+            const { sheet } = await Combatant.getSheet(character.id);
+            expect(sheet.proficiency_bonus).toBe(Abilities.proficiencyBonus(level));
+            expect(sheet.abilities.wisdom.save).toBe(synced.save_wisdom);
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(character.id);
+    }
+  });
+
+  /**
+   * Characters without all six scores keep their own saves and have no sheet
+   */
+  test('Characters without all six scores keep their own saves', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const created = await Combatant.create(testCampaignId, {
+      name: 'Ability Test Bard',
+      type: 'PC',
+      initiative: 12,
+      ac: 13,
+      current_hp: 20,
+      max_hp: 20,
+      character_class: 'Bard',
+      level: 3
+    });
+
+    try {
+      const partial = await Combatant.update(created.id, { stat_dex: 16, stat_cha: 18, save_dexterity: 7 });
+      expect((await Combatant.syncSaves(partial)).save_dexterity).toBe(7);
+      expect((await Combatant.getSheet(created.id)).sheet).toBeNull();
+      expect(await Combatant.getSheet(-1)).toBeNull();
+    } finally {
+      await Combatant.delete(created.id);
+    }
+  });
+
+  /**
+   * Ability fields are normalized and checked before they are stored
+   */
+  test('Ability fields are validated and normalized', () => {
+    expect(validateAbilities({ stat_str: 16, stat_dex: null, skill_proficiencies: 'Sleight of Hand, stealth' })).toEqual({
+      valid: true,
+      value: { stat_str: 16, stat_dex: null, skill_proficiencies: ['sleight_of_hand', 'stealth'] }
+    });
+    expect(validateAbilities({ save_proficiencies: ['Wisdom', 'wisdom'] }).value).toEqual({ save_proficiencies: ['wisdom'] });
+    expect(validateAbilities({ stat_str: 31 }).valid).toBe(false);
+    expect(validateAbilities({ skill_expertise: ['basket_weaving'] }).valid).toBe(false);
+    expect(validateAbilities({}).value).toEqual({});
+  });
+});
@@ -0,0 +1,728 @@
+/**
+ * Property-Based Tests for Attack Resolution
+ * Feature: siege-of-neverwinter
+ * Tests to-hit rolls against AC, critical hits, damage defenses, damage application,
+ * temporary hit points, death saving throws, condition modifiers, concentration
+ * and group saving throws
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Monster, Combat, CombatLog, Condition, Concentration } = require('../server/models');
+const Dice = require('../shared/dice');
+const { DAMAGE_TYPES, adjustDamage } = require('../server/utils/damage');
+const HitPoints = require('../server/utils/hitPoints');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    // Attacks are recorded in the combat log and adjusted for damage defenses
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql', 'add-damage-types.sql', 'add-death-saves.sql', 'add-condition-durations.sql', 'add-concentration.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Combat') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+// Generators for property-based testing
+
+/**
+ * Attacks covering negative, small and large to-hit bonuses
+ */
+const TEST_ATTACKS = [
+  { name: 'Bite', bonus: -2, damage: '1d4', type: 'piercing' },
+  { name: 'Claw', bonus: 3, damage: '1d6+2', type: 'slashing' },
+  { name: 'Scimitar', bonus: 5, damage: '2d8+4', type: 'slashing' },
+  { name: 'Fire Bolt', bonus: 12, damage: '3d10+5', type: 'fire' }
+];
+
+/**
+ * Create a monster instance with the given attacks
+ */
+async function createAttacker(attacks) {
+  const monster = await Monster.create(testCampaignId, {
+    name: 'Attack Test Orc',
+    ac: 13,
+    hp_formula: '2d8+6',
+    attacks
+  });
+  const { combatant: attacker } = await Monster.createInstance(monster.id, 'Attack Test Orc 1', 10);
+  return { monster, attacker };
+}
+
+async function createTarget(ac, hp) {
+  return await Combatant.create(testCampaignId, {
+    name: 'Attack Test Target',
+    type: 'PC',
+    initiative: 12,
+    ac,
+    current_hp: hp,
+    max_hp: hp
+  });
+}
+
+async function removeAttacker({ monster, attacker }) {
+  await Combatant.delete(attacker.id);
+  await Monster.delete(monster.id);
+}
+
+// Property Tests
+
+describe('Attack Resolution Properties', () => {
+
+  /**
+   * Feature: siege-of-neverwinter, Property 60: Attacks hit exactly when the roll meets AC
+   *
+   * For any attack and target, the attack hits if and only if the natural roll is 20,
+   * or it is not 1 and the total meets the target's AC; on a hit the target loses
+   * the rolled damage (never below 0 HP), on a miss its HP is unchanged
+   */
+  test('Property 60: Attacks hit exactly when the roll meets AC', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fight = await createAttacker(TEST_ATTACKS);
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: TEST_ATTACKS.length - 1 }),
+          fc.integer({ min: 5, max: 25 }),
+          fc.integer({ min: 1, max: 40 }),
+          fc.integer(),
+          async (attackIndex, targetAc, targetHp, seed) => {
+            const target = await createTarget(targetAc, targetHp);
+
+            try {
+              const result = await Combat.attack({
+                attacker_id: fight.attacker.id,
+                target_id: target.id,
+                attack: attackIndex,
+                seed
+              });
+
+              const { natural, total } = result.attack_roll;
+              const expectedHit = natural === 20 || (natural !== 1 && total >= targetAc);
+              expect(result.hit).toBe(expectedHit);
+              expect(result.critical).toBe(natural === 20);
+              expect(total).toBe(natural + TEST_ATTACKS[attackIndex].bonus);
+
+              const stored = await Combatant.findById(target.id);
+              if (result.hit) {
+                expect(result.damage).toBe(Math.max(0, result.damage_roll.total));
+                expect(stored.current_hp).toBe(Math.max(0, targetHp - result.damage));
+              } else {
+                expect(result.damage).toBe(0);
+                expect(stored.current_hp).toBe(targetHp);
+              }
+              expect(result.log.new_value.hit).toBe(result.hit);
+            } finally {
+              await Combatant.delete(target.id);
+            }
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await removeAttacker(fight);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 61: Critical hits double the damage dice
+   *
+   * For any damage expression, the critical version has the same modifiers and
+   * twice the dice, so its minimum and maximum grow by exactly the dice range
+   */
+  test('Property 61: Critical hits double the damage dice', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 10 }),
+        fc.constantFrom(4, 6, 8, 10, 12),
+        fc.integer({ min: 0, max: 10 }),
+        (count, sides, bonus) => {
+          const expression = `${count}d${sides}+${bonus}`;
+          const critical = Dice.critical(expression);
+
+          expect(critical).toBe(`${count * 2}d${sides}+${bonus}`);
+          expect(Dice.max(critical) - bonus).toBe(2 * (Dice.max(expression) - bonus));
+          expect(Dice.min(critical) - bonus).toBe(2 * (Dice.min(expression) - bonus));
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 62: Damage defenses halve, zero or double damage
+   *
+   * For any damage amount and type, immunity gives 0, resistance gives half rounded
+   * down, vulnerability doubles it, and both resistance and vulnerability give
+   * double the halved amount; defenses against other types change nothing
+   */
+  test('Property 62: Damage defenses halve, zero or double damage', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 200 }),
+        fc.constantFrom(...DAMAGE_TYPES),
+        fc.constantFrom(...DAMAGE_TYPES),
+        fc.record({ immune: fc.boolean(), resistant: fc.boolean(), vulnerable: fc.boolean() }),
+        (amount, type, otherType, flags) => {
+          const defenseType = flags.immune || flags.resistant || flags.vulnerable ? type : otherType;
+          const defenses = {
+            immunities: flags.immune ? [defenseType] : [],
+            resistances: flags.resistant ? [defenseType] : [],
+            vulnerabilities: flags.vulnerable ? [defenseType] : []
+          };
+
+          let expected = amount;
+          if (flags.immune) {
+            expected = 0;
+          } else {
+            if (flags.resistant) expected = Math.floor(expected / 2);
+            if (flags.vulnerable) expected = expected * 2;
+          }
+
+          const result = adjustDamage(amount, type, defenses);
+          expect(result.base).toBe(amount);
+          expect(result.amount).toBe(expected);
+          expect(result.immune).toBe(flags.immune);
+
+          // Defenses against a different type never apply
+          if (otherType !== type) {
+            const unrelated = adjustDamage(amount, type, {
+              immunities: [otherType],
+              resistances: [otherType],
+              vulnerabilities: [otherType]
+            });
+            expect(unrelated.amount).toBe(amount);
+          }
+
+          // Untyped damage is never adjusted
+          expect(adjustDamage(amount, null, defenses).amount).toBe(amount);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Template defenses apply to monster instances, including nonmagical-only resistances
+   */
+  test('Typed damage uses the monster template defenses', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const monster = await Monster.create(testCampaignId, {
+      name: 'Damage Test Golem',
+      ac: 15,
+      hp_formula: '100',
+      resistances: ['bludgeoning, piercing, and slashing from nonmagical attacks'],
+      immunities: ['poison'],
+      vulnerabilities: ['fire']
+    });
+    const { combatant } = await Monster.createInstance(monster.id, 'Damage Test Golem 1', 10, { hp_mode: 'custom', hp: 100 });
+
+    try {
+      let result = await Combat.applyDamage({ target_id: combatant.id, amount: 15, type: 'slashing' });
+      expect(result.adjustment.amount).toBe(7);
+      expect(result.adjustment.explanation).toBe('15 slashing → 7 (resistant ÷2)');
+      expect(result.target.current_hp).toBe(93);
+
+      result = await Combat.applyDamage({ target_id: combatant.id, amount: 15, type: 'slashing', magical: true });
+      expect(result.adjustment.amount).toBe(15);
+
+      result = await Combat.applyDamage({ target_id: combatant.id, amount: 20, type: 'poison' });
+      expect(result.adjustment.immune).toBe(true);
+      expect(result.target.current_hp).toBe(78);
+
+      result = await Combat.applyDamage({ target_id: combatant.id, amount: 9, type: 'Fire' });
+      expect(result.adjustment.amount).toBe(18);
+      expect(result.target.current_hp).toBe(60);
+
+      // Combatant-level defenses are merged with the template's
+      await db.query('UPDATE combatants SET resistances = $1 WHERE id = $2', [['fire'], combatant.id]);
+      result = await Combat.applyDamage({ target_id: combatant.id, amount: 9, type: 'fire' });
+      expect(result.adjustment.amount).toBe(8);
+
+      await expect(Combat.applyDamage({ target_id: combatant.id, amount: 5, type: 'sonic' }))
+        .rejects.toThrow('Validation failed');
+      await expect(Combat.applyDamage({ target_id: combatant.id, amount: -5 }))
+        .rejects.toThrow('Validation failed');
+      expect(await Combat.applyDamage({ target_id: -1, amount: 5 })).toBeNull();
+    } finally {
+      await Combatant.delete(combatant.id);
+      await Monster.delete(monster.id);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 63: Temporary hit points absorb damage first and do not stack
+   *
+   * For any temp HP grants and damage, the temp HP is the highest grant, damage
+   * reduces temp HP before HP, and the total of HP and temp HP lost equals the
+   * damage (until both reach 0)
+   */
+  test('Property 63: Temporary hit points absorb damage first and do not stack', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('PC', 'NPC', 'Monster'),
+        fc.integer({ min: 1, max: 100 }),
+        fc.array(fc.integer({ min: 0, max: 30 }), { minLength: 1, maxLength: 4 }),
+        fc.integer({ min: 0, max: 150 }),
+        (type, maxHp, grants, damage) => {
+          let combatant = { type, max_hp: maxHp, current_hp: maxHp, temp_hp: 0 };
+          for (const grant of grants) {
+            combatant = { ...combatant, ...HitPoints.grantTempHP(combatant, grant) };
+          }
+          expect(combatant.temp_hp).toBe(Math.max(...grants));
+
+          const { changes, absorbed } = HitPoints.takeDamage(combatant, damage);
+          expect(absorbed).toBe(Math.min(combatant.temp_hp, damage));
+          expect(changes.temp_hp).toBe(combatant.temp_hp - absorbed);
+          expect(changes.current_hp).toBe(Math.max(0, maxHp - (damage - absorbed)));
+          if (changes.temp_hp > 0) {
+            expect(changes.current_hp).toBe(maxHp);
+          }
+
+          // Only a PC reduced to 0 by damage that overflows by its max HP dies outright
+          const expectDead = type === 'PC' && damage - absorbed - maxHp >= maxHp;
+          expect(changes.is_dead).toBe(expectDead);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 64: Death saves end in stability, death or revival
+   *
+   * For any sequence of death save rolls, successes and failures never exceed 3;
+   * a natural 20 revives with 1 HP, three failures (natural 1s count twice) kill,
+   * three successes stabilize, and nothing changes the PC's HP otherwise
+   */
+  test('Property 64: Death saves end in stability, death or revival', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.integer({ min: 1, max: 20 }), { minLength: 1, maxLength: 6 }),
+        (rolls) => {
+          let pc = { type: 'PC', max_hp: 20, current_hp: 0 };
+          let successes = 0;
+          let failures = 0;
+          let expected = 'dying';
+
+          for (const roll of rolls) {
+            if (expected !== 'dying') break;
+
+            const { changes, outcome } = HitPoints.deathSave(pc, roll);
+            pc = { ...pc, ...changes };
+
+            if (roll === 20) {
+              expected = 'revived';
+            } else {
+              if (roll >= 10) successes++;
+              else failures += roll === 1 ? 2 : 1;
+              if (failures >= 3) expected = 'dead';
+              else if (successes >= 3) expected = 'stable';
+            }
+
+            expect(['success', 'failure', 'revived', 'stable', 'dead']).toContain(outcome);
+            if (expected !== 'dying') expect(outcome).toBe(expected);
+          }
+
+          expect(pc.death_save_successes).toBeLessThanOrEqual(3);
+          expect(pc.death_save_failures).toBeLessThanOrEqual(3);
+          expect(pc.is_dead).toBe(expected === 'dead');
+          expect(pc.is_stable).toBe(expected === 'stable');
+          expect(pc.current_hp).toBe(expected === 'revived' ? 1 : 0);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Dropping a PC to 0 HP, hitting it while down and healing it
+   */
+  test('Damage to a downed PC fails death saves and healing resets them', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const pc = await createTarget(12, 20);
+
+    try {
+      let result = await Combat.grantTempHP({ target_id: pc.id, amount: 5 });
+      expect(result.target.temp_hp).toBe(5);
+      result = await Combat.grantTempHP({ target_id: pc.id, amount: 3 });
+      expect(result.target.temp_hp).toBe(5);
+
+      // 5 absorbed, 20 to HP: down but not dead (the 0 overflow is below max HP)
+      result = await Combat.applyDamage({ target_id: pc.id, amount: 25 });
+      expect(result.absorbed).toBe(5);
+      expect(result.target.current_hp).toBe(0);
+      expect(result.target.is_dead).toBe(false);
+
+      result = await Combat.applyDamage({ target_id: pc.id, amount: 3, critical: true });
+      expect(result.target.death_save_failures).toBe(2);
+
+      result = await Combat.deathSave(pc.id, { roll: 12 });
+      expect(result.outcome).toBe('success');
+      expect(result.target.death_save_successes).toBe(1);
+
+      result = await Combat.heal({ target_id: pc.id, amount: 4 });
+      expect(result.target.current_hp).toBe(4);
+      expect(result.target.death_save_successes).toBe(0);
+      expect(result.target.death_save_failures).toBe(0);
+
+      // Living PCs cannot make death saves
+      await expect(Combat.deathSave(pc.id, { roll: 12 })).rejects.toThrow('Validation failed');
+
+      // Massive damage: 4 HP, 24 left over is at least max HP
+      result = await Combat.applyDamage({ target_id: pc.id, amount: 28 });
+      expect(result.instant_death).toBe(true);
+      expect(result.target.is_dead).toBe(true);
+      await expect(Combat.heal({ target_id: pc.id, amount: 5 })).rejects.toThrow('Validation failed');
+
+      // Each hit point field is logged, so undo walks the PC back to life
+      await CombatLog.undo(testCampaignId, 2);
+      const restored = await Combatant.findById(pc.id);
+      expect(restored.current_hp).toBe(4);
+      expect(restored.is_dead).toBe(false);
+    } finally {
+      await Combatant.delete(pc.id);
+    }
+  });
+
+  /**
+   * Undoing an attack restores the target's HP
+   */
+  test('Undo after an attack restores the target HP', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    // +30 to hit cannot miss unless the natural roll is 1
+    const fight = await createAttacker([{ name: 'Slam', bonus: 30, damage: '2d6+3', type: 'bludgeoning' }]);
+    const target = await createTarget(10, 50);
+
+    try {
+      let result;
+      for (let seed = 0; !result || !result.hit; seed++) {
+        result = await Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id, attack: 'slam', seed });
+      }
+
+      await CombatLog.undo(testCampaignId, 1);
+      const restored = await Combatant.findById(target.id);
+      expect(restored.current_hp).toBe(50);
+    } finally {
+      await Combatant.delete(target.id);
+      await removeAttacker(fight);
+    }
+  });
+
+  /**
+   * Unknown attacks and missing fields are rejected
+   */
+  test('Invalid attacks are rejected', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fight = await createAttacker([{ name: 'Bite', bonus: 4, damage: '1d6+2', type: 'piercing' }]);
+    const target = await createTarget(12, 20);
+
+    try {
+      await expect(Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id }))
+        .rejects.toThrow('Validation failed');
+      await expect(Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id, attack: 'Tail' }))
+        .rejects.toThrow('Validation failed');
+      // Combatants without a monster template have no stored attacks
+      await expect(Combat.attack({ attacker_id: target.id, target_id: fight.attacker.id, attack: 0 }))
+        .rejects.toThrow('Validation failed');
+      expect(await Combat.attack({ attacker_id: -1, target_id: target.id, attack: 0 })).toBeNull();
+    } finally {
+      await Combatant.delete(target.id);
+      await removeAttacker(fight);
+    }
+  });
+
+  /**
+   * Conditions on the target and attacker change attack rolls and saving throws
+   */
+  test('Conditions grant advantage, critical hits and automatic save failures', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fight = await createAttacker([
+      { name: 'Claw', bonus: 5, damage: '1d6', type: 'slashing' },
+      { name: 'Spit', bonus: 5, damage: '1d6', type: 'acid', description: 'Ranged Weapon Attack: +5 to hit, range 30 ft.' }
+    ]);
+    const target = await createTarget(10, 500);
+
+    try {
+      const paralyzed = await Condition.add(target.id, { condition: 'paralyzed', save_dc: 15, save_ability: 'strength' });
+
+      for (let seed = 1; seed <= 10; seed++) {
+        const melee = await Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id, attack: 'Claw', seed });
+        expect(melee.attack_roll.mode).toBe('advantage');
+        expect(melee.critical).toBe(melee.hit);
+
+        const ranged = await Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id, attack: 'Spit', seed });
+        expect(ranged.modifiers.auto_critical).toBe(false);
+        expect(ranged.critical).toBe(ranged.attack_roll.natural === 20);
+      }
+
+      // Paralysis makes STR saves fail whatever the total
+      const save = await Condition.rollSave(target.id, paralyzed.id, { total: 30 });
+      expect(save.success).toBe(false);
+      expect(save.modifiers.auto_fail).toBe(true);
+
+      // A higher exhaustion level replaces the lower one
+      await Condition.add(target.id, { condition: 'Exhaustion' });
+      await Condition.add(target.id, { condition: 'exhaustion 3' });
+      expect(await Condition.getNames(target.id)).toEqual(['paralyzed', 'exhaustion 3']);
+
+      await Condition.add(fight.attacker.id, { condition: 'stunned' });
+      await expect(Combat.attack({ attacker_id: fight.attacker.id, target_id: target.id, attack: 'Claw' }))
+        .rejects.toThrow('incapacitated');
+    } finally {
+      await Combatant.delete(target.id);
+      await removeAttacker(fight);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 68: Concentration saves are DC 10 or half the damage
+   *
+   * For any damage, the concentration save DC is the higher of 10 and half the
+   * damage rounded down, so it never drops below 10 and grows with the damage
+   */
+  test('Property 68: Concentration saves are DC 10 or half the damage', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 500 }),
+        (damage) => {
+          const dc = Concentration.saveDC(damage);
+          expect(dc).toBeGreaterThanOrEqual(Concentration.MIN_DC);
+          expect(dc).toBe(damage < 22 ? 10 : Math.floor(damage / 2));
+          expect(Concentration.saveDC(damage + 1)).toBeGreaterThanOrEqual(dc);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Damage, 0 HP and incapacitation break concentration along with the conditions it maintains
+   */
+  test('Damage checks concentration and failing ends the linked conditions', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const caster = await createTarget(12, 40);
+    const victim = await createTarget(12, 40);
+
+    try {
+      await Concentration.start(caster.id, { spell: 'Hold Person' });
+      const held = await Condition.add(victim.id, {
+        condition: 'paralyzed',
+        source_combatant_id: caster.id,
+        concentration: true
+      });
+      expect(held.concentration).toBe(true);
+
+      // Left to the table: 30 damage is a pending DC 15 save
+      let result = await Combat.applyDamage({ target_id: caster.id, amount: 30 });
+      expect(result.concentration).toEqual({ spell: 'Hold Person', dc: 15, pending: true });
+      expect(result.target.concentration_spell).toBe('Hold Person');
+
+      await expect(Concentration.rollSave(caster.id, { dc: '12abc', total: 15 })).rejects.toThrow('DC must be a valid number');
+      await expect(Concentration.rollSave(caster.id, { dc: '10.9', total: 15 })).rejects.toThrow('DC must be an integer');
+      await expect(Concentration.rollSave(caster.id, { dc: 100, total: 15 })).rejects.toThrow('DC must be at most 99');
+      await expect(Concentration.rollSave(caster.id, { dc: 15, total: '14.5' })).rejects.toThrow('Total must be an integer');
+
+      let save = await Concentration.rollSave(caster.id, { dc: 15, total: 15 });
+      expect(save.success).toBe(true);
+      expect(save.combatant.concentration_spell).toBe('Hold Person');
+
+      save = await Concentration.rollSave(caster.id, { dc: 15, total: 14 });
+      expect(save.success).toBe(false);
+      expect(save.removed.map(c => c.id)).toEqual([held.id]);
+      expect(await Condition.getNames(victim.id)).toEqual([]);
+      expect((await Combatant.findById(caster.id)).concentration_spell).toBeNull();
+
+      // The spell and the condition it maintained are logged separately, so undoing both restores them
+      await CombatLog.undo(testCampaignId, 2);
+      expect((await Combatant.findById(caster.id)).concentration_spell).toBe('Hold Person');
+      expect(await Condition.getNames(victim.id)).toEqual(['paralyzed']);
+
+      // Dropping to 0 HP always ends concentration
+      result = await Combat.applyDamage({ target_id: caster.id, amount: 10, roll_concentration: true });
+      expect(result.target.current_hp).toBe(0);
+      expect(result.concentration.success).toBe(false);
+      expect(result.target.concentration_spell).toBeNull();
+      expect(await Condition.getNames(victim.id)).toEqual([]);
+
+      // Becoming incapacitated ends concentration too
+      await Combat.heal({ target_id: caster.id, amount: 10 });
+      await Concentration.start(caster.id, { spell: 'Bless' });
+      const stunned = await Condition.add(caster.id, { condition: 'stunned' });
+      expect(stunned.concentration_broken.spell).toBe('Bless');
+      expect((await Combatant.findById(caster.id)).concentration_spell).toBeNull();
+      await expect(Concentration.start(caster.id, { spell: 'Bless' })).rejects.toThrow('incapacitated');
+      await expect(Condition.add(victim.id, { condition: 'charmed', source_combatant_id: caster.id, concentration: true }))
+        .rejects.toThrow('not concentrating');
+    } finally {
+      await Combatant.delete(victim.id);
+      await Combatant.delete(caster.id);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 69: Saves take full, half or no damage
+   *
+   * For any damage, a failed save takes all of it and a successful save takes
+   * half rounded down (or nothing), so a success never takes more than a failure
+   */
+  test('Property 69: Saves take full, half or no damage', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 300 }),
+        fc.constantFrom(...Combat.SAVE_OUTCOMES),
+        (amount, onSuccess) => {
+          expect(Combat.saveDamage(amount, false, onSuccess)).toBe(amount);
+
+          const saved = Combat.saveDamage(amount, true, onSuccess);
+          expect(saved).toBe(onSuccess === 'none' ? 0 : Math.floor(amount / 2));
+          expect(saved * 2).toBeLessThanOrEqual(amount);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * A group save rolls each target's save with its modifiers and conditions and applies its share of the damage
+   */
+  test('Group saves apply full or half damage to each target', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fight = await createAttacker([]);
+    // +20 DEX saves cannot fail a DC 15 save, -10 saves cannot pass it
+    const nimble = await Combatant.create(testCampaignId, {
+      name: 'Group Save Rogue', type: 'PC', initiative: 10, ac: 14, current_hp: 60, max_hp: 60, save_dexterity: 20
+    });
+    const clumsy = await Combatant.create(testCampaignId, {
+      name: 'Group Save Knight', type: 'PC', initiative: 10, ac: 18, current_hp: 60, max_hp: 60, save_dexterity: -10
+    });
+    const held = await Combatant.create(testCampaignId, {
+      name: 'Group Save Mage', type: 'PC', initiative: 10, ac: 12, current_hp: 60, max_hp: 60, save_dexterity: 20
+    });
+
+    try {
+      await db.query('UPDATE combatants SET resistances = $1 WHERE id = $2', [['fire'], clumsy.id]);
+      await Condition.add(held.id, { condition: 'paralyzed' });
+      await Concentration.start(clumsy.id, { spell: 'Haste' });
+
+      const result = await Combat.groupSave({
+        target_ids: [nimble.id, clumsy.id, held.id],
+        ability: 'dexterity',
+        dc: 15,
+        damage: 20,
+        type: 'fire',
+        source_id: fight.attacker.id,
+        effect: 'Fire Breath'
+      });
+
+      const [rogue, knight, mage] = result.results;
+      expect(rogue.success).toBe(true);
+      expect(rogue.damage).toBe(10);
+      expect(rogue.target.current_hp).toBe(50);
+
+      // Failed, but resistant: 20 fire halved by resistance
+      expect(knight.success).toBe(false);
+      expect(knight.damage).toBe(10);
+      expect(knight.concentration).toEqual({ spell: 'Haste', dc: 10, pending: true });
+
+      // Paralysis fails DEX saves whatever the roll
+      expect(mage.success).toBe(false);
+      expect(mage.modifiers.auto_fail).toBe(true);
+      expect(mage.damage).toBe(20);
+      expect(mage.concentration).toBeNull();
+
+      const [entry] = await CombatLog.findByCampaign(testCampaignId, { limit: 1 });
+      expect(entry.action).toBe('group_save');
+      expect(entry.combatant_id).toBe(fight.attacker.id);
+      expect(entry.new_value.results.map(r => r.damage)).toEqual([10, 10, 20]);
+
+      // Undo walks back each target's HP change
+      await CombatLog.undo(testCampaignId, 3);
+      for (const id of [nimble.id, clumsy.id, held.id]) {
+        expect((await Combatant.findById(id)).current_hp).toBe(60);
+      }
+
+      // Saves without damage leave HP alone; success negates damage with on_success none
+      const noDamage = await Combat.groupSave({ target_ids: [nimble.id], ability: 'wisdom', dc: 1 });
+      expect(noDamage.damage_roll).toBeNull();
+      expect(noDamage.results[0].target.current_hp).toBe(60);
+      const evaded = await Combat.groupSave({ target_ids: [nimble.id], ability: 'dexterity', dc: 15, damage: '8d6', on_success: 'none' });
+      expect(evaded.results[0].damage).toBe(0);
+
+      await expect(Combat.groupSave({ target_ids: [], ability: 'dexterity', dc: 15 })).rejects.toThrow('Validation failed');
+      await expect(Combat.groupSave({ target_ids: [nimble.id], ability: 'luck', dc: 15 })).rejects.toThrow('Validation failed');
+      await expect(Combat.groupSave({ target_ids: [nimble.id], ability: 'dexterity', dc: 15, damage: 'lots' }))
+        .rejects.toThrow('Validation failed');
+      expect(await Combat.groupSave({ target_ids: [nimble.id, -1], ability: 'dexterity', dc: 15 })).toBeNull();
+    } finally {
+      for (const id of [nimble.id, clumsy.id, held.id]) {
+        await Combatant.delete(id);
+      }
+      await removeAttacker(fight);
+    }
+  });
+});
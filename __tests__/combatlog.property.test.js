@@ -0,0 +1,223 @@
+/**
+ * Property-Based Tests for the Combat Log
+ * Feature: siege-of-neverwinter
+ * Tests change recording and undo of HP, initiative and condition changes
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, CombatLog } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    // The combat log table is added by migrations
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Combat Log') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+// Generators for property-based testing
+
+/**
+ * Generator for a sequence of HP and initiative edits
+ */
+const editsArbitrary = fc.array(
+  fc.oneof(
+    fc.record({ current_hp: fc.integer({ min: 0, max: 100 }) }),
+    fc.record({ initiative: fc.integer({ min: 1, max: 30 }) })
+  ),
+  { minLength: 1, maxLength: 5 }
+);
+
+/**
+ * Apply an update the way PUT /api/initiative/:id does
+ */
+async function updateAndLog(id, updates) {
+  const before = await Combatant.findById(id);
+  const after = await Combatant.update(id, updates);
+  await CombatLog.recordChanges(before, after);
+  return after;
+}
+
+async function createCombatant() {
+  return await Combatant.create(testCampaignId, {
+    name: 'Log Test Orc',
+    type: 'Monster',
+    initiative: 10,
+    ac: 13,
+    current_hp: 100,
+    max_hp: 100
+  });
+}
+
+// Property Tests
+
+describe('Combat Log Properties', () => {
+
+  /**
+   * Feature: siege-of-neverwinter, Property 49: Undo restores earlier values
+   *
+   * For any sequence of HP and initiative edits, undoing the last K logged
+   * changes restores the combatant to its state before those K edits
+   */
+  test('Property 49: Undo restores earlier values', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(editsArbitrary, fc.nat(), async (edits, seed) => {
+        const combatant = await createCombatant();
+
+        try {
+          // Snapshot after every edit that produced a log entry
+          const snapshots = [{ current_hp: combatant.current_hp, initiative: combatant.initiative }];
+          for (const edit of edits) {
+            const previous = snapshots[snapshots.length - 1];
+            const after = await updateAndLog(combatant.id, edit);
+            const changed = Object.keys(edit).some(key => previous[key] !== after[key]);
+            if (changed) {
+              snapshots.push({ current_hp: after.current_hp, initiative: after.initiative });
+            }
+          }
+
+          const undoCount = (seed % snapshots.length) || 1;
+          const reverted = await CombatLog.undo(testCampaignId, undoCount);
+          const expected = snapshots[Math.max(0, snapshots.length - 1 - undoCount)];
+          const restored = await Combatant.findById(combatant.id);
+
+          expect(reverted.length).toBe(Math.min(undoCount, snapshots.length - 1));
+          expect(reverted.every(entry => entry.reverted)).toBe(true);
+          expect(restored.current_hp).toBe(expected.current_hp);
+          expect(restored.initiative).toBe(expected.initiative);
+        } finally {
+          await Combatant.delete(combatant.id);
+        }
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 50: Condition changes round-trip through undo
+   *
+   * For any condition, undoing its addition removes it, and undoing its
+   * removal restores it with the same ID
+   */
+  test('Property 50: Condition changes round-trip through undo', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const conditionArbitrary = fc.constantFrom(
+      'Blinded', 'Charmed', 'Frightened', 'Grappled', 'Poisoned', 'Prone', 'Stunned'
+    );
+
+    await fc.assert(
+      fc.asyncProperty(conditionArbitrary, async (condition) => {
+        const combatant = await createCombatant();
+
+        try {
+          const added = await Combatant.addCondition(combatant.id, condition);
+          await CombatLog.recordConditionAdded(combatant, added);
+
+          await CombatLog.undo(testCampaignId, 1);
+          let withConditions = await Combatant.findByIdWithConditions(combatant.id);
+          expect(withConditions.conditions).not.toContain(condition);
+
+          const readded = await Combatant.addCondition(combatant.id, condition);
+          await CombatLog.recordConditionAdded(combatant, readded);
+          const removed = await Combatant.removeCondition(combatant.id, condition);
+          await CombatLog.recordConditionRemoved(combatant, removed);
+
+          await CombatLog.undo(testCampaignId, 1);
+          const restored = await db.query(
+            'SELECT * FROM combatant_conditions WHERE combatant_id = $1',
+            [combatant.id]
+          );
+          expect(restored.rows.length).toBe(1);
+          expect(restored.rows[0].id).toBe(readded.id);
+          expect(restored.rows[0].condition).toBe(condition);
+        } finally {
+          await Combatant.delete(combatant.id);
+        }
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Unchanged fields are not logged
+   */
+  test('Only fields that actually changed are recorded', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const combatant = await createCombatant();
+
+    try {
+      const entries = await CombatLog.recordChanges(
+        combatant,
+        { ...combatant, current_hp: 90 }
+      );
+
+      expect(entries.length).toBe(1);
+      expect(entries[0].field).toBe('current_hp');
+      expect(entries[0].old_value).toBe(100);
+      expect(entries[0].new_value).toBe(90);
+      expect(entries[0].combatant_name).toBe('Log Test Orc');
+    } finally {
+      await Combatant.delete(combatant.id);
+    }
+  });
+
+  /**
+   * Undo count is bounded
+   */
+  test('Undo rejects an invalid count', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await expect(CombatLog.undo(testCampaignId, 0)).rejects.toThrow('Validation failed');
+    await expect(CombatLog.undo(testCampaignId, 'many')).rejects.toThrow('Validation failed');
+  });
+});
@@ -1,11 +1,12 @@
 /**
  * Property-Based Tests for Condition Manager
  * Feature: siege-of-neverwinter
- * Tests condition management properties
+ * Tests condition management properties and the condition rules engine
  */
 
 const fc = require('fast-check');
 const Combatant = require('../server/models/Combatant');
+const Conditions = require('../shared/conditions');
 const db = require('../database/db');
 
 // Test configuration
@@ -413,3 +414,113 @@ describe('Condition Manager Properties', () => {
     );
   });
 });
+
+describe('Condition Rules Properties', () => {
+
+  // Conditions that grant advantage against the creature, and those that make it fail STR/DEX saves
+  const ATTACKED_WITH_ADVANTAGE = ['blinded', 'paralyzed', 'petrified', 'restrained', 'stunned', 'unconscious'];
+  const AUTO_FAIL_PHYSICAL = ['paralyzed', 'petrified', 'stunned', 'unconscious'];
+
+  /**
+   * Generator for the conditions on one creature, optionally with an exhaustion level
+   */
+  const creatureConditionsArbitrary = fc.tuple(
+    fc.uniqueArray(conditionArbitrary, { maxLength: 4 }),
+    fc.integer({ min: 0, max: Conditions.MAX_EXHAUSTION })
+  ).map(([names, exhaustion]) => exhaustion > 0 ? [...names, `Exhaustion ${exhaustion}`] : names);
+
+  const has = (conditions, names) => names.some(name => conditions.includes(name));
+
+  /**
+   * Feature: siege-of-neverwinter, Property 66: Implied conditions and exhaustion levels
+   *
+   * For any set of conditions, the expanded set contains every given condition and
+   * everything it implies (paralyzed, petrified, stunned and unconscious imply
+   * incapacitated; unconscious implies prone), exhaustion is the highest level given,
+   * and expanding again changes nothing
+   */
+  test('Property 66: Implied conditions and exhaustion levels', () => {
+    fc.assert(
+      fc.property(
+        creatureConditionsArbitrary,
+        fc.integer({ min: 0, max: Conditions.MAX_EXHAUSTION }),
+        (conditions, extraExhaustion) => {
+          const given = extraExhaustion > 0 ? [...conditions, `exhaustion ${extraExhaustion}`] : conditions;
+          const expanded = Conditions.expand(given);
+          const names = given.filter(c => !c.toLowerCase().startsWith('exhaustion'));
+
+          names.forEach(name => expect(expanded.conditions).toContain(name));
+          if (has(names, ['paralyzed', 'petrified', 'stunned', 'unconscious'])) {
+            expect(expanded.conditions).toContain('incapacitated');
+          }
+          if (names.includes('unconscious')) {
+            expect(expanded.conditions).toContain('prone');
+          }
+          expanded.implied.forEach(name => expect(names).not.toContain(name));
+
+          const levels = given
+            .map(c => Conditions.parse(c))
+            .filter(c => c.name === 'exhaustion')
+            .map(c => c.level);
+          expect(expanded.exhaustion).toBe(Math.max(0, ...levels));
+
+          const again = Conditions.expand(expanded.conditions);
+          expect(new Set(again.conditions)).toEqual(new Set(expanded.conditions));
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 67: Attack and save modifiers follow the conditions
+   *
+   * For any conditions on an attacker and a target, the attack has advantage exactly
+   * when the attacker is invisible or the target is blinded, paralyzed, petrified,
+   * restrained, stunned, unconscious or prone within 5 feet; disadvantage exactly when
+   * the attacker is blinded, frightened, poisoned, prone, restrained or at exhaustion 3+,
+   * or the target is invisible or prone beyond 5 feet; and hits are critical exactly
+   * when a paralyzed or unconscious target is within 5 feet. STR and DEX saves fail
+   * automatically exactly when the creature is paralyzed, petrified, stunned or unconscious.
+   */
+  test('Property 67: Attack and save modifiers follow the conditions', () => {
+    fc.assert(
+      fc.property(
+        creatureConditionsArbitrary,
+        creatureConditionsArbitrary,
+        fc.boolean(),
+        fc.constantFrom('strength', 'dexterity', 'constitution', 'wisdom'),
+        (attackerConditions, targetConditions, close, ability) => {
+          const attacker = Conditions.expand(attackerConditions);
+          const target = Conditions.expand(targetConditions);
+          const targetProne = target.conditions.includes('prone');
+
+          const modifiers = Conditions.attackModifiers(attackerConditions, targetConditions, { within_5_feet: close });
+
+          expect(modifiers.advantage).toBe(
+            attacker.conditions.includes('invisible') ||
+            has(target.conditions, ATTACKED_WITH_ADVANTAGE) ||
+            (targetProne && close)
+          );
+          expect(modifiers.disadvantage).toBe(
+            has(attacker.conditions, ['blinded', 'frightened', 'poisoned', 'prone', 'restrained']) ||
+            attacker.exhaustion >= 3 ||
+            target.conditions.includes('invisible') ||
+            (targetProne && !close)
+          );
+          expect(modifiers.auto_critical).toBe(close && has(target.conditions, ['paralyzed', 'unconscious']));
+          expect(modifiers.incapacitated).toBe(attacker.conditions.includes('incapacitated'));
+
+          const save = Conditions.saveModifiers(targetConditions, ability);
+          expect(save.auto_fail).toBe(
+            ['strength', 'dexterity'].includes(ability) && has(target.conditions, AUTO_FAIL_PHYSICAL)
+          );
+          expect(save.disadvantage).toBe(
+            target.exhaustion >= 3 || (ability === 'dexterity' && target.conditions.includes('restrained'))
+          );
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Property-Based Tests for the Dice Engine
+ * Feature: siege-of-neverwinter
+ * Tests dice expression parsing, rolling, keep/drop, advantage and averages
+ */
+
+const fc = require('fast-check');
+const Dice = require('../shared/dice');
+const Monster = require('../server/models/Monster');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Generators for property-based testing
+
+/**
+ * Generator for a single dice or constant term
+ */
+const termArbitrary = fc.oneof(
+  fc.record({
+    count: fc.integer({ min: 1, max: 10 }),
+    sides: fc.constantFrom(2, 4, 6, 8, 10, 12, 20, 100),
+    keep: fc.option(fc.constantFrom('kh', 'kl', 'dh', 'dl'), { nil: null })
+  }).map(({ count, sides, keep }) => {
+    if (!keep || count < 2) return `${count}d${sides}`;
+    const n = keep === 'kh' || keep === 'kl' ? count - 1 : 1;
+    return `${count}d${sides}${keep}${n}`;
+  }),
+  fc.integer({ min: 0, max: 20 }).map(String)
+);
+
+/**
+ * Generator for expressions such as "2d6+1d4-1"
+ */
+const expressionArbitrary = fc.tuple(
+  termArbitrary,
+  fc.array(fc.tuple(fc.constantFrom('+', '-'), termArbitrary), { maxLength: 4 })
+).map(([first, rest]) => first + rest.map(([sign, term]) => sign + term).join(''));
+
+// Property Tests
+
+describe('Dice Engine Properties', () => {
+
+  /**
+   * Feature: siege-of-neverwinter, Property 51: Roll totals stay within bounds
+   *
+   * For any expression, every roll is between its minimum and maximum and the
+   * total equals the signed sum of the kept dice and constants
+   */
+  test('Property 51: Roll totals stay within bounds', () => {
+    fc.assert(
+      fc.property(expressionArbitrary, fc.integer(), (expression, seed) => {
+        const result = Dice.roll(expression, { seed });
+
+        expect(result.total).toBeGreaterThanOrEqual(Dice.min(expression));
+        expect(result.total).toBeLessThanOrEqual(Dice.max(expression));
+
+        const recomputed = result.terms.reduce((sum, term) => sum + term.sign * term.subtotal, 0);
+        expect(result.total).toBe(recomputed);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 52: Seeded rolls are reproducible
+   *
+   * For any expression and seed, rolling twice with the same seed gives the same result
+   */
+  test('Property 52: Seeded rolls are reproducible', () => {
+    fc.assert(
+      fc.property(expressionArbitrary, fc.integer(), (expression, seed) => {
+        const first = Dice.roll(expression, { seed });
+        const second = Dice.roll(expression, { seed });
+
+        expect(second.total).toBe(first.total);
+        expect(second.breakdown).toBe(first.breakdown);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 53: Keep highest keeps the highest dice
+   *
+   * For any NdSkhX roll, exactly X dice are kept and no dropped die is higher
+   * than a kept die
+   */
+  test('Property 53: Keep highest keeps the highest dice', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 10 }),
+        fc.constantFrom(4, 6, 8, 20),
+        fc.integer(),
+        (count, sides, seed) => {
+          const keep = Math.max(1, count - 1);
+          const result = Dice.roll(`${count}d${sides}kh${keep}`, { seed });
+          const rolls = result.terms[0].rolls;
+          const kept = rolls.filter(r => r.kept).map(r => r.value);
+          const dropped = rolls.filter(r => !r.kept).map(r => r.value);
+
+          expect(kept.length).toBe(keep);
+          if (dropped.length > 0) {
+            expect(Math.max(...dropped)).toBeLessThanOrEqual(Math.min(...kept));
+          }
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 54: Advantage uses the higher d20
+   *
+   * For any d20 roll with advantage the natural roll is the higher of two d20s,
+   * with disadvantage the lower, and with both they cancel out
+   */
+  test('Property 54: Advantage uses the higher d20', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: -5, max: 15 }), fc.integer(), (modifier, seed) => {
+        const expression = `1d20${modifier < 0 ? '' : '+'}${modifier}`;
+
+        const advantage = Dice.roll(expression, { seed, advantage: true });
+        const faces = advantage.terms[0].rolls.map(r => r.value);
+        expect(faces.length).toBe(2);
+        expect(advantage.natural).toBe(Math.max(...faces));
+        expect(advantage.total).toBe(advantage.natural + modifier);
+
+        const disadvantage = Dice.roll(expression, { seed, disadvantage: true });
+        const lowFaces = disadvantage.terms[0].rolls.map(r => r.value);
+        expect(disadvantage.natural).toBe(Math.min(...lowFaces));
+
+        const both = Dice.roll(expression, { seed, advantage: true, disadvantage: true });
+        expect(both.mode).toBe('normal');
+        expect(both.terms[0].rolls.length).toBe(1);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 55: Average lies between minimum and maximum
+   *
+   * For any expression without exploding dice, the expected value is within its bounds
+   */
+  test('Property 55: Average lies between minimum and maximum', () => {
+    fc.assert(
+      fc.property(expressionArbitrary, (expression) => {
+        const average = Dice.average(expression);
+
+        expect(average).toBeGreaterThanOrEqual(Dice.min(expression) - 1e-9);
+        expect(average).toBeLessThanOrEqual(Dice.max(expression) + 1e-9);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+});
+
+describe('Dice Engine Unit Tests', () => {
+  test('averages match published values', () => {
+    expect(Dice.average('6d8+6')).toBe(33);
+    expect(Dice.average('2d6+1d4-1')).toBe(8.5);
+    expect(Dice.average('4d6dl1')).toBeCloseTo(12.2446, 4);
+    expect(Dice.average('2d20kh1')).toBeCloseTo(13.825, 4);
+    expect(Dice.average('1d6!')).toBeCloseTo(4.2, 4);
+  });
+
+  test('exploding dice roll again on the maximum face', () => {
+    // Find a seed whose first d6 explodes
+    let result = null;
+    for (let seed = 0; seed < 1000 && !result; seed++) {
+      const roll = Dice.roll('1d6!', { seed });
+      if (roll.terms[0].rolls.length > 1) result = roll;
+    }
+
+    expect(result).not.toBeNull();
+    const faces = result.terms[0].rolls.map(r => r.value);
+    faces.slice(0, -1).forEach(face => expect(face).toBe(6));
+    expect(result.total).toBe(faces.reduce((a, b) => a + b, 0));
+  });
+
+  test('invalid expressions are rejected', () => {
+    ['', 'abc', '2d6+', '1d0', '3d6kh4', '3d6dl3', '101d6', '1d6kh1!'].forEach(expression => {
+      expect(() => Dice.parse(expression)).toThrow(Dice.DiceError);
+      expect(Dice.isValid(expression)).toBe(false);
+    });
+  });
+
+  test('critical hits keep or drop no more dice than they roll at the cap', () => {
+    expect(Dice.critical('2d20kh1+5')).toBe('4d20kh2+5');
+    expect(Dice.critical('60d6kh60')).toBe('100d6kh100');
+    expect(Dice.critical('80d6kl50')).toBe('100d6kl100');
+    expect(Dice.critical('60d6dl50')).toBe('100d6dl99');
+    ['60d6kh60', '80d6kl50', '60d6dl50', '100d6dh99'].forEach(expression => {
+      expect(Dice.isValid(Dice.critical(expression))).toBe(true);
+    });
+  });
+
+  test('d% is a d100 and whitespace is ignored', () => {
+    expect(Dice.max('d%')).toBe(100);
+    expect(Dice.average(' 2d6 + 3 ')).toBe(10);
+  });
+
+  test('monster HP uses the dice engine average', () => {
+    expect(Monster.averageHP('6d8+6')).toBe(33);
+    expect(Monster.averageHP('33 (6d8+6)')).toBe(33);
+    expect(Monster.averageHP('2d6+1d4-1')).toBe(8);
+    expect(Monster.averageHP(null)).toBe(10);
+  });
+});
@@ -0,0 +1,703 @@
+/**
+ * Property-Based Tests for Combat Encounters
+ * Feature: siege-of-neverwinter
+ * Tests round counting, turn pointer persistence and turn history
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Condition, CombatLog, Encounter, Monster } = require('../server/models');
+const Dice = require('../shared/dice');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    // Encounter tables, initiative rolling and condition duration columns are added by migrations
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql', 'add-initiative-rolls.sql', 'add-condition-durations.sql', 'add-turn-boundaries.sql', 'add-resources.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Encounters') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+// Generators for property-based testing
+
+/**
+ * Generator for a group of combatants entering a fight
+ */
+const participantsArbitrary = fc.array(
+  fc.record({
+    name: fc.string({ minLength: 1, maxLength: 50 }).filter(s => s.trim().length > 0),
+    type: fc.constantFrom('PC', 'NPC', 'Monster'),
+    initiative: fc.integer({ min: 1, max: 30 })
+  }),
+  { minLength: 1, maxLength: 4 }
+);
+
+/**
+ * Create combatants and a pending encounter containing them
+ */
+async function createEncounter(participants) {
+  const combatantIds = [];
+  for (const participant of participants) {
+    const combatant = await Combatant.create(testCampaignId, {
+      ...participant,
+      ac: 15,
+      current_hp: 20,
+      max_hp: 20
+    });
+    combatantIds.push(combatant.id);
+  }
+
+  const encounter = await Encounter.create(testCampaignId, {
+    name: 'Property Test Encounter',
+    combatant_ids: combatantIds
+  });
+
+  return { encounter, combatantIds };
+}
+
+/**
+ * Remove an encounter and its combatants
+ */
+async function cleanUp(encounterId, combatantIds) {
+  await Encounter.delete(encounterId);
+  await db.query('DELETE FROM combatants WHERE id = ANY($1)', [combatantIds]);
+}
+
+// Property Tests
+
+describe('Encounter Properties', () => {
+
+  /**
+   * Feature: siege-of-neverwinter, Property 46: Round counter follows turn order
+   *
+   * For any encounter with N participants, after starting and advancing K turns
+   * the round is 1 + floor(K / N), the active combatant is the (K mod N)th in
+   * initiative order, and K + 1 turn starts are recorded
+   */
+  test('Property 46: Round counter follows turn order', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        participantsArbitrary,
+        fc.integer({ min: 0, max: 5 }),
+        async (participants, turns) => {
+          const { encounter, combatantIds } = await createEncounter(participants);
+
+          try {
+            const started = await Encounter.start(encounter.id);
+            const order = started.participants.map(p => p.id);
+
+            let current = started;
+            for (let i = 0; i < turns; i++) {
+              current = await Encounter.nextTurn(encounter.id);
+            }
+
+            expect(current.status).toBe('active');
+            expect(current.current_round).toBe(1 + Math.floor(turns / order.length));
+            expect(current.active_combatant_id).toBe(order[turns % order.length]);
+
+            const history = await Encounter.getTurns(encounter.id);
+            expect(history.length).toBe(turns + 1);
+            expect(history[history.length - 1].combatant_id).toBe(current.active_combatant_id);
+            expect(history[history.length - 1].round).toBe(current.current_round);
+          } finally {
+            await cleanUp(encounter.id, combatantIds);
+          }
+        }
+      ),
+      { numRuns: 50 } // Fewer runs, each one plays out up to six turns
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 47: Previous turn undoes next turn
+   *
+   * For any active encounter, advancing a turn and then stepping back restores
+   * the round, active combatant and turn history length
+   */
+  test('Property 47: Previous turn undoes next turn', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        participantsArbitrary,
+        fc.integer({ min: 0, max: 5 }),
+        async (participants, turns) => {
+          const { encounter, combatantIds } = await createEncounter(participants);
+
+          try {
+            let before = await Encounter.start(encounter.id);
+            for (let i = 0; i < turns; i++) {
+              before = await Encounter.nextTurn(encounter.id);
+            }
+            const historyBefore = await Encounter.getTurns(encounter.id);
+
+            await Encounter.nextTurn(encounter.id);
+            const after = await Encounter.previousTurn(encounter.id);
+            const historyAfter = await Encounter.getTurns(encounter.id);
+
+            expect(after.current_round).toBe(before.current_round);
+            expect(after.active_combatant_id).toBe(before.active_combatant_id);
+            expect(historyAfter.length).toBe(historyBefore.length);
+          } finally {
+            await cleanUp(encounter.id, combatantIds);
+          }
+        }
+      ),
+      { numRuns: 50 } // Fewer runs, each one plays out up to seven turns
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 96: Stepping back needs someone to step back from
+   *
+   * For any active encounter in any round, once every participant has been
+   * removed, or the combatant whose turn it is has been deleted, stepping
+   * back is refused and leaves the round, turn pointer and turn history as
+   * they were
+   */
+  test('Property 96: Stepping back needs someone to step back from', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        participantsArbitrary,
+        fc.integer({ min: 0, max: 5 }),
+        fc.boolean(),
+        async (participants, turns, removeAll) => {
+          const { encounter, combatantIds } = await createEncounter(participants);
+
+          try {
+            let current = await Encounter.start(encounter.id);
+            for (let i = 0; i < turns; i++) {
+              current = await Encounter.nextTurn(encounter.id);
+            }
+
+            let message;
+            if (removeAll) {
+              for (const combatantId of combatantIds) {
+                current = await Encounter.removeParticipant(encounter.id, combatantId);
+              }
+              message = 'Encounter has no participants';
+            } else {
+              await Combatant.delete(current.active_combatant_id);
+              current = await Encounter.findByIdWithParticipants(encounter.id);
+              message = current.participants.length === 0
+                ? 'Encounter has no participants'
+                : 'The active combatant has left the encounter';
+            }
+            const history = await Encounter.getTurns(encounter.id);
+
+            await expect(Encounter.previousTurn(encounter.id)).rejects.toThrow(message);
+
+            const after = await Encounter.findById(encounter.id);
+            expect(after.current_round).toBe(current.current_round);
+            expect(after.active_combatant_id).toBe(current.active_combatant_id);
+            expect(await Encounter.getTurns(encounter.id)).toEqual(history);
+          } finally {
+            await cleanUp(encounter.id, combatantIds);
+          }
+        }
+      ),
+      { numRuns: 50 } // Fewer runs, each one plays out up to six turns and removes everyone
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 48: Encounter state survives reload
+   *
+   * For any running encounter, loading the current encounter afresh (as a new
+   * browser tab would) returns the same round, active combatant and participants
+   */
+  test('Property 48: Encounter state survives reload', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        participantsArbitrary,
+        fc.integer({ min: 0, max: 5 }),
+        async (participants, turns) => {
+          const { encounter, combatantIds } = await createEncounter(participants);
+
+          try {
+            let current = await Encounter.start(encounter.id);
+            for (let i = 0; i < turns; i++) {
+              current = await Encounter.nextTurn(encounter.id);
+            }
+
+            const found = await Encounter.findCurrent(testCampaignId);
+            expect(found.id).toBe(encounter.id);
+
+            const reloaded = await Encounter.findByIdWithParticipants(found.id);
+            expect(reloaded.current_round).toBe(current.current_round);
+            expect(reloaded.active_combatant_id).toBe(current.active_combatant_id);
+            expect(reloaded.participants.map(p => p.id).sort())
+              .toEqual([...combatantIds].sort());
+          } finally {
+            await cleanUp(encounter.id, combatantIds);
+          }
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Removing the combatant whose turn it is passes the turn on
+   */
+  test('Removing the active combatant passes the turn to the next in order', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const { encounter, combatantIds } = await createEncounter([
+      { name: 'Fast', type: 'PC', initiative: 20 },
+      { name: 'Middle', type: 'NPC', initiative: 15 },
+      { name: 'Slow', type: 'Monster', initiative: 5 }
+    ]);
+
+    try {
+      const started = await Encounter.start(encounter.id);
+      expect(started.active_combatant_id).toBe(combatantIds[0]);
+
+      const updated = await Encounter.removeParticipant(encounter.id, combatantIds[0]);
+      expect(updated.active_combatant_id).toBe(combatantIds[1]);
+      expect(updated.participants.length).toBe(2);
+    } finally {
+      await cleanUp(encounter.id, combatantIds);
+    }
+  });
+
+  /**
+   * Lifecycle errors are reported as validation errors
+   */
+  test('Turn control requires an active encounter', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const { encounter, combatantIds } = await createEncounter([
+      { name: 'Lonely', type: 'PC', initiative: 10 }
+    ]);
+
+    try {
+      await expect(Encounter.nextTurn(encounter.id)).rejects.toThrow('Encounter is not active');
+
+      await Encounter.start(encounter.id);
+      await expect(Encounter.start(encounter.id)).rejects.toThrow('Encounter is already active');
+      await expect(Encounter.previousTurn(encounter.id)).rejects.toThrow('Already at the first turn');
+
+      await Encounter.end(encounter.id);
+      const found = await Encounter.findCurrent(testCampaignId);
+      expect(found).toBeNull();
+    } finally {
+      await cleanUp(encounter.id, combatantIds);
+    }
+  });
+
+  /**
+   * Only combatants in the encounter's campaign can take part in it
+   */
+  test('Participants must be combatants in the campaign', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const other = await db.query("INSERT INTO campaigns (name) VALUES ('Test Campaign - Other Encounters') RETURNING id");
+    const stranger = await Combatant.create(other.rows[0].id, { name: 'Stranger', type: 'NPC', ac: 12, current_hp: 9, max_hp: 9 });
+    const { encounter, combatantIds } = await createEncounter([
+      { name: 'Local', type: 'PC', initiative: 12 }
+    ]);
+
+    try {
+      await expect(Encounter.create(testCampaignId, { combatant_ids: [combatantIds[0], stranger.id] }))
+        .rejects.toThrow('Participants must be combatants in the campaign');
+      await expect(Encounter.create(testCampaignId, { combatant_ids: ['goblin'] }))
+        .rejects.toThrow('Participants must be combatants in the campaign');
+      await expect(Encounter.addParticipant(encounter.id, stranger.id))
+        .rejects.toThrow('Participants must be combatants in the campaign');
+
+      const participants = await Encounter.getParticipants(encounter.id);
+      expect(participants.map(participant => participant.id)).toEqual(combatantIds);
+      const encounters = await Encounter.findByCampaign(testCampaignId);
+      expect(encounters.map(found => found.id)).toEqual([encounter.id]);
+    } finally {
+      await cleanUp(encounter.id, combatantIds);
+      await db.query('DELETE FROM campaigns WHERE id = $1', [other.rows[0].id]);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 58: Ties are broken by DEX, then by roll-off
+   *
+   * For any set of initiative totals and DEX scores, the tiebreak order is a strict
+   * order that sorts by initiative, then DEX
+   */
+  test('Property 58: Ties are broken by DEX, then by roll-off', () => {
+    const entriesArbitrary = fc.array(
+      fc.record({
+        initiative: fc.integer({ min: 1, max: 5 }),
+        dex: fc.integer({ min: 8, max: 10 })
+      }),
+      { minLength: 1, maxLength: 12 }
+    ).map(entries => entries.map((entry, index) => ({ ...entry, id: index + 1 })));
+
+    fc.assert(
+      fc.property(entriesArbitrary, fc.integer(), (entries, seed) => {
+        const tiebreaks = Encounter.resolveTies(entries, Dice.createRng(seed));
+        const ordered = [...entries].sort((a, b) => tiebreaks.get(b.id) - tiebreaks.get(a.id));
+
+        expect(new Set(tiebreaks.values()).size).toBe(entries.length);
+        for (let i = 1; i < ordered.length; i++) {
+          const [before, after] = [ordered[i - 1], ordered[i]];
+          expect(before.initiative).toBeGreaterThanOrEqual(after.initiative);
+          if (before.initiative === after.initiative) {
+            expect(before.dex).toBeGreaterThanOrEqual(after.dex);
+          }
+        }
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 59: Rolled initiative is d20 plus DEX modifier
+   *
+   * For any encounter, rolling initiative gives every non-PC participant a total
+   * within d20 + DEX modifier (at least 1), keeps PCs without an entry unchanged,
+   * uses entered PC totals, and lists participants in the new order
+   */
+  test('Property 59: Rolled initiative is d20 plus DEX modifier', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        participantsArbitrary,
+        fc.array(fc.integer({ min: 1, max: 30 }), { minLength: 4, maxLength: 4 }),
+        fc.integer({ min: 1, max: 25 }),
+        async (participants, dexScores, pcRoll) => {
+          const { encounter, combatantIds } = await createEncounter(participants);
+
+          try {
+            const pcRolls = {};
+            for (const [index, id] of combatantIds.entries()) {
+              await Combatant.update(id, { stat_dex: dexScores[index] });
+              if (participants[index].type === 'PC' && index % 2 === 0) {
+                pcRolls[id] = pcRoll;
+              }
+            }
+
+            const rolled = await Encounter.rollInitiative(encounter.id, { pc_rolls: pcRolls });
+
+            combatantIds.forEach((id, index) => {
+              const roll = rolled.rolls.find(r => r.combatant_id === id);
+              const modifier = Math.floor((dexScores[index] - 10) / 2);
+
+              if (pcRolls[id] !== undefined) {
+                expect(roll.initiative).toBe(pcRoll);
+              } else if (participants[index].type === 'PC') {
+                expect(roll.initiative).toBe(participants[index].initiative);
+              } else {
+                expect(roll.modifier).toBe(modifier);
+                expect(roll.initiative).toBeGreaterThanOrEqual(Math.max(1, 1 + modifier));
+                expect(roll.initiative).toBeLessThanOrEqual(Math.max(1, 20 + modifier));
+              }
+            });
+
+            const order = rolled.participants.map(p => p.initiative);
+            expect(order).toEqual([...order].sort((a, b) => b - a));
+            expect(rolled.participants.length).toBe(combatantIds.length);
+          } finally {
+            await cleanUp(encounter.id, combatantIds);
+          }
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Group initiative gives identical monsters one shared roll
+   */
+  test('Group initiative shares one roll per monster type', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const monster = await Monster.create(testCampaignId, { name: 'Group Goblin', ac: 15, stat_dex: 14 });
+    const instances = await Monster.createInstances(monster.id, { count: 3 });
+    const combatantIds = instances.map(i => i.combatant.id);
+    const encounter = await Encounter.create(testCampaignId, {
+      name: 'Group Initiative',
+      combatant_ids: combatantIds
+    });
+
+    try {
+      const rolled = await Encounter.rollInitiative(encounter.id, { group_monsters: true });
+      const totals = new Set(rolled.rolls.map(r => r.initiative));
+
+      expect(totals.size).toBe(1);
+      expect(rolled.rolls.every(r => r.modifier === 2 && r.group === monster.id)).toBe(true);
+      expect(new Set(rolled.participants.map(p => p.initiative_tiebreak)).size).toBe(3);
+    } finally {
+      await cleanUp(encounter.id, combatantIds);
+      await Monster.delete(monster.id);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 65: Condition durations count the target's turn ends
+   *
+   * For any condition lasting N rounds until the end of the target's turn, it is
+   * removed at exactly the Nth end of the target's turn, not counting the turn
+   * during which it was applied
+   */
+  test('Property 65: Condition durations count the target\'s turn ends', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const target = await Combatant.create(testCampaignId, {
+      name: 'Duration Target', type: 'PC', initiative: 10, ac: 15, current_hp: 20, max_hp: 20
+    });
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 3 }),
+          fc.boolean(),
+          async (rounds, appliedBeforeStart) => {
+            const encounter = await Encounter.create(testCampaignId, {
+              name: 'Duration Test',
+              combatant_ids: [target.id]
+            });
+
+            try {
+              // A lone participant's turn ends on every turn change
+              let condition;
+              if (appliedBeforeStart) {
+                condition = await Condition.add(target.id, { condition: 'frightened', duration_rounds: rounds });
+                await Encounter.start(encounter.id);
+              } else {
+                await Encounter.start(encounter.id);
+                condition = await Condition.add(target.id, { condition: 'frightened', duration_rounds: rounds });
+              }
+
+              // The end of the turn the condition was applied in does not count
+              let turnEnds = appliedBeforeStart ? 0 : -1;
+              let current;
+              do {
+                current = await Encounter.nextTurn(encounter.id);
+                turnEnds++;
+              } while (turnEnds < rounds && current.expired_conditions.length === 0);
+
+              expect(current.expired_conditions.map(c => c.id)).toEqual([condition.id]);
+              expect(turnEnds).toBe(rounds);
+              expect(current.participants[0].conditions).toEqual([]);
+            } finally {
+              await db.query('DELETE FROM combatant_conditions WHERE combatant_id = $1', [target.id]);
+              await Encounter.delete(encounter.id);
+            }
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await db.query('DELETE FROM combatants WHERE id = $1', [target.id]);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 95: Stepping back a turn undoes its condition changes
+   *
+   * For any timed condition and any number of turns, stepping back a turn
+   * leaves the conditions as they were before that turn began (durations
+   * counted back up, conditions that ran out restored), and stepping forward
+   * again counts them down only once
+   */
+  test('Property 95: Stepping back a turn undoes its condition changes', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const { encounter: unused, combatantIds } = await createEncounter([
+      { name: 'Rewind Caster', type: 'NPC', initiative: 20 },
+      { name: 'Rewind Victim', type: 'PC', initiative: 10 }
+    ]);
+    await Encounter.delete(unused.id);
+    const [casterId, victimId] = combatantIds;
+
+    const snapshot = async () => {
+      const result = await db.query(
+        'SELECT id, rounds_remaining, applied_during_turn_of FROM combatant_conditions WHERE combatant_id = $1 ORDER BY id',
+        [victimId]
+      );
+      return result.rows;
+    };
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 3 }),
+          fc.constantFrom('start_of_turn', 'end_of_turn'),
+          fc.constantFrom('target', 'source'),
+          fc.integer({ min: 1, max: 6 }),
+          async (rounds, expiresAt, expiresOn, turns) => {
+            const encounter = await Encounter.create(testCampaignId, {
+              name: 'Rewind Test',
+              combatant_ids: combatantIds
+            });
+
+            try {
+              await Encounter.start(encounter.id);
+              await Condition.add(victimId, {
+                condition: 'restrained',
+                duration_rounds: rounds,
+                expires_at: expiresAt,
+                expires_on: expiresOn,
+                source_combatant_id: casterId
+              });
+
+              const states = [await snapshot()];
+              for (let i = 0; i < turns; i++) {
+                await Encounter.nextTurn(encounter.id);
+                states.push(await snapshot());
+              }
+
+              const back = await Encounter.previousTurn(encounter.id);
+              expect(await snapshot()).toEqual(states[turns - 1]);
+              expect(back.participants.find(p => p.id === victimId).conditions.map(c => c.rounds_remaining))
+                .toEqual(states[turns - 1].map(c => c.rounds_remaining));
+
+              await Encounter.nextTurn(encounter.id);
+              expect(await snapshot()).toEqual(states[turns]);
+            } finally {
+              await db.query('DELETE FROM combatant_conditions WHERE combatant_id = $1', [victimId]);
+              await Encounter.delete(encounter.id);
+            }
+          }
+        ),
+        { numRuns: 50 } // Fewer runs, each one plays out up to eight turns
+      );
+    } finally {
+      await db.query('DELETE FROM combatants WHERE id = ANY($1)', [combatantIds]);
+    }
+  });
+
+  /**
+   * Durations anchored on the source, repeat saves and undo of an expired condition
+   */
+  test('Source durations expire at the start of its turn and repeat saves end conditions', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const { encounter, combatantIds } = await createEncounter([
+      { name: 'Caster', type: 'NPC', initiative: 20 },
+      { name: 'Victim', type: 'PC', initiative: 10 }
+    ]);
+    const [casterId, victimId] = combatantIds;
+
+    try {
+      await Encounter.start(encounter.id);
+      const held = await Condition.add(victimId, {
+        condition: 'paralyzed',
+        duration_rounds: 2,
+        expires_on: 'source',
+        expires_at: 'start_of_turn',
+        source_combatant_id: casterId,
+        save_dc: 12,
+        save_ability: 'wisdom'
+      });
+
+      // Applied during the caster's turn, so the victim saves at the end of its own turn
+      const victimTurn = await Encounter.nextTurn(encounter.id);
+      expect(victimTurn.pending_saves).toEqual([]);
+
+      const casterTurn = await Encounter.nextTurn(encounter.id);
+      expect(casterTurn.pending_saves.map(s => s.condition_id)).toEqual([held.id]);
+      expect(casterTurn.expired_conditions).toEqual([]);
+      expect(casterTurn.participants.find(p => p.id === victimId).conditions[0].rounds_remaining).toBe(1);
+
+      const failed = await Condition.rollSave(victimId, held.id, { total: 5 });
+      expect(failed.success).toBe(false);
+
+      // The second start of the caster's turn ends it, with no save left to make
+      await Encounter.nextTurn(encounter.id);
+      const expiredTurn = await Encounter.nextTurn(encounter.id);
+      expect(expiredTurn.expired_conditions.map(c => c.id)).toEqual([held.id]);
+      expect(expiredTurn.pending_saves).toEqual([]);
+
+      // Undo restores the expired condition with its duration
+      await CombatLog.undo(testCampaignId, 1);
+      const restored = await db.query('SELECT * FROM combatant_conditions WHERE id = $1', [held.id]);
+      expect(restored.rows[0].source_combatant_id).toBe(casterId);
+      expect(restored.rows[0].save_dc).toBe(12);
+
+      const saved = await Condition.rollSave(victimId, held.id, { total: 12 });
+      expect(saved.success).toBe(true);
+      const remaining = await db.query('SELECT id FROM combatant_conditions WHERE id = $1', [held.id]);
+      expect(remaining.rows).toHaveLength(0);
+
+      await expect(Condition.add(victimId, { condition: 'charmed', expires_on: 'source' }))
+        .rejects.toThrow('source combatant is required');
+    } finally {
+      await cleanUp(encounter.id, combatantIds);
+    }
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Property-Based Tests for Forces
+ * Feature: siege-of-neverwinter
+ * Tests the roster of units fighting in the siege, the totals at each
+ * location and casualties moving the defenders' morale
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Force, SiegeState, SiegeTrigger } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-triggers.sql', 'add-forces.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Forces') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function startSiege(data = {}) {
+  await db.query('DELETE FROM forces WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_history WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_triggers WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_trigger_log WHERE campaign_id = $1', [testCampaignId]);
+  return SiegeState.create(testCampaignId, data);
+}
+
+// Property Tests
+
+describe('Force Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 93: The forces summary totals the roster at each location
+   *
+   * For any roster of units posted to the campaign's locations or to none,
+   * every location gets a row, each row counts exactly the soldiers, units
+   * and strength of each side posted there, the unposted units get a row of
+   * their own, and the totals are the sums over the whole roster
+   */
+  test('Property 93: The forces summary totals the roster at each location', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 5 }),
+        fc.array(
+          fc.record({
+            side: fc.constantFrom(...Force.SIDES),
+            size: fc.integer({ min: 0, max: 5000 }),
+            strength: fc.integer({ min: 1, max: 1000 }),
+            location: fc.integer({ min: -1, max: 4 })
+          }),
+          { maxLength: 15 }
+        ),
+        (locationCount, units) => {
+          const locations = Array.from({ length: locationCount }, (_, i) => ({
+            id: i + 1, name: `Location ${i + 1}`, status: 'controlled'
+          }));
+          const forces = units.map((unit, i) => ({
+            id: i + 1,
+            name: `Unit ${i + 1}`,
+            side: unit.side,
+            size: unit.size,
+            strength: unit.strength,
+            location_id: unit.location >= 0 && unit.location < locationCount ? unit.location + 1 : null
+          }));
+
+          const summary = Force.summarizeRoster(forces, locations);
+
+          const tally = (subset, side) => {
+            const sideForces = subset.filter(force => force.side === side);
+            return {
+              soldiers: sideForces.reduce((sum, force) => sum + force.size, 0),
+              units: sideForces.length,
+              strength: sideForces.reduce((sum, force) => sum + force.size * force.strength, 0)
+            };
+          };
+          const expectRow = (row, subset) => {
+            const defenders = tally(subset, 'defender');
+            const enemies = tally(subset, 'enemy');
+            expect(row).toMatchObject({
+              defenders: defenders.soldiers,
+              defender_units: defenders.units,
+              defender_strength: defenders.strength,
+              enemies: enemies.soldiers,
+              enemy_units: enemies.units,
+              enemy_strength: enemies.strength
+            });
+          };
+
+          const unposted = forces.filter(force => force.location_id === null);
+          expect(summary.locations).toHaveLength(locationCount + (unposted.length > 0 ? 1 : 0));
+          locations.forEach((location, i) => {
+            expect(summary.locations[i]).toMatchObject({ location_id: location.id, location_name: location.name });
+            expectRow(summary.locations[i], forces.filter(force => force.location_id === location.id));
+          });
+          if (unposted.length > 0) {
+            expect(summary.locations[locationCount].location_id).toBeNull();
+            expectRow(summary.locations[locationCount], unposted);
+          }
+          expectRow(summary.totals, forces);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 94: Casualties shrink a unit and move the defenders' morale
+   *
+   * For any roster, unit and number of casualties, the unit loses that many
+   * soldiers but never more than it has, and defender morale falls (for a
+   * defending unit) or rises (for an enemy unit) by the share of that side
+   * lost at the side's rate, at least one point, kept within 0-100 and
+   * recorded in the siege history
+   */
+  test('Property 94: Casualties shrink a unit and move the defenders\' morale', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 0, max: 2000 }), { minLength: 1, maxLength: 3 }),
+        fc.array(fc.integer({ min: 0, max: 2000 }), { minLength: 1, maxLength: 3 }),
+        fc.constantFrom(...Force.SIDES),
+        fc.nat(),
+        fc.integer({ min: 1, max: 2500 }),
+        fc.integer({ min: 0, max: 100 }),
+        async (defenderSizes, enemySizes, side, pick, count, morale) => {
+          await startSiege({ defender_morale: morale });
+          const roster = { defender: [], enemy: [] };
+          for (const [rosterSide, sizes] of [['defender', defenderSizes], ['enemy', enemySizes]]) {
+            for (const size of sizes) {
+              roster[rosterSide].push(await Force.create(testCampaignId, { name: `${rosterSide} ${size}`, side: rosterSide, size }));
+            }
+          }
+          const unit = roster[side][pick % roster[side].length];
+          const sideTotal = roster[side].reduce((sum, force) => sum + force.size, 0);
+
+          const result = await Force.recordCasualties(unit.id, { count });
+
+          const lost = Math.min(count, unit.size);
+          const rate = side === 'enemy' ? Force.ENEMY_LOSS_MORALE : -Force.DEFENDER_LOSS_MORALE;
+          const change = lost === 0 ? 0 : Math.sign(rate) * Math.max(1, Math.round((lost / sideTotal) * 100 * Math.abs(rate)));
+          const expectedMorale = Math.max(0, Math.min(100, morale + change));
+
+          expect(result.casualties).toBe(lost);
+          expect(result.force.size).toBe(unit.size - lost);
+          expect(result.morale_change).toBe(expectedMorale - morale);
+          expect(result.siege_state.defender_morale).toBe(expectedMorale);
+
+          const history = await SiegeState.getHistory(testCampaignId);
+          const latest = history[history.length - 1];
+          expect(latest.defender_morale).toBe(expectedMorale);
+          if (expectedMorale !== morale) {
+            expect(latest.reason).toBe(`${lost} lost from ${unit.name}`);
+          }
+        }
+      ),
+      { numRuns: 50 } // Fewer runs, each one builds a roster in the database
+    );
+  });
+
+  /**
+   * Forces are validated, stay within their campaign's locations and are
+   * unassigned when their location is deleted; casualties can fire triggers
+   */
+  test('Forces are validated, posted to locations and fire triggers through casualties', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const other = await db.query("INSERT INTO campaigns (name) VALUES ('Test Campaign - Other Forces') RETURNING id");
+    const otherId = other.rows[0].id;
+
+    try {
+      await startSiege({ defender_morale: 52 });
+      const gate = await db.query(
+        "INSERT INTO locations (campaign_id, name) VALUES ($1, 'Eastern Gate') RETURNING *",
+        [testCampaignId]
+      );
+      const foreign = await db.query(
+        "INSERT INTO locations (campaign_id, name) VALUES ($1, 'Elsewhere') RETURNING *",
+        [otherId]
+      );
+      const gateId = gate.rows[0].id;
+
+      await expect(Force.create(testCampaignId, {})).rejects.toThrow('Name is required');
+      await expect(Force.create(testCampaignId, { name: 'Guard', side: 'neutral' }))
+        .rejects.toThrow('Side must be one of: defender, enemy');
+      await expect(Force.create(testCampaignId, { name: 'Guard', size: -1 })).rejects.toThrow('Size');
+      await expect(Force.create(testCampaignId, { name: 'Guard', strength: 0 })).rejects.toThrow('Strength');
+      await expect(Force.create(testCampaignId, { name: 'Guard', location_id: foreign.rows[0].id }))
+        .rejects.toThrow('Location must be in the campaign');
+
+      const guard = await Force.create(testCampaignId, { name: '  Neverwinter Guard ', size: 400, location_id: gateId });
+      expect(guard).toMatchObject({
+        name: 'Neverwinter Guard', side: 'defender', unit_type: 'infantry',
+        size: 400, strength: 1, morale: 100, location_id: gateId, location_name: 'Eastern Gate'
+      });
+      const dragon = await Force.create(testCampaignId, {
+        name: 'Blue Dragon', side: 'enemy', unit_type: 'monsters', size: 1, strength: 500, location_id: gateId
+      });
+      const harpers = await Force.create(testCampaignId, {
+        name: 'Harpers', unit_type: 'mages', size: 50, strength: 3, notes: 'Spies<script>alert(1)</script>'
+      });
+      expect(harpers.notes).toBe('Spies');
+      expect((await Force.update(harpers.id, { notes: '<img src=x onerror="alert(1)">Scouts' })).notes)
+        .toBe('<img src=x >Scouts');
+
+      expect((await Force.findByCampaign(testCampaignId, { side: 'enemy' })).map(force => force.id)).toEqual([dragon.id]);
+      expect(await Force.findByCampaign(testCampaignId, { location_id: gateId })).toHaveLength(2);
+
+      let summary = await Force.summarize(testCampaignId);
+      expect(summary.locations[0]).toMatchObject({
+        location_id: gateId, defenders: 400, defender_units: 1, enemies: 1, enemy_strength: 500
+      });
+      expect(summary.locations[1]).toMatchObject({ location_id: null, defenders: 50, defender_strength: 150 });
+      expect(summary.totals).toMatchObject({ defenders: 450, defender_units: 2, enemies: 1 });
+
+      expect(await Force.update(guard.id, { morale: 101 }).catch(error => error.message)).toMatch('Morale');
+      expect(await Force.update(guard.id, { location_id: foreign.rows[0].id }).catch(error => error.message))
+        .toMatch('Location must be in the campaign');
+      expect(await Force.update(999999, { size: 1 })).toBeNull();
+      const moved = await Force.update(guard.id, { morale: 70, location_id: null });
+      expect(moved).toMatchObject({ name: 'Neverwinter Guard', size: 400, morale: 70, location_id: null });
+
+      // Casualties are validated and can fire triggers on defender morale
+      await expect(Force.recordCasualties(guard.id, { count: 0 })).rejects.toThrow('Count');
+      expect(await Force.recordCasualties(999999, { count: 1 })).toBeNull();
+      await SiegeTrigger.create(testCampaignId, { name: 'Wavering', metric: 'defender_morale', operator: '<', threshold: 50 });
+      const result = await Force.recordCasualties(guard.id, { count: 45, reason: 'Dragon attack' });
+      expect(result).toMatchObject({ casualties: 45, morale_change: -5, force: { size: 355 } });
+      expect(result.siege_state.defender_morale).toBe(47);
+      const history = await SiegeState.getHistory(testCampaignId);
+      expect(history[history.length - 1].reason).toBe('Dragon attack');
+      expect(await SiegeTrigger.getLog(testCampaignId)).toHaveLength(1);
+
+      // Deleting a location unassigns its forces
+      await db.query('DELETE FROM locations WHERE id = $1', [gateId]);
+      expect((await Force.findById(dragon.id)).location_id).toBeNull();
+      summary = await Force.summarize(testCampaignId);
+      expect(summary.locations).toHaveLength(1);
+      expect(summary.locations[0]).toMatchObject({ location_id: null, defenders: 405, enemies: 1 });
+
+      expect((await Force.delete(dragon.id)).id).toBe(dragon.id);
+      expect(await Force.findById(dragon.id)).toBeNull();
+      expect(await Force.delete(dragon.id)).toBeNull();
+    } finally {
+      await db.query('DELETE FROM campaigns WHERE id = $1', [otherId]);
+    }
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Property-Based Tests for Inventories
+ * Feature: siege-of-neverwinter
+ * Tests the armor class worked out from equipment, the attunement limit,
+ * moving items between characters and the party stash, and coins
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Inventory } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-features-items.sql', 'add-death-saves.sql', 'add-concentration.sql', 'add-hit-dice.sql', 'add-ability-scores.sql', 'add-inventory.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Inventory') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function createCharacter(name, data = {}) {
+  const character = await Combatant.create(testCampaignId, {
+    name,
+    type: 'PC',
+    initiative: 10,
+    ac: 12,
+    current_hp: 20,
+    max_hp: 20,
+    character_class: 'Fighter',
+    level: 3
+  });
+  return Object.keys(data).length > 0 ? Combatant.update(character.id, data) : character;
+}
+
+// Generators
+const armorArb = fc.option(
+  fc.record({
+    name: fc.constant('Test Armor'),
+    category: fc.constant('armor'),
+    armor_type: fc.constantFrom(...Inventory.ARMOR_TYPES),
+    base_ac: fc.integer({ min: 11, max: 18 }),
+    equipped: fc.boolean()
+  }),
+  { nil: null }
+);
+const trinketArb = fc.record({
+  name: fc.constant('Test Trinket'),
+  category: fc.constant('gear'),
+  ac_bonus: fc.integer({ min: -2, max: 3 }),
+  equipped: fc.boolean(),
+  requires_attunement: fc.boolean(),
+  attuned: fc.boolean()
+});
+
+// Property Tests
+
+describe('Inventory Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 78: Armor class follows the equipped armor, shield and magic items
+   *
+   * For any Dexterity, armor, shield and AC items, the armor class is the
+   * armor's base plus all of the DEX modifier (light), up to +2 (medium) or
+   * none (heavy), or 10 + DEX without armor, plus the shield and the bonuses
+   * of equipped items that are attuned when they need to be
+   */
+  test('Property 78: Armor class follows the equipped armor, shield and magic items', () => {
+    fc.assert(
+      fc.property(
+        fc.option(fc.integer({ min: 1, max: 30 }), { nil: null }),
+        armorArb,
+        fc.option(fc.integer({ min: 1, max: 3 }), { nil: null }),
+        fc.array(trinketArb, { maxLength: 4 }),
+        (dexScore, armor, shieldAc, trinkets) => {
+          const items = [...trinkets.map(item => ({ base_ac: null, ...item }))];
+          if (armor) {
+            items.push({ ac_bonus: 0, requires_attunement: false, attuned: false, ...armor });
+          }
+          if (shieldAc !== null) {
+            items.push({ name: 'Test Shield', category: 'shield', base_ac: shieldAc, ac_bonus: 0, equipped: true });
+          }
+
+          const dex = dexScore === null ? 0 : Math.floor((dexScore - 10) / 2);
+          let expected = 10 + dex;
+          if (armor && armor.equipped) {
+            const limits = { light: dex, medium: Math.min(dex, 2), heavy: 0 };
+            expected = armor.base_ac + limits[armor.armor_type];
+          }
+          expected += shieldAc || 0;
+          for (const item of trinkets) {
+            if (item.equipped && (!item.requires_attunement || item.attuned)) {
+              expected += item.ac_bonus;
+            }
+          }
+
+          const result = Inventory.armorClass({ stat_dex: dexScore }, items);
+          expect(result.ac).toBe(expected);
+          expect(result.armor).toBe(armor && armor.equipped ? 'Test Armor' : null);
+          expect(result.breakdown.endsWith(`= ${expected}`)).toBe(true);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 79: A character is attuned to at most three items
+   *
+   * For any sequence of attuning and ending attunement, attuning succeeds only
+   * while the character has fewer than three attuned items, and the inventory
+   * always counts the attuned items it holds
+   */
+  test('Property 79: A character is attuned to at most three items', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const character = await createCharacter('Inventory Test Sorcerer');
+    const items = [];
+    for (let i = 0; i < 5; i++) {
+      items.push((await Inventory.addItem(testCampaignId, character.id, {
+        name: `Wondrous Item ${i + 1}`,
+        requires_attunement: true
+      })).item);
+    }
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.tuple(fc.integer({ min: 0, max: 4 }), fc.boolean()), { minLength: 1, maxLength: 10 }),
+          async (steps) => {
+            await db.query('UPDATE inventory_items SET attuned = false WHERE combatant_id = $1', [character.id]);
+            const attuned = new Set();
+
+            for (const [index, attune] of steps) {
+              const attempt = Inventory.updateItem(items[index].id, { attuned: attune });
+              if (attune && !attuned.has(index) && attuned.size >= Inventory.MAX_ATTUNED) {
+                await expect(attempt).rejects.toThrow('already attuned to 3 items');
+              } else {
+                await attempt;
+                if (attune) {
+                  attuned.add(index);
+                } else {
+                  attuned.delete(index);
+                }
+              }
+            }
+
+            const inventory = await Inventory.findByOwner(testCampaignId, character.id);
+            expect(inventory.attuned).toBe(attuned.size);
+            expect(inventory.attuned).toBeLessThanOrEqual(Inventory.MAX_ATTUNED);
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(character.id);
+    }
+  });
+
+  /**
+   * Equipping armor writes the character's AC, and taking it off or giving it away recomputes it
+   */
+  test('Equipment sets armor class and items move between characters and the stash', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fighter = await createCharacter('Inventory Test Fighter', { stat_dex: 14 });
+    const rogue = await createCharacter('Inventory Test Rogue');
+
+    try {
+      const { item: mail } = await Inventory.addItem(testCampaignId, fighter.id, {
+        name: 'Chain Mail',
+        category: 'armor',
+        armor_type: 'heavy',
+        base_ac: 16,
+        weight: 55
+      });
+      const { item: shield } = await Inventory.addItem(testCampaignId, fighter.id, { name: 'Shield', category: 'shield', weight: 6 });
+      expect(shield.base_ac).toBe(2);
+      expect((await Combatant.findById(fighter.id)).ac).toBe(12);
+
+      let result = await Inventory.updateItem(mail.id, { equipped: true });
+      expect(result.combatant.ac).toBe(16);
+      result = await Inventory.updateItem(shield.id, { equipped: true });
+      expect(result.combatant.ac).toBe(18);
+
+      const { item: plate } = await Inventory.addItem(testCampaignId, fighter.id, {
+        name: 'Plate', category: 'armor', armor_type: 'heavy', base_ac: 18
+      });
+      await expect(Inventory.updateItem(plate.id, { equipped: true })).rejects.toThrow('already has Chain Mail equipped');
+      await expect(Inventory.addItem(testCampaignId, fighter.id, { name: 'Robe', category: 'armor' }))
+        .rejects.toThrow('armor type and a base AC');
+
+      // Giving the shield away unequips it
+      result = await Inventory.transferItem(shield.id, { combatant_id: rogue.id });
+      expect(result.item).toMatchObject({ combatant_id: rogue.id, equipped: false });
+      expect(result.from.ac).toBe(16);
+
+      // Taking the armor off goes back to 10 + DEX
+      result = await Inventory.updateItem(mail.id, { equipped: false });
+      expect(result.combatant.ac).toBe(12);
+
+      // Part of a stack goes to the stash, which cannot equip it
+      const { item: arrows } = await Inventory.addItem(testCampaignId, fighter.id, { name: 'Arrows', quantity: 20, weight: 0.05 });
+      result = await Inventory.transferItem(arrows.id, { combatant_id: null, quantity: 5 });
+      expect(result.item).toMatchObject({ combatant_id: null, quantity: 5 });
+      expect(result.remaining.quantity).toBe(15);
+      await expect(Inventory.updateItem(result.item.id, { equipped: true })).rejects.toThrow('stash');
+      await expect(Inventory.transferItem(arrows.id, { combatant_id: null, quantity: 16 })).rejects.toThrow('between 1 and 15');
+
+      const stash = await Inventory.findByOwner(testCampaignId, null);
+      expect(stash.items.map(item => item.name)).toEqual(['Arrows']);
+
+      // Charges are spent and stacks are used up
+      const { item: wand } = await Inventory.addItem(testCampaignId, fighter.id, { name: 'Wand of Magic Missiles', max_charges: 7 });
+      expect(wand.charges).toBe(7);
+      expect((await Inventory.useItem(wand.id, 3)).item.charges).toBe(4);
+      await expect(Inventory.useItem(wand.id, 5)).rejects.toThrow('4 charges left');
+      await expect(Inventory.updateItem(wand.id, { charges: 8 })).rejects.toThrow('at most 7');
+      expect((await Inventory.useItem(arrows.id, 15)).item).toBeNull();
+
+      const inventory = await Inventory.findByOwner(testCampaignId, fighter.id);
+      expect(inventory.weight.items).toBe(55);
+      expect(inventory.armor_class.ac).toBe(12);
+      expect(await Inventory.findByOwner(testCampaignId, -1)).toBeNull();
+      expect(await Inventory.updateItem(-1, { equipped: true })).toBeNull();
+    } finally {
+      await Combatant.delete(fighter.id);
+      await Combatant.delete(rogue.id);
+      await db.query('DELETE FROM inventory_items WHERE campaign_id = $1 AND combatant_id IS NULL', [testCampaignId]);
+    }
+  });
+
+  /**
+   * Coins are added, spent and moved without any purse going below zero
+   */
+  test('Coins move between purses and never go negative', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const wizard = await createCharacter('Inventory Test Wizard', { stat_str: 8 });
+
+    try {
+      const purse = await Inventory.adjustCurrency(testCampaignId, wizard.id, { gp: 10, sp: 5 });
+      expect(purse).toMatchObject({ gp: 10, sp: 5, cp: 0, total_gp: 10.5 });
+
+      await expect(Inventory.adjustCurrency(testCampaignId, wizard.id, { gp: -11 })).rejects.toThrow('only has 10 gp');
+      await expect(Inventory.adjustCurrency(testCampaignId, wizard.id, {})).rejects.toThrow('At least one of');
+
+      const moved = await Inventory.transferCurrency(testCampaignId, { from_combatant_id: wizard.id, gp: 4 });
+      expect(moved.from.gp).toBe(6);
+      expect(moved.to.gp).toBe(4);
+      await expect(Inventory.transferCurrency(testCampaignId, { to_combatant_id: wizard.id, gp: 5 }))
+        .rejects.toThrow('The stash only has 4 gp');
+      await expect(Inventory.transferCurrency(testCampaignId, { from_combatant_id: wizard.id, gp: -1 }))
+        .rejects.toThrow('Validation failed');
+
+      const inventory = await Inventory.findByOwner(testCampaignId, wizard.id);
+      expect(inventory.purse.gp).toBe(6);
+      expect(inventory.weight.coins).toBe(0.22);
+      expect(inventory.weight.capacity).toBe(120);
+    } finally {
+      await Combatant.delete(wizard.id);
+      await db.query('DELETE FROM purses WHERE campaign_id = $1', [testCampaignId]);
+    }
+  });
+});
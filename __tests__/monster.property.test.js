@@ -6,6 +6,7 @@
 
 const fc = require('fast-check');
 const { Monster, Combatant } = require('../server/models');
+const Dice = require('../shared/dice');
 const db = require('../database/db');
 
 // Test configuration
@@ -423,4 +424,100 @@ describe('Monster Database Properties', () => {
       { numRuns: NUM_RUNS }
     );
   });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 56: Instance HP follows the HP mode
+   *
+   * For any HP formula, rolled HP lies between the formula's minimum and maximum,
+   * max HP is the formula's maximum and average HP matches the template average
+   */
+  test('Property 56: Instance HP follows the HP mode', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 20 }),
+        fc.constantFrom(4, 6, 8, 10, 12, 20),
+        fc.integer({ min: 0, max: 100 }),
+        (count, sides, bonus) => {
+          const formula = `${count}d${sides}+${bonus}`;
+          const rolled = Monster.instanceHP(formula, 'rolled');
+
+          expect(rolled).toBeGreaterThanOrEqual(Dice.min(formula));
+          expect(rolled).toBeLessThanOrEqual(Dice.max(formula));
+          expect(Monster.instanceHP(formula, 'max')).toBe(Dice.max(formula));
+          expect(Monster.instanceHP(formula, 'average')).toBe(Monster.averageHP(formula));
+          expect(Monster.instanceHP(`${Monster.averageHP(formula)} (${formula})`, 'max')).toBe(Dice.max(formula));
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 57: Batch instances are numbered in sequence
+   *
+   * For any batch size, a batch creates that many independent combatants named
+   * "<name> 1".."<name> N", and a second batch continues the numbering
+   */
+  test('Property 57: Batch instances are numbered in sequence', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.integer({ min: 1, max: 4 }),
+        fc.integer({ min: 1, max: 3 }),
+        fc.integer({ min: 1, max: 30 }),
+        async (firstCount, secondCount, dex) => {
+          const monster = await Monster.create(testCampaignId, {
+            name: 'Dragonclaw',
+            ac: 14,
+            hp_formula: '2d8+2',
+            stat_dex: dex
+          });
+
+          try {
+            const first = await Monster.createInstances(monster.id, { count: firstCount, hp_mode: 'rolled' });
+            const second = await Monster.createInstances(monster.id, { count: secondCount });
+            const names = [...first, ...second].map(i => i.combatant.name);
+
+            expect(names).toEqual(
+              Array.from({ length: firstCount + secondCount }, (_, i) => `Dragonclaw ${i + 1}`)
+            );
+
+            const modifier = Monster.dexModifier(monster);
+            for (const { combatant } of [...first, ...second]) {
+              expect(combatant.current_hp).toBe(combatant.max_hp);
+              expect(combatant.current_hp).toBeGreaterThanOrEqual(4);
+              expect(combatant.current_hp).toBeLessThanOrEqual(18);
+              expect(combatant.initiative).toBeGreaterThanOrEqual(Math.max(1, 1 + modifier));
+              expect(combatant.initiative).toBeLessThanOrEqual(Math.max(1, 20 + modifier));
+            }
+          } finally {
+            const instances = await Monster.getInstances(monster.id);
+            for (const instance of instances) {
+              await Combatant.delete(instance.combatant_id);
+            }
+            await Monster.delete(monster.id);
+          }
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Invalid HP modes and batch sizes are rejected
+   */
+  test('Invalid HP options and batch sizes are rejected', async () => {
+    expect(() => Monster.instanceHP('2d8', 'lucky')).toThrow('Validation failed');
+    expect(() => Monster.instanceHP('2d8', 'custom')).toThrow('Validation failed');
+    expect(() => Monster.instanceHP('2d8', 'custom', 0)).toThrow('Validation failed');
+    expect(Monster.instanceHP('2d8', 'custom', 42)).toBe(42);
+    expect(Monster.instanceHP('not dice', 'rolled')).toBe(10);
+
+    await expect(Monster.createInstances(1, { count: 0 })).rejects.toThrow('Validation failed');
+    await expect(Monster.createInstances(1, { count: 21 })).rejects.toThrow('Validation failed');
+  });
 });
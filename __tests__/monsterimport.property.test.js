@@ -0,0 +1,363 @@
+/**
+ * Property-Based Tests for Monster Import
+ * Feature: siege-of-neverwinter
+ * Tests reading monster templates from stat block text and the 5e SRD,
+ * Improved Initiative and Foundry VTT JSON formats
+ */
+
+const fc = require('fast-check');
+const { Monster } = require('../server/models');
+const MonsterImport = require('../server/utils/monsterImport');
+const Abilities = require('../shared/abilities');
+const Leveling = require('../shared/leveling');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Monster Import') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+const STAT_COLUMNS = ['stat_str', 'stat_dex', 'stat_con', 'stat_int', 'stat_wis', 'stat_cha'];
+const DAMAGE_TYPES = ['acid', 'bludgeoning', 'cold', 'fire', 'piercing', 'poison', 'slashing'];
+
+function signed(value) {
+  return value >= 0 ? `+${value}` : `${value}`;
+}
+
+function diceText(attack) {
+  return `${attack.count}d${attack.die}${attack.plus ? ` + ${attack.plus}` : ''}`;
+}
+
+function diceFormula(attack) {
+  return `${attack.count}d${attack.die}${attack.plus ? `+${attack.plus}` : ''}`;
+}
+
+/**
+ * Write a generated monster as a Monster Manual stat block
+ */
+function toStatBlock(monster) {
+  const lines = [
+    monster.name,
+    'Medium humanoid, neutral evil',
+    `Armor Class ${monster.ac} (natural armor)`,
+    `Hit Points 30 (${diceText(monster.hp)})`,
+    'Speed 30 ft.',
+    'STR DEX CON INT WIS CHA',
+    STAT_COLUMNS.map(column => `${monster[column]} (${signed(Math.floor((monster[column] - 10) / 2))})`).join(' ')
+  ];
+  if (monster.saves.length > 0) {
+    lines.push(`Saving Throws ${monster.saves.map(([ability, bonus]) => `${ability.slice(0, 3)} ${signed(bonus)}`).join(', ')}`);
+  }
+  if (monster.skills.length > 0) {
+    lines.push(`Skills ${monster.skills.map(([skill, bonus]) => `${skill.replace(/_/g, ' ')} ${signed(bonus)}`).join(', ')}`);
+  }
+  lines.push('Senses passive Perception 10', 'Languages Common');
+  lines.push(`Challenge ${monster.cr} (${Leveling.crXp(monster.cr)} XP)`);
+  lines.push('Actions');
+  monster.attacks.forEach(attack => {
+    lines.push(`${attack.name}. Melee Weapon Attack: ${signed(attack.bonus)} to hit, reach 5 ft., one target. Hit: 9 (${diceText(attack)}) ${attack.type} damage.`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Write a generated monster as 5e SRD API and Improved Initiative JSON
+ */
+function toSrd(monster) {
+  const data = {
+    index: monster.name.toLowerCase(),
+    name: monster.name,
+    size: 'Medium',
+    armor_class: [{ type: 'natural', value: monster.ac }],
+    hit_points: 30,
+    hit_points_roll: diceFormula(monster.hp),
+    speed: { walk: '30 ft.' },
+    proficiencies: [
+      ...monster.saves.map(([ability, value]) => ({ value, proficiency: { index: `saving-throw-${ability.slice(0, 3)}` } })),
+      ...monster.skills.map(([skill, value]) => ({ value, proficiency: { index: `skill-${skill.replace(/_/g, '-')}` } }))
+    ],
+    challenge_rating: Leveling.parseCr(monster.cr),
+    actions: monster.attacks.map(attack => ({
+      name: attack.name,
+      desc: 'Melee Weapon Attack.',
+      attack_bonus: attack.bonus,
+      damage: [{ damage_type: { name: attack.type }, damage_dice: diceFormula(attack) }]
+    }))
+  };
+  Abilities.ABILITIES.forEach((ability, i) => { data[ability] = monster[STAT_COLUMNS[i]]; });
+  return data;
+}
+
+function toImprovedInitiative(monster) {
+  const abilities = {};
+  ['Str', 'Dex', 'Con', 'Int', 'Wis', 'Cha'].forEach((name, i) => { abilities[name] = monster[STAT_COLUMNS[i]]; });
+  return {
+    Id: 'test',
+    Name: monster.name,
+    Type: 'Medium humanoid',
+    HP: { Value: 30, Notes: `(${diceText(monster.hp)})` },
+    AC: { Value: monster.ac, Notes: '' },
+    Speed: ['30 ft.'],
+    Abilities: abilities,
+    Saves: monster.saves.map(([ability, Modifier]) => ({ Name: ability.slice(0, 3), Modifier })),
+    Skills: monster.skills.map(([skill, Modifier]) => ({ Name: skill.replace(/_/g, ' '), Modifier })),
+    Challenge: monster.cr,
+    Actions: monster.attacks.map(attack => ({
+      Name: attack.name,
+      Content: `Melee Weapon Attack: ${signed(attack.bonus)} to hit, reach 5 ft., one target. Hit: 9 (${diceText(attack)}) ${attack.type} damage.`,
+      Usage: ''
+    }))
+  };
+}
+
+// Generators
+const diceArb = fc.record({
+  count: fc.integer({ min: 1, max: 20 }),
+  die: fc.constantFrom(4, 6, 8, 10, 12),
+  plus: fc.integer({ min: 0, max: 40 })
+});
+
+const monsterArb = fc.record({
+  name: fc.constantFrom('Cultist', 'Ash Zombie', 'Dragonclaw', 'Wyrmspeaker', 'Red Wizard'),
+  ac: fc.integer({ min: 5, max: 25 }),
+  hp: diceArb,
+  stat_str: fc.integer({ min: 1, max: 30 }),
+  stat_dex: fc.integer({ min: 1, max: 30 }),
+  stat_con: fc.integer({ min: 1, max: 30 }),
+  stat_int: fc.integer({ min: 1, max: 30 }),
+  stat_wis: fc.integer({ min: 1, max: 30 }),
+  stat_cha: fc.integer({ min: 1, max: 30 }),
+  saves: fc.uniqueArray(fc.tuple(fc.constantFrom(...Abilities.ABILITIES), fc.integer({ min: -5, max: 15 })), { selector: save => save[0], maxLength: 6 }),
+  skills: fc.uniqueArray(fc.tuple(fc.constantFrom(...Object.keys(Abilities.SKILLS)), fc.integer({ min: -5, max: 15 })), { selector: skill => skill[0], maxLength: 4 }),
+  cr: fc.constantFrom(...Object.keys(Leveling.CR_XP).map(cr => MonsterImport.formatCr(Number(cr)))),
+  attacks: fc.uniqueArray(
+    fc.record({
+      name: fc.constantFrom('Scimitar', 'Bite', 'Claw', 'Tail', 'Sacrificial Knife'),
+      bonus: fc.integer({ min: 0, max: 14 }),
+      count: fc.integer({ min: 1, max: 6 }),
+      die: fc.constantFrom(4, 6, 8, 10, 12),
+      plus: fc.integer({ min: 0, max: 10 }),
+      type: fc.constantFrom(...DAMAGE_TYPES)
+    }),
+    { selector: attack => attack.name, maxLength: 4 }
+  )
+});
+
+/**
+ * The monster template fields a generated monster should map to
+ */
+function expectedFields(monster) {
+  const expected = {
+    name: monster.name,
+    ac: monster.ac,
+    hp_formula: diceFormula(monster.hp),
+    cr: monster.cr,
+    saves: Object.fromEntries(monster.saves),
+    skills: Object.fromEntries(monster.skills)
+  };
+  STAT_COLUMNS.forEach(column => { expected[column] = monster[column]; });
+  return expected;
+}
+
+// Property Tests
+
+describe('Monster Import Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 84: Stat block text imports to the monster it describes
+   *
+   * For any monster written out as a standard stat block, importing the text
+   * gives back its AC, hit dice, ability scores, saves, skills, challenge
+   * rating and attacks (bonus, damage dice and type), and reports the type
+   * line as unmapped
+   */
+  test('Property 84: Stat block text imports to the monster it describes', () => {
+    fc.assert(
+      fc.property(fc.array(monsterArb, { minLength: 1, maxLength: 3 }), (monsters) => {
+        const text = monsters.map(toStatBlock).join('\n---\n');
+        const results = MonsterImport.parseMonsters(text);
+
+        expect(results).toHaveLength(monsters.length);
+        results.forEach((result, i) => {
+          const monster = monsters[i];
+          expect(result.format).toBe('text');
+          expect(result.monster).toMatchObject(expectedFields(monster));
+          expect(result.monster.attacks).toEqual(monster.attacks.map(attack => expect.objectContaining({
+            name: attack.name,
+            bonus: attack.bonus,
+            damage: diceFormula(attack),
+            type: attack.type
+          })));
+          expect(result.unmapped).toEqual(['Type: Medium humanoid, neutral evil']);
+          expect(Monster.validate(result.monster)).toEqual([]);
+        });
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 85: JSON formats map to the same monster as its stat block
+   *
+   * For any monster, its 5e SRD and Improved Initiative JSON are recognized
+   * without naming the format and map to the same template fields and attacks
+   * as its stat block text, alone, in arrays and in an Improved Initiative library
+   */
+  test('Property 85: JSON formats map to the same monster as its stat block', () => {
+    fc.assert(
+      fc.property(monsterArb, (monster) => {
+        const fromText = MonsterImport.parseStatBlock(toStatBlock(monster)).monster;
+        const attacks = fromText.attacks.map(({ name, bonus, damage, type }) => ({ name, bonus, damage, type }));
+
+        const srd = MonsterImport.parseMonsters(JSON.stringify(toSrd(monster)));
+        const library = MonsterImport.parseMonsters({ 'Creatures.test': JSON.stringify(toImprovedInitiative(monster)) });
+        const both = MonsterImport.parseMonsters([toSrd(monster), toImprovedInitiative(monster)]);
+
+        expect(srd[0].format).toBe('srd');
+        expect(library[0].format).toBe('improved_initiative');
+        expect(both.map(result => result.format)).toEqual(['srd', 'improved_initiative']);
+
+        [srd[0], library[0], ...both].forEach(result => {
+          expect(result.monster).toMatchObject(expectedFields(monster));
+          expect(result.monster.attacks.map(({ name, bonus, damage, type }) => ({ name, bonus, damage, type }))).toEqual(attacks);
+        });
+        expect(srd[0].unmapped).toEqual(['size: Medium']);
+        expect(library[0].unmapped).toEqual(['Type: Medium humanoid']);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Foundry VTT actors are mapped from their abilities, attributes and items
+   */
+  test('Foundry VTT actors map abilities, proficiencies and weapon attacks', () => {
+    const [result] = MonsterImport.parseMonsters({
+      name: 'Bandit Captain',
+      type: 'npc',
+      system: {
+        abilities: {
+          str: { value: 15 }, dex: { value: 16, proficient: 1 }, con: { value: 14 },
+          int: { value: 14 }, wis: { value: 11, proficient: 1 }, cha: { value: 14 }
+        },
+        attributes: {
+          ac: { flat: 15, calc: 'flat' },
+          hp: { value: 65, max: 65, formula: '10d8 + 20' },
+          movement: { walk: 30, climb: 15, units: 'ft' },
+          senses: { darkvision: 60, units: 'ft' }
+        },
+        details: { cr: 2, biography: { value: '<p>A <em>ruthless</em> leader.</p>' }, alignment: 'any non-lawful' },
+        skills: { ath: { value: 1, ability: 'str' }, dec: { value: 2, ability: 'cha' } },
+        traits: { di: { value: ['poison'] }, ci: { value: ['poisoned'] }, languages: { value: ['common', 'thieves'] } }
+      },
+      items: [
+        { name: 'Scimitar', type: 'weapon', system: { actionType: 'mwak', properties: ['fin'], damage: { parts: [['1d6 + @mod', 'slashing']] } } },
+        { name: 'Parry', type: 'feat', system: { activation: { type: 'reaction' }, description: { value: '<p>Adds 2 to its AC.</p>' } } },
+        { name: 'Leather Armor', type: 'equipment', system: {} }
+      ]
+    });
+
+    expect(result.format).toBe('foundry');
+    expect(result.monster).toMatchObject({
+      name: 'Bandit Captain',
+      ac: 15,
+      hp_formula: '10d8+20',
+      speed: '30 ft., climb 15 ft.',
+      senses: 'darkvision 60 ft.',
+      cr: '2',
+      saves: { dexterity: 5, wisdom: 2 },
+      skills: { athletics: 4, deception: 6 },
+      immunities: ['poison'],
+      languages: 'Common, Thieves',
+      lore: 'A ruthless leader.'
+    });
+    expect(result.monster.attacks).toEqual([expect.objectContaining({ name: 'Scimitar', bonus: 5, damage: '1d6+3', type: 'slashing' })]);
+    expect(result.monster.abilities).toEqual([{ name: 'Parry (Reaction)', description: 'Adds 2 to its AC.' }]);
+    expect(result.unmapped).toEqual(['Condition immunities: poisoned', 'alignment: any non-lawful', 'Item: Leather Armor']);
+  });
+
+  /**
+   * Imports create the monsters that map cleanly and report the rest
+   */
+  test('Imports create the readable monsters and report the failures', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const content = JSON.stringify([
+      { name: 'Import Test Goblin', armor_class: 15, hit_points: 7, hit_dice: '2d6', strength: 8, dexterity: 14, constitution: 10, challenge_rating: 0.25, condition_immunities: 'charmed' },
+      { name: 'Import Test Giant', armor_class: 13, hit_points: 100, strength: 35 },
+      { title: 'Not a monster' }
+    ]);
+
+    const preview = await Monster.import(testCampaignId, { content, dry_run: true });
+    expect(preview.imported).toHaveLength(1);
+    expect(preview.imported[0].monster.id).toBeUndefined();
+    expect(await Monster.findByCampaign(testCampaignId)).toHaveLength(0);
+
+    const result = await Monster.import(testCampaignId, { content });
+    expect(result.imported).toHaveLength(1);
+    expect(result.imported[0]).toMatchObject({
+      index: 0,
+      format: 'srd',
+      monster: { name: 'Import Test Goblin', ac: 15, hp_formula: '2d6', cr: '1/4', campaign_id: testCampaignId },
+      unmapped: ['condition_immunities: charmed']
+    });
+    expect(result.failed).toEqual([
+      { index: 1, name: 'Import Test Giant', error: 'stat_str must be a number between 1 and 30' },
+      { index: 2, name: null, error: 'Unrecognized monster format' }
+    ]);
+
+    const stored = await Monster.findByCampaign(testCampaignId);
+    expect(stored.map(monster => monster.name)).toEqual(['Import Test Goblin']);
+
+    await expect(Monster.import(testCampaignId, {})).rejects.toThrow('Content is required');
+    await expect(Monster.import(testCampaignId, { content: '  ' })).rejects.toThrow('No monsters found');
+    await expect(Monster.import(testCampaignId, { content, format: 'fantasy_grounds' })).rejects.toThrow('Format must be one of');
+    await expect(Monster.import(testCampaignId, { content, dry_run: 'false' })).rejects.toThrow('Dry run must be true or false');
+
+    const broken = await Monster.import(testCampaignId, { content: '{"name": "Broken', dry_run: true });
+    expect(broken.failed[0].error).toMatch(/^Invalid JSON/);
+
+    // A broken Improved Initiative library entry fails on its own
+    const library = await Monster.import(testCampaignId, {
+      content: JSON.stringify({
+        'Creatures.bad': '{"Name": "Broken',
+        'Creatures.good': JSON.stringify({ Name: 'Import Test Kobold', HP: { Value: 5, Notes: '(2d6 - 2)' }, AC: { Value: 12 } })
+      }),
+      dry_run: true
+    });
+    expect(library.imported.map(entry => entry.monster.name)).toEqual(['Import Test Kobold']);
+    expect(library.failed).toHaveLength(1);
+    expect(library.failed[0]).toMatchObject({ index: 0, name: null });
+    expect(library.failed[0].error).toMatch(/^Invalid JSON/);
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Property-Based Tests for Resources
+ * Feature: siege-of-neverwinter
+ * Tests spell slot and limited-use resource tracking, rest resets and
+ * monster recharge abilities
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Monster, Encounter, Resource } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    // Recharges are rolled on encounter turn changes
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql', 'add-initiative-rolls.sql', 'add-condition-durations.sql', 'add-turn-boundaries.sql', 'add-resources.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Resources') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function createCaster() {
+  return await Combatant.create(testCampaignId, {
+    name: 'Resource Test Cleric',
+    type: 'PC',
+    initiative: 10,
+    ac: 16,
+    current_hp: 30,
+    max_hp: 30
+  });
+}
+
+// Property Tests
+
+describe('Resource Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 70: Resource uses stay between 0 and the maximum
+   *
+   * For any resource and sequence of uses and restores, a use succeeds exactly
+   * when enough uses are left, and used never drops below 0 or exceeds max_uses
+   */
+  test('Property 70: Resource uses stay between 0 and the maximum', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const caster = await createCaster();
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 0, max: 6 }),
+          fc.array(
+            fc.record({ action: fc.constantFrom('use', 'restore'), amount: fc.integer({ min: 1, max: 4 }) }),
+            { minLength: 1, maxLength: 4 }
+          ),
+          async (maxUses, operations) => {
+            let resource = await Resource.create(caster.id, { name: 'Ki', max_uses: maxUses, resets_on: 'short_rest' });
+            let used = 0;
+
+            try {
+              for (const { action, amount } of operations) {
+                if (action === 'use') {
+                  if (amount > maxUses - used) {
+                    await expect(Resource.use(caster.id, resource.id, amount)).rejects.toThrow('Validation failed');
+                    continue;
+                  }
+                  used += amount;
+                  resource = await Resource.use(caster.id, resource.id, amount);
+                } else {
+                  used = Math.max(0, used - amount);
+                  resource = await Resource.restore(caster.id, resource.id, amount);
+                }
+
+                expect(resource.used).toBe(used);
+                expect(resource.used).toBeGreaterThanOrEqual(0);
+                expect(resource.used).toBeLessThanOrEqual(resource.max_uses);
+              }
+            } finally {
+              await Resource.delete(caster.id, resource.id);
+            }
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(caster.id);
+    }
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 71: Recharge abilities are found in stat blocks
+   *
+   * For any attack or ability marked "Recharge N-6" (or "Recharge 6") in its
+   * name or description, the recharge threshold is N
+   */
+  test('Property 71: Recharge abilities are found in stat blocks', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 2, max: 6 }),
+        fc.constantFrom('Fire Breath', 'Poison Breath', 'Lightning Blast'),
+        fc.boolean(),
+        fc.boolean(),
+        (min, name, inName, isAttack) => {
+          const marker = min === 6 ? 'Recharge 6' : `Recharge ${min}-6`;
+          const entry = inName
+            ? { name: `${name} (${marker})`, description: 'The creature exhales.' }
+            : { name, description: `${marker}. The creature exhales.` };
+          const template = {
+            attacks: [{ name: 'Bite', description: 'Melee Weapon Attack: +6 to hit.' }, ...(isAttack ? [entry] : [])],
+            abilities: isAttack ? [] : [entry]
+          };
+
+          expect(Resource.findRecharges(template)).toEqual([{ name, recharge_min: min }]);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Short rests restore short rest resources; long rests restore everything that resets
+   */
+  test('Rests reset resources by rest type', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const caster = await createCaster();
+
+    try {
+      const slots = await Resource.create(caster.id, { kind: 'spell_slot', slot_level: 2, max_uses: 3 });
+      expect(slots.name).toBe('Level 2 spell slots');
+      expect(slots.resets_on).toBe('long_rest');
+      const divinity = await Resource.create(caster.id, { name: 'Channel Divinity', max_uses: 1, resets_on: 'short_rest' });
+      const boon = await Resource.create(caster.id, { name: 'Blessing', max_uses: 1 });
+
+      await Resource.use(caster.id, slots.id, 2);
+      await Resource.use(caster.id, divinity.id);
+      await Resource.use(caster.id, boon.id);
+
+      let reset = await Resource.reset(caster.id, 'short_rest');
+      expect(reset.map(r => r.name)).toEqual(['Channel Divinity']);
+
+      await Resource.use(caster.id, divinity.id);
+      reset = await Resource.reset(caster.id, 'long_rest');
+      expect(reset.map(r => r.name).sort()).toEqual(['Channel Divinity', 'Level 2 spell slots']);
+
+      const resources = await Resource.findByCombatant(caster.id);
+      expect(resources.map(r => [r.name, r.used])).toEqual([
+        ['Level 2 spell slots', 0],
+        ['Blessing', 1],
+        ['Channel Divinity', 0]
+      ]);
+
+      await expect(Resource.create(caster.id, { name: 'Blessing', max_uses: 2 })).rejects.toThrow('already');
+      await expect(Resource.create(caster.id, { kind: 'spell_slot', max_uses: 2 })).rejects.toThrow('Validation failed');
+      await expect(Resource.reset(caster.id, 'nap')).rejects.toThrow('Validation failed');
+      expect(await Resource.create(-1, { name: 'Rage', max_uses: 2 })).toBeNull();
+    } finally {
+      await Combatant.delete(caster.id);
+    }
+  });
+
+  /**
+   * Monster instances track their recharge abilities, which roll at the start of the monster's turn
+   */
+  test('Expended recharge abilities roll at the start of the turn', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const monster = await Monster.create(testCampaignId, {
+      name: 'Resource Test Wyrmling',
+      ac: 17,
+      hp_formula: '10d8+30',
+      attacks: [
+        { name: 'Bite', bonus: 6, damage: '1d10+4', type: 'piercing' },
+        { name: 'Fire Breath', bonus: 0, damage: '7d6', type: 'fire', description: 'Recharge 5-6. The dragon exhales fire.' }
+      ]
+    });
+    const { combatant: dragon } = await Monster.createInstance(monster.id, 'Resource Test Wyrmling 1', 20);
+    const knight = await createCaster();
+    const encounter = await Encounter.create(testCampaignId, { combatant_ids: [dragon.id, knight.id] });
+
+    try {
+      expect(dragon.resources.map(r => [r.name, r.recharge_min])).toEqual([['Fire Breath', 5]]);
+      const breath = dragon.resources[0];
+
+      await Resource.use(dragon.id, breath.id);
+      await expect(Resource.use(dragon.id, breath.id)).rejects.toThrow('has not recharged');
+
+      // The dragon goes first; the knight's turn rolls nothing for it
+      const started = await Encounter.start(encounter.id);
+      expect(started.recharges).toHaveLength(1);
+      expect(started.recharges[0].recharged).toBe(started.recharges[0].roll.total >= 5);
+      const afterKnight = await Encounter.nextTurn(encounter.id);
+      expect(afterKnight.recharges).toEqual([]);
+
+      // Stepping back and forward into the dragon's turn keeps its roll
+      await db.query('UPDATE combatant_resources SET used = 1 WHERE id = $1', [breath.id]);
+      const dragonTurn = await Encounter.nextTurn(encounter.id);
+      expect(dragonTurn.recharges).toHaveLength(1);
+      const firstRoll = dragonTurn.recharges[0];
+      for (let i = 0; i < 5; i++) {
+        await Encounter.previousTurn(encounter.id);
+        const expended = await db.query('SELECT used FROM combatant_resources WHERE id = $1', [breath.id]);
+        expect(expended.rows[0].used).toBe(1);
+
+        const again = await Encounter.nextTurn(encounter.id);
+        expect(again.recharges.map(r => [r.roll.total, r.recharged, r.resource.used]))
+          .toEqual([[firstRoll.roll.total, firstRoll.recharged, firstRoll.resource.used]]);
+      }
+
+      // Stepping back two turns keeps both, and stepping forward replays them in order
+      await Encounter.previousTurn(encounter.id);
+      await Encounter.previousTurn(encounter.id);
+      const undone = await db.query('SELECT undone_turns FROM encounters WHERE id = $1', [encounter.id]);
+      expect(undone.rows[0].undone_turns.map(t => t.round)).toEqual([2, 1]);
+      await Encounter.nextTurn(encounter.id);
+      await Encounter.nextTurn(encounter.id);
+      const replayed = await db.query('SELECT undone_turns FROM encounters WHERE id = $1', [encounter.id]);
+      expect(replayed.rows[0].undone_turns).toEqual([]);
+
+      // A roll at the table recharges it on 5 or 6
+      await db.query('UPDATE combatant_resources SET used = 1 WHERE id = $1', [breath.id]);
+      const missed = await Resource.rollRecharge(dragon.id, breath.id, { roll: 4 });
+      expect(missed.recharged).toBe(false);
+      const recharged = await Resource.rollRecharge(dragon.id, breath.id, { roll: 5 });
+      expect(recharged.recharged).toBe(true);
+      expect(recharged.resource.used).toBe(0);
+    } finally {
+      await Encounter.delete(encounter.id);
+      await Combatant.delete(knight.id);
+      await Combatant.delete(dragon.id);
+      await Monster.delete(monster.id);
+    }
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Property-Based Tests for Rests
+ * Feature: siege-of-neverwinter
+ * Tests short rests (hit dice), long rests (hit points, hit dice, exhaustion)
+ * and the resources and siege days they reset
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Condition, Resource, Rest, SiegeState } = require('../server/models');
+const Dice = require('../shared/dice');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql', 'add-death-saves.sql', 'add-condition-durations.sql', 'add-concentration.sql', 'add-resources.sql', 'add-hit-dice.sql', 'add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Rests') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function createCharacter(name, data = {}) {
+  const character = await Combatant.create(testCampaignId, {
+    name,
+    type: 'PC',
+    initiative: 10,
+    ac: 16,
+    current_hp: 40,
+    max_hp: 40,
+    character_class: 'Fighter',
+    level: 5
+  });
+  return Object.keys(data).length > 0 ? Combatant.update(character.id, data) : character;
+}
+
+// Property Tests
+
+describe('Rest Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 72: A long rest gives back half the hit dice
+   *
+   * For any level and number of spent hit dice, a long rest gives back half the
+   * character's hit dice (at least one), never more than were spent
+   */
+  test('Property 72: A long rest gives back half the hit dice', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 20 }),
+        fc.integer({ min: 0, max: 20 }),
+        fc.constantFrom('Barbarian', 'Fighter', 'Wizard', 'Cleric', null),
+        (level, spent, characterClass) => {
+          const character = { level, hit_dice_used: Math.min(spent, level), character_class: characterClass };
+          const regained = Rest.hitDiceRegained(character);
+
+          expect(regained).toBe(Math.min(character.hit_dice_used, Math.max(1, Math.floor(level / 2))));
+          expect(Rest.hitDice({ ...character, hit_dice_used: character.hit_dice_used - regained }).remaining)
+            .toBeLessThanOrEqual(level);
+          expect(Rest.hitDice(character).die).toBe(
+            { Barbarian: 12, Fighter: 10, Wizard: 6 }[characterClass] || 8
+          );
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 73: Short rest hit dice heal their rolls up to max HP
+   *
+   * For any hit points, Constitution and hit dice spent, a short rest spends
+   * exactly those hit dice and heals the rolled total (each die at least 0),
+   * never above max HP
+   */
+  test('Property 73: Short rest hit dice heal their rolls up to max HP', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const character = await createCharacter('Rest Test Fighter');
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 40 }),
+          fc.integer({ min: 1, max: 30 }),
+          fc.integer({ min: 0, max: 5 }),
+          fc.integer({ min: 1, max: 10000 }),
+          async (hp, con, spend, seed) => {
+            await Combatant.update(character.id, { current_hp: hp, stat_con: con, hit_dice_used: 0 });
+
+            const rest = await Rest.take(testCampaignId, {
+              type: 'short_rest',
+              combatant_ids: [character.id],
+              hit_dice: { [character.id]: spend },
+              seed
+            });
+            const [result] = rest.results;
+
+            // Replay the rolls with the same seed
+            const rng = Dice.createRng(seed);
+            const modifier = Math.floor((con - 10) / 2);
+            let healing = 0;
+            for (let i = 0; i < spend; i++) {
+              healing += Math.max(0, Dice.roll(modifier < 0 ? `1d10${modifier}` : `1d10+${modifier}`, { rng }).total);
+            }
+
+            expect(result.rolls).toHaveLength(spend);
+            expect(result.healing).toBe(healing);
+            expect(result.combatant.current_hp).toBe(Math.min(40, hp + healing));
+            expect(result.combatant.hit_dice_used).toBe(spend);
+            expect(result.hit_dice.remaining).toBe(5 - spend);
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(character.id);
+    }
+  });
+
+  /**
+   * Long rests restore hit points, hit dice, resources and one exhaustion level
+   */
+  test('Long rests restore the party and can advance the siege', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fighter = await createCharacter('Rest Test Knight', { current_hp: 12, temp_hp: 5, hit_dice_used: 4 });
+    const wizard = await createCharacter('Rest Test Wizard', { character_class: 'Wizard', current_hp: 0 });
+    const surge = await Resource.create(fighter.id, { name: 'Action Surge', max_uses: 1, resets_on: 'short_rest' });
+    const slots = await Resource.create(fighter.id, { kind: 'spell_slot', slot_level: 1, max_uses: 2 });
+    await Resource.use(fighter.id, surge.id);
+    await Resource.use(fighter.id, slots.id, 2);
+    await Condition.add(fighter.id, { condition: 'exhaustion 2' });
+
+    try {
+      // A short rest resets only short rest resources and cannot overspend hit dice
+      await expect(Rest.take(testCampaignId, {
+        type: 'short_rest', combatant_ids: [fighter.id], hit_dice: { [fighter.id]: 2 }
+      })).rejects.toThrow('has 1 hit dice left');
+      const short = await Rest.take(testCampaignId, { type: 'short_rest', combatant_ids: [fighter.id] });
+      expect(short.results[0].resources_reset.map(r => r.name)).toEqual(['Action Surge']);
+      expect(short.results[0].combatant.current_hp).toBe(12);
+
+      const day = (await SiegeState.getOrCreate(testCampaignId)).day_of_siege;
+      const rest = await Rest.take(testCampaignId, { type: 'long_rest', advance_day: true });
+      const byName = Object.fromEntries(rest.results.map(result => [result.combatant.name, result]));
+
+      const knight = byName['Rest Test Knight'];
+      expect(knight.combatant.current_hp).toBe(40);
+      expect(knight.combatant.temp_hp).toBe(0);
+      expect(knight.hit_dice_regained).toBe(2);
+      expect(knight.hit_dice.remaining).toBe(3);
+      expect(knight.exhaustion).toEqual({ from: 2, to: 1 });
+      expect(knight.resources_reset.map(r => r.name)).toEqual(['Level 1 spell slots']);
+      expect(await Condition.getNames(fighter.id)).toEqual(['exhaustion 1']);
+
+      // A character at 0 HP gets nothing from a long rest
+      expect(byName['Rest Test Wizard'].skipped).toBe('needs at least 1 HP');
+      expect(rest.siege_state.day_of_siege).toBe(day + 1);
+
+      // Exhaustion 1 goes away completely
+      await Rest.take(testCampaignId, { type: 'long_rest', combatant_ids: [fighter.id] });
+      expect(await Condition.getNames(fighter.id)).toEqual([]);
+
+      await expect(Rest.take(testCampaignId, { type: 'short_rest', advance_day: true })).rejects.toThrow('Validation failed');
+      await expect(Rest.take(testCampaignId, { type: 'nap' })).rejects.toThrow('Validation failed');
+      await expect(Rest.take(testCampaignId, { type: 'long_rest', combatant_ids: [-1] })).rejects.toThrow('in the campaign');
+      expect(await Rest.take(-1, { type: 'long_rest' })).toBeNull();
+    } finally {
+      await Combatant.delete(fighter.id);
+      await Combatant.delete(wizard.id);
+    }
+  });
+});
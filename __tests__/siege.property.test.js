@@ -5,6 +5,8 @@
  */
 
 const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
 const { SiegeState } = require('../server/models');
 const db = require('../database/db');
 
@@ -19,6 +21,11 @@ beforeAll(async () => {
   try {
     // Test database connection
     await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
     
     // Create a test campaign
     const result = await db.query(
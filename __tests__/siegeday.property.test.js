@@ -0,0 +1,263 @@
+/**
+ * Property-Based Tests for the Siege Day Engine
+ * Feature: siege-of-neverwinter
+ * Tests the daily siege rules (supplies, events and morale drift) and
+ * advancing the siege with them
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { SiegeDay, SiegeState } = require('../server/models');
+const Dice = require('../shared/dice');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-rules.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Siege Days') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+// Generators
+const percentArb = fc.integer({ min: 0, max: 100 });
+
+const siegeStateArb = fc.record({
+  wall_integrity: percentArb,
+  defender_morale: percentArb,
+  supplies: percentArb,
+  day_of_siege: fc.integer({ min: 1, max: 100 })
+});
+
+const moraleRuleArb = fc.tuple(
+  fc.constantFrom(...SiegeDay.METRICS),
+  fc.boolean(),
+  percentArb,
+  fc.integer({ min: -10, max: 10 })
+).map(([metric, below, threshold, change]) => (below
+  ? { metric, below: threshold, change }
+  : { metric, above: threshold, change }));
+
+const eventArb = fc.record({
+  name: fc.constantFrom('Dragon Flyover', 'Supply Run', 'Sappers', 'Rally'),
+  description: fc.constant(''),
+  weight: fc.integer({ min: 1, max: 5 }),
+  effects: fc.record({
+    wall_integrity: fc.integer({ min: -20, max: 20 }),
+    defender_morale: fc.integer({ min: -20, max: 20 }),
+    supplies: fc.integer({ min: -20, max: 20 })
+  }, { requiredKeys: [] })
+});
+
+const rulesArb = fc.record({
+  defenders: fc.integer({ min: 0, max: 10000 }),
+  supplies_per_1000: fc.integer({ min: 0, max: 400 }).map(n => n / 100),
+  event_chance: fc.integer({ min: 0, max: 100 }).map(n => n / 100),
+  morale_rules: fc.array(moraleRuleArb, { maxLength: 6 }),
+  events: fc.array(eventArb, { maxLength: 6 })
+});
+
+const clamp = value => Math.min(100, Math.max(0, value));
+
+// Property Tests
+
+describe('Siege Day Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 88: A siege day follows the daily rules
+   *
+   * For any siege state, rules and rolls, a day uses the defenders' supplies,
+   * applies at most one event from the table (its effects, each clamped to
+   * 0-100), then moves morale by every morale rule whose threshold the state
+   * after the event is past, keeping every metric within 0-100
+   */
+  test('Property 88: A siege day follows the daily rules', () => {
+    fc.assert(
+      fc.property(siegeStateArb, rulesArb, fc.integer(), (siegeState, rules, seed) => {
+        const outcome = SiegeDay.applyRules(siegeState, rules, Dice.createRng(seed));
+
+        expect(outcome.day).toBe(siegeState.day_of_siege + 1);
+        const used = Math.round(rules.defenders / 1000 * rules.supplies_per_1000);
+        expect(outcome.supplies_used).toBe(used);
+
+        const expected = { ...siegeState, supplies: clamp(siegeState.supplies - used) };
+        if (outcome.event) {
+          expect(rules.events).toContain(outcome.event);
+          Object.entries(outcome.event.effects).forEach(([metric, change]) => {
+            expected[metric] = clamp(expected[metric] + change);
+          });
+        } else if (rules.event_chance === 1) {
+          expect(rules.events).toHaveLength(0);
+        }
+
+        const matching = rules.morale_rules.filter(rule => rule.below !== undefined
+          ? expected[rule.metric] < rule.below
+          : expected[rule.metric] > rule.above);
+        expect(outcome.morale_changes.map(change => change.change)).toEqual(matching.map(rule => rule.change));
+        matching.forEach(rule => {
+          expected.defender_morale = clamp(expected.defender_morale + rule.change);
+        });
+
+        SiegeDay.METRICS.forEach(metric => {
+          expect(outcome.values[metric]).toBe(expected[metric]);
+          expect(outcome.values[metric]).toBeGreaterThanOrEqual(0);
+          expect(outcome.values[metric]).toBeLessThanOrEqual(100);
+        });
+
+        // Without a chance or a table there is never an event
+        expect(SiegeDay.applyRules(siegeState, { ...rules, event_chance: 0 }, Dice.createRng(seed)).event).toBeNull();
+        expect(SiegeDay.applyRules(siegeState, { ...rules, events: [] }, Dice.createRng(seed)).event).toBeNull();
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 89: Advancing the siege records every day
+   *
+   * For any rules and number of days, advancing moves the siege on that many
+   * days, adds one summary note and one history snapshot per day matching the
+   * state after each day, and gives the same days again for the same seed
+   */
+  test('Property 89: Advancing the siege records every day', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(rulesArb, siegeStateArb, fc.integer({ min: 1, max: 4 }), fc.integer(), async (rules, start, days, seed) => {
+        await SiegeDay.updateRules(testCampaignId, rules);
+        await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+        await SiegeState.create(testCampaignId, start);
+        const historyBefore = (await SiegeState.getHistory(testCampaignId)).length;
+
+        const result = await SiegeDay.advance(testCampaignId, { days, seed });
+        expect(result.days).toHaveLength(days);
+        expect(result.days.map(day => day.day)).toEqual(
+          Array.from({ length: days }, (_, i) => start.day_of_siege + i + 1)
+        );
+        expect(result.siege_state.day_of_siege).toBe(start.day_of_siege + days);
+
+        const history = (await SiegeState.getHistory(testCampaignId)).slice(historyBefore);
+        expect(history).toHaveLength(days);
+        expect(history.every(snapshot => snapshot.change_type === 'advance_day')).toBe(true);
+        expect(history[days - 1]).toMatchObject({
+          wall_integrity: result.siege_state.wall_integrity,
+          defender_morale: result.siege_state.defender_morale,
+          supplies: result.siege_state.supplies,
+          day_of_siege: result.siege_state.day_of_siege
+        });
+
+        const notes = await SiegeState.getNotes(testCampaignId);
+        expect(notes).toHaveLength(days);
+        result.days.forEach(day => {
+          expect(day.note.note_text).toMatch(new RegExp(`^Day ${day.day} of the siege\\.`));
+          if (day.event) {
+            expect(day.note.note_text).toContain(day.event.name);
+          }
+        });
+
+        // Replaying from the same state with the same seed gives the same days
+        await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+        await SiegeState.create(testCampaignId, start);
+        const replay = await SiegeDay.advance(testCampaignId, { days, seed });
+        expect(replay.siege_state).toMatchObject({
+          wall_integrity: result.siege_state.wall_integrity,
+          defender_morale: result.siege_state.defender_morale,
+          supplies: result.siege_state.supplies
+        });
+        expect(replay.days.map(day => day.note.note_text)).toEqual(result.days.map(day => day.note.note_text));
+      }),
+      { numRuns: 30 } // Fewer runs, each one plays the days out twice
+    );
+  });
+
+  /**
+   * Rules default to the Neverwinter scenario, are validated, can be changed
+   * in part and go back to the defaults
+   */
+  test('Siege rules are validated, updated in part and reset to the defaults', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await SiegeDay.resetRules(testCampaignId);
+    const defaults = await SiegeDay.getRules(testCampaignId);
+    expect(defaults).toMatchObject({ is_default: true, defenders: 2000, supplies_per_1000: 2 });
+    expect(defaults.events.length).toBeGreaterThan(0);
+
+    const updated = await SiegeDay.updateRules(testCampaignId, {
+      defenders: 1500,
+      events: [{ name: 'Griffon Riders Arrive', effects: { defender_morale: 10, supplies: 0 } }]
+    });
+    expect(updated).toMatchObject({ is_default: false, defenders: 1500, supplies_per_1000: 2, event_chance: 0.6 });
+    expect(updated.morale_rules).toEqual(defaults.morale_rules);
+    expect(updated.events).toEqual([
+      { name: 'Griffon Riders Arrive', description: '', weight: 1, effects: { defender_morale: 10 } }
+    ]);
+
+    await expect(SiegeDay.updateRules(testCampaignId, { event_chance: 1.5 }))
+      .rejects.toThrow('Event chance must be at most 1');
+    await expect(SiegeDay.updateRules(testCampaignId, { morale_rules: [{ metric: 'supplies', change: -2 }] }))
+      .rejects.toThrow('Morale rule 1: Set exactly one of below or above');
+    await expect(SiegeDay.updateRules(testCampaignId, { events: [{ name: 'Flood', effects: { gold: 5 } }] }))
+      .rejects.toThrow('Event 1: Effect must be one of: wall_integrity, defender_morale, supplies');
+    await expect(SiegeDay.advance(testCampaignId, { days: 31 })).rejects.toThrow('Days must be at most 30');
+    expect(await SiegeDay.advance(0)).toBeNull();
+
+    // Always the one event, and a starving city loses morale
+    await SiegeDay.updateRules(testCampaignId, {
+      defenders: 1000,
+      supplies_per_1000: 10,
+      event_chance: 1,
+      morale_rules: [{ metric: 'supplies', below: 1, change: -10, label: 'The city is starving' }]
+    });
+    await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+    await SiegeState.create(testCampaignId, { wall_integrity: 60, defender_morale: 50, supplies: 5 });
+    const result = await SiegeDay.advance(testCampaignId);
+    expect(result.siege_state).toMatchObject({ wall_integrity: 60, defender_morale: 50, supplies: 0, day_of_siege: 2 });
+    expect(result.days[0].event.name).toBe('Griffon Riders Arrive');
+    expect(result.days[0].morale_changes).toEqual([{ label: 'The city is starving', change: -10 }]);
+    expect(result.days[0].note.note_text).toBe([
+      'Day 2 of the siege.',
+      'Griffon Riders Arrive (Morale +10%)',
+      '1000 defenders used 10% of the supplies.',
+      'The city is starving: Morale -10%',
+      'Walls 60% -> 60%, Morale 50% -> 50%, Supplies 5% -> 0%'
+    ].join('\n'));
+
+    expect(await SiegeDay.resetRules(testCampaignId)).toMatchObject({ is_default: true, defenders: 2000 });
+  });
+});
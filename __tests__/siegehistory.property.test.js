@@ -0,0 +1,240 @@
+/**
+ * Property-Based Tests for Siege History
+ * Feature: siege-of-neverwinter
+ * Tests recording every siege change as a history snapshot and rewinding the
+ * live siege state to an earlier snapshot
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { SiegeState } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Siege History') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function startSiege() {
+  await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_history WHERE campaign_id = $1', [testCampaignId]);
+  return SiegeState.create(testCampaignId, {}, 'The dragon army arrives');
+}
+
+function metricsOf(row) {
+  return {
+    wall_integrity: row.wall_integrity,
+    defender_morale: row.defender_morale,
+    supplies: row.supplies,
+    day_of_siege: row.day_of_siege,
+    custom_metrics: row.custom_metrics
+  };
+}
+
+// Generators
+const percentArb = fc.integer({ min: 0, max: 100 });
+
+/**
+ * Generator for one change to the siege: an update of some values, moving the
+ * siege on some days, or setting a custom metric
+ */
+const changeArb = fc.oneof(
+  fc.record({
+    kind: fc.constant('update'),
+    data: fc.record({
+      wall_integrity: percentArb,
+      defender_morale: percentArb,
+      supplies: percentArb,
+      day_of_siege: fc.integer({ min: 1, max: 60 })
+    }, { requiredKeys: [] }).filter(data => Object.keys(data).length > 0),
+    reason: fc.option(fc.constantFrom('Catapult strike', 'Supply raid', 'Rousing speech'), { nil: null })
+  }),
+  fc.record({ kind: fc.constant('advance_day'), days: fc.integer({ min: 1, max: 3 }) }),
+  fc.record({ kind: fc.constant('metric'), value: fc.integer({ min: 0, max: 50 }) })
+);
+
+async function applyChange(change) {
+  if (change.kind === 'update') {
+    return SiegeState.update(testCampaignId, change.data, change.reason);
+  }
+  if (change.kind === 'advance_day') {
+    return SiegeState.advanceDay(testCampaignId, change.days);
+  }
+  return SiegeState.addCustomMetric(testCampaignId, 'Dragon Sightings', change.value);
+}
+
+// Property Tests
+
+describe('Siege History Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 86: Every siege change is recorded as a snapshot
+   *
+   * For any sequence of updates, day advances and custom metric changes, the
+   * siege history holds one snapshot per change after the start, in order,
+   * each equal to the siege state the change returned and carrying its reason
+   */
+  test('Property 86: Every siege change is recorded as a snapshot', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(fc.array(changeArb, { minLength: 1, maxLength: 6 }), async (changes) => {
+        const started = await startSiege();
+        const states = [];
+        for (const change of changes) {
+          states.push(await applyChange(change));
+        }
+
+        const history = await SiegeState.getHistory(testCampaignId);
+        expect(history).toHaveLength(changes.length + 1);
+        expect(history[0]).toMatchObject({ change_type: 'start', reason: 'The dragon army arrives', ...metricsOf(started) });
+
+        changes.forEach((change, i) => {
+          const snapshot = history[i + 1];
+          expect(metricsOf(snapshot)).toEqual(metricsOf(states[i]));
+          expect(snapshot.change_type).toBe(change.kind === 'advance_day' ? 'advance_day' : 'update');
+          if (change.kind === 'update') {
+            expect(snapshot.reason).toBe(change.reason);
+          }
+          expect(new Date(snapshot.created_at).getTime())
+            .toBeGreaterThanOrEqual(new Date(history[i].created_at).getTime());
+        });
+
+        const live = await SiegeState.findByCampaign(testCampaignId);
+        expect(metricsOf(history[history.length - 1])).toEqual(metricsOf(live));
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 87: Rewinding restores a snapshot without losing history
+   *
+   * For any history and any snapshot in it, rewinding sets the live siege
+   * state to that snapshot's values and appends a rewind snapshot, keeping
+   * every earlier snapshot so the rewind itself can be undone
+   */
+  test('Property 87: Rewinding restores a snapshot without losing history', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(changeArb, { minLength: 1, maxLength: 5 }),
+        fc.nat(),
+        async (changes, pick) => {
+          await startSiege();
+          for (const change of changes) {
+            await applyChange(change);
+          }
+
+          const before = await SiegeState.getHistory(testCampaignId);
+          const target = before[pick % before.length];
+          const latest = before[before.length - 1];
+
+          const rewound = await SiegeState.rewind(testCampaignId, target.id);
+          expect(metricsOf(rewound)).toEqual(metricsOf(target));
+          expect(metricsOf(await SiegeState.findByCampaign(testCampaignId))).toEqual(metricsOf(target));
+
+          const after = await SiegeState.getHistory(testCampaignId);
+          expect(after.slice(0, before.length)).toEqual(before);
+          expect(after).toHaveLength(before.length + 1);
+          expect(after[after.length - 1]).toMatchObject({
+            change_type: 'rewind',
+            reason: `Rewound to day ${target.day_of_siege}`,
+            ...metricsOf(target)
+          });
+
+          // Rewinding to the latest snapshot before the rewind undoes it
+          const undone = await SiegeState.rewind(testCampaignId, latest.id, 'Never mind');
+          expect(metricsOf(undone)).toEqual(metricsOf(latest));
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Resets and sieges created without a history are recorded, and snapshots
+   * from other campaigns cannot be rewound to
+   */
+  test('Resets, untracked sieges and foreign snapshots', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const other = await db.query("INSERT INTO campaigns (name) VALUES ('Test Campaign - Other Siege History') RETURNING id");
+    const otherId = other.rows[0].id;
+
+    try {
+      await startSiege();
+      await SiegeState.update(testCampaignId, { wall_integrity: 40, supplies: 20 }, 'Sapper tunnel collapse');
+      const reset = await SiegeState.reset(testCampaignId, 'New campaign arc');
+      expect(reset).toMatchObject({ wall_integrity: 100, supplies: 100, day_of_siege: 1 });
+
+      const history = await SiegeState.getHistory(testCampaignId);
+      expect(history.map(snapshot => snapshot.change_type)).toEqual(['start', 'update', 'reset']);
+      expect(history[2].reason).toBe('New campaign arc');
+      expect(history[1]).toMatchObject({ wall_integrity: 40, supplies: 20, reason: 'Sapper tunnel collapse' });
+
+      // Sieges created outside the model start their history from their state
+      await db.query(
+        'INSERT INTO siege_state (campaign_id, wall_integrity, day_of_siege) VALUES ($1, 70, 4)',
+        [otherId]
+      );
+      const untracked = await SiegeState.getHistory(otherId);
+      expect(untracked).toHaveLength(1);
+      expect(untracked[0]).toMatchObject({ change_type: 'start', wall_integrity: 70, day_of_siege: 4 });
+
+      await SiegeState.advanceDay(otherId, 2, db, 'Long rest');
+      const advanced = await SiegeState.getHistory(otherId);
+      expect(advanced.map(snapshot => snapshot.change_type)).toEqual(['start', 'advance_day']);
+      expect(advanced[1]).toMatchObject({ day_of_siege: 6, reason: 'Long rest' });
+
+      expect(await SiegeState.rewind(testCampaignId, untracked[0].id)).toBeNull();
+      expect(await SiegeState.rewind(otherId, 0)).toBeNull();
+      expect(await SiegeState.findByCampaign(testCampaignId)).toMatchObject({ wall_integrity: 100 });
+    } finally {
+      await db.query('DELETE FROM campaigns WHERE id = $1', [otherId]);
+    }
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Property-Based Tests for Custom Siege Metric Definitions
+ * Feature: siege-of-neverwinter
+ * Tests typed custom metrics: their values are checked against their
+ * definition's type and bounds and they start at their defaults
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { SiegeState, SiegeMetric } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Siege Metrics') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function startSiege(data = {}) {
+  await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_history WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_metric_definitions WHERE campaign_id = $1', [testCampaignId]);
+  return SiegeState.create(testCampaignId, data);
+}
+
+// Generators
+
+/**
+ * Generator for number, percentage and counter definitions with optional
+ * bounds in order
+ */
+const numericDefinitionArb = fc.tuple(
+  fc.constantFrom('number', 'percentage', 'counter'),
+  fc.option(fc.integer({ min: 0, max: 100 }), { nil: null }),
+  fc.option(fc.integer({ min: 0, max: 100 }), { nil: null })
+).map(([type, a, b]) => {
+  const [min, max] = a !== null && b !== null && a > b ? [b, a] : [a, b];
+  const shift = type === 'number' ? -50 : 0;
+  return {
+    name: 'Ballistae',
+    type,
+    min_value: min === null ? null : min + shift,
+    max_value: max === null ? null : max + shift,
+    default_value: null,
+    options: [],
+    color_thresholds: []
+  };
+});
+
+const definitionArb = fc.oneof(
+  numericDefinitionArb,
+  fc.constant({ name: 'Harbor Chain Raised', type: 'boolean', min_value: null, max_value: null, default_value: null, options: [], color_thresholds: [] }),
+  fc.uniqueArray(fc.constantFrom('Open', 'Closed', 'Burning', 'Held'), { minLength: 1, maxLength: 4 }).map(options => ({
+    name: 'River Gate', type: 'enum', min_value: null, max_value: null, default_value: null, options, color_thresholds: []
+  }))
+);
+
+const valueArb = fc.oneof(
+  fc.integer({ min: -60, max: 160 }),
+  fc.double({ min: -60, max: 160 }),
+  fc.boolean(),
+  fc.constantFrom('Open', 'Closed', 'Burning', 'Held', '12', ''),
+  fc.constant(null)
+);
+
+function fits(definition, value) {
+  if (definition.type === 'boolean') {
+    return typeof value === 'boolean';
+  }
+  if (definition.type === 'enum') {
+    return definition.options.includes(value);
+  }
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return false;
+  }
+  const min = definition.min_value !== null ? definition.min_value : (definition.type === 'number' ? -Infinity : 0);
+  const max = definition.max_value !== null ? definition.max_value : (definition.type === 'percentage' ? 100 : Infinity);
+  return value >= min && value <= max && (definition.type !== 'counter' || Number.isInteger(value));
+}
+
+// Property Tests
+
+describe('Siege Metric Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 91: Custom metric values fit their definition
+   *
+   * For any definition and any value, the value is valid exactly when it is of
+   * the definition's type (a whole number for counters, one of the options for
+   * enums) and within its bounds (0-100 for percentages unless narrowed), the
+   * siege state accepts it exactly then, and the definition's own default is
+   * always valid
+   */
+  test('Property 91: Custom metric values fit their definition', () => {
+    fc.assert(
+      fc.property(definitionArb, valueArb, (definition, value) => {
+        expect(SiegeMetric.checkDefinition(definition)).toEqual([]);
+
+        const error = SiegeMetric.validateValue(definition, value);
+        expect(error === null).toBe(fits(definition, value));
+        if (error) {
+          expect(error).toContain(definition.name);
+        }
+
+        const errors = SiegeState.validate({ custom_metrics: { [definition.name]: value, Untyped: value } }, [definition]);
+        expect(errors).toEqual(error ? [error] : []);
+
+        expect(SiegeMetric.validateValue(definition, SiegeMetric.defaultValue(definition))).toBeNull();
+      }),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 92: Defined metrics only ever hold valid values
+   *
+   * For any numeric definition and any values entered for it, the metric
+   * starts at its default, every value that fits is stored as a number and
+   * recorded in the history, and every other value is rejected and leaves the
+   * siege unchanged
+   */
+  test('Property 92: Defined metrics only ever hold valid values', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        numericDefinitionArb,
+        fc.array(fc.integer({ min: -60, max: 160 }).map(String), { minLength: 1, maxLength: 5 }),
+        async (data, entries) => {
+          await startSiege();
+          const definition = await SiegeState.defineCustomMetric(testCampaignId, data);
+          let expected = SiegeMetric.defaultValue(definition);
+          expect((await SiegeState.findByCampaign(testCampaignId)).custom_metrics).toEqual({ Ballistae: expected });
+
+          let accepted = 0;
+          for (const entry of entries) {
+            if (fits(definition, Number(entry))) {
+              await SiegeState.addCustomMetric(testCampaignId, 'Ballistae', entry);
+              expected = Number(entry);
+              accepted++;
+            } else {
+              await expect(SiegeState.addCustomMetric(testCampaignId, 'Ballistae', entry)).rejects.toThrow('Validation failed');
+            }
+            expect((await SiegeState.findByCampaign(testCampaignId)).custom_metrics).toEqual({ Ballistae: expected });
+          }
+
+          const history = await SiegeState.getHistory(testCampaignId);
+          expect(history).toHaveLength(2 + accepted);
+          expect(history[1].reason).toBe('Defined Ballistae');
+        }
+      ),
+      { numRuns: 50 } // Fewer runs, each one defines a metric and enters up to five values
+    );
+  });
+
+  /**
+   * Definitions are validated, fit the metric's existing value, can be
+   * changed and removed, and resets put defined metrics back to their defaults
+   */
+  test('Defining, redefining, removing and resetting custom metrics', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await startSiege({ custom_metrics: { 'Dragon Sightings': '3', Rumors: 'many', 'Harbor Chain Raised': 'yes' } });
+
+    await expect(SiegeState.defineCustomMetric(testCampaignId, { name: 'Cultists', type: 'percentage', max_value: 150 }))
+      .rejects.toThrow('Percentage bounds must be between 0 and 100');
+    await expect(SiegeState.defineCustomMetric(testCampaignId, { name: 'River Gate', type: 'enum' }))
+      .rejects.toThrow('An enum metric needs at least one option');
+    await expect(SiegeState.defineCustomMetric(testCampaignId, {
+      name: 'Cultists', type: 'counter', min_value: 5, default_value: 2
+    })).rejects.toThrow('Default: Cultists must be at least 5');
+    await expect(SiegeState.defineCustomMetric(testCampaignId, {
+      name: 'Cultists', type: 'boolean', color_thresholds: [{ at: 1, color: '#f00' }]
+    })).rejects.toThrow('Only number, percentage and counter metrics can have color thresholds');
+    await expect(SiegeState.defineCustomMetric(testCampaignId, { name: 'Rumors', type: 'number' }))
+      .rejects.toThrow('The current value does not fit: Rumors must be a number');
+    expect(await SiegeMetric.findByCampaign(testCampaignId)).toHaveLength(0);
+
+    // Existing values are typed; new metrics start at their default
+    const sightings = await SiegeState.defineCustomMetric(testCampaignId, {
+      name: 'Dragon Sightings',
+      type: 'counter',
+      max_value: 10,
+      unit: 'dragons',
+      color_thresholds: [{ at: 5, color: '#F55A4E' }, { at: 0, color: '#5cb85c' }],
+      description: 'Dragons seen over the city today'
+    });
+    expect(sightings).toMatchObject({ min_value: null, max_value: 10, unit: 'dragons' });
+    expect(sightings.color_thresholds).toEqual([{ at: 0, color: '#5cb85c' }, { at: 5, color: '#f55a4e' }]);
+    await SiegeState.defineCustomMetric(testCampaignId, { name: 'Harbor Chain Raised', type: 'boolean' });
+    await SiegeState.defineCustomMetric(testCampaignId, {
+      name: 'River Gate', type: 'enum', options: ['Open', 'Closed', 'Burning'], default_value: 'Closed'
+    });
+    await expect(SiegeState.defineCustomMetric(testCampaignId, { name: 'River Gate', type: 'boolean' }))
+      .rejects.toThrow('River Gate is already defined');
+    expect((await SiegeState.findByCampaign(testCampaignId)).custom_metrics).toEqual({
+      'Dragon Sightings': 3, Rumors: 'many', 'Harbor Chain Raised': true, 'River Gate': 'Closed'
+    });
+
+    await SiegeState.addCustomMetric(testCampaignId, 'River Gate', 'Burning');
+    await expect(SiegeState.addCustomMetric(testCampaignId, 'River Gate', 'Ajar'))
+      .rejects.toThrow('River Gate must be one of: Open, Closed, Burning');
+    await expect(SiegeState.update(testCampaignId, { custom_metrics: { 'Harbor Chain Raised': 'maybe' } }))
+      .rejects.toThrow('Harbor Chain Raised must be true or false');
+
+    // Redefining must still fit the current value
+    await expect(SiegeState.redefineCustomMetric(sightings.id, { max_value: 2 }))
+      .rejects.toThrow('The current value does not fit: Dragon Sightings must be at most 2');
+    await expect(SiegeState.redefineCustomMetric(sightings.id, { name: 'Wyrms' }))
+      .rejects.toThrow('Name cannot be changed');
+    const redefined = await SiegeState.redefineCustomMetric(sightings.id, { type: 'percentage', default_value: 50 });
+    expect(redefined).toMatchObject({ type: 'percentage', max_value: null, default_value: 50, color_thresholds: [] });
+    expect(await SiegeState.redefineCustomMetric(0, { unit: 'x' })).toBeNull();
+
+    // Resets put defined metrics back to their defaults and drop the others
+    const reset = await SiegeState.reset(testCampaignId);
+    expect(reset.custom_metrics).toEqual({ 'Dragon Sightings': 50, 'Harbor Chain Raised': false, 'River Gate': 'Closed' });
+
+    // Removing a metric removes its definition; deleting a definition keeps the value
+    await SiegeState.removeCustomMetric(testCampaignId, 'River Gate');
+    const gate = await SiegeState.findByCampaign(testCampaignId);
+    expect(gate.custom_metrics['River Gate']).toBeUndefined();
+    expect(await SiegeMetric.findByName(testCampaignId, 'River Gate')).toBeNull();
+
+    expect(await SiegeMetric.delete(sightings.id)).toMatchObject({ name: 'Dragon Sightings' });
+    await SiegeState.addCustomMetric(testCampaignId, 'Dragon Sightings', 'a great many');
+    expect((await SiegeState.findByCampaign(testCampaignId)).custom_metrics['Dragon Sightings']).toBe('a great many');
+  });
+});
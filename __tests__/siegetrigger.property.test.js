@@ -0,0 +1,296 @@
+/**
+ * Property-Based Tests for Siege Triggers
+ * Feature: siege-of-neverwinter
+ * Tests firing trigger rules when siege metrics cross their thresholds,
+ * running their actions and logging them as alerts
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { SiegeState, SiegeTrigger, SiegeDay, SiegeMetric } = require('../server/models');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-siege-history.sql', 'add-siege-metric-definitions.sql', 'add-siege-rules.sql', 'add-siege-triggers.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Siege Triggers') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function startSiege(data = {}) {
+  await db.query('DELETE FROM siege_state WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_history WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_triggers WHERE campaign_id = $1', [testCampaignId]);
+  await db.query('DELETE FROM siege_trigger_log WHERE campaign_id = $1', [testCampaignId]);
+  return SiegeState.create(testCampaignId, data);
+}
+
+function compare(operator, value, threshold) {
+  return {
+    '<': value < threshold,
+    '<=': value <= threshold,
+    '>': value > threshold,
+    '>=': value >= threshold,
+    '=': value === threshold,
+    '!=': value !== threshold
+  }[operator];
+}
+
+// Property Tests
+
+describe('Siege Trigger Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 90: Triggers fire when a metric crosses into their condition
+   *
+   * For any trigger on a siege metric or a numeric custom metric and any
+   * sequence of changes to it, the trigger fires (and is logged) exactly on
+   * the changes that take the metric from outside its condition to inside
+   * it, and only on the first of them when it is not repeatable
+   */
+  test('Property 90: Triggers fire when a metric crosses into their condition', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    await fc.assert(
+      fc.asyncProperty(
+        fc.constantFrom('wall_integrity', 'supplies', 'Dragon Sightings'),
+        fc.constantFrom(...SiegeTrigger.OPERATORS),
+        fc.integer({ min: 0, max: 100 }),
+        fc.boolean(),
+        fc.array(fc.integer({ min: 0, max: 100 }), { minLength: 1, maxLength: 6 }),
+        async (metric, operator, threshold, repeatable, values) => {
+          const custom = !SiegeTrigger.BUILT_IN_METRICS.includes(metric);
+          const started = await startSiege(custom ? { custom_metrics: { [metric]: 50 } } : {});
+          const trigger = await SiegeTrigger.create(testCampaignId, {
+            name: 'Watch', metric, operator, threshold, repeatable
+          });
+
+          let previous = custom ? 50 : started[metric];
+          let expected = 0;
+          for (const value of values) {
+            if (custom) {
+              await SiegeState.addCustomMetric(testCampaignId, metric, value);
+            } else {
+              await SiegeState.update(testCampaignId, { [metric]: value });
+            }
+            if (compare(operator, value, threshold) && !compare(operator, previous, threshold) && (repeatable || expected === 0)) {
+              expected++;
+            }
+            previous = value;
+          }
+
+          const log = await SiegeTrigger.getLog(testCampaignId);
+          expect(log).toHaveLength(expected);
+          expect(log.every(entry => entry.trigger_id === trigger.id && !entry.acknowledged)).toBe(true);
+          expect((await SiegeTrigger.findById(trigger.id)).last_fired_at === null).toBe(expected === 0);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+  });
+
+  /**
+   * Trigger actions change locations, add plot points and notes, and what
+   * they did is logged until the alert is acknowledged
+   */
+  test('Triggers run their actions and are logged as alerts', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const other = await db.query("INSERT INTO campaigns (name) VALUES ('Test Campaign - Other Triggers') RETURNING id");
+    const otherId = other.rows[0].id;
+
+    try {
+      await startSiege({ wall_integrity: 60, supplies: 40 });
+      const gate = await db.query(
+        `INSERT INTO locations (campaign_id, name, status, coord_x, coord_y, coord_width, coord_height)
+         VALUES ($1, 'Eastern Gate', 'controlled', 100, 200, 40, 20) RETURNING *`,
+        [testCampaignId]
+      );
+      const foreign = await db.query(
+        "INSERT INTO locations (campaign_id, name) VALUES ($1, 'Elsewhere') RETURNING *",
+        [otherId]
+      );
+      const gateId = gate.rows[0].id;
+
+      const breach = await SiegeTrigger.create(testCampaignId, {
+        name: 'Walls Breached',
+        metric: 'wall_integrity',
+        operator: '<',
+        threshold: 25,
+        actions: [
+          { type: 'set_location_status', location_id: gateId, status: 'contested' },
+          { type: 'add_plot_point', location_id: gateId, name: 'Hold the Breach', description: 'Cultists pour in' },
+          { type: 'add_note', text: 'The eastern wall has been breached!' }
+        ]
+      });
+      const famine = await SiegeTrigger.create(testCampaignId, {
+        name: 'Famine', metric: 'supplies', operator: '<=', threshold: 0, enabled: false
+      });
+
+      // Not past the threshold yet
+      await SiegeState.update(testCampaignId, { wall_integrity: 30 });
+      expect(await SiegeTrigger.getLog(testCampaignId)).toHaveLength(0);
+
+      await SiegeState.update(testCampaignId, { wall_integrity: 20, supplies: 0 }, 'Dragon assault');
+      const log = await SiegeTrigger.getLog(testCampaignId, { unacknowledged: true });
+      expect(log).toHaveLength(1);
+      expect(log[0]).toMatchObject({
+        trigger_id: breach.id,
+        trigger_name: 'Walls Breached',
+        message: 'Walls Breached: Wall integrity < 25 (now 20)',
+        day_of_siege: 1
+      });
+      expect(log[0].results.map(result => result.done)).toEqual([true, true, true]);
+      expect(log[0].results[0].location_name).toBe('Eastern Gate');
+
+      const location = await db.query('SELECT status FROM locations WHERE id = $1', [gateId]);
+      expect(location.rows[0].status).toBe('contested');
+      const plotPoints = await db.query('SELECT * FROM plot_points WHERE location_id = $1', [gateId]);
+      expect(plotPoints.rows).toHaveLength(1);
+      expect(plotPoints.rows[0]).toMatchObject({ name: 'Hold the Breach', status: 'active', coord_x: 120, coord_y: 210 });
+      const notes = await SiegeState.getNotes(testCampaignId);
+      expect(notes.map(note => note.note_text)).toContain('The eastern wall has been breached!');
+
+      // Still breached: no new firing; rewinding and resetting never fire
+      await SiegeState.update(testCampaignId, { wall_integrity: 10 });
+      const history = await SiegeState.getHistory(testCampaignId);
+      await SiegeState.rewind(testCampaignId, history[0].id);
+      await SiegeState.rewind(testCampaignId, history[history.length - 1].id);
+      await SiegeState.reset(testCampaignId);
+      expect(await SiegeTrigger.getLog(testCampaignId)).toHaveLength(1);
+
+      // Days passing fire triggers too, and a location deleted since is skipped
+      await SiegeTrigger.update(famine.id, { enabled: true });
+      await db.query('DELETE FROM locations WHERE id = $1', [gateId]);
+      await SiegeState.update(testCampaignId, { wall_integrity: 26, supplies: 1 });
+      await SiegeDay.updateRules(testCampaignId, { defenders: 1000, supplies_per_1000: 5, event_chance: 0, morale_rules: [] });
+      const day = await SiegeDay.advance(testCampaignId);
+      expect(day.siege_state.supplies).toBe(0);
+      const fired = await SiegeTrigger.getLog(testCampaignId, { unacknowledged: true });
+      expect(fired.map(entry => entry.trigger_name)).toEqual(['Famine', 'Walls Breached']);
+
+      await SiegeState.update(testCampaignId, { wall_integrity: 24 });
+      const skipped = (await SiegeTrigger.getLog(testCampaignId))[0];
+      expect(skipped.trigger_name).toBe('Walls Breached');
+      expect(skipped.results.map(result => result.done)).toEqual([false, false, true]);
+
+      expect(await SiegeTrigger.acknowledge(fired[0].id)).toMatchObject({ acknowledged: true });
+      expect(await SiegeTrigger.acknowledgeAll(testCampaignId)).toBe(2);
+      expect(await SiegeTrigger.getLog(testCampaignId, { unacknowledged: true })).toHaveLength(0);
+      expect(await SiegeTrigger.getLog(testCampaignId)).toHaveLength(3);
+
+      await expect(SiegeTrigger.create(testCampaignId, {
+        name: 'Elsewhere', metric: 'supplies', operator: '<', threshold: 10,
+        actions: [{ type: 'set_location_status', location_id: foreign.rows[0].id, status: 'enemy' }]
+      })).rejects.toThrow('Actions can only use locations in the campaign');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'supplies', operator: '~', threshold: 1 }))
+        .rejects.toThrow('Operator must be one of');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'supplies', operator: '<', threshold: 0.125 }))
+        .rejects.toThrow('Threshold can have at most 2 decimal places');
+      await expect(SiegeTrigger.update(breach.id, { threshold: '12.345' }))
+        .rejects.toThrow('Threshold can have at most 2 decimal places');
+      await expect(SiegeTrigger.update(breach.id, { actions: [{ type: 'set_location_status', location_id: 1, status: 'lost' }] }))
+        .rejects.toThrow('Action 1: Status must be one of');
+
+      expect(await SiegeTrigger.delete(breach.id)).toMatchObject({ name: 'Walls Breached' });
+      expect(await SiegeTrigger.update(breach.id, { name: 'Gone' })).toBeNull();
+      expect((await SiegeTrigger.getLog(testCampaignId)).filter(entry => entry.trigger_name === 'Walls Breached'))
+        .toHaveLength(2);
+    } finally {
+      await SiegeDay.resetRules(testCampaignId);
+      await db.query('DELETE FROM campaigns WHERE id = $1', [otherId]);
+    }
+  });
+
+  /**
+   * Metrics holding true or false or text fire = and != triggers, with the
+   * threshold read in the type of the metric's definition
+   */
+  test('Triggers compare true or false and text metrics with = and !=', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    try {
+      await startSiege({ custom_metrics: { 'Gate': 'holding', 'Beacon Lit': false, 'Mood': 'calm' } });
+      await SiegeMetric.create(testCampaignId, { name: 'Gate', type: 'enum', options: ['holding', 'breached'] });
+      await SiegeMetric.create(testCampaignId, { name: 'Beacon Lit', type: 'boolean' });
+      await SiegeMetric.create(testCampaignId, { name: 'Rations', type: 'counter' });
+
+      const beacon = await SiegeTrigger.create(testCampaignId, {
+        name: 'Beacon', metric: 'Beacon Lit', operator: '=', threshold: 'true'
+      });
+      expect(beacon.threshold).toBe(true);
+      const gate = await SiegeTrigger.create(testCampaignId, {
+        name: 'Breach', metric: 'Gate', operator: '=', threshold: 'breached'
+      });
+      expect(gate.threshold).toBe('breached');
+      const calm = await SiegeTrigger.create(testCampaignId, {
+        name: 'Unrest', metric: 'Mood', operator: '!=', threshold: ' calm '
+      });
+      expect(calm.threshold).toBe('calm');
+
+      await SiegeState.update(testCampaignId, { custom_metrics: { 'Gate': 'breached', 'Beacon Lit': false, 'Mood': 'calm' } });
+      await SiegeState.update(testCampaignId, { custom_metrics: { 'Gate': 'breached', 'Beacon Lit': true, 'Mood': 'uneasy' } });
+      const log = await SiegeTrigger.getLog(testCampaignId);
+      expect(log.map(entry => entry.trigger_name).sort()).toEqual(['Beacon', 'Breach', 'Unrest']);
+      expect(log.find(entry => entry.trigger_name === 'Breach').message).toBe('Breach: Gate = breached (now breached)');
+
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'Mood', operator: '<', threshold: 'calm' }))
+        .rejects.toThrow('Operator must be = or !=');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'Gate', operator: '=', threshold: 'open' }))
+        .rejects.toThrow('Threshold must be one of: holding, breached');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'Beacon Lit', operator: '=', threshold: 'maybe' }))
+        .rejects.toThrow('Threshold must be true or false for Beacon Lit');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'supplies', operator: '=', threshold: 'plenty' }))
+        .rejects.toThrow('Threshold must be a number for Supplies');
+      await expect(SiegeTrigger.create(testCampaignId, { name: 'Bad', metric: 'Rations', operator: '=', threshold: 'none' }))
+        .rejects.toThrow('Threshold must be a number for Rations');
+      await expect(SiegeTrigger.update(gate.id, { operator: '>' })).rejects.toThrow('Operator must be = or !=');
+
+      const rations = await SiegeTrigger.create(testCampaignId, { name: 'Hungry', metric: 'Rations', operator: '<', threshold: '5' });
+      expect(rations.threshold).toBe(5);
+      expect(await SiegeTrigger.update(gate.id, { threshold: 'holding' })).toMatchObject({ threshold: 'holding' });
+    } finally {
+      await db.query('DELETE FROM siege_metric_definitions WHERE campaign_id = $1', [testCampaignId]);
+    }
+  });
+});
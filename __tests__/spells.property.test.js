@@ -0,0 +1,261 @@
+/**
+ * Property-Based Tests for Spells
+ * Feature: siege-of-neverwinter
+ * Tests spell damage scaling, the slots spent by casting, prepared spells,
+ * rituals, concentration spells and the spell reference search
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Resource, Spellbook } = require('../server/models');
+const Dice = require('../shared/dice');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-combat-log.sql', 'add-death-saves.sql', 'add-condition-durations.sql', 'add-concentration.sql', 'add-resources.sql', 'add-spells.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Spells') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function createCaster(name, characterClass, level = 5) {
+  return Combatant.create(testCampaignId, {
+    name,
+    type: 'PC',
+    initiative: 10,
+    ac: 12,
+    current_hp: 30,
+    max_hp: 30,
+    character_class: characterClass,
+    level
+  });
+}
+
+async function spellNamed(name) {
+  return (await Spellbook.search({ search: name })).find(spell => spell.name === name);
+}
+
+// Property Tests
+
+describe('Spell Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 80: Spell damage scales with the slot and caster level
+   *
+   * For any cantrip and caster level, the damage dice are multiplied by one
+   * plus the number of 5th, 11th and 17th levels reached; for any leveled
+   * spell and slot, the per-level dice are added once for each slot level
+   * above the spell's, and the expression rolls
+   */
+  test('Property 80: Spell damage scales with the slot and caster level', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 8 }),
+        fc.constantFrom(4, 6, 8, 10, 12),
+        fc.integer({ min: 1, max: 20 }),
+        fc.integer({ min: 1, max: 9 }),
+        fc.integer({ min: 0, max: 8 }),
+        fc.integer({ min: 1, max: 3 }),
+        (count, sides, casterLevel, spellLevel, extra, step) => {
+          const cantrip = { level: 0, damage_dice: `${count}d${sides}` };
+          const tier = 1 + [5, 11, 17].filter(level => casterLevel >= level).length;
+          expect(Spellbook.damageDice(cantrip, 0, casterLevel)).toBe(`${count * tier}d${sides}`);
+
+          const slotLevel = Math.min(9, spellLevel + extra);
+          const spell = { level: spellLevel, damage_dice: `${count}d${sides}`, damage_per_level: `${step}d${sides}` };
+          const dice = Spellbook.damageDice(spell, slotLevel, casterLevel);
+          expect(dice).toBe(`${count + step * (slotLevel - spellLevel)}d${sides}`);
+
+          const mixed = { level: spellLevel, damage_dice: `${count}d${sides}+${count}`, damage_per_level: '1d4+1' };
+          const roll = Dice.roll(Spellbook.damageDice(mixed, slotLevel, casterLevel), { seed: count });
+          const minimum = count + count + 2 * (slotLevel - spellLevel);
+          expect(roll.total).toBeGreaterThanOrEqual(minimum);
+        }
+      ),
+      { numRuns: NUM_RUNS }
+    );
+
+    expect(Spellbook.damageDice({ level: 3, damage_dice: null }, 5, 10)).toBeNull();
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 81: Casting spends one slot of the level cast
+   *
+   * For any spell slots and sequence of casts at chosen slot levels, a cast
+   * succeeds only while a slot of that level has uses left, spends exactly
+   * one of them and leaves the other levels alone
+   */
+  test('Property 81: Casting spends one slot of the level cast', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const caster = await createCaster('Spell Test Sorcerer', 'Sorcerer');
+    const missile = await spellNamed('Magic Missile');
+    await Spellbook.learn(caster.id, { spell_id: missile.id });
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 0, max: 3 }), { minLength: 3, maxLength: 3 }),
+          fc.array(fc.integer({ min: 1, max: 3 }), { minLength: 1, maxLength: 8 }),
+          async (maxima, casts) => {
+            await db.query('DELETE FROM combatant_resources WHERE combatant_id = $1', [caster.id]);
+            for (let level = 1; level <= 3; level++) {
+              await Resource.create(caster.id, { kind: 'spell_slot', slot_level: level, max_uses: maxima[level - 1] });
+            }
+
+            const left = [...maxima];
+            for (const level of casts) {
+              const attempt = Spellbook.cast(caster.id, missile.id, { slot_level: level, seed: level });
+              if (left[level - 1] === 0) {
+                await expect(attempt).rejects.toThrow(`no level ${level} spell slots left`);
+                continue;
+              }
+
+              const result = await attempt;
+              left[level - 1]--;
+              expect(result.slot_level).toBe(level);
+              expect(result.slot.max_uses - result.slot.used).toBe(left[level - 1]);
+              expect(result.damage.dice).toBe(['3d4+3', ...Array(level - 1).fill('1d4+1')].join('+'));
+              expect(result.damage.roll.total).toBeGreaterThanOrEqual(6 + 2 * (level - 1));
+            }
+
+            const { slots } = await Spellbook.findByCombatant(caster.id);
+            expect(slots.map(slot => slot.max_uses - slot.used)).toEqual(left);
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(caster.id);
+    }
+  });
+
+  /**
+   * Prepared casters cast prepared spells; cantrips and rituals spend no slot;
+   * concentration spells replace the caster's concentration
+   */
+  test('Casting follows preparation, rituals, pact slots and concentration', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const cleric = await createCaster('Spell Test Cleric', 'Cleric', 11);
+    const warlock = await createCaster('Spell Test Warlock', 'Warlock', 5);
+    const [flame, bless, holdPerson, detect, hex] = await Promise.all(
+      ['Sacred Flame', 'Bless', 'Hold Person', 'Detect Magic', 'Hex'].map(spellNamed)
+    );
+
+    try {
+      for (const spell of [flame, bless, holdPerson, detect]) {
+        await Spellbook.learn(cleric.id, { spell_id: spell.id });
+      }
+      await expect(Spellbook.learn(cleric.id, { spell_id: bless.id })).rejects.toThrow('already knows Bless');
+      await Resource.create(cleric.id, { kind: 'spell_slot', slot_level: 1, max_uses: 1 });
+      await Resource.create(cleric.id, { kind: 'spell_slot', slot_level: 2, max_uses: 1 });
+
+      // Cantrips are free and scale with level
+      const cantrip = await Spellbook.cast(cleric.id, flame.id, { seed: 3 });
+      expect(cantrip.slot).toBeNull();
+      expect(cantrip.damage.dice).toBe('3d8');
+
+      await expect(Spellbook.cast(cleric.id, bless.id)).rejects.toThrow('has not prepared Bless');
+      await Spellbook.update(cleric.id, bless.id, { prepared: true });
+      await Spellbook.update(cleric.id, holdPerson.id, { prepared: true });
+
+      const blessed = await Spellbook.cast(cleric.id, bless.id);
+      expect(blessed.slot.slot_level).toBe(1);
+      expect(blessed.combatant.concentration_spell).toBe('Bless');
+
+      // The next slot up is used when the spell's level is spent, and concentration moves on
+      const held = await Spellbook.cast(cleric.id, holdPerson.id);
+      expect(held.concentration.ended.spell).toBe('Bless');
+      expect(held.combatant.concentration_spell).toBe('Hold Person');
+      await expect(Spellbook.cast(cleric.id, bless.id)).rejects.toThrow('no spell slots of level 1 or higher left');
+
+      // Rituals need no slot (but still need preparing)
+      await Spellbook.update(cleric.id, detect.id, { prepared: true });
+      const ritual = await Spellbook.cast(cleric.id, detect.id, { ritual: true });
+      expect(ritual.slot).toBeNull();
+      await expect(Spellbook.cast(cleric.id, bless.id, { ritual: true })).rejects.toThrow('cannot be cast as a ritual');
+      await expect(Spellbook.cast(cleric.id, detect.id, { ritual: 'false' })).rejects.toThrow('Ritual must be true or false');
+
+      // Warlocks cast known spells with their pact slots
+      await Spellbook.learn(warlock.id, { spell_id: hex.id });
+      await Resource.create(warlock.id, { kind: 'pact_slot', slot_level: 3, max_uses: 2 });
+      const hexed = await Spellbook.cast(warlock.id, hex.id);
+      expect(hexed.slot).toMatchObject({ kind: 'pact_slot', slot_level: 3, used: 1 });
+      await expect(Spellbook.cast(warlock.id, flame.id)).rejects.toThrow('does not know Sacred Flame');
+
+      const book = await Spellbook.findByCombatant(cleric.id);
+      expect(book.prepares_spells).toBe(true);
+      expect(book.spells.map(spell => spell.name)).toEqual(['Sacred Flame', 'Bless', 'Detect Magic', 'Hold Person']);
+      expect(book.prepared).toBe(3);
+
+      expect(await Spellbook.forget(cleric.id, flame.id)).not.toBeNull();
+      expect(await Spellbook.forget(cleric.id, flame.id)).toBeNull();
+      expect(await Spellbook.cast(-1, flame.id)).toBeNull();
+    } finally {
+      await Combatant.delete(cleric.id);
+      await Combatant.delete(warlock.id);
+    }
+  });
+
+  /**
+   * The reference search filters by level, school, class and flags
+   */
+  test('Spells are searched by level, school, class and flags', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const wizardThirds = await Spellbook.search({ level: 3, class_name: 'Wizard' });
+    expect(wizardThirds.length).toBeGreaterThan(0);
+    expect(wizardThirds.every(spell => spell.level === 3 && spell.classes.includes('wizard'))).toBe(true);
+    expect(wizardThirds.map(spell => spell.name)).toContain('Fireball');
+
+    const rituals = await Spellbook.search({ ritual: 'true' });
+    expect(rituals.every(spell => spell.ritual)).toBe(true);
+
+    const concentration = await Spellbook.search({ school: 'Enchantment', concentration: true });
+    expect(concentration.every(spell => spell.school === 'enchantment' && spell.concentration)).toBe(true);
+
+    await expect(Spellbook.search({ level: 10 })).rejects.toThrow('Validation failed');
+    await expect(Spellbook.search({ school: 'pyromancy' })).rejects.toThrow('Validation failed');
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Property-Based Tests for the Encounter Builder
+ * Feature: siege-of-neverwinter
+ * Tests encounter difficulty ratings, staging encounters from monster
+ * templates and deploying them to the initiative tracker
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { Combatant, Encounter, Monster, StagedEncounter } = require('../server/models');
+const Leveling = require('../shared/leveling');
+const db = require('../database/db');
+
+// Test configuration
+const NUM_RUNS = 100;
+
+// Setup and teardown
+let testCampaignId;
+let dbAvailable = false;
+
+beforeAll(async () => {
+  try {
+    // Test database connection
+    await db.query('SELECT 1');
+
+    for (const file of ['add-encounters.sql', 'add-combat-log.sql', 'add-death-saves.sql', 'add-resources.sql', 'add-staged-encounters.sql']) {
+      const migration = fs.readFileSync(path.join(__dirname, '../database', file), 'utf8');
+      await db.query(migration);
+    }
+
+    // Create a test campaign
+    const result = await db.query(
+      "INSERT INTO campaigns (name) VALUES ('Test Campaign - Encounter Builder') RETURNING id"
+    );
+    testCampaignId = result.rows[0].id;
+    dbAvailable = true;
+  } catch (error) {
+    console.warn('Database not available. Property-based tests will be skipped.');
+    console.warn('To run these tests, ensure PostgreSQL is running and DATABASE_URL is configured.');
+    dbAvailable = false;
+  }
+});
+
+afterAll(async () => {
+  if (dbAvailable) {
+    // Clean up test campaign (cascade will delete all related data)
+    await db.query('DELETE FROM campaigns WHERE id = $1', [testCampaignId]);
+    await db.pool.end();
+  }
+});
+
+async function createCharacter(name, level) {
+  return Combatant.create(testCampaignId, {
+    name,
+    type: 'PC',
+    initiative: 10,
+    ac: 15,
+    current_hp: 30,
+    max_hp: 30,
+    character_class: 'Fighter',
+    level
+  });
+}
+
+async function createTemplate(name, cr) {
+  return Monster.create(testCampaignId, { name, ac: 13, hp_formula: '2d8+2', cr, stat_dex: 14 });
+}
+
+// Generators
+const crArb = fc.constantFrom(...Object.keys(Leveling.CR_XP).map(Number));
+const levelsArb = fc.array(fc.integer({ min: 1, max: 20 }), { minLength: 1, maxLength: 8 });
+
+// Property Tests
+
+describe('Encounter Builder Properties', () => {
+  /**
+   * Feature: siege-of-neverwinter, Property 82: Encounter difficulty follows the DMG thresholds and multipliers
+   *
+   * For any party levels and monster challenge ratings, the adjusted experience
+   * is the monsters' experience times the multiplier for their number (one step
+   * higher for parties under 3, one lower for 6 or more), the difficulty is the
+   * highest threshold it reaches, and adding a monster never makes it easier
+   */
+  test('Property 82: Encounter difficulty follows the DMG thresholds and multipliers', () => {
+    fc.assert(
+      fc.property(levelsArb, fc.array(crArb, { maxLength: 20 }), crArb, (levels, crs, extra) => {
+        const rating = Leveling.rateEncounter(levels, crs);
+
+        const thresholds = { easy: 0, medium: 0, hard: 0, deadly: 0 };
+        levels.forEach(level => {
+          Leveling.DIFFICULTIES.forEach((name, i) => {
+            thresholds[name] += Leveling.DIFFICULTY_THRESHOLDS[level - 1][i];
+          });
+        });
+        expect(rating.thresholds).toEqual(thresholds);
+        expect(rating.thresholds.easy).toBeLessThan(rating.thresholds.medium);
+        expect(rating.thresholds.hard).toBeLessThan(rating.thresholds.deadly);
+
+        const ladder = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+        const count = crs.length;
+        let step = count >= 15 ? 6 : count >= 11 ? 5 : count >= 7 ? 4 : count >= 3 ? 3 : count === 2 ? 2 : 1;
+        step += levels.length < 3 ? 1 : levels.length >= 6 ? -1 : 0;
+        const multiplier = count === 0 ? 0 : ladder[step];
+        const baseXp = crs.reduce((sum, cr) => sum + Leveling.CR_XP[cr], 0);
+
+        expect(rating.base_xp).toBe(baseXp);
+        expect(rating.multiplier).toBe(multiplier);
+        expect(rating.adjusted_xp).toBe(Math.round(baseXp * multiplier));
+
+        const reached = Leveling.DIFFICULTIES.filter(name => rating.adjusted_xp >= thresholds[name]);
+        expect(rating.difficulty).toBe(reached.length > 0 ? reached[reached.length - 1] : 'trivial');
+
+        const harder = Leveling.rateEncounter(levels, [...crs, extra]);
+        expect(harder.adjusted_xp).toBeGreaterThanOrEqual(rating.adjusted_xp);
+      }),
+      { numRuns: NUM_RUNS }
+    );
+
+    expect(Leveling.rateEncounter([], ['1']).difficulty).toBeNull();
+    expect(Leveling.rateEncounter([5], ['1', 'one']).unrated).toBe(1);
+  });
+
+  /**
+   * Feature: siege-of-neverwinter, Property 83: Deploying a staged encounter spawns its monsters into one encounter
+   *
+   * For any mix of staged templates and counts, deploying creates exactly that
+   * many instances of each template and adds all of them, with the living
+   * party, to the current encounter, which is created when there is none
+   */
+  test('Property 83: Deploying a staged encounter spawns its monsters into one encounter', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const fighter = await createCharacter('Builder Test Fighter', 3);
+    const fallen = await createCharacter('Builder Test Fallen', 3);
+    await db.query('UPDATE combatants SET is_dead = true WHERE id = $1', [fallen.id]);
+    const templates = [
+      await createTemplate('Builder Goblin', '1/4'),
+      await createTemplate('Builder Hobgoblin', '1/2'),
+      await createTemplate('Builder Bugbear', '1')
+    ];
+
+    try {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.integer({ min: 0, max: 3 }), { minLength: 3, maxLength: 3 })
+            .filter(counts => counts.some(count => count > 0)),
+          fc.boolean(),
+          async (counts, existing) => {
+            await db.query("DELETE FROM combatants WHERE campaign_id = $1 AND type = 'Monster'", [testCampaignId]);
+            await db.query('DELETE FROM encounters WHERE campaign_id = $1', [testCampaignId]);
+            const running = existing ? await Encounter.create(testCampaignId, { name: 'Already running' }) : null;
+
+            const monsters = templates
+              .map((template, i) => ({ monster_id: template.id, count: counts[i] }))
+              .filter(entry => entry.count > 0);
+            const staged = await StagedEncounter.create(testCampaignId, { name: 'Builder Ambush', monsters });
+
+            try {
+              const result = await StagedEncounter.deploy(staged.id);
+              const total = counts.reduce((sum, count) => sum + count, 0);
+
+              expect(result.instances).toHaveLength(total);
+              expect(result.encounter.id).toBe(running ? running.id : result.encounter.id);
+              expect(result.encounter.name).toBe(running ? 'Already running' : 'Builder Ambush');
+              expect(result.staged_encounter.deployed_at).not.toBeNull();
+
+              const ids = result.encounter.participants.map(participant => participant.id);
+              expect(ids).toHaveLength(total + 1);
+              expect(ids).toContain(fighter.id);
+              expect(ids).not.toContain(fallen.id);
+
+              templates.forEach((template, i) => {
+                const spawned = result.instances.filter(instance => instance.template.id === template.id);
+                expect(spawned).toHaveLength(counts[i]);
+                expect(spawned.map(instance => instance.combatant.name))
+                  .toEqual(spawned.map((_, n) => `${template.name} ${n + 1}`));
+              });
+              expect(await Encounter.findCurrent(testCampaignId)).toMatchObject({ id: result.encounter.id });
+            } finally {
+              await StagedEncounter.delete(staged.id);
+            }
+          }
+        ),
+        { numRuns: NUM_RUNS }
+      );
+    } finally {
+      await Combatant.delete(fighter.id);
+      await Combatant.delete(fallen.id);
+      for (const template of templates) {
+        await Monster.delete(template.id);
+      }
+    }
+  });
+
+  /**
+   * Staged encounters are rated against the party, saved, edited and validated
+   */
+  test('Staged encounters are rated against the party and kept for later', async () => {
+    if (!dbAvailable) {
+      console.log('Skipping test - database not available');
+      return;
+    }
+
+    const party = [
+      await createCharacter('Builder Test Cleric', 3),
+      await createCharacter('Builder Test Rogue', 3),
+      await createCharacter('Builder Test Wizard', 3),
+      await createCharacter('Builder Test Ranger', 3)
+    ];
+    const goblin = await createTemplate('Builder Scout Goblin', '1/4');
+    const ogre = await createTemplate('Builder Ogre', '2');
+    const other = await db.query("INSERT INTO campaigns (name) VALUES ('Test Campaign - Other Builder') RETURNING id");
+
+    try {
+      // 6 goblins: 300 XP x2 = 600, medium for four 3rd level characters
+      const preview = await StagedEncounter.rate(testCampaignId, { monsters: [{ monster_id: goblin.id, count: 6 }] });
+      expect(preview.monsters[0]).toMatchObject({ name: 'Builder Scout Goblin', count: 6, xp: 50 });
+      expect(preview.rating).toMatchObject({ party_size: 4, base_xp: 300, multiplier: 2, adjusted_xp: 600, difficulty: 'medium' });
+
+      // Alone, one character finds the same fight deadly (x2.5 for a party under 3)
+      const alone = await StagedEncounter.rate(testCampaignId, {
+        monsters: [{ monster_id: goblin.id, count: 6 }],
+        combatant_ids: [party[0].id]
+      });
+      expect(alone.rating).toMatchObject({ party_size: 1, multiplier: 2.5, adjusted_xp: 750, difficulty: 'deadly' });
+
+      const staged = await StagedEncounter.create(testCampaignId, {
+        name: 'Builder Bridge Ambush',
+        notes: 'At the Dolphin bridge',
+        monsters: [{ monster_id: ogre.id, count: 1 }, { monster_id: goblin.id, count: 2 }]
+      });
+      expect(staged.monsters.map(monster => monster.name)).toEqual(['Builder Ogre', 'Builder Scout Goblin']);
+      expect(staged.rating).toMatchObject({ base_xp: 550, multiplier: 2, adjusted_xp: 1100, difficulty: 'hard' });
+
+      const updated = await StagedEncounter.update(staged.id, { monsters: [{ monster_id: ogre.id, count: 2 }] });
+      expect(updated.name).toBe('Builder Bridge Ambush');
+      expect(updated.rating).toMatchObject({ base_xp: 900, adjusted_xp: 1350, difficulty: 'hard' });
+
+      const listed = await StagedEncounter.findByCampaign(testCampaignId);
+      expect(listed.map(entry => entry.id)).toContain(staged.id);
+
+      await expect(StagedEncounter.create(testCampaignId, { monsters: [] })).rejects.toThrow('Name is required');
+      await expect(StagedEncounter.create(testCampaignId, {
+        name: 'Twice', monsters: [{ monster_id: ogre.id, count: 1 }, { monster_id: ogre.id, count: 2 }]
+      })).rejects.toThrow('only be listed once');
+      await expect(StagedEncounter.update(staged.id, { monsters: [{ monster_id: ogre.id, count: 21 }] }))
+        .rejects.toThrow('Count must be at most 20');
+      await expect(StagedEncounter.rate(other.rows[0].id, { monsters: [{ monster_id: ogre.id, count: 1 }] }))
+        .rejects.toThrow('Unknown monster');
+      await expect(StagedEncounter.deploy(staged.id, { hp_mode: 'custom' })).rejects.toThrow('HP mode');
+
+      const empty = await StagedEncounter.create(testCampaignId, { name: 'Builder Empty' });
+      await expect(StagedEncounter.deploy(empty.id)).rejects.toThrow('Builder Empty has no monsters');
+
+      expect(await StagedEncounter.delete(staged.id)).not.toBeNull();
+      expect(await StagedEncounter.findById(staged.id)).toBeNull();
+      expect(await StagedEncounter.update(staged.id, { name: 'Gone' })).toBeNull();
+      expect(await StagedEncounter.deploy(staged.id)).toBeNull();
+    } finally {
+      for (const character of party) {
+        await Combatant.delete(character.id);
+      }
+      await db.query('DELETE FROM campaigns WHERE id = $1', [other.rows[0].id]);
+    }
+  });
+});
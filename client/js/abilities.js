@@ -0,0 +1,9 @@
+/**
+ * Ability Scores and Skills (client)
+ * Loads the shared ability score rules, which register themselves as
+ * window.Abilities when there is no CommonJS module system
+ */
+
+import '/shared/abilities.js';
+
+export default window.Abilities;
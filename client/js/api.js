@@ -159,10 +159,21 @@ class APIClient {
         return this.post('/campaigns', data);
     }
 
+    async updateCampaign(id, data) {
+        return this.put(`/campaigns/${id}`, data);
+    }
+
     async deleteCampaign(id) {
         return this.delete(`/campaigns/${id}`);
     }
 
+    async takeRest(campaignId, data) {
+        const result = await this.post(`/campaigns/${campaignId}/rest`, data);
+        // A rest changes everyone who rested and can move the siege on a day
+        ['/characters', '/npcs', '/combatants', '/initiative', '/siege'].forEach(endpoint => this.invalidateCache(endpoint));
+        return result;
+    }
+
     // Combatant endpoints
     async getCombatants(campaignId) {
         return this.get(`/combatants?campaign_id=${campaignId}`);
@@ -189,6 +200,113 @@ class APIClient {
         return this.put(`/initiative/${id}`, { initiative });
     }
 
+    // Encounter endpoints
+    async getCurrentEncounter(campaignId) {
+        // Never cached: another tab may have advanced the turn
+        return this.request(`/encounters/current?campaign_id=${campaignId}`, { method: 'GET', cache: false });
+    }
+
+    async createEncounter(data) {
+        return this.post('/encounters', data);
+    }
+
+    async addEncounterParticipant(encounterId, combatantId) {
+        return this.post(`/encounters/${encounterId}/participants`, { combatant_id: combatantId });
+    }
+
+    async removeEncounterParticipant(encounterId, combatantId) {
+        return this.delete(`/encounters/${encounterId}/participants/${combatantId}`);
+    }
+
+    async startEncounter(encounterId) {
+        return this.post(`/encounters/${encounterId}/start`, {});
+    }
+
+    async nextEncounterTurn(encounterId) {
+        return this.post(`/encounters/${encounterId}/next-turn`, {});
+    }
+
+    async previousEncounterTurn(encounterId) {
+        return this.post(`/encounters/${encounterId}/previous-turn`, {});
+    }
+
+    async rollEncounterInitiative(encounterId, options = {}) {
+        return this.post(`/encounters/${encounterId}/roll-initiative`, options);
+    }
+
+    async endEncounter(encounterId) {
+        return this.post(`/encounters/${encounterId}/end`, {});
+    }
+
+    async getEncounterXp(encounterId) {
+        return this.request(`/encounters/${encounterId}/xp`, { method: 'GET', cache: false });
+    }
+
+    async awardEncounterXp(encounterId, data = {}) {
+        const result = await this.post(`/encounters/${encounterId}/award-xp`, data);
+        // Every character who shared the experience changed
+        ['/characters', '/combatants'].forEach(endpoint => this.invalidateCache(endpoint));
+        return result;
+    }
+
+    async getEncounterTurns(encounterId) {
+        return this.request(`/encounters/${encounterId}/turns`, { method: 'GET', cache: false });
+    }
+
+    // Combat log endpoints
+    async getCombatLog(campaignId, limit = 50) {
+        return this.request(`/combat-log?campaign_id=${campaignId}&limit=${limit}`, { method: 'GET', cache: false });
+    }
+
+    async undoCombatLog(campaignId, count = 1) {
+        return this.post('/combat-log/undo', { campaign_id: campaignId, count });
+    }
+
+    // Combat endpoints
+    async getCombatantAttacks(combatantId) {
+        return this.request(`/combat/${combatantId}/attacks`, { method: 'GET', cache: false });
+    }
+
+    async attack(data) {
+        return this.post('/combat/attack', data);
+    }
+
+    async dealDamage(data) {
+        return this.post('/combat/damage', data);
+    }
+
+    async groupSave(data) {
+        return this.post('/combat/group-save', data);
+    }
+
+    async healCombatant(data) {
+        return this.post('/combat/heal', data);
+    }
+
+    async grantTempHP(data) {
+        return this.post('/combat/temp-hp', data);
+    }
+
+    async rollDeathSave(combatantId, data = {}) {
+        return this.post(`/combat/${combatantId}/death-save`, data);
+    }
+
+    async stabilizeCombatant(combatantId) {
+        return this.post(`/combat/${combatantId}/stabilize`, {});
+    }
+
+    async startConcentration(combatantId, spell) {
+        return this.post(`/combat/${combatantId}/concentration`, { spell });
+    }
+
+    async endConcentration(combatantId) {
+        return this.delete(`/combat/${combatantId}/concentration`);
+    }
+
+    async rollConcentrationSave(combatantId, data) {
+        return this.post(`/combat/${combatantId}/concentration/save`, data);
+    }
+
     // Character endpoints
     async getCharacters(campaignId) {
         return this.get(`/characters?campaign_id=${campaignId}`);
@@ -232,19 +350,174 @@ class APIClient {
         return this.post('/monsters', data);
     }
 
-    async createMonsterInstance(monsterId) {
-        return this.post(`/monsters/${monsterId}/instances`);
+    async createMonsterInstance(monsterId, options = {}) {
+        return this.post(`/monsters/${monsterId}/instances`, options);
+    }
+
+    async importMonsters(campaignId, content, options = {}) {
+        return this.post('/monsters/import', { ...options, campaign_id: campaignId, content });
     }
 
     // Condition endpoints
-    async addCondition(combatantId, condition) {
-        return this.post(`/combatants/${combatantId}/conditions`, { condition });
+    async addCondition(combatantId, condition, options = {}) {
+        return this.post(`/combatants/${combatantId}/conditions`, { condition, ...options });
+    }
+
+    async rollConditionSave(combatantId, conditionId, data = {}) {
+        return this.post(`/combatants/${combatantId}/conditions/${conditionId}/save`, data);
     }
 
     async removeCondition(combatantId, conditionId) {
         return this.delete(`/combatants/${combatantId}/conditions/${conditionId}`);
     }
 
+    // Resource endpoints (spell slots, class resources, recharge abilities)
+    async getResources(combatantId) {
+        return this.get(`/combatants/${combatantId}/resources`);
+    }
+
+    async createResource(combatantId, data) {
+        return this.post(`/combatants/${combatantId}/resources`, data);
+    }
+
+    async updateResource(combatantId, resourceId, data) {
+        return this.put(`/combatants/${combatantId}/resources/${resourceId}`, data);
+    }
+
+    async deleteResource(combatantId, resourceId) {
+        return this.delete(`/combatants/${combatantId}/resources/${resourceId}`);
+    }
+
+    async useResource(combatantId, resourceId, amount = 1) {
+        return this.post(`/combatants/${combatantId}/resources/${resourceId}/use`, { amount });
+    }
+
+    async restoreResource(combatantId, resourceId, amount) {
+        return this.post(`/combatants/${combatantId}/resources/${resourceId}/restore`, { amount });
+    }
+
+    async rollRecharge(combatantId, resourceId, data = {}) {
+        return this.post(`/combatants/${combatantId}/resources/${resourceId}/recharge`, data);
+    }
+
+    // Progression endpoints (experience and level ups)
+    async getProgress(combatantId) {
+        return this.request(`/combatants/${combatantId}/progress`, { method: 'GET', cache: false });
+    }
+
+    async awardXp(combatantId, amount, reason) {
+        const result = await this.post(`/combatants/${combatantId}/xp`, { amount, reason });
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    async levelUp(combatantId, data) {
+        const result = await this.post(`/combatants/${combatantId}/level-up`, data);
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    // Spell endpoints (the spell reference and each combatant's known spells)
+    async getSpells(filters = {}) {
+        const query = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return this.get(`/reference/spells${query ? `?${query}` : ''}`);
+    }
+
+    async getSpellbook(combatantId) {
+        return this.request(`/combatants/${combatantId}/spells`, { method: 'GET', cache: false });
+    }
+
+    async learnSpell(combatantId, spellId, prepared = false) {
+        return this.post(`/combatants/${combatantId}/spells`, { spell_id: spellId, prepared });
+    }
+
+    async updateSpell(combatantId, spellId, data) {
+        return this.put(`/combatants/${combatantId}/spells/${spellId}`, data);
+    }
+
+    async forgetSpell(combatantId, spellId) {
+        return this.delete(`/combatants/${combatantId}/spells/${spellId}`);
+    }
+
+    async castSpell(combatantId, spellId, options = {}) {
+        const result = await this.post(`/combatants/${combatantId}/spells/${spellId}/cast`, options);
+        // Casting spends slots and can start concentration
+        ['/characters', '/initiative'].forEach(endpoint => this.invalidateCache(endpoint));
+        return result;
+    }
+
+    // Inventory endpoints (items, coins and the party stash; no combatant ID = the stash)
+    async getInventory(campaignId, combatantId = null) {
+        const owner = combatantId ? `&combatant_id=${combatantId}` : '';
+        return this.request(`/inventory?campaign_id=${campaignId}${owner}`, { method: 'GET', cache: false });
+    }
+
+    async addItem(campaignId, combatantId, data) {
+        const result = await this.post('/inventory/items', { ...data, campaign_id: campaignId, combatant_id: combatantId });
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    async updateItem(itemId, data) {
+        const result = await this.put(`/inventory/items/${itemId}`, data);
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    async deleteItem(itemId) {
+        const result = await this.delete(`/inventory/items/${itemId}`);
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    async useItem(itemId, amount = 1) {
+        return this.post(`/inventory/items/${itemId}/use`, { amount });
+    }
+
+    async transferItem(itemId, combatantId, quantity) {
+        const result = await this.post(`/inventory/items/${itemId}/transfer`, { combatant_id: combatantId, quantity });
+        this.invalidateCache('/characters');
+        return result;
+    }
+
+    async adjustCurrency(campaignId, combatantId, coins) {
+        return this.post('/inventory/currency', { ...coins, campaign_id: campaignId, combatant_id: combatantId });
+    }
+
+    async transferCurrency(campaignId, data) {
+        return this.post('/inventory/currency/transfer', { ...data, campaign_id: campaignId });
+    }
+
+    // Staged encounter endpoints (the encounter builder)
+    async getStagedEncounters(campaignId) {
+        return this.request(`/staged-encounters?campaign_id=${campaignId}`, { method: 'GET', cache: false });
+    }
+
+    async rateEncounter(campaignId, monsters, combatantIds) {
+        return this.post('/staged-encounters/rate', { campaign_id: campaignId, monsters, combatant_ids: combatantIds });
+    }
+
+    async createStagedEncounter(campaignId, data) {
+        return this.post('/staged-encounters', { ...data, campaign_id: campaignId });
+    }
+
+    async updateStagedEncounter(id, data) {
+        return this.put(`/staged-encounters/${id}`, data);
+    }
+
+    async deleteStagedEncounter(id) {
+        return this.delete(`/staged-encounters/${id}`);
+    }
+
+    async deployStagedEncounter(id, data = {}) {
+        const result = await this.post(`/staged-encounters/${id}/deploy`, data);
+        // Deploying adds combatants to the current encounter
+        ['/combatants', '/initiative', '/encounters'].forEach(endpoint => this.invalidateCache(endpoint));
+        return result;
+    }
+
     // Siege endpoints
     async getSiegeState(campaignId) {
         return this.get(`/siege?campaign_id=${campaignId}`);
@@ -258,6 +531,102 @@ class APIClient {
         return this.post('/siege/notes', data);
     }
 
+    async getSiegeHistory(campaignId) {
+        return this.get(`/siege/history?campaign_id=${campaignId}`);
+    }
+
+    async rewindSiege(historyId, data) {
+        return this.post(`/siege/history/${historyId}/rewind`, data);
+    }
+
+    async advanceSiegeDay(data) {
+        return this.post('/siege/advance-day', data);
+    }
+
+    async getSiegeRules(campaignId) {
+        return this.get(`/siege/rules?campaign_id=${campaignId}`);
+    }
+
+    async updateSiegeRules(data) {
+        return this.put('/siege/rules', data);
+    }
+
+    async resetSiegeRules(campaignId) {
+        return this.delete(`/siege/rules?campaign_id=${campaignId}`);
+    }
+
+    async getSiegeMetricDefinitions(campaignId) {
+        return this.get(`/siege/metric-definitions?campaign_id=${campaignId}`);
+    }
+
+    async createSiegeMetricDefinition(data) {
+        return this.post('/siege/metric-definitions', data);
+    }
+
+    async updateSiegeMetricDefinition(id, data) {
+        return this.put(`/siege/metric-definitions/${id}`, data);
+    }
+
+    async deleteSiegeMetricDefinition(id) {
+        return this.delete(`/siege/metric-definitions/${id}`);
+    }
+
+    async getSiegeTriggers(campaignId) {
+        return this.get(`/siege/triggers?campaign_id=${campaignId}`);
+    }
+
+    async createSiegeTrigger(data) {
+        return this.post('/siege/triggers', data);
+    }
+
+    async updateSiegeTrigger(id, data) {
+        return this.put(`/siege/triggers/${id}`, data);
+    }
+
+    async deleteSiegeTrigger(id) {
+        return this.delete(`/siege/triggers/${id}`);
+    }
+
+    async getSiegeAlerts(campaignId) {
+        return this.get(`/siege/triggers/log?campaign_id=${campaignId}&unacknowledged=true`);
+    }
+
+    async acknowledgeSiegeAlert(id) {
+        return this.post(`/siege/triggers/log/${id}/acknowledge`, {});
+    }
+
+    async acknowledgeAllSiegeAlerts(campaignId) {
+        return this.post('/siege/triggers/log/acknowledge', { campaign_id: campaignId });
+    }
+
+    // Force endpoints
+    async getForces(campaignId) {
+        return this.get(`/forces?campaign_id=${campaignId}`);
+    }
+
+    async getForceSummary(campaignId) {
+        return this.get(`/forces/summary?campaign_id=${campaignId}`);
+    }
+
+    async createForce(data) {
+        return this.post('/forces', data);
+    }
+
+    async updateForce(id, data) {
+        return this.put(`/forces/${id}`, data);
+    }
+
+    async deleteForce(id) {
+        return this.delete(`/forces/${id}`);
+    }
+
+    async recordForceCasualties(id, data) {
+        const result = await this.post(`/forces/${id}/casualties`, data);
+        // Casualties move the defenders' morale
+        this.invalidateCache('/siege');
+        return result;
+    }
+
     // Location endpoints
     async getLocations(campaignId) {
         return this.get(`/locations?campaign_id=${campaignId}`);
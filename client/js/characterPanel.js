@@ -2,11 +2,52 @@
 
 import api from './api.js';
 import state from './state.js';
+import Abilities from './abilities.js';
+
+// Resources with more uses than this show a counter instead of pips
+const MAX_PIPS = 10;
+
+const RESOURCE_KINDS = [
+    { value: 'class', label: 'Class resource' },
+    { value: 'spell_slot', label: 'Spell slots' },
+    { value: 'pact_slot', label: 'Pact slots' },
+    { value: 'recharge', label: 'Recharge ability' }
+];
+
+const HIT_DIE_SIZES = [6, 8, 10, 12];
+
+// Most recent experience awards shown under a character
+const XP_LEDGER_ROWS = 5;
+
+const ITEM_CATEGORIES = ['gear', 'weapon', 'armor', 'shield', 'consumable', 'treasure'];
+const ARMOR_TYPES = ['light', 'medium', 'heavy'];
+
+// Coins from most to least valuable
+const COINS = ['pp', 'gp', 'ep', 'sp', 'cp'];
+
+// Items a character can be attuned to at once
+const MAX_ATTUNED = 3;
+
+// Resources spent to cast spells
+const SLOT_KINDS = ['spell_slot', 'pact_slot'];
+
+const REST_LABELS = {
+    short_rest: 'Short rest',
+    long_rest: 'Long rest'
+};
 
 class CharacterPanel {
     constructor() {
         this.container = document.getElementById('character-content');
         this.selectedCharacterId = null;
+        // Resources by combatant ID, loaded when a character is shown
+        this.resources = {};
+        // Experience and level history by combatant ID, loaded when a character is shown
+        this.progress = {};
+        // Items, coins and carried weight by combatant ID, loaded when a character is shown
+        this.inventories = {};
+        // Known spells and the spells their class can learn by combatant ID, loaded when a character is shown
+        this.spellbooks = {};
         this.referenceData = {
             races: [],
             classes: [],
@@ -24,6 +65,11 @@ class CharacterPanel {
         
         // Subscribe to state changes
         state.subscribe((newState, oldState) => {
+            // Experience may have been awarded elsewhere (e.g. at the end of an encounter)
+            if (newState.characters !== oldState.characters) {
+                this.dropStaleProgress(newState.characters || []);
+            }
+            
             // Re-render if characters changed or selection changed
             if (newState.characters !== oldState.characters || 
                 newState.selectedCombatantId !== oldState.selectedCombatantId ||
@@ -94,6 +140,11 @@ class CharacterPanel {
                 this.showCreateForm();
             }
             
+            // Rest button
+            if (e.target.closest('#rest-btn')) {
+                this.showRestDialog();
+            }
+            
             // Save character button
             if (e.target.closest('#save-character-btn')) {
                 this.saveCharacter();
@@ -122,6 +173,72 @@ class CharacterPanel {
                 const characterId = parseInt(btn.dataset.characterId);
                 this.addToCombat(characterId);
             }
+            
+            // Resource pips and buttons
+            const resourceBtn = e.target.closest('[data-resource-action]');
+            if (resourceBtn) {
+                const row = resourceBtn.closest('.resource-row');
+                this.handleResourceAction(
+                    parseInt(row.dataset.characterId),
+                    parseInt(row.dataset.resourceId),
+                    resourceBtn.dataset.resourceAction
+                );
+            }
+            
+            // Add resource button
+            if (e.target.closest('#add-resource-btn')) {
+                const btn = e.target.closest('#add-resource-btn');
+                this.addResource(parseInt(btn.dataset.characterId));
+            }
+            
+            // Award experience button
+            if (e.target.closest('#award-xp-btn')) {
+                const btn = e.target.closest('#award-xp-btn');
+                this.awardXp(parseInt(btn.dataset.characterId));
+            }
+            
+            // Level up button
+            if (e.target.closest('#level-up-btn')) {
+                const btn = e.target.closest('#level-up-btn');
+                this.showLevelUpDialog(parseInt(btn.dataset.characterId));
+            }
+            
+            // Inventory item buttons
+            const itemBtn = e.target.closest('[data-item-action]');
+            if (itemBtn) {
+                const row = itemBtn.closest('.inventory-row');
+                this.handleItemAction(parseInt(row.dataset.characterId), parseInt(row.dataset.itemId), itemBtn.dataset.itemAction, row);
+            }
+            
+            // Add item button
+            if (e.target.closest('#add-item-btn')) {
+                const btn = e.target.closest('#add-item-btn');
+                this.addItem(parseInt(btn.dataset.characterId));
+            }
+            
+            // Coin buttons
+            const coinBtn = e.target.closest('[data-coin-action]');
+            if (coinBtn) {
+                this.handleCoinAction(parseInt(coinBtn.dataset.characterId), coinBtn.dataset.coinAction);
+            }
+            
+            // Party stash button
+            if (e.target.closest('#stash-btn')) {
+                this.showStashDialog();
+            }
+            
+            // Spell buttons
+            const spellBtn = e.target.closest('[data-spell-action]');
+            if (spellBtn) {
+                const row = spellBtn.closest('.spell-row');
+                this.handleSpellAction(parseInt(row.dataset.characterId), parseInt(row.dataset.spellId), spellBtn.dataset.spellAction, row);
+            }
+            
+            // Add spell button
+            if (e.target.closest('#learn-spell-btn')) {
+                const btn = e.target.closest('#learn-spell-btn');
+                this.learnSpell(parseInt(btn.dataset.characterId));
+            }
         });
 
         // HP input change and class selection change
@@ -136,6 +253,27 @@ class CharacterPanel {
             if (e.target.id === 'char-class') {
                 this.updateSubclassOptions(e.target.value);
             }
+            
+            // Resource kind change - show the fields that kind uses
+            if (e.target.id === 'resource-kind') {
+                this.updateResourceFields(e.target.value);
+            }
+            
+            // Campaign leveling change - experience or milestones
+            if (e.target.id === 'progression-mode') {
+                this.setProgression(e.target.value);
+            }
+            
+            // Item category change - show the armor fields for armor
+            if (e.target.id === 'item-category') {
+                this.updateItemFields('item', e.target.value);
+            }
+            
+            // Prepared checkbox of a known spell
+            if (e.target.classList.contains('spell-prepared')) {
+                const row = e.target.closest('.spell-row');
+                this.setSpellPrepared(parseInt(row.dataset.characterId), parseInt(row.dataset.spellId), e.target.checked);
+            }
         });
     }
 
@@ -209,6 +347,7 @@ class CharacterPanel {
 
         const conditions = character.conditions || [];
         const isDown = character.current_hp === 0;
+        const hitDice = this.getHitDice(character);
         
         return `
             <div class="character-detail ${isDown ? 'character-down' : ''}">
@@ -260,38 +399,17 @@ class CharacterPanel {
                             <button class="hp-btn" data-character-id="${character.id}" data-change="10">+10</button>
                         </div>
                     </div>
-                </div>
-                
-                <div class="saving-throws">
-                    <h4>Saving Throws</h4>
-                    <div class="saves-grid">
-                        <div class="save-item">
-                            <span class="save-label">STR</span>
-                            <span class="save-value">${this.formatModifier(character.save_strength)}</span>
-                        </div>
-                        <div class="save-item">
-                            <span class="save-label">DEX</span>
-                            <span class="save-value">${this.formatModifier(character.save_dexterity)}</span>
-                        </div>
-                        <div class="save-item">
-                            <span class="save-label">CON</span>
-                            <span class="save-value">${this.formatModifier(character.save_constitution)}</span>
-                        </div>
-                        <div class="save-item">
-                            <span class="save-label">INT</span>
-                            <span class="save-value">${this.formatModifier(character.save_intelligence)}</span>
-                        </div>
-                        <div class="save-item">
-                            <span class="save-label">WIS</span>
-                            <span class="save-value">${this.formatModifier(character.save_wisdom)}</span>
-                        </div>
-                        <div class="save-item">
-                            <span class="save-label">CHA</span>
-                            <span class="save-value">${this.formatModifier(character.save_charisma)}</span>
-                        </div>
+                    
+                    <div class="stat-block">
+                        <label>Hit Dice</label>
+                        <div class="stat-value">${hitDice.remaining}/${hitDice.total}${character.hit_die ? ` d${character.hit_die}` : ''}</div>
                     </div>
                 </div>
                 
+                ${this.displayProgress(character)}
+                
+                ${this.displaySheet(character)}
+                
                 <div class="conditions-display">
                     <h4>Active Conditions</h4>
                     ${conditions.length > 0 ? `
@@ -303,15 +421,18 @@ class CharacterPanel {
                     ` : '<p class="no-conditions">No active conditions</p>'}
                 </div>
                 
+                ${this.displayDefenses(character)}
+                
                 <div class="features-display">
                     <h4>Class & Racial Features</h4>
                     ${this.displayFeatures(character.features)}
                 </div>
                 
-                <div class="items-display">
-                    <h4>Magical Items</h4>
-                    ${this.displayMagicalItems(character.magical_items)}
-                </div>
+                ${this.displayResources(character)}
+                
+                ${this.displaySpellbook(character)}
+                
+                ${this.displayInventory(character)}
                 
                 ${character.notes ? `
                     <div class="character-notes">
@@ -499,6 +620,8 @@ class CharacterPanel {
                         </div>
                     </div>
                     
+                    ${this.abilityFormFields()}
+                    
                     <h4>Saving Throws</h4>
                     <div class="form-row saves-row">
                         <div class="form-group">
@@ -539,13 +662,6 @@ class CharacterPanel {
                         <small>Format: Feature Name | Description (optional)</small>
                     </div>
                     
-                    <h4>Magical Items</h4>
-                    <div class="form-group">
-                        <label for="char-items">Magical Items (one per line: Name | Description | Attunement)</label>
-                        <textarea id="char-items" rows="4" placeholder="Flame Tongue | +2d6 fire damage | yes&#10;Ring of Protection | +1 AC and saves"></textarea>
-                        <small>Format: Item Name | Description (optional) | Attunement (yes/no, optional)</small>
-                    </div>
-                    
                     <div class="form-actions">
                         <button type="button" id="save-character-btn" class="btn btn-primary">Create Character</button>
                         <button type="button" id="cancel-character-btn" class="btn btn-secondary">Cancel</button>
@@ -681,6 +797,16 @@ class CharacterPanel {
                         </select>
                     </div>
                     
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="char-hit-die">Hit Die</label>
+                            <select id="char-hit-die">
+                                <option value="">From class</option>
+                                ${HIT_DIE_SIZES.map(size => `<option value="${size}" ${character.hit_die === size ? 'selected' : ''}>d${size}</option>`).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    
                     <div class="form-row">
                         <div class="form-group">
                             <label for="char-background">Background</label>
@@ -733,6 +859,8 @@ class CharacterPanel {
                         </div>
                     </div>
                     
+                    ${this.abilityFormFields(character)}
+                    
                     <h4>Saving Throws</h4>
                     <div class="form-row saves-row">
                         <div class="form-group">
@@ -761,6 +889,22 @@ class CharacterPanel {
                         </div>
                     </div>
                     
+                    <h4>Damage Defenses</h4>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="char-resistances">Resistances</label>
+                            <input type="text" id="char-resistances" placeholder="fire, poison" value="${this.escapeHtml((character.resistances || []).join(', '))}" />
+                        </div>
+                        <div class="form-group">
+                            <label for="char-immunities">Immunities</label>
+                            <input type="text" id="char-immunities" value="${this.escapeHtml((character.immunities || []).join(', '))}" />
+                        </div>
+                        <div class="form-group">
+                            <label for="char-vulnerabilities">Vulnerabilities</label>
+                            <input type="text" id="char-vulnerabilities" value="${this.escapeHtml((character.vulnerabilities || []).join(', '))}" />
+                        </div>
+                    </div>
+                    
                     <div class="form-group">
                         <label for="char-notes">Notes</label>
                         <textarea id="char-notes" rows="3">${this.escapeHtml(character.notes || '')}</textarea>
@@ -773,13 +917,6 @@ class CharacterPanel {
                         <small>Format: Feature Name | Description (optional)</small>
                     </div>
                     
-                    <h4>Magical Items</h4>
-                    <div class="form-group">
-                        <label for="char-items">Magical Items (one per line: Name | Description | Attunement)</label>
-                        <textarea id="char-items" rows="4" placeholder="Flame Tongue | +2d6 fire damage | yes&#10;Ring of Protection | +1 AC and saves">${this.formatItemsForEdit(character.magical_items)}</textarea>
-                        <small>Format: Item Name | Description (optional) | Attunement (yes/no, optional)</small>
-                    </div>
-                    
                     <div class="form-actions">
                         <button type="button" id="save-character-btn" class="btn btn-primary">Save Changes</button>
                         <button type="button" id="cancel-character-btn" class="btn btn-secondary">Cancel</button>
@@ -800,7 +937,6 @@ class CharacterPanel {
             const isEdit = !!characterId;
             
             const featuresText = document.getElementById('char-features')?.value || '';
-            const itemsText = document.getElementById('char-items')?.value || '';
             
             const characterData = {
                 campaign_id: state.get('currentCampaignId'),
@@ -823,10 +959,18 @@ class CharacterPanel {
                 save_charisma: parseInt(document.getElementById('char-save-cha')?.value) || 0,
                 notes: document.getElementById('char-notes')?.value || '',
                 features: this.parseFeaturesFromForm(featuresText),
-                magical_items: this.parseItemsFromForm(itemsText),
+                ...this.readAbilityForm(),
                 type: 'PC'
             };
             
+            // Damage defenses (comma-separated damage types) and hit die are only on the edit form
+            if (isEdit) {
+                characterData.resistances = document.getElementById('char-resistances')?.value || '';
+                characterData.immunities = document.getElementById('char-immunities')?.value || '';
+                characterData.vulnerabilities = document.getElementById('char-vulnerabilities')?.value || '';
+                characterData.hit_die = parseInt(document.getElementById('char-hit-die')?.value) || null;
+            }
+            
             console.log('=== SAVING CHARACTER ===');
             console.log('Mode:', isEdit ? 'EDIT' : 'CREATE');
             console.log('Data:', JSON.stringify(characterData, null, 2));
@@ -968,12 +1112,29 @@ class CharacterPanel {
         const characters = state.get('characters');
         const selectedCharacter = this.getSelectedCharacter();
         
+        if (selectedCharacter && this.resources[selectedCharacter.id] === undefined) {
+            this.loadResources(selectedCharacter.id);
+        }
+        if (selectedCharacter?.type === 'PC' && this.progress[selectedCharacter.id] === undefined) {
+            this.loadProgress(selectedCharacter.id);
+        }
+        if (selectedCharacter?.type === 'PC' && this.inventories[selectedCharacter.id] === undefined) {
+            this.loadInventory(selectedCharacter.id);
+        }
+        if (selectedCharacter?.type === 'PC' && this.spellbooks[selectedCharacter.id] === undefined) {
+            this.loadSpellbook(selectedCharacter);
+        }
+        
         this.container.innerHTML = `
             <div class="character-panel">
                 <div class="character-list-section">
                     <div class="section-header">
                         <h3>Characters</h3>
-                        <button id="create-character-btn" class="btn btn-small btn-primary">+ New</button>
+                        <div class="section-actions">
+                            <button id="rest-btn" class="btn btn-small btn-secondary">Rest</button>
+                            <button id="stash-btn" class="btn btn-small btn-secondary">Stash</button>
+                            <button id="create-character-btn" class="btn btn-small btn-primary">+ New</button>
+                        </div>
                     </div>
                     <ul class="character-list">
                         ${characters.length > 0 ? characters.map(char => `
@@ -993,6 +1154,183 @@ class CharacterPanel {
         `;
     }
 
+    /**
+     * Show the rest dialog: pick the rest, who rests and the hit dice each spends
+     */
+    showRestDialog() {
+        const characters = state.get('characters') || [];
+        if (characters.length === 0) {
+            this.showError('There are no characters to rest');
+            return;
+        }
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="rest-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Rest</h3>
+                        <button class="modal-close" data-action="close-rest-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="rest-type">Rest</label>
+                                <select id="rest-type">
+                                    ${Object.entries(REST_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <label><input type="checkbox" id="rest-advance-day" disabled /> Advance the siege a day</label>
+                        <div class="rest-characters">
+                            ${characters.map(char => {
+                                const hitDice = this.getHitDice(char);
+                                return `
+                                    <div class="rest-character" data-character-id="${char.id}">
+                                        <label>
+                                            <input type="checkbox" class="rest-include" checked ${char.is_dead ? 'disabled' : ''} />
+                                            ${this.escapeHtml(char.name)} (HP ${char.current_hp}/${char.max_hp})
+                                        </label>
+                                        <label class="rest-hit-dice">
+                                            Hit dice
+                                            <input type="number" class="rest-hit-dice-input" min="0" max="${hitDice.remaining}" value="0" />
+                                            <span>of ${hitDice.remaining}</span>
+                                        </label>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        <div class="rest-results" id="rest-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-rest-modal">Done</button>
+                        <button class="btn btn-primary" data-action="take-rest">Rest</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        // Hit dice are only spent on short rests and only long rests take a day
+        modal.querySelector('#rest-type').addEventListener('change', (e) => {
+            const isShort = e.target.value === 'short_rest';
+            modal.querySelectorAll('.rest-hit-dice').forEach(field => { field.hidden = !isShort; });
+            modal.querySelector('#rest-advance-day').disabled = isShort;
+        });
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-rest-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action !== 'take-rest') return;
+            e.preventDefault();
+            
+            const type = modal.querySelector('#rest-type').value;
+            const resting = [...modal.querySelectorAll('.rest-character')]
+                .filter(row => row.querySelector('.rest-include').checked);
+            if (resting.length === 0) {
+                this.showError('Select at least one character');
+                return;
+            }
+            
+            const hitDice = {};
+            if (type === 'short_rest') {
+                resting.forEach(row => {
+                    hitDice[row.dataset.characterId] = parseInt(row.querySelector('.rest-hit-dice-input').value) || 0;
+                });
+            }
+            
+            const result = await this.takeRest({
+                type,
+                combatant_ids: resting.map(row => parseInt(row.dataset.characterId)),
+                hit_dice: hitDice,
+                advance_day: type === 'long_rest' && modal.querySelector('#rest-advance-day').checked
+            });
+            
+            if (result) {
+                modal.querySelector('#rest-results').innerHTML = this.describeRest(result);
+                modal.querySelector('[data-action="take-rest"]').disabled = true;
+            }
+        });
+    }
+
+    /**
+     * Take a rest on the server and update everyone who rested
+     */
+    async takeRest(data) {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const result = await api.takeRest(campaignId, data);
+            
+            result.results.forEach(entry => {
+                const { conditions, ...combatant } = entry.combatant;
+                state.updateCharacter(combatant.id, combatant);
+                state.updateCombatant(combatant.id, combatant);
+                // Resources reload the next time the character is shown
+                delete this.resources[combatant.id];
+            });
+            if (result.siege_state) {
+                state.updateSiegeState(result.siege_state);
+            }
+            
+            // Exhaustion levels may have changed
+            if (result.results.some(entry => entry.exhaustion)) {
+                await this.loadCharacters();
+            }
+            
+            this.render();
+            return result;
+        } catch (error) {
+            console.error('Failed to rest:', error);
+            this.showError(error.message || 'Failed to rest');
+        }
+        return null;
+    }
+
+    /**
+     * Summary of a rest: one line per character with what it regained
+     */
+    describeRest(result) {
+        const rows = result.results.map(entry => {
+            const name = this.escapeHtml(entry.combatant.name);
+            if (entry.skipped) {
+                return `<div class="rest-result">${name}: no benefit (${this.escapeHtml(entry.skipped)})</div>`;
+            }
+            
+            const parts = [`HP ${entry.hp_before} → ${entry.hp_after}`];
+            if (entry.hit_dice_spent > 0) {
+                parts.push(`spent ${entry.hit_dice_spent} hit ${entry.hit_dice_spent === 1 ? 'die' : 'dice'} (${entry.rolls.map(roll => roll.total).join(', ')})`);
+            }
+            if (entry.hit_dice_regained > 0) {
+                parts.push(`regained ${entry.hit_dice_regained} hit ${entry.hit_dice_regained === 1 ? 'die' : 'dice'}`);
+            }
+            if (entry.exhaustion) {
+                parts.push(`exhaustion ${entry.exhaustion.from} → ${entry.exhaustion.to}`);
+            }
+            if (entry.resources_reset.length > 0) {
+                parts.push(`restored ${entry.resources_reset.map(resource => this.escapeHtml(resource.name)).join(', ')}`);
+            }
+            return `<div class="rest-result">${name}: ${parts.join('; ')}</div>`;
+        }).join('');
+        
+        const day = result.siege_state ? `<div class="rest-summary">Day ${result.siege_state.day_of_siege} of the siege</div>` : '';
+        return `${rows}${day}`;
+    }
+
+    /**
+     * Hit dice left out of the character's total (one per level)
+     */
+    getHitDice(character) {
+        const total = Math.max(1, character.level || 1);
+        return { total, remaining: Math.max(0, total - (character.hit_dice_used || 0)) };
+    }
+
     getSubclassOptions(characterClass) {
         return this.referenceData.subclasses
             .filter(sub => sub.class_name === characterClass)
@@ -1010,6 +1348,563 @@ class CharacterPanel {
         return grouped;
     }
 
+    /**
+     * Ability scores, saves, skills and passive scores worked out from the
+     * character's scores; characters without all six scores show their save modifiers
+     */
+    displaySheet(character) {
+        const sheet = Abilities.sheet(character);
+        
+        if (!sheet) {
+            return `
+                <div class="saving-throws">
+                    <h4>Saving Throws</h4>
+                    <div class="saves-grid">
+                        ${Abilities.ABILITIES.map(ability => `
+                            <div class="save-item">
+                                <span class="save-label">${this.abilityLabel(ability)}</span>
+                                <span class="save-value">${this.formatModifier(character[`save_${ability}`])}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="saving-throws ability-sheet">
+                <h4>Abilities <span class="proficiency-bonus">Proficiency ${this.formatModifier(sheet.proficiency_bonus)}</span></h4>
+                <div class="saves-grid">
+                    ${Abilities.ABILITIES.map(ability => {
+                        const entry = sheet.abilities[ability];
+                        return `
+                            <div class="save-item">
+                                <span class="save-label">${this.abilityLabel(ability)}</span>
+                                <span class="save-value">${entry.score}</span>
+                                <span class="ability-modifier">${this.formatModifier(entry.modifier)}</span>
+                                <span class="ability-save ${entry.save_proficient ? 'proficient' : ''}"
+                                      title="${entry.save_proficient ? 'Proficient' : 'Not proficient'}">Save ${this.formatModifier(entry.save)}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                <div class="passive-scores">
+                    ${Abilities.PASSIVE_SKILLS.map(skill => `
+                        <span>Passive ${Abilities.skillLabel(skill)} <strong>${sheet.passive[skill]}</strong></span>
+                    `).join('')}
+                </div>
+                <div class="skills-grid">
+                    ${Object.entries(sheet.skills).map(([skill, entry]) => `
+                        <div class="skill-item ${entry.expertise ? 'expertise' : entry.proficient ? 'proficient' : ''}">
+                            <span class="skill-name">${Abilities.skillLabel(skill)} <small>(${this.abilityLabel(entry.ability)})</small></span>
+                            <span class="skill-bonus">${this.formatModifier(entry.bonus)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Ability score, save proficiency and skill fields for the create and edit forms
+     */
+    abilityFormFields(character = {}) {
+        const saveProficiencies = character.save_proficiencies || [];
+        const skillProficiencies = character.skill_proficiencies || [];
+        const skillExpertise = character.skill_expertise || [];
+        
+        return `
+            <h4>Ability Scores</h4>
+            <div class="form-row saves-row">
+                ${Abilities.ABILITIES.map(ability => {
+                    const column = Abilities.ABILITY_COLUMNS[ability];
+                    const id = `char-${column.replace('_', '-')}`;
+                    return `
+                        <div class="form-group">
+                            <label for="${id}">${this.abilityLabel(ability)}</label>
+                            <input type="number" id="${id}" min="1" max="30" value="${character[column] ?? ''}" />
+                            <label class="save-proficiency">
+                                <input type="checkbox" data-save-proficiency="${ability}" ${saveProficiencies.includes(ability) ? 'checked' : ''} />
+                                Save
+                            </label>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <small>With all six scores, saves and skills are worked out from the scores and level</small>
+            
+            <h4>Skills</h4>
+            <div class="skills-form">
+                ${Object.keys(Abilities.SKILLS).map(skill => `
+                    <div class="skill-form-item">
+                        <span>${Abilities.skillLabel(skill)}</span>
+                        <label><input type="checkbox" data-skill-proficiency="${skill}" ${skillProficiencies.includes(skill) ? 'checked' : ''} /> Prof</label>
+                        <label><input type="checkbox" data-skill-expertise="${skill}" ${skillExpertise.includes(skill) ? 'checked' : ''} /> Exp</label>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Read the ability score, save proficiency and skill fields of the form
+     */
+    readAbilityForm() {
+        const data = {};
+        Abilities.ABILITIES.forEach(ability => {
+            const column = Abilities.ABILITY_COLUMNS[ability];
+            data[column] = parseInt(document.getElementById(`char-${column.replace('_', '-')}`)?.value) || null;
+        });
+        
+        const checked = (attribute) => [...this.container.querySelectorAll(`[${attribute}]:checked`)]
+            .map(input => input.getAttribute(attribute));
+        data.save_proficiencies = checked('data-save-proficiency');
+        data.skill_proficiencies = checked('data-skill-proficiency');
+        data.skill_expertise = checked('data-skill-expertise');
+        return data;
+    }
+
+    /**
+     * Short name of an ability, e.g. strength -> STR
+     */
+    abilityLabel(ability) {
+        return Abilities.ABILITY_COLUMNS[ability].slice(5).toUpperCase();
+    }
+
+    displayDefenses(character) {
+        const defenses = [
+            ['Resistances', character.resistances],
+            ['Immunities', character.immunities],
+            ['Vulnerabilities', character.vulnerabilities]
+        ].filter(([, list]) => Array.isArray(list) && list.length > 0);
+
+        if (defenses.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="defenses-display">
+                <h4>Damage Defenses</h4>
+                ${defenses.map(([label, list]) => `
+                    <p><strong>${label}:</strong> ${this.escapeHtml(list.join(', '))}</p>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Load a combatant's resources and show them
+     */
+    async loadResources(combatantId) {
+        // Marked as loading so render does not request them again
+        this.resources[combatantId] = null;
+        
+        try {
+            const response = await api.getResources(combatantId);
+            this.resources[combatantId] = response.success ? response.data : [];
+        } catch (error) {
+            console.error('Failed to load resources:', error);
+            this.resources[combatantId] = [];
+        }
+        this.render();
+    }
+
+    /**
+     * Spend, regain, recharge or remove a resource
+     */
+    async handleResourceAction(combatantId, resourceId, action) {
+        try {
+            if (action === 'delete') {
+                if (!confirm('Remove this resource?')) return;
+                const response = await api.deleteResource(combatantId, resourceId);
+                if (response.success) {
+                    this.resources[combatantId] = this.resources[combatantId].filter(r => r.id !== resourceId);
+                    this.render();
+                }
+                return;
+            }
+            
+            let updated = null;
+            if (action === 'use') {
+                updated = (await api.useResource(combatantId, resourceId)).data;
+            } else if (action === 'restore') {
+                updated = (await api.restoreResource(combatantId, resourceId, 1)).data;
+            } else if (action === 'recharge') {
+                const { resource, roll, recharged } = (await api.rollRecharge(combatantId, resourceId)).data;
+                this.showSuccess(`${resource.name}: rolled ${roll.total}, ${recharged ? 'recharged' : 'not recharged'}`);
+                updated = resource;
+            }
+            
+            if (updated) {
+                this.resources[combatantId] = this.resources[combatantId]
+                    .map(resource => resource.id === resourceId ? updated : resource);
+                this.render();
+            }
+        } catch (error) {
+            console.error('Failed to update resource:', error);
+            this.showError(error.message || 'Failed to update resource');
+        }
+    }
+
+    /**
+     * Add a resource from the form under the resource list
+     */
+    async addResource(combatantId) {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const kind = value('resource-kind');
+        const data = {
+            kind,
+            name: value('resource-name').trim() || null,
+            max_uses: parseInt(value('resource-max')) || 0,
+            resets_on: value('resource-resets') || null
+        };
+        if (kind === 'spell_slot' || kind === 'pact_slot') {
+            data.slot_level = parseInt(value('resource-level'));
+        }
+        if (kind === 'recharge') {
+            data.recharge_min = parseInt(value('resource-recharge'));
+        }
+        
+        try {
+            const response = await api.createResource(combatantId, data);
+            if (response.success) {
+                this.resources[combatantId] = [...(this.resources[combatantId] || []), response.data];
+                this.render();
+            }
+        } catch (error) {
+            console.error('Failed to add resource:', error);
+            this.showError(error.message || 'Failed to add resource');
+        }
+    }
+
+    /**
+     * Show the slot level field for slots and the recharge field for recharge abilities
+     */
+    updateResourceFields(kind) {
+        const isSlot = kind === 'spell_slot' || kind === 'pact_slot';
+        const show = (id, visible) => {
+            const group = document.getElementById(id);
+            if (group) group.hidden = !visible;
+        };
+        show('resource-level-group', isSlot);
+        show('resource-recharge-group', kind === 'recharge');
+        show('resource-max-group', kind !== 'recharge');
+        
+        // Slots default to the rest they come back on
+        const resets = document.getElementById('resource-resets');
+        if (resets && kind === 'spell_slot') resets.value = 'long_rest';
+        if (resets && (kind === 'pact_slot' || kind === 'recharge')) resets.value = 'short_rest';
+    }
+
+    displayResources(character) {
+        const resources = this.resources[character.id];
+        
+        return `
+            <div class="resources-display">
+                <h4>Resources</h4>
+                ${!resources ? '<p class="no-resources">Loading...</p>' : ''}
+                ${resources && resources.length === 0 ? '<p class="no-resources">No spell slots or limited-use resources</p>' : ''}
+                ${(resources || []).map(resource => this.displayResource(character.id, resource)).join('')}
+                <div class="resource-form">
+                    <select id="resource-kind">
+                        ${RESOURCE_KINDS.map(kind => `<option value="${kind.value}">${kind.label}</option>`).join('')}
+                    </select>
+                    <input type="text" id="resource-name" placeholder="Name (e.g. Ki)" />
+                    <span id="resource-level-group" hidden>
+                        <input type="number" id="resource-level" min="1" max="9" placeholder="Level" />
+                    </span>
+                    <span id="resource-max-group">
+                        <input type="number" id="resource-max" min="0" max="99" placeholder="Max" />
+                    </span>
+                    <span id="resource-recharge-group" hidden>
+                        <input type="number" id="resource-recharge" min="1" max="6" placeholder="Recharge on" />
+                    </span>
+                    <select id="resource-resets">
+                        <option value="">Never resets</option>
+                        ${Object.entries(REST_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <button id="add-resource-btn" class="btn btn-small btn-secondary" data-character-id="${character.id}">Add</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * One resource with a pip per use (filled = still available) or a counter for large pools
+     */
+    displayResource(characterId, resource) {
+        const remaining = resource.max_uses - resource.used;
+        const details = [
+            resource.kind === 'recharge' ? `Recharge ${resource.recharge_min === 6 ? '6' : `${resource.recharge_min}-6`}` : null,
+            REST_LABELS[resource.resets_on] || null
+        ].filter(Boolean).join(' · ');
+        
+        let tracker;
+        if (resource.max_uses <= MAX_PIPS) {
+            tracker = Array.from({ length: resource.max_uses }, (_, i) => i < remaining
+                ? '<button class="resource-pip available" data-resource-action="use" title="Use"></button>'
+                : '<button class="resource-pip used" data-resource-action="restore" title="Regain"></button>'
+            ).join('');
+        } else {
+            tracker = `
+                <button class="btn btn-small" data-resource-action="use" title="Use">-</button>
+                <span class="resource-count">${remaining} / ${resource.max_uses}</span>
+                <button class="btn btn-small" data-resource-action="restore" title="Regain">+</button>
+            `;
+        }
+        
+        return `
+            <div class="resource-row" data-character-id="${characterId}" data-resource-id="${resource.id}">
+                <span class="resource-name">${this.escapeHtml(resource.name)}</span>
+                <span class="resource-pips">${tracker}</span>
+                ${details ? `<span class="resource-details">${details}</span>` : ''}
+                ${resource.kind === 'recharge' && remaining === 0 ? `
+                    <button class="btn btn-small btn-secondary" data-resource-action="recharge" title="Roll 1d6 to recharge">Roll</button>
+                ` : ''}
+                <button class="btn btn-small btn-danger" data-resource-action="delete" title="Remove resource">×</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Load a character's experience and level history and show them
+     */
+    async loadProgress(combatantId) {
+        // Marked as loading so render does not request it again
+        this.progress[combatantId] = null;
+        
+        try {
+            const response = await api.getProgress(combatantId);
+            this.progress[combatantId] = response.success ? response.data : false;
+        } catch (error) {
+            console.error('Failed to load experience:', error);
+            this.progress[combatantId] = false;
+        }
+        this.render();
+    }
+
+    /**
+     * Forget the loaded experience of characters whose experience or level has changed
+     */
+    dropStaleProgress(characters) {
+        characters.forEach(character => {
+            const progress = this.progress[character.id];
+            if (progress && (progress.experience_points !== (character.experience_points || 0) ||
+                             progress.level !== (character.level || 1))) {
+                delete this.progress[character.id];
+            }
+        });
+    }
+
+    /**
+     * Experience towards the next level, the level up button, the experience
+     * ledger and the level history
+     */
+    displayProgress(character) {
+        if (character.type !== 'PC') {
+            return '';
+        }
+        
+        const progress = this.progress[character.id];
+        if (!progress) {
+            return `
+                <div class="progress-display">
+                    <h4>Experience</h4>
+                    <p class="no-progress">${progress === false ? 'Experience unavailable' : 'Loading...'}</p>
+                </div>
+            `;
+        }
+        
+        const next = progress.next_level;
+        const isMilestone = progress.progression === 'milestone';
+        const percent = next && next.xp_needed
+            ? Math.min(100, Math.round(progress.experience_points / next.xp_needed * 100))
+            : 100;
+        
+        return `
+            <div class="progress-display">
+                <h4>
+                    Experience
+                    <select id="progression-mode" title="How the campaign's characters level">
+                        <option value="xp" ${isMilestone ? '' : 'selected'}>XP leveling</option>
+                        <option value="milestone" ${isMilestone ? 'selected' : ''}>Milestone leveling</option>
+                    </select>
+                </h4>
+                ${isMilestone ? '' : `
+                    <div class="xp-summary">
+                        <span class="xp-total">${progress.experience_points.toLocaleString()} XP</span>
+                        ${next ? `<span class="xp-next">${next.xp_needed.toLocaleString()} for level ${next.level}</span>` : ''}
+                    </div>
+                    <div class="xp-bar"><div class="xp-bar-fill" style="width: ${percent}%"></div></div>
+                    <div class="xp-form">
+                        <input type="number" id="xp-amount" placeholder="XP" />
+                        <input type="text" id="xp-reason" placeholder="Reason (e.g. Rescued the envoy)" />
+                        <button id="award-xp-btn" class="btn btn-small btn-secondary" data-character-id="${character.id}">Award</button>
+                    </div>
+                `}
+                ${next ? `
+                    <button id="level-up-btn" class="btn btn-small btn-primary" data-character-id="${character.id}"
+                            ${next.ready ? '' : 'disabled'}>Level Up to ${next.level}</button>
+                ` : '<p class="xp-max">Maximum level</p>'}
+                ${progress.history.length > 0 ? `
+                    <ul class="level-history">
+                        ${progress.history.map(entry => `
+                            <li>Level ${entry.level}: +${entry.hp_gained} HP (${entry.hp_method === 'rolled' ? `rolled ${entry.hp_roll}` : 'fixed'})${entry.subclass ? `, ${this.escapeHtml(entry.subclass)}` : ''}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${progress.awards.length > 0 ? `
+                    <ul class="xp-ledger">
+                        ${progress.awards.slice(0, XP_LEDGER_ROWS).map(award => `
+                            <li><span class="xp-amount">${award.amount > 0 ? '+' : ''}${award.amount.toLocaleString()}</span> ${this.escapeHtml(award.reason || '')}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Award experience from the form in the experience section
+     */
+    async awardXp(combatantId) {
+        const amount = parseInt(document.getElementById('xp-amount')?.value);
+        const reason = document.getElementById('xp-reason')?.value.trim() || null;
+        if (!amount) {
+            this.showError('Enter the experience to award');
+            return;
+        }
+        
+        try {
+            const response = await api.awardXp(combatantId, amount, reason);
+            if (response.success) {
+                // The changed total reloads the character's experience
+                state.updateCharacter(combatantId, { experience_points: response.data.combatant.experience_points });
+            }
+        } catch (error) {
+            console.error('Failed to award experience:', error);
+            this.showError(error.message || 'Failed to award experience');
+        }
+    }
+
+    /**
+     * Switch the campaign between experience and milestone leveling
+     */
+    async setProgression(progression) {
+        try {
+            await api.updateCampaign(state.get('currentCampaignId'), { progression });
+            // Every character's next level changes
+            this.progress = {};
+            this.render();
+        } catch (error) {
+            console.error('Failed to change leveling:', error);
+            this.showError(error.message || 'Failed to change leveling');
+        }
+    }
+
+    /**
+     * Show the level up dialog: fixed or rolled hit points, and the subclass
+     * when the new level is the class's subclass level
+     */
+    showLevelUpDialog(combatantId) {
+        const character = state.getCharacterById(combatantId);
+        const progress = this.progress[combatantId];
+        if (!character || !progress || !progress.next_level) return;
+        
+        const next = progress.next_level;
+        const subclasses = next.subclass_due ? this.getSubclassOptions(character.character_class) : [];
+        const bonus = Abilities.proficiencyBonus(next.level);
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="level-up-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>${this.escapeHtml(character.name)}: Level ${next.level}</h3>
+                        <button class="modal-close" data-action="close-level-up-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label>Hit Points</label>
+                            <label><input type="radio" name="level-up-hp" value="fixed" checked /> Take ${next.fixed_hp}</label>
+                            <label><input type="radio" name="level-up-hp" value="rolled" /> Roll 1d${next.hit_die} + CON</label>
+                        </div>
+                        ${bonus > progress.proficiency_bonus ? `
+                            <p class="level-up-note">Proficiency bonus rises to ${this.formatModifier(bonus)}</p>
+                        ` : ''}
+                        ${next.subclass_due ? `
+                            <div class="form-group">
+                                <label for="level-up-subclass">Subclass</label>
+                                <select id="level-up-subclass">
+                                    <option value="">Decide later</option>
+                                    ${subclasses.map(sub => `<option value="${this.escapeHtml(sub)}">${this.escapeHtml(sub)}</option>`).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-level-up-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="level-up">Level Up</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-level-up-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action !== 'level-up') return;
+            e.preventDefault();
+            
+            const data = { hp_method: modal.querySelector('input[name="level-up-hp"]:checked').value };
+            const subclass = modal.querySelector('#level-up-subclass')?.value;
+            if (subclass) {
+                data.subclass = subclass;
+            }
+            
+            if (await this.levelUp(combatantId, data)) {
+                modal.remove();
+            }
+        });
+    }
+
+    /**
+     * Level a character up on the server and show what it gained
+     */
+    async levelUp(combatantId, data) {
+        try {
+            const response = await api.levelUp(combatantId, data);
+            const result = response.data;
+            const { conditions, ...combatant } = result.combatant;
+            
+            // The new level reloads the character's experience
+            state.updateCharacter(combatantId, combatant);
+            state.updateCombatant(combatantId, combatant);
+            
+            const parts = [`+${result.hp_gained} HP${result.hp_roll !== null ? ` (rolled ${result.hp_roll})` : ''}`];
+            if (result.proficiency_bonus.to > result.proficiency_bonus.from) {
+                parts.push(`proficiency ${this.formatModifier(result.proficiency_bonus.to)}`);
+            }
+            if (result.history.subclass) {
+                parts.push(result.history.subclass);
+            }
+            this.showSuccess(`${combatant.name} reached level ${result.level_to}: ${parts.join(', ')}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to level up:', error);
+            this.showError(error.message || 'Failed to level up');
+        }
+        return false;
+    }
+
     displayFeatures(features) {
         const featureList = Array.isArray(features) ? features : [];
         
@@ -1051,50 +1946,645 @@ class CharacterPanel {
             });
     }
 
-    displayMagicalItems(items) {
-        const itemList = Array.isArray(items) ? items : [];
+    /**
+     * Load a character's items and coins and show them
+     */
+    async loadInventory(combatantId) {
+        // Marked as loading so render does not request it again
+        this.inventories[combatantId] = null;
         
-        if (itemList.length === 0) {
-            return '<p class="no-items">No magical items</p>';
+        try {
+            const response = await api.getInventory(state.get('currentCampaignId'), combatantId);
+            this.inventories[combatantId] = response.success ? response.data : false;
+        } catch (error) {
+            console.error('Failed to load inventory:', error);
+            this.inventories[combatantId] = false;
+        }
+        this.render();
+    }
+
+    /**
+     * Equip, attune, use, recharge, give away or remove an item of a character
+     * (or of the party stash, when combatantId is null)
+     * @returns {boolean} Whether the item changed
+     */
+    async handleItemAction(combatantId, itemId, action, row) {
+        try {
+            let response;
+            let recipientId = null;
+            if (action === 'delete') {
+                if (!confirm('Remove this item?')) return false;
+                response = await api.deleteItem(itemId);
+            } else if (action === 'equip' || action === 'unequip') {
+                response = await api.updateItem(itemId, { equipped: action === 'equip' });
+            } else if (action === 'attune' || action === 'unattune') {
+                response = await api.updateItem(itemId, { attuned: action === 'attune' });
+            } else if (action === 'recharge') {
+                response = await api.updateItem(itemId, { charges: parseInt(row.dataset.maxCharges) });
+            } else if (action === 'use') {
+                response = await api.useItem(itemId);
+            } else if (action === 'give') {
+                const target = row.querySelector('.item-give-to').value;
+                if (target === '') {
+                    this.showError('Choose who gets the item');
+                    return false;
+                }
+                recipientId = target === 'stash' ? null : parseInt(target);
+                const quantity = parseInt(row.querySelector('.item-give-quantity')?.value) || undefined;
+                response = await api.transferItem(itemId, recipientId, quantity);
+            }
+            
+            this.applyInventoryChange([combatantId, recipientId], response.data);
+            return true;
+        } catch (error) {
+            console.error('Failed to update item:', error);
+            this.showError(error.message || 'Failed to update item');
+        }
+        return false;
+    }
+
+    /**
+     * Reload the inventories an item change touched and pick up the AC of
+     * characters whose equipment changed
+     */
+    applyInventoryChange(combatantIds, result) {
+        [result.combatant, result.from, result.to].filter(Boolean).forEach(entry => {
+            const { conditions, ...combatant } = entry;
+            state.updateCharacter(combatant.id, combatant);
+            state.updateCombatant(combatant.id, combatant);
+        });
+        combatantIds.filter(Boolean).forEach(id => delete this.inventories[id]);
+        this.render();
+    }
+
+    /**
+     * Add an item from the form under a character's items
+     */
+    async addItem(combatantId) {
+        const data = this.readItemForm('item');
+        if (!data) return;
+        
+        try {
+            const response = await api.addItem(state.get('currentCampaignId'), combatantId, data);
+            if (response.success) {
+                this.applyInventoryChange([combatantId], response.data);
+            }
+        } catch (error) {
+            console.error('Failed to add item:', error);
+            this.showError(error.message || 'Failed to add item');
+        }
+    }
+
+    /**
+     * Add coins to a purse, spend them, or give them to another character or the stash
+     * @returns {boolean} Whether the coins changed
+     */
+    async handleCoinAction(combatantId, action, prefix = 'coin') {
+        const amount = parseInt(document.getElementById(`${prefix}-amount`)?.value);
+        const coin = document.getElementById(`${prefix}-type`)?.value;
+        if (!amount || amount < 1) {
+            this.showError('Enter a number of coins');
+            return false;
         }
         
+        const campaignId = state.get('currentCampaignId');
+        let recipientId = null;
+        try {
+            if (action === 'give') {
+                const target = document.getElementById(`${prefix}-to`)?.value || '';
+                recipientId = target === '' ? null : parseInt(target);
+                await api.transferCurrency(campaignId, {
+                    from_combatant_id: combatantId,
+                    to_combatant_id: recipientId,
+                    [coin]: amount
+                });
+            } else {
+                await api.adjustCurrency(campaignId, combatantId, { [coin]: action === 'spend' ? -amount : amount });
+            }
+            
+            [combatantId, recipientId].filter(Boolean).forEach(id => delete this.inventories[id]);
+            this.render();
+            return true;
+        } catch (error) {
+            console.error('Failed to update coins:', error);
+            this.showError(error.message || 'Failed to update coins');
+        }
+        return false;
+    }
+
+    /**
+     * Read the new item form; null (with an error shown) without a name
+     */
+    readItemForm(prefix) {
+        const value = (field) => document.getElementById(`${prefix}-${field}`)?.value || '';
+        const name = value('name').trim();
+        if (!name) {
+            this.showError('Enter the item name');
+            return null;
+        }
+        
+        const category = value('category') || 'gear';
+        const data = {
+            name,
+            category,
+            quantity: parseInt(value('quantity')) || 1,
+            weight: parseFloat(value('weight')) || 0,
+            ac_bonus: parseInt(value('ac-bonus')) || 0,
+            requires_attunement: Boolean(document.getElementById(`${prefix}-attunement`)?.checked)
+        };
+        const charges = parseInt(value('charges'));
+        if (!isNaN(charges)) {
+            data.max_charges = charges;
+        }
+        if (category === 'armor') {
+            data.armor_type = value('armor-type');
+            data.base_ac = parseInt(value('base-ac'));
+        }
+        return data;
+    }
+
+    /**
+     * Show the armor type and base AC fields for armor
+     */
+    updateItemFields(prefix, category) {
+        const group = document.getElementById(`${prefix}-armor-group`);
+        if (group) group.hidden = category !== 'armor';
+    }
+
+    /**
+     * Form to add an item; prefix keeps the field IDs of the character panel and the stash dialog apart
+     */
+    displayItemForm(prefix, buttonAttributes) {
         return `
-            <ul class="item-list">
-                ${itemList.map(item => `
-                    <li class="item-entry">
-                        <strong>${this.escapeHtml(item.name)}</strong>
-                        ${item.attunement ? '<span class="attunement-badge">Attunement</span>' : ''}
-                        ${item.description ? `<p>${this.escapeHtml(item.description)}</p>` : ''}
-                    </li>
-                `).join('')}
-            </ul>
+            <div class="inventory-form">
+                <input type="text" id="${prefix}-name" placeholder="Item (e.g. Rope, 50 ft)" />
+                <select id="${prefix}-category">
+                    ${ITEM_CATEGORIES.map(category => `<option value="${category}">${this.capitalize(category)}</option>`).join('')}
+                </select>
+                <input type="number" id="${prefix}-quantity" min="1" value="1" title="Quantity" />
+                <input type="number" id="${prefix}-weight" min="0" step="0.1" placeholder="lb each" />
+                <span id="${prefix}-armor-group" hidden>
+                    <select id="${prefix}-armor-type">
+                        ${ARMOR_TYPES.map(type => `<option value="${type}">${this.capitalize(type)}</option>`).join('')}
+                    </select>
+                    <input type="number" id="${prefix}-base-ac" min="0" max="30" placeholder="AC" />
+                </span>
+                <input type="number" id="${prefix}-ac-bonus" min="-10" max="10" placeholder="AC bonus" />
+                <input type="number" id="${prefix}-charges" min="0" max="999" placeholder="Charges" />
+                <label><input type="checkbox" id="${prefix}-attunement" /> Attunement</label>
+                <button class="btn btn-small btn-secondary" ${buttonAttributes}>Add</button>
+            </div>
         `;
     }
 
-    formatItemsForEdit(items) {
-        const itemList = Array.isArray(items) ? items : [];
-        return itemList.map(item => {
-            let line = item.name;
-            if (item.description) line += ` | ${item.description}`;
-            if (item.attunement) line += ' | yes';
-            return line;
-        }).join('\n');
+    /**
+     * Coins with a form to add, spend or give them away
+     * @param {Array} recipients - { value, label } of who coins can be given to
+     */
+    displayPurse(purse, prefix, characterId, recipients) {
+        const owner = characterId ? `data-character-id="${characterId}"` : '';
+        return `
+            <div class="purse">
+                ${COINS.map(coin => `<span class="coin">${purse[coin]} ${coin}</span>`).join('')}
+                <span class="purse-total">(${purse.total_gp} gp)</span>
+            </div>
+            <div class="inventory-form">
+                <input type="number" id="${prefix}-amount" min="1" placeholder="Coins" />
+                <select id="${prefix}-type">
+                    ${COINS.map(coin => `<option value="${coin}" ${coin === 'gp' ? 'selected' : ''}>${coin}</option>`).join('')}
+                </select>
+                <button class="btn btn-small btn-secondary" data-coin-action="add" ${owner}>Add</button>
+                <button class="btn btn-small btn-secondary" data-coin-action="spend" ${owner}>Spend</button>
+                <select id="${prefix}-to">
+                    ${recipients.map(recipient => `<option value="${recipient.value}">${this.escapeHtml(recipient.label)}</option>`).join('')}
+                </select>
+                <button class="btn btn-small btn-secondary" data-coin-action="give" ${owner}>Give</button>
+            </div>
+        `;
     }
 
-    parseItemsFromForm(text) {
-        if (!text || !text.trim()) return [];
+    /**
+     * A character's carried weight, attunement, equipment AC, coins and items
+     */
+    displayInventory(character) {
+        if (character.type !== 'PC') {
+            return '';
+        }
         
-        return text.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0)
-            .map(line => {
-                const parts = line.split('|').map(p => p.trim());
-                return {
-                    name: parts[0],
-                    description: parts[1] || '',
-                    attunement: parts[2] && parts[2].toLowerCase() === 'yes'
-                };
-            });
+        const inventory = this.inventories[character.id];
+        if (!inventory) {
+            return `
+                <div class="items-display">
+                    <h4>Inventory</h4>
+                    <p class="no-items">${inventory === false ? 'Inventory unavailable' : 'Loading...'}</p>
+                </div>
+            `;
+        }
+        
+        const { weight, armor_class: armorClass } = inventory;
+        const recipients = [
+            { value: '', label: 'Party stash' },
+            ...(state.get('characters') || [])
+                .filter(other => other.id !== character.id)
+                .map(other => ({ value: other.id, label: other.name }))
+        ];
+        const encumbered = weight.capacity && weight.total > weight.capacity;
+        
+        return `
+            <div class="items-display">
+                <h4>Inventory</h4>
+                <div class="inventory-summary">
+                    <span class="${encumbered ? 'over-capacity' : ''}">${weight.total} lb${weight.capacity ? ` / ${weight.capacity} lb` : ''}</span>
+                    <span>Attuned ${inventory.attuned}/${MAX_ATTUNED}</span>
+                    ${armorClass.armor || armorClass.shield || armorClass.bonus ? `
+                        <span title="Armor class from equipment">AC: ${this.escapeHtml(armorClass.breakdown)}</span>
+                    ` : ''}
+                </div>
+                ${this.displayPurse(inventory.purse, 'coin', character.id, recipients)}
+                ${inventory.items.length === 0 ? '<p class="no-items">No items</p>' : ''}
+                ${inventory.items.map(item => this.displayItem(character.id, item, recipients)).join('')}
+                ${this.displayItemForm('item', `id="add-item-btn" data-character-id="${character.id}"`)}
+            </div>
+        `;
+    }
+
+    /**
+     * One item with its details and the buttons for what its owner can do with it
+     * (characterId is null for items in the party stash)
+     */
+    displayItem(characterId, item, recipients) {
+        const details = [
+            this.capitalize(item.category),
+            item.armor_type ? `${this.capitalize(item.armor_type)}, AC ${item.base_ac}` : null,
+            item.category === 'shield' ? `+${item.base_ac} AC` : null,
+            item.ac_bonus ? `${this.formatModifier(item.ac_bonus)} AC` : null,
+            Number(item.weight) ? `${Number(item.weight)} lb` : null
+        ].filter(Boolean).join(' · ');
+        const hasCharges = item.max_charges !== null;
+        const canEquip = characterId && !['consumable', 'treasure'].includes(item.category);
+        
+        return `
+            <div class="inventory-row ${item.equipped ? 'equipped' : ''}" data-character-id="${characterId || ''}"
+                 data-item-id="${item.id}" data-max-charges="${hasCharges ? item.max_charges : ''}">
+                <span class="inventory-name" title="${this.escapeHtml(item.description || '')}">
+                    ${this.escapeHtml(item.name)}${item.quantity > 1 ? ` ×${item.quantity}` : ''}
+                    ${item.requires_attunement ? `<span class="attunement-badge">${item.attuned ? 'Attuned' : 'Attunement'}</span>` : ''}
+                </span>
+                <span class="resource-details">${details}</span>
+                ${hasCharges ? `<span class="resource-count">${item.charges}/${item.max_charges}</span>` : ''}
+                ${canEquip ? `
+                    <button class="btn btn-small" data-item-action="${item.equipped ? 'unequip' : 'equip'}">${item.equipped ? 'Unequip' : 'Equip'}</button>
+                ` : ''}
+                ${characterId && item.requires_attunement ? `
+                    <button class="btn btn-small" data-item-action="${item.attuned ? 'unattune' : 'attune'}">${item.attuned ? 'End attunement' : 'Attune'}</button>
+                ` : ''}
+                ${hasCharges || item.category === 'consumable' ? `
+                    <button class="btn btn-small btn-secondary" data-item-action="use" ${hasCharges && item.charges === 0 ? 'disabled' : ''}>Use</button>
+                ` : ''}
+                ${hasCharges && item.charges < item.max_charges ? `
+                    <button class="btn btn-small" data-item-action="recharge" title="Regain all charges">Recharge</button>
+                ` : ''}
+                <select class="item-give-to">
+                    <option value="">Give to...</option>
+                    ${recipients.map(recipient => `
+                        <option value="${recipient.value === '' ? 'stash' : recipient.value}">${this.escapeHtml(recipient.label)}</option>
+                    `).join('')}
+                </select>
+                ${item.quantity > 1 ? `
+                    <input type="number" class="item-give-quantity" min="1" max="${item.quantity}" value="${item.quantity}" title="How many to give" />
+                ` : ''}
+                <button class="btn btn-small btn-secondary" data-item-action="give">Give</button>
+                <button class="btn btn-small btn-danger" data-item-action="delete" title="Remove item">×</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the party stash: its coins and items, which can be handed out to characters
+     */
+    showStashDialog() {
+        const campaignId = state.get('currentCampaignId');
+        const dialogHTML = `
+            <div class="modal-overlay" id="stash-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Party Stash</h3>
+                        <button class="modal-close" data-action="close-stash-modal">×</button>
+                    </div>
+                    <div class="modal-body items-display" id="stash-content">
+                        <p class="no-items">Loading...</p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-stash-modal">Done</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        const refresh = async () => {
+            try {
+                const response = await api.getInventory(campaignId);
+                modal.querySelector('#stash-content').innerHTML = this.displayStash(response.data);
+            } catch (error) {
+                console.error('Failed to load the stash:', error);
+                modal.querySelector('#stash-content').innerHTML = '<p class="no-items">Stash unavailable</p>';
+            }
+        };
+        
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'stash-item-category') {
+                this.updateItemFields('stash-item', e.target.value);
+            }
+        });
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-stash-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            let changed = false;
+            const itemBtn = e.target.closest('[data-item-action]');
+            const coinBtn = e.target.closest('[data-coin-action]');
+            if (itemBtn) {
+                const row = itemBtn.closest('.inventory-row');
+                changed = await this.handleItemAction(null, parseInt(row.dataset.itemId), itemBtn.dataset.itemAction, row);
+            } else if (coinBtn) {
+                changed = await this.handleCoinAction(null, coinBtn.dataset.coinAction, 'stash-coin');
+            } else if (e.target.closest('#add-stash-item-btn')) {
+                const data = this.readItemForm('stash-item');
+                if (data) {
+                    try {
+                        changed = (await api.addItem(campaignId, null, data)).success;
+                    } catch (error) {
+                        console.error('Failed to add item:', error);
+                        this.showError(error.message || 'Failed to add item');
+                    }
+                }
+            }
+            
+            if (changed) {
+                await refresh();
+            }
+        });
+        
+        refresh();
+    }
+
+    displayStash(stash) {
+        const recipients = (state.get('characters') || []).map(character => ({ value: character.id, label: character.name }));
+        
+        return `
+            <div class="inventory-summary">
+                <span>${stash.weight.total} lb</span>
+            </div>
+            ${this.displayPurse(stash.purse, 'stash-coin', null, recipients)}
+            ${stash.items.length === 0 ? '<p class="no-items">The stash is empty</p>' : ''}
+            ${stash.items.map(item => this.displayItem(null, item, recipients)).join('')}
+            ${this.displayItemForm('stash-item', 'id="add-stash-item-btn"')}
+        `;
+    }
+
+    /**
+     * Load a character's spells and the spells its class can learn, and show them
+     */
+    async loadSpellbook(character) {
+        // Marked as loading so render does not request it again
+        this.spellbooks[character.id] = null;
+        
+        try {
+            const [book, options] = await Promise.all([
+                api.getSpellbook(character.id),
+                api.getSpells({ class_name: character.character_class })
+            ]);
+            this.spellbooks[character.id] = book.success && options.success
+                ? { ...book.data, options: options.data }
+                : false;
+        } catch (error) {
+            console.error('Failed to load spells:', error);
+            this.spellbooks[character.id] = false;
+        }
+        this.render();
+    }
+
+    /**
+     * Cast, cast as a ritual or forget a known spell
+     */
+    async handleSpellAction(combatantId, spellId, action, row) {
+        const spellbook = this.spellbooks[combatantId];
+        
+        try {
+            if (action === 'forget') {
+                if (!confirm('Forget this spell?')) return;
+                const response = await api.forgetSpell(combatantId, spellId);
+                if (response.success) {
+                    spellbook.spells = spellbook.spells.filter(spell => spell.id !== spellId);
+                    this.render();
+                }
+                return;
+            }
+            
+            const options = action === 'ritual'
+                ? { ritual: true }
+                : { slot_level: parseInt(row.querySelector('.spell-slot-level')?.value) || undefined };
+            const response = await api.castSpell(combatantId, spellId, options);
+            if (response.success) {
+                this.applyCast(combatantId, response.data);
+            }
+        } catch (error) {
+            console.error('Failed to cast spell:', error);
+            this.showError(error.message || 'Failed to cast spell');
+        }
+    }
+
+    /**
+     * Pick up the slot a cast spent and the concentration it started
+     */
+    applyCast(combatantId, result) {
+        const { conditions, ...combatant } = result.combatant;
+        state.updateCharacter(combatant.id, combatant);
+        state.updateCombatant(combatant.id, combatant);
+        
+        if (result.slot && this.resources[combatantId]) {
+            this.resources[combatantId] = this.resources[combatantId]
+                .map(resource => resource.id === result.slot.id ? result.slot : resource);
+        }
+        // Ending concentration can remove conditions from other combatants
+        if (result.concentration?.ended?.removed?.length > 0) {
+            this.loadCharacters();
+        }
+        
+        this.showSuccess(this.describeCast(result));
+        this.render();
+    }
+
+    /**
+     * One line about a cast: the slot it used, the damage it rolled and the
+     * concentration it ended
+     */
+    describeCast(result) {
+        let text = result.spell.name;
+        if (result.ritual) {
+            text += ' cast as a ritual';
+        } else if (result.slot) {
+            text += ` cast with a level ${result.slot_level} ${result.slot.kind === 'pact_slot' ? 'pact' : 'spell'} slot`;
+        } else {
+            text += ' cast';
+        }
+        if (result.damage) {
+            text += `: ${result.damage.roll.total}${result.damage.type ? ` ${result.damage.type}` : ''} damage (${result.damage.dice})`;
+        }
+        if (result.concentration?.ended) {
+            text += ` (stopped concentrating on ${result.concentration.ended.spell})`;
+        }
+        return text;
+    }
+
+    /**
+     * Prepare a known spell or stop preparing it
+     */
+    async setSpellPrepared(combatantId, spellId, prepared) {
+        const spellbook = this.spellbooks[combatantId];
+        
+        try {
+            const response = await api.updateSpell(combatantId, spellId, { prepared });
+            if (response.success) {
+                spellbook.spells = spellbook.spells.map(spell => spell.id === spellId ? response.data : spell);
+            }
+        } catch (error) {
+            console.error('Failed to prepare spell:', error);
+            this.showError(error.message || 'Failed to prepare spell');
+        }
+        this.render();
+    }
+
+    /**
+     * Add the spell chosen under a character's spells
+     */
+    async learnSpell(combatantId) {
+        const spellId = parseInt(document.getElementById('learn-spell-id')?.value);
+        if (!spellId) {
+            this.showError('Choose a spell to add');
+            return;
+        }
+        
+        try {
+            const response = await api.learnSpell(combatantId, spellId);
+            if (response.success) {
+                const spellbook = this.spellbooks[combatantId];
+                spellbook.spells = [...spellbook.spells, response.data]
+                    .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+                this.render();
+            }
+        } catch (error) {
+            console.error('Failed to add spell:', error);
+            this.showError(error.message || 'Failed to add spell');
+        }
+    }
+
+    /**
+     * A character's known spells with their prepared flags and cast buttons,
+     * and the spells of its class it can still add
+     */
+    displaySpellbook(character) {
+        if (character.type !== 'PC') {
+            return '';
+        }
+        
+        const spellbook = this.spellbooks[character.id];
+        if (!spellbook) {
+            return `
+                <div class="spells-display">
+                    <h4>Spells</h4>
+                    <p class="no-spells">${spellbook === false ? 'Spells unavailable' : 'Loading...'}</p>
+                </div>
+            `;
+        }
+        
+        // Slots come from the resources so spending one there shows up here
+        const slotLevels = [...new Set((this.resources[character.id] || [])
+            .filter(resource => SLOT_KINDS.includes(resource.kind) && resource.used < resource.max_uses)
+            .map(resource => resource.slot_level))]
+            .sort((a, b) => a - b);
+        const known = new Set(spellbook.spells.map(spell => spell.id));
+        const learnable = spellbook.options.filter(spell => !known.has(spell.id));
+        const prepared = spellbook.spells.filter(spell => spell.level > 0 && spell.prepared).length;
+        
+        return `
+            <div class="spells-display">
+                <h4>Spells</h4>
+                ${spellbook.prepares_spells ? `
+                    <div class="spells-summary">${prepared} prepared</div>
+                ` : ''}
+                ${spellbook.spells.length === 0 ? '<p class="no-spells">No spells</p>' : ''}
+                ${spellbook.spells.map(spell => this.displaySpell(character.id, spell, slotLevels, spellbook.prepares_spells)).join('')}
+                <div class="spell-form">
+                    <select id="learn-spell-id">
+                        <option value="">Add a spell...</option>
+                        ${learnable.map(spell => `
+                            <option value="${spell.id}">${this.escapeHtml(spell.name)} (${this.spellLevelLabel(spell.level)})</option>
+                        `).join('')}
+                    </select>
+                    <button id="learn-spell-btn" class="btn btn-small btn-secondary" data-character-id="${character.id}">Add</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * One known spell: its details, whether it is prepared, the slot level to
+     * cast it with and its buttons
+     */
+    displaySpell(characterId, spell, slotLevels, preparesSpells) {
+        const details = [
+            this.spellLevelLabel(spell.level),
+            this.capitalize(spell.school),
+            spell.casting_time,
+            spell.range,
+            spell.damage_dice ? `${spell.damage_dice}${spell.damage_type ? ` ${spell.damage_type}` : ''}` : null
+        ].filter(Boolean).join(' · ');
+        const levels = slotLevels.filter(level => level >= spell.level);
+        const needsPreparing = preparesSpells && spell.level > 0;
+        const castable = !needsPreparing || spell.prepared;
+        
+        return `
+            <div class="spell-row ${needsPreparing && !spell.prepared ? 'unprepared' : ''}" data-character-id="${characterId}" data-spell-id="${spell.id}">
+                <span class="spell-name" title="${this.escapeHtml(spell.description || '')}">
+                    ${this.escapeHtml(spell.name)}
+                    ${spell.concentration ? '<span class="spell-badge" title="Concentration">C</span>' : ''}
+                    ${spell.ritual ? '<span class="spell-badge" title="Ritual">R</span>' : ''}
+                </span>
+                <span class="resource-details">${this.escapeHtml(details)}</span>
+                ${needsPreparing ? `
+                    <label class="spell-prepared-label"><input type="checkbox" class="spell-prepared" ${spell.prepared ? 'checked' : ''} /> Prepared</label>
+                ` : ''}
+                ${spell.level > 0 ? `
+                    <select class="spell-slot-level" title="Slot level" ${levels.length === 0 ? 'disabled' : ''}>
+                        ${levels.length === 0 ? '<option value="">No slots</option>' : ''}
+                        ${levels.map(level => `<option value="${level}">Level ${level}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <button class="btn btn-small btn-primary" data-spell-action="cast" ${!castable || (spell.level > 0 && levels.length === 0) ? 'disabled' : ''}>Cast</button>
+                ${spell.ritual ? `
+                    <button class="btn btn-small btn-secondary" data-spell-action="ritual" title="Cast as a ritual without a slot" ${castable ? '' : 'disabled'}>Ritual</button>
+                ` : ''}
+                <button class="btn btn-small btn-danger" data-spell-action="forget" title="Forget spell">×</button>
+            </div>
+        `;
+    }
+
+    spellLevelLabel(level) {
+        return level === 0 ? 'Cantrip' : `Level ${level}`;
+    }
+
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
     }
 
     formatModifier(value) {
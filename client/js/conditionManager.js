@@ -5,25 +5,21 @@
 
 import api from './api.js';
 import state from './state.js';
+import Conditions from './conditions.js';
 
-// D&D 5e standard conditions
-const DND_CONDITIONS = [
-    'blinded',
-    'charmed',
-    'deafened',
-    'frightened',
-    'grappled',
-    'incapacitated',
-    'invisible',
-    'paralyzed',
-    'petrified',
-    'poisoned',
-    'prone',
-    'restrained',
-    'stunned',
-    'unconscious'
+// When a condition's duration counts down: "<whose turn>:<start or end>"
+const EXPIRY_OPTIONS = [
+    { value: 'target:end_of_turn', label: "End of the affected creature's turn" },
+    { value: 'target:start_of_turn', label: "Start of the affected creature's turn" },
+    { value: 'source:end_of_turn', label: "End of the source's turn" },
+    { value: 'source:start_of_turn', label: "Start of the source's turn" }
 ];
 
+const SAVE_ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+// D&D 5e standard conditions, with their effects defined in shared/conditions.js
+const DND_CONDITIONS = Conditions.CONDITION_NAMES;
+
 class ConditionManager {
     constructor() {
         this.container = document.getElementById('condition-content');
@@ -55,6 +51,12 @@ class ConditionManager {
                 this.applyCondition(this.selectedCombatantId, condition);
             }
             
+            // Apply exhaustion at the chosen level (replaces the current level)
+            if (e.target.closest('.apply-exhaustion-btn')) {
+                const level = this.container.querySelector('#exhaustion-level').value;
+                this.applyCondition(this.selectedCombatantId, Conditions.exhaustionName(level), true);
+            }
+            
             // Clear condition button
             if (e.target.closest('.clear-condition-btn')) {
                 const btn = e.target.closest('.clear-condition-btn');
@@ -79,25 +81,35 @@ class ConditionManager {
 
     /**
      * Apply a condition to a combatant
+     * @param {boolean} replacesExhaustion - The server replaces any earlier exhaustion level
      */
-    async applyCondition(combatantId, condition) {
+    async applyCondition(combatantId, condition, replacesExhaustion = false) {
         if (!combatantId) {
             this.showError('Please select a combatant first');
             return;
         }
 
         try {
-            const response = await api.addCondition(combatantId, condition);
+            const response = await api.addCondition(combatantId, condition, this.getDurationOptions());
             
             if (response.success) {
                 // Update the combatant in state
                 const combatant = state.getCombatantById(combatantId);
                 if (combatant) {
-                    const conditions = combatant.conditions || [];
+                    const conditions = (combatant.conditions || []).filter(c =>
+                        !replacesExhaustion || Conditions.parse(c).name !== 'exhaustion'
+                    );
                     const updatedConditions = [...conditions, response.data];
                     state.updateCombatant(combatantId, { conditions: updatedConditions });
                 }
                 
+                // Becoming incapacitated ends the combatant's concentration
+                const broken = response.data.concentration_broken;
+                if (broken) {
+                    state.updateCombatant(combatantId, { concentration_spell: null });
+                    this.dropConditions(broken.removed);
+                }
+                
                 this.render();
             }
         } catch (error) {
@@ -106,6 +118,84 @@ class ConditionManager {
         }
     }
 
+    /**
+     * Remove conditions that ended with a broken concentration from state
+     */
+    dropConditions(removed) {
+        (removed || []).forEach(condition => {
+            const combatant = state.getCombatantById(condition.combatant_id);
+            if (combatant) {
+                const conditions = (combatant.conditions || []).filter(c => c.id !== condition.id);
+                state.updateCombatant(condition.combatant_id, { conditions });
+            }
+        });
+    }
+
+    /**
+     * Read the optional duration, source and repeat save from the form
+     */
+    getDurationOptions() {
+        const value = (id) => this.container.querySelector(`#${id}`)?.value || '';
+        const options = {};
+        
+        const rounds = parseInt(value('condition-duration'));
+        if (rounds > 0) {
+            const [expiresOn, expiresAt] = value('condition-expiry').split(':');
+            options.duration_rounds = rounds;
+            options.expires_on = expiresOn;
+            options.expires_at = expiresAt;
+        }
+        
+        const sourceId = parseInt(value('condition-source'));
+        if (sourceId) {
+            options.source_combatant_id = sourceId;
+            if (this.container.querySelector('#condition-concentration')?.checked) {
+                options.concentration = true;
+            }
+        }
+        
+        const saveDC = parseInt(value('condition-save-dc'));
+        if (saveDC > 0) {
+            options.save_dc = saveDC;
+            options.save_ability = value('condition-save-ability');
+        }
+        
+        return options;
+    }
+
+    /**
+     * Describe a condition's remaining duration and repeat save, e.g. "3 rds · DC 13 WIS · conc."
+     */
+    describeDuration(condition) {
+        if (typeof condition !== 'object') return '';
+        
+        const parts = [];
+        if (condition.rounds_remaining !== null && condition.rounds_remaining !== undefined) {
+            parts.push(`${condition.rounds_remaining} rd${condition.rounds_remaining === 1 ? '' : 's'}`);
+        }
+        if (condition.save_dc) {
+            parts.push(`DC ${condition.save_dc} ${(condition.save_ability || '').slice(0, 3).toUpperCase()}`);
+        }
+        if (condition.concentration) {
+            parts.push('conc.');
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Rules text for a condition, e.g. "Speed becomes 0"
+     */
+    describeCondition(name) {
+        const { name: key, level } = Conditions.parse(name);
+        if (key === 'exhaustion') {
+            return Conditions.EXHAUSTION_LEVELS
+                .filter(entry => entry.level <= level)
+                .map(entry => entry.description)
+                .join(', ');
+        }
+        return Conditions.CONDITIONS[key]?.description || '';
+    }
+
     /**
      * Clear a condition from a combatant
      */
@@ -176,6 +266,8 @@ class ConditionManager {
 
         const availableConditions = this.getAvailableConditions(selectedCombatant);
         const activeConditions = this.getActiveConditions(selectedCombatant);
+        const effects = Conditions.summarize(activeConditions);
+        const exhaustion = Conditions.expand(activeConditions).exhaustion;
 
         this.container.innerHTML = `
             <div class="condition-manager">
@@ -209,9 +301,11 @@ class ConditionManager {
                                     ${activeConditions.map(condition => {
                                         const conditionName = typeof condition === 'string' ? condition : condition.condition;
                                         const conditionId = typeof condition === 'object' ? condition.id : null;
+                                        const duration = this.describeDuration(condition);
                                         return `
-                                            <li class="active-condition-item">
+                                            <li class="active-condition-item" title="${this.escapeHtml(this.describeCondition(conditionName))}">
                                                 <span class="condition-name">${this.escapeHtml(conditionName)}</span>
+                                                ${duration ? `<span class="condition-duration">${duration}</span>` : ''}
                                                 ${conditionId ? `
                                                     <button class="clear-condition-btn btn btn-small btn-danger" 
                                                             data-condition-id="${conditionId}"
@@ -224,10 +318,52 @@ class ConditionManager {
                                     }).join('')}
                                 </ul>
                             ` : '<p class="no-conditions">No active conditions</p>'}
+                            ${effects.length > 0 ? `
+                                <ul class="condition-effects-list">
+                                    ${effects.map(effect => `<li>${this.escapeHtml(effect)}</li>`).join('')}
+                                </ul>
+                            ` : ''}
                         </div>
 
                         <div class="available-conditions-section">
                             <h4>Apply Condition</h4>
+                            <div class="condition-duration-form">
+                                <div class="form-group">
+                                    <label for="condition-duration">Duration (rounds)</label>
+                                    <input type="number" id="condition-duration" min="1" placeholder="Until removed" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="condition-expiry">Counts down at</label>
+                                    <select id="condition-expiry">
+                                        ${EXPIRY_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="condition-source">Source</label>
+                                    <select id="condition-source">
+                                        <option value="">None</option>
+                                        ${combatants.filter(c => c.id !== selectedCombatant.id).map(c => `
+                                            <option value="${c.id}">${this.escapeHtml(c.name)}${c.concentration_spell ? ` (${this.escapeHtml(c.concentration_spell)})` : ''}</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="condition-concentration" title="Removed when the source stops concentrating">
+                                        <input type="checkbox" id="condition-concentration" />
+                                        Ends with the source's concentration
+                                    </label>
+                                </div>
+                                <div class="form-group">
+                                    <label for="condition-save-dc">Repeat save DC</label>
+                                    <input type="number" id="condition-save-dc" min="1" max="30" placeholder="None" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="condition-save-ability">Save ability</label>
+                                    <select id="condition-save-ability">
+                                        ${SAVE_ABILITIES.map(ability => `<option value="${ability}">${this.capitalizeFirst(ability)}</option>`).join('')}
+                                    </select>
+                                </div>
+                            </div>
                             ${availableConditions.length > 0 ? `
                                 <div class="condition-grid">
                                     ${availableConditions.map(condition => `
@@ -239,6 +375,17 @@ class ConditionManager {
                                     `).join('')}
                                 </div>
                             ` : '<p class="all-conditions-applied">All standard conditions are already applied</p>'}
+                            <div class="exhaustion-control">
+                                <label for="exhaustion-level">Exhaustion</label>
+                                <select id="exhaustion-level">
+                                    ${Conditions.EXHAUSTION_LEVELS.map(entry => `
+                                        <option value="${entry.level}" ${entry.level === exhaustion + 1 ? 'selected' : ''}>
+                                            Level ${entry.level}: ${entry.description}
+                                        </option>
+                                    `).join('')}
+                                </select>
+                                <button class="apply-exhaustion-btn btn btn-secondary">Set Level</button>
+                            </div>
                         </div>
                     </div>
                 ` : `
@@ -0,0 +1,9 @@
+/**
+ * Condition Rules (client)
+ * Loads the shared condition rules engine, which registers itself as
+ * window.Conditions when there is no CommonJS module system
+ */
+
+import '/shared/conditions.js';
+
+export default window.Conditions;
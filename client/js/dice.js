@@ -0,0 +1,9 @@
+/**
+ * Dice Engine (client)
+ * Loads the shared dice module, which registers itself as window.Dice
+ * when there is no CommonJS module system
+ */
+
+import '/shared/dice.js';
+
+export default window.Dice;
@@ -0,0 +1,430 @@
+/**
+ * Encounter Builder Component
+ * Stages a mix of monster templates against the party, rates it by the DMG
+ * encounter difficulty rules and deploys it to the initiative tracker
+ */
+
+import api from './api.js';
+import state from './state.js';
+import initiativeTracker from './initiativeTracker.js';
+import Leveling from './leveling.js';
+
+const DIFFICULTY_LABELS = {
+    trivial: 'Trivial',
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard',
+    deadly: 'Deadly'
+};
+
+class EncounterBuilder {
+    constructor() {
+        this.modal = null;
+        this.saved = [];
+        // The encounter being edited: { id, name, notes, monsters: [{ monster_id, count }] }
+        this.draft = this.emptyDraft();
+        this.partyIds = new Set();
+    }
+
+    emptyDraft() {
+        return { id: null, name: '', notes: '', monsters: [] };
+    }
+
+    /**
+     * Living characters who can be part of the party
+     */
+    getParty() {
+        return (state.get('characters') || []).filter(char => !char.is_dead);
+    }
+
+    /**
+     * Open the builder with the whole living party selected
+     */
+    async show() {
+        if (this.modal) return;
+        
+        this.draft = this.emptyDraft();
+        this.partyIds = new Set(this.getParty().map(char => char.id));
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="encounter-builder-modal">
+                <div class="modal-dialog encounter-builder">
+                    <div class="modal-header">
+                        <h3>Encounter Builder</h3>
+                        <button class="modal-close" data-action="close-builder">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="builder-message" id="builder-message"></div>
+                        <h4>Party</h4>
+                        <div class="builder-party" id="builder-party"></div>
+                        <h4>Monsters</h4>
+                        <div class="builder-add">
+                            <select id="builder-monster"></select>
+                            <input type="number" id="builder-count" min="1" max="20" value="1" />
+                            <button class="btn btn-secondary btn-small" data-action="add-builder-monster">Add</button>
+                        </div>
+                        <div class="builder-monsters" id="builder-monsters"></div>
+                        <div class="builder-rating" id="builder-rating"></div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="builder-name">Name</label>
+                                <input type="text" id="builder-name" maxlength="255" />
+                            </div>
+                            <div class="form-group">
+                                <label for="builder-hp-mode">Hit Points</label>
+                                <select id="builder-hp-mode">
+                                    <option value="average">Average</option>
+                                    <option value="rolled">Rolled</option>
+                                    <option value="max">Maximum</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="builder-notes">Notes</label>
+                            <textarea id="builder-notes" rows="2"></textarea>
+                        </div>
+                        <h4>Saved Encounters</h4>
+                        <div class="builder-saved" id="builder-saved"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="new-builder-encounter">New</button>
+                        <button class="btn btn-secondary" data-action="save-builder-encounter">Save</button>
+                        <button class="btn btn-primary" data-action="deploy-builder-encounter">Deploy</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        this.modal = modalContainer.firstElementChild;
+        document.body.appendChild(this.modal);
+        
+        this.setupModalListeners();
+        this.render();
+        await this.loadSaved();
+    }
+
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    setupModalListeners() {
+        const modal = this.modal;
+        
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            
+            if (e.target === modal || action === 'close-builder') {
+                e.preventDefault();
+                this.close();
+            } else if (action === 'add-builder-monster') {
+                e.preventDefault();
+                const monsterId = parseInt(modal.querySelector('#builder-monster').value);
+                const count = parseInt(modal.querySelector('#builder-count').value) || 1;
+                this.addMonster(monsterId, count);
+            } else if (action === 'remove-builder-monster') {
+                e.preventDefault();
+                const monsterId = parseInt(e.target.dataset.id);
+                this.draft.monsters = this.draft.monsters.filter(entry => entry.monster_id !== monsterId);
+                this.render();
+            } else if (action === 'new-builder-encounter') {
+                e.preventDefault();
+                this.draft = this.emptyDraft();
+                this.render();
+            } else if (action === 'save-builder-encounter') {
+                e.preventDefault();
+                await this.save();
+            } else if (action === 'deploy-builder-encounter') {
+                e.preventDefault();
+                await this.deploy();
+            } else if (action === 'load-staged') {
+                e.preventDefault();
+                this.load(parseInt(e.target.dataset.id));
+            } else if (action === 'delete-staged') {
+                e.preventDefault();
+                await this.remove(parseInt(e.target.dataset.id));
+            }
+        });
+        
+        modal.addEventListener('change', (e) => {
+            if (e.target.classList.contains('builder-party-member')) {
+                const id = parseInt(e.target.dataset.id);
+                if (e.target.checked) {
+                    this.partyIds.add(id);
+                } else {
+                    this.partyIds.delete(id);
+                }
+                this.renderRating();
+            } else if (e.target.classList.contains('builder-monster-count')) {
+                const entry = this.draft.monsters.find(m => m.monster_id === parseInt(e.target.dataset.id));
+                if (entry) {
+                    entry.count = Math.min(20, Math.max(1, parseInt(e.target.value) || 1));
+                    e.target.value = entry.count;
+                    this.renderRating();
+                }
+            }
+        });
+        
+        modal.addEventListener('input', (e) => {
+            if (e.target.id === 'builder-name') {
+                this.draft.name = e.target.value;
+            } else if (e.target.id === 'builder-notes') {
+                this.draft.notes = e.target.value;
+            }
+        });
+    }
+
+    /**
+     * Stage a monster template, adding to its count if it is already staged
+     */
+    addMonster(monsterId, count) {
+        if (!monsterId) return;
+        
+        const entry = this.draft.monsters.find(m => m.monster_id === monsterId);
+        if (entry) {
+            entry.count = Math.min(20, entry.count + count);
+        } else {
+            this.draft.monsters.push({ monster_id: monsterId, count: Math.min(20, Math.max(1, count)) });
+        }
+        this.render();
+    }
+
+    /**
+     * Rate the draft against the selected party as it is built
+     */
+    rateDraft() {
+        const monsters = state.get('monsters') || [];
+        const levels = this.getParty()
+            .filter(char => this.partyIds.has(char.id))
+            .map(char => char.level || 1);
+        const crs = this.draft.monsters.flatMap(entry => {
+            const monster = monsters.find(m => m.id === entry.monster_id);
+            return Array(entry.count).fill(monster ? monster.cr : null);
+        });
+        return Leveling.rateEncounter(levels, crs);
+    }
+
+    async loadSaved() {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.getStagedEncounters(campaignId);
+            
+            if (response.success && response.data) {
+                this.saved = response.data;
+                this.renderSaved();
+            }
+        } catch (error) {
+            console.error('Failed to load staged encounters:', error);
+            this.showMessage('Failed to load saved encounters', true);
+        }
+    }
+
+    /**
+     * Put a saved encounter in the builder to edit or deploy
+     */
+    load(id) {
+        const staged = this.saved.find(entry => entry.id === id);
+        if (!staged) return;
+        
+        this.draft = {
+            id: staged.id,
+            name: staged.name,
+            notes: staged.notes || '',
+            monsters: staged.monsters.map(monster => ({ monster_id: monster.monster_id, count: monster.count }))
+        };
+        this.render();
+    }
+
+    /**
+     * Save the draft, creating a staged encounter or updating the loaded one
+     */
+    async save() {
+        if (!this.draft.name.trim()) {
+            this.showMessage('Give the encounter a name', true);
+            return null;
+        }
+        
+        const data = {
+            name: this.draft.name.trim(),
+            notes: this.draft.notes,
+            monsters: this.draft.monsters
+        };
+        
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = this.draft.id
+                ? await api.updateStagedEncounter(this.draft.id, data)
+                : await api.createStagedEncounter(campaignId, data);
+            
+            if (response.success && response.data) {
+                this.draft.id = response.data.id;
+                this.showMessage(`${response.data.name} saved`);
+                await this.loadSaved();
+                return response.data;
+            }
+        } catch (error) {
+            console.error('Failed to save staged encounter:', error);
+            this.showMessage(error.message || 'Failed to save encounter', true);
+        }
+        return null;
+    }
+
+    /**
+     * Save the draft and add its monsters and the selected party to the
+     * current encounter in the initiative tracker
+     */
+    async deploy() {
+        if (this.draft.monsters.length === 0) {
+            this.showMessage('Add at least one monster', true);
+            return;
+        }
+        if (!this.draft.name.trim()) {
+            this.draft.name = 'Staged Encounter';
+        }
+        
+        const staged = await this.save();
+        if (!staged) return;
+        
+        try {
+            const response = await api.deployStagedEncounter(staged.id, {
+                hp_mode: this.modal.querySelector('#builder-hp-mode').value,
+                combatant_ids: [...this.partyIds]
+            });
+            
+            if (response.success && response.data) {
+                initiativeTracker.applyEncounter(response.data.encounter);
+                this.close();
+            }
+        } catch (error) {
+            console.error('Failed to deploy staged encounter:', error);
+            this.showMessage(error.message || 'Failed to deploy encounter', true);
+        }
+    }
+
+    async remove(id) {
+        const staged = this.saved.find(entry => entry.id === id);
+        if (!staged || !confirm(`Delete ${staged.name}?`)) return;
+        
+        try {
+            await api.deleteStagedEncounter(id);
+            if (this.draft.id === id) {
+                this.draft.id = null;
+            }
+            await this.loadSaved();
+        } catch (error) {
+            console.error('Failed to delete staged encounter:', error);
+            this.showMessage('Failed to delete encounter', true);
+        }
+    }
+
+    render() {
+        if (!this.modal) return;
+        
+        const monsters = state.get('monsters') || [];
+        this.modal.querySelector('#builder-monster').innerHTML = monsters.length > 0
+            ? monsters.map(monster => `<option value="${monster.id}">${this.escapeHtml(monster.name)} (CR ${monster.cr || '0'})</option>`).join('')
+            : '<option value="">No monsters in database</option>';
+        this.modal.querySelector('#builder-name').value = this.draft.name;
+        this.modal.querySelector('#builder-notes').value = this.draft.notes;
+        
+        this.renderParty();
+        this.renderMonsters();
+        this.renderRating();
+        this.renderSaved();
+    }
+
+    renderParty() {
+        const party = this.getParty();
+        this.modal.querySelector('#builder-party').innerHTML = party.length > 0
+            ? party.map(char => `
+                <label>
+                    <input type="checkbox" class="builder-party-member" data-id="${char.id}" ${this.partyIds.has(char.id) ? 'checked' : ''} />
+                    ${this.escapeHtml(char.name)} (level ${char.level || 1})
+                </label>
+            `).join('')
+            : '<p class="builder-empty">No living characters</p>';
+    }
+
+    renderMonsters() {
+        const monsters = state.get('monsters') || [];
+        this.modal.querySelector('#builder-monsters').innerHTML = this.draft.monsters.length > 0
+            ? this.draft.monsters.map(entry => {
+                const monster = monsters.find(m => m.id === entry.monster_id);
+                const xp = monster ? Leveling.crXp(monster.cr) : null;
+                return `
+                    <div class="builder-monster">
+                        <input type="number" class="builder-monster-count" data-id="${entry.monster_id}" min="1" max="20" value="${entry.count}" />
+                        <span class="builder-monster-name">× ${monster ? this.escapeHtml(monster.name) : `Monster ${entry.monster_id}`}</span>
+                        <span class="builder-monster-xp">${monster ? `CR ${monster.cr || '0'}, ${xp === null ? '?' : xp} XP each` : ''}</span>
+                        <button class="btn btn-danger btn-small" data-action="remove-builder-monster" data-id="${entry.monster_id}">×</button>
+                    </div>
+                `;
+            }).join('')
+            : '<p class="builder-empty">No monsters staged</p>';
+    }
+
+    renderRating() {
+        const rating = this.rateDraft();
+        const difficulty = rating.difficulty || 'trivial';
+        
+        this.modal.querySelector('#builder-rating').innerHTML = `
+            <div class="builder-difficulty difficulty-${difficulty}">
+                ${rating.difficulty ? DIFFICULTY_LABELS[difficulty] : 'No party selected'}
+            </div>
+            <div class="builder-xp">
+                ${rating.base_xp} XP × ${rating.multiplier} = <strong>${rating.adjusted_xp} adjusted XP</strong>
+                ${rating.unrated > 0 ? `<span class="builder-unrated">(${rating.unrated} without a CR)</span>` : ''}
+            </div>
+            <div class="builder-thresholds">
+                ${Leveling.DIFFICULTIES.map(name => `
+                    <span class="${rating.adjusted_xp >= rating.thresholds[name] ? 'reached' : ''}">${DIFFICULTY_LABELS[name]} ${rating.thresholds[name]}</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderSaved() {
+        this.modal.querySelector('#builder-saved').innerHTML = this.saved.length > 0
+            ? this.saved.map(staged => `
+                <div class="builder-saved-item ${staged.id === this.draft.id ? 'active' : ''}">
+                    <span class="builder-saved-name">${this.escapeHtml(staged.name)}</span>
+                    <span class="builder-difficulty difficulty-${staged.rating.difficulty || 'trivial'}">
+                        ${staged.rating.difficulty ? DIFFICULTY_LABELS[staged.rating.difficulty] : '—'}
+                    </span>
+                    <span class="builder-saved-monsters">
+                        ${staged.monsters.map(monster => `${monster.count} × ${this.escapeHtml(monster.name)}`).join(', ') || 'No monsters'}
+                    </span>
+                    ${staged.deployed_at ? '<span class="builder-deployed">Deployed</span>' : ''}
+                    <button class="btn btn-secondary btn-small" data-action="load-staged" data-id="${staged.id}">Load</button>
+                    <button class="btn btn-danger btn-small" data-action="delete-staged" data-id="${staged.id}">Delete</button>
+                </div>
+            `).join('')
+            : '<p class="builder-empty">No saved encounters</p>';
+    }
+
+    showMessage(message, isError = false) {
+        const messageDiv = this.modal && this.modal.querySelector('#builder-message');
+        if (!messageDiv) return;
+        
+        messageDiv.className = `builder-message ${isError ? 'error-message' : 'success-message'}`;
+        messageDiv.textContent = message;
+        setTimeout(() => {
+            messageDiv.className = 'builder-message';
+            messageDiv.textContent = '';
+        }, 3000);
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export singleton instance
+export default new EncounterBuilder();
@@ -6,6 +6,23 @@
 import api from './api.js';
 import state from './state.js';
 import { debounce } from './debounce.js';
+import Conditions from './conditions.js';
+
+// Damage types understood by the server's resistance/immunity handling
+const DAMAGE_TYPES = [
+    'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+    'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+// Abilities a group saving throw can use
+const SAVE_ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+// Combatant fields changed by damage, healing, temp HP and death saves
+// (damage can also break concentration)
+const HIT_POINT_FIELDS = [
+    'current_hp', 'temp_hp', 'death_save_successes', 'death_save_failures', 'is_stable', 'is_dead',
+    'concentration_spell'
+];
 
 class InitiativeTracker {
     constructor() {
@@ -26,10 +43,18 @@ class InitiativeTracker {
         // Subscribe to state changes
         state.subscribe((newState, oldState) => {
             if (newState.combatants !== oldState.combatants || 
-                newState.currentTurnIndex !== oldState.currentTurnIndex) {
+                newState.currentTurnIndex !== oldState.currentTurnIndex ||
+                newState.encounter !== oldState.encounter) {
                 this.render();
             }
         });
+        
+        // Another tab may have advanced the turn while this one was hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.loadInitiative();
+            }
+        });
     }
 
     setupEventListeners() {
@@ -57,14 +82,28 @@ class InitiativeTracker {
                 this.updateHP(id, change);
             }
             
-            // Action buttons (add condition, add note)
+            // Action buttons (attack, damage, temp HP, death saves, concentration, add condition, add note)
             if (e.target.closest('.action-btn')) {
                 e.preventDefault();
                 const btn = e.target.closest('.action-btn');
                 const id = parseInt(btn.dataset.id);
                 const action = btn.dataset.action;
                 
-                if (action === 'add-condition') {
+                if (action === 'attack') {
+                    this.showAttackDialog(id);
+                } else if (action === 'damage') {
+                    this.showDamageDialog(id);
+                } else if (action === 'temp-hp') {
+                    this.promptTempHP(id);
+                } else if (action === 'death-save') {
+                    this.promptDeathSave(id);
+                } else if (action === 'stabilize') {
+                    this.stabilize(id);
+                } else if (action === 'concentrate') {
+                    this.promptConcentration(id);
+                } else if (action === 'end-concentration') {
+                    this.endConcentration(id);
+                } else if (action === 'add-condition') {
                     this.showAddConditionDialog(id);
                 } else if (action === 'add-note') {
                     this.showAddNoteDialog(id);
@@ -87,12 +126,54 @@ class InitiativeTracker {
                 this.nextTurn();
             }
             
+            // Previous turn button
+            if (e.target.id === 'previous-turn-btn') {
+                e.preventDefault();
+                this.previousTurn();
+            }
+            
+            // Start combat button
+            if (e.target.id === 'start-encounter-btn') {
+                e.preventDefault();
+                this.startEncounter();
+            }
+            
+            // End combat button
+            if (e.target.id === 'end-encounter-btn') {
+                e.preventDefault();
+                this.endEncounter();
+            }
+            
+            // Roll initiative button
+            if (e.target.id === 'roll-initiative-btn') {
+                e.preventDefault();
+                this.showRollInitiativeDialog();
+            }
+            
             // Add combatant button
             if (e.target.id === 'add-combatant-btn') {
                 e.preventDefault();
                 this.showAddCombatantForm();
             }
             
+            // Undo last change button
+            if (e.target.id === 'undo-change-btn') {
+                e.preventDefault();
+                this.undoChanges(1);
+            }
+            
+            // Group save button
+            if (e.target.id === 'group-save-btn') {
+                e.preventDefault();
+                this.showGroupSaveDialog();
+            }
+            
+            // Combat log button
+            if (e.target.id === 'combat-log-btn') {
+                e.preventDefault();
+                this.showCombatLogDialog();
+            }
+            
             // Clear initiative button
             if (e.target.id === 'clear-initiative-btn') {
                 e.preventDefault();
@@ -112,19 +193,112 @@ class InitiativeTracker {
 
     /**
      * Update HP by a relative amount
+     * Damage goes through temp HP first and counts as a failed death save for a PC at 0 HP
      */
     async updateHP(id, change) {
         try {
             const combatant = state.getCombatantById(id);
             if (!combatant) return;
             
-            const newHP = Math.max(0, Math.min(combatant.current_hp + change, combatant.max_hp));
-            await this.setHP(id, newHP);
+            const response = change < 0
+                ? await api.dealDamage({ target_id: id, amount: -change })
+                : await api.healCombatant({ target_id: id, amount: change });
+            
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+                this.handleConcentration(response.data.target, response.data.concentration);
+            }
         } catch (error) {
             console.error('Failed to update HP:', error);
         }
     }
 
+    /**
+     * Copy a combatant's hit point fields from a server response into state
+     */
+    applyHitPoints(target) {
+        const changes = {};
+        HIT_POINT_FIELDS.forEach(field => {
+            if (target[field] !== undefined) {
+                changes[field] = target[field];
+            }
+        });
+        state.updateCombatant(target.id, changes);
+    }
+
+    /**
+     * Ask for an amount of temporary hit points
+     */
+    async promptTempHP(id) {
+        const combatant = state.getCombatantById(id);
+        if (!combatant) return;
+        
+        const input = prompt(`Temporary HP for ${combatant.name} (does not stack with the current ${combatant.temp_hp || 0}):`, '');
+        if (input === null || input.trim() === '') return;
+        
+        const amount = parseInt(input);
+        if (isNaN(amount) || amount < 0) {
+            alert('Temporary HP must be a non-negative number');
+            return;
+        }
+        
+        try {
+            const response = await api.grantTempHP({ target_id: id, amount });
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+            }
+        } catch (error) {
+            console.error('Failed to grant temporary HP:', error);
+            alert('Failed to grant temporary HP');
+        }
+    }
+
+    /**
+     * Make a death save for a dying PC with a roll from the table, or let the server roll
+     */
+    async promptDeathSave(id) {
+        const combatant = state.getCombatantById(id);
+        if (!combatant) return;
+        
+        const input = prompt(`Death save for ${combatant.name}: enter the d20 roll, or leave blank to roll`, '');
+        if (input === null) return;
+        
+        try {
+            const response = await api.rollDeathSave(id, input.trim() === '' ? {} : { roll: parseInt(input) });
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+                
+                const messages = {
+                    revived: 'Natural 20! Back up with 1 HP',
+                    stable: 'Third success - stable',
+                    dead: 'Third failure - dead'
+                };
+                const { roll, outcome } = response.data;
+                if (messages[outcome]) {
+                    alert(`${combatant.name} rolled ${roll.natural}. ${messages[outcome]}`);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to make death save:', error);
+            alert('Failed to make death save');
+        }
+    }
+
+    /**
+     * Stabilize a dying PC
+     */
+    async stabilize(id) {
+        try {
+            const response = await api.stabilizeCombatant(id);
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+            }
+        } catch (error) {
+            console.error('Failed to stabilize:', error);
+            alert('Failed to stabilize');
+        }
+    }
+
     /**
      * Set HP to a specific value
      */
@@ -150,14 +324,25 @@ class InitiativeTracker {
         }
     }
 
+    /**
+     * Load the current encounter, falling back to every combatant
+     * with initiative when no encounter has been created yet
+     */
     async loadInitiative() {
         try {
             const campaignId = state.get('currentCampaignId');
+            const encounterResponse = await api.getCurrentEncounter(campaignId);
+            
+            if (encounterResponse.success && encounterResponse.data) {
+                this.applyEncounter(encounterResponse.data);
+                return;
+            }
+            
             const response = await api.getInitiative(campaignId);
             
             if (response.success && response.data) {
                 // Update state with loaded combatants
-                state.setState({ combatants: response.data });
+                state.setState({ combatants: response.data, encounter: null, currentTurnIndex: 0 });
             }
         } catch (error) {
             console.error('Failed to load initiative:', error);
@@ -165,6 +350,135 @@ class InitiativeTracker {
         }
     }
 
+    /**
+     * Replace tracker state with an encounter returned by the server
+     * The turn pointer is stored by combatant ID, so the index is derived from it
+     */
+    applyEncounter(encounter) {
+        const { participants, rolls, expired_conditions, pending_saves, recharges, ...encounterData } = encounter;
+        const combatants = participants || state.get('combatants');
+        const activeIndex = combatants.findIndex(c => c.id === encounterData.active_combatant_id);
+        
+        state.setState({
+            encounter: encounterData,
+            combatants,
+            currentTurnIndex: activeIndex >= 0 ? activeIndex : 0
+        });
+    }
+
+    /**
+     * Get the current encounter, creating one from the combatants
+     * already in initiative if none exists
+     */
+    async ensureEncounter() {
+        const encounter = state.get('encounter');
+        if (encounter) {
+            return encounter;
+        }
+        
+        const campaignId = state.get('currentCampaignId');
+        const combatants = state.get('combatants') || [];
+        const response = await api.createEncounter({
+            campaign_id: campaignId,
+            name: 'Combat Encounter',
+            combatant_ids: combatants.map(c => c.id)
+        });
+        
+        if (response.success && response.data) {
+            this.applyEncounter(response.data);
+            return state.get('encounter');
+        }
+        
+        return null;
+    }
+
+    /**
+     * Add a combatant to the current encounter's participant list
+     */
+    async addToEncounter(combatantId) {
+        try {
+            const encounter = state.get('encounter');
+            if (!encounter) {
+                // Created lazily with every combatant in initiative
+                await this.ensureEncounter();
+                return;
+            }
+            
+            const response = await api.addEncounterParticipant(encounter.id, combatantId);
+            if (response.success && response.data) {
+                this.applyEncounter(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to add combatant to encounter:', error);
+        }
+    }
+
+    /**
+     * Start combat: round 1, highest initiative goes first
+     */
+    async startEncounter() {
+        try {
+            const encounter = await this.ensureEncounter();
+            if (!encounter) return;
+            
+            const response = await api.startEncounter(encounter.id);
+            if (response.success && response.data) {
+                this.applyEncounter(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to start encounter:', error);
+            alert('Failed to start combat');
+        }
+    }
+
+    /**
+     * End combat, keeping its turn history on the server
+     */
+    async endEncounter() {
+        const encounter = state.get('encounter');
+        if (!encounter) return;
+        
+        if (!confirm('End this combat encounter?')) {
+            return;
+        }
+        
+        try {
+            await api.endEncounter(encounter.id);
+            state.setState({ encounter: null, currentTurnIndex: 0 });
+        } catch (error) {
+            console.error('Failed to end encounter:', error);
+            alert('Failed to end combat');
+            return;
+        }
+        
+        await this.offerEncounterXp(encounter.id);
+    }
+
+    /**
+     * Offer to award the experience of the monsters defeated in an ended encounter
+     */
+    async offerEncounterXp(encounterId) {
+        try {
+            const xp = (await api.getEncounterXp(encounterId)).data;
+            if (xp.progression === 'milestone' || xp.awarded_at || xp.total_xp === 0 || xp.recipients.length === 0) {
+                return;
+            }
+            
+            const names = xp.recipients.map(recipient => recipient.name).join(', ');
+            if (!confirm(`Award ${xp.total_xp} XP (${xp.xp_each} each) to ${names}?`)) {
+                return;
+            }
+            
+            const result = (await api.awardEncounterXp(encounterId)).data;
+            result.awards.forEach(({ combatant }) => {
+                state.updateCharacter(combatant.id, { experience_points: combatant.experience_points });
+            });
+        } catch (error) {
+            console.error('Failed to award encounter experience:', error);
+            alert('Failed to award experience');
+        }
+    }
+
     /**
      * Add a combatant to the initiative tracker
      * Automatically sorts by initiative value
@@ -179,6 +493,7 @@ class InitiativeTracker {
             if (response.success && response.data) {
                 // Add to state (state manager will handle sorting)
                 state.addCombatant(response.data);
+                await this.addToEncounter(response.data.id);
                 return response.data;
             }
         } catch (error) {
@@ -197,6 +512,15 @@ class InitiativeTracker {
             const combatant = state.getCombatantById(id);
             if (!combatant) return;
             
+            const encounter = state.get('encounter');
+            if (encounter) {
+                // Moves the turn pointer on if it was this combatant's turn
+                const response = await api.removeEncounterParticipant(encounter.id, id);
+                if (response.success && response.data) {
+                    this.applyEncounter(response.data);
+                }
+            }
+            
             if (combatant.type === 'Monster') {
                 // Delete monster instance from database
                 const response = await api.delete(`/initiative/${id}`);
@@ -221,10 +545,325 @@ class InitiativeTracker {
 
     /**
      * Advance to the next turn
-     * Highlights the current active combatant
+     * Persisted through the encounter so every tab agrees on whose turn it is;
+     * starts combat if it has not been started yet
+     */
+    async nextTurn() {
+        const encounter = state.get('encounter');
+        if (!encounter || encounter.status !== 'active') {
+            await this.startEncounter();
+            return;
+        }
+        
+        try {
+            const response = await api.nextEncounterTurn(encounter.id);
+            if (response.success && response.data) {
+                this.applyEncounter(response.data);
+                this.showConditionEvents(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to advance turn:', error);
+            // Reload in case another tab changed the encounter
+            await this.loadInitiative();
+        }
+    }
+
+    /**
+     * Show conditions that expired on a turn change, recharge rolls of the
+     * incoming combatant and prompt for repeat saves
+     */
+    showConditionEvents(encounter) {
+        const expired = encounter.expired_conditions || [];
+        const saves = encounter.pending_saves || [];
+        const recharges = encounter.recharges || [];
+        if (expired.length === 0 && saves.length === 0 && recharges.length === 0) return;
+        
+        const nameOf = (id) => state.getCombatantById(id)?.name || 'Unknown';
+        const formatModifier = (modifier) => modifier < 0 ? `${modifier}` : `+${modifier}`;
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="condition-events-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>Turn Changes</h3>
+                        <button class="modal-close" data-action="close-condition-events">×</button>
+                    </div>
+                    <div class="modal-body">
+                        ${expired.length > 0 ? `
+                            <h4>Expired</h4>
+                            <ul class="expired-conditions">
+                                ${expired.map(c => `
+                                    <li>${this.escapeHtml(c.condition)} on ${this.escapeHtml(nameOf(c.combatant_id))} has ended</li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        ${recharges.length > 0 ? `
+                            <h4>Recharge</h4>
+                            <ul class="recharge-rolls">
+                                ${recharges.map(r => `
+                                    <li>
+                                        ${this.escapeHtml(r.resource.name)} (${this.escapeHtml(nameOf(r.resource.combatant_id))}):
+                                        rolled ${r.roll.total} - ${r.recharged ? 'recharged' : 'not recharged'}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                        ${saves.length > 0 ? `
+                            <h4>Repeat Saves</h4>
+                            ${saves.map(save => `
+                                <div class="condition-save" data-combatant-id="${save.combatant_id}" data-condition-id="${save.condition_id}">
+                                    <div class="condition-save-label">
+                                        <strong>${this.escapeHtml(save.combatant_name)}</strong>:
+                                        ${this.escapeHtml(save.condition)} - DC ${save.save_dc}
+                                        ${this.escapeHtml(save.save_ability)} save (${formatModifier(save.modifier)})
+                                    </div>
+                                    <div class="condition-save-controls">
+                                        <input type="number" class="condition-save-total" placeholder="Total" />
+                                        <button class="btn btn-secondary" data-action="save-with-total">Use Total</button>
+                                        <button class="btn btn-primary" data-action="roll-save">Roll</button>
+                                    </div>
+                                    <div class="condition-save-result"></div>
+                                </div>
+                            `).join('')}
+                        ` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-condition-events">Done</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-condition-events') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            const action = e.target.dataset.action;
+            if (action !== 'roll-save' && action !== 'save-with-total') return;
+            
+            e.preventDefault();
+            const row = e.target.closest('.condition-save');
+            const data = {};
+            if (action === 'save-with-total') {
+                const total = row.querySelector('.condition-save-total').value;
+                if (total === '') return;
+                data.total = parseInt(total);
+            }
+            
+            const result = await this.rollConditionSave(
+                parseInt(row.dataset.combatantId),
+                parseInt(row.dataset.conditionId),
+                data
+            );
+            
+            if (result) {
+                row.querySelector('.condition-save-controls').remove();
+                const reasons = result.modifiers.reasons.length > 0 ? ` (${result.modifiers.reasons.join(', ')})` : '';
+                row.querySelector('.condition-save-result').textContent = result.success
+                    ? `${result.roll.breakdown}${reasons} - saved, ${result.condition.condition} ends`
+                    : `${result.roll.breakdown}${reasons} - failed`;
+            }
+        });
+    }
+
+    /**
+     * Make a repeat save against a condition and drop it from state on a success
+     */
+    async rollConditionSave(combatantId, conditionId, data) {
+        try {
+            const response = await api.rollConditionSave(combatantId, conditionId, data);
+            if (response.success && response.data) {
+                if (response.data.success) {
+                    this.dropConditions([response.data.condition]);
+                }
+                return response.data;
+            }
+        } catch (error) {
+            console.error('Failed to roll save:', error);
+            alert('Failed to roll save');
+        }
+        return null;
+    }
+
+    /**
+     * Remove conditions the server has ended from the combatants in state
+     */
+    dropConditions(removed) {
+        const byCombatant = new Map();
+        (removed || []).forEach(condition => {
+            const ids = byCombatant.get(condition.combatant_id) || [];
+            byCombatant.set(condition.combatant_id, [...ids, condition.id]);
+        });
+        
+        byCombatant.forEach((ids, combatantId) => {
+            const combatant = state.getCombatantById(combatantId);
+            if (combatant) {
+                const conditions = (combatant.conditions || []).filter(c => !ids.includes(c.id));
+                state.updateCombatant(combatantId, { conditions });
+            }
+        });
+    }
+
+    /**
+     * Ask for the spell a combatant starts concentrating on
+     */
+    async promptConcentration(id) {
+        const combatant = state.getCombatantById(id);
+        if (!combatant) return;
+        
+        const current = combatant.concentration_spell ? ` (ends ${combatant.concentration_spell})` : '';
+        const spell = prompt(`Spell ${combatant.name} is concentrating on${current}:`, '');
+        if (spell === null || spell.trim() === '') return;
+        
+        try {
+            const response = await api.startConcentration(id, spell.trim());
+            if (response.success && response.data) {
+                state.updateCombatant(id, { concentration_spell: response.data.combatant.concentration_spell });
+                this.dropConditions(response.data.ended?.removed);
+            }
+        } catch (error) {
+            console.error('Failed to start concentration:', error);
+            alert(error.message || 'Failed to start concentration');
+        }
+    }
+
+    /**
+     * End a combatant's concentration and the conditions its spell maintained
+     */
+    async endConcentration(id) {
+        const combatant = state.getCombatantById(id);
+        if (!combatant || !confirm(`End ${combatant.name}'s concentration on ${combatant.concentration_spell}?`)) {
+            return;
+        }
+        
+        try {
+            const response = await api.endConcentration(id);
+            if (response.success && response.data) {
+                state.updateCombatant(id, { concentration_spell: null });
+                this.dropConditions(response.data.removed);
+            }
+        } catch (error) {
+            console.error('Failed to end concentration:', error);
+            alert('Failed to end concentration');
+        }
+    }
+
+    /**
+     * Follow up a concentration check caused by damage: report a broken
+     * concentration or prompt for the Constitution save
+     */
+    handleConcentration(target, concentration) {
+        if (!concentration) return;
+        
+        if (concentration.pending) {
+            this.showConcentrationSave(target, concentration);
+            return;
+        }
+        
+        this.dropConditions(concentration.removed);
+        if (!concentration.success) {
+            const reason = concentration.reason || `failed the DC ${concentration.dc} save (${concentration.roll.breakdown})`;
+            alert(`${target.name} loses concentration on ${concentration.spell}: ${reason}`);
+        }
+    }
+
+    /**
+     * Prompt for the Constitution save a concentrating combatant makes after taking damage
      */
-    nextTurn() {
-        state.nextTurn();
+    showConcentrationSave(target, concentration) {
+        const dialogHTML = `
+            <div class="modal-overlay" id="concentration-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>Concentration Check</h3>
+                        <button class="modal-close" data-action="close-concentration-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>
+                            ${this.escapeHtml(target.name)} took damage while concentrating on
+                            <strong>${this.escapeHtml(concentration.spell)}</strong>:
+                            DC ${concentration.dc} Constitution save
+                        </p>
+                        <div class="condition-save-controls">
+                            <input type="number" class="condition-save-total" id="concentration-total" placeholder="Total" />
+                            <button class="btn btn-secondary btn-small" data-action="concentration-total">Use Total</button>
+                            <button class="btn btn-primary btn-small" data-action="concentration-roll">Roll</button>
+                        </div>
+                        <div class="condition-save-result" id="concentration-result"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-concentration-modal">Done</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-concentration-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (action !== 'concentration-total' && action !== 'concentration-roll') return;
+            e.preventDefault();
+            
+            const data = { dc: concentration.dc };
+            if (action === 'concentration-total') {
+                const total = modal.querySelector('#concentration-total').value;
+                if (total === '') return;
+                data.total = parseInt(total);
+            }
+            
+            try {
+                const response = await api.rollConcentrationSave(target.id, data);
+                if (response.success && response.data) {
+                    const result = response.data;
+                    state.updateCombatant(target.id, { concentration_spell: result.combatant.concentration_spell });
+                    this.dropConditions(result.removed);
+                    
+                    modal.querySelector('.condition-save-controls').remove();
+                    modal.querySelector('#concentration-result').textContent = result.success
+                        ? `${result.roll.breakdown} - keeps concentrating on ${result.spell}`
+                        : `${result.roll.breakdown} - concentration on ${result.spell} is broken`;
+                }
+            } catch (error) {
+                console.error('Failed to roll concentration save:', error);
+                alert('Failed to roll concentration save');
+            }
+        });
+    }
+
+    /**
+     * Step back to the previous turn
+     */
+    async previousTurn() {
+        const encounter = state.get('encounter');
+        if (!encounter || encounter.status !== 'active') return;
+        
+        try {
+            const response = await api.previousEncounterTurn(encounter.id);
+            if (response.success && response.data) {
+                this.applyEncounter(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to go back a turn:', error);
+            await this.loadInitiative();
+        }
     }
 
     /**
@@ -299,6 +938,49 @@ class InitiativeTracker {
         return `<span class="type-badge ${this.getTypeClass(type)}">${type}</span>`;
     }
 
+    /**
+     * PCs at 0 HP make death saves instead of using the HP controls
+     */
+    isDying(combatant) {
+        return combatant.type === 'PC' && combatant.current_hp === 0;
+    }
+
+    /**
+     * Get death save tracker HTML for a PC at 0 HP
+     */
+    getDeathSaveControls(combatant) {
+        const pips = (count, className) => [0, 1, 2]
+            .map(i => `<span class="death-save-pip ${className} ${i < count ? 'filled' : ''}"></span>`)
+            .join('');
+
+        if (combatant.is_dead) {
+            return `
+                <div class="stat-group death-saves dead">
+                    <span class="death-save-status">💀 Dead</span>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="stat-group death-saves">
+                <span class="stat-label">${combatant.is_stable ? 'Stable' : 'Dying'}:</span>
+                ${combatant.is_stable ? '' : `
+                    <span class="death-save-track" title="Successes">${pips(combatant.death_save_successes || 0, 'success')}</span>
+                    <span class="death-save-track" title="Failures">${pips(combatant.death_save_failures || 0, 'failure')}</span>
+                    <button class="action-btn" data-id="${combatant.id}" data-action="death-save" title="Make a death saving throw">
+                        <span>🎲 Death Save</span>
+                    </button>
+                    <button class="action-btn" data-id="${combatant.id}" data-action="stabilize" title="Stabilize (Medicine check, Spare the Dying)">
+                        <span>Stabilize</span>
+                    </button>
+                `}
+                <button class="hp-btn-small heal" data-id="${combatant.id}" data-change="1" title="Heal 1">+1</button>
+                <button class="hp-btn-small heal" data-id="${combatant.id}" data-change="5" title="Heal 5">+5</button>
+                <button class="hp-btn-small" data-id="${combatant.id}" data-change="-1" title="Damage while down (one failed death save)">-1</button>
+            </div>
+        `;
+    }
+
     /**
      * Get condition indicators HTML
      */
@@ -312,12 +994,15 @@ class InitiativeTracker {
                 ${conditions.map((condition, index) => {
                     const conditionName = typeof condition === 'string' ? condition : condition.condition;
                     const conditionId = typeof condition === 'object' && condition.id ? condition.id : index;
+                    const rounds = typeof condition === 'object' ? condition.rounds_remaining : null;
+                    const hasRounds = rounds !== null && rounds !== undefined;
+                    const rules = Conditions.CONDITIONS[Conditions.parse(conditionName).name];
                     return `<button class="condition-badge" 
                                     data-combatant-id="${combatantId}" 
                                     data-condition-id="${conditionId}"
                                     data-condition-name="${this.escapeHtml(conditionName)}"
-                                    title="Click to remove: ${conditionName}">
-                                ${this.getConditionAbbr(conditionName)}
+                                    title="Click to remove: ${this.escapeHtml(conditionName)}${hasRounds ? ` (${rounds} rounds left)` : ''}${rules ? ` - ${this.escapeHtml(rules.description)}` : ''}">
+                                ${this.getConditionAbbr(conditionName)}${hasRounds ? `<span class="condition-rounds">${rounds}</span>` : ''}
                                 <span class="condition-remove">×</span>
                             </button>`;
                 }).join('')}
@@ -345,7 +1030,21 @@ class InitiativeTracker {
             'stunned': 'STN',
             'unconscious': 'UNC'
         };
-        return abbrs[condition.toLowerCase()] || condition.substring(0, 3).toUpperCase();
+        const { name, level } = Conditions.parse(condition);
+        if (name === 'exhaustion') {
+            return `EX${level}`;
+        }
+        return abbrs[name] || condition.substring(0, 3).toUpperCase();
+    }
+
+    /**
+     * Tooltip text listing the mechanical effects of a combatant's conditions
+     */
+    getEffectsSummary(conditions) {
+        if (!conditions || conditions.length === 0) {
+            return '';
+        }
+        return Conditions.summarize(conditions).join('\n');
     }
 
     /**
@@ -354,6 +1053,14 @@ class InitiativeTracker {
     render() {
         const combatants = state.get('combatants');
         const currentTurnIndex = state.get('currentTurnIndex');
+        const encounter = state.get('encounter');
+        const isActive = encounter && encounter.status === 'active';
+        
+        // Highlight by ID when an encounter owns the turn pointer so re-sorting
+        // by initiative does not move the highlight to someone else
+        const isCurrentTurn = (combatant, index) => isActive
+            ? combatant.id === encounter.active_combatant_id
+            : !encounter && index === currentTurnIndex;
 
         if (!combatants || combatants.length === 0) {
             this.container.innerHTML = `
@@ -367,15 +1074,32 @@ class InitiativeTracker {
         }
 
         const html = `
+            ${isActive ? `
+                <div class="encounter-status">
+                    <span class="encounter-round">Round ${encounter.current_round}</span>
+                    <span class="encounter-name">${this.escapeHtml(encounter.name)}</span>
+                </div>
+            ` : ''}
             <div class="initiative-controls">
-                <button id="next-turn-btn" class="btn btn-primary">Next Turn</button>
+                ${isActive ? `
+                    <button id="previous-turn-btn" class="btn btn-secondary">Previous</button>
+                    <button id="next-turn-btn" class="btn btn-primary">Next Turn</button>
+                    <button id="end-encounter-btn" class="btn btn-secondary">End Combat</button>
+                ` : `
+                    <button id="start-encounter-btn" class="btn btn-primary">Start Combat</button>
+                `}
+                <button id="roll-initiative-btn" class="btn btn-secondary" title="Roll d20 + DEX for every combatant">Roll Initiative</button>
                 <button id="add-combatant-btn" class="btn btn-secondary">Add Combatant</button>
+                <button id="group-save-btn" class="btn btn-secondary" title="Roll a saving throw for several combatants and apply the effect's damage">Group Save</button>
+                <button id="undo-change-btn" class="btn btn-secondary" title="Undo the last HP, condition or initiative change">Undo</button>
+                <button id="combat-log-btn" class="btn btn-secondary">Log</button>
                 <button id="clear-initiative-btn" class="btn btn-danger">Clear All</button>
             </div>
             <div class="initiative-list">
                 ${combatants.map((combatant, index) => `
-                    <div class="initiative-item ${index === currentTurnIndex ? 'active' : ''} ${this.getTypeClass(combatant.type)}" 
-                         data-id="${combatant.id}">
+                    <div class="initiative-item ${isCurrentTurn(combatant, index) ? 'active' : ''} ${this.getTypeClass(combatant.type)}" 
+                         data-id="${combatant.id}"
+                         title="${this.escapeHtml(this.getEffectsSummary(combatant.conditions))}">
                         <div class="initiative-header">
                             <div class="initiative-value" title="Click to edit">
                                 <button class="edit-initiative-btn" data-id="${combatant.id}">
@@ -393,6 +1117,7 @@ class InitiativeTracker {
                                 <span class="stat-label">AC:</span>
                                 <span class="stat-value">${combatant.ac}</span>
                             </div>
+                            ${this.isDying(combatant) ? this.getDeathSaveControls(combatant) : `
                             <div class="stat-group hp-group">
                                 <span class="stat-label">HP:</span>
                                 <div class="hp-controls-compact">
@@ -412,11 +1137,33 @@ class InitiativeTracker {
                                     <button class="hp-btn-small heal" data-id="${combatant.id}" data-change="1" title="Heal 1">+1</button>
                                     <button class="hp-btn-small heal" data-id="${combatant.id}" data-change="5" title="Heal 5">+5</button>
                                     <button class="hp-btn-small heal" data-id="${combatant.id}" data-change="10" title="Heal 10">+10</button>
+                                    ${combatant.temp_hp > 0 ? `<span class="temp-hp-badge" title="Temporary HP">+${combatant.temp_hp} temp</span>` : ''}
                                 </div>
                             </div>
+                            `}
                             ${this.getConditionIndicators(combatant.conditions, combatant.id)}
+                            ${combatant.concentration_spell ? `
+                                <div class="concentration-badge" title="Concentrating on ${this.escapeHtml(combatant.concentration_spell)}">
+                                    🔮 ${this.escapeHtml(combatant.concentration_spell)}
+                                    <button class="action-btn" data-id="${combatant.id}" data-action="end-concentration" title="End concentration">×</button>
+                                </div>
+                            ` : ''}
                         </div>
                         <div class="initiative-actions">
+                            ${combatant.type === 'Monster' ? `
+                                <button class="action-btn" data-id="${combatant.id}" data-action="attack" title="Attack">
+                                    <span>⚔ Attack</span>
+                                </button>
+                            ` : ''}
+                            <button class="action-btn" data-id="${combatant.id}" data-action="damage" title="Deal typed damage">
+                                <span>🔥 Damage</span>
+                            </button>
+                            <button class="action-btn" data-id="${combatant.id}" data-action="temp-hp" title="Grant temporary hit points">
+                                <span>+ Temp HP</span>
+                            </button>
+                            <button class="action-btn" data-id="${combatant.id}" data-action="concentrate" title="Start concentrating on a spell">
+                                <span>🔮 Concentrate</span>
+                            </button>
                             <button class="action-btn" data-id="${combatant.id}" data-action="add-condition" title="Add Condition">
                                 <span>+ Condition</span>
                             </button>
@@ -424,17 +1171,184 @@ class InitiativeTracker {
                                 <span>+ Note</span>
                             </button>
                         </div>
-                        ${combatant.notes ? `
-                            <div class="combatant-notes">
-                                <strong>Notes:</strong> ${this.escapeHtml(combatant.notes)}
-                            </div>
-                        ` : ''}
+                        ${combatant.notes ? `
+                            <div class="combatant-notes">
+                                <strong>Notes:</strong> ${this.escapeHtml(combatant.notes)}
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Revert the last N logged changes and reload the tracker
+     */
+    async undoChanges(count) {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.undoCombatLog(campaignId, count);
+            
+            if (!response.success) return;
+            
+            if (response.data.length === 0) {
+                alert('Nothing to undo');
+                return;
+            }
+            
+            // Undone changes may belong to characters and NPCs shown in other panels
+            api.invalidateCache('/initiative');
+            api.invalidateCache('/characters');
+            api.invalidateCache('/npcs');
+            
+            response.data
+                .filter(entry => entry.action === 'update')
+                .forEach(entry => {
+                    state.updateCharacter(entry.combatant_id, { [entry.field]: entry.old_value });
+                    state.updateNPC(entry.combatant_id, { [entry.field]: entry.old_value });
+                });
+            
+            await this.loadInitiative();
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            alert('Failed to undo');
+        }
+    }
+
+    /**
+     * Describe a combat log entry in plain words
+     */
+    describeLogEntry(entry) {
+        const name = this.escapeHtml(entry.combatant_name || 'Unknown');
+        const fieldLabels = {
+            current_hp: 'HP',
+            max_hp: 'Max HP',
+            temp_hp: 'Temp HP',
+            death_save_successes: 'Death save successes',
+            death_save_failures: 'Death save failures',
+            is_stable: 'Stable',
+            is_dead: 'Dead',
+            concentration_spell: 'Concentration',
+            hit_dice_used: 'Hit dice spent',
+            initiative: 'Initiative',
+            ac: 'AC',
+            notes: 'Notes'
+        };
+        
+        if (entry.action === 'condition_added') {
+            return `${name} gained ${this.escapeHtml(entry.new_value?.condition)}`;
+        }
+        
+        if (entry.action === 'condition_removed') {
+            return `${name} lost ${this.escapeHtml(entry.old_value?.condition)}`;
+        }
+        
+        if (entry.action === 'attack') {
+            const outcome = entry.new_value || {};
+            const adjustment = outcome.damage_adjustment ? ` (${this.escapeHtml(outcome.damage_adjustment)})` : '';
+            const modifiers = outcome.modifiers && outcome.modifiers.length > 0
+                ? ` with ${this.escapeHtml(outcome.modifiers.join(', '))}`
+                : '';
+            const result = outcome.hit
+                ? `${outcome.critical ? 'critical hit' : 'hit'} for ${outcome.damage}${adjustment}`
+                : 'missed';
+            return `${name} → ${this.escapeHtml(outcome.target_name)}: ${this.escapeHtml(outcome.attack)}${modifiers} ${result}`;
+        }
+        
+        if (entry.action === 'group_save') {
+            const outcome = entry.new_value || {};
+            const results = (outcome.results || []).map(result =>
+                `${this.escapeHtml(result.target_name)} ${result.success ? 'saved' : 'failed'}${outcome.damage !== null ? ` (${result.damage})` : ''}`
+            );
+            return `${name}: DC ${outcome.dc} ${this.escapeHtml(this.capitalizeFirst(outcome.ability))} save - ${results.join(', ')}`;
+        }
+        
+        if (entry.field === 'notes') {
+            return `${name}: notes edited`;
+        }
+        
+        const label = fieldLabels[entry.field] || entry.field;
+        return `${name}: ${label} ${entry.old_value} → ${entry.new_value}`;
+    }
+
+    /**
+     * Show the combat log with undo controls
+     */
+    async showCombatLogDialog() {
+        let entries = [];
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.getCombatLog(campaignId);
+            entries = response.success ? response.data : [];
+        } catch (error) {
+            console.error('Failed to load combat log:', error);
+            alert('Failed to load combat log');
+            return;
+        }
+        
+        // Undo counts only entries that can still be reverted
+        let undoable = 0;
+        const rows = entries.map(entry => {
+            // Attack and group save entries describe an outcome; the HP changes they caused are undone on their own
+            const canUndo = !entry.reverted && entry.combatant_id !== null &&
+                entry.action !== 'attack' && entry.action !== 'group_save';
+            if (canUndo) undoable++;
+            
+            return `
+                <div class="combat-log-entry ${entry.reverted ? 'reverted' : ''}">
+                    <span class="log-round">${entry.round ? `R${entry.round}` : '—'}</span>
+                    <span class="log-text">${this.describeLogEntry(entry)}</span>
+                    <span class="log-time">${new Date(entry.created_at).toLocaleTimeString()}</span>
+                    ${canUndo ? `
+                        <button class="btn btn-small btn-secondary" data-action="undo-to" data-count="${undoable}" title="Undo this and every later change">
+                            Undo
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        });
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="combat-log-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Combat Log</h3>
+                        <button class="modal-close" data-action="close-log-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="combat-log-list">
+                            ${rows.length > 0 ? rows.join('') : '<p class="no-options">No changes recorded yet</p>'}
+                        </div>
                     </div>
-                `).join('')}
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-log-modal">Close</button>
+                    </div>
+                </div>
             </div>
         `;
-
-        this.container.innerHTML = html;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        document.body.appendChild(modalContainer.firstElementChild);
+        
+        const modal = document.getElementById('combat-log-modal');
+        modal.addEventListener('click', async (e) => {
+            if (e.target.id === 'combat-log-modal' || e.target.dataset.action === 'close-log-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action === 'undo-to') {
+                e.preventDefault();
+                const count = parseInt(e.target.dataset.count);
+                modal.remove();
+                await this.undoChanges(count);
+            }
+        });
     }
 
     /**
@@ -527,6 +1441,527 @@ class InitiativeTracker {
         this.setupModalListeners();
     }
 
+    /**
+     * Show options for rolling initiative for the whole encounter
+     * PCs can enter the totals their players rolled; blank entries keep the current value
+     */
+    showRollInitiativeDialog() {
+        const combatants = state.get('combatants') || [];
+        const pcs = combatants.filter(c => c.type === 'PC');
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="roll-initiative-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>Roll Initiative</h3>
+                        <button class="modal-close" data-action="close-roll-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p>Monsters and NPCs roll d20 + DEX modifier. Ties go to the higher DEX, then to a roll-off.</p>
+                        <label class="roll-initiative-option">
+                            <input type="checkbox" id="group-monsters-checkbox" />
+                            Group initiative for identical monsters
+                        </label>
+                        ${pcs.length > 0 ? `
+                            <label class="roll-initiative-option">
+                                <input type="checkbox" id="roll-pcs-checkbox" />
+                                Roll for PCs left blank
+                            </label>
+                            <div class="pc-initiative-list">
+                                ${pcs.map(pc => `
+                                    <div class="form-group">
+                                        <label for="pc-initiative-${pc.id}">${this.escapeHtml(pc.name)}</label>
+                                        <input type="number" id="pc-initiative-${pc.id}" data-id="${pc.id}"
+                                               class="pc-initiative-input" placeholder="${pc.initiative}" />
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-roll-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="roll-initiative">Roll</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-roll-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action === 'roll-initiative') {
+                e.preventDefault();
+                const pcRolls = {};
+                modal.querySelectorAll('.pc-initiative-input').forEach(input => {
+                    if (input.value.trim() !== '') {
+                        pcRolls[input.dataset.id] = parseInt(input.value);
+                    }
+                });
+                const rollPcs = modal.querySelector('#roll-pcs-checkbox');
+                const options = {
+                    pc_rolls: pcRolls,
+                    roll_pcs: rollPcs ? rollPcs.checked : false,
+                    group_monsters: modal.querySelector('#group-monsters-checkbox').checked
+                };
+                
+                modal.remove();
+                await this.rollInitiative(options);
+            }
+        });
+    }
+
+    /**
+     * Roll initiative for the encounter and reorder the tracker
+     */
+    async rollInitiative(options) {
+        try {
+            const encounter = await this.ensureEncounter();
+            if (!encounter) return;
+            
+            const response = await api.rollEncounterInitiative(encounter.id, options);
+            if (response.success && response.data) {
+                this.applyEncounter(response.data);
+            }
+        } catch (error) {
+            console.error('Failed to roll initiative:', error);
+            alert('Failed to roll initiative');
+        }
+    }
+
+    /**
+     * Show the attacks of a monster instance with a target picker
+     * The dialog stays open so several attacks (e.g. a multiattack) can be made in a row
+     */
+    async showAttackDialog(attackerId) {
+        const attacker = state.getCombatantById(attackerId);
+        if (!attacker) return;
+        
+        let attacks = [];
+        try {
+            const response = await api.getCombatantAttacks(attackerId);
+            attacks = response.success ? response.data : [];
+        } catch (error) {
+            console.error('Failed to load attacks:', error);
+        }
+        
+        if (attacks.length === 0) {
+            alert(`${attacker.name} has no attacks in its stat block`);
+            return;
+        }
+        
+        const targets = (state.get('combatants') || []).filter(c => c.id !== attackerId);
+        if (targets.length === 0) {
+            alert('There is nobody to attack');
+            return;
+        }
+        const defaultTarget = targets.find(c => c.type !== 'Monster') || targets[0];
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="attack-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>${this.escapeHtml(attacker.name)} Attacks</h3>
+                        <button class="modal-close" data-action="close-attack-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="attack-target">Target</label>
+                            <select id="attack-target">
+                                ${targets.map(c => `
+                                    <option value="${c.id}" ${c.id === defaultTarget.id ? 'selected' : ''}>
+                                        ${this.escapeHtml(c.name)} (AC ${c.ac}, HP ${c.current_hp}/${c.max_hp})
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="attack-modes">
+                            <label><input type="checkbox" id="attack-advantage" /> Advantage</label>
+                            <label><input type="checkbox" id="attack-disadvantage" /> Disadvantage</label>
+                        </div>
+                        <div class="attack-condition-modifiers" id="attack-condition-modifiers"></div>
+                        <div class="attack-options">
+                            ${attacks.map((attack, index) => `
+                                <button class="attack-option" data-index="${index}">
+                                    <strong>${this.escapeHtml(attack.name)}</strong>
+                                    <span>${attack.bonus !== undefined ? `+${attack.bonus} to hit` : ''}${attack.damage ? `, ${this.escapeHtml(attack.damage)} ${this.escapeHtml(attack.type || '')}` : ''}</span>
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="attack-results" id="attack-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-attack-modal">Done</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        // Conditions on either side are applied by the server; preview them for melee range
+        const targetSelect = modal.querySelector('#attack-target');
+        const showConditionModifiers = () => {
+            const target = state.getCombatantById(parseInt(targetSelect.value));
+            const modifiers = Conditions.attackModifiers(attacker.conditions || [], target?.conditions || []);
+            modal.querySelector('#attack-condition-modifiers').textContent = modifiers.incapacitated
+                ? `${attacker.name} is incapacitated and cannot attack`
+                : modifiers.reasons.join(', ');
+        };
+        targetSelect.addEventListener('change', showConditionModifiers);
+        showConditionModifiers();
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-attack-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            const option = e.target.closest('.attack-option');
+            if (option) {
+                e.preventDefault();
+                const result = await this.makeAttack({
+                    attacker_id: attackerId,
+                    target_id: parseInt(modal.querySelector('#attack-target').value),
+                    attack: parseInt(option.dataset.index),
+                    advantage: modal.querySelector('#attack-advantage').checked,
+                    disadvantage: modal.querySelector('#attack-disadvantage').checked
+                });
+                
+                if (result) {
+                    const line = document.createElement('div');
+                    line.className = `attack-result ${result.hit ? 'hit' : 'miss'}`;
+                    line.textContent = this.describeAttack(result);
+                    modal.querySelector('#attack-results').prepend(line);
+                }
+            }
+        });
+    }
+
+    /**
+     * Resolve an attack on the server and update the target's HP
+     */
+    async makeAttack(data) {
+        try {
+            const response = await api.attack(data);
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+                this.handleConcentration(response.data.target, response.data.concentration);
+                return response.data;
+            }
+        } catch (error) {
+            console.error('Failed to resolve attack:', error);
+            alert('Failed to resolve attack');
+        }
+        return null;
+    }
+
+    /**
+     * One-line summary of an attack result
+     */
+    describeAttack(result) {
+        const reasons = result.modifiers && result.modifiers.reasons.length > 0
+            ? ` [${result.modifiers.reasons.join(', ')}]`
+            : '';
+        const toHit = `${result.attack.name}: ${result.attack_roll.breakdown}${reasons} vs AC ${result.target.ac}`;
+        if (!result.hit) {
+            return `${toHit} - miss`;
+        }
+        const damage = result.damage_roll ? ` (${result.damage_roll.breakdown})` : '';
+        const adjustment = this.describeAdjustment(result.adjustment);
+        const absorbed = result.absorbed ? `, ${result.absorbed} absorbed by temp HP` : '';
+        return `${toHit} - ${result.critical ? 'CRITICAL HIT' : 'hit'}! ${result.target.name} takes ${result.damage}${damage}${adjustment}${absorbed}, ${result.target.current_hp} HP left`;
+    }
+
+    /**
+     * Damage math for resistances, immunities and vulnerabilities, e.g. " [14 fire → 7 (resistant ÷2)]"
+     * Empty when the target's defenses did not change the damage
+     */
+    describeAdjustment(adjustment) {
+        if (!adjustment || !(adjustment.immune || adjustment.resistant || adjustment.vulnerable)) {
+            return '';
+        }
+        return ` [${adjustment.explanation}]`;
+    }
+
+    /**
+     * Show a dialog to deal typed damage to a combatant
+     * The server applies the combatant's resistances, immunities and vulnerabilities
+     */
+    showDamageDialog(combatantId) {
+        const combatant = state.getCombatantById(combatantId);
+        if (!combatant) return;
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="damage-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>Damage ${this.escapeHtml(combatant.name)}</h3>
+                        <button class="modal-close" data-action="close-damage-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="damage-amount">Amount</label>
+                                <input type="number" id="damage-amount" min="0" value="0" />
+                            </div>
+                            <div class="form-group">
+                                <label for="damage-type">Type</label>
+                                <select id="damage-type">
+                                    <option value="">Untyped</option>
+                                    ${DAMAGE_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <label><input type="checkbox" id="damage-magical" /> Magical</label>
+                        <div class="attack-results" id="damage-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-damage-modal">Done</button>
+                        <button class="btn btn-primary" data-action="deal-damage">Apply Damage</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        modal.querySelector('#damage-amount').focus();
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-damage-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action === 'deal-damage') {
+                e.preventDefault();
+                const result = await this.dealDamage({
+                    target_id: combatantId,
+                    amount: parseInt(modal.querySelector('#damage-amount').value) || 0,
+                    type: modal.querySelector('#damage-type').value || null,
+                    magical: modal.querySelector('#damage-magical').checked
+                });
+                
+                if (result) {
+                    const line = document.createElement('div');
+                    line.className = 'attack-result hit';
+                    const absorbed = result.absorbed ? `, ${result.absorbed} absorbed by temp HP` : '';
+                    line.textContent = `${result.adjustment.explanation} - ${result.target.name} takes ${result.adjustment.amount}${absorbed}, ${result.target.current_hp} HP left`;
+                    modal.querySelector('#damage-results').prepend(line);
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the dialog for a saving throw made by several combatants at once,
+     * e.g. against a dragon's breath weapon
+     */
+    showGroupSaveDialog() {
+        const combatants = state.get('combatants') || [];
+        if (combatants.length === 0) {
+            alert('There is nobody to make a saving throw');
+            return;
+        }
+        
+        const dialogHTML = `
+            <div class="modal-overlay" id="group-save-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Group Saving Throw</h3>
+                        <button class="modal-close" data-action="close-group-save-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="group-save-effect">Effect</label>
+                                <input type="text" id="group-save-effect" placeholder="Fire Breath" />
+                            </div>
+                            <div class="form-group">
+                                <label for="group-save-source">Source</label>
+                                <select id="group-save-source">
+                                    <option value="">None</option>
+                                    ${combatants.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="group-save-ability">Save</label>
+                                <select id="group-save-ability">
+                                    ${SAVE_ABILITIES.map(ability => `
+                                        <option value="${ability}" ${ability === 'dexterity' ? 'selected' : ''}>${this.capitalizeFirst(ability)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="group-save-dc">DC</label>
+                                <input type="number" id="group-save-dc" min="1" max="30" value="13" />
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="group-save-damage">Damage</label>
+                                <input type="text" id="group-save-damage" placeholder="6d6 (none)" />
+                            </div>
+                            <div class="form-group">
+                                <label for="group-save-type">Type</label>
+                                <select id="group-save-type">
+                                    <option value="">Untyped</option>
+                                    ${DAMAGE_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="group-save-on-success">On a success</label>
+                                <select id="group-save-on-success">
+                                    <option value="half">Half damage</option>
+                                    <option value="none">No damage</option>
+                                </select>
+                            </div>
+                        </div>
+                        <label><input type="checkbox" id="group-save-magical" /> Magical</label>
+                        <label><input type="checkbox" id="group-save-concentration" checked /> Roll concentration saves</label>
+                        <div class="group-save-targets">
+                            ${combatants.map(c => `
+                                <label class="group-save-target">
+                                    <input type="checkbox" value="${c.id}" />
+                                    ${this.escapeHtml(c.name)} (HP ${c.current_hp}/${c.max_hp})
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="group-save-results" id="group-save-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-group-save-modal">Done</button>
+                        <button class="btn btn-primary" data-action="roll-group-save">Roll Saves</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-group-save-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            if (e.target.dataset.action !== 'roll-group-save') return;
+            e.preventDefault();
+            
+            const value = (id) => modal.querySelector(`#${id}`).value;
+            const targetIds = [...modal.querySelectorAll('.group-save-target input:checked')]
+                .map(input => parseInt(input.value));
+            if (targetIds.length === 0) {
+                alert('Select at least one target');
+                return;
+            }
+            
+            const result = await this.groupSave({
+                target_ids: targetIds,
+                effect: value('group-save-effect') || null,
+                source_id: parseInt(value('group-save-source')) || null,
+                ability: value('group-save-ability'),
+                dc: parseInt(value('group-save-dc')),
+                damage: value('group-save-damage').trim() || null,
+                type: value('group-save-type') || null,
+                on_success: value('group-save-on-success'),
+                magical: modal.querySelector('#group-save-magical').checked,
+                roll_concentration: modal.querySelector('#group-save-concentration').checked
+            });
+            
+            if (result) {
+                modal.querySelector('#group-save-results').innerHTML = this.describeGroupSave(result);
+            }
+        });
+    }
+
+    /**
+     * Roll a group save on the server and update each target's HP
+     */
+    async groupSave(data) {
+        try {
+            const response = await api.groupSave(data);
+            if (response.success && response.data) {
+                response.data.results.forEach(result => {
+                    this.applyHitPoints(result.target);
+                    this.handleConcentration(result.target, result.concentration);
+                });
+                return response.data;
+            }
+        } catch (error) {
+            console.error('Failed to roll group save:', error);
+            alert(error.message || 'Failed to roll group save');
+        }
+        return null;
+    }
+
+    /**
+     * Summary of a group save: one line per target with its save and the damage taken
+     */
+    describeGroupSave(result) {
+        const title = `${result.effect ? `${this.escapeHtml(result.effect)}: ` : ''}DC ${result.dc} ${this.capitalizeFirst(result.ability)} save`;
+        const damage = result.damage_roll ? ` - ${this.escapeHtml(result.damage_roll.breakdown)} damage` : '';
+        
+        const rows = result.results.map(entry => {
+            const reasons = entry.modifiers.reasons.length > 0
+                ? ` (${this.escapeHtml(entry.modifiers.reasons.join(', '))})`
+                : '';
+            const taken = entry.adjustment
+                ? ` - takes ${entry.damage}${entry.adjustment.immune || entry.adjustment.resistant || entry.adjustment.vulnerable
+                    ? ` [${this.escapeHtml(entry.adjustment.explanation)}]`
+                    : ''}, ${entry.target.current_hp} HP left`
+                : '';
+            return `
+                <div class="attack-result ${entry.success ? 'miss' : 'hit'}">
+                    ${this.escapeHtml(entry.target.name)}: ${this.escapeHtml(entry.roll.breakdown)}${reasons}
+                    ${entry.success ? 'saved' : 'failed'}${taken}
+                </div>
+            `;
+        }).join('');
+        
+        return `<div class="group-save-summary">${title}${damage}</div>${rows}`;
+    }
+
+    /**
+     * Apply typed damage on the server and update the combatant's HP
+     */
+    async dealDamage(data) {
+        try {
+            const response = await api.dealDamage(data);
+            if (response.success && response.data) {
+                this.applyHitPoints(response.data.target);
+                this.handleConcentration(response.data.target, response.data.concentration);
+                return response.data;
+            }
+        } catch (error) {
+            console.error('Failed to apply damage:', error);
+            alert('Failed to apply damage');
+        }
+        return null;
+    }
+
     /**
      * Setup modal event listeners
      */
@@ -605,6 +2040,7 @@ class InitiativeTracker {
                     state.addCombatant(updatedCharacter);
                     // Also update in characters list
                     state.updateCharacter(id, { initiative: parseInt(initiative) || 0 });
+                    await this.addToEncounter(id);
                 } else {
                     console.error('No response from API when adding character');
                     alert('Failed to add character - no response from server');
@@ -632,6 +2068,7 @@ class InitiativeTracker {
                 if (response.success && response.data) {
                     const combatant = response.data.combatant;
                     state.addCombatant(combatant);
+                    await this.addToEncounter(combatant.id);
                 }
             }
         } catch (error) {
@@ -644,6 +2081,10 @@ class InitiativeTracker {
         }
     }
 
+    capitalizeFirst(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -682,8 +2123,14 @@ class InitiativeTracker {
                 }
             }
             
+            // Clearing the tracker ends the encounter; its turn history is kept
+            const encounter = state.get('encounter');
+            if (encounter) {
+                await api.endEncounter(encounter.id);
+            }
+            
             // Clear initiative tracker state
-            state.setState({ combatants: [], currentTurnIndex: 0 });
+            state.setState({ combatants: [], currentTurnIndex: 0, encounter: null });
         } catch (error) {
             console.error('Failed to clear initiative:', error);
         }
@@ -759,8 +2206,12 @@ class InitiativeTracker {
             btn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 const condition = btn.dataset.condition;
-                await this.addCondition(combatantId, condition);
                 modal.remove();
+                if (condition === 'Concentration') {
+                    await this.promptConcentration(combatantId);
+                } else {
+                    await this.addCondition(combatantId, condition);
+                }
             });
         });
         
@@ -782,6 +2233,13 @@ class InitiativeTracker {
         try {
             const response = await api.post(`/combatants/${combatantId}/conditions`, { condition });
             
+            // Becoming incapacitated ends the combatant's concentration
+            const broken = response.data?.concentration_broken;
+            if (broken) {
+                state.updateCombatant(combatantId, { concentration_spell: null });
+                this.dropConditions(broken.removed);
+            }
+            
             // Reload combatant to get condition with ID
             const combatantResponse = await api.get(`/combatants/${combatantId}/conditions`);
             
@@ -0,0 +1,9 @@
+/**
+ * Leveling Rules (client)
+ * Loads the shared leveling and encounter difficulty rules, which register
+ * themselves as window.Leveling when there is no CommonJS module system
+ */
+
+import '/shared/leveling.js';
+
+export default window.Leveling;
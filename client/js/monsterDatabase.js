@@ -6,6 +6,8 @@
 import api from './api.js';
 import state from './state.js';
 import initiativeTracker from './initiativeTracker.js';
+import encounterBuilder from './encounterBuilder.js';
+import Dice from './dice.js';
 
 class MonsterDatabase {
     constructor() {
@@ -68,22 +70,25 @@ class MonsterDatabase {
     }
 
     /**
-     * Create a combat-ready instance of a monster
-     * This creates an independent combatant with separate HP tracking
+     * Create combat-ready instances of a monster
+     * Each instance is an independent combatant with separate HP tracking
+     * @param {Object} options - { instance_name, count, hp_mode, hp, initiative, roll_initiative }
+     * @returns {Array} Created instances
      */
-    async createInstance(monsterId, instanceName, initiative = 0) {
+    async createInstances(monsterId, options = {}) {
         try {
-            const response = await api.post(`/monsters/${monsterId}/instances`, {
-                instance_name: instanceName,
-                initiative: initiative
-            });
+            const response = await api.post(`/monsters/${monsterId}/instances`, options);
             
             if (response.success && response.data) {
-                // Add the instance to initiative tracker
-                const combatant = response.data.combatant;
-                state.addCombatant(combatant);
+                const instances = Array.isArray(response.data) ? response.data : [response.data];
                 
-                return response.data;
+                // Add the instances to initiative tracker
+                for (const instance of instances) {
+                    state.addCombatant(instance.combatant);
+                    await initiativeTracker.addToEncounter(instance.combatant.id);
+                }
+                
+                return instances;
             }
         } catch (error) {
             console.error('Failed to create monster instance:', error);
@@ -91,6 +96,17 @@ class MonsterDatabase {
         }
     }
 
+    /**
+     * Create a single combat-ready instance of a monster
+     */
+    async createInstance(monsterId, instanceName, initiative = 0) {
+        const instances = await this.createInstances(monsterId, {
+            instance_name: instanceName,
+            initiative: initiative
+        });
+        return instances ? instances[0] : undefined;
+    }
+
     /**
      * Search/filter monsters by name
      */
@@ -143,6 +159,16 @@ class MonsterDatabase {
         return modifier >= 0 ? `+${modifier}` : `${modifier}`;
     }
 
+    /**
+     * Average HP suffix for plain dice formulas, e.g. " (avg 33)"
+     */
+    formatAverageHP(formula) {
+        if (!formula || !Dice.isValid(formula)) {
+            return '';
+        }
+        return ` (avg ${Math.floor(Dice.average(formula))})`;
+    }
+
     /**
      * Render monster stat block
      */
@@ -164,7 +190,7 @@ class MonsterDatabase {
                     </div>
                     <div class="stat-row">
                         <span class="stat-label">HP:</span>
-                        <span class="stat-value">${monster.hp_formula || 'N/A'}</span>
+                        <span class="stat-value">${monster.hp_formula || 'N/A'}${this.formatAverageHP(monster.hp_formula)}</span>
                     </div>
                     <div class="stat-row">
                         <span class="stat-label">Speed:</span>
@@ -234,6 +260,13 @@ class MonsterDatabase {
                     </div>
                 ` : ''}
 
+                ${monster.vulnerabilities && monster.vulnerabilities.length > 0 ? `
+                    <div class="monster-section">
+                        <span class="section-label">Vulnerabilities:</span>
+                        <span>${monster.vulnerabilities.join(', ')}</span>
+                    </div>
+                ` : ''}
+
                 ${this.renderAbilities(monster)}
                 ${this.renderAttacks(monster)}
 
@@ -346,6 +379,12 @@ class MonsterDatabase {
             if (action === 'add-monster') {
                 e.preventDefault();
                 this.showAddMonsterForm();
+            } else if (action === 'import-monsters') {
+                e.preventDefault();
+                this.showImportDialog();
+            } else if (action === 'build-encounter') {
+                e.preventDefault();
+                encounterBuilder.show();
             } else if (action === 'save-monster') {
                 e.preventDefault();
                 this.saveMonster();
@@ -397,6 +436,8 @@ class MonsterDatabase {
                             value="${this.searchFilter}"
                         />
                         <button class="btn btn-primary" data-action="add-monster">Add Monster</button>
+                        <button class="btn btn-secondary" data-action="import-monsters">Import</button>
+                        <button class="btn btn-secondary" data-action="build-encounter">Build Encounter</button>
                     </div>
                     ${this.renderMonsterList()}
                 </div>
@@ -547,27 +588,131 @@ class MonsterDatabase {
     }
 
     /**
-     * Show form to create a monster instance
+     * Show form to spawn one or more instances of a monster
      */
     async showCreateInstanceForm(monsterId) {
         const monster = this.monsters.find(m => m.id === monsterId);
         if (!monster) return;
 
-        const instanceName = prompt(`Instance name:`, monster.name);
-        if (instanceName === null) return; // User cancelled
+        const dialogHTML = `
+            <div class="modal-overlay" id="spawn-monster-modal">
+                <div class="modal-dialog modal-small">
+                    <div class="modal-header">
+                        <h3>Add to Combat</h3>
+                        <button class="modal-close" data-action="close-spawn-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="spawn-name">Name</label>
+                                <input type="text" id="spawn-name" />
+                            </div>
+                            <div class="form-group">
+                                <label for="spawn-count">Count</label>
+                                <input type="number" id="spawn-count" min="1" max="20" value="1" />
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="spawn-hp-mode">Hit Points</label>
+                                <select id="spawn-hp-mode">
+                                    <option value="average">Average${this.formatAverageHP(monster.hp_formula)}</option>
+                                    <option value="rolled">Rolled (${monster.hp_formula || 'N/A'})</option>
+                                    <option value="max">Maximum</option>
+                                    <option value="custom">Custom</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="spawn-hp">Custom HP</label>
+                                <input type="number" id="spawn-hp" min="1" disabled />
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="spawn-roll-initiative">
+                                    <input type="checkbox" id="spawn-roll-initiative" checked />
+                                    Roll initiative (d20 ${this.formatModifier(monster.stat_dex || 10)})
+                                </label>
+                            </div>
+                            <div class="form-group">
+                                <label for="spawn-initiative">Initiative</label>
+                                <input type="number" id="spawn-initiative" value="10" disabled />
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-spawn-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="spawn-monsters">Add to Combat</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        const nameInput = modal.querySelector('#spawn-name');
+        const countInput = modal.querySelector('#spawn-count');
+        const hpModeSelect = modal.querySelector('#spawn-hp-mode');
+        const hpInput = modal.querySelector('#spawn-hp');
+        const rollCheckbox = modal.querySelector('#spawn-roll-initiative');
+        const initiativeInput = modal.querySelector('#spawn-initiative');
+
+        nameInput.value = monster.name;
+        nameInput.focus();
+
+        hpModeSelect.addEventListener('change', () => {
+            hpInput.disabled = hpModeSelect.value !== 'custom';
+        });
+        rollCheckbox.addEventListener('change', () => {
+            initiativeInput.disabled = rollCheckbox.checked;
+        });
+
+        modal.addEventListener('click', async (e) => {
+            if (e.target === modal || e.target.dataset.action === 'close-spawn-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
 
-        const initiative = prompt('Initiative:', '10');
-        if (initiative === null) return; // User cancelled
+            if (e.target.dataset.action === 'spawn-monsters') {
+                e.preventDefault();
+                const instanceName = nameInput.value.trim() || monster.name;
+                const count = parseInt(countInput.value) || 1;
+                const options = {
+                    instance_name: instanceName,
+                    hp_mode: hpModeSelect.value,
+                    roll_initiative: rollCheckbox.checked
+                };
+
+                if (hpModeSelect.value === 'custom') {
+                    options.hp = parseInt(hpInput.value);
+                }
+                if (!rollCheckbox.checked) {
+                    options.initiative = parseInt(initiativeInput.value) || 0;
+                }
+                // A single instance keeps the name exactly as entered
+                if (count > 1) {
+                    options.count = count;
+                }
+
+                modal.remove();
+                await this.spawnInstances(monsterId, options, count > 1 ? `${count} × ${instanceName}` : instanceName);
+            }
+        });
+    }
 
+    /**
+     * Create instances from the spawn form and report the result
+     */
+    async spawnInstances(monsterId, options, label) {
         try {
-            await this.createInstance(
-                monsterId,
-                instanceName.trim(),
-                parseInt(initiative) || 0
-            );
+            await this.createInstances(monsterId, options);
 
             // Show success message
-            this.showSuccess(`${instanceName} added to combat!`);
+            this.showSuccess(`${label} added to combat!`);
             
             // Go back to list
             this.clearSelection();
@@ -577,6 +722,146 @@ class MonsterDatabase {
         }
     }
 
+    /**
+     * Show the import dialog: stat blocks pasted as text, or JSON files from
+     * the 5e SRD, Improved Initiative or Foundry VTT, previewed before importing
+     */
+    showImportDialog() {
+        const dialogHTML = `
+            <div class="modal-overlay" id="import-monsters-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Import Monsters</h3>
+                        <button class="modal-close" data-action="close-import-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label for="import-content">Stat blocks or JSON</label>
+                            <textarea id="import-content" rows="10" placeholder="Paste a stat block (separate several with a line of ---) or monster JSON"></textarea>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="import-files">Files</label>
+                                <input type="file" id="import-files" multiple accept=".json,.txt,.md,.db" />
+                            </div>
+                            <div class="form-group">
+                                <label for="import-format">Format</label>
+                                <select id="import-format">
+                                    <option value="">Detect</option>
+                                    <option value="text">Stat block text</option>
+                                    <option value="srd">5e SRD JSON</option>
+                                    <option value="improved_initiative">Improved Initiative</option>
+                                    <option value="foundry">Foundry VTT</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="import-results" id="import-results"></div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-import-modal">Close</button>
+                        <button class="btn btn-secondary" data-action="preview-import">Preview</button>
+                        <button class="btn btn-primary" data-action="run-import">Import</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        const contentInput = modal.querySelector('#import-content');
+        const filesInput = modal.querySelector('#import-files');
+        const formatSelect = modal.querySelector('#import-format');
+        const results = modal.querySelector('#import-results');
+        contentInput.focus();
+        
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-import-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            if (action !== 'preview-import' && action !== 'run-import') return;
+            e.preventDefault();
+            
+            // Each file is imported on its own so one bad file does not hide the others
+            const sources = [...filesInput.files].map(file => ({ label: file.name, read: () => file.text() }));
+            if (contentInput.value.trim()) {
+                sources.unshift({ label: 'Pasted text', read: async () => contentInput.value });
+            }
+            if (sources.length === 0) {
+                results.innerHTML = '<p class="import-failed">Paste a stat block or choose a file</p>';
+                return;
+            }
+            
+            const dryRun = action === 'preview-import';
+            results.innerHTML = '';
+            for (const source of sources) {
+                const result = await this.importMonsters(await source.read(), {
+                    format: formatSelect.value || undefined,
+                    dry_run: dryRun
+                });
+                results.insertAdjacentHTML('beforeend', this.describeImport(source.label, result, dryRun));
+            }
+            if (!dryRun) {
+                await this.loadMonsters();
+                contentInput.value = '';
+                filesInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * Send monsters to the import endpoint
+     * @returns {Object} { imported, failed }, or { error } if the request failed
+     */
+    async importMonsters(content, options) {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.importMonsters(campaignId, content, options);
+            return response.data;
+        } catch (error) {
+            console.error('Failed to import monsters:', error);
+            return { error: error.message || 'Import failed' };
+        }
+    }
+
+    /**
+     * Summary of an import: the monsters read, what could not be mapped and what failed
+     */
+    describeImport(label, result, dryRun) {
+        if (result.error) {
+            return `<div class="import-source"><h4>${this.escapeHtml(label)}</h4><p class="import-failed">${this.escapeHtml(result.error)}</p></div>`;
+        }
+        
+        return `
+            <div class="import-source">
+                <h4>${this.escapeHtml(label)}: ${result.imported.length} ${dryRun ? 'ready to import' : 'imported'}${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}</h4>
+                ${result.imported.map(({ monster, unmapped }) => `
+                    <div class="import-monster">
+                        <strong>${this.escapeHtml(monster.name)}</strong>
+                        AC ${monster.ac}, HP ${this.escapeHtml(monster.hp_formula || 'N/A')}, CR ${this.escapeHtml(monster.cr || '0')},
+                        ${(monster.attacks || []).length} attacks, ${(monster.abilities || []).length} abilities
+                        ${unmapped.length > 0 ? `<div class="import-unmapped">Not imported: ${unmapped.map(field => this.escapeHtml(field)).join('; ')}</div>` : ''}
+                    </div>
+                `).join('')}
+                ${result.failed.map(({ index, name, error }) => `
+                    <div class="import-failed">${this.escapeHtml(name || `Monster ${index + 1}`)}: ${this.escapeHtml(error)}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     showSuccess(message) {
         const successDiv = document.createElement('div');
         successDiv.className = 'success-message';
@@ -407,6 +407,22 @@ class NPCPanel {
                         </div>
                     </div>
                     
+                    <h4>Damage Defenses</h4>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="npc-resistances">Resistances</label>
+                            <input type="text" id="npc-resistances" placeholder="fire, poison" value="${this.escapeHtml((npc.resistances || []).join(', '))}" />
+                        </div>
+                        <div class="form-group">
+                            <label for="npc-immunities">Immunities</label>
+                            <input type="text" id="npc-immunities" value="${this.escapeHtml((npc.immunities || []).join(', '))}" />
+                        </div>
+                        <div class="form-group">
+                            <label for="npc-vulnerabilities">Vulnerabilities</label>
+                            <input type="text" id="npc-vulnerabilities" value="${this.escapeHtml((npc.vulnerabilities || []).join(', '))}" />
+                        </div>
+                    </div>
+                    
                     <div class="form-group">
                         <label for="npc-notes">Notes</label>
                         <textarea id="npc-notes" rows="3">${this.escapeHtml(npc.notes || '')}</textarea>
@@ -445,6 +461,13 @@ class NPCPanel {
                 notes: document.getElementById('npc-notes').value
             };
             
+            // Damage defenses are only on the edit form (comma-separated damage types)
+            if (isEdit) {
+                npcData.resistances = document.getElementById('npc-resistances').value;
+                npcData.immunities = document.getElementById('npc-immunities').value;
+                npcData.vulnerabilities = document.getElementById('npc-vulnerabilities').value;
+            }
+            
             let npc;
             if (isEdit) {
                 npc = await api.updateNPC(npcId, npcData);
@@ -10,6 +10,10 @@ class SiegeMechanics {
     constructor() {
         this.container = document.getElementById('siege-content');
         this.siegeState = null;
+        this.history = [];
+        this.alerts = [];
+        this.metricDefinitions = [];
+        this.forceSummary = null;
         this.init();
     }
 
@@ -30,12 +34,41 @@ class SiegeMechanics {
     }
 
     /**
-     * Load siege state from the server
+     * Load siege state, its history, the custom metric definitions, the
+     * alerts of fired triggers and the forces at each location from the server
      */
     async loadSiegeState() {
         try {
             const campaignId = state.get('currentCampaignId');
-            const response = await api.get(`/siege?campaign_id=${campaignId}`);
+            const [response, history, definitions, alerts, forces] = await Promise.all([
+                api.get(`/siege?campaign_id=${campaignId}`),
+                api.getSiegeHistory(campaignId),
+                api.getSiegeMetricDefinitions(campaignId),
+                api.getSiegeAlerts(campaignId),
+                api.getForceSummary(campaignId)
+            ]);
+            
+            if (forces.success) {
+                this.forceSummary = forces.data;
+            }
+            
+            if (history.success) {
+                this.history = history.data;
+            }
+            
+            if (definitions.success) {
+                this.metricDefinitions = definitions.data;
+            }
+            
+            if (alerts.success) {
+                const seen = new Set(this.alerts.map(alert => alert.id));
+                const movedMap = alerts.data.some(alert => !seen.has(alert.id)
+                    && alert.results.some(result => result.done && result.location_id));
+                this.alerts = alerts.data;
+                if (movedMap) {
+                    await this.refreshLocations(campaignId);
+                }
+            }
             
             if (response.success && response.data) {
                 this.siegeState = response.data;
@@ -52,14 +85,19 @@ class SiegeMechanics {
     async updateSiegeValue(key, value) {
         try {
             const campaignId = state.get('currentCampaignId');
+            const reasonInput = document.getElementById('siege-change-reason');
             const updates = {
                 campaign_id: campaignId,
-                [key]: value
+                [key]: value,
+                reason: reasonInput ? reasonInput.value.trim() || null : null
             };
             
             const response = await api.put('/siege', updates);
             
             if (response.success && response.data) {
+                if (reasonInput) {
+                    reasonInput.value = '';
+                }
                 await this.loadSiegeState(); // Reload to get updated state
             }
         } catch (error) {
@@ -127,7 +165,7 @@ class SiegeMechanics {
             }
         } catch (error) {
             console.error('Failed to add custom metric:', error);
-            alert('Failed to add custom metric');
+            alert(`Failed to set ${metricName}: ${error.message}`);
         }
     }
 
@@ -147,6 +185,78 @@ class SiegeMechanics {
         }
     }
 
+    /**
+     * Rewind the live siege state to a history snapshot
+     */
+    async rewindTo(historyId) {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.rewindSiege(historyId, { campaign_id: campaignId });
+            
+            if (response.success) {
+                await this.loadSiegeState();
+            }
+        } catch (error) {
+            console.error('Failed to rewind siege:', error);
+            alert(`Failed to rewind siege: ${error.message}`);
+        }
+    }
+
+    /**
+     * Advance the siege a day with the campaign's daily rules
+     */
+    async advanceDay() {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            const response = await api.advanceSiegeDay({ campaign_id: campaignId });
+            
+            if (response.success) {
+                await this.loadSiegeState();
+            }
+        } catch (error) {
+            console.error('Failed to advance the siege:', error);
+            alert(`Failed to advance the siege: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload the city map's locations after fired triggers changed them
+     */
+    async refreshLocations(campaignId) {
+        ['/locations', '/plotpoints'].forEach(endpoint => api.invalidateCache(endpoint));
+        const response = await api.getLocations(campaignId);
+        if (response.success) {
+            state.setState({ locations: response.data });
+        }
+    }
+
+    /**
+     * Dismiss the alert of a fired trigger
+     */
+    async dismissAlert(logId) {
+        try {
+            await api.acknowledgeSiegeAlert(logId);
+            this.alerts = this.alerts.filter(alert => String(alert.id) !== String(logId));
+            this.render();
+        } catch (error) {
+            console.error('Failed to dismiss alert:', error);
+        }
+    }
+
+    /**
+     * Dismiss the alerts of every fired trigger
+     */
+    async dismissAllAlerts() {
+        try {
+            const campaignId = state.get('currentCampaignId');
+            await api.acknowledgeAllSiegeAlerts(campaignId);
+            this.alerts = [];
+            this.render();
+        } catch (error) {
+            console.error('Failed to dismiss alerts:', error);
+        }
+    }
+
     /**
      * Format timestamp for display
      */
@@ -166,6 +276,11 @@ class SiegeMechanics {
         const customMetrics = typeof this.siegeState.custom_metrics === 'string'
             ? JSON.parse(this.siegeState.custom_metrics)
             : this.siegeState.custom_metrics || {};
+        // Defined metrics first, in the order they were defined
+        const metricNames = [...new Set([
+            ...this.metricDefinitions.map(definition => definition.name),
+            ...Object.keys(customMetrics)
+        ])];
 
         return `
             <div class="siege-status">
@@ -240,21 +355,333 @@ class SiegeMechanics {
                     </div>
                 </div>
 
-                ${Object.keys(customMetrics).length > 0 ? `
+                ${metricNames.length > 0 ? `
                     <div class="custom-metrics">
                         <h4>Custom Metrics</h4>
-                        ${Object.entries(customMetrics).map(([name, value]) => `
-                            <div class="custom-metric-item">
-                                <span class="metric-name">${name}:</span>
-                                <span class="metric-value">${value}</span>
-                                <button class="btn-icon" data-action="remove-metric" data-name="${name}" title="Remove">×</button>
-                            </div>
-                        `).join('')}
+                        ${metricNames.map(name => this.renderCustomMetric(name, customMetrics[name])).join('')}
                     </div>
                 ` : ''}
 
+                <div class="siege-reason">
+                    <label for="siege-change-reason">Reason for next change (optional)</label>
+                    <input type="text" id="siege-change-reason" placeholder="e.g. Catapult strike on the eastern wall" />
+                </div>
+
                 <div class="siege-actions">
+                    <button class="btn btn-primary" data-action="advance-day">Advance Day</button>
+                    <button class="btn btn-secondary" data-action="edit-rules">Daily Rules</button>
+                    <button class="btn btn-secondary" data-action="edit-triggers">Triggers</button>
                     <button class="btn btn-secondary" data-action="add-custom-metric">Add Custom Metric</button>
+                    <button class="btn btn-secondary" data-action="define-metric" data-name="">Define Metric</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the definition of a custom metric, if it has one
+     */
+    getMetricDefinition(name) {
+        return this.metricDefinitions.find(definition => definition.name === name) || null;
+    }
+
+    /**
+     * Get the value a defined metric starts at (as the server sets it)
+     */
+    getMetricDefault(definition) {
+        if (definition.default_value !== null) return definition.default_value;
+        if (definition.type === 'boolean') return false;
+        if (definition.type === 'enum') return definition.options[0];
+        return definition.min_value !== null ? definition.min_value : 0;
+    }
+
+    /**
+     * Get the color of a defined metric's value: that of the highest color
+     * threshold the value is at or above
+     */
+    getMetricColor(definition, value) {
+        const matching = definition.color_thresholds.filter(threshold => value >= threshold.at);
+        return matching.length > 0 ? matching[matching.length - 1].color : null;
+    }
+
+    /**
+     * Render one custom metric by its definition's type: a bar for
+     * percentages, a stepper for counters, a number field, a toggle or a pick
+     * list; metrics without a definition show their value as it is
+     */
+    renderCustomMetric(name, value) {
+        const definition = this.getMetricDefinition(name);
+        const safeName = this.escapeHtml(name);
+        const buttons = `
+            <button class="btn-icon" data-action="define-metric" data-name="${safeName}" title="${definition ? 'Edit definition' : 'Define'}">⚙</button>
+            <button class="btn-icon" data-action="remove-metric" data-name="${safeName}" title="Remove">×</button>
+        `;
+
+        if (!definition) {
+            return `
+                <div class="custom-metric-item">
+                    <span class="metric-name">${safeName}:</span>
+                    <span class="metric-value">${this.escapeHtml(String(value))}</span>
+                    ${buttons}
+                </div>
+            `;
+        }
+
+        if (value === undefined) {
+            value = this.getMetricDefault(definition);
+        }
+        const color = this.getMetricColor(definition, value);
+        const colorStyle = color ? `style="color: ${color}"` : '';
+        const unit = definition.unit ? ` ${this.escapeHtml(definition.unit)}` : '';
+        const min = definition.min_value !== null ? definition.min_value : (definition.type === 'number' ? '' : 0);
+        const max = definition.max_value !== null ? definition.max_value : (definition.type === 'percentage' ? 100 : '');
+        let control;
+
+        if (definition.type === 'percentage') {
+            control = `
+                <div class="metric-control">
+                    <input type="range" min="${min}" max="${max}" value="${value}" data-custom-metric="${safeName}" class="custom-metric-slider" />
+                    <span class="metric-value" ${colorStyle}>${value}%</span>
+                </div>
+                <div class="metric-bar">
+                    <div class="metric-fill" style="width: ${value}%${color ? `; background-color: ${color}` : ''}"></div>
+                </div>
+            `;
+        } else if (definition.type === 'counter') {
+            control = `
+                <div class="metric-stepper">
+                    <button class="btn btn-secondary btn-sm" data-action="step-metric" data-name="${safeName}" data-step="-1" ${min !== '' && value <= min ? 'disabled' : ''}>−</button>
+                    <span class="metric-value" ${colorStyle}>${value}${unit}</span>
+                    <button class="btn btn-secondary btn-sm" data-action="step-metric" data-name="${safeName}" data-step="1" ${max !== '' && value >= max ? 'disabled' : ''}>+</button>
+                </div>
+            `;
+        } else if (definition.type === 'number') {
+            control = `
+                <div class="metric-control">
+                    <input type="number" min="${min}" max="${max}" value="${value}" data-custom-metric="${safeName}" class="custom-metric-input" ${colorStyle} />
+                    ${unit ? `<span>${unit}</span>` : ''}
+                </div>
+            `;
+        } else if (definition.type === 'boolean') {
+            control = `
+                <button class="btn btn-sm ${value ? 'btn-primary' : 'btn-secondary'}" data-action="toggle-metric" data-name="${safeName}" data-value="${value}">${value ? 'Yes' : 'No'}</button>
+            `;
+        } else {
+            control = `
+                <select data-custom-metric="${safeName}" class="custom-metric-select">
+                    ${definition.options.map(option => `
+                        <option value="${this.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+
+        return `
+            <div class="metric-item typed-metric">
+                <div class="typed-metric-header">
+                    <label ${definition.description ? `title="${this.escapeHtml(definition.description)}"` : ''}>${safeName}</label>
+                    ${buttons}
+                </div>
+                ${control}
+                ${definition.description ? `<div class="metric-description">${this.escapeHtml(definition.description)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Describe what one action of a fired trigger did
+     */
+    describeTriggerResult(result) {
+        if (!result.done) {
+            return 'Skipped an action: its location no longer exists';
+        }
+        if (result.type === 'set_location_status') {
+            return `${result.location_name} is now ${result.status}`;
+        }
+        if (result.type === 'add_plot_point') {
+            return `Plot point "${result.name}" added at ${result.location_name}`;
+        }
+        return 'Note added';
+    }
+
+    /**
+     * Render a banner for each trigger that fired and has not been dismissed
+     */
+    renderAlerts() {
+        if (this.alerts.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="siege-alerts">
+                ${this.alerts.map(alert => `
+                    <div class="siege-alert" role="alert">
+                        <div class="siege-alert-text">
+                            <strong>Day ${alert.day_of_siege}: ${this.escapeHtml(alert.message)}</strong>
+                            ${alert.results.length > 0 ? `
+                                <ul>
+                                    ${alert.results.map(result => `<li>${this.escapeHtml(this.describeTriggerResult(result))}</li>`).join('')}
+                                </ul>
+                            ` : ''}
+                        </div>
+                        <button class="btn-icon" data-action="dismiss-alert" data-id="${alert.id}" title="Dismiss">×</button>
+                    </div>
+                `).join('')}
+                ${this.alerts.length > 1 ? `
+                    <button class="btn btn-secondary btn-sm" data-action="dismiss-all-alerts">Dismiss All</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Get one point per day of the siege for the timeline, from the last
+     * snapshot recorded on that day
+     */
+    getTimelinePoints() {
+        const byDay = new Map();
+        this.history.forEach(snapshot => byDay.set(snapshot.day_of_siege, snapshot));
+        return [...byDay.values()].sort((a, b) => a.day_of_siege - b.day_of_siege);
+    }
+
+    /**
+     * Render the timeline chart of each metric over the days of the siege
+     */
+    renderTimeline() {
+        const points = this.getTimelinePoints();
+        if (points.length === 0) {
+            return '';
+        }
+
+        const width = 600;
+        const height = 200;
+        const pad = { top: 10, right: 10, bottom: 25, left: 35 };
+        const firstDay = points[0].day_of_siege;
+        const lastDay = points[points.length - 1].day_of_siege;
+        const x = day => lastDay === firstDay
+            ? (pad.left + width - pad.right) / 2
+            : pad.left + (day - firstDay) / (lastDay - firstDay) * (width - pad.left - pad.right);
+        const y = value => pad.top + (100 - value) / 100 * (height - pad.top - pad.bottom);
+        const labelEvery = Math.ceil(points.length / 12);
+
+        const metrics = [
+            { key: 'wall_integrity', label: 'Wall Integrity' },
+            { key: 'defender_morale', label: 'Defender Morale' },
+            { key: 'supplies', label: 'Supplies' }
+        ];
+
+        return `
+            <div class="siege-timeline">
+                <h3>Siege Timeline</h3>
+                <svg class="timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Siege metrics by day">
+                    ${[0, 50, 100].map(value => `
+                        <line class="timeline-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" />
+                        <text class="timeline-axis" x="${pad.left - 5}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+                    `).join('')}
+                    ${points.map((point, i) => i % labelEvery === 0 ? `
+                        <text class="timeline-axis" x="${x(point.day_of_siege)}" y="${height - 8}" text-anchor="middle">${point.day_of_siege}</text>
+                    ` : '').join('')}
+                    ${metrics.map(metric => `
+                        <polyline class="timeline-line ${metric.key}" points="${points.map(point => `${x(point.day_of_siege)},${y(point[metric.key])}`).join(' ')}" />
+                        ${points.map(point => `
+                            <circle class="timeline-point ${metric.key}" cx="${x(point.day_of_siege)}" cy="${y(point[metric.key])}" r="3">
+                                <title>Day ${point.day_of_siege} - ${metric.label}: ${point[metric.key]}%</title>
+                            </circle>
+                        `).join('')}
+                    `).join('')}
+                </svg>
+                <div class="timeline-legend">
+                    ${metrics.map(metric => `<span class="timeline-key ${metric.key}">${metric.label}</span>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the defenders and enemies at each location of the city
+     */
+    renderForces() {
+        if (!this.forceSummary) {
+            return '';
+        }
+
+        const { locations, totals } = this.forceSummary;
+        const count = (soldiers, units, strength) => units === 0
+            ? '<span class="forces-none">—</span>'
+            : `${soldiers.toLocaleString()} <span class="forces-meta">(${units} ${units === 1 ? 'unit' : 'units'}, strength ${strength.toLocaleString()})</span>`;
+        const rows = locations.filter(row => row.location_id !== null || row.defender_units + row.enemy_units > 0);
+
+        return `
+            <div class="siege-forces">
+                <div class="siege-forces-header">
+                    <h3>Forces</h3>
+                    <button class="btn btn-secondary btn-sm" data-action="manage-forces">Manage Forces</button>
+                </div>
+                ${totals.defender_units + totals.enemy_units === 0 ? `
+                    <p class="no-notes">No forces yet</p>
+                ` : `
+                    <table class="forces-table">
+                        <thead>
+                            <tr><th>Location</th><th>Defenders</th><th>Enemies</th></tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr class="${row.defender_units === 0 && row.enemy_units > 0 ? 'undefended' : ''}">
+                                    <td>${this.escapeHtml(row.location_name)}${row.status ? ` <span class="forces-meta">${row.status}</span>` : ''}</td>
+                                    <td>${count(row.defenders, row.defender_units, row.defender_strength)}</td>
+                                    <td>${count(row.enemies, row.enemy_units, row.enemy_strength)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>Total</td>
+                                <td>${count(totals.defenders, totals.defender_units, totals.defender_strength)}</td>
+                                <td>${count(totals.enemies, totals.enemy_units, totals.enemy_strength)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the siege history, newest snapshot first, with rewind buttons
+     */
+    renderHistory() {
+        if (this.history.length === 0) {
+            return '';
+        }
+
+        const labels = {
+            start: 'Started',
+            update: 'Updated',
+            advance_day: 'Day advanced',
+            reset: 'Reset',
+            rewind: 'Rewound'
+        };
+        const latestId = this.history[this.history.length - 1].id;
+
+        return `
+            <div class="siege-history">
+                <h3>Siege History</h3>
+                <div class="history-list">
+                    ${[...this.history].reverse().map(snapshot => `
+                        <div class="history-item">
+                            <div class="history-header">
+                                <span class="history-type">Day ${snapshot.day_of_siege} - ${labels[snapshot.change_type] || snapshot.change_type}</span>
+                                <span class="note-timestamp">${this.formatTimestamp(snapshot.created_at)}</span>
+                            </div>
+                            ${snapshot.reason ? `<div class="history-reason">${this.escapeHtml(snapshot.reason)}</div>` : ''}
+                            <div class="history-values">
+                                Wall ${snapshot.wall_integrity}% · Morale ${snapshot.defender_morale}% · Supplies ${snapshot.supplies}%
+                                ${snapshot.id !== latestId ? `
+                                    <button class="btn btn-secondary btn-sm" data-action="rewind" data-id="${snapshot.id}" data-day="${snapshot.day_of_siege}">Rewind</button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -304,7 +731,11 @@ class SiegeMechanics {
     render() {
         this.container.innerHTML = `
             <div class="high-contrast-module siege-mechanics">
+                ${this.renderAlerts()}
                 ${this.renderSiegeStatus()}
+                ${this.renderForces()}
+                ${this.renderTimeline()}
+                ${this.renderHistory()}
                 ${this.renderSiegeNotes()}
             </div>
         `;
@@ -344,6 +775,24 @@ class SiegeMechanics {
             });
         });
 
+        // Typed custom metrics
+        this.container.querySelectorAll('.custom-metric-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => {
+                const valueSpan = e.target.parentElement.querySelector('.metric-value');
+                if (valueSpan) {
+                    valueSpan.textContent = `${e.target.value}%`;
+                }
+            });
+        });
+
+        this.container.querySelectorAll('.custom-metric-slider, .custom-metric-input, .custom-metric-select').forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.value !== '') {
+                    this.addCustomMetric(e.target.dataset.customMetric, e.target.value);
+                }
+            });
+        });
+
         // Day of siege input
         const dayInput = this.container.querySelector('input[data-metric="day_of_siege"]');
         if (dayInput) {
@@ -393,11 +842,39 @@ class SiegeMechanics {
                 }
             } else if (action === 'add-custom-metric') {
                 this.showAddCustomMetricDialog();
+            } else if (action === 'define-metric') {
+                this.showMetricDefinitionDialog(e.target.dataset.name);
+            } else if (action === 'step-metric') {
+                const name = e.target.dataset.name;
+                const definition = this.getMetricDefinition(name);
+                const current = this.siegeState.custom_metrics?.[name] ?? this.getMetricDefault(definition);
+                e.target.disabled = true;
+                await this.addCustomMetric(name, current + parseInt(e.target.dataset.step));
+            } else if (action === 'toggle-metric') {
+                await this.addCustomMetric(e.target.dataset.name, e.target.dataset.value !== 'true');
             } else if (action === 'remove-metric') {
                 const metricName = e.target.dataset.name;
                 if (confirm(`Remove custom metric "${metricName}"?`)) {
                     await this.removeCustomMetric(metricName);
                 }
+            } else if (action === 'advance-day') {
+                e.target.disabled = true;
+                await this.advanceDay();
+                e.target.disabled = false;
+            } else if (action === 'edit-rules') {
+                await this.showRulesDialog();
+            } else if (action === 'edit-triggers') {
+                await this.showTriggersDialog();
+            } else if (action === 'manage-forces') {
+                await this.showForcesDialog();
+            } else if (action === 'dismiss-alert') {
+                await this.dismissAlert(e.target.dataset.id);
+            } else if (action === 'dismiss-all-alerts') {
+                await this.dismissAllAlerts();
+            } else if (action === 'rewind') {
+                if (confirm(`Rewind the siege to this day ${e.target.dataset.day} snapshot?`)) {
+                    await this.rewindTo(e.target.dataset.id);
+                }
             }
         });
     }
@@ -414,6 +891,713 @@ class SiegeMechanics {
 
         this.addCustomMetric(metricName.trim(), metricValue);
     }
+
+    /**
+     * Show dialog to define a custom metric, or change its definition
+     * @param {string} name - The metric to define ('' for a new metric)
+     */
+    showMetricDefinitionDialog(name) {
+        const campaignId = state.get('currentCampaignId');
+        const definition = this.getMetricDefinition(name);
+        const field = (key, fallback = '') => {
+            const value = definition ? definition[key] : null;
+            return value === null || value === undefined ? fallback : this.escapeHtml(String(value));
+        };
+        const types = {
+            number: 'Number',
+            percentage: 'Percentage (bar)',
+            counter: 'Counter (stepper)',
+            boolean: 'Yes / No',
+            enum: 'Pick list'
+        };
+
+        const dialogHTML = `
+            <div class="modal-overlay" id="siege-metric-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>${definition ? 'Edit Metric Definition' : 'Define Custom Metric'}</h3>
+                        <button class="modal-close" data-action="close-metric-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="metric-name">Name</label>
+                                <input type="text" id="metric-name" value="${this.escapeHtml(name)}" ${definition ? 'disabled' : ''} />
+                            </div>
+                            <div class="form-group">
+                                <label for="metric-type">Type</label>
+                                <select id="metric-type">
+                                    ${Object.entries(types).map(([type, label]) => `
+                                        <option value="${type}" ${definition?.type === type ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="metric-min">Minimum</label>
+                                <input type="number" id="metric-min" value="${field('min_value')}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="metric-max">Maximum</label>
+                                <input type="number" id="metric-max" value="${field('max_value')}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="metric-default">Default</label>
+                                <input type="text" id="metric-default" value="${field('default_value')}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="metric-unit">Unit</label>
+                                <input type="text" id="metric-unit" value="${field('unit')}" placeholder="e.g. ships" />
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="metric-options">Pick list options (comma separated)</label>
+                            <input type="text" id="metric-options" value="${this.escapeHtml((definition?.options || []).join(', '))}" placeholder="e.g. Open, Closed, Burning" />
+                        </div>
+                        <div class="form-group">
+                            <label for="metric-colors">Color thresholds</label>
+                            <textarea id="metric-colors" class="rules-json" rows="4" placeholder='[{ "at": 0, "color": "#f55a4e" }, { "at": 50, "color": "#5cb85c" }]'>${definition && definition.color_thresholds.length > 0 ? this.escapeHtml(JSON.stringify(definition.color_thresholds)) : ''}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="metric-description">Description</label>
+                            <input type="text" id="metric-description" value="${field('description')}" />
+                        </div>
+                        <p class="rules-error" id="metric-error"></p>
+                    </div>
+                    <div class="modal-footer">
+                        ${definition ? '<button class="btn btn-secondary" data-action="delete-definition">Make Untyped</button>' : ''}
+                        <button class="btn btn-secondary" data-action="close-metric-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="save-definition">Save</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        const errorText = modal.querySelector('#metric-error');
+        const value = id => modal.querySelector(`#${id}`).value.trim();
+
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-metric-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+
+            try {
+                if (action === 'delete-definition') {
+                    e.preventDefault();
+                    if (!confirm(`Remove the definition of "${name}"? Its value is kept.`)) return;
+                    await api.deleteSiegeMetricDefinition(definition.id);
+                    modal.remove();
+                    await this.loadSiegeState();
+                } else if (action === 'save-definition') {
+                    e.preventDefault();
+                    let colorThresholds = [];
+                    try {
+                        colorThresholds = value('metric-colors') ? JSON.parse(value('metric-colors')) : [];
+                    } catch (error) {
+                        errorText.textContent = `The color thresholds must be valid JSON: ${error.message}`;
+                        return;
+                    }
+
+                    const data = {
+                        campaign_id: campaignId,
+                        type: value('metric-type'),
+                        min_value: value('metric-min') === '' ? null : parseFloat(value('metric-min')),
+                        max_value: value('metric-max') === '' ? null : parseFloat(value('metric-max')),
+                        default_value: value('metric-default') === '' ? null : value('metric-default'),
+                        unit: value('metric-unit'),
+                        options: value('metric-options') ? value('metric-options').split(',').map(option => option.trim()).filter(Boolean) : [],
+                        color_thresholds: colorThresholds,
+                        description: value('metric-description')
+                    };
+
+                    if (definition) {
+                        await api.updateSiegeMetricDefinition(definition.id, data);
+                    } else {
+                        await api.createSiegeMetricDefinition({ ...data, name: value('metric-name') });
+                    }
+                    modal.remove();
+                    await this.loadSiegeState();
+                }
+            } catch (error) {
+                console.error('Failed to save metric definition:', error);
+                errorText.textContent = `Failed to save the definition: ${error.message}`;
+            }
+        });
+    }
+
+    /**
+     * Show dialog to edit the daily siege rules
+     * Morale rules and the event table are edited as JSON so any scenario's
+     * rules can be pasted in.
+     */
+    async showRulesDialog() {
+        const campaignId = state.get('currentCampaignId');
+        let rules;
+        try {
+            const response = await api.getSiegeRules(campaignId);
+            rules = response.data;
+        } catch (error) {
+            console.error('Failed to load siege rules:', error);
+            alert('Failed to load siege rules');
+            return;
+        }
+
+        const dialogHTML = `
+            <div class="modal-overlay" id="siege-rules-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Daily Siege Rules${rules.is_default ? ' (defaults)' : ''}</h3>
+                        <button class="modal-close" data-action="close-rules-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="rules-defenders">Defenders</label>
+                                <input type="number" id="rules-defenders" min="0" value="${rules.defenders}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="rules-supplies">Supplies per 1000 defenders a day (%)</label>
+                                <input type="number" id="rules-supplies" min="0" max="100" step="0.1" value="${rules.supplies_per_1000}" />
+                            </div>
+                            <div class="form-group">
+                                <label for="rules-event-chance">Event chance a day (%)</label>
+                                <input type="number" id="rules-event-chance" min="0" max="100" value="${Math.round(rules.event_chance * 100)}" />
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="rules-morale">Morale rules</label>
+                            <textarea id="rules-morale" class="rules-json" rows="8">${this.escapeHtml(JSON.stringify(rules.morale_rules, null, 2))}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="rules-events">Event table</label>
+                            <textarea id="rules-events" class="rules-json" rows="10">${this.escapeHtml(JSON.stringify(rules.events, null, 2))}</textarea>
+                        </div>
+                        <p class="rules-error" id="rules-error"></p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="reset-rules">Restore Defaults</button>
+                        <button class="btn btn-secondary" data-action="close-rules-modal">Cancel</button>
+                        <button class="btn btn-primary" data-action="save-rules">Save</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+        
+        const errorText = modal.querySelector('#rules-error');
+        
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-rules-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+            
+            try {
+                if (action === 'reset-rules') {
+                    e.preventDefault();
+                    if (!confirm('Replace these rules with the Siege of Neverwinter defaults?')) return;
+                    await api.resetSiegeRules(campaignId);
+                    modal.remove();
+                } else if (action === 'save-rules') {
+                    e.preventDefault();
+                    let moraleRules;
+                    let events;
+                    try {
+                        moraleRules = JSON.parse(modal.querySelector('#rules-morale').value);
+                        events = JSON.parse(modal.querySelector('#rules-events').value);
+                    } catch (error) {
+                        errorText.textContent = `The morale rules and event table must be valid JSON: ${error.message}`;
+                        return;
+                    }
+                    
+                    await api.updateSiegeRules({
+                        campaign_id: campaignId,
+                        defenders: parseInt(modal.querySelector('#rules-defenders').value),
+                        supplies_per_1000: parseFloat(modal.querySelector('#rules-supplies').value),
+                        event_chance: parseFloat(modal.querySelector('#rules-event-chance').value) / 100,
+                        morale_rules: moraleRules,
+                        events
+                    });
+                    modal.remove();
+                }
+            } catch (error) {
+                console.error('Failed to save siege rules:', error);
+                errorText.textContent = `Failed to save the rules: ${error.message}`;
+            }
+        });
+    }
+
+    /**
+     * Describe a trigger's condition and actions for the trigger list
+     */
+    describeTrigger(trigger, locations) {
+        const labels = {
+            wall_integrity: 'Wall Integrity',
+            defender_morale: 'Defender Morale',
+            supplies: 'Supplies',
+            day_of_siege: 'Day of Siege'
+        };
+        const locationName = id => (locations.find(location => location.id === id) || { name: 'a deleted location' }).name;
+        const actions = trigger.actions.map(action => {
+            if (action.type === 'set_location_status') {
+                return `set ${locationName(action.location_id)} to ${action.status}`;
+            }
+            if (action.type === 'add_plot_point') {
+                return `add plot point "${action.name}" at ${locationName(action.location_id)}`;
+            }
+            return 'add a note';
+        });
+
+        return `When ${labels[trigger.metric] || trigger.metric} ${trigger.operator} ${trigger.threshold}`
+            + (actions.length > 0 ? `: ${actions.join(', ')}` : '');
+    }
+
+    /**
+     * Render the list of triggers in the trigger dialog
+     */
+    renderTriggerList(triggers, locations) {
+        if (triggers.length === 0) {
+            return '<p class="no-notes">No triggers yet</p>';
+        }
+
+        return triggers.map(trigger => `
+            <div class="trigger-item ${trigger.enabled ? '' : 'disabled'}">
+                <div class="trigger-text">
+                    <strong>${this.escapeHtml(trigger.name)}</strong>
+                    <span>${this.escapeHtml(this.describeTrigger(trigger, locations))}</span>
+                    <span class="trigger-meta">${trigger.repeatable ? 'Every time' : 'Once'}${trigger.last_fired_at ? ` · Last fired ${this.formatTimestamp(trigger.last_fired_at)}` : ''}</span>
+                </div>
+                <button class="btn btn-secondary btn-sm" data-action="toggle-trigger" data-id="${trigger.id}" data-enabled="${trigger.enabled}">${trigger.enabled ? 'Disable' : 'Enable'}</button>
+                <button class="btn-icon" data-action="delete-trigger" data-id="${trigger.id}" title="Delete">×</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show dialog to manage the siege triggers
+     * A new trigger can take one action of each kind; leaving an action's
+     * location or text empty leaves that action out.
+     */
+    async showTriggersDialog() {
+        const campaignId = state.get('currentCampaignId');
+        let triggers;
+        let locations;
+        try {
+            const [triggerResponse, locationResponse] = await Promise.all([
+                api.getSiegeTriggers(campaignId),
+                api.getLocations(campaignId)
+            ]);
+            triggers = triggerResponse.data;
+            locations = locationResponse.data;
+        } catch (error) {
+            console.error('Failed to load siege triggers:', error);
+            alert('Failed to load siege triggers');
+            return;
+        }
+
+        const customMetrics = typeof this.siegeState?.custom_metrics === 'string'
+            ? JSON.parse(this.siegeState.custom_metrics)
+            : this.siegeState?.custom_metrics || {};
+        const metrics = ['wall_integrity', 'defender_morale', 'supplies', 'day_of_siege', ...Object.keys(customMetrics)];
+        const locationOptions = `
+            <option value="">None</option>
+            ${locations.map(location => `<option value="${location.id}">${this.escapeHtml(location.name)}</option>`).join('')}
+        `;
+
+        const dialogHTML = `
+            <div class="modal-overlay" id="siege-triggers-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Siege Triggers</h3>
+                        <button class="modal-close" data-action="close-triggers-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="trigger-list" id="trigger-list">
+                            ${this.renderTriggerList(triggers, locations)}
+                        </div>
+
+                        <h4>New Trigger</h4>
+                        <div class="form-group">
+                            <label for="trigger-name">Name</label>
+                            <input type="text" id="trigger-name" placeholder="e.g. Eastern Wall Breached" />
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="trigger-metric">When</label>
+                                <input type="text" id="trigger-metric" list="trigger-metrics" value="wall_integrity" />
+                                <datalist id="trigger-metrics">
+                                    ${metrics.map(metric => `<option value="${this.escapeHtml(metric)}"></option>`).join('')}
+                                </datalist>
+                            </div>
+                            <div class="form-group">
+                                <label for="trigger-operator">Is</label>
+                                <select id="trigger-operator">
+                                    ${['<', '<=', '>', '>=', '=', '!='].map(operator => `<option value="${operator}">${operator}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="trigger-threshold">Threshold</label>
+                                <input type="text" id="trigger-threshold" value="25" title="A number, or true, false or text to compare with = or !=" />
+                            </div>
+                        </div>
+                        <label><input type="checkbox" id="trigger-repeatable" checked /> Fire every time the threshold is crossed</label>
+
+                        <h4>Actions</h4>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="trigger-status-location">Set location</label>
+                                <select id="trigger-status-location">${locationOptions}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="trigger-status">To status</label>
+                                <select id="trigger-status">
+                                    <option value="controlled">Controlled</option>
+                                    <option value="contested" selected>Contested</option>
+                                    <option value="enemy">Enemy</option>
+                                    <option value="destroyed">Destroyed</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="trigger-plot-location">Add plot point at</label>
+                                <select id="trigger-plot-location">${locationOptions}</select>
+                            </div>
+                            <div class="form-group">
+                                <label for="trigger-plot-name">Plot point name</label>
+                                <input type="text" id="trigger-plot-name" />
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="trigger-plot-description">Plot point description</label>
+                            <input type="text" id="trigger-plot-description" />
+                        </div>
+                        <div class="form-group">
+                            <label for="trigger-note">Add siege note</label>
+                            <input type="text" id="trigger-note" />
+                        </div>
+                        <p class="rules-error" id="triggers-error"></p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-triggers-modal">Close</button>
+                        <button class="btn btn-primary" data-action="save-trigger">Add Trigger</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        const errorText = modal.querySelector('#triggers-error');
+        const value = id => modal.querySelector(`#${id}`).value.trim();
+        const reloadTriggers = async () => {
+            const response = await api.getSiegeTriggers(campaignId);
+            triggers = response.data;
+            modal.querySelector('#trigger-list').innerHTML = this.renderTriggerList(triggers, locations);
+        };
+
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-triggers-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+
+            try {
+                if (action === 'toggle-trigger') {
+                    e.preventDefault();
+                    await api.updateSiegeTrigger(e.target.dataset.id, { enabled: e.target.dataset.enabled !== 'true' });
+                    await reloadTriggers();
+                } else if (action === 'delete-trigger') {
+                    e.preventDefault();
+                    if (!confirm('Delete this trigger? Its alerts are kept.')) return;
+                    await api.deleteSiegeTrigger(e.target.dataset.id);
+                    await reloadTriggers();
+                } else if (action === 'save-trigger') {
+                    e.preventDefault();
+                    const actions = [];
+                    if (value('trigger-status-location')) {
+                        actions.push({
+                            type: 'set_location_status',
+                            location_id: parseInt(value('trigger-status-location')),
+                            status: value('trigger-status')
+                        });
+                    }
+                    if (value('trigger-plot-location')) {
+                        actions.push({
+                            type: 'add_plot_point',
+                            location_id: parseInt(value('trigger-plot-location')),
+                            name: value('trigger-plot-name'),
+                            description: value('trigger-plot-description')
+                        });
+                    }
+                    if (value('trigger-note')) {
+                        actions.push({ type: 'add_note', text: value('trigger-note') });
+                    }
+
+                    await api.createSiegeTrigger({
+                        campaign_id: campaignId,
+                        name: value('trigger-name'),
+                        metric: value('trigger-metric'),
+                        operator: value('trigger-operator'),
+                        threshold: value('trigger-threshold'),
+                        repeatable: modal.querySelector('#trigger-repeatable').checked,
+                        actions
+                    });
+                    ['trigger-name', 'trigger-plot-name', 'trigger-plot-description', 'trigger-note'].forEach(id => {
+                        modal.querySelector(`#${id}`).value = '';
+                    });
+                    errorText.textContent = '';
+                    await reloadTriggers();
+                }
+            } catch (error) {
+                console.error('Failed to save siege trigger:', error);
+                errorText.textContent = `Failed to save the trigger: ${error.message}`;
+            }
+        });
+    }
+
+    /**
+     * Render the roster of units in the forces dialog
+     */
+    renderForceList(forces) {
+        if (forces.length === 0) {
+            return '<p class="no-notes">No forces yet</p>';
+        }
+
+        return forces.map(force => `
+            <div class="force-item ${force.side}">
+                <div class="trigger-text">
+                    <strong>${this.escapeHtml(force.name)}</strong>
+                    <span>${force.size.toLocaleString()} ${force.unit_type.replace('_', ' ')} · strength ${force.strength} · morale ${force.morale}%</span>
+                    <span class="trigger-meta">${force.side === 'enemy' ? 'Enemy' : 'Defender'} · ${force.location_name ? this.escapeHtml(force.location_name) : 'Unassigned'}</span>
+                </div>
+                <button class="btn btn-secondary btn-sm" data-action="force-casualties" data-id="${force.id}" ${force.size === 0 ? 'disabled' : ''}>Casualties</button>
+                <button class="btn btn-secondary btn-sm" data-action="edit-force" data-id="${force.id}">Edit</button>
+                <button class="btn-icon" data-action="delete-force" data-id="${force.id}" title="Delete">×</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show dialog to manage the units fighting in the siege
+     * The form below the roster adds a unit, or saves the unit picked with
+     * Edit. Casualties shrink a unit and move the defenders' morale.
+     */
+    async showForcesDialog() {
+        const campaignId = state.get('currentCampaignId');
+        let forces;
+        let locations;
+        try {
+            const [forceResponse, locationResponse] = await Promise.all([
+                api.getForces(campaignId),
+                api.getLocations(campaignId)
+            ]);
+            forces = forceResponse.data;
+            locations = locationResponse.data;
+        } catch (error) {
+            console.error('Failed to load forces:', error);
+            alert('Failed to load forces');
+            return;
+        }
+
+        const unitTypes = {
+            infantry: 'Infantry',
+            archers: 'Archers',
+            cavalry: 'Cavalry',
+            mages: 'Mages',
+            siege_engines: 'Siege Engines',
+            monsters: 'Monsters'
+        };
+
+        const dialogHTML = `
+            <div class="modal-overlay" id="siege-forces-modal">
+                <div class="modal-dialog">
+                    <div class="modal-header">
+                        <h3>Forces</h3>
+                        <button class="modal-close" data-action="close-forces-modal">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="trigger-list" id="force-list">
+                            ${this.renderForceList(forces)}
+                        </div>
+
+                        <h4 id="force-form-title">New Unit</h4>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="force-name">Name</label>
+                                <input type="text" id="force-name" placeholder="e.g. Neverwinter Guard" />
+                            </div>
+                            <div class="form-group">
+                                <label for="force-side">Side</label>
+                                <select id="force-side">
+                                    <option value="defender">Defender</option>
+                                    <option value="enemy">Enemy</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="force-unit-type">Type</label>
+                                <select id="force-unit-type">
+                                    ${Object.entries(unitTypes).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="force-size">Size</label>
+                                <input type="number" id="force-size" min="0" value="100" />
+                            </div>
+                            <div class="form-group">
+                                <label for="force-strength">Strength each</label>
+                                <input type="number" id="force-strength" min="1" max="1000" value="1" />
+                            </div>
+                            <div class="form-group">
+                                <label for="force-morale">Morale</label>
+                                <input type="number" id="force-morale" min="0" max="100" value="100" />
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="force-location">Posted at</label>
+                            <select id="force-location">
+                                <option value="">Unassigned</option>
+                                ${locations.map(location => `<option value="${location.id}">${this.escapeHtml(location.name)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="force-notes">Notes</label>
+                            <input type="text" id="force-notes" />
+                        </div>
+                        <p class="forces-message" id="forces-message"></p>
+                        <p class="rules-error" id="forces-error"></p>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" data-action="close-forces-modal">Close</button>
+                        <button class="btn btn-secondary" data-action="new-force" id="force-new" hidden>New Unit</button>
+                        <button class="btn btn-primary" data-action="save-force" id="force-save">Add Unit</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = dialogHTML;
+        const modal = modalContainer.firstElementChild;
+        document.body.appendChild(modal);
+
+        const errorText = modal.querySelector('#forces-error');
+        const messageText = modal.querySelector('#forces-message');
+        const field = id => modal.querySelector(`#${id}`);
+        let editingId = null;
+
+        const fillForm = (force) => {
+            editingId = force ? force.id : null;
+            field('force-name').value = force ? force.name : '';
+            field('force-side').value = force ? force.side : 'defender';
+            field('force-unit-type').value = force ? force.unit_type : 'infantry';
+            field('force-size').value = force ? force.size : 100;
+            field('force-strength').value = force ? force.strength : 1;
+            field('force-morale').value = force ? force.morale : 100;
+            field('force-location').value = force && force.location_id ? force.location_id : '';
+            field('force-notes').value = force && force.notes ? force.notes : '';
+            field('force-form-title').textContent = force ? `Edit ${force.name}` : 'New Unit';
+            field('force-save').textContent = force ? 'Save Unit' : 'Add Unit';
+            field('force-new').hidden = !force;
+            errorText.textContent = '';
+        };
+        const reloadForces = async () => {
+            const response = await api.getForces(campaignId);
+            forces = response.data;
+            modal.querySelector('#force-list').innerHTML = this.renderForceList(forces);
+            await this.loadSiegeState();
+        };
+
+        modal.addEventListener('click', async (e) => {
+            const action = e.target.dataset.action;
+            if (e.target === modal || action === 'close-forces-modal') {
+                e.preventDefault();
+                modal.remove();
+                return;
+            }
+
+            const force = forces.find(unit => String(unit.id) === e.target.dataset.id);
+            try {
+                if (action === 'edit-force') {
+                    e.preventDefault();
+                    fillForm(force);
+                } else if (action === 'new-force') {
+                    e.preventDefault();
+                    fillForm(null);
+                } else if (action === 'delete-force') {
+                    e.preventDefault();
+                    if (!confirm(`Delete ${force.name}?`)) return;
+                    await api.deleteForce(force.id);
+                    if (editingId === force.id) {
+                        fillForm(null);
+                    }
+                    await reloadForces();
+                } else if (action === 'force-casualties') {
+                    e.preventDefault();
+                    const count = prompt(`How many of ${force.name} (${force.size}) were lost?`);
+                    if (!count || !count.trim()) return;
+                    const response = await api.recordForceCasualties(force.id, { count: parseInt(count) });
+                    errorText.textContent = '';
+                    const change = response.data.morale_change;
+                    messageText.textContent = change === 0
+                        ? ''
+                        : `Defender morale ${change > 0 ? 'rose' : 'fell'} by ${Math.abs(change)}`;
+                    await reloadForces();
+                } else if (action === 'save-force') {
+                    e.preventDefault();
+                    const data = {
+                        name: field('force-name').value.trim(),
+                        side: field('force-side').value,
+                        unit_type: field('force-unit-type').value,
+                        size: parseInt(field('force-size').value),
+                        strength: parseInt(field('force-strength').value),
+                        morale: parseInt(field('force-morale').value),
+                        location_id: field('force-location').value ? parseInt(field('force-location').value) : null,
+                        notes: field('force-notes').value.trim()
+                    };
+                    if (editingId) {
+                        await api.updateForce(editingId, data);
+                    } else {
+                        await api.createForce({ campaign_id: campaignId, ...data });
+                    }
+                    fillForm(null);
+                    await reloadForces();
+                }
+            } catch (error) {
+                console.error('Failed to save forces:', error);
+                errorText.textContent = `Failed to save the unit: ${error.message}`;
+            }
+        });
+    }
+
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 }
 
 // Export singleton instance
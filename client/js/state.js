@@ -17,6 +17,7 @@ class StateManager {
             moduleSizes: {},
             currentTurnIndex: 0,
             selectedCombatantId: null,
+            encounter: null,
         };
         
         this.listeners = new Map();
@@ -85,9 +86,12 @@ class StateManager {
         const combatants = this.state.combatants.map(c => 
             c.id === id ? { ...c, ...updates } : c
         );
-        // Re-sort if initiative changed
+        // Re-sort if initiative changed (rolled ties keep their tiebreak order)
         if (updates.initiative !== undefined) {
-            combatants.sort((a, b) => b.initiative - a.initiative);
+            combatants.sort((a, b) =>
+                b.initiative - a.initiative ||
+                (b.initiative_tiebreak || 0) - (a.initiative_tiebreak || 0)
+            );
         }
         this.setState({ combatants });
     }
@@ -281,6 +285,7 @@ class StateManager {
             moduleSizes: {},
             currentTurnIndex: 0,
             selectedCombatantId: null,
+            encounter: null,
         };
         this.notifyListeners({}, this.state);
     }
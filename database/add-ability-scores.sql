@@ -0,0 +1,36 @@
+-- Add ability scores, proficiencies and expertise
+-- Run this migration to keep full ability scores on PCs and NPCs; saving
+-- throws, skills and passive scores are worked out from them
+
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_str INTEGER;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_dex INTEGER;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_con INTEGER;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_int INTEGER;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_wis INTEGER;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_cha INTEGER;
+
+-- Scores run from 1 to 30. stat_dex (add-initiative-rolls.sql) and stat_con
+-- (add-hit-dice.sql) may already exist, so the checks are added separately,
+-- named as PostgreSQL names a column's own check
+DO $$
+DECLARE
+    ability TEXT;
+BEGIN
+    FOREACH ability IN ARRAY ARRAY['str', 'dex', 'con', 'int', 'wis', 'cha'] LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_constraint
+            WHERE conrelid = 'combatants'::regclass AND conname = 'combatants_stat_' || ability || '_check'
+        ) THEN
+            EXECUTE format(
+                'ALTER TABLE combatants ADD CONSTRAINT %I CHECK (%I BETWEEN 1 AND 30)',
+                'combatants_stat_' || ability || '_check', 'stat_' || ability
+            );
+        END IF;
+    END LOOP;
+END $$;
+
+-- Abilities the combatant adds its proficiency bonus to when saving
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS save_proficiencies TEXT[] DEFAULT '{}';
+-- Skills with the proficiency bonus, and skills with double the bonus
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS skill_proficiencies TEXT[] DEFAULT '{}';
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS skill_expertise TEXT[] DEFAULT '{}';
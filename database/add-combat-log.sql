@@ -0,0 +1,24 @@
+-- Add combat log table recording every change made to a combatant
+-- Run this migration after add-encounters.sql to enable the combat log and undo
+
+CREATE TABLE IF NOT EXISTS combat_log (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    encounter_id INTEGER REFERENCES encounters(id) ON DELETE SET NULL,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE SET NULL,
+    combatant_name VARCHAR(255),
+    action VARCHAR(50) NOT NULL,
+    field VARCHAR(50),
+    old_value JSONB,
+    new_value JSONB,
+    round INTEGER,
+    reverted BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_combat_log_campaign
+ON combat_log(campaign_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_combat_log_combatant
+ON combat_log(combatant_id);
@@ -0,0 +1,12 @@
+-- Add concentration tracking
+-- Run this migration to record which spell a caster is concentrating on and
+-- the conditions that end when its concentration breaks
+
+-- Spell the combatant is concentrating on (NULL = not concentrating)
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS concentration_spell VARCHAR(255);
+
+-- Conditions maintained by their source's concentration
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS concentration BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_combatant_conditions_source
+ON combatant_conditions(source_combatant_id) WHERE concentration;
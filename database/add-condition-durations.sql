@@ -0,0 +1,22 @@
+-- Add durations, expiry timing and repeat saves to conditions
+-- Run this migration to let conditions expire automatically as encounter turns advance
+
+-- Rounds left before the condition ends (NULL = until removed)
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS duration_rounds INTEGER;
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS rounds_remaining INTEGER;
+
+-- Whose turn the duration counts on, and whether it ticks at the start or end of that turn
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS expires_on VARCHAR(20) DEFAULT 'target'
+    CHECK (expires_on IN ('target', 'source'));
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS expires_at VARCHAR(20) DEFAULT 'end_of_turn'
+    CHECK (expires_at IN ('start_of_turn', 'end_of_turn'));
+
+-- The combatant who caused the condition (e.g. the caster of Hold Person)
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS source_combatant_id INTEGER REFERENCES combatants(id) ON DELETE SET NULL;
+
+-- Repeat saving throw at the end of each of the affected creature's turns
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS save_dc INTEGER;
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS save_ability VARCHAR(20);
+
+-- Active combatant when the condition was applied; that turn's end does not count
+ALTER TABLE combatant_conditions ADD COLUMN IF NOT EXISTS applied_during_turn_of INTEGER;
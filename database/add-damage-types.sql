@@ -0,0 +1,10 @@
+-- Add damage resistances, immunities and vulnerabilities
+-- Run this migration to let damage application account for damage types
+
+-- Defenses of PCs, NPCs and individual monster instances
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS resistances TEXT[] DEFAULT '{}';
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS immunities TEXT[] DEFAULT '{}';
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS vulnerabilities TEXT[] DEFAULT '{}';
+
+-- Monster templates already have resistances and immunities
+ALTER TABLE monsters ADD COLUMN IF NOT EXISTS vulnerabilities TEXT[] DEFAULT '{}';
@@ -0,0 +1,10 @@
+-- Add temporary hit points and death saving throws
+-- Run this migration to track temp HP and dying PCs on combatants
+
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS temp_hp INTEGER DEFAULT 0;
+
+-- Death saves only apply to PCs at 0 HP
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS death_save_successes INTEGER DEFAULT 0;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS death_save_failures INTEGER DEFAULT 0;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS is_stable BOOLEAN DEFAULT FALSE;
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS is_dead BOOLEAN DEFAULT FALSE;
@@ -0,0 +1,47 @@
+-- Add tables for persistent combat encounters
+-- Run this migration to store the participant list, round counter,
+-- active turn pointer and turn history of each fight
+
+-- Encounters table (one row per fight)
+CREATE TABLE IF NOT EXISTS encounters (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'ended')),
+    current_round INTEGER DEFAULT 0,
+    active_combatant_id INTEGER REFERENCES combatants(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Encounter participants junction table
+CREATE TABLE IF NOT EXISTS encounter_participants (
+    id SERIAL PRIMARY KEY,
+    encounter_id INTEGER REFERENCES encounters(id) ON DELETE CASCADE,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    joined_round INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(encounter_id, combatant_id)
+);
+
+-- Turn history (one row each time a combatant's turn begins)
+CREATE TABLE IF NOT EXISTS encounter_turns (
+    id SERIAL PRIMARY KEY,
+    encounter_id INTEGER REFERENCES encounters(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE SET NULL,
+    combatant_name VARCHAR(255),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_encounters_campaign_status
+ON encounters(campaign_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_encounter_participants_encounter
+ON encounter_participants(encounter_id);
+
+CREATE INDEX IF NOT EXISTS idx_encounter_turns_encounter
+ON encounter_turns(encounter_id, started_at);
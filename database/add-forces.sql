@@ -0,0 +1,30 @@
+-- Add forces
+-- Run this migration (after add-siege-history.sql) to keep a roster of the
+-- units fighting in the siege, such as the Neverwinter Guard, Harpers and
+-- dwarven volunteers on the walls or cultists and dragons outside them, and
+-- where each unit is posted on the city map
+
+CREATE TABLE IF NOT EXISTS forces (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    side VARCHAR(20) NOT NULL DEFAULT 'defender' CHECK (side IN ('defender', 'enemy')),
+    unit_type VARCHAR(20) NOT NULL DEFAULT 'infantry'
+        CHECK (unit_type IN ('infantry', 'archers', 'cavalry', 'mages', 'siege_engines', 'monsters')),
+    -- Number of soldiers (or creatures) in the unit
+    size INTEGER NOT NULL DEFAULT 0 CHECK (size >= 0),
+    -- Fighting strength of one soldier: 1 for a city guard, far more for a dragon
+    strength INTEGER NOT NULL DEFAULT 1 CHECK (strength >= 1 AND strength <= 1000),
+    morale INTEGER NOT NULL DEFAULT 100 CHECK (morale >= 0 AND morale <= 100),
+    location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_forces_campaign
+ON forces(campaign_id);
+
+CREATE INDEX IF NOT EXISTS idx_forces_location
+ON forces(location_id);
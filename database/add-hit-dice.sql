@@ -0,0 +1,9 @@
+-- Add hit dice for short and long rests
+-- Run this migration to track the hit dice characters spend on short rests
+
+-- Hit die size (NULL = worked out from the class, d8 for classless characters)
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS hit_die INTEGER CHECK (hit_die IN (6, 8, 10, 12));
+-- Characters have one hit die per level; this counts the ones spent since recovering them
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS hit_dice_used INTEGER DEFAULT 0 CHECK (hit_dice_used >= 0);
+-- Constitution score, added to each hit die spent
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_con INTEGER CHECK (stat_con BETWEEN 1 AND 30);
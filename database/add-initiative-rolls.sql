@@ -0,0 +1,9 @@
+-- Add columns used when rolling initiative for a whole encounter
+-- Run this migration after add-encounters.sql to enable automatic initiative rolling
+
+-- DEX score for combatants without a linked monster template (PCs and NPCs)
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS stat_dex INTEGER;
+
+-- Order among combatants with equal initiative (higher acts first),
+-- decided by DEX and then a tiebreak roll
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS initiative_tiebreak INTEGER;
@@ -0,0 +1,67 @@
+-- Add inventories, equipment and currency
+-- Run this migration (after add-features-items.sql) to track the items and
+-- coins of each character and of the party stash, with equipped armor and
+-- shields feeding armor class
+
+-- Items (combatant_id NULL = the party stash of the campaign)
+CREATE TABLE IF NOT EXISTS inventory_items (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    -- gear, weapon, armor, shield, consumable or treasure
+    category VARCHAR(20) NOT NULL DEFAULT 'gear',
+    description TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    -- Weight of one item in pounds
+    weight NUMERIC(8, 2) NOT NULL DEFAULT 0 CHECK (weight >= 0),
+    equipped BOOLEAN NOT NULL DEFAULT false,
+    requires_attunement BOOLEAN NOT NULL DEFAULT false,
+    attuned BOOLEAN NOT NULL DEFAULT false,
+    charges INTEGER CHECK (charges >= 0),
+    max_charges INTEGER CHECK (max_charges >= 0),
+    -- Armor: light, medium or heavy
+    armor_type VARCHAR(20),
+    -- AC of armor (before DEX) or the bonus of a shield
+    base_ac INTEGER CHECK (base_ac >= 0),
+    -- Magic bonus to AC while equipped (and attuned, if required): +1 armor, Ring of Protection, ...
+    ac_bonus INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coins (combatant_id NULL = the party stash of the campaign)
+CREATE TABLE IF NOT EXISTS purses (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    cp INTEGER NOT NULL DEFAULT 0 CHECK (cp >= 0),
+    sp INTEGER NOT NULL DEFAULT 0 CHECK (sp >= 0),
+    ep INTEGER NOT NULL DEFAULT 0 CHECK (ep >= 0),
+    gp INTEGER NOT NULL DEFAULT 0 CHECK (gp >= 0),
+    pp INTEGER NOT NULL DEFAULT 0 CHECK (pp >= 0),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One purse per character and one stash purse per campaign
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purses_combatant
+ON purses(combatant_id) WHERE combatant_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purses_stash
+ON purses(campaign_id) WHERE combatant_id IS NULL;
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_inventory_items_owner
+ON inventory_items(campaign_id, combatant_id);
+
+-- Move the magical items typed into the character form into the inventory
+-- (characters that already have inventory items are left alone)
+INSERT INTO inventory_items (campaign_id, combatant_id, name, category, description, requires_attunement)
+SELECT c.campaign_id, c.id, item->>'name', 'gear', NULLIF(item->>'description', ''),
+       COALESCE(item->>'attunement' = 'true', false)
+FROM combatants c
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(c.magical_items) = 'array' THEN c.magical_items ELSE '[]'::jsonb END
+) AS item
+WHERE COALESCE(item->>'name', '') <> ''
+  AND NOT EXISTS (SELECT 1 FROM inventory_items i WHERE i.combatant_id = c.id);
@@ -0,0 +1,46 @@
+-- Add experience points, milestone leveling and level history
+-- Run this migration (after add-encounters.sql) to keep an XP ledger for each
+-- character, record every level up and award experience for encounters
+
+-- How the campaign's characters level: xp (experience thresholds) or milestone (the DM decides)
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS progression VARCHAR(20) DEFAULT 'xp'
+    CHECK (progression IN ('xp', 'milestone'));
+
+-- Experience total (the sum of the character's ledger entries)
+ALTER TABLE combatants ADD COLUMN IF NOT EXISTS experience_points INTEGER DEFAULT 0 CHECK (experience_points >= 0);
+
+-- When an encounter's experience was handed out (NULL = not yet)
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS xp_awarded_at TIMESTAMP;
+
+-- Experience ledger (one row per award or correction)
+CREATE TABLE IF NOT EXISTS experience_awards (
+    id SERIAL PRIMARY KEY,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,
+    reason VARCHAR(255),
+    -- Encounter the experience was earned in, if any
+    encounter_id INTEGER REFERENCES encounters(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Level history (one row per level gained)
+CREATE TABLE IF NOT EXISTS level_history (
+    id SERIAL PRIMARY KEY,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    level INTEGER NOT NULL CHECK (level BETWEEN 1 AND 20),
+    -- fixed or rolled
+    hp_method VARCHAR(20) NOT NULL,
+    -- Hit die roll when rolled (before the Constitution modifier)
+    hp_roll INTEGER,
+    hp_gained INTEGER NOT NULL,
+    -- Subclass chosen on reaching this level
+    subclass VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_experience_awards_combatant
+ON experience_awards(combatant_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_level_history_combatant
+ON level_history(combatant_id, level);
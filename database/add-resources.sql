@@ -0,0 +1,25 @@
+-- Add spell slots and limited-use resources
+-- Run this migration to track spell slots, pact slots, class resources and
+-- monster recharge abilities per combatant
+
+CREATE TABLE IF NOT EXISTS combatant_resources (
+    id SERIAL PRIMARY KEY,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- spell_slot, pact_slot, class (Ki, Rage, Channel Divinity, ...) or recharge
+    kind VARCHAR(20) NOT NULL DEFAULT 'class',
+    -- Slot level for spell and pact slots
+    slot_level INTEGER CHECK (slot_level BETWEEN 1 AND 9),
+    max_uses INTEGER NOT NULL CHECK (max_uses >= 0),
+    used INTEGER NOT NULL DEFAULT 0 CHECK (used >= 0),
+    -- Rest that restores every use: short_rest or long_rest (NULL = never)
+    resets_on VARCHAR(20),
+    -- Lowest d6 roll that recharges the ability ("Recharge 5-6" = 5)
+    recharge_min INTEGER CHECK (recharge_min BETWEEN 1 AND 6),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (combatant_id, name)
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_combatant_resources_combatant
+ON combatant_resources(combatant_id);
@@ -0,0 +1,34 @@
+-- Add siege history snapshots
+-- Run this migration to record every change to a campaign's siege state, so
+-- the siege can be charted over time and rewound to an earlier snapshot
+
+-- One row per siege change, holding the state after the change
+CREATE TABLE IF NOT EXISTS siege_history (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    wall_integrity INTEGER,
+    defender_morale INTEGER,
+    supplies INTEGER,
+    day_of_siege INTEGER,
+    custom_metrics JSONB DEFAULT '{}',
+    -- start, update, advance_day, reset or rewind
+    change_type VARCHAR(30) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add index for reading a campaign's timeline in order
+CREATE INDEX IF NOT EXISTS idx_siege_history_campaign
+ON siege_history(campaign_id, created_at);
+
+-- Start the history of sieges that already exist from their current state
+INSERT INTO siege_history (
+    campaign_id, wall_integrity, defender_morale, supplies, day_of_siege,
+    custom_metrics, change_type, created_at
+)
+SELECT ss.campaign_id, ss.wall_integrity, ss.defender_morale, ss.supplies, ss.day_of_siege,
+       COALESCE(ss.custom_metrics, '{}'), 'start', COALESCE(ss.updated_at, CURRENT_TIMESTAMP)
+FROM siege_state ss
+WHERE NOT EXISTS (
+    SELECT 1 FROM siege_history sh WHERE sh.campaign_id = ss.campaign_id
+);
@@ -0,0 +1,25 @@
+-- Add custom siege metric definitions
+-- Run this migration (after add-siege-history.sql) to give custom siege
+-- metrics a type, bounds, a default value, a unit and display colors, so they
+-- are validated like the core siege metrics and shown as bars, steppers,
+-- toggles or pick lists in the siege panel
+
+CREATE TABLE IF NOT EXISTS siege_metric_definitions (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    -- Key of the metric in siege_state.custom_metrics
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('number', 'percentage', 'counter', 'boolean', 'enum')),
+    min_value NUMERIC(12, 2),
+    max_value NUMERIC(12, 2),
+    default_value JSONB,
+    unit VARCHAR(20),
+    -- Choices of an enum metric
+    options JSONB NOT NULL DEFAULT '[]',
+    -- [{ at, color }]: values at or above each threshold are shown in its color
+    color_thresholds JSONB NOT NULL DEFAULT '[]',
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, name)
+);
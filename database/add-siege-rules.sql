@@ -0,0 +1,21 @@
+-- Add daily siege rules
+-- Run this migration (after add-siege-history.sql) to let each campaign
+-- configure how the siege changes when a day passes: supplies eaten by the
+-- defenders, morale drifting with the walls and the stores, and a table of
+-- random siege events
+
+-- One set of rules per campaign (campaigns without one use the defaults)
+CREATE TABLE IF NOT EXISTS siege_rules (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER UNIQUE REFERENCES campaigns(id) ON DELETE CASCADE,
+    defenders INTEGER NOT NULL CHECK (defenders >= 0),
+    -- Supplies (out of 100) every thousand defenders use a day
+    supplies_per_1000 NUMERIC(6, 2) NOT NULL CHECK (supplies_per_1000 >= 0),
+    -- Chance (0 to 1) that an event from the table happens on a day
+    event_chance NUMERIC(4, 3) NOT NULL CHECK (event_chance BETWEEN 0 AND 1),
+    -- [{ metric, below or above, change, label }]
+    morale_rules JSONB NOT NULL DEFAULT '[]',
+    -- [{ name, description, weight, effects: { wall_integrity, defender_morale, supplies } }]
+    events JSONB NOT NULL DEFAULT '[]',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
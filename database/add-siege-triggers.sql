@@ -0,0 +1,50 @@
+-- Add siege triggers
+-- Run this migration (after add-siege-history.sql) to let each campaign set
+-- rules that act when a siege metric crosses a threshold, such as marking a
+-- location contested when the walls fall below 25%, and to log when they fire
+
+-- Trigger rules (one row per trigger)
+CREATE TABLE IF NOT EXISTS siege_triggers (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    -- wall_integrity, defender_morale, supplies, day_of_siege or a custom metric name
+    metric VARCHAR(100) NOT NULL,
+    operator VARCHAR(2) NOT NULL CHECK (operator IN ('<', '<=', '>', '>=', '=', '!=')),
+    threshold NUMERIC(12, 2) NOT NULL,
+    -- [{ type: set_location_status, location_id, status }
+    --  | { type: add_plot_point, location_id, name, description }
+    --  | { type: add_note, text }]
+    actions JSONB NOT NULL DEFAULT '[]',
+    -- Fire again each time the metric crosses the threshold, not just the first time
+    repeatable BOOLEAN DEFAULT true,
+    enabled BOOLEAN DEFAULT true,
+    last_fired_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Thresholds that are not numbers (true or false, an enum option or text),
+-- compared with = or != only; threshold is then NULL
+ALTER TABLE siege_triggers ADD COLUMN IF NOT EXISTS threshold_value JSONB;
+ALTER TABLE siege_triggers ALTER COLUMN threshold DROP NOT NULL;
+
+-- Every time a trigger fired, with what its actions did
+CREATE TABLE IF NOT EXISTS siege_trigger_log (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    trigger_id INTEGER REFERENCES siege_triggers(id) ON DELETE SET NULL,
+    trigger_name VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    day_of_siege INTEGER,
+    results JSONB NOT NULL DEFAULT '[]',
+    -- Dismissed from the siege panel's alert banners
+    acknowledged BOOLEAN DEFAULT false,
+    fired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_siege_triggers_campaign
+ON siege_triggers(campaign_id);
+
+CREATE INDEX IF NOT EXISTS idx_siege_trigger_log_campaign
+ON siege_trigger_log(campaign_id, fired_at);
@@ -0,0 +1,213 @@
+-- Add the spell reference table and spellbooks
+-- Run this migration (after add-resources.sql and add-concentration.sql) to
+-- look spells up by level, school and class and to keep the spells each
+-- combatant knows or has prepared
+
+-- Spells (level 0 = cantrip)
+CREATE TABLE IF NOT EXISTS spells (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    level INTEGER NOT NULL CHECK (level BETWEEN 0 AND 9),
+    school VARCHAR(20) NOT NULL,
+    casting_time VARCHAR(50) NOT NULL,
+    range VARCHAR(50) NOT NULL,
+    -- V, S and/or M
+    components VARCHAR(20) NOT NULL,
+    duration VARCHAR(50) NOT NULL,
+    concentration BOOLEAN NOT NULL DEFAULT false,
+    ritual BOOLEAN NOT NULL DEFAULT false,
+    description TEXT,
+    higher_levels TEXT,
+    -- Damage at the spell's level (cantrips: at character level 1-4)
+    damage_dice VARCHAR(50),
+    damage_type VARCHAR(20),
+    -- Dice added for each slot level above the spell's level
+    damage_per_level VARCHAR(20),
+    -- Lowercase class names whose spell list has the spell
+    classes TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Spells a combatant knows; prepared matters for classes that prepare spells
+CREATE TABLE IF NOT EXISTS combatant_spells (
+    id SERIAL PRIMARY KEY,
+    combatant_id INTEGER REFERENCES combatants(id) ON DELETE CASCADE,
+    spell_id INTEGER REFERENCES spells(id) ON DELETE CASCADE,
+    prepared BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(combatant_id, spell_id)
+);
+
+-- Insert spells
+INSERT INTO spells (name, level, school, casting_time, range, components, duration, concentration, ritual, description, higher_levels, damage_dice, damage_type, damage_per_level, classes) VALUES
+    ('Chill Touch', 0, 'necromancy', '1 action', '120 feet', 'V, S', '1 round', false, false,
+     'A ghostly hand clings to a creature on a ranged spell attack. It cannot regain hit points until your next turn, and undead have disadvantage on attacks against you.',
+     'One more die at 5th, 11th and 17th level.', '1d8', 'necrotic', NULL, '{sorcerer,warlock,wizard}'),
+    ('Eldritch Blast', 0, 'evocation', '1 action', '120 feet', 'V, S', 'Instantaneous', false, false,
+     'A beam of crackling energy streaks toward a creature; make a ranged spell attack.',
+     'One more beam at 5th, 11th and 17th level.', '1d10', 'force', NULL, '{warlock}'),
+    ('Fire Bolt', 0, 'evocation', '1 action', '120 feet', 'V, S', 'Instantaneous', false, false,
+     'Hurl a mote of fire at a creature or object with a ranged spell attack. Unattended flammable objects ignite.',
+     'One more die at 5th, 11th and 17th level.', '1d10', 'fire', NULL, '{sorcerer,wizard}'),
+    ('Guidance', 0, 'divination', '1 action', 'Touch', 'V, S', 'Up to 1 minute', true, false,
+     'A willing creature adds 1d4 to one ability check of its choice before the spell ends.',
+     NULL, NULL, NULL, NULL, '{cleric,druid}'),
+    ('Light', 0, 'evocation', '1 action', 'Touch', 'V, M', '1 hour', false, false,
+     'An object sheds bright light in a 20-foot radius and dim light for another 20 feet.',
+     NULL, NULL, NULL, NULL, '{bard,cleric,sorcerer,wizard}'),
+    ('Mage Hand', 0, 'conjuration', '1 action', '30 feet', 'V, S', '1 minute', false, false,
+     'A spectral hand manipulates objects, opens unlocked doors and carries up to 10 pounds.',
+     NULL, NULL, NULL, NULL, '{bard,sorcerer,warlock,wizard}'),
+    ('Produce Flame', 0, 'conjuration', '1 action', 'Self', 'V, S', '10 minutes', false, false,
+     'A flame in your hand sheds light and can be hurled at a creature within 30 feet with a ranged spell attack.',
+     'One more die at 5th, 11th and 17th level.', '1d8', 'fire', NULL, '{druid}'),
+    ('Ray of Frost', 0, 'evocation', '1 action', '60 feet', 'V, S', 'Instantaneous', false, false,
+     'A frigid beam hits a creature on a ranged spell attack and reduces its speed by 10 feet until your next turn.',
+     'One more die at 5th, 11th and 17th level.', '1d8', 'cold', NULL, '{sorcerer,wizard}'),
+    ('Sacred Flame', 0, 'evocation', '1 action', '60 feet', 'V, S', 'Instantaneous', false, false,
+     'Radiance descends on a creature, which must succeed on a Dexterity save or take the damage. Cover does not help.',
+     'One more die at 5th, 11th and 17th level.', '1d8', 'radiant', NULL, '{cleric}'),
+    ('Vicious Mockery', 0, 'enchantment', '1 action', '60 feet', 'V', 'Instantaneous', false, false,
+     'A creature that hears your insults must succeed on a Wisdom save or take the damage and have disadvantage on its next attack roll.',
+     'One more die at 5th, 11th and 17th level.', '1d4', 'psychic', NULL, '{bard}'),
+    ('Bless', 1, 'enchantment', '1 action', '30 feet', 'V, S, M', 'Up to 1 minute', true, false,
+     'Up to three creatures add 1d4 to their attack rolls and saving throws.',
+     'One more creature for each slot level above 1st.', NULL, NULL, NULL, '{cleric,paladin}'),
+    ('Burning Hands', 1, 'evocation', '1 action', 'Self (15-foot cone)', 'V, S', 'Instantaneous', false, false,
+     'Flames shoot from your fingertips. Creatures in the cone make a Dexterity save, taking half damage on a success.',
+     '+1d6 for each slot level above 1st.', '3d6', 'fire', '1d6', '{sorcerer,wizard}'),
+    ('Cure Wounds', 1, 'evocation', '1 action', 'Touch', 'V, S', 'Instantaneous', false, false,
+     'A creature you touch regains 1d8 + your spellcasting modifier hit points. No effect on undead or constructs.',
+     'Heals 1d8 more for each slot level above 1st.', NULL, NULL, NULL, '{bard,cleric,druid,paladin,ranger}'),
+    ('Detect Magic', 1, 'divination', '1 action', 'Self', 'V, S', 'Up to 10 minutes', true, true,
+     'Sense magic within 30 feet and see a faint aura around any visible magical creature or object.',
+     NULL, NULL, NULL, NULL, '{bard,cleric,druid,paladin,ranger,sorcerer,wizard}'),
+    ('Faerie Fire', 1, 'evocation', '1 action', '60 feet', 'V', 'Up to 1 minute', true, false,
+     'Creatures in a 20-foot cube that fail a Dexterity save are outlined in light: they cannot be invisible and attacks against them have advantage.',
+     NULL, NULL, NULL, NULL, '{bard,druid}'),
+    ('Guiding Bolt', 1, 'evocation', '1 action', '120 feet', 'V, S', '1 round', false, false,
+     'A flash of light hits a creature on a ranged spell attack; the next attack roll against it has advantage.',
+     '+1d6 for each slot level above 1st.', '4d6', 'radiant', '1d6', '{cleric}'),
+    ('Healing Word', 1, 'evocation', '1 bonus action', '60 feet', 'V', 'Instantaneous', false, false,
+     'A creature you can see regains 1d4 + your spellcasting modifier hit points.',
+     'Heals 1d4 more for each slot level above 1st.', NULL, NULL, NULL, '{bard,cleric,druid}'),
+    ('Hex', 1, 'enchantment', '1 bonus action', '90 feet', 'V, S, M', 'Up to 1 hour', true, false,
+     'Your attacks deal an extra 1d6 necrotic damage to the cursed creature, which has disadvantage on checks with an ability you choose.',
+     'Lasts up to 8 hours with a 3rd or 4th level slot, 24 hours with 5th or higher.', NULL, NULL, NULL, '{warlock}'),
+    ('Hunter''s Mark', 1, 'divination', '1 bonus action', '90 feet', 'V', 'Up to 1 hour', true, false,
+     'Your weapon attacks deal an extra 1d6 damage to the marked creature, and you have advantage on checks to find it.',
+     'Lasts up to 8 hours with a 3rd or 4th level slot, 24 hours with 5th or higher.', NULL, NULL, NULL, '{ranger}'),
+    ('Identify', 1, 'divination', '1 minute', 'Touch', 'V, S, M', 'Instantaneous', false, true,
+     'Learn the properties of a magic item or the spells affecting a creature or object.',
+     NULL, NULL, NULL, NULL, '{bard,wizard}'),
+    ('Mage Armor', 1, 'abjuration', '1 action', 'Touch', 'V, S, M', '8 hours', false, false,
+     'A willing creature not wearing armor has a base AC of 13 + its Dexterity modifier.',
+     NULL, NULL, NULL, NULL, '{sorcerer,wizard}'),
+    ('Magic Missile', 1, 'evocation', '1 action', '120 feet', 'V, S', 'Instantaneous', false, false,
+     'Three glowing darts each hit a creature of your choice for 1d4 + 1 force damage.',
+     'One more dart for each slot level above 1st.', '3d4+3', 'force', '1d4+1', '{sorcerer,wizard}'),
+    ('Shield', 1, 'abjuration', '1 reaction', 'Self', 'V, S', '1 round', false, false,
+     'When you are hit or targeted by magic missile, gain +5 AC until the start of your next turn.',
+     NULL, NULL, NULL, NULL, '{sorcerer,wizard}'),
+    ('Sleep', 1, 'enchantment', '1 action', '90 feet', 'V, S, M', '1 minute', false, false,
+     'Creatures within 20 feet of a point fall unconscious, lowest hit points first, up to a total of 5d8 hit points.',
+     '+2d8 hit points for each slot level above 1st.', NULL, NULL, NULL, '{bard,sorcerer,wizard}'),
+    ('Thunderwave', 1, 'evocation', '1 action', 'Self (15-foot cube)', 'V, S', 'Instantaneous', false, false,
+     'A wave of thunder pushes creatures that fail a Constitution save 10 feet away; half damage on a success.',
+     '+1d8 for each slot level above 1st.', '2d8', 'thunder', '1d8', '{bard,druid,sorcerer,wizard}'),
+    ('Hold Person', 2, 'enchantment', '1 action', '60 feet', 'V, S, M', 'Up to 1 minute', true, false,
+     'A humanoid that fails a Wisdom save is paralyzed, repeating the save at the end of each of its turns.',
+     'One more humanoid for each slot level above 2nd.', NULL, NULL, NULL, '{bard,cleric,druid,sorcerer,warlock,wizard}'),
+    ('Invisibility', 2, 'illusion', '1 action', 'Touch', 'V, S, M', 'Up to 1 hour', true, false,
+     'A creature becomes invisible until it attacks or casts a spell.',
+     'One more creature for each slot level above 2nd.', NULL, NULL, NULL, '{bard,sorcerer,warlock,wizard}'),
+    ('Misty Step', 2, 'conjuration', '1 bonus action', 'Self', 'V', 'Instantaneous', false, false,
+     'Teleport up to 30 feet to an unoccupied space you can see.',
+     NULL, NULL, NULL, NULL, '{sorcerer,warlock,wizard}'),
+    ('Scorching Ray', 2, 'evocation', '1 action', '120 feet', 'V, S', 'Instantaneous', false, false,
+     'Three rays of fire, each a ranged spell attack dealing 2d6 fire damage.',
+     'One more ray for each slot level above 2nd.', '6d6', 'fire', '2d6', '{sorcerer,wizard}'),
+    ('Shatter', 2, 'evocation', '1 action', '60 feet', 'V, S, M', 'Instantaneous', false, false,
+     'A ringing noise bursts in a 10-foot sphere; creatures make a Constitution save, taking half damage on a success.',
+     '+1d8 for each slot level above 2nd.', '3d8', 'thunder', '1d8', '{bard,sorcerer,warlock,wizard}'),
+    ('Spiritual Weapon', 2, 'evocation', '1 bonus action', '60 feet', 'V, S', '1 minute', false, false,
+     'A floating spectral weapon makes a melee spell attack, and can move and attack again as a bonus action on later turns.',
+     '+1d8 for every two slot levels above 2nd.', '1d8', 'force', NULL, '{cleric}'),
+    ('Web', 2, 'conjuration', '1 action', '60 feet', 'V, S, M', 'Up to 1 hour', true, false,
+     'Sticky webs fill a 20-foot cube, restraining creatures that fail a Dexterity save.',
+     NULL, NULL, NULL, NULL, '{sorcerer,wizard}'),
+    ('Counterspell', 3, 'abjuration', '1 reaction', '60 feet', 'S', 'Instantaneous', false, false,
+     'Interrupt a creature casting a spell. A spell of 3rd level or lower fails; a higher one needs an ability check.',
+     'Stops spells up to the slot level used.', NULL, NULL, NULL, '{sorcerer,warlock,wizard}'),
+    ('Dispel Magic', 3, 'abjuration', '1 action', '120 feet', 'V, S', 'Instantaneous', false, false,
+     'End spells of 3rd level or lower on a creature, object or magical effect; higher ones need an ability check.',
+     'Ends spells up to the slot level used.', NULL, NULL, NULL, '{bard,cleric,druid,paladin,sorcerer,warlock,wizard}'),
+    ('Fireball', 3, 'evocation', '1 action', '150 feet', 'V, S, M', 'Instantaneous', false, false,
+     'A bead of flame explodes in a 20-foot sphere. Creatures make a Dexterity save, taking half damage on a success.',
+     '+1d6 for each slot level above 3rd.', '8d6', 'fire', '1d6', '{sorcerer,wizard}'),
+    ('Haste', 3, 'transmutation', '1 action', '30 feet', 'V, S, M', 'Up to 1 minute', true, false,
+     'A willing creature doubles its speed, gains +2 AC, advantage on Dexterity saves and an extra action each turn. It loses a turn when the spell ends.',
+     NULL, NULL, NULL, NULL, '{sorcerer,wizard}'),
+    ('Hypnotic Pattern', 3, 'illusion', '1 action', '120 feet', 'S, M', 'Up to 1 minute', true, false,
+     'Creatures in a 30-foot cube that fail a Wisdom save are charmed and incapacitated until they take damage or are shaken awake.',
+     NULL, NULL, NULL, NULL, '{bard,sorcerer,warlock,wizard}'),
+    ('Lightning Bolt', 3, 'evocation', '1 action', 'Self (100-foot line)', 'V, S, M', 'Instantaneous', false, false,
+     'A bolt of lightning forms a 100-foot line. Creatures make a Dexterity save, taking half damage on a success.',
+     '+1d6 for each slot level above 3rd.', '8d6', 'lightning', '1d6', '{sorcerer,wizard}'),
+    ('Revivify', 3, 'necromancy', '1 action', 'Touch', 'V, S, M', 'Instantaneous', false, false,
+     'A creature that died within the last minute returns to life with 1 hit point. Consumes diamonds worth 300 gp.',
+     NULL, NULL, NULL, NULL, '{cleric,paladin}'),
+    ('Spirit Guardians', 3, 'conjuration', '1 action', 'Self (15-foot radius)', 'V, S, M', 'Up to 10 minutes', true, false,
+     'Spirits halve the speed of enemies near you; an enemy entering the area or starting its turn there makes a Wisdom save, taking half damage on a success.',
+     '+1d8 for each slot level above 3rd.', '3d8', 'radiant', '1d8', '{cleric}'),
+    ('Banishment', 4, 'abjuration', '1 action', '60 feet', 'V, S, M', 'Up to 1 minute', true, false,
+     'A creature that fails a Charisma save is sent to a harmless demiplane, or home for good if it is native to another plane and the spell lasts.',
+     'One more creature for each slot level above 4th.', NULL, NULL, NULL, '{cleric,paladin,sorcerer,warlock,wizard}'),
+    ('Blight', 4, 'necromancy', '1 action', '30 feet', 'V, S', 'Instantaneous', false, false,
+     'Necromantic energy drains a creature, which makes a Constitution save, taking half damage on a success. Plants save with disadvantage.',
+     '+1d8 for each slot level above 4th.', '8d8', 'necrotic', '1d8', '{druid,sorcerer,warlock,wizard}'),
+    ('Greater Invisibility', 4, 'illusion', '1 action', 'Touch', 'V, S', 'Up to 1 minute', true, false,
+     'A creature becomes invisible, even while attacking or casting spells.',
+     NULL, NULL, NULL, NULL, '{bard,sorcerer,wizard}'),
+    ('Polymorph', 4, 'transmutation', '1 action', '60 feet', 'V, S, M', 'Up to 1 hour', true, false,
+     'A creature that fails a Wisdom save turns into a beast of a challenge rating no higher than its level or CR.',
+     NULL, NULL, NULL, NULL, '{bard,druid,sorcerer,wizard}'),
+    ('Cone of Cold', 5, 'evocation', '1 action', 'Self (60-foot cone)', 'V, S, M', 'Instantaneous', false, false,
+     'A blast of cold air; creatures in the cone make a Constitution save, taking half damage on a success.',
+     '+1d8 for each slot level above 5th.', '8d8', 'cold', '1d8', '{sorcerer,wizard}'),
+    ('Flame Strike', 5, 'evocation', '1 action', '60 feet', 'V, S, M', 'Instantaneous', false, false,
+     'A column of divine fire in a 10-foot radius deals 4d6 fire and 4d6 radiant damage; a Dexterity save halves it.',
+     '+1d6 fire for each slot level above 5th.', '4d6', 'fire', '1d6', '{cleric}'),
+    ('Mass Cure Wounds', 5, 'evocation', '1 action', '60 feet', 'V, S', 'Instantaneous', false, false,
+     'Up to six creatures in a 30-foot sphere each regain 3d8 + your spellcasting modifier hit points.',
+     'Heals 1d8 more for each slot level above 5th.', NULL, NULL, NULL, '{bard,cleric,druid}'),
+    ('Wall of Force', 5, 'evocation', '1 action', '120 feet', 'V, S, M', 'Up to 10 minutes', true, false,
+     'An invisible, unbreakable wall of force springs into existence. Nothing physical passes through it.',
+     NULL, NULL, NULL, NULL, '{wizard}'),
+    ('Chain Lightning', 6, 'evocation', '1 action', '150 feet', 'V, S, M', 'Instantaneous', false, false,
+     'Lightning arcs to a target and up to three others within 30 feet of it; each makes a Dexterity save, taking half damage on a success.',
+     'One more bolt for each slot level above 6th.', '10d8', 'lightning', NULL, '{sorcerer,wizard}'),
+    ('Heal', 6, 'evocation', '1 action', '60 feet', 'V, S', 'Instantaneous', false, false,
+     'A creature regains 70 hit points and is cured of blindness, deafness and diseases.',
+     'Heals 10 more for each slot level above 6th.', NULL, NULL, NULL, '{cleric,druid}'),
+    ('Finger of Death', 7, 'necromancy', '1 action', '60 feet', 'V, S', 'Instantaneous', false, false,
+     'A creature makes a Constitution save, taking half damage on a success. A humanoid killed by it rises as a zombie under your command.',
+     NULL, '7d8+30', 'necrotic', NULL, '{sorcerer,warlock,wizard}'),
+    ('Sunburst', 8, 'evocation', '1 action', '150 feet', 'V, S, M', 'Instantaneous', false, false,
+     'Sunlight flashes in a 60-foot radius. Creatures make a Constitution save or take the damage and are blinded; half damage on a success.',
+     NULL, '12d6', 'radiant', NULL, '{druid,sorcerer,wizard}'),
+    ('Meteor Swarm', 9, 'evocation', '1 action', '1 mile', 'V, S', 'Instantaneous', false, false,
+     'Four orbs of fire crash down in 40-foot spheres, dealing 20d6 fire and 20d6 bludgeoning damage; a Dexterity save halves it.',
+     NULL, '20d6', 'fire', NULL, '{sorcerer,wizard}'),
+    ('Wish', 9, 'conjuration', '1 action', 'Self', 'V', 'Instantaneous', false, false,
+     'Duplicate any spell of 8th level or lower, or ask for something greater at the risk of never casting wish again.',
+     NULL, NULL, NULL, NULL, '{sorcerer,wizard}')
+ON CONFLICT (name) DO NOTHING;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_spells_level ON spells(level);
+CREATE INDEX IF NOT EXISTS idx_spells_classes ON spells USING GIN (classes);
+CREATE INDEX IF NOT EXISTS idx_combatant_spells_combatant ON combatant_spells(combatant_id);
+
+-- Analyze tables
+ANALYZE spells;
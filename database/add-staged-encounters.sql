@@ -0,0 +1,32 @@
+-- Add tables for staged encounters
+-- Run this migration (after add-encounters.sql) to plan fights from monster
+-- templates ahead of time, rate their difficulty against the party and
+-- deploy them to the initiative tracker later
+
+-- Staged encounters (one row per planned fight)
+CREATE TABLE IF NOT EXISTS staged_encounters (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER REFERENCES campaigns(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    notes TEXT,
+    -- Last time the encounter was sent to the initiative tracker
+    deployed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Monster templates in a staged encounter and how many of each
+CREATE TABLE IF NOT EXISTS staged_encounter_monsters (
+    id SERIAL PRIMARY KEY,
+    staged_encounter_id INTEGER REFERENCES staged_encounters(id) ON DELETE CASCADE,
+    monster_id INTEGER REFERENCES monsters(id) ON DELETE CASCADE,
+    count INTEGER NOT NULL CHECK (count BETWEEN 1 AND 20),
+    UNIQUE(staged_encounter_id, monster_id)
+);
+
+-- Add indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_staged_encounters_campaign
+ON staged_encounters(campaign_id);
+
+CREATE INDEX IF NOT EXISTS idx_staged_encounter_monsters_encounter
+ON staged_encounter_monsters(staged_encounter_id);
@@ -0,0 +1,12 @@
+-- Add turn boundary records to the encounter turn history
+-- Run this migration (after add-encounters.sql, add-condition-durations.sql and
+-- add-resources.sql) so that stepping back a turn undoes what starting that
+-- turn did to conditions and recharge abilities
+
+-- What the turn change into this turn did:
+-- { ending_combatant_id, ticked, cleared, removed_log_ids, recharges }
+ALTER TABLE encounter_turns ADD COLUMN IF NOT EXISTS boundary JSONB;
+
+-- Turns stepped back from, most recent last ({ round, combatant_id, recharges }),
+-- so stepping forward into them again keeps their recharge rolls
+ALTER TABLE encounters ADD COLUMN IF NOT EXISTS undone_turns JSONB NOT NULL DEFAULT '[]';
@@ -8,12 +8,16 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Monster imports send whole bestiary files
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Modules shared between server and client (e.g. the dice engine)
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // API Routes (to be implemented in future tasks)
 app.use('/api/campaigns', require('./routes/campaigns'));
 app.use('/api/combatants', require('./routes/combatants'));
@@ -21,12 +25,19 @@ app.use('/api/characters', require('./routes/characters'));
 app.use('/api/npcs', require('./routes/npcs'));
 app.use('/api/monsters', require('./routes/monsters'));
 app.use('/api/initiative', require('./routes/initiative'));
+app.use('/api/encounters', require('./routes/encounters'));
+app.use('/api/combat-log', require('./routes/combatlog'));
+app.use('/api/dice', require('./routes/dice'));
+app.use('/api/combat', require('./routes/combat'));
 app.use('/api/siege', require('./routes/siege'));
+app.use('/api/forces', require('./routes/forces'));
 app.use('/api/locations', require('./routes/locations'));
 app.use('/api/plotpoints', require('./routes/plotpoints'));
 app.use('/api/preferences', require('./routes/preferences'));
 app.use('/api/layout', require('./routes/layout'));
 app.use('/api/reference', require('./routes/reference'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/staged-encounters', require('./routes/stagedencounters'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -1,5 +1,8 @@
 const db = require('../../database/db');
 
+// How characters level: experience thresholds or milestones chosen by the DM
+const PROGRESSION_MODES = ['xp', 'milestone'];
+
 /**
  * Campaign Model
  * Handles database operations for campaigns and session management
@@ -74,19 +77,31 @@ class Campaign {
       errors.push('Name must be a non-empty string');
     }
 
+    if (data.progression !== undefined && !PROGRESSION_MODES.includes(data.progression)) {
+      errors.push(`Progression must be one of: ${PROGRESSION_MODES.join(', ')}`);
+    }
+
     if (errors.length > 0) {
       throw new Error(`Validation failed: ${errors.join(', ')}`);
     }
 
+    // Progression is only set when given (it needs the progression migration)
+    const values = [data.name, id];
+    let progression = '';
+    if (data.progression !== undefined) {
+      values.push(data.progression);
+      progression = ', progression = $3';
+    }
+
     // Always update the updated_at timestamp
     const query = `
       UPDATE campaigns 
-      SET name = COALESCE($1, name), updated_at = CURRENT_TIMESTAMP
+      SET name = COALESCE($1, name)${progression}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $2
       RETURNING *
     `;
 
-    const result = await db.query(query, [data.name, id]);
+    const result = await db.query(query, values);
     return result.rows[0] || null;
   }
 
@@ -375,4 +390,6 @@ class Campaign {
   }
 }
 
+Campaign.PROGRESSION_MODES = PROGRESSION_MODES;
+
 module.exports = Campaign;
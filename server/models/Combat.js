@@ -0,0 +1,641 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const CombatLog = require('./CombatLog');
+const Condition = require('./Condition');
+const Concentration = require('./Concentration');
+const Conditions = require('../../shared/conditions');
+const { ValidationError } = require('../middleware/errorHandler');
+const { adjustDamage, mergeDefenses, normalizeDamageType } = require('../utils/damage');
+const HitPoints = require('../utils/hitPoints');
+
+/**
+ * Combat Model
+ * Resolves actions between combatants: rolls to hit against the target's AC,
+ * rolls damage, adjusts it for the target's resistances, immunities and
+ * vulnerabilities and applies it to the target's temporary and regular hit
+ * points. Conditions on the attacker and target grant advantage, disadvantage
+ * or automatic critical hits. Also resolves group saving throws against area
+ * effects, tracks death saving throws for PCs at 0 HP and checks the
+ * concentration of combatants who take damage.
+ */
+
+// What a successful save against a damaging effect leaves of the damage
+const SAVE_OUTCOMES = ['half', 'none'];
+
+class Combat {
+  /**
+   * Get the attacks a combatant can make, from its linked monster template
+   * @returns {Array|null} Attacks, or null if the combatant does not exist
+   */
+  static async getAttacks(combatantId, client = db) {
+    const result = await client.query(
+      `SELECT c.id, m.attacks
+       FROM combatants c
+       LEFT JOIN monster_instances mi ON mi.combatant_id = c.id
+       LEFT JOIN monsters m ON mi.monster_id = m.id
+       WHERE c.id = $1`,
+      [combatantId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const attacks = result.rows[0].attacks;
+    if (!attacks) {
+      return [];
+    }
+    return typeof attacks === 'string' ? JSON.parse(attacks) : attacks;
+  }
+
+  /**
+   * Get a combatant's damage defenses, combining its monster template with its own
+   * @returns {Object} { resistances, immunities, vulnerabilities }
+   */
+  static async getDefenses(combatantId, client = db) {
+    const result = await client.query(
+      `SELECT c.resistances, c.immunities, c.vulnerabilities,
+              m.resistances as template_resistances,
+              m.immunities as template_immunities,
+              m.vulnerabilities as template_vulnerabilities
+       FROM combatants c
+       LEFT JOIN monster_instances mi ON mi.combatant_id = c.id
+       LEFT JOIN monsters m ON mi.monster_id = m.id
+       WHERE c.id = $1`,
+      [combatantId]
+    );
+
+    const row = result.rows[0] || {};
+    return mergeDefenses(
+      {
+        resistances: row.template_resistances,
+        immunities: row.template_immunities,
+        vulnerabilities: row.template_vulnerabilities
+      },
+      row
+    );
+  }
+
+  /**
+   * Deal typed damage to a combatant, adjusted for its defenses
+   * Temporary hit points absorb the damage first; a PC at 0 HP fails death saves instead.
+   * A concentrating target gets a concentration check (see Concentration.check).
+   * @param {Object} data - { target_id, amount, type, magical, critical, roll_concentration, seed }
+   * @returns {Object} { target, adjustment, absorbed, instant_death, concentration } or null if the target does not exist
+   */
+  static async applyDamage(data) {
+    const amount = this._validateAmount(data, [
+      data.type && !normalizeDamageType(data.type) ? `Unknown damage type "${data.type}"` : null
+    ]);
+
+    return await this._updateHitPoints(data.target_id, (client, target) =>
+      this._dealDamage(client, target, amount, data.type, {
+        magical: data.magical,
+        critical: data.critical,
+        roll_concentration: data.roll_concentration,
+        rng: data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : undefined
+      })
+    );
+  }
+
+  /**
+   * Restore hit points (never above max HP); a dying PC who regains any is conscious again
+   * @param {Object} data - { target_id, amount }
+   * @returns {Object} { target } or null if the target does not exist
+   */
+  static async heal(data) {
+    const amount = this._validateAmount(data);
+
+    return await this._updateHitPoints(data.target_id, async (client, target) => {
+      if (target.is_dead) {
+        throw new ValidationError(`Validation failed: ${target.name} is dead`);
+      }
+      return { target: await this._saveHitPoints(client, target, HitPoints.heal(target, amount)) };
+    });
+  }
+
+  /**
+   * Grant temporary hit points; they do not stack, so the higher amount is kept
+   * @param {Object} data - { target_id, amount }
+   * @returns {Object} { target } or null if the target does not exist
+   */
+  static async grantTempHP(data) {
+    const amount = this._validateAmount(data);
+
+    return await this._updateHitPoints(data.target_id, async (client, target) => ({
+      target: await this._saveHitPoints(client, target, HitPoints.grantTempHP(target, amount))
+    }));
+  }
+
+  /**
+   * Make a death saving throw for a PC at 0 HP
+   * @param {Object} options - { roll (natural d20 rolled at the table), seed }
+   * @returns {Object} { target, roll, outcome } or null if the combatant does not exist
+   */
+  static async deathSave(combatantId, options = {}) {
+    const hasRoll = options.roll !== undefined && options.roll !== null && options.roll !== '';
+    const natural = hasRoll ? parseInt(options.roll) : null;
+    if (hasRoll && (isNaN(natural) || natural < 1 || natural > 20)) {
+      throw new ValidationError('Validation failed: Roll must be a number between 1 and 20');
+    }
+
+    return await this._updateHitPoints(combatantId, async (client, target) => {
+      this._assertDying(target);
+      if (target.is_stable) {
+        throw new ValidationError(`Validation failed: ${target.name} is stable`);
+      }
+
+      const roll = hasRoll
+        ? { natural, total: natural, breakdown: `${natural}` }
+        : Dice.roll('1d20', { seed: options.seed });
+      const { changes, outcome } = HitPoints.deathSave(target, roll.natural);
+
+      return {
+        target: await this._saveHitPoints(client, target, changes),
+        roll,
+        outcome
+      };
+    });
+  }
+
+  /**
+   * Stabilize a PC at 0 HP (e.g. a successful Medicine check or Spare the Dying)
+   * @returns {Object} { target } or null if the combatant does not exist
+   */
+  static async stabilize(combatantId) {
+    return await this._updateHitPoints(combatantId, async (client, target) => {
+      this._assertDying(target);
+      return { target: await this._saveHitPoints(client, target, HitPoints.stabilize(target)) };
+    });
+  }
+
+  /**
+   * Work out the advantage, disadvantage and automatic critical hits that the
+   * attacker's and target's conditions give an attack, without rolling it
+   * @param {Object} data - { attacker_id, target_id, attack (index or name), within_5_feet }
+   * @returns {Object} Modifiers ({ advantage, disadvantage, auto_critical, incapacitated, reasons }) or null if a combatant does not exist
+   */
+  static async getAttackModifiers(data) {
+    this._validateAttack(data);
+
+    const attacker = await this._findCombatant(db, data.attacker_id, false);
+    const target = await this._findCombatant(db, data.target_id, false);
+    if (!attacker || !target) {
+      return null;
+    }
+
+    const attack = await this._resolveAttack(db, attacker, target, data.attack);
+    return await this._attackModifiers(db, attacker, target, attack, data);
+  }
+
+  /**
+   * Make an attack: roll d20 + bonus against the target's AC and apply the damage on a hit
+   * A natural 20 always hits and doubles the damage dice; a natural 1 always misses.
+   * Conditions add advantage or disadvantage (see getAttackModifiers) and an
+   * incapacitated attacker cannot attack. Damage of the attack's type is
+   * adjusted for the target's defenses.
+   * @param {Object} data - { attacker_id, target_id, attack (index or name), advantage, disadvantage, within_5_feet, roll_concentration, seed }
+   * @returns {Object} { attacker, target, attack, hit, critical, attack_roll, damage_roll, damage, adjustment, absorbed, modifiers, concentration, log }
+   */
+  static async attack(data) {
+    this._validateAttack(data);
+
+    return await db.transaction(async (client) => {
+      const attacker = await this._findCombatant(client, data.attacker_id, false);
+      if (!attacker) {
+        return null;
+      }
+
+      // The target row is locked so simultaneous hits cannot overwrite each other's damage
+      const target = await this._findCombatant(client, data.target_id, true);
+      if (!target) {
+        return null;
+      }
+
+      const attack = await this._resolveAttack(client, attacker, target, data.attack);
+      const modifiers = await this._attackModifiers(client, attacker, target, attack, data);
+      if (modifiers.incapacitated) {
+        throw new ValidationError(`Validation failed: ${attacker.name} is incapacitated and cannot attack`);
+      }
+
+      const rng = data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : undefined;
+      const attackRoll = this.rollToHit(attack, {
+        advantage: data.advantage || modifiers.advantage,
+        disadvantage: data.disadvantage || modifiers.disadvantage,
+        rng
+      });
+
+      const hit = attackRoll.natural === 20 || (attackRoll.natural !== 1 && attackRoll.total >= target.ac);
+      const critical = hit && (attackRoll.natural === 20 || modifiers.auto_critical);
+
+      let damageRoll = null;
+      let damage = 0;
+      let adjustment = null;
+      let absorbed = 0;
+      let updatedTarget = target;
+      let adjusted = false;
+      let concentration = null;
+
+      if (hit && attack.damage) {
+        const expression = critical ? Dice.critical(attack.damage) : attack.damage;
+        damageRoll = Dice.roll(expression, { rng });
+
+        const dealt = await this._dealDamage(client, target, damageRoll.total, attack.type, {
+          magical: attack.magical,
+          critical,
+          roll_concentration: data.roll_concentration,
+          rng
+        });
+        updatedTarget = dealt.target;
+        adjustment = dealt.adjustment;
+        absorbed = dealt.absorbed;
+        concentration = dealt.concentration;
+        damage = adjustment.amount;
+        adjusted = adjustment.immune || adjustment.resistant || adjustment.vulnerable;
+      }
+
+      const log = await CombatLog.record({
+        campaign_id: attacker.campaign_id,
+        combatant_id: attacker.id,
+        combatant_name: attacker.name,
+        action: 'attack',
+        field: null,
+        old_value: null,
+        new_value: {
+          attack: attack.name,
+          target_id: target.id,
+          target_name: target.name,
+          target_ac: target.ac,
+          hit,
+          critical,
+          attack_roll: { natural: attackRoll.natural, total: attackRoll.total, breakdown: attackRoll.breakdown },
+          damage,
+          damage_type: attack.type || null,
+          damage_breakdown: damageRoll ? damageRoll.breakdown : null,
+          damage_adjustment: adjusted ? adjustment.explanation : null,
+          modifiers: modifiers.reasons
+        }
+      }, client);
+
+      // Logged separately so that undo restores the target's HP
+      await CombatLog.recordChanges(target, updatedTarget, client);
+
+      return {
+        attacker,
+        target: updatedTarget,
+        attack,
+        hit,
+        critical,
+        attack_roll: attackRoll,
+        damage_roll: damageRoll,
+        damage,
+        adjustment,
+        absorbed,
+        modifiers,
+        concentration,
+        log
+      };
+    });
+  }
+
+  /**
+   * Make every target of an area effect roll the same saving throw and apply the
+   * effect's damage: full on a failure, half (rounded down) or none on a success.
+   * The damage is rolled once for all targets and then adjusted for each
+   * target's defenses. Conditions give disadvantage or automatic failures.
+   * @param {Object} data - { target_ids, ability, dc, damage (dice expression or number), type, magical,
+   *   on_success ('half' or 'none'), source_id, effect, roll_concentration, seed }
+   * @returns {Object} { effect, ability, dc, damage_roll, results, log } or null if a combatant does not exist;
+   *   each result is { target, roll, success, modifiers, damage, adjustment, absorbed, instant_death, concentration }
+   */
+  static async groupSave(data) {
+    const targetIds = this._validateGroupSave(data);
+    const hasDamage = this._isSet(data.damage);
+    const onSuccess = data.on_success || 'half';
+
+    return await db.transaction(async (client) => {
+      // Rows are locked in ID order so overlapping group saves cannot deadlock
+      const locked = await client.query(
+        'SELECT * FROM combatants WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [targetIds]
+      );
+      if (locked.rows.length !== targetIds.length) {
+        return null;
+      }
+
+      const source = data.source_id ? await this._findCombatant(client, data.source_id, false) : null;
+      if (data.source_id && !source) {
+        return null;
+      }
+
+      const campaignId = (source || locked.rows[0]).campaign_id;
+      if (locked.rows.some(target => target.campaign_id !== campaignId)) {
+        throw new ValidationError('Validation failed: Source and targets must be in the same campaign');
+      }
+
+      const rng = data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : undefined;
+      const damageRoll = hasDamage ? Dice.roll(String(data.damage), { rng }) : null;
+      const dc = parseInt(data.dc);
+
+      const results = [];
+      for (const id of targetIds) {
+        const target = locked.rows.find(row => row.id === id);
+        const modifiers = Conditions.saveModifiers(await Condition.getNames(target.id, client), data.ability);
+        const modifier = target[`save_${data.ability}`] || 0;
+        const roll = Dice.roll(modifier < 0 ? `1d20${modifier}` : `1d20+${modifier}`, {
+          rng,
+          disadvantage: modifiers.disadvantage
+        });
+        const success = !modifiers.auto_fail && roll.total >= dc;
+
+        let outcome = { target, adjustment: null, absorbed: 0, instant_death: false, concentration: null };
+        if (damageRoll) {
+          const amount = this.saveDamage(damageRoll.total, success, onSuccess);
+          outcome = await this._dealDamage(client, target, amount, data.type, {
+            magical: data.magical,
+            roll_concentration: data.roll_concentration,
+            rng
+          });
+          await CombatLog.recordChanges(target, outcome.target, client);
+        }
+
+        results.push({
+          ...outcome,
+          roll,
+          success,
+          modifiers,
+          damage: outcome.adjustment ? outcome.adjustment.amount : 0
+        });
+      }
+
+      const effect = data.effect ? String(data.effect).trim() : null;
+      const log = await CombatLog.record({
+        campaign_id: campaignId,
+        combatant_id: source ? source.id : null,
+        combatant_name: source ? source.name : effect,
+        action: 'group_save',
+        field: null,
+        old_value: null,
+        new_value: {
+          effect,
+          ability: data.ability,
+          dc,
+          damage: damageRoll ? damageRoll.total : null,
+          damage_type: data.type || null,
+          damage_breakdown: damageRoll ? damageRoll.breakdown : null,
+          on_success: onSuccess,
+          results: results.map(result => ({
+            target_id: result.target.id,
+            target_name: result.target.name,
+            total: result.roll.total,
+            success: result.success,
+            damage: result.damage,
+            modifiers: result.modifiers.reasons
+          }))
+        }
+      }, client);
+
+      return { effect, ability: data.ability, dc, damage_roll: damageRoll, results, log };
+    });
+  }
+
+  /**
+   * Damage left after a saving throw against an effect
+   * @param {string} onSuccess - 'half' (rounded down) or 'none'
+   */
+  static saveDamage(amount, success, onSuccess = 'half') {
+    if (!success) {
+      return amount;
+    }
+    return onSuccess === 'none' ? 0 : Math.floor(amount / 2);
+  }
+
+  /**
+   * Roll to hit for an attack
+   * @param {Object} attack - { bonus }
+   * @param {Object} options - Dice roll options ({ advantage, disadvantage, rng, seed })
+   */
+  static rollToHit(attack, options = {}) {
+    const bonus = parseInt(attack.bonus) || 0;
+    const expression = bonus < 0 ? `1d20${bonus}` : `1d20+${bonus}`;
+    return Dice.roll(expression, options);
+  }
+
+  /**
+   * Adjust damage for the target's defenses, subtract it from its temp HP, then HP,
+   * and check the target's concentration
+   * @private
+   */
+  static async _dealDamage(client, target, amount, type, options = {}) {
+    const defenses = await this.getDefenses(target.id, client);
+    const adjustment = adjustDamage(amount, type, defenses, options);
+    const { changes, absorbed, instant_death } = HitPoints.takeDamage(target, adjustment.amount, options);
+    const damaged = await this._saveHitPoints(client, target, changes);
+
+    const check = await Concentration.check(client, damaged, adjustment.amount, {
+      roll: options.roll_concentration,
+      rng: options.rng
+    });
+    const { combatant, ...concentration } = check || {};
+
+    return {
+      target: combatant || damaged,
+      adjustment,
+      absorbed,
+      instant_death,
+      concentration: check ? concentration : null
+    };
+  }
+
+  /**
+   * Lock a combatant, apply a hit point change and log it
+   * @param {Function} apply - (client, target) => result with the updated target
+   * @private
+   */
+  static async _updateHitPoints(targetId, apply) {
+    return await db.transaction(async (client) => {
+      const target = await this._findCombatant(client, targetId, true);
+      if (!target) {
+        return null;
+      }
+
+      const result = await apply(client, target);
+      await CombatLog.recordChanges(target, result.target, client);
+      return result;
+    });
+  }
+
+  /**
+   * Write hit point fields, skipping the update when nothing changed
+   * @private
+   */
+  static async _saveHitPoints(client, target, changes) {
+    const fields = Object.keys(changes).filter(field => changes[field] !== target[field]);
+    if (fields.length === 0) {
+      return target;
+    }
+
+    const result = await client.query(
+      `UPDATE combatants SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), target.id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Validate the target and amount of a hit point change
+   * @param {Array} extraErrors - Additional error messages (null entries are ignored)
+   * @returns {number} The parsed amount
+   * @private
+   */
+  static _validateAmount(data, extraErrors = []) {
+    const amount = parseInt(data.amount);
+    const errors = [];
+    if (!data.target_id) errors.push('Target is required');
+    if (isNaN(amount) || amount < 0) errors.push('Amount must be a non-negative number');
+    errors.push(...extraErrors.filter(Boolean));
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+    return amount;
+  }
+
+  /**
+   * Validate a group save and return the distinct target IDs
+   * @private
+   */
+  static _validateGroupSave(data) {
+    const ids = Array.isArray(data.target_ids) ? data.target_ids.map(id => parseInt(id)) : [];
+    const dc = parseInt(data.dc);
+    const errors = [];
+    if (ids.length === 0 || ids.some(id => isNaN(id))) errors.push('At least one target is required');
+    if (!Condition.SAVE_ABILITIES.includes(data.ability)) {
+      errors.push(`Ability must be one of: ${Condition.SAVE_ABILITIES.join(', ')}`);
+    }
+    if (isNaN(dc) || dc < 1 || dc > 30) errors.push('DC must be a number between 1 and 30');
+    if (this._isSet(data.damage) && !Dice.isValid(String(data.damage))) {
+      errors.push(`Invalid damage "${data.damage}"`);
+    }
+    if (data.type && !normalizeDamageType(data.type)) errors.push(`Unknown damage type "${data.type}"`);
+    if (data.on_success && !SAVE_OUTCOMES.includes(data.on_success)) {
+      errors.push(`On success must be one of: ${SAVE_OUTCOMES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  /**
+   * Only PCs at 0 HP who are still alive make death saves or can be stabilized
+   * @private
+   */
+  static _assertDying(target) {
+    if (!HitPoints.makesDeathSaves(target)) {
+      throw new ValidationError('Validation failed: Only PCs make death saving throws');
+    }
+    if (target.is_dead) {
+      throw new ValidationError(`Validation failed: ${target.name} is dead`);
+    }
+    if (target.current_hp > 0) {
+      throw new ValidationError(`Validation failed: ${target.name} is not dying`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _validateAttack(data) {
+    const errors = [];
+    if (!data.attacker_id) errors.push('Attacker is required');
+    if (!data.target_id) errors.push('Target is required');
+    if (data.attack === undefined || data.attack === null || data.attack === '') errors.push('Attack is required');
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check both combatants are in the same campaign and look up the attack
+   * @private
+   */
+  static async _resolveAttack(client, attacker, target, key) {
+    if (attacker.campaign_id !== target.campaign_id) {
+      throw new ValidationError('Validation failed: Attacker and target must be in the same campaign');
+    }
+
+    const attacks = await this.getAttacks(attacker.id, client);
+    const attack = this._findAttack(attacks, key);
+    if (!attack) {
+      throw new ValidationError(`Validation failed: ${attacker.name} has no attack "${key}"`);
+    }
+    return attack;
+  }
+
+  /**
+   * Condition modifiers for an attack; melee attacks are made from within 5 feet
+   * unless within_5_feet says otherwise
+   * @private
+   */
+  static async _attackModifiers(client, attacker, target, attack, data) {
+    const withinFiveFeet = data.within_5_feet !== undefined && data.within_5_feet !== null
+      ? Boolean(data.within_5_feet)
+      : !this._isRanged(attack);
+
+    return Conditions.attackModifiers(
+      await Condition.getNames(attacker.id, client),
+      await Condition.getNames(target.id, client),
+      { within_5_feet: withinFiveFeet }
+    );
+  }
+
+  /**
+   * Stat block attacks are ranged when flagged or described as such ("Ranged Weapon Attack")
+   * @private
+   */
+  static _isRanged(attack) {
+    return attack.ranged === true || /\branged\b/i.test(attack.description || '');
+  }
+
+  /**
+   * Find an attack by list index or case-insensitive name
+   * @private
+   */
+  static _findAttack(attacks, key) {
+    if (!attacks || attacks.length === 0) {
+      return null;
+    }
+
+    if (typeof key === 'number' || /^\d+$/.test(String(key))) {
+      return attacks[parseInt(key)] || null;
+    }
+
+    const name = String(key).trim().toLowerCase();
+    return attacks.find(a => a.name && a.name.toLowerCase() === name) || null;
+  }
+
+  /**
+   * Load a combatant, optionally locking the row
+   * @private
+   */
+  static async _findCombatant(client, id, lock) {
+    const result = await client.query(
+      `SELECT * FROM combatants WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+Combat.SAVE_OUTCOMES = SAVE_OUTCOMES;
+
+module.exports = Combat;
@@ -0,0 +1,264 @@
+const db = require('../../database/db');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * CombatLog Model
+ * Records every change made to a combatant during play so that
+ * mistakes can be reviewed and undone
+ */
+
+const ACTIONS = ['update', 'condition_added', 'condition_removed', 'attack', 'group_save'];
+
+// Actions that change a combatant and can be reverted; attack and group save
+// entries only describe the outcome, the HP changes they cause are logged as updates
+const UNDOABLE_ACTIONS = ['update', 'condition_added', 'condition_removed'];
+
+// Combatant columns whose changes are logged (and may be written back by undo)
+const TRACKED_FIELDS = [
+  'current_hp', 'max_hp', 'initiative', 'ac', 'notes',
+  'temp_hp', 'death_save_successes', 'death_save_failures', 'is_stable', 'is_dead',
+  'concentration_spell', 'hit_dice_used'
+];
+
+class CombatLog {
+  /**
+   * Record a single log entry
+   * Round and encounter are taken from the campaign's running encounter
+   * @param {Object} entry - { campaign_id, combatant_id, combatant_name, action, field, old_value, new_value }
+   * @param {Object} client - Database client (pass a transaction client to log atomically)
+   */
+  static async record(entry, client = db) {
+    if (!ACTIONS.includes(entry.action)) {
+      throw new ValidationError(`Validation failed: Action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const encounter = await this._currentEncounter(entry.campaign_id, client);
+
+    const query = `
+      INSERT INTO combat_log (
+        campaign_id, encounter_id, combatant_id, combatant_name,
+        action, field, old_value, new_value, round
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      entry.campaign_id,
+      encounter ? encounter.id : null,
+      entry.combatant_id,
+      entry.combatant_name || null,
+      entry.action,
+      entry.field || null,
+      entry.old_value === undefined ? null : JSON.stringify(entry.old_value),
+      entry.new_value === undefined ? null : JSON.stringify(entry.new_value),
+      encounter ? encounter.current_round : null
+    ];
+
+    const result = await client.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Compare a combatant before and after an update and log each tracked field that changed
+   * @returns {Array} Log entries created
+   */
+  static async recordChanges(before, after, client = db) {
+    if (!before || !after) {
+      return [];
+    }
+
+    const entries = [];
+    for (const field of TRACKED_FIELDS) {
+      if (after[field] === undefined || before[field] === after[field]) {
+        continue;
+      }
+
+      entries.push(await this.record({
+        campaign_id: after.campaign_id,
+        combatant_id: after.id,
+        combatant_name: after.name,
+        action: 'update',
+        field,
+        old_value: before[field],
+        new_value: after[field]
+      }, client));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Log a condition being applied to a combatant
+   */
+  static async recordConditionAdded(combatant, condition, client = db) {
+    return await this.record({
+      campaign_id: combatant.campaign_id,
+      combatant_id: combatant.id,
+      combatant_name: combatant.name,
+      action: 'condition_added',
+      field: 'condition',
+      old_value: null,
+      new_value: condition
+    }, client);
+  }
+
+  /**
+   * Log a condition being removed from a combatant
+   */
+  static async recordConditionRemoved(combatant, condition, client = db) {
+    return await this.record({
+      campaign_id: combatant.campaign_id,
+      combatant_id: combatant.id,
+      combatant_name: combatant.name,
+      action: 'condition_removed',
+      field: 'condition',
+      old_value: condition,
+      new_value: null
+    }, client);
+  }
+
+  /**
+   * Get log entries for a campaign, newest first
+   * @param {Object} filters - { combatant_id, encounter_id, limit }
+   */
+  static async findByCampaign(campaignId, filters = {}) {
+    let query = 'SELECT * FROM combat_log WHERE campaign_id = $1';
+    const values = [campaignId];
+    let paramCount = 2;
+
+    if (filters.combatant_id) {
+      query += ` AND combatant_id = $${paramCount}`;
+      values.push(filters.combatant_id);
+      paramCount++;
+    }
+
+    if (filters.encounter_id) {
+      query += ` AND encounter_id = $${paramCount}`;
+      values.push(filters.encounter_id);
+      paramCount++;
+    }
+
+    query += ` ORDER BY id DESC LIMIT $${paramCount}`;
+    values.push(filters.limit || 50);
+
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Revert the last N log entries for a campaign, newest first
+   * Entries for combatants that have since been deleted are skipped
+   * @returns {Array} The reverted entries
+   */
+  static async undo(campaignId, count = 1) {
+    const parsedCount = parseInt(count);
+    if (isNaN(parsedCount) || parsedCount < 1 || parsedCount > 100) {
+      throw new ValidationError('Validation failed: Count must be between 1 and 100');
+    }
+
+    return await db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM combat_log
+         WHERE campaign_id = $1 AND reverted = false AND combatant_id IS NOT NULL
+           AND action = ANY($3)
+         ORDER BY id DESC
+         LIMIT $2
+         FOR UPDATE`,
+        [campaignId, parsedCount, UNDOABLE_ACTIONS]
+      );
+
+      return await this._revertEntries(client, result.rows);
+    });
+  }
+
+  /**
+   * Revert particular log entries, newest first, as part of a larger change
+   * Entries already reverted or for combatants that have since been deleted are skipped
+   * @param {Object} client - Transaction client of the change
+   * @param {Array} entryIds - IDs of the log entries
+   * @returns {Array} The reverted entries
+   */
+  static async revert(client, entryIds) {
+    if (entryIds.length === 0) {
+      return [];
+    }
+
+    const result = await client.query(
+      `SELECT * FROM combat_log
+       WHERE id = ANY($1) AND reverted = false AND combatant_id IS NOT NULL
+       ORDER BY id DESC
+       FOR UPDATE`,
+      [entryIds]
+    );
+    return await this._revertEntries(client, result.rows);
+  }
+
+  /**
+   * Apply the inverse of each entry and mark it reverted
+   * @private
+   */
+  static async _revertEntries(client, entries) {
+    const reverted = [];
+    for (const entry of entries) {
+      await this._revert(client, entry);
+      const updated = await client.query(
+        'UPDATE combat_log SET reverted = true WHERE id = $1 RETURNING *',
+        [entry.id]
+      );
+      reverted.push(updated.rows[0]);
+    }
+    return reverted;
+  }
+
+  /**
+   * Apply the inverse of a log entry
+   * @private
+   */
+  static async _revert(client, entry) {
+    if (entry.action === 'update') {
+      if (!TRACKED_FIELDS.includes(entry.field)) {
+        throw new ValidationError(`Cannot undo change to ${entry.field}`);
+      }
+
+      await client.query(
+        `UPDATE combatants SET ${entry.field} = $1 WHERE id = $2`,
+        [entry.old_value, entry.combatant_id]
+      );
+    } else if (entry.action === 'condition_added') {
+      await client.query(
+        'DELETE FROM combatant_conditions WHERE id = $1',
+        [entry.new_value.id]
+      );
+    } else if (entry.action === 'condition_removed') {
+      // Restore every column (including any duration) with the original ID so
+      // older log entries still refer to it
+      await client.query(
+        `INSERT INTO combatant_conditions
+         SELECT * FROM jsonb_populate_record(NULL::combatant_conditions, $1::jsonb)
+         ON CONFLICT (id) DO NOTHING`,
+        [JSON.stringify({ ...entry.old_value, combatant_id: entry.combatant_id })]
+      );
+    }
+  }
+
+  /**
+   * Get the running encounter for a campaign, if any
+   * @private
+   */
+  static async _currentEncounter(campaignId, client) {
+    const result = await client.query(
+      `SELECT id, current_round FROM encounters
+       WHERE campaign_id = $1 AND status = 'active'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [campaignId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+CombatLog.ACTIONS = ACTIONS;
+CombatLog.UNDOABLE_ACTIONS = UNDOABLE_ACTIONS;
+CombatLog.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = CombatLog;
@@ -1,4 +1,5 @@
 const db = require('../../database/db');
+const Abilities = require('../../shared/abilities');
 const {
   validateString,
   validateCombatantType,
@@ -123,8 +124,9 @@ class Combatant {
 
   /**
    * Create a new combatant
+   * @param {Object} client - Database client (pass a transaction client to create atomically)
    */
-  static async create(campaignId, data) {
+  static async create(campaignId, data, client = db) {
     const errors = this.validate(data);
     if (errors.length > 0) {
       throw new Error(`Validation failed: ${errors.join(', ')}`);
@@ -161,7 +163,7 @@ class Combatant {
       data.notes ? sanitizeString(data.notes) : null
     ];
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
@@ -246,6 +248,47 @@ class Combatant {
     return result.rows[0] || null;
   }
 
+  /**
+   * The character sheet worked out from a combatant's ability scores
+   * @returns {Object} { combatant_id, name, level, sheet } where sheet is null without
+   *   all six ability scores, or null if the combatant does not exist
+   */
+  static async getSheet(id) {
+    const combatant = await this.findById(id);
+    if (!combatant) {
+      return null;
+    }
+
+    return {
+      combatant_id: combatant.id,
+      name: combatant.name,
+      level: combatant.level,
+      sheet: Abilities.sheet(combatant)
+    };
+  }
+
+  /**
+   * Write the saving throw modifiers worked out from a combatant's ability scores,
+   * proficiencies and level; a combatant without all six scores keeps its own
+   * @param {Object} client - Database client (pass a transaction client to update atomically)
+   * @returns {Object} The combatant with its saves up to date
+   */
+  static async syncSaves(combatant, client = db) {
+    const saves = Abilities.saveColumns(combatant);
+    const fields = saves ? Object.keys(saves).filter(field => saves[field] !== combatant[field]) : [];
+    if (fields.length === 0) {
+      return combatant;
+    }
+
+    const result = await client.query(
+      `UPDATE combatants SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => saves[field]), combatant.id]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Delete combatant
    */
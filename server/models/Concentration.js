@@ -0,0 +1,247 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const Conditions = require('../../shared/conditions');
+const CombatLog = require('./CombatLog');
+const Condition = require('./Condition');
+const { validateString, validateNumber, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Concentration Model
+ * Tracks the spell each combatant is concentrating on. Damage calls for a
+ * Constitution save (DC 10 or half the damage, whichever is higher); failing
+ * it, dropping to 0 HP or becoming incapacitated ends the spell and removes
+ * the conditions it was maintaining on other combatants.
+ */
+
+const MIN_DC = 10;
+
+class Concentration {
+  /**
+   * Save DC for concentration after taking damage
+   */
+  static saveDC(damage) {
+    return Math.max(MIN_DC, Math.floor(damage / 2));
+  }
+
+  /**
+   * Get the spell a combatant is concentrating on and the conditions it maintains
+   * @returns {Object} { spell, conditions } or null if the combatant does not exist
+   */
+  static async find(combatantId) {
+    const result = await db.query(
+      'SELECT * FROM combatants WHERE id = $1',
+      [combatantId]
+    );
+    const caster = result.rows[0];
+    if (!caster) {
+      return null;
+    }
+
+    const conditions = await db.query(
+      `SELECT * FROM combatant_conditions
+       WHERE source_combatant_id = $1 AND concentration
+       ORDER BY applied_at`,
+      [caster.id]
+    );
+
+    return { spell: caster.concentration_spell || null, conditions: conditions.rows };
+  }
+
+  /**
+   * Start concentrating on a spell; concentration on any other spell ends first
+   * @param {Object} data - { spell }
+   * @returns {Object} { combatant, ended: { spell, removed } of the previous spell or null } or null if the combatant does not exist
+   */
+  static async start(combatantId, data) {
+    const spellResult = validateString(data.spell, {
+      required: true,
+      minLength: 1,
+      maxLength: 255,
+      fieldName: 'Spell'
+    });
+    if (!spellResult.valid) {
+      throw new ValidationError(`Validation failed: ${spellResult.error}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const caster = await this._lock(client, combatantId);
+      if (!caster) {
+        return null;
+      }
+
+      return await this.begin(client, caster, data.spell);
+    });
+  }
+
+  /**
+   * Start concentrating inside a transaction that has locked the caster
+   * (starting concentration on its own, or casting a concentration spell)
+   * @returns {Object} { combatant, ended }
+   */
+  static async begin(client, caster, spell) {
+    const names = await Condition.getNames(caster.id, client);
+    if (Conditions.expand(names).conditions.includes('incapacitated')) {
+      throw new ValidationError(`Validation failed: ${caster.name} is incapacitated and cannot concentrate`);
+    }
+
+    let ended = null;
+    if (caster.concentration_spell) {
+      const broken = await Condition.breakConcentration(client, caster);
+      ended = { spell: broken.spell, removed: broken.removed };
+    }
+
+    const result = await client.query(
+      'UPDATE combatants SET concentration_spell = $1 WHERE id = $2 RETURNING *',
+      [sanitizeString(spell), caster.id]
+    );
+    await CombatLog.recordChanges(caster, result.rows[0], client);
+
+    return { combatant: result.rows[0], ended };
+  }
+
+  /**
+   * Stop concentrating, removing the conditions the spell maintained
+   * @returns {Object} { combatant, spell, removed } or null if the combatant does not exist
+   */
+  static async end(combatantId) {
+    return await db.transaction(async (client) => {
+      const caster = await this._lock(client, combatantId);
+      if (!caster) {
+        return null;
+      }
+
+      this._assertConcentrating(caster);
+      const broken = await Condition.breakConcentration(client, caster);
+      await CombatLog.recordChanges(caster, broken.caster, client);
+
+      return { combatant: broken.caster, spell: broken.spell, removed: broken.removed };
+    });
+  }
+
+  /**
+   * Make a Constitution save to keep concentrating; failure ends the spell
+   * @param {Object} options - { dc, total (rolled at the table, modifiers included), seed }
+   * @returns {Object} { combatant, spell, dc, roll, success, modifiers, removed } or null if the combatant does not exist
+   */
+  static async rollSave(combatantId, options = {}) {
+    const dcResult = validateNumber(options.dc, { min: MIN_DC, max: 99, allowFloat: false, fieldName: 'DC' });
+    const hasTotal = options.total !== undefined && options.total !== null && options.total !== '';
+    const totalResult = hasTotal ? validateNumber(options.total, { allowFloat: false, fieldName: 'Total' }) : null;
+    const dc = dcResult.value;
+    const total = hasTotal ? totalResult.value : null;
+
+    const errors = [];
+    if (!dcResult.valid) errors.push(dcResult.error);
+    if (hasTotal && !totalResult.valid) errors.push(totalResult.error);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const caster = await this._lock(client, combatantId);
+      if (!caster) {
+        return null;
+      }
+
+      this._assertConcentrating(caster);
+      const result = await this._save(client, caster, dc, hasTotal ? { total } : { seed: options.seed });
+      await CombatLog.recordChanges(caster, result.combatant, client);
+      return result;
+    });
+  }
+
+  /**
+   * Check a combatant's concentration after it took damage
+   * Dropping to 0 HP ends concentration. Otherwise a save is due: rolled here when
+   * options.roll is set, or returned as pending for the table to roll.
+   * The caller logs the change to the combatant along with the damage.
+   * @param {Object} client - Transaction client of the damage
+   * @param {Object} target - Combatant row after the damage
+   * @param {number} damage - Damage taken (before temporary hit points)
+   * @param {Object} options - { roll, rng }
+   * @returns {Object|null} null when the combatant is not concentrating or took no damage, otherwise
+   *   { spell, dc, pending } or { spell, dc, roll, success, modifiers, removed, combatant }
+   */
+  static async check(client, target, damage, options = {}) {
+    if (!target.concentration_spell || damage <= 0) {
+      return null;
+    }
+
+    const dc = this.saveDC(damage);
+
+    if (target.current_hp === 0 || target.is_dead) {
+      const broken = await Condition.breakConcentration(client, target);
+      return {
+        spell: broken.spell,
+        dc,
+        roll: null,
+        success: false,
+        reason: `${target.name} dropped to 0 HP`,
+        removed: broken.removed,
+        combatant: broken.caster
+      };
+    }
+
+    if (!options.roll) {
+      return { spell: target.concentration_spell, dc, pending: true };
+    }
+
+    return await this._save(client, target, dc, { rng: options.rng });
+  }
+
+  /**
+   * Roll (or take the given total of) a Constitution save, ending concentration on a failure
+   * @private
+   */
+  static async _save(client, caster, dc, options) {
+    const modifiers = Conditions.saveModifiers(await Condition.getNames(caster.id, client), 'constitution');
+
+    let roll;
+    if (options.total !== undefined) {
+      roll = { natural: null, total: options.total, breakdown: `${options.total}` };
+    } else {
+      const modifier = caster.save_constitution || 0;
+      roll = Dice.roll(modifier < 0 ? `1d20${modifier}` : `1d20+${modifier}`, {
+        seed: options.seed,
+        rng: options.rng,
+        disadvantage: modifiers.disadvantage
+      });
+    }
+
+    const success = !modifiers.auto_fail && roll.total >= dc;
+    let removed = [];
+    let combatant = caster;
+    if (!success) {
+      const broken = await Condition.breakConcentration(client, caster);
+      removed = broken.removed;
+      combatant = broken.caster;
+    }
+
+    return { spell: caster.concentration_spell, dc, roll, success, modifiers, removed, combatant };
+  }
+
+  /**
+   * @private
+   */
+  static _assertConcentrating(caster) {
+    if (!caster.concentration_spell) {
+      throw new ValidationError(`Validation failed: ${caster.name} is not concentrating on a spell`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async _lock(client, id) {
+    const result = await client.query(
+      'SELECT * FROM combatants WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+Concentration.MIN_DC = MIN_DC;
+
+module.exports = Concentration;
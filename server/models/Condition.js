@@ -0,0 +1,508 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const Conditions = require('../../shared/conditions');
+const CombatLog = require('./CombatLog');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Condition Model
+ * Handles conditions on combatants with optional durations, expiry timing and
+ * repeat saving throws. Durations count down on encounter turn boundaries.
+ * The mechanical effects of each condition come from shared/conditions.js.
+ */
+
+// Whose turn a duration counts on: the affected creature or the source
+const EXPIRY_ANCHORS = ['target', 'source'];
+const EXPIRY_TIMINGS = ['start_of_turn', 'end_of_turn'];
+const SAVE_ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+class Condition {
+  /**
+   * Validate condition data
+   * @returns {Array} Error messages
+   */
+  static validate(data) {
+    const errors = [];
+
+    const nameResult = validateString(data.condition, {
+      required: true,
+      minLength: 1,
+      maxLength: 50,
+      fieldName: 'Condition'
+    });
+    if (!nameResult.valid) {
+      errors.push(nameResult.error);
+    }
+
+    if (this._isSet(data.duration_rounds)) {
+      const durationResult = validateNumber(data.duration_rounds, {
+        min: 1,
+        max: 1000,
+        allowFloat: false,
+        fieldName: 'Duration'
+      });
+      if (!durationResult.valid) {
+        errors.push(durationResult.error);
+      }
+    }
+
+    if (this._isSet(data.expires_on)) {
+      const anchorResult = validateEnum(data.expires_on, EXPIRY_ANCHORS, 'Expires on');
+      if (!anchorResult.valid) {
+        errors.push(anchorResult.error);
+      } else if (data.expires_on === 'source' && !this._isSet(data.source_combatant_id)) {
+        errors.push('A source combatant is required when the duration counts on the source\'s turns');
+      }
+    }
+
+    if (data.concentration && !this._isSet(data.source_combatant_id)) {
+      errors.push('A source combatant is required for a condition maintained by concentration');
+    }
+
+    if (this._isSet(data.expires_at)) {
+      const timingResult = validateEnum(data.expires_at, EXPIRY_TIMINGS, 'Expires at');
+      if (!timingResult.valid) {
+        errors.push(timingResult.error);
+      }
+    }
+
+    if (this._isSet(data.save_dc)) {
+      const dcResult = validateNumber(data.save_dc, {
+        min: 1,
+        max: 30,
+        allowFloat: false,
+        fieldName: 'Save DC'
+      });
+      if (!dcResult.valid) {
+        errors.push(dcResult.error);
+      }
+
+      const abilityResult = validateEnum(data.save_ability, SAVE_ABILITIES, 'Save ability');
+      if (!abilityResult.valid) {
+        errors.push(abilityResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply a condition to a combatant
+   * A duration in rounds counts down at the start or end of the affected creature's
+   * (or the source's) turns; the end of the turn during which it was applied does not count.
+   * Exhaustion is stored as "exhaustion N" and replaces any earlier exhaustion level.
+   * A condition with concentration set ends when its source stops concentrating, and
+   * a concentrating combatant who becomes incapacitated loses concentration.
+   * @param {Object} data - { condition, duration_rounds, expires_on, expires_at, source_combatant_id, save_dc, save_ability, concentration }
+   * @returns {Object} The condition (with concentration_broken when it ended the combatant's
+   *   concentration), or null if the combatant does not exist
+   */
+  static async add(combatantId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const combatant = await this._findCombatant(client, combatantId);
+      if (!combatant) {
+        return null;
+      }
+
+      const columns = {
+        combatant_id: combatant.id,
+        condition: sanitizeString(data.condition)
+      };
+
+      const parsed = Conditions.parse(data.condition);
+      if (parsed.name === 'exhaustion') {
+        columns.condition = Conditions.exhaustionName(parsed.level);
+        const previous = await client.query(
+          'SELECT * FROM combatant_conditions WHERE combatant_id = $1',
+          [combatant.id]
+        );
+        await this._remove(client, previous.rows.filter(row => Conditions.parse(row).name === 'exhaustion'));
+      }
+
+      if (this._isSet(data.source_combatant_id)) {
+        const source = await this._findCombatant(client, data.source_combatant_id);
+        if (!source || source.campaign_id !== combatant.campaign_id) {
+          throw new ValidationError('Validation failed: Source combatant must be in the same campaign');
+        }
+        columns.source_combatant_id = source.id;
+
+        if (data.concentration) {
+          if (!source.concentration_spell) {
+            throw new ValidationError(`Validation failed: ${source.name} is not concentrating on a spell`);
+          }
+          columns.concentration = true;
+        }
+      }
+
+      if (this._isSet(data.duration_rounds)) {
+        const rounds = parseInt(data.duration_rounds);
+        columns.duration_rounds = rounds;
+        columns.rounds_remaining = rounds;
+        columns.expires_on = data.expires_on || 'target';
+        columns.expires_at = data.expires_at || 'end_of_turn';
+      }
+
+      if (this._isSet(data.save_dc)) {
+        columns.save_dc = parseInt(data.save_dc);
+        columns.save_ability = data.save_ability;
+      }
+
+      if (columns.duration_rounds || columns.save_dc) {
+        columns.applied_during_turn_of = await this._activeCombatantId(client, combatant.campaign_id);
+      }
+
+      const names = Object.keys(columns);
+      const result = await client.query(
+        `INSERT INTO combatant_conditions (${names.join(', ')})
+         VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING *`,
+        names.map(name => columns[name])
+      );
+
+      await CombatLog.recordConditionAdded(combatant, result.rows[0], client);
+
+      const condition = result.rows[0];
+      if (combatant.concentration_spell) {
+        const names = await this.getNames(combatant.id, client);
+        if (Conditions.expand(names).conditions.includes('incapacitated')) {
+          const broken = await this.breakConcentration(client, combatant);
+          await CombatLog.recordChanges(combatant, broken.caster, client);
+          condition.concentration_broken = broken;
+        }
+      }
+      return condition;
+    });
+  }
+
+  /**
+   * End a combatant's concentration and remove the conditions it was maintaining
+   * The removals are logged; the caller logs the change to the caster with
+   * CombatLog.recordChanges, together with any other change it makes.
+   * @param {Object} client - Transaction client
+   * @param {Object} caster - Combatant row
+   * @returns {Object} { spell, removed: conditions removed, caster: updated combatant }
+   */
+  static async breakConcentration(client, caster) {
+    const linked = await client.query(
+      'SELECT * FROM combatant_conditions WHERE source_combatant_id = $1 AND concentration',
+      [caster.id]
+    );
+    await this._remove(client, linked.rows);
+
+    const result = await client.query(
+      'UPDATE combatants SET concentration_spell = NULL WHERE id = $1 RETURNING *',
+      [caster.id]
+    );
+
+    return { spell: caster.concentration_spell, removed: linked.rows, caster: result.rows[0] };
+  }
+
+  /**
+   * Lower a combatant's exhaustion level by one, e.g. after a long rest
+   * Both the removal of the old level and the new level are logged.
+   * @param {Object} client - Transaction client
+   * @returns {Object} { from, to } exhaustion levels, or null if the combatant is not exhausted
+   */
+  static async reduceExhaustion(client, combatant) {
+    const result = await client.query(
+      'SELECT * FROM combatant_conditions WHERE combatant_id = $1',
+      [combatant.id]
+    );
+    const exhaustion = result.rows.filter(row => Conditions.parse(row).name === 'exhaustion');
+    if (exhaustion.length === 0) {
+      return null;
+    }
+
+    const from = Math.max(...exhaustion.map(row => Conditions.parse(row).level));
+    await this._remove(client, exhaustion);
+
+    if (from > 1) {
+      const added = await client.query(
+        'INSERT INTO combatant_conditions (combatant_id, condition) VALUES ($1, $2) RETURNING *',
+        [combatant.id, Conditions.exhaustionName(from - 1)]
+      );
+      await CombatLog.recordConditionAdded(combatant, added.rows[0], client);
+    }
+
+    return { from, to: from - 1 };
+  }
+
+  /**
+   * Names of the conditions on a combatant
+   * @param {Object} client - Database client (defaults to the pool)
+   * @returns {Array} e.g. ['prone', 'exhaustion 2']
+   */
+  static async getNames(combatantId, client = db) {
+    const result = await client.query(
+      'SELECT condition FROM combatant_conditions WHERE combatant_id = $1 ORDER BY applied_at',
+      [combatantId]
+    );
+    return result.rows.map(row => row.condition);
+  }
+
+  /**
+   * The combined mechanical effects of a combatant's conditions
+   * @param {Object} options - { save: ability to work out saving throw modifiers for }
+   * @returns {Object} { conditions, implied, exhaustion, effects, summary, save } or null if the combatant does not exist
+   */
+  static async getEffects(combatantId, options = {}) {
+    const combatant = await this._findCombatant(db, combatantId);
+    if (!combatant) {
+      return null;
+    }
+
+    if (options.save && !SAVE_ABILITIES.includes(options.save)) {
+      throw new ValidationError(`Validation failed: Save must be one of: ${SAVE_ABILITIES.join(', ')}`);
+    }
+
+    const names = await this.getNames(combatant.id);
+    return {
+      ...Conditions.getEffects(names),
+      summary: Conditions.summarize(names),
+      save: options.save ? Conditions.saveModifiers(names, options.save) : null
+    };
+  }
+
+  /**
+   * Count down durations when one combatant's turn ends and the next one's starts,
+   * removing conditions that run out
+   * @param {Object} client - Transaction client of the turn change
+   * @param {number|null} endingId - Combatant whose turn is ending
+   * @param {number|null} startingId - Combatant whose turn is starting
+   * @returns {Object} { expired: removed conditions, pending_saves: repeat saves due at the
+   *   end of the ending turn, changed: whether any duration counted down, boundary: what
+   *   changed, for revertTurnBoundary }
+   */
+  static async processTurnBoundary(client, endingId, startingId) {
+    const pendingSaves = endingId ? await this._pendingSaves(client, endingId) : [];
+    const ticked = await this._tick(client, endingId, startingId);
+
+    let cleared = [];
+    if (endingId) {
+      // Later turn ends of that combatant count for conditions applied during this turn
+      const result = await client.query(
+        `UPDATE combatant_conditions SET applied_during_turn_of = NULL
+         WHERE applied_during_turn_of = $1
+         RETURNING id`,
+        [endingId]
+      );
+      cleared = result.rows.map(row => row.id);
+    }
+
+    const expired = ticked.filter(row => row.rounds_remaining <= 0);
+    const removals = await this._remove(client, expired);
+
+    // No save is needed against a condition that has just run out
+    const expiredIds = expired.map(row => row.id);
+    return {
+      expired,
+      pending_saves: pendingSaves.filter(save => !expiredIds.includes(save.condition_id)),
+      changed: ticked.length > 0,
+      boundary: {
+        ending_combatant_id: endingId,
+        ticked: ticked.map(row => row.id),
+        cleared,
+        removed_log_ids: removals.map(entry => entry.id)
+      }
+    };
+  }
+
+  /**
+   * Undo a turn change: conditions that ran out are restored (their removals
+   * in the combat log are reverted) and durations count back up
+   * @param {Object} client - Transaction client of the turn change
+   * @param {Object} boundary - What the turn change did, from processTurnBoundary
+   */
+  static async revertTurnBoundary(client, boundary) {
+    await CombatLog.revert(client, boundary.removed_log_ids);
+
+    if (boundary.ticked.length > 0) {
+      await client.query(
+        'UPDATE combatant_conditions SET rounds_remaining = rounds_remaining + 1 WHERE id = ANY($1)',
+        [boundary.ticked]
+      );
+    }
+
+    if (boundary.cleared.length > 0) {
+      await client.query(
+        'UPDATE combatant_conditions SET applied_during_turn_of = $1 WHERE id = ANY($2)',
+        [boundary.ending_combatant_id, boundary.cleared]
+      );
+    }
+  }
+
+  /**
+   * Roll a repeat saving throw against a condition; the condition ends on a success
+   * The combatant's conditions can make the save fail automatically (e.g. a
+   * paralyzed creature's DEX save) or roll it with disadvantage.
+   * @param {Object} options - { total (rolled at the table, modifiers included), seed }
+   * @returns {Object} { condition, roll, success, modifiers } or null if the condition does not exist
+   */
+  static async rollSave(combatantId, conditionId, options = {}) {
+    const hasTotal = this._isSet(options.total);
+    const total = hasTotal ? parseInt(options.total) : null;
+    if (hasTotal && isNaN(total)) {
+      throw new ValidationError('Validation failed: Total must be a number');
+    }
+
+    return await db.transaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM combatant_conditions
+         WHERE id = $1 AND combatant_id = $2
+         FOR UPDATE`,
+        [conditionId, combatantId]
+      );
+      const condition = result.rows[0];
+      if (!condition) {
+        return null;
+      }
+
+      if (!condition.save_dc) {
+        throw new ValidationError(`Validation failed: ${condition.condition} has no repeat saving throw`);
+      }
+
+      const combatant = await this._findCombatant(client, combatantId);
+      const modifiers = Conditions.saveModifiers(await this.getNames(combatantId, client), condition.save_ability);
+      let roll;
+      if (hasTotal) {
+        roll = { natural: null, total, breakdown: `${total}` };
+      } else {
+        const modifier = combatant[`save_${condition.save_ability}`] || 0;
+        roll = Dice.roll(modifier < 0 ? `1d20${modifier}` : `1d20+${modifier}`, {
+          seed: options.seed,
+          disadvantage: modifiers.disadvantage
+        });
+      }
+
+      const success = !modifiers.auto_fail && roll.total >= condition.save_dc;
+      if (success) {
+        await this._remove(client, [condition]);
+      }
+
+      return { condition, roll, success, modifiers };
+    });
+  }
+
+  /**
+   * Count down the conditions that tick at the end of the ending turn or the start
+   * of the starting one; the end of the turn a condition was applied in is skipped
+   * @returns {Array} Updated conditions
+   * @private
+   */
+  static async _tick(client, endingId, startingId) {
+    const result = await client.query(
+      `UPDATE combatant_conditions
+       SET rounds_remaining = rounds_remaining - 1
+       WHERE rounds_remaining IS NOT NULL
+         AND (
+           (expires_at = 'end_of_turn'
+             AND CASE WHEN expires_on = 'source' THEN source_combatant_id ELSE combatant_id END = $1
+             AND applied_during_turn_of IS DISTINCT FROM $1)
+           OR (expires_at = 'start_of_turn'
+             AND CASE WHEN expires_on = 'source' THEN source_combatant_id ELSE combatant_id END = $2)
+         )
+       RETURNING *`,
+      [endingId, startingId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Conditions on a combatant that allow a repeat save at the end of its turn,
+   * excluding those applied during the turn that is ending
+   * @private
+   */
+  static async _pendingSaves(client, combatantId) {
+    const result = await client.query(
+      `SELECT cc.id, cc.condition, cc.save_dc, cc.save_ability,
+              c.id as combatant_id, c.name as combatant_name,
+              c.save_strength, c.save_dexterity, c.save_constitution,
+              c.save_intelligence, c.save_wisdom, c.save_charisma
+       FROM combatant_conditions cc
+       JOIN combatants c ON cc.combatant_id = c.id
+       WHERE cc.combatant_id = $1
+         AND cc.save_dc IS NOT NULL
+         AND cc.applied_during_turn_of IS DISTINCT FROM $1
+       ORDER BY cc.applied_at`,
+      [combatantId]
+    );
+
+    return result.rows.map(row => ({
+      condition_id: row.id,
+      combatant_id: row.combatant_id,
+      combatant_name: row.combatant_name,
+      condition: row.condition,
+      save_dc: row.save_dc,
+      save_ability: row.save_ability,
+      modifier: row[`save_${row.save_ability}`] || 0
+    }));
+  }
+
+  /**
+   * Delete conditions and log each removal so it can be undone
+   * @returns {Array} The log entries of the removals
+   * @private
+   */
+  static async _remove(client, conditions) {
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    await client.query(
+      'DELETE FROM combatant_conditions WHERE id = ANY($1)',
+      [conditions.map(c => c.id)]
+    );
+
+    const entries = [];
+    for (const condition of conditions) {
+      const combatant = await this._findCombatant(client, condition.combatant_id);
+      entries.push(await CombatLog.recordConditionRemoved(combatant, condition, client));
+    }
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  static async _findCombatant(client, id) {
+    const result = await client.query(
+      'SELECT * FROM combatants WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The combatant whose turn it is in the campaign's running encounter, if any
+   * @private
+   */
+  static async _activeCombatantId(client, campaignId) {
+    const result = await client.query(
+      `SELECT active_combatant_id FROM encounters
+       WHERE campaign_id = $1 AND status = 'active'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [campaignId]
+    );
+    return result.rows[0] ? result.rows[0].active_combatant_id : null;
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+Condition.EXPIRY_ANCHORS = EXPIRY_ANCHORS;
+Condition.EXPIRY_TIMINGS = EXPIRY_TIMINGS;
+Condition.SAVE_ABILITIES = SAVE_ABILITIES;
+
+module.exports = Condition;
@@ -0,0 +1,661 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const CombatLog = require('./CombatLog');
+const Condition = require('./Condition');
+const Resource = require('./Resource');
+const { validateString, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Encounter Model
+ * Handles database operations for combat encounters, their participants,
+ * round counter, active turn pointer and turn history
+ */
+
+const ENCOUNTER_STATUSES = ['pending', 'active', 'ended'];
+
+// Participants are listed in turn order, mirroring the initiative tracker
+const PARTICIPANTS_QUERY = `
+  SELECT c.*,
+         ep.joined_round,
+         COALESCE(
+           json_agg(cc ORDER BY cc.applied_at) FILTER (WHERE cc.id IS NOT NULL),
+           '[]'
+         ) as conditions
+  FROM encounter_participants ep
+  JOIN combatants c ON ep.combatant_id = c.id
+  LEFT JOIN combatant_conditions cc ON c.id = cc.combatant_id
+  WHERE ep.encounter_id = $1
+  GROUP BY c.id, ep.joined_round
+  ORDER BY c.initiative DESC, c.initiative_tiebreak DESC NULLS LAST, c.name ASC
+`;
+
+// Participants with the DEX score used for initiative, preferring the monster template
+const INITIATIVE_QUERY = `
+  SELECT c.id, c.campaign_id, c.name, c.type, c.initiative, c.ac, c.current_hp, c.max_hp, c.notes,
+         mi.monster_id,
+         COALESCE(m.stat_dex, c.stat_dex, 10) as dex
+  FROM encounter_participants ep
+  JOIN combatants c ON ep.combatant_id = c.id
+  LEFT JOIN monster_instances mi ON mi.combatant_id = c.id
+  LEFT JOIN monsters m ON mi.monster_id = m.id
+  WHERE ep.encounter_id = $1
+  ORDER BY c.id
+  FOR UPDATE OF c
+`;
+
+class Encounter {
+  /**
+   * Validate encounter data
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (data.name !== undefined) {
+      const nameResult = validateString(data.name, {
+        required: true,
+        minLength: 1,
+        maxLength: 255,
+        fieldName: 'Name'
+      });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (data.status !== undefined) {
+      const statusResult = validateEnum(data.status, ENCOUNTER_STATUSES, 'Status');
+      if (!statusResult.valid) {
+        errors.push(statusResult.error);
+      }
+    }
+
+    if (data.combatant_ids !== undefined && !Array.isArray(data.combatant_ids)) {
+      errors.push('Combatant IDs must be an array');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a new encounter, optionally seeded with participants
+   */
+  static async create(campaignId, data = {}) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO encounters (campaign_id, name)
+         VALUES ($1, $2)
+         RETURNING *`,
+        [campaignId, data.name ? sanitizeString(data.name) : 'Combat Encounter']
+      );
+      const encounter = result.rows[0];
+
+      const combatantIds = await this._checkCombatants(client, campaignId, data.combatant_ids || []);
+      for (const combatantId of combatantIds) {
+        await client.query(
+          `INSERT INTO encounter_participants (encounter_id, combatant_id)
+           VALUES ($1, $2)
+           ON CONFLICT (encounter_id, combatant_id) DO NOTHING`,
+          [encounter.id, combatantId]
+        );
+      }
+
+      return encounter;
+    });
+  }
+
+  /**
+   * Get encounter by ID
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM encounters WHERE id = $1';
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all encounters for a campaign
+   */
+  static async findByCampaign(campaignId, status = null) {
+    let query = 'SELECT * FROM encounters WHERE campaign_id = $1';
+    const values = [campaignId];
+
+    if (status) {
+      query += ' AND status = $2';
+      values.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await db.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Get the encounter the initiative tracker should show
+   * (the most recent one that has not ended)
+   */
+  static async findCurrent(campaignId) {
+    const query = `
+      SELECT * FROM encounters
+      WHERE campaign_id = $1 AND status IN ('pending', 'active')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await db.query(query, [campaignId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get participants of an encounter with their conditions, in turn order
+   */
+  static async getParticipants(encounterId, client = db) {
+    const result = await client.query(PARTICIPANTS_QUERY, [encounterId]);
+    return result.rows;
+  }
+
+  /**
+   * Get encounter with participants
+   */
+  static async findByIdWithParticipants(id) {
+    const encounter = await this.findById(id);
+    if (!encounter) {
+      return null;
+    }
+
+    encounter.participants = await this.getParticipants(id);
+    return encounter;
+  }
+
+  /**
+   * Add a combatant to an encounter
+   */
+  static async addParticipant(encounterId, combatantId) {
+    const encounter = await this.findById(encounterId);
+    if (!encounter) {
+      return null;
+    }
+
+    if (encounter.status === 'ended') {
+      throw new ValidationError('Cannot add participants to an encounter that has ended');
+    }
+    await this._checkCombatants(db, encounter.campaign_id, [combatantId]);
+
+    await db.query(
+      `INSERT INTO encounter_participants (encounter_id, combatant_id, joined_round)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (encounter_id, combatant_id) DO NOTHING`,
+      [encounterId, combatantId, encounter.current_round]
+    );
+
+    return await this.findByIdWithParticipants(encounterId);
+  }
+
+  /**
+   * Remove a combatant from an encounter
+   * If it was their turn, the turn passes to whoever is next in order
+   */
+  static async removeParticipant(encounterId, combatantId) {
+    return await db.transaction(async (client) => {
+      const encounter = await this._lock(client, encounterId);
+      if (!encounter) {
+        return null;
+      }
+
+      const participants = await this.getParticipants(encounterId, client);
+      const removedIndex = participants.findIndex(p => p.id === parseInt(combatantId));
+
+      await client.query(
+        'DELETE FROM encounter_participants WHERE encounter_id = $1 AND combatant_id = $2',
+        [encounterId, combatantId]
+      );
+
+      if (encounter.status === 'active' && encounter.active_combatant_id === parseInt(combatantId)) {
+        const remaining = participants.filter(p => p.id !== parseInt(combatantId));
+        const next = remaining.length > 0 ? remaining[removedIndex % remaining.length] : null;
+        await this._setTurn(client, encounter, next, encounter.current_round);
+      }
+
+      const updated = await this._lock(client, encounterId);
+      updated.participants = await this.getParticipants(encounterId, client);
+      return updated;
+    });
+  }
+
+  /**
+   * Start an encounter: round 1, first combatant in initiative order is up
+   * Expended recharge abilities of the first combatant are rolled for (recharges).
+   */
+  static async start(id) {
+    return await db.transaction(async (client) => {
+      const encounter = await this._lock(client, id);
+      if (!encounter) {
+        return null;
+      }
+
+      if (encounter.status !== 'pending') {
+        throw new ValidationError(`Encounter is already ${encounter.status}`);
+      }
+
+      const participants = await this.getParticipants(id, client);
+      if (participants.length === 0) {
+        throw new ValidationError('Encounter has no participants');
+      }
+
+      await client.query(
+        `UPDATE encounters
+         SET status = 'active', started_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [id]
+      );
+      const turn = await this._setTurn(client, encounter, participants[0], 1);
+      const conditions = await Condition.processTurnBoundary(client, null, participants[0].id);
+      const recharges = await Resource.rollRecharges(client, participants[0].id);
+      await this._recordBoundary(client, turn, conditions.boundary, recharges);
+
+      const updated = await this._lock(client, id);
+      updated.participants = conditions.changed ? await this.getParticipants(id, client) : participants;
+      updated.expired_conditions = conditions.expired;
+      updated.pending_saves = conditions.pending_saves;
+      updated.recharges = recharges;
+      return updated;
+    });
+  }
+
+  /**
+   * Advance to the next combatant's turn
+   * Wrapping past the last combatant starts a new round. Condition durations count
+   * down, expired conditions are removed and repeat saves due at the end of the
+   * turn are returned as pending_saves. The incoming combatant rolls for its
+   * expended recharge abilities (recharges); moving into a turn that was
+   * stepped back from keeps the rolls made the first time.
+   */
+  static async nextTurn(id) {
+    return await db.transaction(async (client) => {
+      const encounter = await this._lock(client, id);
+      if (!encounter) {
+        return null;
+      }
+
+      if (encounter.status !== 'active') {
+        throw new ValidationError('Encounter is not active');
+      }
+
+      const participants = await this.getParticipants(id, client);
+      if (participants.length === 0) {
+        throw new ValidationError('Encounter has no participants');
+      }
+
+      const currentIndex = participants.findIndex(p => p.id === encounter.active_combatant_id);
+      let nextIndex = currentIndex + 1;
+      let round = encounter.current_round;
+
+      if (nextIndex >= participants.length) {
+        nextIndex = 0;
+        round++;
+      }
+
+      const replay = await this._takeUndoneTurn(client, encounter, participants[nextIndex], round);
+      const turn = await this._setTurn(client, encounter, participants[nextIndex], round);
+      const conditions = await Condition.processTurnBoundary(
+        client, encounter.active_combatant_id, participants[nextIndex].id
+      );
+      const naturals = replay
+        ? Object.fromEntries(replay.recharges.map(recharge => [recharge.resource_id, recharge.natural]))
+        : {};
+      const recharges = await Resource.rollRecharges(client, participants[nextIndex].id, undefined, naturals);
+      await this._recordBoundary(client, turn, conditions.boundary, recharges);
+
+      const updated = await this._lock(client, id);
+      updated.participants = conditions.changed ? await this.getParticipants(id, client) : participants;
+      updated.expired_conditions = conditions.expired;
+      updated.pending_saves = conditions.pending_saves;
+      updated.recharges = recharges;
+      return updated;
+    });
+  }
+
+  /**
+   * Step back to the previous combatant's turn
+   * Removes the latest turn history entry so the history stays accurate, and
+   * undoes what moving into that turn did: durations count back up,
+   * conditions that ran out are restored and recharge abilities it recharged
+   * are expended again, so stepping forward again counts durations down only
+   * once and keeps the recharge rolls.
+   * Fails if nobody is left in the encounter or the active combatant has been
+   * deleted, leaving the turn history untouched.
+   */
+  static async previousTurn(id) {
+    return await db.transaction(async (client) => {
+      const encounter = await this._lock(client, id);
+      if (!encounter) {
+        return null;
+      }
+
+      if (encounter.status !== 'active') {
+        throw new ValidationError('Encounter is not active');
+      }
+
+      const participants = await this.getParticipants(id, client);
+      if (participants.length === 0) {
+        throw new ValidationError('Encounter has no participants');
+      }
+
+      // The combatant whose turn it is was deleted: nobody holds the turn to step back from
+      const currentIndex = participants.findIndex(p => p.id === encounter.active_combatant_id);
+      if (currentIndex === -1) {
+        throw new ValidationError('The active combatant has left the encounter; advance to the next turn first');
+      }
+
+      if (encounter.current_round <= 1 && currentIndex === 0) {
+        throw new ValidationError('Already at the first turn of the encounter');
+      }
+
+      let previousIndex = currentIndex - 1;
+      let round = encounter.current_round;
+
+      if (previousIndex < 0) {
+        previousIndex = participants.length - 1;
+        round--;
+      }
+
+      const latest = await client.query(
+        `DELETE FROM encounter_turns
+         WHERE id = (SELECT id FROM encounter_turns WHERE encounter_id = $1 ORDER BY id DESC LIMIT 1)
+         RETURNING *`,
+        [id]
+      );
+      const boundary = latest.rows[0] ? latest.rows[0].boundary : null;
+      if (boundary) {
+        await Condition.revertTurnBoundary(client, boundary);
+        await Resource.revertRecharges(client, boundary.recharges || []);
+        await client.query(
+          'UPDATE encounters SET undone_turns = undone_turns || $1::jsonb WHERE id = $2',
+          [JSON.stringify([{
+            round: latest.rows[0].round,
+            combatant_id: latest.rows[0].combatant_id,
+            recharges: boundary.recharges || []
+          }]), id]
+        );
+      }
+
+      const previous = participants[previousIndex];
+      await client.query(
+        `UPDATE encounters
+         SET active_combatant_id = $1, current_round = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [previous.id, round, id]
+      );
+
+      const updated = await this._lock(client, id);
+      updated.participants = boundary ? await this.getParticipants(id, client) : participants;
+      return updated;
+    });
+  }
+
+  /**
+   * Roll initiative (d20 + DEX modifier) for every participant and save it in one transaction
+   * Monsters and NPCs are always rolled; PCs use the totals given in pc_rolls, are rolled
+   * when roll_pcs is set, and otherwise keep their current initiative.
+   * Ties are broken by DEX and then by a tiebreak roll.
+   * @param {Object} options - { pc_rolls: { combatantId: total }, roll_pcs, group_monsters }
+   * @returns {Object} Encounter with participants and the rolls made ({ combatant_id, name, modifier, natural, initiative, breakdown, group })
+   */
+  static async rollInitiative(id, options = {}) {
+    const pcRolls = options.pc_rolls || {};
+
+    return await db.transaction(async (client) => {
+      const encounter = await this._lock(client, id);
+      if (!encounter) {
+        return null;
+      }
+
+      if (encounter.status === 'ended') {
+        throw new ValidationError('Cannot roll initiative for an encounter that has ended');
+      }
+
+      const participants = (await client.query(INITIATIVE_QUERY, [id])).rows;
+      if (participants.length === 0) {
+        throw new ValidationError('Encounter has no participants');
+      }
+
+      const rolls = [];
+      const groupRolls = new Map();
+
+      for (const participant of participants) {
+        const modifier = Math.floor((participant.dex - 10) / 2);
+        let entry = { combatant_id: participant.id, name: participant.name, modifier, group: null };
+
+        if (participant.type === 'PC' && pcRolls[participant.id] !== undefined) {
+          const total = parseInt(pcRolls[participant.id]);
+          if (isNaN(total)) {
+            throw new ValidationError(`Validation failed: Initiative for ${participant.name} must be a number`);
+          }
+          entry = { ...entry, natural: null, total, breakdown: 'entered by player' };
+        } else if (participant.type === 'PC' && !options.roll_pcs) {
+          entry = { ...entry, natural: null, total: participant.initiative, breakdown: 'unchanged' };
+        } else if (options.group_monsters && participant.monster_id) {
+          // Identical monsters share a single roll
+          if (!groupRolls.has(participant.monster_id)) {
+            groupRolls.set(participant.monster_id, this._rollD20(modifier));
+          }
+          entry = { ...entry, ...groupRolls.get(participant.monster_id), group: participant.monster_id };
+        } else {
+          entry = { ...entry, ...this._rollD20(modifier) };
+        }
+
+        // Initiative 0 means "not in combat", so everyone in the encounter acts on at least 1
+        entry.initiative = Math.max(1, entry.total);
+        delete entry.total;
+        rolls.push(entry);
+      }
+
+      const tiebreaks = this.resolveTies(rolls.map((roll, index) => ({
+        id: roll.combatant_id,
+        initiative: roll.initiative,
+        dex: participants[index].dex
+      })));
+
+      for (const [index, roll] of rolls.entries()) {
+        const result = await client.query(
+          `UPDATE combatants SET initiative = $1, initiative_tiebreak = $2
+           WHERE id = $3
+           RETURNING *`,
+          [roll.initiative, tiebreaks.get(roll.combatant_id), roll.combatant_id]
+        );
+        await CombatLog.recordChanges(participants[index], result.rows[0], client);
+      }
+
+      const updated = await this._lock(client, id);
+      updated.participants = await this.getParticipants(id, client);
+      updated.rolls = rolls;
+      return updated;
+    });
+  }
+
+  /**
+   * Decide the order of combatants with equal initiative
+   * Higher DEX goes first; remaining ties are settled by a d20 roll-off, re-rolled until no two match
+   * @param {Array} entries - [{ id, initiative, dex }]
+   * @param {Function} random - Random number source (defaults to Math.random)
+   * @returns {Map} Combatant ID to tiebreak value (higher acts first)
+   */
+  static resolveTies(entries, random = Math.random) {
+    // Each entry's roll-off results, compared in order; only entries still tied roll again
+    const rollOffs = new Map(entries.map(entry => [entry.id, []]));
+    const compare = (a, b) => {
+      const rollsA = rollOffs.get(a.id);
+      const rollsB = rollOffs.get(b.id);
+      for (let i = 0; i < Math.min(rollsA.length, rollsB.length); i++) {
+        if (rollsA[i] !== rollsB[i]) return rollsB[i] - rollsA[i];
+      }
+      return 0;
+    };
+    const byInitiative = (a, b) => b.initiative - a.initiative || b.dex - a.dex;
+
+    let tied = entries.filter(entry => entries.some(other =>
+      other !== entry && byInitiative(entry, other) === 0
+    ));
+    while (tied.length > 0) {
+      tied.forEach(entry => rollOffs.get(entry.id).push(Dice.roll('1d20', { rng: random }).total));
+      tied = tied.filter(entry => tied.some(other =>
+        other !== entry && byInitiative(entry, other) === 0 && compare(entry, other) === 0
+      ));
+    }
+
+    const ordered = [...entries].sort((a, b) => byInitiative(a, b) || compare(a, b));
+    return new Map(ordered.map((entry, index) => [entry.id, ordered.length - index]));
+  }
+
+  /**
+   * Roll d20 plus a modifier
+   * @private
+   */
+  static _rollD20(modifier) {
+    const result = Dice.roll(modifier < 0 ? `1d20${modifier}` : `1d20+${modifier}`);
+    return { natural: result.natural, total: result.total, breakdown: result.breakdown };
+  }
+
+  /**
+   * End an encounter
+   */
+  static async end(id) {
+    const query = `
+      UPDATE encounters
+      SET status = 'ended', ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get turn history for an encounter, oldest first
+   */
+  static async getTurns(id) {
+    const query = `
+      SELECT id, encounter_id, round, combatant_id, combatant_name, started_at
+      FROM encounter_turns
+      WHERE encounter_id = $1
+      ORDER BY started_at ASC, id ASC
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows;
+  }
+
+  /**
+   * Delete encounter (participants and turn history cascade)
+   */
+  static async delete(id) {
+    const query = 'DELETE FROM encounters WHERE id = $1 RETURNING *';
+    const result = await db.query(query, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Check that the combatants are in the encounter's campaign
+   * @returns {Array} The combatant IDs as numbers, without repeats
+   * @private
+   */
+  static async _checkCombatants(client, campaignId, combatantIds) {
+    const ids = [...new Set(combatantIds.map(id => parseInt(id)))];
+    if (ids.length === 0) {
+      return ids;
+    }
+
+    const result = await client.query(
+      'SELECT id FROM combatants WHERE campaign_id = $1 AND id = ANY($2)',
+      [campaignId, ids.filter(id => !isNaN(id))]
+    );
+    if (result.rows.length !== ids.length) {
+      throw new ValidationError('Validation failed: Participants must be combatants in the campaign');
+    }
+    return ids;
+  }
+
+  /**
+   * Lock an encounter row for the rest of the transaction so that two
+   * browser tabs advancing the turn at once cannot skip a combatant
+   * @private
+   */
+  static async _lock(client, id) {
+    const result = await client.query('SELECT * FROM encounters WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Point the encounter at a combatant and record the start of their turn
+   * @returns {Object|null} The turn history entry
+   * @private
+   */
+  static async _setTurn(client, encounter, combatant, round) {
+    await client.query(
+      `UPDATE encounters
+       SET active_combatant_id = $1, current_round = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [combatant ? combatant.id : null, round, encounter.id]
+    );
+
+    if (!combatant) {
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO encounter_turns (encounter_id, round, combatant_id, combatant_name)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [encounter.id, round, combatant.id, combatant.name]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Keep what a turn change did with its turn history entry, so stepping back can undo it
+   * @private
+   */
+  static async _recordBoundary(client, turn, boundary, recharges) {
+    await client.query(
+      'UPDATE encounter_turns SET boundary = $1 WHERE id = $2',
+      [JSON.stringify({
+        ...boundary,
+        recharges: recharges.map(recharge => ({
+          resource_id: recharge.resource.id,
+          natural: recharge.roll.total,
+          recharged: recharge.recharged
+        }))
+      }), turn.id]
+    );
+  }
+
+  /**
+   * Take the most recently undone turn off the encounter's list if the turn
+   * being moved into is that turn again; moving anywhere else forgets the
+   * undone turns
+   * @returns {Object|null} The undone turn ({ round, combatant_id, recharges })
+   * @private
+   */
+  static async _takeUndoneTurn(client, encounter, combatant, round) {
+    const undone = encounter.undone_turns || [];
+    if (undone.length === 0) {
+      return null;
+    }
+
+    const last = undone[undone.length - 1];
+    const replay = last.round === round && last.combatant_id === combatant.id ? last : null;
+    await client.query(
+      'UPDATE encounters SET undone_turns = $1 WHERE id = $2',
+      [JSON.stringify(replay ? undone.slice(0, -1) : []), encounter.id]
+    );
+    return replay;
+  }
+}
+
+Encounter.STATUSES = ENCOUNTER_STATUSES;
+
+module.exports = Encounter;
@@ -0,0 +1,371 @@
+const db = require('../../database/db');
+const SiegeState = require('./SiegeState');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Force Model
+ * The units fighting in a campaign's siege: the Neverwinter Guard, Harpers
+ * and dwarven volunteers defending the city, and the cultists, kobolds and
+ * dragons attacking it. A unit has a size (soldiers or creatures), the
+ * fighting strength of one of them, its own morale and the location on the
+ * city map it is posted to. Casualties shrink a unit and move the siege's
+ * defender morale: losses among the defenders lower it and losses among the
+ * enemy raise it, by how large a share of that side fell.
+ */
+
+const SIDES = ['defender', 'enemy'];
+const UNIT_TYPES = ['infantry', 'archers', 'cavalry', 'mages', 'siege_engines', 'monsters'];
+
+const MAX_SIZE = 1000000;
+const MAX_STRENGTH = 1000;
+
+// Defender morale points per percent of a side lost
+const DEFENDER_LOSS_MORALE = 0.5;
+const ENEMY_LOSS_MORALE = 0.25;
+
+class Force {
+  /**
+   * Validate force data
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (data.name !== undefined || !partial) {
+      const nameResult = validateString(data.name, { required: true, minLength: 1, maxLength: 255, fieldName: 'Name' });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (data.side !== undefined) {
+      const sideResult = validateEnum(data.side, SIDES, 'Side');
+      if (!sideResult.valid) {
+        errors.push(sideResult.error);
+      }
+    }
+
+    if (data.unit_type !== undefined) {
+      const typeResult = validateEnum(data.unit_type, UNIT_TYPES, 'Unit type');
+      if (!typeResult.valid) {
+        errors.push(typeResult.error);
+      }
+    }
+
+    if (data.size !== undefined) {
+      const sizeResult = validateNumber(data.size, { min: 0, max: MAX_SIZE, allowFloat: false, fieldName: 'Size' });
+      if (!sizeResult.valid) {
+        errors.push(sizeResult.error);
+      }
+    }
+
+    if (data.strength !== undefined) {
+      const strengthResult = validateNumber(data.strength, { min: 1, max: MAX_STRENGTH, allowFloat: false, fieldName: 'Strength' });
+      if (!strengthResult.valid) {
+        errors.push(strengthResult.error);
+      }
+    }
+
+    if (data.morale !== undefined) {
+      const moraleResult = validateNumber(data.morale, { min: 0, max: 100, allowFloat: false, fieldName: 'Morale' });
+      if (!moraleResult.valid) {
+        errors.push(moraleResult.error);
+      }
+    }
+
+    if (data.location_id !== undefined && data.location_id !== null) {
+      const locationResult = validateNumber(data.location_id, { min: 1, allowFloat: false, fieldName: 'Location ID' });
+      if (!locationResult.valid) {
+        errors.push(locationResult.error);
+      }
+    }
+
+    if (data.notes !== undefined && data.notes !== null) {
+      const notesResult = validateString(data.notes, { maxLength: 5000, fieldName: 'Notes' });
+      if (!notesResult.valid) {
+        errors.push(notesResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a campaign's forces with the names of their locations
+   * @param {Object} filters - { side, location_id }
+   */
+  static async findByCampaign(campaignId, filters = {}) {
+    const conditions = ['f.campaign_id = $1'];
+    const values = [campaignId];
+
+    if (filters.side) {
+      values.push(filters.side);
+      conditions.push(`f.side = $${values.length}`);
+    }
+    if (filters.location_id) {
+      values.push(filters.location_id);
+      conditions.push(`f.location_id = $${values.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT f.*, l.name AS location_name
+       FROM forces f
+       LEFT JOIN locations l ON l.id = f.location_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY f.side, f.name, f.id`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a force by ID
+   */
+  static async findById(id) {
+    const result = await db.query(
+      `SELECT f.*, l.name AS location_name
+       FROM forces f
+       LEFT JOIN locations l ON l.id = f.location_id
+       WHERE f.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a force
+   * @param {Object} data - { name, side, unit_type, size, strength, morale, location_id, notes }
+   */
+  static async create(campaignId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    await this._checkLocation(campaignId, data.location_id);
+
+    const result = await db.query(
+      `INSERT INTO forces (campaign_id, name, side, unit_type, size, strength, morale, location_id, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        campaignId, sanitizeString(data.name), data.side || 'defender', data.unit_type || 'infantry',
+        data.size !== undefined ? Number(data.size) : 0,
+        data.strength !== undefined ? Number(data.strength) : 1,
+        data.morale !== undefined ? Number(data.morale) : 100,
+        data.location_id || null, data.notes ? sanitizeString(data.notes) : null
+      ]
+    );
+    return await this.findById(result.rows[0].id);
+  }
+
+  /**
+   * Change some of a force's fields
+   * @returns {Object} The force, or null if it does not exist
+   */
+  static async update(id, data) {
+    const errors = this.validate(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const force = await this.findById(id);
+    if (!force) {
+      return null;
+    }
+
+    if (data.location_id !== undefined) {
+      await this._checkLocation(force.campaign_id, data.location_id);
+    }
+
+    await db.query(
+      `UPDATE forces
+       SET name = $1, side = $2, unit_type = $3, size = $4, strength = $5, morale = $6,
+           location_id = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9`,
+      [
+        data.name !== undefined ? sanitizeString(data.name) : force.name,
+        data.side !== undefined ? data.side : force.side,
+        data.unit_type !== undefined ? data.unit_type : force.unit_type,
+        data.size !== undefined ? Number(data.size) : force.size,
+        data.strength !== undefined ? Number(data.strength) : force.strength,
+        data.morale !== undefined ? Number(data.morale) : force.morale,
+        data.location_id !== undefined ? data.location_id || null : force.location_id,
+        data.notes !== undefined ? (data.notes ? sanitizeString(data.notes) : null) : force.notes,
+        id
+      ]
+    );
+    return await this.findById(id);
+  }
+
+  /**
+   * Delete a force
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM forces WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Total a campaign's forces per location
+   */
+  static async summarize(campaignId) {
+    const [forces, locations] = await Promise.all([
+      this.findByCampaign(campaignId),
+      db.query('SELECT id, name, status FROM locations WHERE campaign_id = $1 ORDER BY name, id', [campaignId])
+    ]);
+    return this.summarizeRoster(forces, locations.rows);
+  }
+
+  /**
+   * Total a roster per location: the soldiers, units and fighting strength
+   * (size times strength) of each side. Every location gets a row, so the
+   * undefended ones show up too, and forces not posted anywhere are totalled
+   * in a last row without a location.
+   * @param {Array} forces - The campaign's forces
+   * @param {Array} locations - The campaign's locations ({ id, name, status })
+   * @returns {Object} { locations, totals }
+   */
+  static summarizeRoster(forces, locations) {
+    const emptyRow = () => ({
+      defenders: 0, defender_units: 0, defender_strength: 0,
+      enemies: 0, enemy_units: 0, enemy_strength: 0
+    });
+
+    const rows = locations.map(location => ({
+      location_id: location.id, location_name: location.name, status: location.status, ...emptyRow()
+    }));
+    const byId = new Map(rows.map(row => [row.location_id, row]));
+    const totals = emptyRow();
+    let unassigned = null;
+
+    const add = (row, force) => {
+      const size = Number(force.size);
+      const strength = size * Number(force.strength);
+      if (force.side === 'enemy') {
+        row.enemies += size;
+        row.enemy_units++;
+        row.enemy_strength += strength;
+      } else {
+        row.defenders += size;
+        row.defender_units++;
+        row.defender_strength += strength;
+      }
+    };
+
+    forces.forEach(force => {
+      let row = byId.get(force.location_id);
+      if (!row) {
+        unassigned = unassigned || { location_id: null, location_name: 'Unassigned', status: null, ...emptyRow() };
+        row = unassigned;
+      }
+      add(row, force);
+      add(totals, force);
+    });
+
+    return { locations: unassigned ? [...rows, unassigned] : rows, totals };
+  }
+
+  /**
+   * How far casualties move the defenders' morale: down for losses among the
+   * defenders, up for losses among the enemy, scaled by the share of that
+   * side that fell. Any casualties move it at least one point.
+   * @param {string} side - Side of the unit that took the casualties
+   * @param {number} casualties - Soldiers lost
+   * @param {number} sideTotal - Soldiers on that side before the losses
+   * @returns {number} Change to defender morale
+   */
+  static moraleChange(side, casualties, sideTotal) {
+    if (casualties <= 0 || sideTotal <= 0) {
+      return 0;
+    }
+
+    const rate = side === 'enemy' ? ENEMY_LOSS_MORALE : DEFENDER_LOSS_MORALE;
+    const points = Math.max(1, Math.round((casualties / sideTotal) * 100 * rate));
+    return side === 'enemy' ? points : -points;
+  }
+
+  /**
+   * Record casualties in a force: the unit shrinks (never below zero) and the
+   * siege's defender morale moves, which is kept in the siege history and
+   * fires any triggers it crosses
+   * @param {Object} data - { count, reason }
+   * @returns {Object} { force, casualties, morale_change, siege_state }, or null if the force does not exist
+   */
+  static async recordCasualties(id, data = {}) {
+    const countResult = validateNumber(data.count, { min: 1, max: MAX_SIZE, allowFloat: false, fieldName: 'Count' });
+    if (!countResult.valid) {
+      throw new ValidationError(`Validation failed: ${countResult.error}`);
+    }
+    const reasonResult = validateString(data.reason, { maxLength: 255, fieldName: 'Reason' });
+    if (!reasonResult.valid) {
+      throw new ValidationError(`Validation failed: ${reasonResult.error}`);
+    }
+
+    const result = await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM forces WHERE id = $1 FOR UPDATE', [id]);
+      const force = locked.rows[0];
+      if (!force) {
+        return null;
+      }
+
+      const sideTotal = await client.query(
+        'SELECT COALESCE(SUM(size), 0)::int AS total FROM forces WHERE campaign_id = $1 AND side = $2',
+        [force.campaign_id, force.side]
+      );
+      const casualties = Math.min(countResult.value, force.size);
+      await client.query(
+        'UPDATE forces SET size = size - $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [casualties, id]
+      );
+
+      const existing = await client.query(
+        'SELECT * FROM siege_state WHERE campaign_id = $1 FOR UPDATE',
+        [force.campaign_id]
+      );
+      let siegeState = existing.rows[0] || await SiegeState.create(force.campaign_id, {}, null, client);
+
+      const before = siegeState.defender_morale;
+      const change = this.moraleChange(force.side, casualties, sideTotal.rows[0].total);
+      const morale = Math.max(0, Math.min(100, before + change));
+      if (morale !== before) {
+        const reason = sanitizeString(data.reason) || `${casualties} lost from ${force.name}`;
+        siegeState = await SiegeState.update(force.campaign_id, { defender_morale: morale }, reason, client);
+      }
+
+      return { casualties, morale_change: morale - before, siege_state: siegeState };
+    });
+
+    if (!result) {
+      return null;
+    }
+    return { force: await this.findById(id), ...result };
+  }
+
+  /**
+   * Check that a location belongs to the campaign
+   * @private
+   */
+  static async _checkLocation(campaignId, locationId) {
+    if (!locationId) {
+      return;
+    }
+
+    const result = await db.query(
+      'SELECT id FROM locations WHERE campaign_id = $1 AND id = $2',
+      [campaignId, locationId]
+    );
+    if (result.rows.length === 0) {
+      throw new ValidationError('Validation failed: Location must be in the campaign');
+    }
+  }
+}
+
+Force.SIDES = SIDES;
+Force.UNIT_TYPES = UNIT_TYPES;
+Force.DEFENDER_LOSS_MORALE = DEFENDER_LOSS_MORALE;
+Force.ENEMY_LOSS_MORALE = ENEMY_LOSS_MORALE;
+
+module.exports = Force;
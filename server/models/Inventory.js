@@ -0,0 +1,748 @@
+const db = require('../../database/db');
+const Abilities = require('../../shared/abilities');
+const CombatLog = require('./CombatLog');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Inventory Model
+ * Items and coins carried by player characters and kept in the party stash
+ * (rows without a combatant). Characters can equip one suit of armor and one
+ * shield, attune to at most three items and spend the charges of magic items.
+ * Items and coins move between characters and the stash. A character's AC is
+ * worked out from its equipped armor, shield and magic bonuses whenever they
+ * change, and the change goes to the combat log.
+ */
+
+const CATEGORIES = ['gear', 'weapon', 'armor', 'shield', 'consumable', 'treasure'];
+const ARMOR_TYPES = ['light', 'medium', 'heavy'];
+const COINS = ['cp', 'sp', 'ep', 'gp', 'pp'];
+
+// Value of each coin in copper pieces
+const COIN_VALUES = { cp: 1, sp: 10, ep: 50, gp: 100, pp: 1000 };
+
+const MAX_ATTUNED = 3;
+const SHIELD_AC = 2;
+const COINS_PER_POUND = 50;
+const MAX_QUANTITY = 9999;
+const MAX_CHARGES = 999;
+const MAX_COINS = 10000000;
+
+// Item fields that can be set, in insert order
+const ITEM_FIELDS = [
+  'name', 'category', 'description', 'quantity', 'weight', 'equipped', 'requires_attunement',
+  'attuned', 'charges', 'max_charges', 'armor_type', 'base_ac', 'ac_bonus'
+];
+const BOOLEAN_FIELDS = ['equipped', 'requires_attunement', 'attuned'];
+
+class Inventory {
+  /**
+   * Validate item data
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (data.name !== undefined || !partial) {
+      const nameResult = validateString(data.name, {
+        required: true,
+        minLength: 1,
+        maxLength: 255,
+        fieldName: 'Name'
+      });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (this._isSet(data.category)) {
+      const categoryResult = validateEnum(data.category, CATEGORIES, 'Category');
+      if (!categoryResult.valid) {
+        errors.push(categoryResult.error);
+      }
+    }
+
+    if (this._isSet(data.description)) {
+      const descriptionResult = validateString(data.description, { maxLength: 2000, fieldName: 'Description' });
+      if (!descriptionResult.valid) {
+        errors.push(descriptionResult.error);
+      }
+    }
+
+    const numbers = [
+      ['quantity', { min: 1, max: MAX_QUANTITY, allowFloat: false, fieldName: 'Quantity' }],
+      ['weight', { min: 0, max: 10000, fieldName: 'Weight' }],
+      ['charges', { min: 0, max: MAX_CHARGES, allowFloat: false, fieldName: 'Charges' }],
+      ['max_charges', { min: 0, max: MAX_CHARGES, allowFloat: false, fieldName: 'Max charges' }],
+      ['base_ac', { min: 0, max: 30, allowFloat: false, fieldName: 'Base AC' }],
+      ['ac_bonus', { min: -10, max: 10, allowFloat: false, fieldName: 'AC bonus' }]
+    ];
+    for (const [field, options] of numbers) {
+      if (this._isSet(data[field])) {
+        const result = validateNumber(data[field], options);
+        if (!result.valid) {
+          errors.push(result.error);
+        }
+      }
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        errors.push(`${field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, ' ')} must be true or false`);
+      }
+    }
+
+    if (this._isSet(data.armor_type)) {
+      const armorResult = validateEnum(data.armor_type, ARMOR_TYPES, 'Armor type');
+      if (!armorResult.valid) {
+        errors.push(armorResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the items, coins and carried weight of a character or of the party stash
+   * Characters also get the armor class worked out from their equipment.
+   * @param {number|null} combatantId - Character, or null for the campaign's stash
+   * @returns {Object} { campaign_id, combatant_id, items, purse, weight, attuned, armor_class },
+   *   or null if the character or campaign does not exist
+   */
+  static async findByOwner(campaignId, combatantId, client = db) {
+    const owner = await this._owner(client, campaignId, combatantId);
+    if (!owner) {
+      return null;
+    }
+
+    const items = await this._items(client, owner);
+    const purse = await client.query(
+      'SELECT * FROM purses WHERE campaign_id = $1 AND combatant_id IS NOT DISTINCT FROM $2',
+      [owner.campaign_id, owner.combatant ? owner.combatant.id : null]
+    );
+    const coins = this._coins(purse.rows[0]);
+
+    const itemWeight = items.reduce((sum, item) => sum + Number(item.weight) * item.quantity, 0);
+    const coinWeight = COINS.reduce((sum, coin) => sum + coins[coin], 0) / COINS_PER_POUND;
+    const strength = owner.combatant ? owner.combatant.stat_str : null;
+
+    return {
+      campaign_id: owner.campaign_id,
+      combatant_id: owner.combatant ? owner.combatant.id : null,
+      items,
+      purse: coins,
+      weight: {
+        items: Math.round(itemWeight * 100) / 100,
+        coins: Math.round(coinWeight * 100) / 100,
+        total: Math.round((itemWeight + coinWeight) * 100) / 100,
+        // Carrying capacity: 15 times the Strength score
+        capacity: strength ? strength * 15 : null
+      },
+      attuned: items.filter(item => item.attuned).length,
+      armor_class: owner.combatant ? this.armorClass(owner.combatant, items) : null
+    };
+  }
+
+  /**
+   * Add an item to a character or to the party stash
+   * @returns {Object} { item, combatant } where combatant is the owner with its AC up to date,
+   *   or null if the owner does not exist
+   */
+  static async addItem(campaignId, combatantId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const owner = await this._owner(client, campaignId, combatantId, true);
+      if (!owner) {
+        return null;
+      }
+
+      const item = this._defaults(this._pick(data));
+      await this._checkRules(client, owner, item);
+
+      const fields = ITEM_FIELDS.filter(field => item[field] !== undefined);
+      const result = await client.query(
+        `INSERT INTO inventory_items (campaign_id, combatant_id, ${fields.join(', ')})
+         VALUES ($1, $2, ${fields.map((field, i) => `$${i + 3}`).join(', ')})
+         RETURNING *`,
+        [owner.campaign_id, owner.combatant ? owner.combatant.id : null, ...fields.map(field => item[field])]
+      );
+
+      return {
+        item: result.rows[0],
+        combatant: await this._afterChange(client, owner, null, result.rows[0])
+      };
+    });
+  }
+
+  /**
+   * Update an item: its details, quantity, charges, or whether it is equipped or attuned
+   * @returns {Object} { item, combatant }, or null if the item does not exist
+   */
+  static async updateItem(itemId, data) {
+    const errors = this.validate(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const found = await this._lockItem(client, itemId);
+      if (!found) {
+        return null;
+      }
+      const { item: before, owner } = found;
+
+      const changes = this._pick(data);
+      const after = this._defaults({ ...before, ...changes });
+      await this._checkRules(client, owner, after, before.id);
+
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        return { item: before, combatant: owner.combatant };
+      }
+
+      const result = await client.query(
+        `UPDATE inventory_items
+         SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${fields.length + 1}
+         RETURNING *`,
+        [...fields.map(field => after[field]), before.id]
+      );
+
+      return {
+        item: result.rows[0],
+        combatant: await this._afterChange(client, owner, before, result.rows[0])
+      };
+    });
+  }
+
+  /**
+   * Remove an item
+   * @returns {Object} { item, combatant }, or null if the item does not exist
+   */
+  static async deleteItem(itemId) {
+    return await db.transaction(async (client) => {
+      const found = await this._lockItem(client, itemId);
+      if (!found) {
+        return null;
+      }
+
+      await client.query('DELETE FROM inventory_items WHERE id = $1', [itemId]);
+      return {
+        item: found.item,
+        combatant: await this._afterChange(client, found.owner, found.item, null)
+      };
+    });
+  }
+
+  /**
+   * Use an item: spend charges of an item that has them, otherwise use up some
+   * of the stack (removing it when none are left)
+   * @returns {Object} { item (null once used up), used, combatant }, or null if the item does not exist
+   */
+  static async useItem(itemId, amount = 1) {
+    const amountResult = validateNumber(amount, { min: 1, max: MAX_QUANTITY, allowFloat: false, fieldName: 'Amount' });
+    if (!amountResult.valid) {
+      throw new ValidationError(`Validation failed: ${amountResult.error}`);
+    }
+    const count = amountResult.value;
+
+    return await db.transaction(async (client) => {
+      const found = await this._lockItem(client, itemId);
+      if (!found) {
+        return null;
+      }
+      const { item, owner } = found;
+
+      if (item.max_charges !== null) {
+        if (item.charges < count) {
+          throw new ValidationError(`Validation failed: ${item.name} has ${item.charges} charges left`);
+        }
+        const result = await client.query(
+          'UPDATE inventory_items SET charges = charges - $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+          [count, item.id]
+        );
+        return { item: result.rows[0], used: count, combatant: owner.combatant };
+      }
+
+      if (item.quantity < count) {
+        throw new ValidationError(`Validation failed: Only ${item.quantity} ${item.name} left`);
+      }
+      if (item.quantity === count) {
+        await client.query('DELETE FROM inventory_items WHERE id = $1', [item.id]);
+        return { item: null, used: count, combatant: await this._afterChange(client, owner, item, null) };
+      }
+
+      const result = await client.query(
+        'UPDATE inventory_items SET quantity = quantity - $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [count, item.id]
+      );
+      return { item: result.rows[0], used: count, combatant: owner.combatant };
+    });
+  }
+
+  /**
+   * Give an item, or some of a stack, to another character or to the party stash
+   * Items are unequipped and no longer attuned when they change hands.
+   * @param {Object} data - { combatant_id: new owner (null for the stash), quantity: all when omitted }
+   * @returns {Object} { item: the item at its new owner, remaining: what the old owner keeps (null
+   *   when it all moved), from, to: the owners with their AC up to date }, or null if the item does not exist
+   */
+  static async transferItem(itemId, data) {
+    const toId = this._isSet(data.combatant_id) ? parseInt(data.combatant_id) : null;
+    if (this._isSet(data.combatant_id) && isNaN(toId)) {
+      throw new ValidationError('Validation failed: Combatant ID must be a number');
+    }
+
+    return await db.transaction(async (client) => {
+      const found = await this._lockItem(client, itemId);
+      if (!found) {
+        return null;
+      }
+      const { item, owner: from } = found;
+
+      const quantity = this._isSet(data.quantity) ? parseInt(data.quantity) : item.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+        throw new ValidationError(`Validation failed: Quantity must be between 1 and ${item.quantity}`);
+      }
+
+      const fromId = from.combatant ? from.combatant.id : null;
+      if (toId === fromId) {
+        throw new ValidationError(`Validation failed: ${from.combatant ? from.combatant.name : 'The stash'} already has ${item.name}`);
+      }
+
+      const to = await this._owner(client, from.campaign_id, toId, true);
+      if (!to || to.campaign_id !== from.campaign_id) {
+        throw new ValidationError('Validation failed: Items can only go to characters in the same campaign');
+      }
+
+      let moved;
+      let remaining = null;
+      if (quantity === item.quantity) {
+        const result = await client.query(
+          `UPDATE inventory_items
+           SET combatant_id = $1, equipped = false, attuned = false, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2
+           RETURNING *`,
+          [toId, item.id]
+        );
+        moved = result.rows[0];
+      } else {
+        // Part of a stack: the new owner gets its own copy
+        const fields = ITEM_FIELDS.filter(field => !['quantity', 'equipped', 'attuned'].includes(field));
+        const result = await client.query(
+          `INSERT INTO inventory_items (campaign_id, combatant_id, quantity, ${fields.join(', ')})
+           SELECT campaign_id, $1, $2, ${fields.join(', ')} FROM inventory_items WHERE id = $3
+           RETURNING *`,
+          [toId, quantity, item.id]
+        );
+        moved = result.rows[0];
+        const kept = await client.query(
+          'UPDATE inventory_items SET quantity = quantity - $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+          [quantity, item.id]
+        );
+        remaining = kept.rows[0];
+      }
+
+      return {
+        item: moved,
+        remaining,
+        from: await this._afterChange(client, from, item, remaining),
+        to: to.combatant
+      };
+    });
+  }
+
+  /**
+   * Add or take coins from a character's purse or the party stash
+   * @param {Object} changes - Coins to add (negative to take), e.g. { gp: 5, sp: -3 }
+   * @returns {Object} The purse, or null if the character or campaign does not exist
+   */
+  static async adjustCurrency(campaignId, combatantId, changes) {
+    const deltas = this._validateCoins(changes, true);
+
+    return await db.transaction(async (client) => {
+      const owner = await this._owner(client, campaignId, combatantId, true);
+      if (!owner) {
+        return null;
+      }
+
+      const purse = await this._lockPurse(client, owner);
+      return await this._savePurse(client, owner, purse, deltas);
+    });
+  }
+
+  /**
+   * Move coins between characters and the party stash
+   * @param {Object} data - { from_combatant_id, to_combatant_id (null for the stash), cp, sp, ep, gp, pp }
+   * @returns {Object} { from, to } purses, or null if the campaign does not exist
+   */
+  static async transferCurrency(campaignId, data) {
+    const coins = this._validateCoins(data, false);
+    const fromId = this._isSet(data.from_combatant_id) ? parseInt(data.from_combatant_id) : null;
+    const toId = this._isSet(data.to_combatant_id) ? parseInt(data.to_combatant_id) : null;
+    if (fromId === toId) {
+      throw new ValidationError('Validation failed: Coins must move between two different owners');
+    }
+
+    return await db.transaction(async (client) => {
+      const campaign = await client.query('SELECT id FROM campaigns WHERE id = $1', [campaignId]);
+      if (campaign.rows.length === 0) {
+        return null;
+      }
+
+      // Purses are locked stash first, then by character ID, so overlapping transfers cannot deadlock
+      const ids = [fromId, toId].sort((a, b) => (a === null ? -1 : b === null ? 1 : a - b));
+      const owners = {};
+      const purses = {};
+      for (const id of ids) {
+        const owner = await this._owner(client, campaignId, id, true);
+        if (!owner || owner.campaign_id !== parseInt(campaignId)) {
+          throw new ValidationError('Validation failed: Coins can only move between characters in the campaign');
+        }
+        owners[id] = owner;
+        purses[id] = await this._lockPurse(client, owner);
+      }
+
+      const taken = {};
+      COINS.forEach(coin => { taken[coin] = -coins[coin]; });
+      return {
+        from: await this._savePurse(client, owners[fromId], purses[fromId], taken),
+        to: await this._savePurse(client, owners[toId], purses[toId], coins)
+      };
+    });
+  }
+
+  /**
+   * A character's armor class from its equipment: the equipped armor (plus all
+   * of the DEX modifier for light armor and up to +2 for medium) or 10 + DEX
+   * without armor, the shield, and the AC bonuses of equipped items (attuned,
+   * when they require it)
+   * @param {Array} items - The character's items
+   * @returns {Object} { ac, armor, dex_bonus, shield, bonus, breakdown }
+   */
+  static armorClass(combatant, items) {
+    const dex = combatant.stat_dex ? Abilities.modifier(combatant.stat_dex) : 0;
+    const equipped = items.filter(item => item.equipped);
+    const armor = equipped.find(item => item.category === 'armor');
+    const shield = equipped.find(item => item.category === 'shield');
+
+    let base = 10;
+    let dexBonus = dex;
+    if (armor) {
+      base = armor.base_ac || 10;
+      dexBonus = armor.armor_type === 'heavy' ? 0 : armor.armor_type === 'medium' ? Math.min(dex, 2) : dex;
+    }
+    const shieldAc = shield ? (shield.base_ac === null ? SHIELD_AC : shield.base_ac) : 0;
+    const bonus = equipped
+      .filter(item => !item.requires_attunement || item.attuned)
+      .reduce((sum, item) => sum + item.ac_bonus, 0);
+
+    const parts = [`${armor ? armor.name : 'Unarmored'} ${base}`];
+    if (dexBonus !== 0) {
+      parts.push(`DEX ${dexBonus}`);
+    }
+    if (shield) {
+      parts.push(`${shield.name} ${shieldAc}`);
+    }
+    if (bonus !== 0) {
+      parts.push(`magic ${bonus}`);
+    }
+
+    const ac = base + dexBonus + shieldAc + bonus;
+    return {
+      ac,
+      armor: armor ? armor.name : null,
+      dex_bonus: dexBonus,
+      shield: shieldAc,
+      bonus,
+      breakdown: `${parts.join(' + ')} = ${ac}`
+    };
+  }
+
+  /**
+   * Write the armor class worked out from a character's equipment
+   * A character with no equipment affecting AC keeps the AC it was given,
+   * unless force is set (its last armor, shield or AC item was just taken off).
+   * @returns {Object} The character with its AC up to date
+   */
+  static async syncArmorClass(combatant, client = db, force = false) {
+    const items = await this._items(client, { campaign_id: combatant.campaign_id, combatant });
+    if (!force && !items.some(item => item.equipped && this._affectsAc(item))) {
+      return combatant;
+    }
+
+    const { ac } = this.armorClass(combatant, items);
+    if (ac === combatant.ac) {
+      return combatant;
+    }
+
+    const result = await client.query('UPDATE combatants SET ac = $1 WHERE id = $2 RETURNING *', [ac, combatant.id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Whether an item changes armor class while equipped
+   * @private
+   */
+  static _affectsAc(item) {
+    return item.category === 'armor' || item.category === 'shield' || item.ac_bonus !== 0;
+  }
+
+  /**
+   * Update the owner's AC when an equipped armor, shield or AC item changed,
+   * logging the change so it can be undone
+   * @returns {Object|null} The owning character (null for the stash)
+   * @private
+   */
+  static async _afterChange(client, owner, before, after) {
+    if (!owner.combatant) {
+      return null;
+    }
+    const touched = [before, after].some(item => item && item.equipped && this._affectsAc(item));
+    if (!touched) {
+      return owner.combatant;
+    }
+
+    const updated = await this.syncArmorClass(owner.combatant, client, true);
+    await CombatLog.recordChanges(owner.combatant, updated, client);
+    return updated;
+  }
+
+  /**
+   * Check an item against its owner: only characters equip and attune items,
+   * one armor and one shield at a time, at most three attuned items and no
+   * more charges than the maximum
+   * @private
+   */
+  static async _checkRules(client, owner, item, itemId = null) {
+    const errors = [];
+
+    if (item.category === 'armor' && (!item.armor_type || item.base_ac === null || item.base_ac === undefined)) {
+      errors.push('Armor needs an armor type and a base AC');
+    }
+    if (item.attuned && !item.requires_attunement) {
+      errors.push(`${item.name} does not require attunement`);
+    }
+    if (item.max_charges !== null && item.max_charges !== undefined && item.charges > item.max_charges) {
+      errors.push(`Charges must be at most ${item.max_charges}`);
+    }
+
+    if (!owner.combatant && (item.equipped || item.attuned)) {
+      errors.push('Items in the stash cannot be equipped or attuned');
+    } else if (owner.combatant && (item.equipped || item.attuned)) {
+      const others = (await this._items(client, owner)).filter(other => other.id !== itemId);
+      if (item.equipped && ['armor', 'shield'].includes(item.category)) {
+        const worn = others.find(other => other.equipped && other.category === item.category);
+        if (worn) {
+          errors.push(`${owner.combatant.name} already has ${worn.name} equipped`);
+        }
+      }
+      if (item.attuned && others.filter(other => other.attuned).length >= MAX_ATTUNED) {
+        errors.push(`${owner.combatant.name} is already attuned to ${MAX_ATTUNED} items`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+  }
+
+  /**
+   * The settable item fields present in a request, normalized
+   * @private
+   */
+  static _pick(data) {
+    const picked = {};
+    for (const field of ITEM_FIELDS) {
+      if (data[field] === undefined) {
+        continue;
+      }
+      if (['name', 'description'].includes(field) && typeof data[field] === 'string') {
+        picked[field] = sanitizeString(data[field]).trim();
+      } else if (['quantity', 'charges', 'max_charges', 'base_ac', 'ac_bonus'].includes(field)) {
+        picked[field] = this._isSet(data[field]) ? parseInt(data[field]) : null;
+      } else if (field === 'weight') {
+        picked[field] = this._isSet(data[field]) ? Number(data[field]) : 0;
+      } else {
+        picked[field] = data[field] === '' ? null : data[field];
+      }
+    }
+    // Items that do not need attunement cannot stay attuned
+    if (picked.requires_attunement === false) {
+      picked.attuned = false;
+    }
+    return picked;
+  }
+
+  /**
+   * Fill in the values an item gets when they are not given
+   * @private
+   */
+  static _defaults(item) {
+    const filled = { category: 'gear', quantity: 1, ac_bonus: 0, ...item };
+    if (filled.ac_bonus === null) {
+      filled.ac_bonus = 0;
+    }
+    if (filled.category === 'shield' && (filled.base_ac === null || filled.base_ac === undefined)) {
+      filled.base_ac = SHIELD_AC;
+    }
+    // Items with charges start fully charged
+    if (this._isSet(filled.max_charges) && !this._isSet(filled.charges)) {
+      filled.charges = filled.max_charges;
+    }
+    return filled;
+  }
+
+  /**
+   * The character (type PC) or campaign stash that owns items and coins,
+   * optionally locking the character
+   * @returns {Object} { campaign_id, combatant } (combatant null for the stash), or null if it does not exist
+   * @private
+   */
+  static async _owner(client, campaignId, combatantId, lock = false) {
+    if (combatantId === null || combatantId === undefined) {
+      const campaign = await client.query('SELECT id FROM campaigns WHERE id = $1', [campaignId]);
+      return campaign.rows.length > 0 ? { campaign_id: campaign.rows[0].id, combatant: null } : null;
+    }
+
+    const result = await client.query(
+      `SELECT * FROM combatants WHERE id = $1 AND type = 'PC'${lock ? ' FOR UPDATE' : ''}`,
+      [combatantId]
+    );
+    const combatant = result.rows[0];
+    return combatant ? { campaign_id: combatant.campaign_id, combatant } : null;
+  }
+
+  /**
+   * Items of an owner: equipped first, then by name
+   * @private
+   */
+  static async _items(client, owner) {
+    const result = await client.query(
+      `SELECT * FROM inventory_items
+       WHERE campaign_id = $1 AND combatant_id IS NOT DISTINCT FROM $2
+       ORDER BY equipped DESC, name, id`,
+      [owner.campaign_id, owner.combatant ? owner.combatant.id : null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Lock an item and its owner
+   * @private
+   */
+  static async _lockItem(client, itemId) {
+    const result = await client.query('SELECT * FROM inventory_items WHERE id = $1 FOR UPDATE', [itemId]);
+    const item = result.rows[0];
+    if (!item) {
+      return null;
+    }
+    const owner = await this._owner(client, item.campaign_id, item.combatant_id, true);
+    return { item, owner };
+  }
+
+  /**
+   * Lock an owner's purse, creating an empty one the first time
+   * @private
+   */
+  static async _lockPurse(client, owner) {
+    const combatantId = owner.combatant ? owner.combatant.id : null;
+    await client.query(
+      'INSERT INTO purses (campaign_id, combatant_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [owner.campaign_id, combatantId]
+    );
+    const result = await client.query(
+      'SELECT * FROM purses WHERE campaign_id = $1 AND combatant_id IS NOT DISTINCT FROM $2 FOR UPDATE',
+      [owner.campaign_id, combatantId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Apply coin changes to a locked purse, refusing to go below zero
+   * @private
+   */
+  static async _savePurse(client, owner, purse, deltas) {
+    const short = COINS.filter(coin => purse[coin] + deltas[coin] < 0);
+    if (short.length > 0) {
+      const name = owner.combatant ? owner.combatant.name : 'The stash';
+      throw new ValidationError(
+        `Validation failed: ${name} only has ${short.map(coin => `${purse[coin]} ${coin}`).join(', ')}`
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE purses
+       SET ${COINS.map((coin, i) => `${coin} = ${coin} + $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${COINS.length + 1}
+       RETURNING *`,
+      [...COINS.map(coin => deltas[coin]), purse.id]
+    );
+    return this._coins(result.rows[0]);
+  }
+
+  /**
+   * Coins of a purse (all 0 without one) and their total value in gold pieces
+   * @private
+   */
+  static _coins(purse) {
+    const coins = {};
+    COINS.forEach(coin => { coins[coin] = purse ? purse[coin] : 0; });
+    const copper = COINS.reduce((sum, coin) => sum + coins[coin] * COIN_VALUES[coin], 0);
+    return { ...coins, total_gp: copper / COIN_VALUES.gp };
+  }
+
+  /**
+   * Coin amounts of a request, 0 when missing
+   * @param {boolean} allowNegative - Whether coins can be taken (adjustments) or only moved (transfers)
+   * @private
+   */
+  static _validateCoins(data, allowNegative) {
+    const errors = [];
+    const coins = {};
+    for (const coin of COINS) {
+      if (!this._isSet(data[coin])) {
+        coins[coin] = 0;
+        continue;
+      }
+      const result = validateNumber(data[coin], {
+        min: allowNegative ? -MAX_COINS : 0,
+        max: MAX_COINS,
+        allowFloat: false,
+        fieldName: coin
+      });
+      if (!result.valid) {
+        errors.push(result.error);
+      } else {
+        coins[coin] = result.value;
+      }
+    }
+
+    if (errors.length === 0 && COINS.every(coin => coins[coin] === 0)) {
+      errors.push(`At least one of ${COINS.join(', ')} is required`);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+    return coins;
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+Inventory.CATEGORIES = CATEGORIES;
+Inventory.ARMOR_TYPES = ARMOR_TYPES;
+Inventory.COINS = COINS;
+Inventory.MAX_ATTUNED = MAX_ATTUNED;
+
+module.exports = Inventory;
@@ -1,11 +1,20 @@
 const db = require('../../database/db');
 const Combatant = require('./Combatant');
+const Resource = require('./Resource');
+const Dice = require('../../shared/dice');
+const MonsterImport = require('../utils/monsterImport');
+const { ValidationError } = require('../middleware/errorHandler');
+const { validateEnum } = require('../utils/validation');
 
 /**
  * Monster Model
  * Handles database operations for monster templates and instances
  */
 
+const HP_MODES = ['average', 'rolled', 'max', 'custom'];
+const MAX_BATCH_SIZE = 20;
+const MAX_IMPORT_SIZE = 500;
+
 class Monster {
   /**
    * Validate monster data
@@ -58,13 +67,17 @@ class Monster {
       errors.push('Immunities must be an array');
     }
 
+    if (data.vulnerabilities !== undefined && !Array.isArray(data.vulnerabilities)) {
+      errors.push('Vulnerabilities must be an array');
+    }
+
     return errors;
   }
 
   /**
    * Create a new monster template
    */
-  static async create(campaignId, data) {
+  static async create(campaignId, data, client = db) {
     const errors = this.validate(data);
     if (errors.length > 0) {
       throw new Error(`Validation failed: ${errors.join(', ')}`);
@@ -104,10 +117,73 @@ class Monster {
       data.lore || null
     ];
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
+
+    // Vulnerabilities are added by the damage types migration
+    if (data.vulnerabilities && data.vulnerabilities.length > 0) {
+      const updated = await client.query(
+        'UPDATE monsters SET vulnerabilities = $1 WHERE id = $2 RETURNING *',
+        [data.vulnerabilities, result.rows[0].id]
+      );
+      return updated.rows[0];
+    }
+
     return result.rows[0];
   }
 
+  /**
+   * Import monster templates from pasted stat blocks or JSON files (5e SRD,
+   * Improved Initiative or Foundry VTT exports). Monsters that cannot be read
+   * or fail validation are reported and the rest are created together.
+   * @param {Object} data - { content, format, dry_run }
+   * @returns {Object} { imported: [{ index, format, monster, unmapped }], failed: [{ index, name, error }] };
+   *   with dry_run the monsters are mapped but not created
+   */
+  static async import(campaignId, data = {}) {
+    if (data.content === undefined || data.content === null || data.content === '') {
+      throw new ValidationError('Validation failed: Content is required');
+    }
+    if (data.dry_run !== undefined && typeof data.dry_run !== 'boolean') {
+      throw new ValidationError('Validation failed: Dry run must be true or false');
+    }
+    if (data.format !== undefined && data.format !== null) {
+      const formatResult = validateEnum(data.format, MonsterImport.FORMATS, 'Format');
+      if (!formatResult.valid) {
+        throw new ValidationError(`Validation failed: ${formatResult.error}`);
+      }
+    }
+
+    const parsed = MonsterImport.parseMonsters(data.content, data.format || undefined);
+    if (parsed.length === 0) {
+      throw new ValidationError('Validation failed: No monsters found');
+    }
+    if (parsed.length > MAX_IMPORT_SIZE) {
+      throw new ValidationError(`Validation failed: At most ${MAX_IMPORT_SIZE} monsters can be imported at once`);
+    }
+
+    const imported = [];
+    const failed = [];
+    parsed.forEach((entry, index) => {
+      const errors = entry.error ? [entry.error] : this.validate(entry.monster);
+      if (errors.length > 0) {
+        const name = entry.monster ? entry.monster.name : entry.name;
+        failed.push({ index, name: name || null, error: errors.join(', ') });
+      } else {
+        imported.push({ index, format: entry.format, monster: entry.monster, unmapped: entry.unmapped });
+      }
+    });
+
+    if (data.dry_run !== true && imported.length > 0) {
+      await db.transaction(async (client) => {
+        for (const entry of imported) {
+          entry.monster = await this.create(campaignId, entry.monster, client);
+        }
+      });
+    }
+
+    return { imported, failed };
+  }
+
   /**
    * Get monster by ID
    */
@@ -194,26 +270,20 @@ class Monster {
   /**
    * Create a monster instance for combat
    * This creates a combatant entry and links it to the monster template
+   * @param {Object} options - { hp_mode: 'average'|'rolled'|'max'|'custom', hp, roll_initiative, template }
+   * @param {Object} client - Database client (pass a transaction client to create atomically)
    */
-  static async createInstance(monsterId, instanceName, initiative = 0) {
+  static async createInstance(monsterId, instanceName, initiative = 0, options = {}, client = db) {
     // Get the monster template
-    const monster = await this.findById(monsterId);
+    const monster = options.template || await this.findById(monsterId);
     if (!monster) {
       throw new Error('Monster template not found');
     }
 
-    // Calculate HP from formula (simple implementation)
-    let hp = 10; // default
-    if (monster.hp_formula) {
-      // Parse simple formulas like "4d8+4"
-      const match = monster.hp_formula.match(/(\d+)d(\d+)(?:\+(\d+))?/);
-      if (match) {
-        const numDice = parseInt(match[1]);
-        const diceSize = parseInt(match[2]);
-        const bonus = match[3] ? parseInt(match[3]) : 0;
-        // Use average roll
-        hp = Math.floor(numDice * (diceSize + 1) / 2) + bonus;
-      }
+    const hp = this.instanceHP(monster.hp_formula, options.hp_mode, options.hp);
+
+    if (options.roll_initiative) {
+      initiative = this.rollInitiative(monster).total;
     }
 
     // Calculate saving throws from stats
@@ -236,7 +306,7 @@ class Monster {
       notes: `Monster instance of ${monster.name}`
     };
 
-    const combatant = await Combatant.create(monster.campaign_id, combatantData);
+    const combatant = await Combatant.create(monster.campaign_id, combatantData, client);
 
     // Create monster instance link
     const linkQuery = `
@@ -245,7 +315,12 @@ class Monster {
       RETURNING *
     `;
 
-    const linkResult = await db.query(linkQuery, [monsterId, combatant.id, instanceName || monster.name]);
+    const linkResult = await client.query(linkQuery, [monsterId, combatant.id, instanceName || monster.name]);
+
+    // "Recharge 5-6" attacks and abilities are tracked as resources of the instance
+    if (Resource.findRecharges(monster).length > 0) {
+      combatant.resources = await Resource.createRecharges(client, combatant.id, monster);
+    }
 
     // Return combined data
     return {
@@ -255,6 +330,158 @@ class Monster {
     };
   }
 
+  /**
+   * Create a batch of instances in one transaction
+   * Names are numbered after any existing instances ("Dragonclaw 3", "Dragonclaw 4", ...)
+   * and each instance rolls its own initiative unless a fixed value is given
+   * @param {Object} options - { count, instance_name, initiative, roll_initiative, hp_mode, hp }
+   * @returns {Array} Created instances ({ instance, combatant, template })
+   */
+  static async createInstances(monsterId, options = {}) {
+    const count = parseInt(options.count);
+    if (isNaN(count) || count < 1 || count > MAX_BATCH_SIZE) {
+      throw new ValidationError(`Validation failed: Count must be between 1 and ${MAX_BATCH_SIZE}`);
+    }
+
+    const monster = await this.findById(monsterId);
+    if (!monster) {
+      throw new Error('Monster template not found');
+    }
+
+    return await db.transaction(async (client) => {
+      return await this.spawnInstances(client, monster, { ...options, count });
+    });
+  }
+
+  /**
+   * Create a batch of auto-numbered instances of a template inside a transaction
+   * @param {Object} options - { count, instance_name, initiative, roll_initiative, hp_mode, hp }
+   * @returns {Array} Created instances ({ instance, combatant, template })
+   */
+  static async spawnInstances(client, monster, options) {
+    const baseName = (options.instance_name || monster.name).trim();
+    const rollInitiative = options.roll_initiative !== undefined
+      ? Boolean(options.roll_initiative)
+      : options.initiative === undefined;
+
+    const firstNumber = await this._nextInstanceNumber(client, monster.campaign_id, baseName);
+    const instances = [];
+
+    for (let i = 0; i < options.count; i++) {
+      instances.push(await this.createInstance(
+        monster.id,
+        `${baseName} ${firstNumber + i}`,
+        options.initiative || 0,
+        {
+          hp_mode: options.hp_mode,
+          hp: options.hp,
+          roll_initiative: rollInitiative,
+          template: monster
+        },
+        client
+      ));
+    }
+
+    return instances;
+  }
+
+  /**
+   * Next free number for auto-numbered instance names in a campaign
+   * @private
+   */
+  static async _nextInstanceNumber(client, campaignId, baseName) {
+    const result = await client.query(
+      `SELECT name FROM combatants WHERE campaign_id = $1 AND type = 'Monster'`,
+      [campaignId]
+    );
+
+    const escaped = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escaped} (\\d+)$`);
+
+    return result.rows.reduce((next, row) => {
+      const match = row.name.match(pattern);
+      return match ? Math.max(next, parseInt(match[1]) + 1) : next;
+    }, 1);
+  }
+
+  /**
+   * DEX modifier of a monster template
+   */
+  static dexModifier(monster) {
+    return Math.floor(((monster.stat_dex || 10) - 10) / 2);
+  }
+
+  /**
+   * Roll initiative (d20 + DEX modifier) for a monster template
+   * Results are at least 1, since initiative 0 means "not in combat"
+   * @returns {Object} Dice roll result
+   */
+  static rollInitiative(monster, options = {}) {
+    const modifier = this.dexModifier(monster);
+    const expression = modifier < 0 ? `1d20${modifier}` : `1d20+${modifier}`;
+    const result = Dice.roll(expression, options);
+    return { ...result, total: Math.max(1, result.total) };
+  }
+
+  /**
+   * HP for a new instance
+   * @param {string} formula - HP formula from the template
+   * @param {string} mode - 'average' (default), 'rolled', 'max' or 'custom'
+   * @param {number} customHP - HP to use in custom mode
+   */
+  static instanceHP(formula, mode = 'average', customHP = null) {
+    mode = mode || 'average';
+    if (!HP_MODES.includes(mode)) {
+      throw new ValidationError(`Validation failed: HP mode must be one of: ${HP_MODES.join(', ')}`);
+    }
+
+    if (mode === 'custom') {
+      const hp = parseInt(customHP);
+      if (isNaN(hp) || hp < 1) {
+        throw new ValidationError('Validation failed: Custom HP must be a positive number');
+      }
+      return hp;
+    }
+
+    const expression = this.hpExpression(formula);
+    if (!expression || mode === 'average') {
+      return this.averageHP(formula);
+    }
+
+    const hp = mode === 'max' ? Dice.max(expression) : Dice.roll(expression).total;
+    return Math.max(1, hp);
+  }
+
+  /**
+   * Extract the dice expression from an HP formula
+   * Accepts plain expressions ("8d8+16") and stat block style ("52 (8d8+16)")
+   * @returns {string|null} Dice expression, or null if none is found
+   */
+  static hpExpression(formula) {
+    if (!formula) {
+      return null;
+    }
+
+    if (Dice.isValid(formula)) {
+      return formula;
+    }
+
+    const match = String(formula).match(/\d*d\d+(?:\s*[+-]\s*\d*d?\d+)*/i);
+    return match && Dice.isValid(match[0]) ? match[0] : null;
+  }
+
+  /**
+   * Average HP for a formula, rounded down (default 10 if it cannot be parsed)
+   */
+  static averageHP(formula) {
+    const expression = this.hpExpression(formula);
+    if (!expression) {
+      return 10;
+    }
+
+    return Math.max(1, Math.floor(Dice.average(expression)));
+  }
+
   /**
    * Get all instances of a monster
    */
@@ -287,4 +514,8 @@ class Monster {
   }
 }
 
+Monster.HP_MODES = HP_MODES;
+Monster.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+Monster.MAX_IMPORT_SIZE = MAX_IMPORT_SIZE;
+
 module.exports = Monster;
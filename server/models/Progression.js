@@ -0,0 +1,441 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const Abilities = require('../../shared/abilities');
+const Leveling = require('../../shared/leveling');
+const Combatant = require('./Combatant');
+const Rest = require('./Rest');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Progression Model
+ * Experience and levels of player characters. Every award or correction goes
+ * in an experience ledger and every level gained in a level history. In XP
+ * campaigns a character levels up once its experience reaches the next
+ * threshold; in milestone campaigns the DM decides and no experience is kept.
+ * A level up raises max HP by the fixed value or a hit die roll (plus the
+ * Constitution modifier) and can pick the subclass at the class's subclass level.
+ * Encounters award the experience of the monsters defeated in them, split
+ * evenly between the characters who fought.
+ */
+
+const HP_METHODS = ['fixed', 'rolled'];
+const MAX_AWARD = 1000000;
+
+class Progression {
+  /**
+   * A character's experience, what the next level needs and its ledger and level history
+   * @returns {Object} { combatant_id, name, level, experience_points, progression,
+   *   proficiency_bonus, next_level, awards, history }, or null if the character does not exist
+   */
+  static async getProgress(combatantId) {
+    const combatant = await this._findCharacter(db, combatantId);
+    if (!combatant) {
+      return null;
+    }
+
+    const [awards, history] = await Promise.all([
+      db.query('SELECT * FROM experience_awards WHERE combatant_id = $1 ORDER BY created_at DESC, id DESC', [combatantId]),
+      db.query('SELECT * FROM level_history WHERE combatant_id = $1 ORDER BY level, id', [combatantId])
+    ]);
+
+    return {
+      combatant_id: combatant.id,
+      name: combatant.name,
+      level: combatant.level || 1,
+      experience_points: combatant.experience_points || 0,
+      progression: combatant.progression,
+      proficiency_bonus: Abilities.proficiencyBonus(combatant.level),
+      next_level: this.nextLevel(combatant),
+      awards: awards.rows,
+      history: history.rows
+    };
+  }
+
+  /**
+   * What a character's next level needs and gives
+   * @param {Object} combatant - A combatant row with the campaign's progression
+   * @returns {Object} { level, xp_needed, ready, hit_die, fixed_hp, subclass_due }, or null at level 20
+   */
+  static nextLevel(combatant) {
+    const level = (combatant.level || 1) + 1;
+    if (level > Leveling.MAX_LEVEL) {
+      return null;
+    }
+
+    const xpNeeded = combatant.progression === 'milestone' ? null : Leveling.xpForLevel(level);
+    const { die } = Rest.hitDice(combatant);
+    return {
+      level,
+      xp_needed: xpNeeded,
+      ready: xpNeeded === null || (combatant.experience_points || 0) >= xpNeeded,
+      hit_die: die,
+      fixed_hp: Leveling.fixedHitPoints(die, Rest.constitutionModifier(combatant)),
+      subclass_due: !combatant.subclass && level >= Leveling.subclassLevel(combatant.character_class)
+    };
+  }
+
+  /**
+   * Add an entry to a character's experience ledger
+   * Negative amounts correct earlier awards; the total never drops below 0.
+   * @param {Object} data - { amount, reason }
+   * @returns {Object} { combatant, award }, or null if the character does not exist
+   */
+  static async awardXp(combatantId, data) {
+    const errors = this._validateAward(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const combatant = await this._findCharacter(client, combatantId, true);
+      if (!combatant) {
+        return null;
+      }
+      this._requireXpCampaign(combatant);
+
+      const amount = parseInt(data.amount);
+      if ((combatant.experience_points || 0) + amount < 0) {
+        throw new ValidationError(`Validation failed: ${combatant.name} only has ${combatant.experience_points || 0} XP`);
+      }
+
+      return await this._award(client, combatant, amount, data.reason ? sanitizeString(data.reason) : null);
+    });
+  }
+
+  /**
+   * Raise a character one level
+   * In XP campaigns the character needs the experience for the new level.
+   * @param {Object} data - { hp_method: fixed (default) or rolled, subclass, seed }
+   * @returns {Object} { combatant, level_from, level_to, hp_gained, hp_roll,
+   *   proficiency_bonus: { from, to }, history }, or null if the character does not exist
+   */
+  static async levelUp(combatantId, data = {}) {
+    const method = data.hp_method || 'fixed';
+    const errors = this._validateLevelUp({ ...data, hp_method: method });
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    return await db.transaction(async (client) => {
+      const combatant = await this._findCharacter(client, combatantId, true);
+      if (!combatant) {
+        return null;
+      }
+
+      const next = this.nextLevel(combatant);
+      if (!next) {
+        throw new ValidationError(`Validation failed: ${combatant.name} is already level ${Leveling.MAX_LEVEL}`);
+      }
+      if (!next.ready) {
+        throw new ValidationError(
+          `Validation failed: ${combatant.name} needs ${next.xp_needed} XP to reach level ${next.level}`
+        );
+      }
+
+      const subclass = await this._validateSubclass(client, combatant, next.level, data.subclass);
+
+      // Rolled hit points: the hit die plus the Constitution modifier, at least 1
+      let hpRoll = null;
+      let hpGained = next.fixed_hp;
+      if (method === 'rolled') {
+        const rng = data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : undefined;
+        hpRoll = Dice.roll(`1d${next.hit_die}`, { rng }).total;
+        hpGained = Math.max(1, hpRoll + Rest.constitutionModifier(combatant));
+      }
+
+      const result = await client.query(
+        `UPDATE combatants
+         SET level = $1, max_hp = max_hp + $2, current_hp = current_hp + $2,
+             subclass = COALESCE($3, subclass)
+         WHERE id = $4
+         RETURNING *`,
+        [next.level, hpGained, subclass, combatant.id]
+      );
+      // The proficiency bonus may have gone up
+      const leveled = await Combatant.syncSaves(result.rows[0], client);
+
+      const history = await client.query(
+        `INSERT INTO level_history (combatant_id, level, hp_method, hp_roll, hp_gained, subclass)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [combatant.id, next.level, method, hpRoll, hpGained, subclass]
+      );
+
+      return {
+        combatant: leveled,
+        level_from: combatant.level || 1,
+        level_to: next.level,
+        hp_gained: hpGained,
+        hp_roll: hpRoll,
+        proficiency_bonus: {
+          from: Abilities.proficiencyBonus(combatant.level),
+          to: Abilities.proficiencyBonus(next.level)
+        },
+        history: history.rows[0]
+      };
+    });
+  }
+
+  /**
+   * Experience an encounter is worth: each defeated monster's challenge rating,
+   * split evenly between the characters who fought and are not dead
+   * @returns {Object} { encounter_id, progression, defeated: [{ combatant_id, name, cr, xp }],
+   *   total_xp, recipients: [{ combatant_id, name }], xp_each, awarded_at }, or null if the encounter does not exist
+   */
+  static async encounterXp(encounterId, client = db) {
+    const encounter = await client.query(
+      `SELECT e.*, camp.progression
+       FROM encounters e
+       JOIN campaigns camp ON e.campaign_id = camp.id
+       WHERE e.id = $1`,
+      [encounterId]
+    );
+    if (encounter.rows.length === 0) {
+      return null;
+    }
+
+    const participants = await client.query(
+      `SELECT c.id, c.name, c.type, c.current_hp, c.is_dead, m.cr
+       FROM encounter_participants ep
+       JOIN combatants c ON ep.combatant_id = c.id
+       LEFT JOIN monster_instances mi ON mi.combatant_id = c.id
+       LEFT JOIN monsters m ON mi.monster_id = m.id
+       WHERE ep.encounter_id = $1
+       ORDER BY c.id`,
+      [encounterId]
+    );
+
+    // Only monsters made from a stat block have a challenge rating
+    const defeated = participants.rows
+      .filter(p => p.type !== 'PC' && p.cr !== null && (p.current_hp <= 0 || p.is_dead))
+      .map(p => ({ combatant_id: p.id, name: p.name, cr: p.cr, xp: Leveling.crXp(p.cr) || 0 }));
+    const recipients = participants.rows
+      .filter(p => p.type === 'PC' && !p.is_dead)
+      .map(p => ({ combatant_id: p.id, name: p.name }));
+
+    const { id, progression, xp_awarded_at: awardedAt } = encounter.rows[0];
+    return this._split({ encounter_id: id, progression, awarded_at: awardedAt }, defeated, recipients);
+  }
+
+  /**
+   * Hand out an ended encounter's experience, once
+   * @param {Object} data - { combatant_ids: characters who share it instead of those who fought }
+   * @returns {Object} The encounter's experience with the awards made, or null if the encounter does not exist
+   */
+  static async awardEncounterXp(encounterId, data = {}) {
+    const ids = this._validateRecipients(data.combatant_ids);
+
+    return await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM encounters WHERE id = $1 FOR UPDATE', [encounterId]);
+      if (locked.rows.length === 0) {
+        return null;
+      }
+      const encounter = locked.rows[0];
+      if (encounter.status !== 'ended') {
+        throw new ValidationError('Validation failed: Experience is awarded once the encounter has ended');
+      }
+      if (encounter.xp_awarded_at) {
+        throw new ValidationError('Validation failed: Experience for this encounter has already been awarded');
+      }
+
+      let xp = await this.encounterXp(encounterId, client);
+      this._requireXpCampaign(xp);
+
+      if (ids) {
+        const chosen = await client.query(
+          `SELECT id, name FROM combatants
+           WHERE campaign_id = $1 AND type = 'PC' AND id = ANY($2)
+           ORDER BY id`,
+          [encounter.campaign_id, ids]
+        );
+        if (chosen.rows.length !== ids.length) {
+          throw new ValidationError('Validation failed: Experience can only go to characters in the campaign');
+        }
+        xp = this._split(xp, xp.defeated, chosen.rows.map(c => ({ combatant_id: c.id, name: c.name })));
+      }
+
+      if (xp.total_xp === 0) {
+        throw new ValidationError('Validation failed: No monsters with a challenge rating were defeated');
+      }
+      if (xp.recipients.length === 0) {
+        throw new ValidationError('Validation failed: No characters to award experience to');
+      }
+
+      const awards = [];
+      for (const recipient of xp.recipients) {
+        const combatant = await this._findCharacter(client, recipient.combatant_id, true);
+        awards.push(await this._award(client, combatant, xp.xp_each, encounter.name, encounter.id));
+      }
+
+      const awarded = await client.query(
+        'UPDATE encounters SET xp_awarded_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING xp_awarded_at',
+        [encounterId]
+      );
+
+      return { ...xp, awarded_at: awarded.rows[0].xp_awarded_at, awards };
+    });
+  }
+
+  /**
+   * Split an encounter's experience between its recipients
+   * @private
+   */
+  static _split({ encounter_id, progression, awarded_at }, defeated, recipients) {
+    const totalXp = defeated.reduce((sum, monster) => sum + monster.xp, 0);
+    return {
+      encounter_id,
+      progression,
+      defeated,
+      total_xp: totalXp,
+      recipients,
+      xp_each: recipients.length > 0 ? Math.floor(totalXp / recipients.length) : 0,
+      awarded_at
+    };
+  }
+
+  /**
+   * Write a ledger entry and the character's new total
+   * @private
+   */
+  static async _award(client, combatant, amount, reason, encounterId = null) {
+    const award = await client.query(
+      `INSERT INTO experience_awards (combatant_id, amount, reason, encounter_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [combatant.id, amount, reason, encounterId]
+    );
+    const updated = await client.query(
+      'UPDATE combatants SET experience_points = experience_points + $1 WHERE id = $2 RETURNING *',
+      [amount, combatant.id]
+    );
+    return { combatant: updated.rows[0], award: award.rows[0] };
+  }
+
+  /**
+   * A player character with its campaign's progression, optionally locked for update
+   * @private
+   */
+  static async _findCharacter(client, combatantId, lock = false) {
+    const result = await client.query(
+      `SELECT c.*, camp.progression
+       FROM combatants c
+       JOIN campaigns camp ON c.campaign_id = camp.id
+       WHERE c.id = $1 AND c.type = 'PC'
+       ${lock ? 'FOR UPDATE OF c' : ''}`,
+      [combatantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Experience is only kept in XP campaigns
+   * @private
+   */
+  static _requireXpCampaign({ progression }) {
+    if (progression === 'milestone') {
+      throw new ValidationError('Validation failed: Campaign uses milestone leveling');
+    }
+  }
+
+  /**
+   * The subclass to set on reaching a level, checked against the class's
+   * subclasses in the reference data (null when none is being picked)
+   * @private
+   */
+  static async _validateSubclass(client, combatant, level, subclass) {
+    if (subclass === undefined || subclass === null || subclass === '') {
+      return null;
+    }
+    if (combatant.subclass) {
+      throw new ValidationError(`Validation failed: ${combatant.name} is already a ${combatant.subclass}`);
+    }
+
+    const subclassLevel = Leveling.subclassLevel(combatant.character_class);
+    if (level < subclassLevel) {
+      throw new ValidationError(`Validation failed: ${combatant.character_class || 'Characters'} pick a subclass at level ${subclassLevel}`);
+    }
+
+    const known = await client.query(
+      `SELECT s.name
+       FROM subclasses s
+       JOIN classes c ON s.class_id = c.id
+       WHERE LOWER(c.name) = LOWER($1)`,
+      [combatant.character_class || '']
+    );
+    const name = sanitizeString(String(subclass).trim());
+    if (known.rows.length > 0 && !known.rows.some(row => row.name === name)) {
+      throw new ValidationError(
+        `Validation failed: Subclass must be one of: ${known.rows.map(row => row.name).join(', ')}`
+      );
+    }
+    return name;
+  }
+
+  /**
+   * @private
+   */
+  static _validateAward(data) {
+    const errors = [];
+
+    const amountResult = validateNumber(data.amount, {
+      min: -MAX_AWARD,
+      max: MAX_AWARD,
+      allowFloat: false,
+      fieldName: 'Amount'
+    });
+    if (!amountResult.valid) {
+      errors.push(amountResult.error);
+    } else if (amountResult.value === 0) {
+      errors.push('Amount must not be 0');
+    }
+
+    const reasonResult = validateString(data.reason, { maxLength: 255, fieldName: 'Reason' });
+    if (!reasonResult.valid) {
+      errors.push(reasonResult.error);
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  static _validateLevelUp(data) {
+    const errors = [];
+
+    const methodResult = validateEnum(data.hp_method, HP_METHODS, 'HP method');
+    if (!methodResult.valid) {
+      errors.push(methodResult.error);
+    }
+
+    if (data.subclass !== undefined && data.subclass !== null) {
+      const subclassResult = validateString(data.subclass, { maxLength: 100, fieldName: 'Subclass' });
+      if (!subclassResult.valid) {
+        errors.push(subclassResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * IDs of the characters who share an encounter's experience (null for those who fought)
+   * @private
+   */
+  static _validateRecipients(combatantIds) {
+    if (combatantIds === undefined || combatantIds === null) {
+      return null;
+    }
+
+    const ids = Array.isArray(combatantIds) ? combatantIds.map(id => parseInt(id)) : [];
+    if (ids.length === 0 || ids.some(id => isNaN(id))) {
+      throw new ValidationError('Validation failed: Combatant IDs must be a non-empty list');
+    }
+    return [...new Set(ids)];
+  }
+}
+
+Progression.HP_METHODS = HP_METHODS;
+
+module.exports = Progression;
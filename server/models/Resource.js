@@ -0,0 +1,469 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Resource Model
+ * Limited-use resources of a combatant: spell slots by level, pact slots,
+ * class resources (Ki, Rage, Channel Divinity, Action Surge) and monster
+ * abilities that recharge on a d6 roll at the start of the monster's turn.
+ * Each resource counts its uses against a maximum and can be restored by a
+ * short or long rest.
+ */
+
+const KINDS = ['spell_slot', 'pact_slot', 'class', 'recharge'];
+const SLOT_KINDS = ['spell_slot', 'pact_slot'];
+const REST_TYPES = ['short_rest', 'long_rest'];
+const MAX_USES = 99;
+
+// "Recharge 5-6" or "Recharge 6" in a stat block entry
+const RECHARGE_PATTERN = /\brecharge\s+([1-6])(?:\s*[-–]\s*6)?\b/i;
+
+class Resource {
+  /**
+   * Validate resource data
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+    const kind = data.kind || 'class';
+
+    const kindResult = validateEnum(kind, KINDS, 'Kind');
+    if (!kindResult.valid) {
+      errors.push(kindResult.error);
+    }
+
+    // Spell and pact slots are named after their level when no name is given
+    if (data.name !== undefined || (!partial && !SLOT_KINDS.includes(kind))) {
+      const nameResult = validateString(data.name, {
+        required: true,
+        minLength: 1,
+        maxLength: 100,
+        fieldName: 'Name'
+      });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (this._isSet(data.slot_level) || (!partial && SLOT_KINDS.includes(kind))) {
+      const levelResult = validateNumber(data.slot_level, {
+        min: 1,
+        max: 9,
+        allowFloat: false,
+        fieldName: 'Slot level'
+      });
+      if (!levelResult.valid) {
+        errors.push(levelResult.error);
+      }
+    }
+
+    if (this._isSet(data.max_uses) || (!partial && kind !== 'recharge')) {
+      const maxResult = validateNumber(data.max_uses, {
+        min: 0,
+        max: MAX_USES,
+        allowFloat: false,
+        fieldName: 'Max uses'
+      });
+      if (!maxResult.valid) {
+        errors.push(maxResult.error);
+      }
+    }
+
+    if (this._isSet(data.used)) {
+      const usedResult = validateNumber(data.used, {
+        min: 0,
+        max: MAX_USES,
+        allowFloat: false,
+        fieldName: 'Used'
+      });
+      if (!usedResult.valid) {
+        errors.push(usedResult.error);
+      }
+    }
+
+    if (this._isSet(data.resets_on)) {
+      const restResult = validateEnum(data.resets_on, REST_TYPES, 'Resets on');
+      if (!restResult.valid) {
+        errors.push(restResult.error);
+      }
+    }
+
+    if (this._isSet(data.recharge_min) || (!partial && kind === 'recharge')) {
+      const rechargeResult = validateNumber(data.recharge_min, {
+        min: 1,
+        max: 6,
+        allowFloat: false,
+        fieldName: 'Recharge'
+      });
+      if (!rechargeResult.valid) {
+        errors.push(rechargeResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get a combatant's resources: spell slots by level, pact slots, class resources, then recharge abilities
+   */
+  static async findByCombatant(combatantId, client = db) {
+    const result = await client.query(
+      `SELECT * FROM combatant_resources
+       WHERE combatant_id = $1
+       ORDER BY array_position($2::varchar[], kind), slot_level, name`,
+      [combatantId, KINDS]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add a resource to a combatant
+   * @param {Object} data - { name, kind, slot_level, max_uses, used, resets_on, recharge_min }
+   * @returns {Object} The resource, or null if the combatant does not exist
+   */
+  static async create(combatantId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const combatant = await db.query('SELECT id FROM combatants WHERE id = $1', [combatantId]);
+    if (combatant.rows.length === 0) {
+      return null;
+    }
+
+    const kind = data.kind || 'class';
+    const maxUses = kind === 'recharge' ? 1 : parseInt(data.max_uses);
+    const values = [
+      combatantId,
+      this._isSet(data.name) ? sanitizeString(data.name) : this.defaultName(kind, parseInt(data.slot_level)),
+      kind,
+      SLOT_KINDS.includes(kind) ? parseInt(data.slot_level) : null,
+      maxUses,
+      Math.min(parseInt(data.used) || 0, maxUses),
+      this._isSet(data.resets_on) ? data.resets_on : this.defaultReset(kind),
+      kind === 'recharge' ? parseInt(data.recharge_min) : null
+    ];
+
+    return await this._write(
+      `INSERT INTO combatant_resources (
+        combatant_id, name, kind, slot_level, max_uses, used, resets_on, recharge_min
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      values,
+      values[1]
+    );
+  }
+
+  /**
+   * Update a resource's name, level, maximum, uses, rest or recharge
+   * Uses are capped at the (new) maximum.
+   * @returns {Object} The resource, or null if it does not exist
+   */
+  static async update(combatantId, resourceId, data) {
+    const resource = await this._find(db, combatantId, resourceId);
+    if (!resource) {
+      return null;
+    }
+
+    const errors = this.validate({ ...data, kind: resource.kind }, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const maxUses = this._isSet(data.max_uses) && resource.kind !== 'recharge'
+      ? parseInt(data.max_uses)
+      : resource.max_uses;
+    const used = this._isSet(data.used) ? parseInt(data.used) : resource.used;
+    const name = this._isSet(data.name) ? sanitizeString(data.name) : resource.name;
+
+    return await this._write(
+      `UPDATE combatant_resources
+       SET name = $1, slot_level = $2, max_uses = $3, used = $4, resets_on = $5, recharge_min = $6
+       WHERE id = $7
+       RETURNING *`,
+      [
+        name,
+        this._isSet(data.slot_level) && SLOT_KINDS.includes(resource.kind) ? parseInt(data.slot_level) : resource.slot_level,
+        maxUses,
+        Math.min(used, maxUses),
+        data.resets_on !== undefined ? (data.resets_on || null) : resource.resets_on,
+        this._isSet(data.recharge_min) && resource.kind === 'recharge' ? parseInt(data.recharge_min) : resource.recharge_min,
+        resource.id
+      ],
+      name
+    );
+  }
+
+  /**
+   * Delete a resource
+   * @returns {Object} The deleted resource, or null if it does not exist
+   */
+  static async delete(combatantId, resourceId) {
+    const result = await db.query(
+      'DELETE FROM combatant_resources WHERE id = $1 AND combatant_id = $2 RETURNING *',
+      [resourceId, combatantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Spend uses of a resource (a spell slot, a Ki point, a breath weapon)
+   * @returns {Object} The resource, or null if it does not exist
+   */
+  static async use(combatantId, resourceId, amount = 1) {
+    const count = this._validateAmount(amount);
+
+    return await db.transaction(async (client) => {
+      const resource = await this._find(client, combatantId, resourceId, true);
+      if (!resource) {
+        return null;
+      }
+
+      const remaining = resource.max_uses - resource.used;
+      if (count > remaining) {
+        throw new ValidationError(
+          resource.kind === 'recharge'
+            ? `Validation failed: ${resource.name} has not recharged`
+            : `Validation failed: ${resource.name} has ${remaining} of ${resource.max_uses} uses left`
+        );
+      }
+
+      return await this._setUsed(client, resource, resource.used + count);
+    });
+  }
+
+  /**
+   * Regain uses of a resource; every use is regained when no amount is given
+   * @returns {Object} The resource, or null if it does not exist
+   */
+  static async restore(combatantId, resourceId, amount) {
+    const count = this._isSet(amount) ? this._validateAmount(amount) : null;
+
+    return await db.transaction(async (client) => {
+      const resource = await this._find(client, combatantId, resourceId, true);
+      if (!resource) {
+        return null;
+      }
+
+      const used = count === null ? 0 : Math.max(0, resource.used - count);
+      return await this._setUsed(client, resource, used);
+    });
+  }
+
+  /**
+   * Restore the resources a rest resets: a short rest resets short rest resources,
+   * a long rest resets both short and long rest resources
+   * @returns {Array} Resources that regained uses
+   */
+  static async reset(combatantId, rest, client = db) {
+    const restResult = validateEnum(rest, REST_TYPES, 'Rest');
+    if (!restResult.valid) {
+      throw new ValidationError(`Validation failed: ${restResult.error}`);
+    }
+
+    const result = await client.query(
+      `UPDATE combatant_resources
+       SET used = 0
+       WHERE combatant_id = $1 AND used > 0 AND resets_on = ANY($2)
+       RETURNING *`,
+      [combatantId, rest === 'long_rest' ? REST_TYPES : ['short_rest']]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Roll to recharge an expended recharge ability: 1d6 at or above recharge_min restores it
+   * @param {Object} options - { roll (d6 rolled at the table), seed }
+   * @returns {Object} { resource, roll, recharged } or null if the resource does not exist
+   */
+  static async rollRecharge(combatantId, resourceId, options = {}) {
+    const hasRoll = this._isSet(options.roll);
+    const natural = hasRoll ? parseInt(options.roll) : null;
+    if (hasRoll && (isNaN(natural) || natural < 1 || natural > 6)) {
+      throw new ValidationError('Validation failed: Roll must be a number between 1 and 6');
+    }
+
+    return await db.transaction(async (client) => {
+      const resource = await this._find(client, combatantId, resourceId, true);
+      if (!resource) {
+        return null;
+      }
+      if (resource.kind !== 'recharge') {
+        throw new ValidationError(`Validation failed: ${resource.name} does not recharge`);
+      }
+
+      const roll = hasRoll
+        ? { natural, total: natural, breakdown: `${natural}` }
+        : Dice.roll('1d6', { seed: options.seed });
+      return await this._recharge(client, resource, roll);
+    });
+  }
+
+  /**
+   * Roll for every expended recharge ability of the combatant starting its turn
+   * @param {Object} client - Transaction client of the turn change
+   * @param {Object} naturals - d6 results to use instead of rolling, by resource ID
+   *   (a turn being stepped into again keeps its rolls)
+   * @returns {Array} { resource, roll, recharged } for each ability rolled for
+   */
+  static async rollRecharges(client, combatantId, rng, naturals = {}) {
+    const result = await client.query(
+      `SELECT * FROM combatant_resources
+       WHERE combatant_id = $1 AND kind = 'recharge' AND used >= max_uses
+       ORDER BY name
+       FOR UPDATE`,
+      [combatantId]
+    );
+
+    const rolls = [];
+    for (const resource of result.rows) {
+      const natural = naturals[resource.id];
+      const roll = natural !== undefined
+        ? { natural, total: natural, breakdown: `${natural}` }
+        : Dice.roll('1d6', { rng });
+      rolls.push(await this._recharge(client, resource, roll));
+    }
+    return rolls;
+  }
+
+  /**
+   * Undo rollRecharges for a turn being stepped back from: the abilities it
+   * recharged are expended again
+   * @param {Object} client - Transaction client of the turn change
+   * @param {Array} recharges - { resource_id, natural, recharged } for each ability rolled for
+   */
+  static async revertRecharges(client, recharges) {
+    const ids = recharges.filter(recharge => recharge.recharged).map(recharge => recharge.resource_id);
+    if (ids.length > 0) {
+      await client.query(
+        'UPDATE combatant_resources SET used = max_uses WHERE id = ANY($1)',
+        [ids]
+      );
+    }
+  }
+
+  /**
+   * Create recharge resources for the "Recharge 5-6" attacks and abilities of a monster template
+   * @returns {Array} Created resources
+   */
+  static async createRecharges(client, combatantId, template) {
+    const created = [];
+    for (const entry of this.findRecharges(template)) {
+      const result = await client.query(
+        `INSERT INTO combatant_resources (combatant_id, name, kind, max_uses, used, resets_on, recharge_min)
+         VALUES ($1, $2, 'recharge', 1, 0, 'short_rest', $3)
+         ON CONFLICT (combatant_id, name) DO NOTHING
+         RETURNING *`,
+        [combatantId, entry.name, entry.recharge_min]
+      );
+      created.push(...result.rows);
+    }
+    return created;
+  }
+
+  /**
+   * Find the attacks and abilities of a monster template that recharge
+   * @returns {Array} { name, recharge_min }
+   */
+  static findRecharges(template) {
+    const parse = (list) => (typeof list === 'string' ? JSON.parse(list) : list) || [];
+    return [...parse(template.attacks), ...parse(template.abilities)]
+      .map(entry => ({ entry, match: RECHARGE_PATTERN.exec(`${entry.name || ''} ${entry.description || ''}`) }))
+      .filter(({ entry, match }) => entry.name && match)
+      .map(({ entry, match }) => ({
+        name: entry.name.replace(/\s*\(recharge[^)]*\)/i, '').trim(),
+        recharge_min: parseInt(match[1])
+      }));
+  }
+
+  /**
+   * Name of a spell or pact slot resource, e.g. "Level 3 spell slots"
+   */
+  static defaultName(kind, slotLevel) {
+    return kind === 'pact_slot' ? `Pact slots (level ${slotLevel})` : `Level ${slotLevel} spell slots`;
+  }
+
+  /**
+   * Pact slots return on a short rest and spell slots on a long rest
+   */
+  static defaultReset(kind) {
+    if (kind === 'spell_slot') return 'long_rest';
+    if (kind === 'pact_slot' || kind === 'recharge') return 'short_rest';
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static async _recharge(client, resource, roll) {
+    const recharged = roll.total >= resource.recharge_min;
+    const updated = recharged ? await this._setUsed(client, resource, 0) : resource;
+    return { resource: updated, roll, recharged };
+  }
+
+  /**
+   * @private
+   */
+  static async _setUsed(client, resource, used) {
+    const result = await client.query(
+      'UPDATE combatant_resources SET used = $1 WHERE id = $2 RETURNING *',
+      [used, resource.id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Insert or update a resource, reporting a duplicate name as a validation error
+   * @private
+   */
+  static async _write(query, values, name) {
+    try {
+      const result = await db.query(query, values);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ValidationError(`Validation failed: There is already a resource named ${name}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async _find(client, combatantId, resourceId, lock = false) {
+    const result = await client.query(
+      `SELECT * FROM combatant_resources
+       WHERE id = $1 AND combatant_id = $2${lock ? ' FOR UPDATE' : ''}`,
+      [resourceId, combatantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  static _validateAmount(amount) {
+    const count = parseInt(amount);
+    if (isNaN(count) || count < 1 || count > MAX_USES) {
+      throw new ValidationError(`Validation failed: Amount must be a number between 1 and ${MAX_USES}`);
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+Resource.KINDS = KINDS;
+Resource.REST_TYPES = REST_TYPES;
+
+module.exports = Resource;
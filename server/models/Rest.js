@@ -0,0 +1,253 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const Abilities = require('../../shared/abilities');
+const CombatLog = require('./CombatLog');
+const Condition = require('./Condition');
+const Resource = require('./Resource');
+const SiegeState = require('./SiegeState');
+const HitPoints = require('../utils/hitPoints');
+const { validateEnum } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Rest Model
+ * Short and long rests for the party. On a short rest each character may spend
+ * hit dice, rolling each one plus its Constitution modifier to regain hit
+ * points. A long rest restores all hit points, gives back half of the
+ * character's hit dice (at least one) and lowers exhaustion by one level; a
+ * character needs at least 1 HP to benefit from it. Both reset the resources
+ * that recharge on that kind of rest, and a long rest can move the siege on a day.
+ */
+
+const HIT_DIE_SIZES = [6, 8, 10, 12];
+const DEFAULT_HIT_DIE = 8;
+
+// Hit die of each class without a d8
+const CLASS_HIT_DICE = {
+  barbarian: 12,
+  fighter: 10,
+  paladin: 10,
+  ranger: 10,
+  sorcerer: 6,
+  wizard: 6
+};
+
+class Rest {
+  /**
+   * A combatant's hit dice: one per level, of the size given by its hit_die or its class
+   * @returns {Object} { die, total, remaining }
+   */
+  static hitDice(combatant) {
+    const className = String(combatant.character_class || '').trim().toLowerCase();
+    const die = combatant.hit_die || CLASS_HIT_DICE[className] || DEFAULT_HIT_DIE;
+    const total = Math.max(1, combatant.level || 1);
+    return { die, total, remaining: Math.max(0, total - (combatant.hit_dice_used || 0)) };
+  }
+
+  /**
+   * Modifier of a Constitution score (0 when the score is not recorded)
+   */
+  static constitutionModifier(combatant) {
+    return combatant.stat_con ? Abilities.modifier(combatant.stat_con) : 0;
+  }
+
+  /**
+   * Hit dice regained on a long rest: half the character's total, at least one
+   */
+  static hitDiceRegained(combatant) {
+    const { total, remaining } = this.hitDice(combatant);
+    return Math.min(total - remaining, Math.max(1, Math.floor(total / 2)));
+  }
+
+  /**
+   * Take a short or long rest
+   * Rests every PC in the campaign unless combatant_ids picks who rests.
+   * @param {Object} data - { type: short_rest or long_rest, combatant_ids, hit_dice: hit dice
+   *   each character spends on a short rest by combatant ID, advance_day (long rests), seed }
+   * @returns {Object} { type, results, siege_state } or null if the campaign does not exist
+   */
+  static async take(campaignId, data) {
+    const ids = this._validate(data);
+    const hitDice = data.hit_dice || {};
+
+    return await db.transaction(async (client) => {
+      const campaign = await client.query('SELECT id FROM campaigns WHERE id = $1', [campaignId]);
+      if (campaign.rows.length === 0) {
+        return null;
+      }
+
+      // Rows are locked in ID order so overlapping rests cannot deadlock
+      const resting = ids
+        ? await client.query(
+          'SELECT * FROM combatants WHERE campaign_id = $1 AND id = ANY($2) ORDER BY id FOR UPDATE',
+          [campaignId, ids]
+        )
+        : await client.query(
+          'SELECT * FROM combatants WHERE campaign_id = $1 AND type = \'PC\' ORDER BY id FOR UPDATE',
+          [campaignId]
+        );
+      if (ids && resting.rows.length !== ids.length) {
+        throw new ValidationError('Validation failed: Everyone resting must be in the campaign');
+      }
+
+      const rng = data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : undefined;
+      const results = [];
+      for (const combatant of resting.rows) {
+        results.push(data.type === 'short_rest'
+          ? await this._shortRest(client, combatant, parseInt(hitDice[combatant.id]) || 0, rng)
+          : await this._longRest(client, combatant));
+      }
+
+      const siegeState = data.advance_day ? await SiegeState.advanceDay(campaignId, 1, client, 'Party rested') : null;
+
+      return { type: data.type, results, siege_state: siegeState };
+    });
+  }
+
+  /**
+   * Spend hit dice and reset short rest resources
+   * @private
+   */
+  static async _shortRest(client, combatant, spend, rng) {
+    const hitDice = this.hitDice(combatant);
+    if (spend > hitDice.remaining) {
+      throw new ValidationError(`Validation failed: ${combatant.name} has ${hitDice.remaining} hit dice left`);
+    }
+    if (combatant.is_dead) {
+      return this._skipped(combatant, 'dead');
+    }
+
+    const modifier = this.constitutionModifier(combatant);
+    const rolls = [];
+    for (let i = 0; i < spend; i++) {
+      rolls.push(Dice.roll(modifier < 0 ? `1d${hitDice.die}${modifier}` : `1d${hitDice.die}+${modifier}`, { rng }));
+    }
+    // A hit die always restores at least 0 hit points, however low the Constitution
+    const healing = rolls.reduce((sum, roll) => sum + Math.max(0, roll.total), 0);
+
+    const changes = {
+      ...HitPoints.heal(combatant, healing),
+      hit_dice_used: (combatant.hit_dice_used || 0) + spend
+    };
+    const rested = await this._save(client, combatant, changes);
+
+    return {
+      ...this._result(combatant, rested),
+      hit_dice_spent: spend,
+      rolls,
+      healing,
+      resources_reset: await Resource.reset(combatant.id, 'short_rest', client)
+    };
+  }
+
+  /**
+   * Restore hit points and hit dice, lower exhaustion and reset all rest resources
+   * @private
+   */
+  static async _longRest(client, combatant) {
+    if (combatant.is_dead) {
+      return this._skipped(combatant, 'dead');
+    }
+    if (combatant.current_hp <= 0) {
+      return this._skipped(combatant, 'needs at least 1 HP');
+    }
+
+    const regained = this.hitDiceRegained(combatant);
+    const changes = {
+      ...HitPoints.heal(combatant, combatant.max_hp),
+      temp_hp: 0,
+      hit_dice_used: (combatant.hit_dice_used || 0) - regained
+    };
+    const rested = await this._save(client, combatant, changes);
+
+    return {
+      ...this._result(combatant, rested),
+      hit_dice_regained: regained,
+      exhaustion: await Condition.reduceExhaustion(client, rested),
+      resources_reset: await Resource.reset(combatant.id, 'long_rest', client)
+    };
+  }
+
+  /**
+   * Write the changed fields and log the hit point changes
+   * @private
+   */
+  static async _save(client, combatant, changes) {
+    const fields = Object.keys(changes).filter(field => changes[field] !== combatant[field]);
+    if (fields.length === 0) {
+      return combatant;
+    }
+
+    const result = await client.query(
+      `UPDATE combatants SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}
+       WHERE id = $${fields.length + 1}
+       RETURNING *`,
+      [...fields.map(field => changes[field]), combatant.id]
+    );
+    await CombatLog.recordChanges(combatant, result.rows[0], client);
+    return result.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  static _result(before, after) {
+    return {
+      combatant: after,
+      hp_before: before.current_hp,
+      hp_after: after.current_hp,
+      hit_dice: this.hitDice(after)
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _skipped(combatant, reason) {
+    return { combatant, skipped: reason };
+  }
+
+  /**
+   * Validate a rest and return the IDs of who rests (null for every PC)
+   * @private
+   */
+  static _validate(data) {
+    const errors = [];
+    const typeResult = validateEnum(data.type, Resource.REST_TYPES, 'Rest type');
+    if (!typeResult.valid) {
+      errors.push(typeResult.error);
+    }
+
+    let ids = null;
+    if (data.combatant_ids !== undefined && data.combatant_ids !== null) {
+      ids = Array.isArray(data.combatant_ids) ? data.combatant_ids.map(id => parseInt(id)) : [];
+      if (ids.length === 0 || ids.some(id => isNaN(id))) {
+        errors.push('Combatant IDs must be a non-empty list');
+      }
+    }
+
+    if (data.hit_dice !== undefined && data.hit_dice !== null) {
+      if (typeof data.hit_dice !== 'object' || Array.isArray(data.hit_dice)) {
+        errors.push('Hit dice must map combatant IDs to the number of hit dice spent');
+      } else if (data.type !== 'short_rest' && Object.keys(data.hit_dice).length > 0) {
+        errors.push('Hit dice can only be spent on a short rest');
+      } else if (Object.values(data.hit_dice).some(count => !Number.isInteger(Number(count)) || Number(count) < 0)) {
+        errors.push('Hit dice spent must be non-negative whole numbers');
+      }
+    }
+
+    if (data.advance_day && data.type !== 'long_rest') {
+      errors.push('Only a long rest can advance the siege a day');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+    return ids ? [...new Set(ids)] : null;
+  }
+}
+
+Rest.HIT_DIE_SIZES = HIT_DIE_SIZES;
+Rest.CLASS_HIT_DICE = CLASS_HIT_DICE;
+
+module.exports = Rest;
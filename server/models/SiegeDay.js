@@ -0,0 +1,490 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const SiegeState = require('./SiegeState');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * SiegeDay Model
+ * The daily rules of a campaign's siege and advancing the siege a day with
+ * them. Each day the defenders eat into the supplies, an event may be drawn
+ * from the campaign's weighted event table, and then every morale rule whose
+ * threshold the walls, morale or supplies are past moves the defenders'
+ * morale. The day ends with a summary note. Campaigns that have not set their
+ * own rules use the Siege of Neverwinter defaults.
+ */
+
+const METRICS = ['wall_integrity', 'defender_morale', 'supplies'];
+
+const METRIC_LABELS = {
+  wall_integrity: 'Walls',
+  defender_morale: 'Morale',
+  supplies: 'Supplies'
+};
+
+const MAX_DAYS = 30;
+const MAX_DEFENDERS = 1000000;
+const MAX_MORALE_RULES = 50;
+const MAX_EVENTS = 100;
+const MAX_WEIGHT = 100;
+
+// Rules for campaigns that have not set their own
+const DEFAULT_RULES = {
+  defenders: 2000,
+  supplies_per_1000: 2,
+  event_chance: 0.6,
+  morale_rules: [
+    { metric: 'wall_integrity', above: 80, change: 1, label: 'The walls hold firm' },
+    { metric: 'wall_integrity', below: 50, change: -3, label: 'The walls are breached' },
+    { metric: 'wall_integrity', below: 25, change: -5, label: 'The walls are crumbling' },
+    { metric: 'supplies', above: 70, change: 1, label: 'The stores are full' },
+    { metric: 'supplies', below: 30, change: -3, label: 'Rations are cut' },
+    { metric: 'supplies', below: 1, change: -10, label: 'The city is starving' }
+  ],
+  events: [
+    {
+      name: 'Dragon Flyover',
+      description: 'A blue dragon sweeps low over the walls, breathing lightning on the battlements.',
+      weight: 1,
+      effects: { wall_integrity: -10, defender_morale: -5 }
+    },
+    {
+      name: 'Kobold Sappers',
+      description: 'Kobold inventors undermine a section of the eastern wall.',
+      weight: 2,
+      effects: { wall_integrity: -8 }
+    },
+    {
+      name: 'Poisoned Stores',
+      description: 'Cult infiltrators spoil a granary before they are caught.',
+      weight: 2,
+      effects: { supplies: -6 }
+    },
+    {
+      name: 'Harbor Supply Run',
+      description: 'Ships slip past the blockade with food and arrows.',
+      weight: 2,
+      effects: { supplies: 8, defender_morale: 2 }
+    },
+    {
+      name: 'Night Assault Repelled',
+      description: 'Dragonclaws storm the gate at night and are thrown back.',
+      weight: 3,
+      effects: { wall_integrity: -4, defender_morale: 4 }
+    },
+    {
+      name: "Masons' Work",
+      description: 'The city masons shore up the damaged walls.',
+      weight: 2,
+      effects: { wall_integrity: 6 }
+    }
+  ]
+};
+
+class SiegeDay {
+  /**
+   * Validate siege rules
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validateRules(data, partial = false) {
+    const errors = [];
+    const numbers = [
+      ['defenders', { min: 0, max: MAX_DEFENDERS, allowFloat: false, fieldName: 'Defenders' }],
+      ['supplies_per_1000', { min: 0, max: 100, fieldName: 'Supplies per 1000 defenders' }],
+      ['event_chance', { min: 0, max: 1, fieldName: 'Event chance' }]
+    ];
+
+    numbers.forEach(([field, options]) => {
+      if (data[field] !== undefined || !partial) {
+        const result = validateNumber(data[field], options);
+        if (!result.valid) {
+          errors.push(result.error);
+        }
+      }
+    });
+
+    if (data.morale_rules !== undefined || !partial) {
+      if (!Array.isArray(data.morale_rules)) {
+        errors.push('Morale rules must be a list');
+      } else if (data.morale_rules.length > MAX_MORALE_RULES) {
+        errors.push(`Morale rules must have at most ${MAX_MORALE_RULES} entries`);
+      } else {
+        data.morale_rules.forEach((rule, i) => {
+          errors.push(...this._validateMoraleRule(rule).map(error => `Morale rule ${i + 1}: ${error}`));
+        });
+      }
+    }
+
+    if (data.events !== undefined || !partial) {
+      if (!Array.isArray(data.events)) {
+        errors.push('Events must be a list');
+      } else if (data.events.length > MAX_EVENTS) {
+        errors.push(`Events must have at most ${MAX_EVENTS} entries`);
+      } else {
+        data.events.forEach((event, i) => {
+          errors.push(...this._validateEvent(event).map(error => `Event ${i + 1}: ${error}`));
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the siege rules of a campaign, or the defaults when it has none
+   * @param {Object} client - Database client (pass a transaction client to read inside it)
+   * @returns {Object} { campaign_id, defenders, supplies_per_1000, event_chance,
+   *   morale_rules, events, is_default }
+   */
+  static async getRules(campaignId, client = db) {
+    const result = await client.query('SELECT * FROM siege_rules WHERE campaign_id = $1', [campaignId]);
+    if (result.rows.length === 0) {
+      return { campaign_id: Number(campaignId), ...JSON.parse(JSON.stringify(DEFAULT_RULES)), is_default: true };
+    }
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Set some or all of a campaign's siege rules
+   * Fields that are left out keep their current (or default) values.
+   */
+  static async updateRules(campaignId, data) {
+    const errors = this.validateRules(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const current = await this.getRules(campaignId);
+    const rules = { ...current };
+    ['defenders', 'supplies_per_1000', 'event_chance'].forEach(field => {
+      if (data[field] !== undefined) {
+        rules[field] = Number(data[field]);
+      }
+    });
+    if (data.morale_rules !== undefined) {
+      rules.morale_rules = data.morale_rules.map(rule => this._cleanMoraleRule(rule));
+    }
+    if (data.events !== undefined) {
+      rules.events = data.events.map(event => this._cleanEvent(event));
+    }
+
+    const result = await db.query(
+      `INSERT INTO siege_rules (campaign_id, defenders, supplies_per_1000, event_chance, morale_rules, events)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (campaign_id) DO UPDATE
+       SET defenders = EXCLUDED.defenders,
+           supplies_per_1000 = EXCLUDED.supplies_per_1000,
+           event_chance = EXCLUDED.event_chance,
+           morale_rules = EXCLUDED.morale_rules,
+           events = EXCLUDED.events,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        campaignId, rules.defenders, rules.supplies_per_1000, rules.event_chance,
+        JSON.stringify(rules.morale_rules), JSON.stringify(rules.events)
+      ]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Go back to the default siege rules
+   */
+  static async resetRules(campaignId) {
+    await db.query('DELETE FROM siege_rules WHERE campaign_id = $1', [campaignId]);
+    return await this.getRules(campaignId);
+  }
+
+  /**
+   * Work out one day of the siege (pure, no database access)
+   * Supplies are used first (defenders / 1000 x supplies_per_1000, rounded),
+   * then an event may happen, then the morale rules are checked against the
+   * walls, morale and supplies the day has left. Every metric stays within 0-100.
+   * @param {Object} siegeState - { wall_integrity, defender_morale, supplies, day_of_siege }
+   * @param {Object} rules - Siege rules
+   * @param {Function} random - Returns numbers in [0, 1)
+   * @returns {Object} { day, values, supplies_used, event, morale_changes }
+   */
+  static applyRules(siegeState, rules, random = Math.random) {
+    const clamp = value => Math.min(100, Math.max(0, value));
+    const values = {};
+    METRICS.forEach(metric => {
+      values[metric] = siegeState[metric];
+    });
+
+    const suppliesUsed = Math.round(rules.defenders / 1000 * rules.supplies_per_1000);
+    values.supplies = clamp(values.supplies - suppliesUsed);
+
+    let event = null;
+    const totalWeight = rules.events.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight > 0 && random() < rules.event_chance) {
+      let roll = random() * totalWeight;
+      event = rules.events.find(entry => (roll -= entry.weight) < 0) || rules.events[rules.events.length - 1];
+      Object.entries(event.effects || {}).forEach(([metric, change]) => {
+        values[metric] = clamp(values[metric] + change);
+      });
+    }
+
+    const afterEvent = { ...values };
+    const moraleChanges = rules.morale_rules.filter(rule => rule.below !== undefined
+      ? afterEvent[rule.metric] < rule.below
+      : afterEvent[rule.metric] > rule.above);
+    moraleChanges.forEach(rule => {
+      values.defender_morale = clamp(values.defender_morale + rule.change);
+    });
+
+    return {
+      day: siegeState.day_of_siege + 1,
+      values,
+      supplies_used: suppliesUsed,
+      event,
+      morale_changes: moraleChanges.map(rule => ({ label: rule.label || this._describeRule(rule), change: rule.change }))
+    };
+  }
+
+  /**
+   * Write the summary note of a day
+   * @param {Object} before - Siege state at the start of the day
+   * @param {Object} outcome - Result of applyRules
+   */
+  static summarize(before, outcome, rules) {
+    const lines = [`Day ${outcome.day} of the siege.`];
+
+    if (outcome.event) {
+      const effects = Object.entries(outcome.event.effects || {})
+        .map(([metric, change]) => `${METRIC_LABELS[metric]} ${change > 0 ? '+' : ''}${change}%`);
+      lines.push(outcome.event.name +
+        (outcome.event.description ? `: ${outcome.event.description}` : '') +
+        (effects.length > 0 ? ` (${effects.join(', ')})` : ''));
+    }
+
+    lines.push(`${rules.defenders} defenders used ${outcome.supplies_used}% of the supplies.`);
+
+    outcome.morale_changes.forEach(change => {
+      lines.push(`${change.label}: Morale ${change.change > 0 ? '+' : ''}${change.change}%`);
+    });
+
+    lines.push(METRICS
+      .map(metric => `${METRIC_LABELS[metric]} ${before[metric]}% -> ${outcome.values[metric]}%`)
+      .join(', '));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Advance the siege one or more days with the campaign's rules
+   * Each day is recorded in the siege history and gets a summary note.
+   * @param {Object} data - { days (1-30, default 1), seed: makes the event rolls repeatable }
+   * @returns {Object} { siege_state, days: [{ day, supplies_used, event, morale_changes, note }] },
+   *   or null if the campaign does not exist
+   */
+  static async advance(campaignId, data = {}) {
+    const days = data.days === undefined || data.days === null ? 1 : data.days;
+    const daysResult = validateNumber(days, { min: 1, max: MAX_DAYS, allowFloat: false, fieldName: 'Days' });
+    if (!daysResult.valid) {
+      throw new ValidationError(`Validation failed: ${daysResult.error}`);
+    }
+
+    const random = data.seed !== undefined && data.seed !== null ? Dice.createRng(data.seed) : Math.random;
+
+    return await db.transaction(async (client) => {
+      const campaign = await client.query('SELECT id FROM campaigns WHERE id = $1', [campaignId]);
+      if (campaign.rows.length === 0) {
+        return null;
+      }
+
+      const rules = await this.getRules(campaignId, client);
+      const existing = await client.query(
+        'SELECT * FROM siege_state WHERE campaign_id = $1 FOR UPDATE',
+        [campaignId]
+      );
+      let siegeState = existing.rows[0] || await SiegeState.create(campaignId, {}, null, client);
+
+      const results = [];
+      for (let i = 0; i < daysResult.value; i++) {
+        const outcome = this.applyRules(siegeState, rules, random);
+        const reason = outcome.event ? `Day ${outcome.day}: ${outcome.event.name}` : `Day ${outcome.day}`;
+        const next = await SiegeState.advanceDay(campaignId, 1, client, reason, outcome.values);
+
+        const note = await client.query(
+          'INSERT INTO siege_notes (siege_state_id, note_text) VALUES ($1, $2) RETURNING *',
+          [next.id, this.summarize(siegeState, outcome, rules)]
+        );
+
+        results.push({
+          day: outcome.day,
+          supplies_used: outcome.supplies_used,
+          event: outcome.event,
+          morale_changes: outcome.morale_changes,
+          note: note.rows[0]
+        });
+        siegeState = next;
+      }
+
+      return { siege_state: siegeState, days: results };
+    });
+  }
+
+  /**
+   * Validate one morale rule
+   * @private
+   */
+  static _validateMoraleRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const metricResult = validateEnum(rule.metric, METRICS, 'Metric');
+    if (!metricResult.valid) {
+      errors.push(metricResult.error);
+    }
+
+    const hasBelow = rule.below !== undefined && rule.below !== null;
+    const hasAbove = rule.above !== undefined && rule.above !== null;
+    if (hasBelow === hasAbove) {
+      errors.push('Set exactly one of below or above');
+    } else {
+      const thresholdResult = validateNumber(hasBelow ? rule.below : rule.above, {
+        min: 0, max: 100, fieldName: hasBelow ? 'Below' : 'Above'
+      });
+      if (!thresholdResult.valid) {
+        errors.push(thresholdResult.error);
+      }
+    }
+
+    const changeResult = validateNumber(rule.change, { min: -100, max: 100, allowFloat: false, fieldName: 'Change' });
+    if (!changeResult.valid) {
+      errors.push(changeResult.error);
+    }
+
+    const labelResult = validateString(rule.label, { maxLength: 255, fieldName: 'Label' });
+    if (!labelResult.valid) {
+      errors.push(labelResult.error);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate one entry of the event table
+   * @private
+   */
+  static _validateEvent(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const nameResult = validateString(event.name, { required: true, minLength: 1, maxLength: 100, fieldName: 'Name' });
+    if (!nameResult.valid) {
+      errors.push(nameResult.error);
+    }
+
+    const descriptionResult = validateString(event.description, { maxLength: 1000, fieldName: 'Description' });
+    if (!descriptionResult.valid) {
+      errors.push(descriptionResult.error);
+    }
+
+    if (event.weight !== undefined && event.weight !== null) {
+      const weightResult = validateNumber(event.weight, { min: 1, max: MAX_WEIGHT, allowFloat: false, fieldName: 'Weight' });
+      if (!weightResult.valid) {
+        errors.push(weightResult.error);
+      }
+    }
+
+    if (event.effects !== undefined && event.effects !== null) {
+      if (typeof event.effects !== 'object' || Array.isArray(event.effects)) {
+        errors.push('Effects must be an object');
+      } else {
+        Object.entries(event.effects).forEach(([metric, change]) => {
+          const metricResult = validateEnum(metric, METRICS, 'Effect');
+          if (!metricResult.valid) {
+            errors.push(metricResult.error);
+            return;
+          }
+          const changeResult = validateNumber(change, {
+            min: -100, max: 100, allowFloat: false, fieldName: `${METRIC_LABELS[metric]} effect`
+          });
+          if (!changeResult.valid) {
+            errors.push(changeResult.error);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Keep only the fields of a validated morale rule
+   * @private
+   */
+  static _cleanMoraleRule(rule) {
+    const cleaned = { metric: rule.metric };
+    if (rule.below !== undefined && rule.below !== null) {
+      cleaned.below = Number(rule.below);
+    } else {
+      cleaned.above = Number(rule.above);
+    }
+    cleaned.change = Number(rule.change);
+    if (rule.label) {
+      cleaned.label = sanitizeString(rule.label);
+    }
+    return cleaned;
+  }
+
+  /**
+   * Keep only the fields of a validated event
+   * @private
+   */
+  static _cleanEvent(event) {
+    const effects = {};
+    Object.entries(event.effects || {}).forEach(([metric, change]) => {
+      if (Number(change) !== 0) {
+        effects[metric] = Number(change);
+      }
+    });
+
+    return {
+      name: sanitizeString(event.name),
+      description: event.description ? sanitizeString(event.description) : '',
+      weight: event.weight !== undefined && event.weight !== null ? Number(event.weight) : 1,
+      effects
+    };
+  }
+
+  /**
+   * Describe a morale rule without a label
+   * @private
+   */
+  static _describeRule(rule) {
+    return rule.below !== undefined
+      ? `${METRIC_LABELS[rule.metric]} below ${rule.below}%`
+      : `${METRIC_LABELS[rule.metric]} above ${rule.above}%`;
+  }
+
+  /**
+   * Format a rules row for the API (NUMERIC columns come back as strings)
+   * @private
+   */
+  static _format(row) {
+    return {
+      campaign_id: row.campaign_id,
+      defenders: row.defenders,
+      supplies_per_1000: Number(row.supplies_per_1000),
+      event_chance: Number(row.event_chance),
+      morale_rules: row.morale_rules,
+      events: row.events,
+      is_default: false,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+SiegeDay.METRICS = METRICS;
+SiegeDay.MAX_DAYS = MAX_DAYS;
+SiegeDay.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = SiegeDay;
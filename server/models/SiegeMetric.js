@@ -0,0 +1,422 @@
+const db = require('../../database/db');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * SiegeMetric Model
+ * Definitions of a campaign's custom siege metrics. A definition gives the
+ * value kept under its name in siege_state.custom_metrics a type (number,
+ * percentage, counter, boolean or enum), bounds, a default, a unit and
+ * colors for the siege panel. Custom metrics without a definition keep any
+ * value, as before.
+ */
+
+const METRIC_TYPES = ['number', 'percentage', 'counter', 'boolean', 'enum'];
+const NUMERIC_TYPES = ['number', 'percentage', 'counter'];
+
+const MAX_OPTIONS = 50;
+const MAX_COLOR_THRESHOLDS = 10;
+const COLOR_PATTERN = /^#[0-9a-f]{3}([0-9a-f]{3})?$/i;
+
+class SiegeMetric {
+  /**
+   * Validate definition data
+   * The name is the metric's key in the siege state, so it cannot be changed.
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (partial) {
+      if (data.name !== undefined) {
+        errors.push('Name cannot be changed');
+      }
+    } else {
+      const nameResult = validateString(data.name, { required: true, minLength: 1, maxLength: 100, fieldName: 'Name' });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (data.type !== undefined || !partial) {
+      const typeResult = validateEnum(data.type, METRIC_TYPES, 'Type');
+      if (!typeResult.valid) {
+        errors.push(typeResult.error);
+      }
+    }
+
+    [['min_value', 'Minimum'], ['max_value', 'Maximum']].forEach(([field, label]) => {
+      if (data[field] !== undefined && data[field] !== null) {
+        const result = validateNumber(data[field], { min: -1000000000, max: 1000000000, fieldName: label });
+        if (!result.valid) {
+          errors.push(result.error);
+        }
+      }
+    });
+
+    const unitResult = validateString(data.unit, { maxLength: 20, fieldName: 'Unit' });
+    if (!unitResult.valid) {
+      errors.push(unitResult.error);
+    }
+
+    const descriptionResult = validateString(data.description, { maxLength: 1000, fieldName: 'Description' });
+    if (!descriptionResult.valid) {
+      errors.push(descriptionResult.error);
+    }
+
+    if (data.options !== undefined) {
+      if (!Array.isArray(data.options)) {
+        errors.push('Options must be a list');
+      } else if (data.options.length > MAX_OPTIONS) {
+        errors.push(`Options must have at most ${MAX_OPTIONS} entries`);
+      } else if (data.options.some(option => typeof option !== 'string' || !option.trim() || option.length > 100)) {
+        errors.push('Options must be names of 1-100 characters');
+      } else if (new Set(data.options.map(option => option.trim())).size !== data.options.length) {
+        errors.push('Options must be different from each other');
+      }
+    }
+
+    if (data.color_thresholds !== undefined) {
+      if (!Array.isArray(data.color_thresholds)) {
+        errors.push('Color thresholds must be a list');
+      } else if (data.color_thresholds.length > MAX_COLOR_THRESHOLDS) {
+        errors.push(`Color thresholds must have at most ${MAX_COLOR_THRESHOLDS} entries`);
+      } else {
+        data.color_thresholds.forEach((threshold, i) => {
+          if (!threshold || typeof threshold !== 'object') {
+            errors.push(`Color threshold ${i + 1} must be an object`);
+            return;
+          }
+          const atResult = validateNumber(threshold.at, { min: -1000000000, max: 1000000000, fieldName: `Color threshold ${i + 1}` });
+          if (!atResult.valid) {
+            errors.push(atResult.error);
+          }
+          if (typeof threshold.color !== 'string' || !COLOR_PATTERN.test(threshold.color)) {
+            errors.push(`Color threshold ${i + 1} must have a color like #ffa726`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that the fields of a whole definition fit together: bounds in
+   * order, options only for enums, colors only for numbers, and a default
+   * that is a valid value
+   * @returns {Array} Error messages
+   */
+  static checkDefinition(definition) {
+    const errors = [];
+    const numeric = NUMERIC_TYPES.includes(definition.type);
+    const { min_value: min, max_value: max } = definition;
+
+    if (numeric) {
+      if (min !== null && max !== null && min > max) {
+        errors.push('Minimum must not be more than the maximum');
+      }
+      if (definition.type === 'percentage' && ((min !== null && min < 0) || (max !== null && max > 100))) {
+        errors.push('Percentage bounds must be between 0 and 100');
+      }
+      if (definition.type === 'counter' && [min, max].some(bound => bound !== null && !Number.isInteger(bound))) {
+        errors.push('Counter bounds must be whole numbers');
+      }
+    } else if (min !== null || max !== null) {
+      errors.push(`A ${definition.type} metric cannot have bounds`);
+    }
+
+    if (definition.type === 'enum' && definition.options.length === 0) {
+      errors.push('An enum metric needs at least one option');
+    }
+    if (definition.type !== 'enum' && definition.options.length > 0) {
+      errors.push('Only enum metrics can have options');
+    }
+    if (!numeric && definition.color_thresholds.length > 0) {
+      errors.push('Only number, percentage and counter metrics can have color thresholds');
+    }
+
+    if (errors.length === 0 && definition.default_value !== null) {
+      const defaultError = this.validateValue(definition, definition.default_value);
+      if (defaultError) {
+        errors.push(`Default: ${defaultError}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against a definition
+   * @returns {string|null} The error, or null if the value is valid
+   */
+  static validateValue(definition, value) {
+    const name = definition.name;
+
+    if (NUMERIC_TYPES.includes(definition.type)) {
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return `${name} must be a number`;
+      }
+      if (definition.type === 'counter' && !Number.isInteger(value)) {
+        return `${name} must be a whole number`;
+      }
+      const { min, max } = this.bounds(definition);
+      if (min !== null && value < min) {
+        return `${name} must be at least ${min}`;
+      }
+      if (max !== null && value > max) {
+        return `${name} must be at most ${max}`;
+      }
+      return null;
+    }
+
+    if (definition.type === 'boolean') {
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    }
+
+    return definition.options.includes(value) ? null : `${name} must be one of: ${definition.options.join(', ')}`;
+  }
+
+  /**
+   * Turn a value typed into a form (a string) into the definition's type;
+   * values that cannot be turned are returned as they are, for
+   * validateValue to reject
+   */
+  static parseValue(definition, value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const text = value.trim();
+    if (NUMERIC_TYPES.includes(definition.type)) {
+      return text !== '' && !isNaN(Number(text)) ? Number(text) : value;
+    }
+    if (definition.type === 'boolean') {
+      if (['true', 'yes', 'on'].includes(text.toLowerCase())) {
+        return true;
+      }
+      if (['false', 'no', 'off'].includes(text.toLowerCase())) {
+        return false;
+      }
+      return value;
+    }
+    return text;
+  }
+
+  /**
+   * Get the bounds of a definition (percentages are 0-100 and counters start
+   * at 0 unless set otherwise)
+   */
+  static bounds(definition) {
+    const min = definition.min_value !== null && definition.min_value !== undefined
+      ? definition.min_value
+      : (['percentage', 'counter'].includes(definition.type) ? 0 : null);
+    const max = definition.max_value !== null && definition.max_value !== undefined
+      ? definition.max_value
+      : (definition.type === 'percentage' ? 100 : null);
+    return { min, max };
+  }
+
+  /**
+   * Get the value a metric starts at: its default, or else its lowest value,
+   * false or its first option
+   */
+  static defaultValue(definition) {
+    if (definition.default_value !== null && definition.default_value !== undefined) {
+      return definition.default_value;
+    }
+    if (definition.type === 'boolean') {
+      return false;
+    }
+    if (definition.type === 'enum') {
+      return definition.options[0];
+    }
+
+    const { min, max } = this.bounds(definition);
+    if (min !== null) {
+      return min;
+    }
+    return max !== null && max < 0 ? max : 0;
+  }
+
+  /**
+   * Get a campaign's metric definitions
+   */
+  static async findByCampaign(campaignId, client = db) {
+    const result = await client.query(
+      'SELECT * FROM siege_metric_definitions WHERE campaign_id = $1 ORDER BY created_at, id',
+      [campaignId]
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  /**
+   * Get a definition by ID
+   */
+  static async findById(id, client = db) {
+    const result = await client.query('SELECT * FROM siege_metric_definitions WHERE id = $1', [id]);
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Get the definition of a campaign's metric by its name
+   */
+  static async findByName(campaignId, name, client = db) {
+    const result = await client.query(
+      'SELECT * FROM siege_metric_definitions WHERE campaign_id = $1 AND name = $2',
+      [campaignId, name]
+    );
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a definition
+   * Use SiegeState.defineCustomMetric to also check the metric's current
+   * value and set it to the default if it has none.
+   * @param {Object} data - { name, type, min_value, max_value, default_value, unit, options, color_thresholds, description }
+   */
+  static async create(campaignId, data, client = db) {
+    const errors = this.validate(data);
+    const definition = errors.length === 0 ? this._clean({ ...data, name: data.name.trim() }) : null;
+    if (definition) {
+      errors.push(...this.checkDefinition(definition));
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    if (await this.findByName(campaignId, definition.name, client)) {
+      throw new ValidationError(`Validation failed: ${definition.name} is already defined`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO siege_metric_definitions (
+        campaign_id, name, type, min_value, max_value, default_value, unit, options, color_thresholds, description
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *`,
+      [campaignId, ...this._values(definition)]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Change some of a definition's fields
+   * @returns {Object} The definition, or null if it does not exist
+   */
+  static async update(id, data, client = db) {
+    const errors = this.validate(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const current = await this.findById(id, client);
+    if (!current) {
+      return null;
+    }
+
+    // Bounds, options and colors that no longer fit a changed type are dropped
+    const merged = { ...current, ...data };
+    if (data.type !== undefined && data.type !== current.type) {
+      ['min_value', 'max_value', 'default_value'].forEach(field => {
+        if (data[field] === undefined) merged[field] = null;
+      });
+      ['options', 'color_thresholds'].forEach(field => {
+        if (data[field] === undefined) merged[field] = [];
+      });
+    }
+
+    const definition = this._clean(merged);
+    const definitionErrors = this.checkDefinition(definition);
+    if (definitionErrors.length > 0) {
+      throw new ValidationError(`Validation failed: ${definitionErrors.join(', ')}`);
+    }
+
+    const result = await client.query(
+      `UPDATE siege_metric_definitions
+       SET name = $1, type = $2, min_value = $3, max_value = $4, default_value = $5, unit = $6,
+           options = $7, color_thresholds = $8, description = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING *`,
+      [...this._values(definition), id]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Delete a definition, leaving the metric's value untyped
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM siege_metric_definitions WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete the definition of a campaign's metric by its name, if it has one
+   */
+  static async deleteByName(campaignId, name, client = db) {
+    await client.query(
+      'DELETE FROM siege_metric_definitions WHERE campaign_id = $1 AND name = $2',
+      [campaignId, name]
+    );
+  }
+
+  /**
+   * Normalize a validated definition
+   * @private
+   */
+  static _clean(data) {
+    const toNumber = value => (value === undefined || value === null ? null : Number(value));
+    const numeric = NUMERIC_TYPES.includes(data.type);
+    const definition = {
+      name: data.name,
+      type: data.type,
+      min_value: toNumber(data.min_value),
+      max_value: toNumber(data.max_value),
+      default_value: null,
+      unit: data.unit ? sanitizeString(data.unit) : null,
+      options: (data.options || []).map(option => sanitizeString(option)),
+      color_thresholds: (data.color_thresholds || [])
+        .map(threshold => ({ at: Number(threshold.at), color: threshold.color.toLowerCase() }))
+        .sort((a, b) => a.at - b.at),
+      description: data.description ? sanitizeString(data.description) : null
+    };
+
+    if (data.default_value !== undefined && data.default_value !== null && data.default_value !== '') {
+      definition.default_value = this.parseValue(definition, data.default_value);
+    }
+    if (!numeric) {
+      definition.unit = null;
+    }
+    return definition;
+  }
+
+  /**
+   * Query values of a cleaned definition, from name to description
+   * @private
+   */
+  static _values(definition) {
+    return [
+      definition.name, definition.type, definition.min_value, definition.max_value,
+      definition.default_value === null ? null : JSON.stringify(definition.default_value),
+      definition.unit, JSON.stringify(definition.options), JSON.stringify(definition.color_thresholds),
+      definition.description
+    ];
+  }
+
+  /**
+   * Format a definition row for the API (NUMERIC columns come back as strings)
+   * @private
+   */
+  static _format(row) {
+    return {
+      ...row,
+      min_value: row.min_value === null ? null : Number(row.min_value),
+      max_value: row.max_value === null ? null : Number(row.max_value)
+    };
+  }
+}
+
+SiegeMetric.METRIC_TYPES = METRIC_TYPES;
+
+module.exports = SiegeMetric;
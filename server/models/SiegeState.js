@@ -1,15 +1,25 @@
 const db = require('../../database/db');
+const { ValidationError } = require('../middleware/errorHandler');
+const SiegeMetric = require('./SiegeMetric');
+const SiegeTrigger = require('./SiegeTrigger');
 
 /**
  * SiegeState Model
- * Handles database operations for siege mechanics and notes
+ * Handles database operations for siege mechanics and notes. Every change to
+ * the siege is also recorded in its history as a snapshot of the state after
+ * the change, which the timeline charts and the live state can be rewound to.
+ * Custom metrics with a definition (see SiegeMetric) are validated against it.
  */
 
+// Kinds of change that fire siege triggers
+const TRIGGERING_CHANGES = ['update', 'advance_day'];
+
 class SiegeState {
   /**
    * Validate siege state data
+   * @param {Array} definitions - The campaign's custom metric definitions
    */
-  static validate(data) {
+  static validate(data, definitions = []) {
     const errors = [];
 
     if (data.wall_integrity !== undefined) {
@@ -36,8 +46,19 @@ class SiegeState {
       }
     }
 
-    if (data.custom_metrics !== undefined && typeof data.custom_metrics !== 'object') {
-      errors.push('Custom metrics must be an object');
+    if (data.custom_metrics !== undefined) {
+      if (!data.custom_metrics || typeof data.custom_metrics !== 'object' || Array.isArray(data.custom_metrics)) {
+        errors.push('Custom metrics must be an object');
+      } else {
+        definitions
+          .filter(definition => Object.prototype.hasOwnProperty.call(data.custom_metrics, definition.name))
+          .forEach(definition => {
+            const error = SiegeMetric.validateValue(definition, data.custom_metrics[definition.name]);
+            if (error) {
+              errors.push(error);
+            }
+          });
+      }
     }
 
     return errors;
@@ -45,11 +66,17 @@ class SiegeState {
 
   /**
    * Create or initialize siege state for a campaign
+   * @param {Object} client - Database client (pass a transaction client to create atomically)
    */
-  static async create(campaignId, data = {}) {
-    const errors = this.validate(data);
+  static async create(campaignId, data = {}, reason = null, client = db) {
+    const definitions = data.custom_metrics !== undefined ? await SiegeMetric.findByCampaign(campaignId, client) : [];
+    const errors = this.validate(data, definitions);
     if (errors.length > 0) {
-      throw new Error(`Validation failed: ${errors.join(', ')}`);
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    if (client === db) {
+      return await db.transaction(transactionClient => this.create(campaignId, data, reason, transactionClient));
     }
 
     const query = `
@@ -68,7 +95,8 @@ class SiegeState {
       JSON.stringify(data.custom_metrics || {})
     ];
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
+    await this._record(client, result.rows[0], 'start', reason);
     return result.rows[0];
   }
 
@@ -96,11 +124,18 @@ class SiegeState {
 
   /**
    * Update siege state
+   * @param {string|null} reason - Why the siege changed, kept in its history
+   * @param {Object} client - Database client (pass a transaction client to update atomically)
    */
-  static async update(campaignId, data) {
-    const errors = this.validate(data);
+  static async update(campaignId, data, reason = null, client = db) {
+    if (client === db) {
+      return await db.transaction(transactionClient => this.update(campaignId, data, reason, transactionClient));
+    }
+
+    const definitions = data.custom_metrics !== undefined ? await SiegeMetric.findByCampaign(campaignId, client) : [];
+    const errors = this.validate(data, definitions);
     if (errors.length > 0) {
-      throw new Error(`Validation failed: ${errors.join(', ')}`);
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
     }
 
     const fields = [];
@@ -134,38 +169,122 @@ class SiegeState {
       RETURNING *
     `;
 
-    const result = await db.query(query, values);
-    return result.rows[0] || null;
+    await this._recordStart(client, campaignId);
+    const result = await client.query(query, values);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await this._record(client, result.rows[0], 'update', reason);
+    return result.rows[0];
   }
 
   /**
    * Update a single siege value
    */
-  static async updateValue(campaignId, key, value) {
+  static async updateValue(campaignId, key, value, reason = null) {
     const data = { [key]: value };
-    return await this.update(campaignId, data);
+    return await this.update(campaignId, data, reason);
+  }
+
+  /**
+   * Move the siege forward a number of days, creating the siege state if needed
+   * @param {Object} client - Database client (pass a transaction client to advance atomically)
+   * @param {string|null} reason - Why the siege moved on, kept in its history
+   * @param {Object} values - Wall integrity, defender morale and supplies the days left the siege at
+   */
+  static async advanceDay(campaignId, days = 1, client = db, reason = null, values = {}) {
+    const metrics = ['wall_integrity', 'defender_morale', 'supplies'].filter(key => values[key] !== undefined);
+    const errors = this.validate(values);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    if (client === db) {
+      return await db.transaction(transactionClient =>
+        this.advanceDay(campaignId, days, transactionClient, reason, values));
+    }
+
+    await this._recordStart(client, campaignId);
+    const result = await client.query(
+      `UPDATE siege_state
+       SET day_of_siege = day_of_siege + $2,
+           ${metrics.map((key, i) => `${key} = $${i + 3}, `).join('')}updated_at = CURRENT_TIMESTAMP
+       WHERE campaign_id = $1
+       RETURNING *`,
+      [campaignId, days, ...metrics.map(key => values[key])]
+    );
+    if (result.rows.length > 0) {
+      await this._record(client, result.rows[0], 'advance_day', reason);
+      return result.rows[0];
+    }
+
+    const created = await client.query(
+      `INSERT INTO siege_state (campaign_id, day_of_siege${metrics.map(key => `, ${key}`).join('')})
+       VALUES ($1, $2${metrics.map((key, i) => `, $${i + 3}`).join('')})
+       RETURNING *`,
+      [campaignId, 1 + days, ...metrics.map(key => values[key])]
+    );
+    await this._record(client, created.rows[0], 'advance_day', reason);
+    return created.rows[0];
   }
 
   /**
    * Add custom metric
+   * A value for a defined metric may be given as typed into a form, such as
+   * "12" for a counter.
    */
   static async addCustomMetric(campaignId, metricName, metricValue) {
     const siegeState = await this.getOrCreate(campaignId);
+    const definition = await SiegeMetric.findByName(campaignId, metricName);
     const customMetrics = siegeState.custom_metrics || {};
-    customMetrics[metricName] = metricValue;
+    customMetrics[metricName] = definition ? SiegeMetric.parseValue(definition, metricValue) : metricValue;
 
-    return await this.update(campaignId, { custom_metrics: customMetrics });
+    return await this.update(campaignId, { custom_metrics: customMetrics }, `Set ${metricName}`);
   }
 
   /**
-   * Remove custom metric
+   * Remove custom metric, along with its definition
    */
   static async removeCustomMetric(campaignId, metricName) {
     const siegeState = await this.getOrCreate(campaignId);
     const customMetrics = siegeState.custom_metrics || {};
     delete customMetrics[metricName];
+    await SiegeMetric.deleteByName(campaignId, metricName);
+
+    return await this.update(campaignId, { custom_metrics: customMetrics }, `Removed ${metricName}`);
+  }
 
-    return await this.update(campaignId, { custom_metrics: customMetrics });
+  /**
+   * Define a custom metric, giving it a type, bounds and a default
+   * A metric with no value yet starts at its default; one that already has a
+   * value keeps it if it fits the definition.
+   * @param {Object} data - Definition (see SiegeMetric.create)
+   * @returns {Object} The definition
+   */
+  static async defineCustomMetric(campaignId, data) {
+    return await db.transaction(async (client) => {
+      const definition = await SiegeMetric.create(campaignId, data, client);
+      await this._applyDefinition(client, campaignId, definition);
+      return definition;
+    });
+  }
+
+  /**
+   * Change a custom metric's definition
+   * The metric's current value must still fit it.
+   * @returns {Object|null} The definition, or null if it does not exist
+   */
+  static async redefineCustomMetric(definitionId, data) {
+    return await db.transaction(async (client) => {
+      const definition = await SiegeMetric.update(definitionId, data, client);
+      if (!definition) {
+        return null;
+      }
+
+      await this._applyDefinition(client, definition.campaign_id, definition);
+      return definition;
+    });
   }
 
   /**
@@ -229,26 +348,182 @@ class SiegeState {
 
   /**
    * Reset siege state to defaults
+   * Defined custom metrics go back to their default values and the others are
+   * removed. The history is kept, so a reset siege can still be rewound.
    */
-  static async reset(campaignId) {
+  static async reset(campaignId, reason = null) {
     const query = `
       UPDATE siege_state
       SET wall_integrity = 100,
           defender_morale = 100,
           supplies = 100,
           day_of_siege = 1,
-          custom_metrics = '{}',
+          custom_metrics = $2,
           updated_at = CURRENT_TIMESTAMP
       WHERE campaign_id = $1
       RETURNING *
     `;
 
+    return await db.transaction(async (client) => {
+      await this._recordStart(client, campaignId);
+      const definitions = await SiegeMetric.findByCampaign(campaignId, client);
+      const customMetrics = Object.fromEntries(
+        definitions.map(definition => [definition.name, SiegeMetric.defaultValue(definition)])
+      );
+      const result = await client.query(query, [campaignId, JSON.stringify(customMetrics)]);
+
+      // Also delete all notes
+      await client.query('DELETE FROM siege_notes WHERE siege_state_id = $1', [result.rows[0]?.id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this._record(client, result.rows[0], 'reset', reason);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Get the history of a campaign's siege, oldest snapshot first
+   */
+  static async getHistory(campaignId) {
+    await this._recordStart(db, campaignId);
+
+    const query = `
+      SELECT * FROM siege_history
+      WHERE campaign_id = $1
+      ORDER BY created_at, id
+    `;
+
     const result = await db.query(query, [campaignId]);
-    
-    // Also delete all notes
-    await db.query('DELETE FROM siege_notes WHERE siege_state_id = $1', [result.rows[0]?.id]);
+    return result.rows;
+  }
 
-    return result.rows[0] || null;
+  /**
+   * Rewind the live siege state to a snapshot from its history
+   * Rewinding is itself recorded, so later snapshots are not lost
+   * @returns {Object|null} The rewound siege state, or null if the snapshot is not in the campaign's history
+   */
+  static async rewind(campaignId, historyId, reason = null) {
+    return await db.transaction(async (client) => {
+      await this._recordStart(client, campaignId);
+      const snapshot = await client.query(
+        'SELECT * FROM siege_history WHERE id = $1 AND campaign_id = $2',
+        [historyId, campaignId]
+      );
+      if (snapshot.rows.length === 0) {
+        return null;
+      }
+
+      const values = snapshot.rows[0];
+      const result = await client.query(
+        `UPDATE siege_state
+         SET wall_integrity = $2, defender_morale = $3, supplies = $4,
+             day_of_siege = $5, custom_metrics = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE campaign_id = $1
+         RETURNING *`,
+        [
+          campaignId, values.wall_integrity, values.defender_morale, values.supplies,
+          values.day_of_siege, JSON.stringify(values.custom_metrics || {})
+        ]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this._record(client, result.rows[0], 'rewind', reason || `Rewound to day ${values.day_of_siege}`);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Add a snapshot of the siege state to its history
+   * Updates and days passing also fire the triggers the change crossed, going
+   * by the previous snapshot; starting, resetting and rewinding the siege do not.
+   * @private
+   */
+  static async _record(client, siegeState, changeType, reason) {
+    const previous = await client.query(
+      `SELECT * FROM siege_history
+       WHERE campaign_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [siegeState.campaign_id]
+    );
+
+    await client.query(
+      `INSERT INTO siege_history (
+        campaign_id, wall_integrity, defender_morale, supplies, day_of_siege,
+        custom_metrics, change_type, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        siegeState.campaign_id, siegeState.wall_integrity, siegeState.defender_morale,
+        siegeState.supplies, siegeState.day_of_siege, JSON.stringify(siegeState.custom_metrics || {}),
+        changeType, reason && String(reason).trim() ? String(reason).trim() : null
+      ]
+    );
+
+    if (previous.rows.length > 0 && TRIGGERING_CHANGES.includes(changeType)) {
+      await SiegeTrigger.evaluate(client, siegeState.campaign_id, previous.rows[0], siegeState);
+    }
+  }
+
+  /**
+   * Fit a defined metric's value in the siege state to its definition: set it
+   * to the default if it has none, or turn a value typed into a form into the
+   * definition's type, and fail if it does not fit
+   * @private
+   */
+  static async _applyDefinition(client, campaignId, definition) {
+    await this._recordStart(client, campaignId);
+    const existing = await client.query(
+      'SELECT * FROM siege_state WHERE campaign_id = $1 FOR UPDATE',
+      [campaignId]
+    );
+    const siegeState = existing.rows[0] || await this.create(campaignId, {}, null, client);
+    const customMetrics = siegeState.custom_metrics || {};
+
+    const defined = Object.prototype.hasOwnProperty.call(customMetrics, definition.name);
+    const value = defined
+      ? SiegeMetric.parseValue(definition, customMetrics[definition.name])
+      : SiegeMetric.defaultValue(definition);
+    const error = SiegeMetric.validateValue(definition, value);
+    if (error) {
+      throw new ValidationError(`Validation failed: The current value does not fit: ${error}`);
+    }
+    if (defined && value === customMetrics[definition.name]) {
+      return;
+    }
+
+    const result = await client.query(
+      `UPDATE siege_state
+       SET custom_metrics = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE campaign_id = $1
+       RETURNING *`,
+      [campaignId, JSON.stringify({ ...customMetrics, [definition.name]: value })]
+    );
+    await this._record(client, result.rows[0], 'update', `Defined ${definition.name}`);
+  }
+
+  /**
+   * Start the history of a siege created without one (by a new or restored
+   * campaign, or before history was recorded) from its current state
+   * @private
+   */
+  static async _recordStart(client, campaignId) {
+    await client.query(
+      `INSERT INTO siege_history (
+        campaign_id, wall_integrity, defender_morale, supplies, day_of_siege,
+        custom_metrics, change_type, created_at
+      )
+      SELECT ss.campaign_id, ss.wall_integrity, ss.defender_morale, ss.supplies, ss.day_of_siege,
+             COALESCE(ss.custom_metrics, '{}'), 'start', COALESCE(ss.updated_at, CURRENT_TIMESTAMP)
+      FROM siege_state ss
+      WHERE ss.campaign_id = $1
+        AND NOT EXISTS (SELECT 1 FROM siege_history sh WHERE sh.campaign_id = ss.campaign_id)`,
+      [campaignId]
+    );
   }
 }
 
@@ -0,0 +1,544 @@
+const db = require('../../database/db');
+const SiegeMetric = require('./SiegeMetric');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * SiegeTrigger Model
+ * Rules that act when a siege metric crosses a threshold, such as "when
+ * wall_integrity < 25, set the Eastern Gate to contested and add a plot
+ * point". A trigger watches one of the siege metrics or a custom metric and
+ * fires when a change to the siege takes the metric from outside its
+ * condition to inside it, so it does not fire again on every later change
+ * while the condition still holds. Metrics that hold true or false or text
+ * (such as an enum metric's option) are watched with = and != only. Each
+ * firing runs the trigger's actions and is logged; the log entries not yet
+ * acknowledged are shown as alerts.
+ */
+
+const BUILT_IN_METRICS = ['wall_integrity', 'defender_morale', 'supplies', 'day_of_siege'];
+const OPERATORS = ['<', '<=', '>', '>=', '=', '!='];
+const EQUALITY_OPERATORS = ['=', '!='];
+const ACTION_TYPES = ['set_location_status', 'add_plot_point', 'add_note'];
+const LOCATION_STATUSES = ['controlled', 'contested', 'enemy', 'destroyed'];
+
+const MAX_ACTIONS = 10;
+
+const METRIC_LABELS = {
+  wall_integrity: 'Wall integrity',
+  defender_morale: 'Defender morale',
+  supplies: 'Supplies',
+  day_of_siege: 'Day of siege'
+};
+
+class SiegeTrigger {
+  /**
+   * Validate trigger data
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (data.name !== undefined || !partial) {
+      const nameResult = validateString(data.name, { required: true, minLength: 1, maxLength: 255, fieldName: 'Name' });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (data.metric !== undefined || !partial) {
+      const metricResult = validateString(data.metric, { required: true, minLength: 1, maxLength: 100, fieldName: 'Metric' });
+      if (!metricResult.valid) {
+        errors.push(metricResult.error);
+      }
+    }
+
+    if (data.operator !== undefined || !partial) {
+      const operatorResult = validateEnum(data.operator, OPERATORS, 'Operator');
+      if (!operatorResult.valid) {
+        errors.push(operatorResult.error);
+      }
+    }
+
+    if (data.threshold !== undefined || !partial) {
+      const thresholdError = this._validateThreshold(data.threshold);
+      if (thresholdError) {
+        errors.push(thresholdError);
+      }
+    }
+
+    if (data.actions !== undefined) {
+      if (!Array.isArray(data.actions)) {
+        errors.push('Actions must be a list');
+      } else if (data.actions.length > MAX_ACTIONS) {
+        errors.push(`Actions must have at most ${MAX_ACTIONS} entries`);
+      } else {
+        data.actions.forEach((action, i) => {
+          errors.push(...this._validateAction(action).map(error => `Action ${i + 1}: ${error}`));
+        });
+      }
+    }
+
+    ['repeatable', 'enabled'].forEach(field => {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        errors.push(`${field === 'repeatable' ? 'Repeatable' : 'Enabled'} must be true or false`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get a campaign's triggers
+   */
+  static async findByCampaign(campaignId) {
+    const result = await db.query(
+      'SELECT * FROM siege_triggers WHERE campaign_id = $1 ORDER BY created_at, id',
+      [campaignId]
+    );
+    return result.rows.map(row => this._format(row));
+  }
+
+  /**
+   * Get a trigger by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM siege_triggers WHERE id = $1', [id]);
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Create a trigger
+   * @param {Object} data - { name, metric, operator, threshold, actions, repeatable, enabled }
+   */
+  static async create(campaignId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const metric = data.metric.trim();
+    const threshold = await this._resolveThreshold(campaignId, metric, data.operator, data.threshold);
+    const actions = (data.actions || []).map(action => this._cleanAction(action));
+    await this._checkLocations(campaignId, actions);
+
+    const result = await db.query(
+      `INSERT INTO siege_triggers (campaign_id, name, metric, operator, threshold, threshold_value, actions, repeatable, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        campaignId, sanitizeString(data.name), metric, data.operator, ...this._thresholdColumns(threshold),
+        JSON.stringify(actions), data.repeatable !== false, data.enabled !== false
+      ]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Change some of a trigger's fields
+   * @returns {Object} The trigger, or null if it does not exist
+   */
+  static async update(id, data) {
+    const errors = this.validate(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const trigger = await this.findById(id);
+    if (!trigger) {
+      return null;
+    }
+
+    // The threshold is only checked again when the condition changes, so a
+    // trigger can still be switched off after its metric was redefined
+    const metric = data.metric !== undefined ? data.metric.trim() : trigger.metric;
+    const operator = data.operator !== undefined ? data.operator : trigger.operator;
+    const threshold = data.metric !== undefined || data.operator !== undefined || data.threshold !== undefined
+      ? await this._resolveThreshold(
+        trigger.campaign_id, metric, operator, data.threshold !== undefined ? data.threshold : trigger.threshold
+      )
+      : trigger.threshold;
+    const actions = data.actions !== undefined ? data.actions.map(action => this._cleanAction(action)) : trigger.actions;
+    await this._checkLocations(trigger.campaign_id, actions);
+
+    const result = await db.query(
+      `UPDATE siege_triggers
+       SET name = $1, metric = $2, operator = $3, threshold = $4, threshold_value = $5, actions = $6,
+           repeatable = $7, enabled = $8
+       WHERE id = $9
+       RETURNING *`,
+      [
+        data.name !== undefined ? sanitizeString(data.name) : trigger.name,
+        metric,
+        operator,
+        ...this._thresholdColumns(threshold),
+        JSON.stringify(actions),
+        data.repeatable !== undefined ? data.repeatable : trigger.repeatable,
+        data.enabled !== undefined ? data.enabled : trigger.enabled,
+        id
+      ]
+    );
+    return this._format(result.rows[0]);
+  }
+
+  /**
+   * Delete a trigger (its log entries are kept)
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM siege_triggers WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] ? this._format(result.rows[0]) : null;
+  }
+
+  /**
+   * Read a metric from a siege state: one of the siege metrics, or a custom
+   * metric holding a number, true or false, or text (numeric text is read as
+   * a number)
+   * @returns {number|boolean|string|null} The value, or null if the state has none
+   */
+  static metricValue(siegeState, metric) {
+    if (!siegeState) {
+      return null;
+    }
+
+    const customMetrics = siegeState.custom_metrics || {};
+    const raw = BUILT_IN_METRICS.includes(metric)
+      ? siegeState[metric]
+      : (Object.prototype.hasOwnProperty.call(customMetrics, metric) ? customMetrics[metric] : null);
+    if (raw === null || raw === undefined || raw === '') {
+      return null;
+    }
+    if (typeof raw === 'boolean') {
+      return raw;
+    }
+
+    const value = Number(raw);
+    if (!isNaN(value)) {
+      return value;
+    }
+    return typeof raw === 'string' ? raw.trim() : null;
+  }
+
+  /**
+   * Whether a value meets a trigger's condition (a missing value never does)
+   * Numbers are compared with every operator; anything else only meets = and
+   * != conditions, comparing the values as text.
+   */
+  static matches(trigger, value) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    const threshold = trigger.threshold;
+    if (typeof value === 'number' && typeof threshold === 'number') {
+      switch (trigger.operator) {
+        case '<': return value < threshold;
+        case '<=': return value <= threshold;
+        case '>': return value > threshold;
+        case '>=': return value >= threshold;
+        case '=': return value === threshold;
+        case '!=': return value !== threshold;
+        default: return false;
+      }
+    }
+
+    switch (trigger.operator) {
+      case '=': return String(value) === String(threshold);
+      case '!=': return String(value) !== String(threshold);
+      default: return false;
+    }
+  }
+
+  /**
+   * Fire the enabled triggers a change to the siege crossed: those whose
+   * condition did not hold before the change and does after it. Triggers
+   * that are not repeatable only ever fire once.
+   * @param {Object} client - Transaction client of the change
+   * @param {Object} before - Siege state before the change
+   * @param {Object} after - Siege state after the change
+   * @returns {Array} The log entries of the triggers that fired
+   */
+  static async evaluate(client, campaignId, before, after) {
+    const triggers = await client.query(
+      `SELECT * FROM siege_triggers
+       WHERE campaign_id = $1 AND enabled AND (repeatable OR last_fired_at IS NULL)
+       ORDER BY created_at, id`,
+      [campaignId]
+    );
+
+    const fired = [];
+    for (const trigger of triggers.rows.map(row => this._format(row))) {
+      const value = this.metricValue(after, trigger.metric);
+      if (!this.matches(trigger, value) || this.matches(trigger, this.metricValue(before, trigger.metric))) {
+        continue;
+      }
+
+      const results = [];
+      for (const action of trigger.actions) {
+        results.push(await this._runAction(client, campaignId, after, action));
+      }
+
+      await client.query('UPDATE siege_triggers SET last_fired_at = CURRENT_TIMESTAMP WHERE id = $1', [trigger.id]);
+      const label = METRIC_LABELS[trigger.metric] || trigger.metric;
+      const entry = await client.query(
+        `INSERT INTO siege_trigger_log (campaign_id, trigger_id, trigger_name, message, day_of_siege, results)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          campaignId, trigger.id, trigger.name,
+          `${trigger.name}: ${label} ${trigger.operator} ${trigger.threshold} (now ${value})`,
+          after.day_of_siege, JSON.stringify(results)
+        ]
+      );
+      fired.push(entry.rows[0]);
+    }
+    return fired;
+  }
+
+  /**
+   * Get the trigger log of a campaign, newest first
+   * @param {Object} options - { unacknowledged: only entries not yet acknowledged }
+   */
+  static async getLog(campaignId, options = {}) {
+    const result = await db.query(
+      `SELECT * FROM siege_trigger_log
+       WHERE campaign_id = $1 ${options.unacknowledged ? 'AND NOT acknowledged' : ''}
+       ORDER BY fired_at DESC, id DESC`,
+      [campaignId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Acknowledge a log entry, dismissing its alert
+   */
+  static async acknowledge(logId) {
+    const result = await db.query(
+      'UPDATE siege_trigger_log SET acknowledged = true WHERE id = $1 RETURNING *',
+      [logId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Acknowledge every log entry of a campaign
+   * @returns {number} How many entries were acknowledged
+   */
+  static async acknowledgeAll(campaignId) {
+    const result = await db.query(
+      'UPDATE siege_trigger_log SET acknowledged = true WHERE campaign_id = $1 AND NOT acknowledged',
+      [campaignId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Validate one action
+   * @private
+   */
+  static _validateAction(action) {
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      return ['must be an object'];
+    }
+
+    const typeResult = validateEnum(action.type, ACTION_TYPES, 'Type');
+    if (!typeResult.valid) {
+      return [typeResult.error];
+    }
+
+    const errors = [];
+    if (action.type === 'set_location_status' || action.type === 'add_plot_point') {
+      const locationResult = validateNumber(action.location_id, { min: 1, allowFloat: false, fieldName: 'Location ID' });
+      if (!locationResult.valid) {
+        errors.push(locationResult.error);
+      }
+    }
+
+    if (action.type === 'set_location_status') {
+      const statusResult = validateEnum(action.status, LOCATION_STATUSES, 'Status');
+      if (!statusResult.valid) {
+        errors.push(statusResult.error);
+      }
+    } else if (action.type === 'add_plot_point') {
+      const nameResult = validateString(action.name, { required: true, minLength: 1, maxLength: 255, fieldName: 'Name' });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+      const descriptionResult = validateString(action.description, { maxLength: 2000, fieldName: 'Description' });
+      if (!descriptionResult.valid) {
+        errors.push(descriptionResult.error);
+      }
+    } else {
+      const textResult = validateString(action.text, { required: true, minLength: 1, maxLength: 2000, fieldName: 'Text' });
+      if (!textResult.valid) {
+        errors.push(textResult.error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Keep only the fields of a validated action
+   * @private
+   */
+  static _cleanAction(action) {
+    if (action.type === 'set_location_status') {
+      return { type: action.type, location_id: Number(action.location_id), status: action.status };
+    }
+    if (action.type === 'add_plot_point') {
+      return {
+        type: action.type,
+        location_id: Number(action.location_id),
+        name: sanitizeString(action.name),
+        description: action.description ? sanitizeString(action.description) : ''
+      };
+    }
+    return { type: action.type, text: sanitizeString(action.text) };
+  }
+
+  /**
+   * Check that the locations the actions use are in the campaign
+   * @private
+   */
+  static async _checkLocations(campaignId, actions) {
+    const ids = [...new Set(actions.filter(action => action.location_id).map(action => action.location_id))];
+    if (ids.length === 0) {
+      return;
+    }
+
+    const result = await db.query(
+      'SELECT id FROM locations WHERE campaign_id = $1 AND id = ANY($2)',
+      [campaignId, ids]
+    );
+    if (result.rows.length !== ids.length) {
+      throw new ValidationError('Validation failed: Actions can only use locations in the campaign');
+    }
+  }
+
+  /**
+   * Run one action of a firing trigger
+   * A location deleted since the trigger was set up is skipped.
+   * @private
+   * @returns {Object} The action with done (and location_name, plot_point_id or note_id)
+   */
+  static async _runAction(client, campaignId, siegeState, action) {
+    if (action.type === 'add_note') {
+      const note = await client.query(
+        'INSERT INTO siege_notes (siege_state_id, note_text) VALUES ($1, $2) RETURNING id',
+        [siegeState.id, action.text]
+      );
+      return { ...action, done: true, note_id: note.rows[0].id };
+    }
+
+    const location = await client.query(
+      'SELECT * FROM locations WHERE id = $1 AND campaign_id = $2',
+      [action.location_id, campaignId]
+    );
+    if (location.rows.length === 0) {
+      return { ...action, done: false };
+    }
+
+    const place = location.rows[0];
+    if (action.type === 'set_location_status') {
+      await client.query('UPDATE locations SET status = $1 WHERE id = $2', [action.status, place.id]);
+      return { ...action, done: true, location_name: place.name };
+    }
+
+    // New plot points go in the middle of their location on the map
+    const center = (start, size) => (start !== null && start !== undefined ? start + Math.round((size || 0) / 2) : null);
+    const plotPoint = await client.query(
+      `INSERT INTO plot_points (location_id, name, description, status, coord_x, coord_y)
+       VALUES ($1, $2, $3, 'active', $4, $5)
+       RETURNING id`,
+      [place.id, action.name, action.description || null, center(place.coord_x, place.coord_width), center(place.coord_y, place.coord_height)]
+    );
+    return { ...action, done: true, location_name: place.name, plot_point_id: plotPoint.rows[0].id };
+  }
+
+  /**
+   * Check a threshold: a number with up to 2 decimal places, true or false,
+   * or text of up to 100 characters
+   * @returns {string|null} Error message
+   * @private
+   */
+  static _validateThreshold(threshold) {
+    if (typeof threshold === 'boolean') {
+      return null;
+    }
+    if (typeof threshold === 'string' && threshold.trim() !== '' && isNaN(Number(threshold))) {
+      return threshold.trim().length > 100 ? 'Threshold must be at most 100 characters' : null;
+    }
+
+    const thresholdResult = validateNumber(threshold, { min: -1000000000, max: 1000000000, fieldName: 'Threshold' });
+    if (!thresholdResult.valid) {
+      return thresholdResult.error;
+    }
+    // Stored as NUMERIC(12, 2), so more decimals would be rounded away
+    return Number(thresholdResult.value.toFixed(2)) === thresholdResult.value
+      ? null
+      : 'Threshold can have at most 2 decimal places';
+  }
+
+  /**
+   * Put a threshold in the type of the metric it is compared with: a number
+   * for the siege metrics and numeric custom metrics, true or false or one of
+   * the options for boolean and enum custom metrics, and numeric text read as
+   * a number for untyped custom metrics. A threshold that is not a number can
+   * only be used with = and !=, so a trigger that could never fire is refused.
+   * @private
+   */
+  static async _resolveThreshold(campaignId, metric, operator, threshold) {
+    const definition = BUILT_IN_METRICS.includes(metric) ? null : await SiegeMetric.findByName(campaignId, metric);
+    let value = threshold;
+    if (definition) {
+      value = SiegeMetric.parseValue(definition, threshold);
+    } else if (typeof value === 'string') {
+      value = value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value.trim();
+    }
+
+    let error = null;
+    if (definition && definition.type === 'boolean') {
+      error = typeof value === 'boolean' ? null : `Threshold must be true or false for ${metric}`;
+    } else if (definition && definition.type === 'enum') {
+      error = definition.options.includes(value) ? null : `Threshold must be one of: ${definition.options.join(', ')}`;
+    } else if ((BUILT_IN_METRICS.includes(metric) || definition) && typeof value !== 'number') {
+      error = `Threshold must be a number for ${METRIC_LABELS[metric] || metric}`;
+    }
+
+    if (!error && typeof value !== 'number' && !EQUALITY_OPERATORS.includes(operator)) {
+      error = 'Operator must be = or != for a threshold that is not a number';
+    }
+    if (error) {
+      throw new ValidationError(`Validation failed: ${error}`);
+    }
+    return value;
+  }
+
+  /**
+   * Split a threshold into its columns: numbers go in threshold and anything
+   * else in threshold_value
+   * @private
+   */
+  static _thresholdColumns(threshold) {
+    return typeof threshold === 'number' ? [threshold, null] : [null, JSON.stringify(threshold)];
+  }
+
+  /**
+   * Format a trigger row for the API (NUMERIC columns come back as strings)
+   * @private
+   */
+  static _format(row) {
+    const { threshold_value: thresholdValue, ...trigger } = row;
+    return {
+      ...trigger,
+      threshold: thresholdValue !== null && thresholdValue !== undefined ? thresholdValue : Number(row.threshold)
+    };
+  }
+}
+
+SiegeTrigger.BUILT_IN_METRICS = BUILT_IN_METRICS;
+SiegeTrigger.OPERATORS = OPERATORS;
+SiegeTrigger.ACTION_TYPES = ACTION_TYPES;
+
+module.exports = SiegeTrigger;
@@ -0,0 +1,355 @@
+const db = require('../../database/db');
+const Dice = require('../../shared/dice');
+const Concentration = require('./Concentration');
+const { validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Spellbook Model
+ * The spell reference table and the spells each combatant knows. Classes that
+ * prepare their spells (clerics, druids, paladins, wizards, artificers) can
+ * only cast prepared spells; everyone else casts any spell they know. Casting
+ * a spell of 1st level or higher spends a spell or pact slot, cantrips scale
+ * with the caster's level, and concentration spells start concentration
+ * (ending any other).
+ */
+
+const SCHOOLS = [
+  'abjuration', 'conjuration', 'divination', 'enchantment',
+  'evocation', 'illusion', 'necromancy', 'transmutation'
+];
+const PREPARED_CASTERS = ['artificer', 'cleric', 'druid', 'paladin', 'wizard'];
+const SLOT_KINDS = ['spell_slot', 'pact_slot'];
+
+// Character levels at which cantrips gain another damage die
+const CANTRIP_LEVELS = [5, 11, 17];
+
+const SIMPLE_DICE = /^(\d+)d(\d+)$/;
+
+class Spellbook {
+  /**
+   * Search the spell reference table
+   * @param {Object} filters - { level, school, class_name, concentration, ritual, search }
+   * @returns {Array} Spells by level, then name
+   */
+  static async search(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (this._isSet(filters.level)) {
+      const levelResult = validateNumber(filters.level, { min: 0, max: 9, allowFloat: false, fieldName: 'Level' });
+      if (!levelResult.valid) {
+        throw new ValidationError(`Validation failed: ${levelResult.error}`);
+      }
+      values.push(levelResult.value);
+      conditions.push(`level = $${values.length}`);
+    }
+
+    if (this._isSet(filters.school)) {
+      const schoolResult = validateEnum(String(filters.school).toLowerCase(), SCHOOLS, 'School');
+      if (!schoolResult.valid) {
+        throw new ValidationError(`Validation failed: ${schoolResult.error}`);
+      }
+      values.push(String(filters.school).toLowerCase());
+      conditions.push(`school = $${values.length}`);
+    }
+
+    if (this._isSet(filters.class_name)) {
+      values.push(String(filters.class_name).trim().toLowerCase());
+      conditions.push(`$${values.length} = ANY(classes)`);
+    }
+
+    for (const flag of ['concentration', 'ritual']) {
+      if (this._isSet(filters[flag])) {
+        values.push(filters[flag] === true || filters[flag] === 'true');
+        conditions.push(`${flag} = $${values.length}`);
+      }
+    }
+
+    if (this._isSet(filters.search)) {
+      values.push(`%${sanitizeString(String(filters.search)).trim()}%`);
+      conditions.push(`name ILIKE $${values.length}`);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM spells
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY level, name`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a spell from the reference table
+   * @returns {Object} The spell, or null if it does not exist
+   */
+  static async findSpell(spellId, client = db) {
+    const id = parseInt(spellId);
+    if (isNaN(id)) {
+      return null;
+    }
+    const result = await client.query('SELECT * FROM spells WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the spells a combatant knows, with its spell and pact slots
+   * @returns {Object} { combatant_id, name, prepares_spells, spells, prepared, slots },
+   *   or null if the combatant does not exist
+   */
+  static async findByCombatant(combatantId) {
+    const combatant = await db.query('SELECT * FROM combatants WHERE id = $1', [combatantId]);
+    const caster = combatant.rows[0];
+    if (!caster) {
+      return null;
+    }
+
+    const spells = await db.query(
+      `SELECT s.*, cs.prepared
+       FROM combatant_spells cs
+       JOIN spells s ON cs.spell_id = s.id
+       WHERE cs.combatant_id = $1
+       ORDER BY s.level, s.name`,
+      [caster.id]
+    );
+    const slots = await db.query(
+      `SELECT * FROM combatant_resources
+       WHERE combatant_id = $1 AND kind = ANY($2)
+       ORDER BY slot_level, array_position($2::varchar[], kind)`,
+      [caster.id, SLOT_KINDS]
+    );
+
+    return {
+      combatant_id: caster.id,
+      name: caster.name,
+      prepares_spells: this.preparesSpells(caster.character_class),
+      spells: spells.rows,
+      prepared: spells.rows.filter(spell => spell.level > 0 && spell.prepared).length,
+      slots: slots.rows
+    };
+  }
+
+  /**
+   * Add a spell from the reference table to a combatant's spells
+   * @param {Object} data - { spell_id, prepared }
+   * @returns {Object} The spell with its prepared flag, or null if the combatant does not exist
+   */
+  static async learn(combatantId, data) {
+    if (data.prepared !== undefined && typeof data.prepared !== 'boolean') {
+      throw new ValidationError('Validation failed: Prepared must be true or false');
+    }
+
+    return await db.transaction(async (client) => {
+      const caster = await client.query('SELECT * FROM combatants WHERE id = $1', [combatantId]);
+      if (caster.rows.length === 0) {
+        return null;
+      }
+
+      const spell = await this.findSpell(data.spell_id, client);
+      if (!spell) {
+        throw new ValidationError('Validation failed: Unknown spell');
+      }
+
+      const result = await client.query(
+        `INSERT INTO combatant_spells (combatant_id, spell_id, prepared)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (combatant_id, spell_id) DO NOTHING
+         RETURNING *`,
+        [caster.rows[0].id, spell.id, Boolean(data.prepared)]
+      );
+      if (result.rows.length === 0) {
+        throw new ValidationError(`Validation failed: ${caster.rows[0].name} already knows ${spell.name}`);
+      }
+
+      return { ...spell, prepared: result.rows[0].prepared };
+    });
+  }
+
+  /**
+   * Prepare a known spell or stop preparing it
+   * @param {Object} data - { prepared }
+   * @returns {Object} The spell with its prepared flag, or null if the combatant does not know it
+   */
+  static async update(combatantId, spellId, data) {
+    if (typeof data.prepared !== 'boolean') {
+      throw new ValidationError('Validation failed: Prepared must be true or false');
+    }
+
+    const result = await db.query(
+      'UPDATE combatant_spells SET prepared = $1 WHERE combatant_id = $2 AND spell_id = $3 RETURNING *',
+      [data.prepared, combatantId, spellId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const spell = await this.findSpell(spellId);
+    return { ...spell, prepared: result.rows[0].prepared };
+  }
+
+  /**
+   * Remove a spell from a combatant's spells
+   * @returns {Object} The removed entry, or null if the combatant does not know the spell
+   */
+  static async forget(combatantId, spellId) {
+    const result = await db.query(
+      'DELETE FROM combatant_spells WHERE combatant_id = $1 AND spell_id = $2 RETURNING *',
+      [combatantId, spellId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cast a known spell. Spells of 1st level or higher spend a slot of the
+   * given level, or the lowest slot at or above the spell's level that has
+   * uses left; rituals cast as rituals spend none. Concentration spells
+   * start concentration, and spells with damage dice roll their damage.
+   * @param {Object} options - { slot_level, ritual, seed }
+   * @returns {Object} { combatant, spell, slot_level, slot, ritual, damage, concentration },
+   *   or null if the combatant does not exist
+   */
+  static async cast(combatantId, spellId, options = {}) {
+    if (options.ritual !== undefined && typeof options.ritual !== 'boolean') {
+      throw new ValidationError('Validation failed: Ritual must be true or false');
+    }
+
+    return await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM combatants WHERE id = $1 FOR UPDATE', [combatantId]);
+      let caster = locked.rows[0];
+      if (!caster) {
+        return null;
+      }
+
+      const spell = await this.findSpell(spellId, client);
+      if (!spell) {
+        throw new ValidationError('Validation failed: Unknown spell');
+      }
+      const known = await client.query(
+        'SELECT * FROM combatant_spells WHERE combatant_id = $1 AND spell_id = $2',
+        [caster.id, spell.id]
+      );
+      if (known.rows.length === 0) {
+        throw new ValidationError(`Validation failed: ${caster.name} does not know ${spell.name}`);
+      }
+
+      const ritual = options.ritual === true;
+      if (ritual && !spell.ritual) {
+        throw new ValidationError(`Validation failed: ${spell.name} cannot be cast as a ritual`);
+      }
+      if (spell.level > 0 && !known.rows[0].prepared && this.preparesSpells(caster.character_class)) {
+        throw new ValidationError(`Validation failed: ${caster.name} has not prepared ${spell.name}`);
+      }
+
+      let slot = null;
+      let slotLevel = spell.level;
+      if (spell.level > 0 && !ritual) {
+        slot = await this._spendSlot(client, caster, spell, options.slot_level);
+        slotLevel = slot.slot_level;
+      }
+
+      let concentration = null;
+      if (spell.concentration) {
+        const started = await Concentration.begin(client, caster, spell.name);
+        caster = started.combatant;
+        concentration = { spell: spell.name, ended: started.ended };
+      }
+
+      const dice = this.damageDice(spell, slotLevel, caster.level);
+      const damage = dice
+        ? { dice, type: spell.damage_type, roll: Dice.roll(dice, { seed: options.seed }) }
+        : null;
+
+      return { combatant: caster, spell, slot_level: slotLevel, slot, ritual, damage, concentration };
+    });
+  }
+
+  /**
+   * Damage dice of a spell: cantrips gain a die at character levels 5, 11
+   * and 17, and leveled spells add their per-level dice for each slot level
+   * above their own
+   * @returns {string|null} Dice expression, or null for spells without damage
+   */
+  static damageDice(spell, slotLevel, casterLevel) {
+    if (!spell.damage_dice) {
+      return null;
+    }
+
+    if (spell.level === 0) {
+      const dice = 1 + CANTRIP_LEVELS.filter(level => (casterLevel || 1) >= level).length;
+      return spell.damage_dice.replace(/^(\d+)d(\d+)/, (match, count, sides) => `${parseInt(count) * dice}d${sides}`);
+    }
+
+    const extra = Math.max(0, (slotLevel || spell.level) - spell.level);
+    if (extra === 0 || !spell.damage_per_level) {
+      return spell.damage_dice;
+    }
+
+    // Dice of the same size are added together: 8d6 at 5th level is 10d6
+    const base = SIMPLE_DICE.exec(spell.damage_dice);
+    const step = SIMPLE_DICE.exec(spell.damage_per_level);
+    if (base && step && base[2] === step[2]) {
+      return `${parseInt(base[1]) + parseInt(step[1]) * extra}d${base[2]}`;
+    }
+    return [spell.damage_dice, ...Array(extra).fill(spell.damage_per_level)].join('+');
+  }
+
+  /**
+   * Whether a class casts only the spells it has prepared
+   */
+  static preparesSpells(characterClass) {
+    return PREPARED_CASTERS.includes(String(characterClass || '').trim().toLowerCase());
+  }
+
+  /**
+   * Spend a spell or pact slot for a spell: of the requested level, or the
+   * lowest level at or above the spell's that has a use left (spell slots
+   * before pact slots)
+   * @returns {Object} The slot resource after spending it
+   * @private
+   */
+  static async _spendSlot(client, caster, spell, requestedLevel) {
+    let level = null;
+    if (this._isSet(requestedLevel)) {
+      const levelResult = validateNumber(requestedLevel, { min: spell.level, max: 9, allowFloat: false, fieldName: 'Slot level' });
+      if (!levelResult.valid) {
+        throw new ValidationError(`Validation failed: ${levelResult.error}`);
+      }
+      level = levelResult.value;
+    }
+
+    const result = await client.query(
+      `SELECT * FROM combatant_resources
+       WHERE combatant_id = $1 AND kind = ANY($2) AND used < max_uses
+         AND ${level === null ? 'slot_level >= $3' : 'slot_level = $3'}
+       ORDER BY slot_level, array_position($2::varchar[], kind)
+       LIMIT 1
+       FOR UPDATE`,
+      [caster.id, SLOT_KINDS, level === null ? spell.level : level]
+    );
+    const slot = result.rows[0];
+    if (!slot) {
+      throw new ValidationError(level === null
+        ? `Validation failed: ${caster.name} has no spell slots of level ${spell.level} or higher left`
+        : `Validation failed: ${caster.name} has no level ${level} spell slots left`);
+    }
+
+    const spent = await client.query(
+      'UPDATE combatant_resources SET used = used + 1 WHERE id = $1 RETURNING *',
+      [slot.id]
+    );
+    return spent.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+Spellbook.SCHOOLS = SCHOOLS;
+Spellbook.PREPARED_CASTERS = PREPARED_CASTERS;
+
+module.exports = Spellbook;
@@ -0,0 +1,396 @@
+const db = require('../../database/db');
+const Leveling = require('../../shared/leveling');
+const Encounter = require('./Encounter');
+const Monster = require('./Monster');
+const { validateString, validateNumber, validateEnum, sanitizeString } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * StagedEncounter Model
+ * Fights planned ahead from a campaign's monster templates. Each is rated
+ * against the party with the DMG encounter rules: the monsters' experience,
+ * multiplied for their number and the party size, compared with the easy,
+ * medium, hard and deadly thresholds of the characters' levels. Deploying a
+ * staged encounter spawns its monsters and adds them and the party to the
+ * encounter the initiative tracker is showing (or to a new one).
+ */
+
+// Monsters in a staged encounter with what the rating and the builder need
+const MONSTERS_QUERY = `
+  SELECT sem.monster_id, sem.count, m.name, m.cr, m.ac, m.hp_formula
+  FROM staged_encounter_monsters sem
+  JOIN monsters m ON sem.monster_id = m.id
+  WHERE sem.staged_encounter_id = $1
+  ORDER BY m.name, m.id
+`;
+
+// HP modes for deployed monsters (custom HP only makes sense for a single template)
+const DEPLOY_HP_MODES = Monster.HP_MODES.filter(mode => mode !== 'custom');
+
+class StagedEncounter {
+  /**
+   * Validate staged encounter data
+   * @param {boolean} partial - Only validate the fields that are present (updates)
+   * @returns {Array} Error messages
+   */
+  static validate(data, partial = false) {
+    const errors = [];
+
+    if (data.name !== undefined || !partial) {
+      const nameResult = validateString(data.name, {
+        required: true,
+        minLength: 1,
+        maxLength: 255,
+        fieldName: 'Name'
+      });
+      if (!nameResult.valid) {
+        errors.push(nameResult.error);
+      }
+    }
+
+    if (this._isSet(data.notes)) {
+      const notesResult = validateString(data.notes, { maxLength: 2000, fieldName: 'Notes' });
+      if (!notesResult.valid) {
+        errors.push(notesResult.error);
+      }
+    }
+
+    if (data.monsters !== undefined) {
+      errors.push(...this.validateMonsters(data.monsters));
+    }
+
+    if (data.combatant_ids !== undefined && data.combatant_ids !== null && !Array.isArray(data.combatant_ids)) {
+      errors.push('Combatant IDs must be an array');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a list of { monster_id, count } entries
+   * @returns {Array} Error messages
+   */
+  static validateMonsters(monsters) {
+    if (!Array.isArray(monsters)) {
+      return ['Monsters must be an array'];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    for (const entry of monsters) {
+      const idResult = validateNumber(entry?.monster_id, { min: 1, allowFloat: false, fieldName: 'Monster ID' });
+      const countResult = validateNumber(entry?.count, {
+        min: 1,
+        max: Monster.MAX_BATCH_SIZE,
+        allowFloat: false,
+        fieldName: 'Count'
+      });
+      if (!idResult.valid) {
+        errors.push(idResult.error);
+      } else if (seen.has(idResult.value)) {
+        errors.push('Each monster can only be listed once');
+      } else {
+        seen.add(idResult.value);
+      }
+      if (!countResult.valid) {
+        errors.push(countResult.error);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Living player characters of a campaign, or the given ones
+   * @returns {Array} [{ id, name, level }]
+   */
+  static async party(campaignId, combatantIds = null, client = db) {
+    const values = [campaignId];
+    let query = `SELECT id, name, level FROM combatants
+                 WHERE campaign_id = $1 AND type = 'PC' AND NOT COALESCE(is_dead, false)`;
+    if (combatantIds) {
+      values.push(combatantIds.map(id => parseInt(id)).filter(id => !isNaN(id)));
+      query += ' AND id = ANY($2)';
+    }
+
+    const result = await client.query(`${query} ORDER BY name`, values);
+    return result.rows;
+  }
+
+  /**
+   * Rate a mix of monster templates against the party without saving it
+   * @param {Object} data - { monsters: [{ monster_id, count }], combatant_ids }
+   * @returns {Object} { monsters, rating }
+   */
+  static async rate(campaignId, data) {
+    const errors = this.validateMonsters(data.monsters || []);
+    if (data.combatant_ids !== undefined && data.combatant_ids !== null && !Array.isArray(data.combatant_ids)) {
+      errors.push('Combatant IDs must be an array');
+    }
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const monsters = await this._loadTemplates(db, campaignId, data.monsters || []);
+    const party = await this.party(campaignId, data.combatant_ids);
+    return this._rated(monsters, party);
+  }
+
+  /**
+   * Get a campaign's staged encounters, each with its monsters and rating
+   */
+  static async findByCampaign(campaignId) {
+    const result = await db.query(
+      'SELECT * FROM staged_encounters WHERE campaign_id = $1 ORDER BY name, id',
+      [campaignId]
+    );
+    const party = await this.party(campaignId);
+
+    const staged = [];
+    for (const row of result.rows) {
+      const monsters = await db.query(MONSTERS_QUERY, [row.id]);
+      staged.push({ ...row, ...this._rated(monsters.rows, party) });
+    }
+    return staged;
+  }
+
+  /**
+   * Get a staged encounter with its monsters and rating
+   * @param {Array} combatantIds - Characters to rate against (default: the living party)
+   * @returns {Object} The staged encounter, or null if it does not exist
+   */
+  static async findById(id, combatantIds = null) {
+    const result = await db.query('SELECT * FROM staged_encounters WHERE id = $1', [id]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const monsters = await db.query(MONSTERS_QUERY, [row.id]);
+    const party = await this.party(row.campaign_id, combatantIds);
+    return { ...row, ...this._rated(monsters.rows, party) };
+  }
+
+  /**
+   * Stage a new encounter
+   * @param {Object} data - { name, notes, monsters: [{ monster_id, count }] }
+   */
+  static async create(campaignId, data) {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const id = await db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO staged_encounters (campaign_id, name, notes)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [campaignId, sanitizeString(data.name), this._isSet(data.notes) ? sanitizeString(data.notes) : null]
+      );
+      await this._setMonsters(client, result.rows[0], data.monsters || []);
+      return result.rows[0].id;
+    });
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Rename a staged encounter, change its notes or replace its monsters
+   * @returns {Object} The staged encounter, or null if it does not exist
+   */
+  static async update(id, data) {
+    const errors = this.validate(data, true);
+    if (errors.length > 0) {
+      throw new ValidationError(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const found = await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM staged_encounters WHERE id = $1 FOR UPDATE', [id]);
+      const staged = locked.rows[0];
+      if (!staged) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE staged_encounters
+         SET name = $1, notes = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [
+          data.name !== undefined ? sanitizeString(data.name) : staged.name,
+          data.notes !== undefined ? (this._isSet(data.notes) ? sanitizeString(data.notes) : null) : staged.notes,
+          staged.id
+        ]
+      );
+      if (data.monsters !== undefined) {
+        await client.query('DELETE FROM staged_encounter_monsters WHERE staged_encounter_id = $1', [staged.id]);
+        await this._setMonsters(client, staged, data.monsters);
+      }
+      return true;
+    });
+
+    return found ? await this.findById(id) : null;
+  }
+
+  /**
+   * Delete a staged encounter (the monster templates are kept)
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM staged_encounters WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deploy a staged encounter to the initiative tracker: spawn numbered
+   * instances of its monsters (rolling their initiative) and add them and
+   * the party to the current pending or active encounter, creating one named
+   * after the staged encounter when there is none. The staged encounter is
+   * kept so it can be deployed again.
+   * @param {Object} options - { hp_mode, combatant_ids }
+   * @returns {Object} { encounter (with participants), instances, staged_encounter },
+   *   or null if the staged encounter does not exist
+   */
+  static async deploy(id, options = {}) {
+    if (this._isSet(options.hp_mode)) {
+      const modeResult = validateEnum(options.hp_mode, DEPLOY_HP_MODES, 'HP mode');
+      if (!modeResult.valid) {
+        throw new ValidationError(`Validation failed: ${modeResult.error}`);
+      }
+    }
+    if (options.combatant_ids !== undefined && options.combatant_ids !== null && !Array.isArray(options.combatant_ids)) {
+      throw new ValidationError('Validation failed: Combatant IDs must be an array');
+    }
+
+    return await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM staged_encounters WHERE id = $1 FOR UPDATE', [id]);
+      const staged = locked.rows[0];
+      if (!staged) {
+        return null;
+      }
+
+      const entries = await client.query(
+        `SELECT sem.count, m.*
+         FROM staged_encounter_monsters sem
+         JOIN monsters m ON sem.monster_id = m.id
+         WHERE sem.staged_encounter_id = $1
+         ORDER BY m.name, m.id`,
+        [staged.id]
+      );
+      if (entries.rows.length === 0) {
+        throw new ValidationError(`Validation failed: ${staged.name} has no monsters`);
+      }
+
+      const current = await client.query(
+        `SELECT * FROM encounters
+         WHERE campaign_id = $1 AND status IN ('pending', 'active')
+         ORDER BY created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [staged.campaign_id]
+      );
+      let encounter = current.rows[0];
+      if (!encounter) {
+        const created = await client.query(
+          'INSERT INTO encounters (campaign_id, name) VALUES ($1, $2) RETURNING *',
+          [staged.campaign_id, staged.name]
+        );
+        encounter = created.rows[0];
+      }
+
+      const instances = [];
+      for (const { count, ...monster } of entries.rows) {
+        instances.push(...await Monster.spawnInstances(client, monster, { count, hp_mode: options.hp_mode }));
+      }
+
+      const party = await this.party(staged.campaign_id, options.combatant_ids, client);
+      for (const combatantId of [...party.map(pc => pc.id), ...instances.map(instance => instance.combatant.id)]) {
+        await client.query(
+          `INSERT INTO encounter_participants (encounter_id, combatant_id, joined_round)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (encounter_id, combatant_id) DO NOTHING`,
+          [encounter.id, combatantId, encounter.current_round]
+        );
+      }
+
+      const deployed = await client.query(
+        `UPDATE staged_encounters
+         SET deployed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [staged.id]
+      );
+
+      encounter.participants = await Encounter.getParticipants(encounter.id, client);
+      return { encounter, instances, staged_encounter: deployed.rows[0] };
+    });
+  }
+
+  /**
+   * Monsters with the experience each is worth, and the rating of all of them against a party
+   * @private
+   */
+  static _rated(monsters, party) {
+    const crs = monsters.flatMap(monster => Array(monster.count).fill(monster.cr));
+    return {
+      monsters: monsters.map(monster => ({ ...monster, xp: Leveling.crXp(monster.cr) })),
+      rating: {
+        party,
+        ...Leveling.rateEncounter(party.map(pc => pc.level || 1), crs)
+      }
+    };
+  }
+
+  /**
+   * Look up the templates of { monster_id, count } entries in a campaign
+   * @returns {Array} Entries shaped like MONSTERS_QUERY rows
+   * @private
+   */
+  static async _loadTemplates(client, campaignId, entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const ids = entries.map(entry => parseInt(entry.monster_id));
+    const result = await client.query(
+      'SELECT id, name, cr, ac, hp_formula FROM monsters WHERE campaign_id = $1 AND id = ANY($2)',
+      [campaignId, ids]
+    );
+    const templates = new Map(result.rows.map(row => [row.id, row]));
+    const missing = ids.filter(monsterId => !templates.has(monsterId));
+    if (missing.length > 0) {
+      throw new ValidationError(`Validation failed: Unknown monster ${missing.join(', ')}`);
+    }
+
+    return entries
+      .map(entry => {
+        const { id: monsterId, ...template } = templates.get(parseInt(entry.monster_id));
+        return { monster_id: monsterId, count: parseInt(entry.count), ...template };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name) || a.monster_id - b.monster_id);
+  }
+
+  /**
+   * Insert the monsters of a staged encounter (templates must belong to its campaign)
+   * @private
+   */
+  static async _setMonsters(client, staged, entries) {
+    const monsters = await this._loadTemplates(client, staged.campaign_id, entries);
+    for (const monster of monsters) {
+      await client.query(
+        `INSERT INTO staged_encounter_monsters (staged_encounter_id, monster_id, count)
+         VALUES ($1, $2, $3)`,
+        [staged.id, monster.monster_id, monster.count]
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
+
+StagedEncounter.DEPLOY_HP_MODES = DEPLOY_HP_MODES;
+
+module.exports = StagedEncounter;
@@ -6,13 +6,43 @@
 const Combatant = require('./Combatant');
 const Monster = require('./Monster');
 const SiegeState = require('./SiegeState');
+const SiegeMetric = require('./SiegeMetric');
+const SiegeDay = require('./SiegeDay');
+const SiegeTrigger = require('./SiegeTrigger');
+const Force = require('./Force');
 const Location = require('./Location');
 const PlotPoint = require('./PlotPoint');
+const Encounter = require('./Encounter');
+const CombatLog = require('./CombatLog');
+const Combat = require('./Combat');
+const Condition = require('./Condition');
+const Concentration = require('./Concentration');
+const Resource = require('./Resource');
+const Rest = require('./Rest');
+const Progression = require('./Progression');
+const Inventory = require('./Inventory');
+const Spellbook = require('./Spellbook');
+const StagedEncounter = require('./StagedEncounter');
 
 module.exports = {
   Combatant,
   Monster,
   SiegeState,
+  SiegeMetric,
+  SiegeDay,
+  SiegeTrigger,
+  Force,
   Location,
-  PlotPoint
+  PlotPoint,
+  Encounter,
+  CombatLog,
+  Combat,
+  Condition,
+  Concentration,
+  Resource,
+  Rest,
+  Progression,
+  Inventory,
+  Spellbook,
+  StagedEncounter
 };
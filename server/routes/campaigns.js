@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Campaign = require('../models/Campaign');
+const Rest = require('../models/Rest');
 
 /**
  * Retry helper for database operations
@@ -198,6 +199,31 @@ router.put('/:id/touch', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/campaigns/:id/rest
+ * Take a short or long rest with every PC or the chosen combatants
+ * Not retried: a retry would roll the hit dice again
+ */
+router.post('/:id/rest', async (req, res, next) => {
+  try {
+    const rest = await Rest.take(req.params.id, req.body);
+
+    if (!rest) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(rest);
+  } catch (error) {
+    console.error('Error resting:', error);
+
+    if (error.message.includes('Validation failed')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/campaigns/:id
  * Delete campaign
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/db');
+const Combatant = require('../models/Combatant');
+const CombatLog = require('../models/CombatLog');
+const Rest = require('../models/Rest');
+const Inventory = require('../models/Inventory');
+const { validateDamageTypeList } = require('../utils/damage');
+const { validateAbilities } = require('../utils/abilities');
 
 // GET all characters for a campaign
 router.get('/', async (req, res, next) => {
@@ -95,6 +101,11 @@ router.post('/', async (req, res, next) => {
       });
     }
     
+    const abilities = validateAbilities(req.body);
+    if (!abilities.valid) {
+      return res.status(400).json({ error: abilities.error });
+    }
+    
     const result = await db.query(
       `INSERT INTO combatants (
         campaign_id, name, type, initiative, ac, current_hp, max_hp,
@@ -111,7 +122,12 @@ router.post('/', async (req, res, next) => {
       ]
     );
     
-    const character = result.rows[0];
+    let character = result.rows[0];
+    
+    // Saving throws follow the ability scores when all six are given
+    if (Object.keys(abilities.value).length > 0) {
+      character = await Combatant.syncSaves(await Combatant.update(character.id, abilities.value));
+    }
     character.conditions = [];
     
     res.status(201).json(character);
@@ -222,6 +238,13 @@ router.put('/:id', async (req, res, next) => {
       updates.push(`notes = $${paramCount++}`);
       values.push(notes);
     }
+    if (req.body.hit_die !== undefined) {
+      if (req.body.hit_die !== null && !Rest.HIT_DIE_SIZES.includes(req.body.hit_die)) {
+        return res.status(400).json({ error: `Hit die must be one of: ${Rest.HIT_DIE_SIZES.join(', ')}` });
+      }
+      updates.push(`hit_die = $${paramCount++}`);
+      values.push(req.body.hit_die);
+    }
     if (req.body.features !== undefined) {
       updates.push(`features = $${paramCount++}`);
       values.push(JSON.stringify(req.body.features));
@@ -231,12 +254,35 @@ router.put('/:id', async (req, res, next) => {
       values.push(JSON.stringify(req.body.magical_items));
     }
     
+    for (const field of ['resistances', 'immunities', 'vulnerabilities']) {
+      if (req.body[field] !== undefined) {
+        const validation = validateDamageTypeList(req.body[field], field.charAt(0).toUpperCase() + field.slice(1));
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.error });
+        }
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(validation.value);
+      }
+    }
+    
+    const abilities = validateAbilities(req.body);
+    if (!abilities.valid) {
+      return res.status(400).json({ error: abilities.error });
+    }
+    for (const [field, value] of Object.entries(abilities.value)) {
+      updates.push(`${field} = $${paramCount++}`);
+      values.push(value);
+    }
+    
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
     
     values.push(id);
     
+    // Keep the previous values for the combat log
+    const before = await db.query('SELECT * FROM combatants WHERE id = $1', [id]);
+    
     const result = await db.query(
       `UPDATE combatants 
        SET ${updates.join(', ')}
@@ -249,6 +295,14 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Character not found' });
     }
     
+    // Saving throws follow the ability scores, proficiencies and level,
+    // and the AC of a character wearing armor follows its Dexterity
+    let updated = await Combatant.syncSaves(result.rows[0]);
+    if (req.body.stat_dex !== undefined) {
+      updated = await Inventory.syncArmorClass(updated);
+    }
+    await CombatLog.recordChanges(before.rows[0], updated);
+    
     // Get character with conditions
     const charResult = await db.query(
       `SELECT c.*, 
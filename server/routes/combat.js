@@ -0,0 +1,390 @@
+const express = require('express');
+const router = express.Router();
+const Combat = require('../models/Combat');
+const Concentration = require('../models/Concentration');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * GET /api/combat/:combatantId/attacks
+ * Get the attacks a combatant can make (from its monster template)
+ */
+router.get('/:combatantId/attacks', async (req, res, next) => {
+  try {
+    const { combatantId } = req.params;
+    const attacks = await Combat.getAttacks(combatantId);
+    
+    if (!attacks) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: attacks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combat/modifiers
+ * Preview the advantage, disadvantage and automatic critical hits that conditions give an attack
+ */
+router.get('/modifiers', async (req, res, next) => {
+  try {
+    const { attacker_id, target_id, attack, within_5_feet } = req.query;
+    
+    const modifiers = await Combat.getAttackModifiers({
+      attacker_id,
+      target_id,
+      attack,
+      within_5_feet: within_5_feet === undefined ? undefined : within_5_feet === 'true'
+    });
+    
+    if (!modifiers) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: modifiers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/attack
+ * Resolve an attack against a target's AC and apply the damage
+ */
+router.post('/attack', async (req, res, next) => {
+  try {
+    const { attacker_id, target_id, attack, advantage, disadvantage, within_5_feet, roll_concentration, seed } = req.body;
+    
+    const result = await Combat.attack({
+      attacker_id,
+      target_id,
+      attack,
+      advantage: Boolean(advantage),
+      disadvantage: Boolean(disadvantage),
+      within_5_feet,
+      roll_concentration: Boolean(roll_concentration),
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    // Stored attacks with a malformed damage expression
+    if (error.name === 'DiceError') {
+      return next(new ValidationError(error.message));
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/group-save
+ * Roll the same saving throw for every target of an area effect and apply
+ * full, half or no damage depending on each result
+ */
+router.post('/group-save', async (req, res, next) => {
+  try {
+    const {
+      target_ids, ability, dc, damage, type, magical, on_success,
+      source_id, effect, roll_concentration, seed
+    } = req.body;
+    
+    const result = await Combat.groupSave({
+      target_ids,
+      ability,
+      dc,
+      damage,
+      type,
+      magical: Boolean(magical),
+      on_success,
+      source_id,
+      effect,
+      roll_concentration: Boolean(roll_concentration),
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/damage
+ * Deal typed damage to a combatant, adjusted for its resistances, immunities and vulnerabilities
+ * Temporary hit points absorb the damage first
+ */
+router.post('/damage', async (req, res, next) => {
+  try {
+    const { target_id, amount, type, magical, critical, roll_concentration, seed } = req.body;
+    
+    const result = await Combat.applyDamage({
+      target_id,
+      amount,
+      type,
+      magical: Boolean(magical),
+      critical: Boolean(critical),
+      roll_concentration: Boolean(roll_concentration),
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/heal
+ * Restore a combatant's hit points
+ */
+router.post('/heal', async (req, res, next) => {
+  try {
+    const { target_id, amount } = req.body;
+    
+    const result = await Combat.heal({ target_id, amount });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/temp-hp
+ * Grant temporary hit points (the higher of the current and new amount is kept)
+ */
+router.post('/temp-hp', async (req, res, next) => {
+  try {
+    const { target_id, amount } = req.body;
+    
+    const result = await Combat.grantTempHP({ target_id, amount });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/:combatantId/death-save
+ * Make a death saving throw for a PC at 0 HP, rolled by the server unless a roll is given
+ */
+router.post('/:combatantId/death-save', async (req, res, next) => {
+  try {
+    const { combatantId } = req.params;
+    const { roll, seed } = req.body;
+    
+    const result = await Combat.deathSave(combatantId, {
+      roll,
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/:combatantId/stabilize
+ * Stabilize a PC at 0 HP
+ */
+router.post('/:combatantId/stabilize', async (req, res, next) => {
+  try {
+    const { combatantId } = req.params;
+    
+    const result = await Combat.stabilize(combatantId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combat/:combatantId/concentration
+ * Get the spell a combatant is concentrating on and the conditions it maintains
+ */
+router.get('/:combatantId/concentration', async (req, res, next) => {
+  try {
+    const result = await Concentration.find(req.params.combatantId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/:combatantId/concentration
+ * Start concentrating on a spell, ending any other concentration
+ */
+router.post('/:combatantId/concentration', async (req, res, next) => {
+  try {
+    const result = await Concentration.start(req.params.combatantId, { spell: req.body.spell });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/combat/:combatantId/concentration
+ * Stop concentrating and remove the conditions the spell maintained
+ */
+router.delete('/:combatantId/concentration', async (req, res, next) => {
+  try {
+    const result = await Concentration.end(req.params.combatantId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat/:combatantId/concentration/save
+ * Make a Constitution save to keep concentrating, rolled by the server unless a total is given
+ */
+router.post('/:combatantId/concentration/save', async (req, res, next) => {
+  try {
+    const { combatantId } = req.params;
+    const { dc, total, seed } = req.body;
+    
+    const result = await Concentration.rollSave(combatantId, {
+      dc,
+      total,
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/db');
+const Combatant = require('../models/Combatant');
+const CombatLog = require('../models/CombatLog');
+const Condition = require('../models/Condition');
+const Resource = require('../models/Resource');
+const Progression = require('../models/Progression');
+const Spellbook = require('../models/Spellbook');
 
 // Placeholder routes - to be implemented in future tasks
 router.get('/', (req, res) => {
@@ -9,12 +15,21 @@ router.get('/', (req, res) => {
 
 /**
  * POST /api/combatants/:id/conditions
- * Add a condition to a combatant
+ * Add a condition to a combatant, optionally with a duration and repeat save
  */
 router.post('/:id/conditions', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { condition } = req.body;
+    const {
+      condition,
+      duration_rounds,
+      expires_on,
+      expires_at,
+      source_combatant_id,
+      save_dc,
+      save_ability,
+      concentration
+    } = req.body;
     
     if (!condition) {
       return res.status(400).json({ 
@@ -23,30 +38,57 @@ router.post('/:id/conditions', async (req, res, next) => {
       });
     }
     
-    // Validate that combatant exists
-    const combatantCheck = await db.query(
-      'SELECT id FROM combatants WHERE id = $1',
-      [id]
-    );
+    const result = await Condition.add(id, {
+      condition,
+      duration_rounds,
+      expires_on,
+      expires_at,
+      source_combatant_id,
+      save_dc,
+      save_ability,
+      concentration: Boolean(concentration)
+    });
     
-    if (combatantCheck.rows.length === 0) {
+    if (!result) {
       return res.status(404).json({ 
         success: false,
         error: 'Combatant not found' 
       });
     }
     
-    // Add condition
-    const result = await db.query(
-      `INSERT INTO combatant_conditions (combatant_id, condition)
-       VALUES ($1, $2)
-       RETURNING *`,
-      [id, condition]
-    );
-    
     res.status(201).json({
       success: true,
-      data: result.rows[0]
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/conditions/:conditionId/save
+ * Make a repeat saving throw against a condition; a success ends it
+ */
+router.post('/:id/conditions/:conditionId/save', async (req, res, next) => {
+  try {
+    const { id, conditionId } = req.params;
+    const { total, seed } = req.body;
+    
+    const result = await Condition.rollSave(id, conditionId, {
+      total,
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Condition not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
     });
   } catch (error) {
     next(error);
@@ -76,6 +118,12 @@ router.delete('/:id/conditions/:conditionId', async (req, res, next) => {
       });
     }
     
+    const combatant = await db.query(
+      'SELECT id, campaign_id, name FROM combatants WHERE id = $1',
+      [id]
+    );
+    await CombatLog.recordConditionRemoved(combatant.rows[0], result.rows[0]);
+    
     res.json({
       success: true,
       data: result.rows[0]
@@ -109,4 +157,461 @@ router.get('/:id/conditions', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/combatants/:id/effects
+ * Get the combined mechanical effects of a combatant's conditions
+ * Pass ?save=<ability> to include the modifiers for that saving throw
+ */
+router.get('/:id/effects', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const effects = await Condition.getEffects(id, { save: req.query.save });
+    
+    if (!effects) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Combatant not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: effects
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combatants/:id/sheet
+ * Get a combatant's ability modifiers, saves, skills, passive scores and
+ * proficiency bonus, worked out from its ability scores
+ */
+router.get('/:id/sheet', async (req, res, next) => {
+  try {
+    const sheet = await Combatant.getSheet(req.params.id);
+    
+    if (!sheet) {
+      return res.status(404).json({
+        success: false,
+        error: 'Combatant not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: sheet
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combatants/:id/progress
+ * Get a character's experience, what its next level needs, its experience
+ * ledger and its level history
+ */
+router.get('/:id/progress', async (req, res, next) => {
+  try {
+    const progress = await Progression.getProgress(req.params.id);
+    
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/xp
+ * Award experience to a character (a negative amount corrects an earlier award)
+ */
+router.post('/:id/xp', async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    
+    const result = await Progression.awardXp(req.params.id, { amount, reason });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/level-up
+ * Raise a character one level, gaining the fixed or rolled hit points and
+ * optionally picking its subclass
+ */
+router.post('/:id/level-up', async (req, res, next) => {
+  try {
+    const { hp_method, subclass, seed } = req.body;
+    
+    const result = await Progression.levelUp(req.params.id, { hp_method, subclass, seed });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combatants/:id/resources
+ * Get a combatant's spell slots, class resources and recharge abilities
+ */
+router.get('/:id/resources', async (req, res, next) => {
+  try {
+    const resources = await Resource.findByCombatant(req.params.id);
+    
+    res.json({
+      success: true,
+      data: resources
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/resources
+ * Add a limited-use resource to a combatant
+ */
+router.post('/:id/resources', async (req, res, next) => {
+  try {
+    const { name, kind, slot_level, max_uses, used, resets_on, recharge_min } = req.body;
+    
+    const result = await Resource.create(req.params.id, {
+      name,
+      kind,
+      slot_level,
+      max_uses,
+      used,
+      resets_on,
+      recharge_min
+    });
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Combatant not found' 
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/combatants/:id/resources/:resourceId
+ * Update a resource's name, level, maximum, uses, rest or recharge
+ */
+router.put('/:id/resources/:resourceId', async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+    const { name, slot_level, max_uses, used, resets_on, recharge_min } = req.body;
+    
+    const result = await Resource.update(id, resourceId, {
+      name,
+      slot_level,
+      max_uses,
+      used,
+      resets_on,
+      recharge_min
+    });
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Resource not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/resources/:resourceId/use
+ * Spend uses of a resource
+ */
+router.post('/:id/resources/:resourceId/use', async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+    const { amount = 1 } = req.body;
+    
+    const result = await Resource.use(id, resourceId, amount);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Resource not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/resources/:resourceId/restore
+ * Regain uses of a resource (all of them when no amount is given)
+ */
+router.post('/:id/resources/:resourceId/restore', async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+    
+    const result = await Resource.restore(id, resourceId, req.body.amount);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Resource not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/resources/:resourceId/recharge
+ * Roll to recharge an expended recharge ability
+ */
+router.post('/:id/resources/:resourceId/recharge', async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+    const { roll, seed } = req.body;
+    
+    const result = await Resource.rollRecharge(id, resourceId, {
+      roll,
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Resource not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/combatants/:id/resources/:resourceId
+ * Remove a resource from a combatant
+ */
+router.delete('/:id/resources/:resourceId', async (req, res, next) => {
+  try {
+    const { id, resourceId } = req.params;
+    
+    const result = await Resource.delete(id, resourceId);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Resource not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/combatants/:id/spells
+ * Get the spells a combatant knows or has prepared, with its spell slots
+ */
+router.get('/:id/spells', async (req, res, next) => {
+  try {
+    const spellbook = await Spellbook.findByCombatant(req.params.id);
+    
+    if (!spellbook) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Combatant not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: spellbook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/spells
+ * Add a spell from the reference table to a combatant's spells
+ */
+router.post('/:id/spells', async (req, res, next) => {
+  try {
+    const { spell_id, prepared } = req.body;
+    
+    const spell = await Spellbook.learn(req.params.id, { spell_id, prepared });
+    
+    if (!spell) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Combatant not found' 
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: spell
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/combatants/:id/spells/:spellId
+ * Prepare a known spell or stop preparing it
+ */
+router.put('/:id/spells/:spellId', async (req, res, next) => {
+  try {
+    const { id, spellId } = req.params;
+    
+    const spell = await Spellbook.update(id, spellId, { prepared: req.body.prepared });
+    
+    if (!spell) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Spell not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: spell
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combatants/:id/spells/:spellId/cast
+ * Cast a known spell, spending a slot and starting concentration when the spell needs them
+ */
+router.post('/:id/spells/:spellId/cast', async (req, res, next) => {
+  try {
+    const { id, spellId } = req.params;
+    const { slot_level, ritual, seed } = req.body;
+    
+    const result = await Spellbook.cast(id, spellId, {
+      slot_level,
+      ritual,
+      seed: seed === undefined ? undefined : parseInt(seed)
+    });
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Combatant not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/combatants/:id/spells/:spellId
+ * Remove a spell from a combatant's spells
+ */
+router.delete('/:id/spells/:spellId', async (req, res, next) => {
+  try {
+    const { id, spellId } = req.params;
+    
+    const result = await Spellbook.forget(id, spellId);
+    
+    if (!result) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Spell not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
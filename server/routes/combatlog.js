@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const CombatLog = require('../models/CombatLog');
+
+/**
+ * GET /api/combat-log
+ * Get combat log entries for a campaign, newest first
+ * Optional filters: combatant_id, encounter_id, limit
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const { combatant_id, encounter_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    const entries = await CombatLog.findByCampaign(campaignId, {
+      combatant_id,
+      encounter_id,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/combat-log/undo
+ * Revert the last N changes for a campaign (default 1)
+ */
+router.post('/undo', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const count = req.body.count || 1;
+    
+    const reverted = await CombatLog.undo(campaignId, count);
+    
+    res.json({
+      success: true,
+      data: reverted
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const Dice = require('../../shared/dice');
+const { validateNumber } = require('../utils/validation');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * POST /api/dice/roll
+ * Roll a dice expression and return the total with a per-die breakdown
+ */
+router.post('/roll', async (req, res, next) => {
+  try {
+    const { expression, advantage, disadvantage, seed } = req.body;
+    
+    if (!expression) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expression is required'
+      });
+    }
+
+    for (const [flag, value] of [['Advantage', advantage], ['Disadvantage', disadvantage]]) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: `${flag} must be true or false`
+        });
+      }
+    }
+
+    let seedValue;
+    if (seed !== undefined) {
+      const seedResult = validateNumber(seed, { allowFloat: false, fieldName: 'Seed' });
+      if (!seedResult.valid) {
+        return res.status(400).json({
+          success: false,
+          error: seedResult.error
+        });
+      }
+      seedValue = seedResult.value;
+    }
+    
+    const result = Dice.roll(expression, {
+      advantage: advantage === true,
+      disadvantage: disadvantage === true,
+      seed: seedValue
+    });
+    
+    // Exploding dice have no maximum, which JSON cannot hold as Infinity
+    const max = Dice.max(expression);
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        average: Dice.average(expression),
+        min: Dice.min(expression),
+        max: isFinite(max) ? max : null,
+        unbounded: !isFinite(max)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'DiceError') {
+      return next(new ValidationError(error.message));
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const router = express.Router();
+const Encounter = require('../models/Encounter');
+const Progression = require('../models/Progression');
+
+/**
+ * GET /api/encounters
+ * Get all encounters for a campaign (optionally filtered by status)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const { status } = req.query;
+
+    const encounters = await Encounter.findByCampaign(campaignId, status);
+
+    res.json({
+      success: true,
+      data: encounters
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/encounters/current
+ * Get the current (pending or active) encounter with participants
+ * Returns null data when no encounter is running
+ */
+router.get('/current', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const current = await Encounter.findCurrent(campaignId);
+    const encounter = current ? await Encounter.findByIdWithParticipants(current.id) : null;
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/encounters/:id
+ * Get a specific encounter with participants
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.findByIdWithParticipants(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/encounters/:id/turns
+ * Get turn history for an encounter
+ */
+router.get('/:id/turns', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.findById(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    const turns = await Encounter.getTurns(id);
+
+    res.json({
+      success: true,
+      data: turns
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters
+ * Create a new encounter
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const { name, combatant_ids } = req.body;
+
+    const created = await Encounter.create(campaignId, { name, combatant_ids });
+    const encounter = await Encounter.findByIdWithParticipants(created.id);
+
+    res.status(201).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/participants
+ * Add a combatant to an encounter
+ */
+router.post('/:id/participants', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { combatant_id } = req.body;
+
+    if (!combatant_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Combatant ID is required'
+      });
+    }
+
+    const encounter = await Encounter.addParticipant(id, combatant_id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/encounters/:id/participants/:combatantId
+ * Remove a combatant from an encounter
+ */
+router.delete('/:id/participants/:combatantId', async (req, res, next) => {
+  try {
+    const { id, combatantId } = req.params;
+    const encounter = await Encounter.removeParticipant(id, combatantId);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/start
+ * Start an encounter at round 1
+ */
+router.post('/:id/start', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.start(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/next-turn
+ * Advance to the next combatant (increments the round when wrapping)
+ */
+router.post('/:id/next-turn', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.nextTurn(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/previous-turn
+ * Step back to the previous combatant
+ */
+router.post('/:id/previous-turn', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.previousTurn(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/roll-initiative
+ * Roll initiative for every participant (d20 + DEX modifier) and save the new order
+ */
+router.post('/:id/roll-initiative', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { pc_rolls, roll_pcs, group_monsters } = req.body;
+    const encounter = await Encounter.rollInitiative(id, { pc_rolls, roll_pcs, group_monsters });
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/end
+ * End an encounter
+ */
+router.post('/:id/end', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.end(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/encounters/:id/xp
+ * Get the experience an encounter is worth and how it would be split
+ */
+router.get('/:id/xp', async (req, res, next) => {
+  try {
+    const xp = await Progression.encounterXp(req.params.id);
+
+    if (!xp) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: xp
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/encounters/:id/award-xp
+ * Award an ended encounter's experience to the characters who fought (or the
+ * combatant_ids given), once
+ */
+router.post('/:id/award-xp', async (req, res, next) => {
+  try {
+    const xp = await Progression.awardEncounterXp(req.params.id, {
+      combatant_ids: req.body.combatant_ids
+    });
+
+    if (!xp) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: xp
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/encounters/:id
+ * Delete an encounter and its turn history
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const encounter = await Encounter.delete(id);
+
+    if (!encounter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: encounter
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const Force = require('../models/Force');
+
+/**
+ * GET /api/forces
+ * Get a campaign's forces (?side= and ?location_id= to filter)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const forces = await Force.findByCampaign(campaignId, {
+      side: req.query.side,
+      location_id: req.query.location_id
+    });
+    
+    res.json({
+      success: true,
+      data: forces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/forces/summary
+ * Get the defenders and enemies at each location
+ */
+router.get('/summary', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const summary = await Force.summarize(campaignId);
+    
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/forces/:id
+ * Get a force by ID
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const force = await Force.findById(req.params.id);
+    
+    if (!force) {
+      return res.status(404).json({
+        success: false,
+        error: 'Force not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: force
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/forces
+ * Create a force
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const force = await Force.create(campaignId, req.body);
+    
+    res.status(201).json({
+      success: true,
+      data: force
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/forces/:id
+ * Update a force
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { campaign_id, ...data } = req.body;
+    const force = await Force.update(req.params.id, data);
+    
+    if (!force) {
+      return res.status(404).json({
+        success: false,
+        error: 'Force not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: force
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/forces/:id
+ * Delete a force
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const force = await Force.delete(req.params.id);
+    
+    if (!force) {
+      return res.status(404).json({
+        success: false,
+        error: 'Force not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: force
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/forces/:id/casualties
+ * Record casualties in a force, moving the defenders' morale
+ */
+router.post('/:id/casualties', async (req, res, next) => {
+  try {
+    const result = await Force.recordCasualties(req.params.id, req.body);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Force not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
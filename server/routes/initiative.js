@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Combatant = require('../models/Combatant');
+const CombatLog = require('../models/CombatLog');
 
 /**
  * GET /api/initiative
@@ -48,12 +49,14 @@ router.post('/', async (req, res, next) => {
 /**
  * PUT /api/initiative/:id
  * Update a combatant's initiative or other properties
+ * HP, initiative, AC and note changes are recorded in the combat log
  */
 router.put('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
     const updates = req.body;
     
+    const before = await Combatant.findById(id);
     const combatant = await Combatant.update(id, updates);
     
     if (!combatant) {
@@ -63,6 +66,8 @@ router.put('/:id', async (req, res, next) => {
       });
     }
     
+    await CombatLog.recordChanges(before, combatant);
+    
     res.json({
       success: true,
       data: combatant
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const Inventory = require('../models/Inventory');
+
+/**
+ * Character whose inventory a request is about (null for the party stash)
+ */
+function ownerId(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * GET /api/inventory
+ * Get the items, coins and carried weight of a character (combatant_id) or of
+ * the campaign's party stash (no combatant_id)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const inventory = await Inventory.findByOwner(campaignId, ownerId(req.query.combatant_id));
+
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inventory not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: inventory
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/items
+ * Add an item to a character or to the party stash
+ */
+router.post('/items', async (req, res, next) => {
+  try {
+    const { campaign_id, combatant_id, ...item } = req.body;
+    const result = await Inventory.addItem(campaign_id || 1, ownerId(combatant_id), item);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inventory not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/inventory/items/:id
+ * Update an item, including equipping it and attuning to it
+ */
+router.put('/items/:id', async (req, res, next) => {
+  try {
+    const result = await Inventory.updateItem(req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/items/:id/use
+ * Spend charges of an item, or use up some of a stack
+ */
+router.post('/items/:id/use', async (req, res, next) => {
+  try {
+    const { amount } = req.body;
+    const result = await Inventory.useItem(req.params.id, amount === undefined ? 1 : amount);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/items/:id/transfer
+ * Give an item, or part of a stack, to another character or to the party stash
+ */
+router.post('/items/:id/transfer', async (req, res, next) => {
+  try {
+    const { combatant_id, quantity } = req.body;
+    const result = await Inventory.transferItem(req.params.id, { combatant_id: ownerId(combatant_id), quantity });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/inventory/items/:id
+ * Remove an item
+ */
+router.delete('/items/:id', async (req, res, next) => {
+  try {
+    const result = await Inventory.deleteItem(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/currency
+ * Add coins to (or take them from, with negative amounts) a character or the party stash
+ */
+router.post('/currency', async (req, res, next) => {
+  try {
+    const { campaign_id, combatant_id, ...coins } = req.body;
+    const purse = await Inventory.adjustCurrency(campaign_id || 1, ownerId(combatant_id), coins);
+
+    if (!purse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inventory not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: purse
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/currency/transfer
+ * Move coins between characters and the party stash
+ */
+router.post('/currency/transfer', async (req, res, next) => {
+  try {
+    const { campaign_id, ...transfer } = req.body;
+    const result = await Inventory.transferCurrency(campaign_id || 1, transfer);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -67,6 +67,29 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/monsters/import
+ * Import monster templates from stat block text or JSON (5e SRD, Improved
+ * Initiative, Foundry VTT); content may hold many monsters, and dry_run
+ * previews the mapping without creating them
+ */
+router.post('/import', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const { content, format, dry_run } = req.body;
+    
+    const result = await Monster.import(campaignId, { content, format, dry_run });
+    
+    // Created only when something was stored
+    res.status(dry_run !== true && result.imported.length > 0 ? 201 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * PUT /api/monsters/:id
  * Update a monster template
@@ -122,16 +145,35 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * POST /api/monsters/:id/instances
  * Create a combat-ready instance of a monster
+ * hp_mode chooses average, rolled, max or custom HP; when count is given,
+ * a batch of auto-numbered instances is created and an array is returned
  */
 router.post('/:id/instances', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { instance_name, initiative } = req.body;
+    const { instance_name, initiative, hp_mode, hp, count, roll_initiative } = req.body;
+    
+    if (count !== undefined) {
+      const instances = await Monster.createInstances(id, {
+        count,
+        instance_name,
+        initiative,
+        roll_initiative,
+        hp_mode,
+        hp
+      });
+      
+      return res.status(201).json({
+        success: true,
+        data: instances
+      });
+    }
     
     const instance = await Monster.createInstance(
       id,
       instance_name,
-      initiative || 0
+      initiative || 0,
+      { hp_mode, hp, roll_initiative }
     );
     
     res.status(201).json({
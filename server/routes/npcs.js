@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/db');
+const Combatant = require('../models/Combatant');
+const CombatLog = require('../models/CombatLog');
+const { validateDamageTypeList } = require('../utils/damage');
+const { validateAbilities } = require('../utils/abilities');
 
 // GET all NPCs for a campaign
 router.get('/', async (req, res, next) => {
@@ -89,6 +93,11 @@ router.post('/', async (req, res, next) => {
       });
     }
     
+    const abilities = validateAbilities(req.body);
+    if (!abilities.valid) {
+      return res.status(400).json({ error: abilities.error });
+    }
+    
     const result = await db.query(
       `INSERT INTO combatants (
         campaign_id, name, type, initiative, ac, current_hp, max_hp,
@@ -105,7 +114,12 @@ router.post('/', async (req, res, next) => {
       ]
     );
     
-    const npc = result.rows[0];
+    let npc = result.rows[0];
+    
+    // Saving throws follow the ability scores when all six are given
+    if (Object.keys(abilities.value).length > 0) {
+      npc = await Combatant.syncSaves(await Combatant.update(npc.id, abilities.value));
+    }
     npc.conditions = [];
     
     res.status(201).json(npc);
@@ -197,12 +211,35 @@ router.put('/:id', async (req, res, next) => {
       values.push(notes);
     }
     
+    for (const field of ['resistances', 'immunities', 'vulnerabilities']) {
+      if (req.body[field] !== undefined) {
+        const validation = validateDamageTypeList(req.body[field], field.charAt(0).toUpperCase() + field.slice(1));
+        if (!validation.valid) {
+          return res.status(400).json({ error: validation.error });
+        }
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(validation.value);
+      }
+    }
+    
+    const abilities = validateAbilities(req.body);
+    if (!abilities.valid) {
+      return res.status(400).json({ error: abilities.error });
+    }
+    for (const [field, value] of Object.entries(abilities.value)) {
+      updates.push(`${field} = $${paramCount++}`);
+      values.push(value);
+    }
+    
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
     
     values.push(id);
     
+    // Keep the previous values for the combat log
+    const before = await db.query('SELECT * FROM combatants WHERE id = $1', [id]);
+    
     const result = await db.query(
       `UPDATE combatants 
        SET ${updates.join(', ')}
@@ -215,6 +252,10 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'NPC not found' });
     }
     
+    // Saving throws follow the ability scores, proficiencies and level
+    const updated = await Combatant.syncSaves(result.rows[0]);
+    await CombatLog.recordChanges(before.rows[0], updated);
+    
     // Get NPC with conditions
     const npcResult = await db.query(
       `SELECT c.*, 
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../../database/db');
+const Spellbook = require('../models/Spellbook');
 
 /**
  * GET /api/reference/races
@@ -99,4 +100,48 @@ router.get('/backgrounds', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/reference/spells
+ * Get spells, optionally filtered by level, school, class, concentration,
+ * ritual and name
+ */
+router.get('/spells', async (req, res, next) => {
+  try {
+    const { level, school, class_name, concentration, ritual, search } = req.query;
+    
+    const spells = await Spellbook.search({ level, school, class_name, concentration, ritual, search });
+    
+    res.json({
+      success: true,
+      data: spells
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reference/spells/:id
+ * Get a spell
+ */
+router.get('/spells/:id', async (req, res, next) => {
+  try {
+    const spell = await Spellbook.findSpell(req.params.id);
+    
+    if (!spell) {
+      return res.status(404).json({
+        success: false,
+        error: 'Spell not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: spell
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const SiegeState = require('../models/SiegeState');
+const SiegeMetric = require('../models/SiegeMetric');
+const SiegeDay = require('../models/SiegeDay');
+const SiegeTrigger = require('../models/SiegeTrigger');
 
 /**
  * GET /api/siege
@@ -28,11 +31,283 @@ router.put('/', async (req, res, next) => {
   try {
     const campaignId = req.body.campaign_id || 1;
     const updates = req.body;
+    const reason = updates.reason || null;
     
-    // Remove campaign_id from updates object
+    // Remove campaign_id and the history reason from updates object
     delete updates.campaign_id;
+    delete updates.reason;
     
-    const siegeState = await SiegeState.update(campaignId, updates);
+    const siegeState = await SiegeState.update(campaignId, updates, reason);
+    
+    res.json({
+      success: true,
+      data: siegeState
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/advance-day
+ * Advance the siege one or more days with the campaign's daily rules
+ */
+router.post('/advance-day', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const result = await SiegeDay.advance(campaignId, req.body);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/siege/rules
+ * Get the daily siege rules of a campaign (the defaults if it has none)
+ */
+router.get('/rules', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const rules = await SiegeDay.getRules(campaignId);
+    
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/siege/rules
+ * Set some or all of the daily siege rules
+ */
+router.put('/rules', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const { campaign_id, ...data } = req.body;
+    const rules = await SiegeDay.updateRules(campaignId, data);
+    
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/siege/rules
+ * Go back to the default daily siege rules
+ */
+router.delete('/rules', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const rules = await SiegeDay.resetRules(campaignId);
+    
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/siege/triggers
+ * Get a campaign's siege triggers
+ */
+router.get('/triggers', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const triggers = await SiegeTrigger.findByCampaign(campaignId);
+    
+    res.json({
+      success: true,
+      data: triggers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/triggers
+ * Create a siege trigger
+ */
+router.post('/triggers', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const trigger = await SiegeTrigger.create(campaignId, req.body);
+    
+    res.status(201).json({
+      success: true,
+      data: trigger
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/siege/triggers/log
+ * Get the triggers that fired, newest first (?unacknowledged=true for the alerts only)
+ */
+router.get('/triggers/log', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const log = await SiegeTrigger.getLog(campaignId, {
+      unacknowledged: req.query.unacknowledged === 'true'
+    });
+    
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/triggers/log/acknowledge
+ * Acknowledge every fired trigger of a campaign
+ */
+router.post('/triggers/log/acknowledge', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const acknowledged = await SiegeTrigger.acknowledgeAll(campaignId);
+    
+    res.json({
+      success: true,
+      data: { acknowledged }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/triggers/log/:id/acknowledge
+ * Acknowledge a fired trigger, dismissing its alert
+ */
+router.post('/triggers/log/:id/acknowledge', async (req, res, next) => {
+  try {
+    const entry = await SiegeTrigger.acknowledge(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Log entry not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/siege/triggers/:id
+ * Update a siege trigger
+ */
+router.put('/triggers/:id', async (req, res, next) => {
+  try {
+    const { campaign_id, ...data } = req.body;
+    const trigger = await SiegeTrigger.update(req.params.id, data);
+    
+    if (!trigger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: trigger
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/siege/triggers/:id
+ * Delete a siege trigger
+ */
+router.delete('/triggers/:id', async (req, res, next) => {
+  try {
+    const trigger = await SiegeTrigger.delete(req.params.id);
+    
+    if (!trigger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trigger not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: trigger
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/siege/history
+ * Get every snapshot of a campaign's siege, oldest first
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const history = await SiegeState.getHistory(campaignId);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/history/:id/rewind
+ * Restore the siege state from a history snapshot
+ */
+router.post('/history/:id/rewind', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const siegeState = await SiegeState.rewind(campaignId, req.params.id, req.body.reason);
+    
+    if (!siegeState) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
     
     res.json({
       success: true,
@@ -95,7 +370,7 @@ router.delete('/notes/:id', async (req, res, next) => {
 router.post('/reset', async (req, res, next) => {
   try {
     const campaignId = req.body.campaign_id || 1;
-    const siegeState = await SiegeState.reset(campaignId);
+    const siegeState = await SiegeState.reset(campaignId, req.body.reason);
     
     res.json({
       success: true,
@@ -133,6 +408,91 @@ router.post('/custom-metrics', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/siege/metric-definitions
+ * Get a campaign's custom metric definitions
+ */
+router.get('/metric-definitions', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const definitions = await SiegeMetric.findByCampaign(campaignId);
+    
+    res.json({
+      success: true,
+      data: definitions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/siege/metric-definitions
+ * Define a custom metric (its value starts at the default if it has none)
+ */
+router.post('/metric-definitions', async (req, res, next) => {
+  try {
+    const { campaign_id, ...data } = req.body;
+    const definition = await SiegeState.defineCustomMetric(campaign_id || 1, data);
+    
+    res.status(201).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/siege/metric-definitions/:id
+ * Change a custom metric's definition
+ */
+router.put('/metric-definitions/:id', async (req, res, next) => {
+  try {
+    const { campaign_id, ...data } = req.body;
+    const definition = await SiegeState.redefineCustomMetric(req.params.id, data);
+    
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: 'Metric definition not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/siege/metric-definitions/:id
+ * Delete a custom metric's definition, keeping its value
+ */
+router.delete('/metric-definitions/:id', async (req, res, next) => {
+  try {
+    const definition = await SiegeMetric.delete(req.params.id);
+    
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: 'Metric definition not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/siege/custom-metrics/:name
  * Remove a custom metric
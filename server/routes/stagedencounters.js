@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const StagedEncounter = require('../models/StagedEncounter');
+
+/**
+ * Combatant IDs from a comma separated query parameter (undefined when absent)
+ */
+function parseIds(value) {
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * GET /api/staged-encounters
+ * Get a campaign's staged encounters with their monsters and difficulty ratings
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const campaignId = req.query.campaign_id || 1;
+    const staged = await StagedEncounter.findByCampaign(campaignId);
+
+    res.json({
+      success: true,
+      data: staged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/staged-encounters/rate
+ * Rate a mix of monster templates against the party without saving it
+ */
+router.post('/rate', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const { monsters, combatant_ids } = req.body;
+
+    const rated = await StagedEncounter.rate(campaignId, { monsters, combatant_ids });
+
+    res.json({
+      success: true,
+      data: rated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/staged-encounters/:id
+ * Get a staged encounter, rated against the party or the characters in combatant_ids
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const staged = await StagedEncounter.findById(id, parseIds(req.query.combatant_ids));
+
+    if (!staged) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staged encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: staged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/staged-encounters
+ * Stage an encounter from monster templates
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const campaignId = req.body.campaign_id || 1;
+    const { name, notes, monsters } = req.body;
+
+    const staged = await StagedEncounter.create(campaignId, { name, notes, monsters });
+
+    res.status(201).json({
+      success: true,
+      data: staged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/staged-encounters/:id
+ * Rename a staged encounter, change its notes or replace its monsters
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, notes, monsters } = req.body;
+
+    const staged = await StagedEncounter.update(id, { name, notes, monsters });
+
+    if (!staged) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staged encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: staged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/staged-encounters/:id/deploy
+ * Spawn the staged monsters and add them and the party to the current encounter
+ */
+router.post('/:id/deploy', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { hp_mode, combatant_ids } = req.body;
+
+    const result = await StagedEncounter.deploy(id, { hp_mode, combatant_ids });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staged encounter not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/staged-encounters/:id
+ * Delete a staged encounter
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const staged = await StagedEncounter.delete(id);
+
+    if (!staged) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staged encounter not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: staged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
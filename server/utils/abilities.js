@@ -0,0 +1,87 @@
+/**
+ * Ability Score Utilities
+ * Validates the ability scores, proficiencies and expertise sent to the
+ * character and NPC routes. The rules themselves are in shared/abilities.js.
+ */
+
+const Abilities = require('../../shared/abilities');
+const { validateAbilityScore } = require('./validation');
+
+// Proficiency columns and the names each one may list
+const PROFICIENCY_FIELDS = {
+  save_proficiencies: { names: Abilities.ABILITIES, label: 'Save proficiencies' },
+  skill_proficiencies: { names: Object.keys(Abilities.SKILLS), label: 'Skill proficiencies' },
+  skill_expertise: { names: Object.keys(Abilities.SKILLS), label: 'Skill expertise' }
+};
+
+/**
+ * Normalize a list of names given as an array or a comma-separated string
+ * ("Sleight of Hand" -> "sleight_of_hand")
+ * @returns {Object} { valid, value, error }
+ */
+function validateNameList(list, allowed, fieldName) {
+  if (list === null || list === undefined || list === '') {
+    return { valid: true, value: [] };
+  }
+
+  const items = Array.isArray(list) ? list : String(list).split(',');
+  const value = [];
+
+  for (const item of items) {
+    if (typeof item !== 'string' || item.trim() === '') {
+      continue;
+    }
+    const name = item.trim().toLowerCase().replace(/\s+/g, '_');
+    if (!allowed.includes(name)) {
+      return { valid: false, error: `${fieldName} must be from: ${allowed.join(', ')}`, value: null };
+    }
+    if (!value.includes(name)) {
+      value.push(name);
+    }
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Validate the ability score and proficiency fields present in a request body
+ * A score of null clears it.
+ * @returns {Object} { valid, value: columns to write, error }
+ */
+function validateAbilities(data) {
+  const value = {};
+
+  for (const ability of Abilities.ABILITIES) {
+    const column = Abilities.ABILITY_COLUMNS[ability];
+    if (data[column] === undefined) {
+      continue;
+    }
+    if (data[column] === null) {
+      value[column] = null;
+      continue;
+    }
+    const label = ability.charAt(0).toUpperCase() + ability.slice(1);
+    const result = validateAbilityScore(data[column], label);
+    if (!result.valid) {
+      return { valid: false, error: result.error, value: null };
+    }
+    value[column] = result.value;
+  }
+
+  for (const [field, { names, label }] of Object.entries(PROFICIENCY_FIELDS)) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    const result = validateNameList(data[field], names, label);
+    if (!result.valid) {
+      return result;
+    }
+    value[field] = result.value;
+  }
+
+  return { valid: true, value };
+}
+
+module.exports = {
+  validateAbilities
+};
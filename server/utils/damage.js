@@ -0,0 +1,155 @@
+/**
+ * Damage Type Utilities
+ * Applies resistances, immunities and vulnerabilities to damage
+ */
+
+const DAMAGE_TYPES = [
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+/**
+ * Normalize a damage type name ("Fire " -> "fire")
+ * Returns null for empty or unknown types
+ */
+function normalizeDamageType(type) {
+  if (typeof type !== 'string') {
+    return null;
+  }
+  const normalized = type.trim().toLowerCase();
+  return DAMAGE_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Normalize a list of damage types given as an array or a comma-separated string
+ * @returns {Object} { valid, value, error }
+ */
+function validateDamageTypeList(list, fieldName = 'Damage types') {
+  if (list === null || list === undefined || list === '') {
+    return { valid: true, value: [] };
+  }
+
+  const items = Array.isArray(list) ? list : String(list).split(',');
+  const value = [];
+
+  for (const item of items) {
+    if (typeof item !== 'string' || item.trim() === '') {
+      continue;
+    }
+    const type = normalizeDamageType(item);
+    if (!type) {
+      return {
+        valid: false,
+        error: `${fieldName} must be damage types (${DAMAGE_TYPES.join(', ')})`,
+        value: null
+      };
+    }
+    if (!value.includes(type)) {
+      value.push(type);
+    }
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Check whether a defense list covers a damage type
+ * Monster stat blocks use free text such as "bludgeoning, piercing, and slashing
+ * from nonmagical attacks"; entries mentioning nonmagical attacks do not apply
+ * to magical damage
+ */
+function covers(entries, type, magical) {
+  return (entries || []).some(entry => {
+    if (typeof entry !== 'string') {
+      return false;
+    }
+    const text = entry.toLowerCase();
+    if (magical && text.includes('nonmagical')) {
+      return false;
+    }
+    return new RegExp(`\\b${type}\\b`).test(text);
+  });
+}
+
+/**
+ * Combine defenses from several sources (e.g. monster template and combatant)
+ * @param {...Object} sources - { resistances, immunities, vulnerabilities }
+ */
+function mergeDefenses(...sources) {
+  const merged = { resistances: [], immunities: [], vulnerabilities: [] };
+  for (const source of sources) {
+    if (!source) continue;
+    for (const key of Object.keys(merged)) {
+      for (const entry of source[key] || []) {
+        if (!merged[key].includes(entry)) {
+          merged[key].push(entry);
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Adjust damage for the target's defenses
+ * Immunity reduces damage to 0; resistance halves it (rounded down) and
+ * vulnerability doubles it, resistance first when both apply
+ * @param {number} amount - Damage before adjustment
+ * @param {string} type - Damage type; untyped damage is never adjusted
+ * @param {Object} defenses - { resistances, immunities, vulnerabilities }
+ * @param {Object} options - { magical }
+ * @returns {Object} { base, amount, type, immune, resistant, vulnerable, explanation }
+ */
+function adjustDamage(amount, type, defenses = {}, options = {}) {
+  const base = Math.max(0, Math.floor(amount));
+  const damageType = normalizeDamageType(type);
+  const result = {
+    base,
+    amount: base,
+    type: damageType,
+    immune: false,
+    resistant: false,
+    vulnerable: false,
+    explanation: damageType ? `${base} ${damageType}` : `${base}`
+  };
+
+  if (!damageType) {
+    return result;
+  }
+
+  const magical = Boolean(options.magical);
+
+  if (covers(defenses.immunities, damageType, magical)) {
+    result.immune = true;
+    result.amount = 0;
+    result.explanation = `${base} ${damageType} → 0 (immune)`;
+    return result;
+  }
+
+  result.resistant = covers(defenses.resistances, damageType, magical);
+  result.vulnerable = covers(defenses.vulnerabilities, damageType, magical);
+
+  const steps = [];
+  if (result.resistant) {
+    result.amount = Math.floor(result.amount / 2);
+    steps.push('resistant ÷2');
+  }
+  if (result.vulnerable) {
+    result.amount = result.amount * 2;
+    steps.push('vulnerable ×2');
+  }
+
+  if (steps.length > 0) {
+    result.explanation = `${base} ${damageType} → ${result.amount} (${steps.join(', ')})`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DAMAGE_TYPES,
+  normalizeDamageType,
+  validateDamageTypeList,
+  mergeDefenses,
+  adjustDamage
+};
@@ -0,0 +1,153 @@
+/**
+ * Hit Point Utilities
+ * Applies damage, healing, temporary hit points and death saving throws.
+ * Each function takes a combatant row and returns the new values of its
+ * hit point fields without touching the database.
+ */
+
+const DEATH_SAVES_NEEDED = 3;
+
+/**
+ * Current hit point fields of a combatant, with defaults for missing columns
+ */
+function hpState(combatant) {
+  return {
+    current_hp: combatant.current_hp || 0,
+    temp_hp: combatant.temp_hp || 0,
+    death_save_successes: combatant.death_save_successes || 0,
+    death_save_failures: combatant.death_save_failures || 0,
+    is_stable: Boolean(combatant.is_stable),
+    is_dead: Boolean(combatant.is_dead)
+  };
+}
+
+/**
+ * Whether a combatant makes death saving throws instead of dying at 0 HP
+ */
+function makesDeathSaves(combatant) {
+  return combatant.type === 'PC';
+}
+
+/**
+ * Reset the death save counters, e.g. after regaining hit points
+ */
+function resetDeathSaves(state) {
+  return { ...state, death_save_successes: 0, death_save_failures: 0, is_stable: false };
+}
+
+/**
+ * Take damage: temporary hit points absorb it first, then hit points (never below 0)
+ * A PC dies outright when the damage left over after reaching 0 HP is at least its
+ * max HP. A PC already at 0 HP fails a death save instead (two on a critical hit).
+ * @param {Object} options - { critical }
+ * @returns {Object} { changes, absorbed, instant_death }
+ */
+function takeDamage(combatant, amount, options = {}) {
+  let state = hpState(combatant);
+  const damage = Math.max(0, Math.floor(amount) || 0);
+
+  const absorbed = Math.min(state.temp_hp, damage);
+  const remaining = damage - absorbed;
+  state.temp_hp -= absorbed;
+
+  let instantDeath = false;
+
+  if (remaining > 0 && makesDeathSaves(combatant) && !state.is_dead) {
+    if (state.current_hp > 0) {
+      const overflow = remaining - state.current_hp;
+      state = resetDeathSaves(state);
+      state.current_hp = Math.max(0, state.current_hp - remaining);
+      instantDeath = overflow >= combatant.max_hp;
+    } else {
+      state.is_stable = false;
+      state.death_save_failures += options.critical ? 2 : 1;
+      instantDeath = remaining >= combatant.max_hp;
+    }
+
+    if (instantDeath || state.death_save_failures >= DEATH_SAVES_NEEDED) {
+      state.death_save_failures = Math.min(state.death_save_failures, DEATH_SAVES_NEEDED);
+      state.is_dead = true;
+    }
+  } else {
+    state.current_hp = Math.max(0, state.current_hp - remaining);
+  }
+
+  return { changes: state, absorbed, instant_death: instantDeath };
+}
+
+/**
+ * Regain hit points (never above max HP); a dying PC who regains any is conscious again
+ */
+function heal(combatant, amount) {
+  let state = hpState(combatant);
+  const healing = Math.max(0, Math.floor(amount) || 0);
+
+  if (healing > 0 && state.current_hp === 0) {
+    state = resetDeathSaves(state);
+  }
+  state.current_hp = Math.min(combatant.max_hp, state.current_hp + healing);
+
+  return state;
+}
+
+/**
+ * Gain temporary hit points; they do not stack, so the higher amount is kept
+ */
+function grantTempHP(combatant, amount) {
+  const state = hpState(combatant);
+  state.temp_hp = Math.max(state.temp_hp, Math.max(0, Math.floor(amount) || 0));
+  return state;
+}
+
+/**
+ * Record a death saving throw from the natural d20 roll
+ * 10 or higher succeeds and anything lower fails. A natural 1 counts as two
+ * failures, and a natural 20 brings the PC back with 1 HP.
+ * Three successes stabilize the PC and three failures kill it.
+ * @returns {Object} { changes, outcome } where outcome is 'success', 'failure',
+ *   'revived', 'stable' or 'dead'
+ */
+function deathSave(combatant, natural) {
+  let state = hpState(combatant);
+
+  if (natural === 20) {
+    state = resetDeathSaves(state);
+    state.current_hp = 1;
+    return { changes: state, outcome: 'revived' };
+  }
+
+  if (natural >= 10) {
+    state.death_save_successes += 1;
+  } else {
+    state.death_save_failures += natural === 1 ? 2 : 1;
+  }
+
+  if (state.death_save_failures >= DEATH_SAVES_NEEDED) {
+    state.death_save_failures = DEATH_SAVES_NEEDED;
+    state.is_dead = true;
+    return { changes: state, outcome: 'dead' };
+  }
+
+  if (state.death_save_successes >= DEATH_SAVES_NEEDED) {
+    return { changes: stabilize(state), outcome: 'stable' };
+  }
+
+  return { changes: state, outcome: natural >= 10 ? 'success' : 'failure' };
+}
+
+/**
+ * Stabilize a dying PC: it stops making death saves but stays at 0 HP
+ */
+function stabilize(combatant) {
+  return { ...resetDeathSaves(hpState(combatant)), is_stable: true };
+}
+
+module.exports = {
+  DEATH_SAVES_NEEDED,
+  makesDeathSaves,
+  takeDamage,
+  heal,
+  grantTempHP,
+  deathSave,
+  stabilize
+};
@@ -0,0 +1,762 @@
+/**
+ * Monster Import Utilities
+ * Maps stat blocks pasted as text and the common JSON monster formats (5e SRD,
+ * Improved Initiative and Foundry VTT exports) onto monster template fields.
+ * Each parser returns { monster, unmapped }, where unmapped lists the fields
+ * or stat block lines that have no place in a monster template.
+ */
+
+const Abilities = require('../../shared/abilities');
+const { normalizeDamageType } = require('./damage');
+
+const FORMATS = ['text', 'srd', 'improved_initiative', 'foundry'];
+
+const SHORT_ABILITIES = {
+  str: 'strength',
+  dex: 'dexterity',
+  con: 'constitution',
+  int: 'intelligence',
+  wis: 'wisdom',
+  cha: 'charisma'
+};
+
+// Monster column holding each ability score
+const STAT_COLUMNS = {
+  strength: 'stat_str',
+  dexterity: 'stat_dex',
+  constitution: 'stat_con',
+  intelligence: 'stat_int',
+  wisdom: 'stat_wis',
+  charisma: 'stat_cha'
+};
+
+// Foundry VTT skill keys
+const FOUNDRY_SKILLS = {
+  acr: 'acrobatics', ani: 'animal_handling', arc: 'arcana', ath: 'athletics',
+  dec: 'deception', his: 'history', ins: 'insight', itm: 'intimidation',
+  inv: 'investigation', med: 'medicine', nat: 'nature', prc: 'perception',
+  prf: 'performance', per: 'persuasion', rel: 'religion', slt: 'sleight_of_hand',
+  ste: 'stealth', sur: 'survival'
+};
+
+// Stat block sections after the traits, and the suffix their entries get as abilities
+const SECTIONS = {
+  'actions': null,
+  'bonus actions': 'Bonus Action',
+  'reactions': 'Reaction',
+  'legendary actions': 'Legendary Action',
+  'mythic actions': 'Mythic Action',
+  'lair actions': 'Lair Action'
+};
+
+// Fields of JSON formats that hold nothing worth reporting
+const IGNORED_FIELDS = [
+  'index', 'url', 'slug', 'image', 'img', 'xp', 'proficiency_bonus', '_id', 'id', 'Id',
+  'Version', 'Source', 'Path', 'LastUpdateMs', 'ImageURL', 'Player', 'InitiativeModifier',
+  'InitiativeSpecialRoll', 'InitiativeAdvantage', 'flags', 'effects', 'folder', 'sort',
+  'ownership', 'permission', 'prototypeToken', 'token', '_stats', 'page_no', 'updated_at'
+];
+
+const ABILITY_SCORE = '(\\d+)\\s*\\(\\s*[+\\-−–]?\\s*\\d+\\s*\\)';
+
+/**
+ * Modifier of an ability score
+ */
+function modifier(score) {
+  return Math.floor(((parseInt(score) || 10) - 10) / 2);
+}
+
+/**
+ * Full ability name from "Dex", "DEX", "dexterity" or "saving-throw-dex"
+ */
+function abilityName(name) {
+  const text = String(name || '').trim().toLowerCase().replace(/^saving-throw-/, '');
+  if (SHORT_ABILITIES[text]) return SHORT_ABILITIES[text];
+  return Abilities.ABILITIES.includes(text) ? text : null;
+}
+
+/**
+ * Skill key from "Sleight of Hand", "sleight-of-hand" or "skill-stealth"
+ */
+function skillName(name) {
+  const key = String(name || '').trim().toLowerCase().replace(/^skill-/, '').replace(/[\s-]+/g, '_');
+  return Abilities.SKILLS[key] ? key : null;
+}
+
+/**
+ * Signed number from "+4", "-1" or "−1"
+ */
+function signedNumber(text) {
+  const match = String(text).replace(/[−–]/g, '-').match(/([+-]?)\s*(\d+)/);
+  return match ? parseInt(`${match[1]}${match[2]}`) : null;
+}
+
+/**
+ * Challenge rating as stored on monsters: 0.25 -> "1/4", "1/4 (50 XP)" -> "1/4"
+ */
+function formatCr(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    const fractions = { 0.125: '1/8', 0.25: '1/4', 0.5: '1/2' };
+    return fractions[value] || String(value);
+  }
+  const match = String(value).trim().match(/^(\d+\s*\/\s*\d+|\d+(?:\.\d+)?)/);
+  return match ? match[1].replace(/\s+/g, '') : null;
+}
+
+/**
+ * Dice expression without spaces: "6d8 + 18" -> "6d8+18"
+ */
+function compactDice(text) {
+  return String(text).replace(/\s+/g, '').replace(/[−–]/g, '-');
+}
+
+/**
+ * Hit points formula from "45 (6d8 + 18)", a dice expression or a fixed number
+ */
+function hpFormula(text) {
+  if (text === null || text === undefined) return null;
+  const dice = String(text).match(/\d+d\d+(?:\s*[+\-−–]\s*\d+)?/i);
+  if (dice) return compactDice(dice[0]);
+  const fixed = String(text).match(/\d+/);
+  return fixed ? fixed[0] : null;
+}
+
+/**
+ * Defense entries from stat block text. Groups qualified by a condition
+ * ("bludgeoning, piercing, and slashing from nonmagical attacks") stay whole
+ * so damage adjustment can tell them apart; plain lists are split.
+ */
+function splitDefenses(text) {
+  if (!text) return [];
+  const entries = [];
+  for (const group of String(text).split(';')) {
+    const trimmed = group.trim().toLowerCase();
+    if (!trimmed) continue;
+    if (/\b(from|that|except|while|in)\b/.test(trimmed)) {
+      entries.push(trimmed);
+      continue;
+    }
+    trimmed.split(/,|\band\b/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      if (!entries.includes(entry)) entries.push(entry);
+    });
+  }
+  return entries;
+}
+
+/**
+ * Strip HTML tags and entities from descriptions in JSON exports
+ */
+function stripHtml(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+/**
+ * An attack from a stat block action: the bonus comes from "+4 to hit" and the
+ * damage from the first roll of the "Hit:" text or of a saving throw effect.
+ * Actions without an attack roll or damage (Multiattack) are kept as specials.
+ */
+function parseAction(name, description) {
+  const text = String(description || '').replace(/[−–]/g, '-');
+  const bonus = text.match(/([+-]\s*\d+)\s+to hit/i);
+  const hit = text.match(/\bHit:\s*(.*)$/i);
+  const damageText = hit ? hit[1] : text;
+  const rolled = damageText.match(/\d+\s*\(\s*(\d+d\d+(?:\s*[+-]\s*\d+)?)\s*\)\s*([a-z]+)?\s*damage/i);
+  const fixed = hit ? damageText.match(/^(\d+)\s+([a-z]+)?\s*damage/i) : null;
+  const damage = rolled || fixed;
+
+  const attack = {
+    name,
+    bonus: bonus ? signedNumber(bonus[1]) : 0,
+    damage: damage ? compactDice(damage[1]) : '',
+    type: (damage && normalizeDamageType(damage[2])) || 'special',
+    description: String(description || '').trim()
+  };
+  if (/ranged (weapon|spell) attack/i.test(text) && !/melee or ranged/i.test(text)) {
+    attack.ranged = true;
+  }
+  return attack;
+}
+
+/**
+ * Ability entry, with the section it came from added to the name
+ */
+function toAbility(name, description, suffix) {
+  return {
+    name: suffix ? `${name} (${suffix})` : name,
+    description: String(description || '').trim()
+  };
+}
+
+/**
+ * Speed from an object of movement modes: { walk: 30, fly: 60 } -> "30 ft., fly 60 ft."
+ */
+function formatSpeed(speed, units = 'ft.') {
+  if (!speed) return null;
+  if (typeof speed === 'string') return speed;
+  if (Array.isArray(speed)) return speed.join(', ');
+
+  const describe = (value) => (typeof value === 'number' ? `${value} ${units}` : String(value));
+  const parts = [];
+  Object.entries(speed).forEach(([mode, value]) => {
+    if (!value || ['units', 'hover', 'special'].includes(mode)) return;
+    parts.push(mode === 'walk' ? describe(value) : `${mode} ${describe(value)}`);
+  });
+  if (speed.hover) parts.push('(hover)');
+  return parts.join(', ') || null;
+}
+
+/**
+ * Record the entries of a JSON object that were not used, with their values
+ * when they are short enough to show ("size: Small", "condition_immunities: charmed")
+ */
+function reportUnused(source, used, unmapped) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (used.includes(key) || IGNORED_FIELDS.includes(key) || key.startsWith('document__')) return;
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value) ? value.length === 0 : typeof value === 'object' && Object.keys(value).length === 0) return;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      unmapped.push(key);
+      return;
+    }
+
+    const values = [].concat(value)
+      .map(item => (item && typeof item === 'object' ? item.name || item.Name : item))
+      .filter(item => item !== undefined && item !== null && item !== '');
+    unmapped.push(values.length > 0 ? `${key}: ${values.join(', ')}` : key);
+  });
+}
+
+/**
+ * Parse a stat block pasted as text, in the layout of the Monster Manual and
+ * SRD ("Armor Class 15 (leather armor, shield)", "Hit Points 7 (2d6)", ...)
+ * Markdown from homebrew tools (headings, bold, tables) is ignored.
+ */
+function parseStatBlock(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line
+      .replace(/^[\s>#]+/, '')
+      .replace(/^[-*]\s+/, '')
+      .replace(/\*\*|__|[*_]/g, '')
+      .replace(/\|/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(line => line && !/^[:\-\s]+$/.test(line));
+
+  const monster = { saves: {}, skills: {}, attacks: [], abilities: [] };
+  const unmapped = [];
+  if (lines.length === 0) {
+    return { monster, unmapped };
+  }
+
+  monster.name = lines[0];
+
+  // Ability scores may sit on one line or one per line below their headings
+  const joined = lines.join(' ');
+  const scoresStart = joined.search(/\bSTR\b[\s\S]*?\bDEX\b/);
+  if (scoresStart >= 0) {
+    const scores = [...joined.slice(scoresStart).matchAll(new RegExp(ABILITY_SCORE, 'g'))].slice(0, 6);
+    Object.values(STAT_COLUMNS).forEach((column, i) => {
+      if (scores[i]) monster[column] = parseInt(scores[i][1]);
+    });
+  }
+
+  const scoreLine = new RegExp(`^((STR|DEX|CON|INT|WIS|CHA)|${ABILITY_SCORE}|\\s)+$`, 'i');
+  const headers = [
+    [/^Armou?r Class\s+(.*)$/i, value => { monster.ac = parseInt(value); }],
+    [/^Hit Points\s+(.*)$/i, value => { monster.hp_formula = hpFormula(value); }],
+    [/^Speed\s+(.*)$/i, value => { monster.speed = value; }],
+    [/^Saving Throws\s+(.*)$/i, value => {
+      value.split(',').forEach(entry => {
+        const ability = abilityName(entry.trim().split(/\s+/)[0]);
+        if (ability) monster.saves[ability] = signedNumber(entry);
+        else unmapped.push(`Saving Throws: ${entry.trim()}`);
+      });
+    }],
+    [/^Skills\s+(.*)$/i, value => {
+      value.split(',').forEach(entry => {
+        const skill = skillName(entry.replace(/[+\-−–]\s*\d+.*$/, ''));
+        if (skill) monster.skills[skill] = signedNumber(entry);
+        else unmapped.push(`Skills: ${entry.trim()}`);
+      });
+    }],
+    [/^Damage Vulnerabilities\s+(.*)$/i, value => { monster.vulnerabilities = splitDefenses(value); }],
+    [/^Damage Resistances\s+(.*)$/i, value => { monster.resistances = splitDefenses(value); }],
+    [/^Damage Immunities\s+(.*)$/i, value => { monster.immunities = splitDefenses(value); }],
+    [/^Senses\s+(.*)$/i, value => { monster.senses = value; }],
+    [/^Languages\s+(.*)$/i, value => { monster.languages = value; }],
+    [/^Challenge\s+(.*)$/i, value => { monster.cr = formatCr(value); }],
+    [/^(Proficiency Bonus|PB)\s+/i, () => {}]
+  ];
+
+  let section = null;
+  let current = null;
+  const entries = { traits: [] };
+  Object.keys(SECTIONS).forEach(name => { entries[name] = []; });
+
+  lines.slice(1).forEach((line, i) => {
+    const heading = line.toLowerCase().replace(/:$/, '');
+    if (SECTIONS[heading] !== undefined) {
+      section = heading;
+      current = null;
+      return;
+    }
+
+    if (!section && entries.traits.length === 0) {
+      if (scoreLine.test(line)) return;
+      const header = headers.find(([pattern]) => pattern.test(line));
+      if (header) {
+        header[1](line.match(header[0])[1]);
+        return;
+      }
+      // The size, type and alignment line under the name
+      if (i === 0 && /^(tiny|small|medium|large|huge|gargantuan)\b/i.test(line)) {
+        unmapped.push(`Type: ${line}`);
+        return;
+      }
+    }
+
+    const entry = line.match(/^([A-Z][^.:]{0,60}?)\.\s+(.+)$/);
+    if (entry && entry[1].split(/\s+/).length <= 8) {
+      current = { name: entry[1].trim(), description: entry[2] };
+      entries[section || 'traits'].push(current);
+    } else if (current) {
+      current.description += ` ${line}`;
+    } else if (section) {
+      // Introductions such as "The dragon can take 3 legendary actions..."
+      const title = section.replace(/\b\w/g, c => c.toUpperCase());
+      current = { name: title, description: line, intro: true };
+      entries[section].push(current);
+    } else {
+      unmapped.push(line);
+    }
+  });
+
+  monster.abilities = entries.traits.map(entry => toAbility(entry.name, entry.description));
+  monster.attacks = entries.actions.map(entry => parseAction(entry.name, entry.description));
+  Object.entries(SECTIONS).forEach(([name, suffix]) => {
+    if (suffix) {
+      monster.abilities.push(...entries[name].map(entry => toAbility(entry.name, entry.description, !entry.intro && suffix)));
+    }
+  });
+
+  return { monster, unmapped };
+}
+
+/**
+ * Named entries of an action or trait list in a JSON format
+ */
+function mapEntries(list, nameKey) {
+  return (Array.isArray(list) ? list : []).filter(entry => entry && entry[nameKey]);
+}
+
+/**
+ * Parse a monster from the 5e SRD API (dnd5eapi.co) or Open5e JSON
+ */
+function parseSrd(data) {
+  const monster = { name: data.name };
+  const unmapped = [];
+  const used = [
+    'name', 'armor_class', 'armor_desc', 'hit_points', 'hit_points_roll', 'hit_dice', 'speed',
+    ...Abilities.ABILITIES, ...Abilities.ABILITIES.map(ability => `${ability}_save`),
+    'proficiencies', 'skills', 'damage_vulnerabilities', 'damage_resistances', 'damage_immunities',
+    'senses', 'perception', 'languages', 'challenge_rating', 'cr', 'actions', 'special_abilities',
+    'reactions', 'legendary_actions', 'legendary_desc', 'bonus_actions', 'desc'
+  ];
+
+  const ac = Array.isArray(data.armor_class) ? data.armor_class[0] && data.armor_class[0].value : data.armor_class;
+  if (ac !== undefined) monster.ac = parseInt(ac);
+
+  Abilities.ABILITIES.forEach(ability => {
+    if (data[ability] !== undefined) monster[STAT_COLUMNS[ability]] = parseInt(data[ability]);
+  });
+
+  if (data.hit_points_roll) {
+    monster.hp_formula = hpFormula(data.hit_points_roll);
+  } else if (data.hit_dice) {
+    // Open5e gives the dice without the Constitution bonus
+    const count = parseInt(data.hit_dice) || 0;
+    const bonus = count * modifier(data.constitution);
+    monster.hp_formula = /[+-]/.test(data.hit_dice) || bonus === 0
+      ? compactDice(data.hit_dice)
+      : `${compactDice(data.hit_dice)}${bonus > 0 ? '+' : ''}${bonus}`;
+  } else if (data.hit_points !== undefined) {
+    monster.hp_formula = String(data.hit_points);
+  }
+
+  monster.speed = formatSpeed(data.speed);
+
+  monster.saves = {};
+  monster.skills = {};
+  (data.proficiencies || []).forEach(({ value, proficiency }) => {
+    const index = (proficiency && proficiency.index) || '';
+    if (index.startsWith('saving-throw-')) {
+      monster.saves[abilityName(index)] = value;
+    } else if (skillName(index)) {
+      monster.skills[skillName(index)] = value;
+    } else {
+      unmapped.push(`proficiencies: ${(proficiency && proficiency.name) || index}`);
+    }
+  });
+  Abilities.ABILITIES.forEach(ability => {
+    const save = data[`${ability}_save`];
+    if (save !== null && save !== undefined) monster.saves[ability] = parseInt(save);
+  });
+  if (data.skills && !Array.isArray(data.skills)) {
+    Object.entries(data.skills).forEach(([name, value]) => {
+      if (skillName(name)) monster.skills[skillName(name)] = parseInt(value);
+      else unmapped.push(`skills: ${name}`);
+    });
+  }
+
+  const defenses = (value) => splitDefenses(Array.isArray(value) ? value.join('; ') : value);
+  monster.vulnerabilities = defenses(data.damage_vulnerabilities);
+  monster.resistances = defenses(data.damage_resistances);
+  monster.immunities = defenses(data.damage_immunities);
+
+  if (data.senses && typeof data.senses === 'object') {
+    monster.senses = Object.entries(data.senses)
+      .map(([sense, value]) => (sense === 'passive_perception' ? `passive Perception ${value}` : `${sense} ${value}`))
+      .join(', ');
+  } else if (data.senses) {
+    monster.senses = data.senses;
+  }
+  if (data.languages) monster.languages = data.languages;
+  monster.cr = formatCr(data.challenge_rating !== undefined ? data.challenge_rating : data.cr);
+  if (data.desc) monster.lore = Array.isArray(data.desc) ? data.desc.join('\n') : data.desc;
+
+  monster.attacks = mapEntries(data.actions, 'name').map(action => {
+    const attack = parseAction(action.name, action.desc);
+    if (action.attack_bonus !== undefined && action.attack_bonus !== null) attack.bonus = parseInt(action.attack_bonus);
+    const damage = Array.isArray(action.damage) ? action.damage.find(part => part.damage_dice) : null;
+    if (damage) {
+      attack.damage = compactDice(damage.damage_dice);
+      const type = normalizeDamageType(damage.damage_type && damage.damage_type.name);
+      if (type) attack.type = type;
+    } else if (action.damage_dice) {
+      const bonus = parseInt(action.damage_bonus) || 0;
+      attack.damage = compactDice(action.damage_dice) + (bonus ? `${bonus > 0 ? '+' : ''}${bonus}` : '');
+    }
+    return attack;
+  });
+  monster.abilities = [
+    ...mapEntries(data.special_abilities, 'name').map(entry => toAbility(entry.name, entry.desc)),
+    ...mapEntries(data.bonus_actions, 'name').map(entry => toAbility(entry.name, entry.desc, 'Bonus Action')),
+    ...mapEntries(data.reactions, 'name').map(entry => toAbility(entry.name, entry.desc, 'Reaction')),
+    ...mapEntries(data.legendary_actions, 'name').map(entry => toAbility(entry.name, entry.desc, 'Legendary Action'))
+  ];
+
+  reportUnused(data, used, unmapped);
+  return { monster, unmapped };
+}
+
+/**
+ * Parse a creature from an Improved Initiative library export
+ */
+function parseImprovedInitiative(data) {
+  const monster = { name: data.Name };
+  const unmapped = [];
+  const used = [
+    'Name', 'AC', 'HP', 'Speed', 'Abilities', 'Saves', 'Skills', 'DamageVulnerabilities',
+    'DamageResistances', 'DamageImmunities', 'Senses', 'Languages', 'Challenge', 'Traits',
+    'Actions', 'BonusActions', 'Reactions', 'LegendaryActions', 'MythicActions', 'Description'
+  ];
+
+  if (data.AC) monster.ac = parseInt(data.AC.Value);
+  if (data.HP) monster.hp_formula = hpFormula(data.HP.Notes) || hpFormula(data.HP.Value);
+  monster.speed = formatSpeed(data.Speed);
+
+  Object.entries(data.Abilities || {}).forEach(([name, score]) => {
+    const ability = abilityName(name);
+    if (ability) monster[STAT_COLUMNS[ability]] = parseInt(score);
+  });
+
+  monster.saves = {};
+  (data.Saves || []).forEach(({ Name, Modifier }) => {
+    if (abilityName(Name)) monster.saves[abilityName(Name)] = parseInt(Modifier);
+    else unmapped.push(`Saves: ${Name}`);
+  });
+  monster.skills = {};
+  (data.Skills || []).forEach(({ Name, Modifier }) => {
+    if (skillName(Name)) monster.skills[skillName(Name)] = parseInt(Modifier);
+    else unmapped.push(`Skills: ${Name}`);
+  });
+
+  monster.vulnerabilities = splitDefenses((data.DamageVulnerabilities || []).join('; '));
+  monster.resistances = splitDefenses((data.DamageResistances || []).join('; '));
+  monster.immunities = splitDefenses((data.DamageImmunities || []).join('; '));
+  if (data.Senses && data.Senses.length > 0) monster.senses = data.Senses.join(', ');
+  if (data.Languages && data.Languages.length > 0) monster.languages = data.Languages.join(', ');
+  monster.cr = formatCr(data.Challenge);
+  if (data.Description) monster.lore = stripHtml(data.Description);
+
+  const named = (entry) => (entry.Usage ? `${entry.Name} (${entry.Usage})` : entry.Name);
+  monster.attacks = mapEntries(data.Actions, 'Name').map(entry => parseAction(named(entry), entry.Content));
+  monster.abilities = [
+    ...mapEntries(data.Traits, 'Name').map(entry => toAbility(named(entry), entry.Content)),
+    ...mapEntries(data.BonusActions, 'Name').map(entry => toAbility(named(entry), entry.Content, 'Bonus Action')),
+    ...mapEntries(data.Reactions, 'Name').map(entry => toAbility(named(entry), entry.Content, 'Reaction')),
+    ...mapEntries(data.LegendaryActions, 'Name').map(entry => toAbility(named(entry), entry.Content, 'Legendary Action')),
+    ...mapEntries(data.MythicActions, 'Name').map(entry => toAbility(named(entry), entry.Content, 'Mythic Action'))
+  ];
+
+  reportUnused(data, used, unmapped);
+  return { monster, unmapped };
+}
+
+/**
+ * Parse an NPC actor exported from Foundry VTT's D&D 5e system
+ * Weapon items become attacks with their bonus worked out from the actor's
+ * abilities and proficiency; feature items become attacks or abilities by
+ * their activation.
+ */
+function parseFoundry(data) {
+  const system = data.system || data.data || {};
+  const attributes = system.attributes || {};
+  const details = system.details || {};
+  const traits = system.traits || {};
+  const monster = { name: data.name };
+  const unmapped = [];
+
+  const abilities = system.abilities || {};
+  Object.entries(SHORT_ABILITIES).forEach(([key, ability]) => {
+    if (abilities[key] && abilities[key].value !== undefined) {
+      monster[STAT_COLUMNS[ability]] = parseInt(abilities[key].value);
+    }
+  });
+  const mod = (key) => modifier(monster[STAT_COLUMNS[SHORT_ABILITIES[key]]]);
+
+  monster.cr = formatCr(details.cr);
+  const cr = parseFloat(details.cr) || 0;
+  const proficiency = attributes.prof || 2 + Math.floor((Math.max(cr, 1) - 1) / 4);
+
+  const ac = attributes.ac || {};
+  monster.ac = parseInt(ac.flat !== undefined && ac.flat !== null ? ac.flat : ac.value) || 10 + mod('dex');
+
+  const hp = attributes.hp || {};
+  monster.hp_formula = hpFormula(hp.formula) || (hp.max !== undefined ? String(hp.max) : null);
+
+  const movement = attributes.movement || {};
+  const units = movement.units === 'm' ? 'm' : 'ft.';
+  monster.speed = formatSpeed(movement, units) || (attributes.speed && attributes.speed.value) || null;
+
+  const senses = attributes.senses || {};
+  const senseList = ['darkvision', 'blindsight', 'tremorsense', 'truesight']
+    .filter(sense => senses[sense])
+    .map(sense => `${sense} ${senses[sense]} ${senses.units === 'm' ? 'm' : 'ft.'}`);
+  if (senses.special) senseList.push(senses.special);
+  if (senseList.length > 0) monster.senses = senseList.join(', ');
+
+  monster.saves = {};
+  Object.entries(SHORT_ABILITIES).forEach(([key, ability]) => {
+    if (abilities[key] && abilities[key].proficient) {
+      monster.saves[ability] = mod(key) + proficiency * abilities[key].proficient;
+    }
+  });
+  monster.skills = {};
+  Object.entries(system.skills || {}).forEach(([key, skill]) => {
+    const multiplier = parseFloat(skill && skill.value) || 0;
+    if (multiplier > 0 && FOUNDRY_SKILLS[key]) {
+      const ability = skill.ability || Abilities.SKILLS[FOUNDRY_SKILLS[key]].slice(0, 3);
+      monster.skills[FOUNDRY_SKILLS[key]] = mod(ability) + Math.floor(proficiency * multiplier);
+    }
+  });
+
+  const traitList = (trait) => {
+    if (!trait) return [];
+    const values = Array.isArray(trait.value) ? trait.value : Object.keys(trait.value || {});
+    return [...values, ...String(trait.custom || '').split(';')].map(value => String(value).trim().toLowerCase()).filter(Boolean);
+  };
+  monster.resistances = traitList(traits.dr);
+  monster.immunities = traitList(traits.di);
+  monster.vulnerabilities = traitList(traits.dv);
+  if (traitList(traits.ci).length > 0) unmapped.push(`Condition immunities: ${traitList(traits.ci).join(', ')}`);
+  const languages = traitList(traits.languages);
+  if (languages.length > 0) monster.languages = languages.map(language => language.replace(/\b\w/g, c => c.toUpperCase())).join(', ');
+
+  const biography = details.biography && (details.biography.value || details.biography);
+  if (biography && typeof biography === 'string' && stripHtml(biography)) monster.lore = stripHtml(biography);
+  ['type', 'alignment'].forEach(key => {
+    const value = details[key] && (details[key].value || details[key]);
+    if (value && typeof value === 'string') unmapped.push(`${key}: ${value}`);
+  });
+
+  monster.attacks = [];
+  monster.abilities = [];
+  (data.items || []).forEach(item => {
+    const itemSystem = item.system || item.data || {};
+    const description = stripHtml(itemSystem.description && itemSystem.description.value);
+    const activation = (itemSystem.activation && itemSystem.activation.type) || '';
+
+    if (item.type === 'weapon') {
+      const ranged = /^r/.test(itemSystem.actionType || '');
+      const properties = itemSystem.properties || [];
+      const finesse = Array.isArray(properties) ? properties.includes('fin') : Boolean(properties.fin);
+      const ability = itemSystem.ability || (ranged || (finesse && mod('dex') > mod('str')) ? 'dex' : 'str');
+      const attack = parseAction(item.name, description);
+      attack.bonus = mod(ability) + proficiency + (parseInt(itemSystem.attackBonus) || 0);
+      const part = itemSystem.damage && Array.isArray(itemSystem.damage.parts) && itemSystem.damage.parts[0];
+      if (part) {
+        attack.damage = compactDice(String(part[0]).replace(/@mod/g, mod(ability))).replace(/\+-/g, '-');
+        attack.type = normalizeDamageType(part[1]) || attack.type;
+      }
+      if (ranged) attack.ranged = true;
+      monster.attacks.push(attack);
+    } else if (item.type === 'feat') {
+      const suffix = { bonus: 'Bonus Action', reaction: 'Reaction', legendary: 'Legendary Action', mythic: 'Mythic Action', lair: 'Lair Action' }[activation];
+      if (activation === 'action') {
+        monster.attacks.push(parseAction(item.name, description));
+      } else {
+        monster.abilities.push(toAbility(item.name, description, suffix));
+      }
+    } else if (item.type === 'spell') {
+      unmapped.push(`Spell: ${item.name}`);
+    } else if (item.name) {
+      unmapped.push(`Item: ${item.name}`);
+    }
+  });
+
+  return { monster, unmapped };
+}
+
+/**
+ * Work out which JSON format a monster is in
+ * @returns {string} 'srd', 'improved_initiative', 'foundry' or null
+ */
+function detectFormat(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  if (data.Name !== undefined && (data.HP !== undefined || data.AC !== undefined || data.Abilities !== undefined)) {
+    return 'improved_initiative';
+  }
+  const system = data.system || data.data;
+  if (system && typeof system === 'object' && (system.abilities || system.attributes)) {
+    return 'foundry';
+  }
+  if (data.name !== undefined && (data.armor_class !== undefined || data.hit_points !== undefined || data.challenge_rating !== undefined)) {
+    return 'srd';
+  }
+  return null;
+}
+
+/**
+ * Drop numbers that could not be read (NaN) so validation reports missing fields
+ */
+function withoutNaN(result) {
+  const { monster } = result;
+  Object.keys(monster).forEach(key => {
+    if (Number.isNaN(monster[key])) delete monster[key];
+  });
+  ['saves', 'skills'].forEach(field => {
+    Object.keys(monster[field] || {}).forEach(key => {
+      if (!Number.isFinite(monster[field][key])) delete monster[field][key];
+    });
+  });
+  (monster.attacks || []).forEach(attack => {
+    if (!Number.isFinite(attack.bonus)) attack.bonus = 0;
+  });
+  return result;
+}
+
+const PARSERS = {
+  text: parseStatBlock,
+  srd: parseSrd,
+  improved_initiative: parseImprovedInitiative,
+  foundry: parseFoundry
+};
+
+/**
+ * The monsters in an import: a JSON array, an Improved Initiative library
+ * ({ "Creatures.<id>": ... }), newline separated JSON (Foundry compendium
+ * files) or a single monster
+ * Library entries stay the JSON text they are stored as, so each is parsed
+ * on its own and a broken one fails alone.
+ */
+function jsonEntries(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const keys = Object.keys(data);
+    if (keys.length > 0 && keys.every(key => key.startsWith('Creatures.'))) {
+      return keys.map(key => data[key]);
+    }
+    if (Array.isArray(data.results)) return data.results;
+    if (Array.isArray(data.monsters)) return data.monsters;
+  }
+  return [data];
+}
+
+/**
+ * Split the content of an import into monsters and parse each one
+ * Text may hold several stat blocks separated by lines of "---".
+ * @param {string|Object|Array} content - Pasted text, file contents or parsed JSON
+ * @param {string} format - One of FORMATS, or undefined to detect it
+ * @returns {Array} { format, monster, unmapped } or { error } for each monster found
+ */
+function parseMonsters(content, format) {
+  let data = content;
+
+  if (typeof content === 'string') {
+    const trimmed = content.trim();
+    const looksJson = /^[[{]/.test(trimmed);
+    if (format === 'text' || (!format && !looksJson)) {
+      return trimmed
+        .split(/^\s*(?:-{3,}|={3,})\s*$/m)
+        .filter(block => block.trim())
+        .map(block => withoutNaN({ format: 'text', ...parseStatBlock(block) }));
+    }
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+      try {
+        data = lines.map(line => JSON.parse(line));
+      } catch (lineError) {
+        return [{ error: `Invalid JSON: ${error.message}` }];
+      }
+    }
+  }
+
+  return jsonEntries(data).map(item => {
+    let entry = item;
+    if (typeof item === 'string') {
+      try {
+        entry = JSON.parse(item);
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    }
+
+    const entryFormat = format || detectFormat(entry);
+    if (!entryFormat || entryFormat === 'text') {
+      return { name: entry && (entry.name || entry.Name), error: 'Unrecognized monster format' };
+    }
+    try {
+      return withoutNaN({ format: entryFormat, ...PARSERS[entryFormat](entry) });
+    } catch (error) {
+      return { name: entry && (entry.name || entry.Name), error: `Could not read ${entryFormat} monster: ${error.message}` };
+    }
+  });
+}
+
+module.exports = {
+  FORMATS,
+  formatCr,
+  hpFormula,
+  splitDefenses,
+  parseAction,
+  parseStatBlock,
+  parseSrd,
+  parseImprovedInitiative,
+  parseFoundry,
+  detectFormat,
+  parseMonsters
+};
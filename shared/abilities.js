@@ -0,0 +1,213 @@
+/**
+ * Ability Scores and Skills
+ * Works out ability modifiers, the proficiency bonus for a level, saving
+ * throws, skill bonuses and passive scores from a character's ability scores,
+ * proficiencies and expertise. Shared by the server (require) and the client
+ * (loaded as a module, exposed as window.Abilities).
+ *
+ * Characters are combatant rows: stat_str..stat_cha hold the scores, and
+ * save_proficiencies, skill_proficiencies and skill_expertise list ability
+ * and skill names ("dexterity", "sleight_of_hand").
+ */
+(function (root, factory) {
+  const Abilities = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Abilities;
+  } else {
+    root.Abilities = Abilities;
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+  // Combatant column holding each ability score
+  const ABILITY_COLUMNS = {
+    strength: 'stat_str',
+    dexterity: 'stat_dex',
+    constitution: 'stat_con',
+    intelligence: 'stat_int',
+    wisdom: 'stat_wis',
+    charisma: 'stat_cha'
+  };
+
+  // Ability each skill uses
+  const SKILLS = {
+    acrobatics: 'dexterity',
+    animal_handling: 'wisdom',
+    arcana: 'intelligence',
+    athletics: 'strength',
+    deception: 'charisma',
+    history: 'intelligence',
+    insight: 'wisdom',
+    intimidation: 'charisma',
+    investigation: 'intelligence',
+    medicine: 'wisdom',
+    nature: 'intelligence',
+    perception: 'wisdom',
+    performance: 'charisma',
+    persuasion: 'charisma',
+    religion: 'intelligence',
+    sleight_of_hand: 'dexterity',
+    stealth: 'dexterity',
+    survival: 'wisdom'
+  };
+
+  // Skills with a passive score (10 + the skill bonus)
+  const PASSIVE_SKILLS = ['perception', 'investigation', 'insight'];
+
+  const MAX_LEVEL = 20;
+
+  /**
+   * Modifier of an ability score, e.g. 15 -> +2 and 8 -> -1
+   */
+  function modifier(score) {
+    return Math.floor((score - 10) / 2);
+  }
+
+  /**
+   * Proficiency bonus for a character level: +2 at level 1, rising by 1 every 4 levels
+   */
+  function proficiencyBonus(level) {
+    const clamped = Math.min(MAX_LEVEL, Math.max(1, parseInt(level) || 1));
+    return 2 + Math.floor((clamped - 1) / 4);
+  }
+
+  /**
+   * Whether a character has all six ability scores
+   */
+  function hasScores(character) {
+    return ABILITIES.every(ability => {
+      const score = character[ABILITY_COLUMNS[ability]];
+      return score !== undefined && score !== null;
+    });
+  }
+
+  /**
+   * Names in a proficiency list, which may be missing or stored as a Postgres array string
+   */
+  function list(value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+      return value.replace(/^\{|\}$/g, '').split(',').map(name => name.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * Saving throw bonus for each ability: the modifier, plus the proficiency bonus when proficient
+   * @returns {Object} e.g. { strength: 5, dexterity: 1, ... }
+   */
+  function saves(character) {
+    const bonus = proficiencyBonus(character.level);
+    const proficient = list(character.save_proficiencies);
+    const result = {};
+    ABILITIES.forEach(ability => {
+      result[ability] = modifier(character[ABILITY_COLUMNS[ability]]) + (proficient.includes(ability) ? bonus : 0);
+    });
+    return result;
+  }
+
+  /**
+   * Bonus for each skill: the ability modifier, plus the proficiency bonus when
+   * proficient or twice the bonus with expertise
+   * @returns {Object} e.g. { stealth: { ability: 'dexterity', bonus: 7, proficient: true, expertise: true }, ... }
+   */
+  function skills(character) {
+    const bonus = proficiencyBonus(character.level);
+    const proficient = list(character.skill_proficiencies);
+    const expertise = list(character.skill_expertise);
+    const result = {};
+    Object.keys(SKILLS).forEach(skill => {
+      const ability = SKILLS[skill];
+      const hasExpertise = expertise.includes(skill);
+      const isProficient = hasExpertise || proficient.includes(skill);
+      result[skill] = {
+        ability,
+        bonus: modifier(character[ABILITY_COLUMNS[ability]]) + (hasExpertise ? bonus * 2 : isProficient ? bonus : 0),
+        proficient: isProficient,
+        expertise: hasExpertise
+      };
+    });
+    return result;
+  }
+
+  /**
+   * The character sheet worked out from the scores, or null without all six scores
+   * @returns {Object} { proficiency_bonus, abilities: { strength: { score, modifier, save,
+   *   save_proficient } }, skills, passive: { perception, investigation, insight } }
+   */
+  function sheet(character) {
+    if (!hasScores(character)) {
+      return null;
+    }
+
+    const saveBonuses = saves(character);
+    const skillBonuses = skills(character);
+    const saveProficiencies = list(character.save_proficiencies);
+
+    const abilities = {};
+    ABILITIES.forEach(ability => {
+      const score = character[ABILITY_COLUMNS[ability]];
+      abilities[ability] = {
+        score,
+        modifier: modifier(score),
+        save: saveBonuses[ability],
+        save_proficient: saveProficiencies.includes(ability)
+      };
+    });
+
+    const passive = {};
+    PASSIVE_SKILLS.forEach(skill => {
+      passive[skill] = 10 + skillBonuses[skill].bonus;
+    });
+
+    return {
+      proficiency_bonus: proficiencyBonus(character.level),
+      abilities,
+      skills: skillBonuses,
+      passive
+    };
+  }
+
+  /**
+   * Saving throw columns (save_strength..save_charisma) worked out from the
+   * scores, or null without all six scores
+   */
+  function saveColumns(character) {
+    if (!hasScores(character)) {
+      return null;
+    }
+
+    const bonuses = saves(character);
+    const columns = {};
+    ABILITIES.forEach(ability => {
+      columns[`save_${ability}`] = bonuses[ability];
+    });
+    return columns;
+  }
+
+  /**
+   * Display name of a skill, e.g. sleight_of_hand -> Sleight of Hand
+   */
+  function skillLabel(skill) {
+    return skill.split('_')
+      .map(word => (word === 'of' ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+      .join(' ');
+  }
+
+  return {
+    ABILITIES,
+    ABILITY_COLUMNS,
+    SKILLS,
+    PASSIVE_SKILLS,
+    modifier,
+    proficiencyBonus,
+    hasScores,
+    saves,
+    skills,
+    sheet,
+    saveColumns,
+    skillLabel
+  };
+}));
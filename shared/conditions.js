@@ -0,0 +1,319 @@
+/**
+ * Condition Rules Engine
+ * Describes the mechanical effects of the D&D 5e conditions and exhaustion
+ * levels as data, and works out which modifiers apply to attack rolls and
+ * saving throws. Shared by the server (require) and the client (loaded as a
+ * module, exposed as window.Conditions).
+ *
+ * Conditions may be given as names ("prone", "Exhaustion 3") or as condition
+ * rows ({ condition: 'prone' }). Implied conditions are added automatically,
+ * e.g. paralyzed implies incapacitated and unconscious implies prone.
+ */
+(function (root, factory) {
+  const Conditions = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Conditions;
+  } else {
+    root.Conditions = Conditions;
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const PHYSICAL_SAVES = ['strength', 'dexterity'];
+  const MAX_EXHAUSTION = 6;
+
+  /**
+   * Effect keys:
+   *   attack_advantage / attack_disadvantage       the creature's own attack rolls
+   *   attacked_advantage / attacked_disadvantage   attack rolls against the creature
+   *   attacked_prone       advantage within 5 feet, disadvantage from farther away
+   *   melee_crits          hits from within 5 feet are critical hits
+   *   auto_fail_saves      saving throws that fail automatically
+   *   save_disadvantage    saving throws made with disadvantage ('all' for every save)
+   *   check_disadvantage   disadvantage on ability checks
+   *   speed                0, or 'half'
+   *   incapacitated        can't take actions or reactions
+   */
+  const CONDITIONS = {
+    blinded: {
+      description: "Can't see and automatically fails checks that rely on sight",
+      effects: { attack_disadvantage: true, attacked_advantage: true }
+    },
+    charmed: {
+      description: "Can't attack the charmer, who has advantage on social checks against it",
+      effects: {}
+    },
+    deafened: {
+      description: "Can't hear and automatically fails checks that rely on hearing",
+      effects: {}
+    },
+    frightened: {
+      description: "Can't willingly move closer to the source of its fear while it can see it",
+      effects: { attack_disadvantage: true, check_disadvantage: true }
+    },
+    grappled: {
+      description: 'Speed becomes 0',
+      effects: { speed: 0 }
+    },
+    incapacitated: {
+      description: "Can't take actions or reactions",
+      effects: { incapacitated: true }
+    },
+    invisible: {
+      description: "Can't be seen without magic or a special sense",
+      effects: { attack_advantage: true, attacked_disadvantage: true }
+    },
+    paralyzed: {
+      description: "Can't move or speak",
+      implies: ['incapacitated'],
+      effects: { speed: 0, auto_fail_saves: PHYSICAL_SAVES, attacked_advantage: true, melee_crits: true }
+    },
+    petrified: {
+      description: 'Transformed into stone; resistant to all damage and immune to poison and disease',
+      implies: ['incapacitated'],
+      effects: { speed: 0, auto_fail_saves: PHYSICAL_SAVES, attacked_advantage: true }
+    },
+    poisoned: {
+      description: 'Disadvantage on attack rolls and ability checks',
+      effects: { attack_disadvantage: true, check_disadvantage: true }
+    },
+    prone: {
+      description: 'Can only crawl unless it stands up',
+      effects: { attack_disadvantage: true, attacked_prone: true }
+    },
+    restrained: {
+      description: 'Speed becomes 0',
+      effects: { speed: 0, attack_disadvantage: true, attacked_advantage: true, save_disadvantage: ['dexterity'] }
+    },
+    stunned: {
+      description: "Can't move and can speak only falteringly",
+      implies: ['incapacitated'],
+      effects: { speed: 0, auto_fail_saves: PHYSICAL_SAVES, attacked_advantage: true }
+    },
+    unconscious: {
+      description: "Unaware of its surroundings; drops whatever it's holding",
+      implies: ['incapacitated', 'prone'],
+      effects: { speed: 0, auto_fail_saves: PHYSICAL_SAVES, attacked_advantage: true, melee_crits: true }
+    }
+  };
+
+  const CONDITION_NAMES = Object.keys(CONDITIONS);
+
+  // Each exhaustion level includes the effects of the levels below it
+  const EXHAUSTION_LEVELS = [
+    { level: 1, description: 'Disadvantage on ability checks', effects: { check_disadvantage: true } },
+    { level: 2, description: 'Speed halved', effects: { speed: 'half' } },
+    { level: 3, description: 'Disadvantage on attack rolls and saving throws', effects: { attack_disadvantage: true, save_disadvantage: 'all' } },
+    { level: 4, description: 'Hit point maximum halved', effects: { max_hp_halved: true } },
+    { level: 5, description: 'Speed reduced to 0', effects: { speed: 0 } },
+    { level: 6, description: 'Death', effects: { dead: true } }
+  ];
+
+  const EXHAUSTION_PATTERN = /^exhaustion(?:\s*\(?\s*(?:level\s*)?(\d+)\s*\)?)?$/;
+
+  /**
+   * Parse a condition name
+   * @returns {Object} { name, level } - level is the exhaustion level, or 0 for other conditions
+   */
+  function parse(condition) {
+    const raw = typeof condition === 'object' && condition !== null ? condition.condition : condition;
+    const name = String(raw || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    const exhaustion = EXHAUSTION_PATTERN.exec(name);
+    if (exhaustion) {
+      const level = Math.min(MAX_EXHAUSTION, Math.max(1, parseInt(exhaustion[1]) || 1));
+      return { name: 'exhaustion', level };
+    }
+    return { name, level: 0 };
+  }
+
+  /**
+   * Stored name for an exhaustion level, e.g. "exhaustion 3"
+   */
+  function exhaustionName(level) {
+    return `exhaustion ${level}`;
+  }
+
+  /**
+   * Expand a list of conditions with the conditions they imply
+   * Exhaustion levels do not stack: the highest level applies.
+   * @returns {Object} { conditions: names including implied ones, implied: names only implied, exhaustion: level }
+   */
+  function expand(conditions) {
+    const names = [];
+    const implied = [];
+    let exhaustion = 0;
+
+    const add = (name, isImplied) => {
+      if (names.includes(name)) return;
+      names.push(name);
+      if (isImplied) implied.push(name);
+      ((CONDITIONS[name] && CONDITIONS[name].implies) || []).forEach(next => add(next, true));
+    };
+
+    (conditions || []).forEach(condition => {
+      const { name, level } = parse(condition);
+      if (name === 'exhaustion') {
+        exhaustion = Math.max(exhaustion, level);
+      } else if (name) {
+        add(name, false);
+      }
+    });
+
+    // Conditions given directly are not reported as implied
+    const direct = (conditions || []).map(condition => parse(condition).name);
+    return {
+      conditions: names,
+      implied: implied.filter(name => !direct.includes(name)),
+      exhaustion
+    };
+  }
+
+  /**
+   * Combine the effects of every active condition
+   * Each effect lists the conditions it comes from, e.g. attack_disadvantage: ['poisoned', 'exhaustion 3']
+   * @returns {Object} { conditions, implied, exhaustion, effects }
+   */
+  function getEffects(conditions) {
+    const expanded = expand(conditions);
+    const effects = {};
+
+    const merge = (source, sourceEffects) => {
+      Object.keys(sourceEffects).forEach(key => {
+        const value = sourceEffects[key];
+        if (key === 'speed') {
+          // Speed 0 overrides halved speed
+          if (effects.speed === undefined || (value === 0 && effects.speed !== 0)) {
+            effects.speed = value;
+            effects.speed_sources = [source];
+          } else if (effects.speed === value) {
+            effects.speed_sources.push(source);
+          }
+        } else if (Array.isArray(value) || value === 'all') {
+          const current = effects[key] || {};
+          (value === 'all' ? ['all'] : value).forEach(ability => {
+            current[ability] = (current[ability] || []).concat(source);
+          });
+          effects[key] = current;
+        } else if (value) {
+          effects[key] = (effects[key] || []).concat(source);
+        }
+      });
+    };
+
+    expanded.conditions.forEach(name => {
+      if (CONDITIONS[name]) {
+        merge(name, CONDITIONS[name].effects);
+      }
+    });
+    EXHAUSTION_LEVELS
+      .filter(entry => entry.level <= expanded.exhaustion)
+      .forEach(entry => merge(exhaustionName(expanded.exhaustion), entry.effects));
+
+    return { ...expanded, effects };
+  }
+
+  /**
+   * Work out advantage, disadvantage and automatic critical hits for an attack
+   * @param {Array} attackerConditions - Conditions on the attacker
+   * @param {Array} targetConditions - Conditions on the target
+   * @param {Object} options - { within_5_feet } (defaults to true, i.e. a melee attack)
+   * @returns {Object} { advantage, disadvantage, auto_critical, incapacitated, reasons }
+   */
+  function attackModifiers(attackerConditions, targetConditions, options = {}) {
+    const attacker = getEffects(attackerConditions).effects;
+    const target = getEffects(targetConditions).effects;
+    const close = options.within_5_feet !== false;
+
+    const advantage = [];
+    const disadvantage = [];
+    const note = (list, sources, who) => sources && sources.forEach(source => list.push(`${who} ${source}`));
+
+    note(advantage, attacker.attack_advantage, 'attacker');
+    note(disadvantage, attacker.attack_disadvantage, 'attacker');
+    note(advantage, target.attacked_advantage, 'target');
+    note(disadvantage, target.attacked_disadvantage, 'target');
+    note(close ? advantage : disadvantage, target.attacked_prone, 'target');
+
+    const autoCritical = close && Boolean(target.melee_crits);
+
+    return {
+      advantage: advantage.length > 0,
+      disadvantage: disadvantage.length > 0,
+      auto_critical: autoCritical,
+      incapacitated: Boolean(attacker.incapacitated),
+      reasons: [
+        ...advantage.map(reason => `advantage (${reason})`),
+        ...disadvantage.map(reason => `disadvantage (${reason})`),
+        ...(autoCritical ? [`hits are critical (target ${target.melee_crits.join(', ')})`] : [])
+      ]
+    };
+  }
+
+  /**
+   * Work out automatic failure, advantage and disadvantage for a saving throw
+   * @param {Array} conditions - Conditions on the creature making the save
+   * @param {string} ability - e.g. 'dexterity'
+   * @returns {Object} { auto_fail, disadvantage, reasons }
+   */
+  function saveModifiers(conditions, ability) {
+    const { effects } = getEffects(conditions);
+    const key = String(ability || '').toLowerCase();
+    const pick = (byAbility) => byAbility ? [...(byAbility[key] || []), ...(byAbility.all || [])] : [];
+
+    const autoFail = pick(effects.auto_fail_saves);
+    const disadvantage = pick(effects.save_disadvantage);
+
+    return {
+      auto_fail: autoFail.length > 0,
+      disadvantage: disadvantage.length > 0,
+      reasons: [
+        ...autoFail.map(source => `automatic failure (${source})`),
+        ...disadvantage.map(source => `disadvantage (${source})`)
+      ]
+    };
+  }
+
+  /**
+   * Short descriptions of the active effects, for tooltips
+   * @returns {Array} e.g. ['Attacks with disadvantage (poisoned)', 'Speed 0 (grappled)']
+   */
+  function summarize(conditions) {
+    const { implied, effects } = getEffects(conditions);
+    const from = (sources) => ` (${sources.join(', ')})`;
+    const byAbility = (map) => Object.keys(map)
+      .map(ability => ability === 'all' ? 'all' : ability.slice(0, 3).toUpperCase())
+      .join('/');
+    const sourcesOf = (map) => [...new Set(Object.values(map).flat())];
+    const lines = [];
+
+    if (implied.length > 0) lines.push(`Also ${implied.join(', ')}`);
+    if (effects.dead) lines.push(`Dead${from(effects.dead)}`);
+    if (effects.incapacitated) lines.push(`Can't take actions or reactions${from(effects.incapacitated)}`);
+    if (effects.speed !== undefined) lines.push(`${effects.speed === 0 ? 'Speed 0' : 'Speed halved'}${from(effects.speed_sources)}`);
+    if (effects.attack_advantage) lines.push(`Attacks with advantage${from(effects.attack_advantage)}`);
+    if (effects.attack_disadvantage) lines.push(`Attacks with disadvantage${from(effects.attack_disadvantage)}`);
+    if (effects.attacked_advantage) lines.push(`Attacks against it have advantage${from(effects.attacked_advantage)}`);
+    if (effects.attacked_disadvantage) lines.push(`Attacks against it have disadvantage${from(effects.attacked_disadvantage)}`);
+    if (effects.attacked_prone) lines.push(`Attacks against it have advantage within 5 ft, disadvantage otherwise${from(effects.attacked_prone)}`);
+    if (effects.melee_crits) lines.push(`Hits from within 5 ft are critical${from(effects.melee_crits)}`);
+    if (effects.auto_fail_saves) lines.push(`Fails ${byAbility(effects.auto_fail_saves)} saves${from(sourcesOf(effects.auto_fail_saves))}`);
+    if (effects.save_disadvantage) lines.push(`Disadvantage on ${byAbility(effects.save_disadvantage)} saves${from(sourcesOf(effects.save_disadvantage))}`);
+    if (effects.check_disadvantage) lines.push(`Disadvantage on ability checks${from(effects.check_disadvantage)}`);
+    if (effects.max_hp_halved) lines.push(`Hit point maximum halved${from(effects.max_hp_halved)}`);
+
+    return lines;
+  }
+
+  return {
+    CONDITIONS,
+    CONDITION_NAMES,
+    EXHAUSTION_LEVELS,
+    MAX_EXHAUSTION,
+    parse,
+    exhaustionName,
+    expand,
+    getEffects,
+    attackModifiers,
+    saveModifiers,
+    summarize
+  };
+}));
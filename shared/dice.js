@@ -0,0 +1,406 @@
+/**
+ * Dice Expression Engine
+ * Parses and rolls dice expressions such as "2d6+1d4-1", "4d6dl1",
+ * "2d20kh1+5" and "3d6!". Shared by the server (require) and the
+ * client (loaded as a module, exposed as window.Dice).
+ *
+ * Supported syntax (case-insensitive, whitespace ignored):
+ *   NdS      roll N dice with S sides (N defaults to 1, d% is d100)
+ *   NdSkhX   keep the highest X dice (k is shorthand for kh)
+ *   NdSklX   keep the lowest X dice
+ *   NdSdhX   drop the highest X dice
+ *   NdSdlX   drop the lowest X dice
+ *   NdS!     exploding dice: roll again on the maximum face
+ *   N        flat modifier
+ * Terms are joined with + or -.
+ */
+(function (root, factory) {
+  const Dice = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Dice;
+  } else {
+    root.Dice = Dice;
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const MAX_DICE = 100;
+  const MAX_SIDES = 1000;
+  const MAX_TERMS = 20;
+  const MAX_EXPLOSIONS = 100;
+
+  const DICE_PATTERN = /(\d*)d(\d+|%)(?:(kh|kl|dh|dl|k)(\d*))?(!)?/y;
+  const NUMBER_PATTERN = /(\d+)/y;
+
+  /**
+   * Error thrown for expressions that cannot be parsed
+   */
+  class DiceError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'DiceError';
+    }
+  }
+
+  /**
+   * Seeded pseudo-random number generator (mulberry32)
+   * Returns a function producing floats in [0, 1)
+   */
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Parse a dice expression into terms
+   * @returns {Object} { expression, terms: [{ type, sign, count, sides, keep, explode, value }] }
+   */
+  function parse(expression) {
+    if (typeof expression !== 'string' && typeof expression !== 'number') {
+      throw new DiceError('Dice expression must be a string');
+    }
+
+    const source = String(expression).replace(/\s+/g, '').toLowerCase();
+    if (source.length === 0) {
+      throw new DiceError('Dice expression is empty');
+    }
+
+    const terms = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+      let sign = 1;
+      if (source[pos] === '+' || source[pos] === '-') {
+        sign = source[pos] === '-' ? -1 : 1;
+        pos++;
+      } else if (terms.length > 0) {
+        throw new DiceError(`Expected + or - at position ${pos + 1} in "${expression}"`);
+      }
+
+      DICE_PATTERN.lastIndex = pos;
+      const diceMatch = DICE_PATTERN.exec(source);
+      if (diceMatch) {
+        terms.push(buildDiceTerm(diceMatch, sign, expression));
+        pos = DICE_PATTERN.lastIndex;
+      } else {
+        NUMBER_PATTERN.lastIndex = pos;
+        const numberMatch = NUMBER_PATTERN.exec(source);
+        if (!numberMatch) {
+          const found = pos < source.length ? `"${source[pos]}"` : 'end of expression';
+          throw new DiceError(`Unexpected ${found} at position ${pos + 1} in "${expression}"`);
+        }
+        terms.push({ type: 'constant', sign, value: parseInt(numberMatch[1], 10) });
+        pos = NUMBER_PATTERN.lastIndex;
+      }
+
+      if (terms.length > MAX_TERMS) {
+        throw new DiceError(`Dice expression has more than ${MAX_TERMS} terms`);
+      }
+    }
+
+    return { expression: String(expression), terms };
+  }
+
+  /**
+   * Validate and build a dice term from a regex match
+   * @private
+   */
+  function buildDiceTerm(match, sign, expression) {
+    const count = match[1] === '' ? 1 : parseInt(match[1], 10);
+    const sides = match[2] === '%' ? 100 : parseInt(match[2], 10);
+    const explode = match[5] === '!';
+
+    if (count < 1 || count > MAX_DICE) {
+      throw new DiceError(`Number of dice must be between 1 and ${MAX_DICE} in "${expression}"`);
+    }
+    if (sides < 1 || sides > MAX_SIDES) {
+      throw new DiceError(`Dice sides must be between 1 and ${MAX_SIDES} in "${expression}"`);
+    }
+    if (explode && sides < 2) {
+      throw new DiceError(`Exploding dice need at least 2 sides in "${expression}"`);
+    }
+
+    let keep = null;
+    if (match[3]) {
+      const mode = match[3] === 'k' ? 'kh' : match[3];
+      const n = match[4] === '' ? 1 : parseInt(match[4], 10);
+      const isKeep = mode === 'kh' || mode === 'kl';
+
+      if (isKeep && (n < 1 || n > count)) {
+        throw new DiceError(`Can only keep between 1 and ${count} dice in "${expression}"`);
+      }
+      if (!isKeep && (n < 0 || n >= count)) {
+        throw new DiceError(`Can only drop between 0 and ${count - 1} dice in "${expression}"`);
+      }
+      if (explode) {
+        throw new DiceError(`Exploding dice cannot be combined with keep or drop in "${expression}"`);
+      }
+
+      keep = { mode, n };
+    }
+
+    return { type: 'dice', sign, count, sides, keep, explode };
+  }
+
+  /**
+   * Number of dice a term keeps
+   * @private
+   */
+  function keptCount(term) {
+    if (!term.keep) return term.count;
+    const { mode, n } = term.keep;
+    return mode === 'kh' || mode === 'kl' ? n : term.count - n;
+  }
+
+  /**
+   * Format a term back into dice notation (without its sign)
+   */
+  function formatTerm(term) {
+    if (term.type === 'constant') {
+      return String(term.value);
+    }
+    const keep = term.keep ? `${term.keep.mode}${term.keep.n}` : '';
+    return `${term.count}d${term.sides}${keep}${term.explode ? '!' : ''}`;
+  }
+
+  /**
+   * Apply advantage or disadvantage to the first single d20 in the expression
+   * @private
+   */
+  function applyMode(parsed, mode) {
+    if (mode === 'normal') return parsed;
+
+    const index = parsed.terms.findIndex(t =>
+      t.type === 'dice' && t.sides === 20 && t.count === 1 && !t.keep && !t.explode
+    );
+    if (index === -1) return parsed;
+
+    const terms = parsed.terms.slice();
+    terms[index] = {
+      ...terms[index],
+      count: 2,
+      keep: { mode: mode === 'advantage' ? 'kh' : 'kl', n: 1 }
+    };
+    return { ...parsed, terms };
+  }
+
+  /**
+   * Roll a single dice term
+   * @private
+   */
+  function rollTerm(term, random) {
+    const rollDie = () => Math.floor(random() * term.sides) + 1;
+    const rolls = [];
+
+    for (let i = 0; i < term.count; i++) {
+      let value = rollDie();
+      rolls.push({ value, kept: true });
+
+      let explosions = 0;
+      while (term.explode && value === term.sides && explosions < MAX_EXPLOSIONS) {
+        value = rollDie();
+        rolls.push({ value, kept: true, exploded: true });
+        explosions++;
+      }
+    }
+
+    if (term.keep) {
+      const keepHighest = term.keep.mode === 'kh' || term.keep.mode === 'dl';
+      const order = rolls
+        .map((roll, index) => ({ value: roll.value, index }))
+        .sort((a, b) => keepHighest ? b.value - a.value : a.value - b.value);
+      const kept = new Set(order.slice(0, keptCount(term)).map(o => o.index));
+      rolls.forEach((roll, index) => { roll.kept = kept.has(index); });
+    }
+
+    const subtotal = rolls.filter(r => r.kept).reduce((sum, r) => sum + r.value, 0);
+    return { rolls, subtotal };
+  }
+
+  /**
+   * Roll a dice expression
+   * @param {string} expression - Dice expression, e.g. "1d20+5"
+   * @param {Object} options - { seed, rng, advantage, disadvantage }
+   * @returns {Object} { expression, mode, total, natural, terms, breakdown }
+   */
+  function roll(expression, options = {}) {
+    let random = Math.random;
+    if (options.seed !== undefined && options.seed !== null) {
+      random = createRng(options.seed);
+    } else if (typeof options.rng === 'function') {
+      random = options.rng;
+    }
+
+    // Advantage and disadvantage cancel each other out
+    let mode = 'normal';
+    if (options.advantage && !options.disadvantage) mode = 'advantage';
+    if (options.disadvantage && !options.advantage) mode = 'disadvantage';
+
+    const parsed = applyMode(parse(expression), mode);
+
+    let total = 0;
+    let natural = null;
+    const terms = parsed.terms.map(term => {
+      if (term.type === 'constant') {
+        total += term.sign * term.value;
+        return { notation: formatTerm(term), sign: term.sign, rolls: [], subtotal: term.value };
+      }
+
+      const result = rollTerm(term, random);
+      total += term.sign * result.subtotal;
+
+      // The kept face of the first d20 decides natural 1s and 20s
+      if (natural === null && term.sides === 20 && keptCount(term) === 1) {
+        natural = result.rolls.find(r => r.kept).value;
+      }
+
+      return { notation: formatTerm(term), sign: term.sign, ...result };
+    });
+
+    const breakdown = terms.map((term, index) => {
+      const sign = term.sign < 0 ? '- ' : (index > 0 ? '+ ' : '');
+      if (term.rolls.length === 0) {
+        return `${sign}${term.notation}`;
+      }
+      const faces = term.rolls.map(r => (r.kept ? String(r.value) : `~${r.value}~`)).join(', ');
+      return `${sign}${term.notation} [${faces}]`;
+    }).join(' ') + ` = ${total}`;
+
+    return { expression: parsed.expression, mode, total, natural, terms, breakdown };
+  }
+
+  /**
+   * Binomial coefficient
+   * @private
+   */
+  function choose(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+      result = result * (n - k + i) / i;
+    }
+    return result;
+  }
+
+  /**
+   * Expected sum of the dice a keep/drop term keeps, using order statistics
+   * @private
+   */
+  function keptAverage(term) {
+    const { count, sides } = term;
+    const kept = keptCount(term);
+    const keepHighest = term.keep.mode === 'kh' || term.keep.mode === 'dl';
+
+    // j-th smallest die, 1-based
+    const ranks = [];
+    for (let i = 0; i < kept; i++) {
+      ranks.push(keepHighest ? count - i : i + 1);
+    }
+
+    let total = 0;
+    for (const j of ranks) {
+      // E[X(j)] = sum over x of P(X(j) >= x)
+      for (let x = 1; x <= sides; x++) {
+        const p = (sides - x + 1) / sides;
+        let atLeast = 0;
+        for (let i = count - j + 1; i <= count; i++) {
+          atLeast += choose(count, i) * Math.pow(p, i) * Math.pow(1 - p, count - i);
+        }
+        total += atLeast;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Expected value of an expression (not rounded)
+   */
+  function average(expression) {
+    return parse(expression).terms.reduce((sum, term) => {
+      if (term.type === 'constant') {
+        return sum + term.sign * term.value;
+      }
+      let value;
+      if (term.explode) {
+        value = term.count * term.sides * (term.sides + 1) / (2 * (term.sides - 1));
+      } else if (term.keep) {
+        value = keptAverage(term);
+      } else {
+        value = term.count * (term.sides + 1) / 2;
+      }
+      return sum + term.sign * value;
+    }, 0);
+  }
+
+  /**
+   * Lowest possible result of an expression
+   */
+  function min(expression) {
+    return parse(expression).terms.reduce((sum, term) => {
+      if (term.type === 'constant') return sum + term.sign * term.value;
+      const low = keptCount(term);
+      const high = term.explode ? Infinity : keptCount(term) * term.sides;
+      return sum + (term.sign > 0 ? low : -high);
+    }, 0);
+  }
+
+  /**
+   * Highest possible result of an expression
+   */
+  function max(expression) {
+    return parse(expression).terms.reduce((sum, term) => {
+      if (term.type === 'constant') return sum + term.sign * term.value;
+      const low = keptCount(term);
+      const high = term.explode ? Infinity : keptCount(term) * term.sides;
+      return sum + (term.sign > 0 ? high : -low);
+    }, 0);
+  }
+
+  /**
+   * Critical hit version of an expression: every dice term rolls twice as many dice
+   * ("2d6+3" becomes "4d6+3"); keep/drop counts are doubled along with the dice,
+   * but stay within the dice rolled when the dice reach the MAX_DICE cap
+   */
+  function critical(expression) {
+    const terms = parse(expression).terms.map(term => {
+      if (term.type === 'constant') return term;
+      const count = Math.min(term.count * 2, MAX_DICE);
+      const most = term.keep && (term.keep.mode === 'kh' || term.keep.mode === 'kl') ? count : count - 1;
+      const keep = term.keep ? { ...term.keep, n: Math.min(term.keep.n * 2, most) } : null;
+      return { ...term, count, keep };
+    });
+
+    return terms.map((term, index) => {
+      const sign = term.sign < 0 ? '-' : (index > 0 ? '+' : '');
+      return `${sign}${formatTerm(term)}`;
+    }).join('');
+  }
+
+  /**
+   * Check whether a string is a valid dice expression
+   */
+  function isValid(expression) {
+    try {
+      parse(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return {
+    DiceError,
+    createRng,
+    parse,
+    roll,
+    average,
+    min,
+    max,
+    critical,
+    isValid,
+    formatTerm
+  };
+}));
@@ -0,0 +1,253 @@
+/**
+ * Leveling Rules
+ * Experience needed for each character level, the experience a monster is
+ * worth by challenge rating, encounter difficulty, the level each class picks
+ * its subclass at and the fixed hit points gained on a level up. Shared by the
+ * server (require) and the client (loaded as a module, exposed as window.Leveling).
+ */
+(function (root, factory) {
+  const Leveling = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Leveling;
+  } else {
+    root.Leveling = Leveling;
+  }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const MAX_LEVEL = 20;
+
+  // Total experience needed to reach each level (index 0 is level 1)
+  const XP_THRESHOLDS = [
+    0, 300, 900, 2700, 6500, 14000, 23000, 34000, 48000, 64000,
+    85000, 100000, 120000, 140000, 165000, 195000, 225000, 265000, 305000, 355000
+  ];
+
+  // Experience for defeating a monster of each challenge rating
+  const CR_XP = {
+    0: 10,
+    0.125: 25,
+    0.25: 50,
+    0.5: 100,
+    1: 200,
+    2: 450,
+    3: 700,
+    4: 1100,
+    5: 1800,
+    6: 2300,
+    7: 2900,
+    8: 3900,
+    9: 5000,
+    10: 5900,
+    11: 7200,
+    12: 8400,
+    13: 10000,
+    14: 11500,
+    15: 13000,
+    16: 15000,
+    17: 18000,
+    18: 20000,
+    19: 22000,
+    20: 25000,
+    21: 33000,
+    22: 41000,
+    23: 50000,
+    24: 62000,
+    25: 75000,
+    26: 90000,
+    27: 105000,
+    28: 120000,
+    29: 135000,
+    30: 155000
+  };
+
+  // Encounter difficulties from easiest to hardest ('trivial' is below easy)
+  const DIFFICULTIES = ['easy', 'medium', 'hard', 'deadly'];
+
+  // Experience thresholds of one character for each difficulty (index 0 is level 1)
+  const DIFFICULTY_THRESHOLDS = [
+    [25, 50, 75, 100],
+    [50, 100, 150, 200],
+    [75, 150, 225, 400],
+    [125, 250, 375, 500],
+    [250, 500, 750, 1100],
+    [300, 600, 900, 1400],
+    [350, 750, 1100, 1700],
+    [450, 900, 1400, 2100],
+    [550, 1100, 1600, 2400],
+    [600, 1200, 1900, 2800],
+    [800, 1600, 2400, 3600],
+    [1000, 2000, 3000, 4500],
+    [1100, 2200, 3400, 5100],
+    [1250, 2500, 3800, 5700],
+    [1400, 2800, 4300, 6400],
+    [1600, 3200, 4800, 7200],
+    [2000, 3900, 5900, 8800],
+    [2100, 4200, 6300, 9500],
+    [2400, 4900, 7300, 10900],
+    [2800, 5700, 8500, 12700]
+  ];
+
+  // Encounter multipliers: 1 monster is x1, 2 are x1.5, 3-6 x2, 7-10 x2.5,
+  // 11-14 x3 and 15 or more x4. Parties of fewer than 3 characters move one
+  // step up the list and parties of 6 or more one step down.
+  const ENCOUNTER_MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+  const MULTIPLIER_MONSTER_COUNTS = [1, 2, 3, 7, 11, 15];
+  const SMALL_PARTY = 3;
+  const LARGE_PARTY = 6;
+
+  // Level each class picks its subclass at (classes not listed pick at 3rd level)
+  const SUBCLASS_LEVELS = {
+    cleric: 1,
+    sorcerer: 1,
+    warlock: 1,
+    druid: 2,
+    wizard: 2
+  };
+  const DEFAULT_SUBCLASS_LEVEL = 3;
+
+  /**
+   * Experience needed to reach a level (null past level 20)
+   */
+  function xpForLevel(level) {
+    const index = parseInt(level) - 1;
+    return index >= 0 && index < MAX_LEVEL ? XP_THRESHOLDS[index] : null;
+  }
+
+  /**
+   * Highest level a total of experience reaches
+   */
+  function levelForXp(xp) {
+    let level = 1;
+    while (level < MAX_LEVEL && xp >= XP_THRESHOLDS[level]) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Numeric value of a challenge rating such as "1/4", "0.5" or "CR 3" (null if unreadable)
+   */
+  function parseCr(cr) {
+    if (typeof cr === 'number') {
+      return cr;
+    }
+    const text = String(cr === null || cr === undefined ? '' : cr).trim().replace(/^cr\s*/i, '');
+    const fraction = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (fraction) {
+      return parseInt(fraction[1]) / parseInt(fraction[2]);
+    }
+    return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+  }
+
+  /**
+   * Experience a monster of a challenge rating is worth (null for an unknown rating)
+   */
+  function crXp(cr) {
+    const value = parseCr(cr);
+    return value !== null && CR_XP[value] !== undefined ? CR_XP[value] : null;
+  }
+
+  /**
+   * Easy, medium, hard and deadly experience thresholds of a party, the sum
+   * of each character's thresholds (levels outside 1-20 are clamped)
+   */
+  function partyThresholds(levels) {
+    const thresholds = { easy: 0, medium: 0, hard: 0, deadly: 0 };
+    levels.forEach(level => {
+      const index = Math.min(MAX_LEVEL, Math.max(1, parseInt(level) || 1)) - 1;
+      DIFFICULTIES.forEach((difficulty, i) => {
+        thresholds[difficulty] += DIFFICULTY_THRESHOLDS[index][i];
+      });
+    });
+    return thresholds;
+  }
+
+  /**
+   * Multiplier applied to the experience of a group of monsters for a party size
+   */
+  function encounterMultiplier(monsterCount, partySize) {
+    if (monsterCount < 1) {
+      return 0;
+    }
+    // Index into ENCOUNTER_MULTIPLIERS; a single monster is x1
+    let step = MULTIPLIER_MONSTER_COUNTS.filter(count => monsterCount >= count).length;
+    if (partySize < SMALL_PARTY) {
+      step++;
+    } else if (partySize >= LARGE_PARTY) {
+      step--;
+    }
+    return ENCOUNTER_MULTIPLIERS[step];
+  }
+
+  /**
+   * Difficulty of an encounter for a party
+   * @param {Array} levels - Level of each character
+   * @param {Array} crs - Challenge rating of each monster; monsters with an
+   *   unknown rating count towards the multiplier but are worth no experience
+   * @returns {Object} { party_size, monster_count, base_xp, multiplier, adjusted_xp,
+   *   thresholds, difficulty, unrated } with difficulty 'trivial', 'easy', 'medium',
+   *   'hard' or 'deadly' (null without characters)
+   */
+  function rateEncounter(levels, crs) {
+    const thresholds = partyThresholds(levels);
+    const values = crs.map(crXp);
+    const baseXp = values.reduce((sum, xp) => sum + (xp || 0), 0);
+    const multiplier = encounterMultiplier(crs.length, levels.length);
+    const adjustedXp = Math.round(baseXp * multiplier);
+
+    let difficulty = null;
+    if (levels.length > 0) {
+      difficulty = 'trivial';
+      DIFFICULTIES.forEach(name => {
+        if (adjustedXp >= thresholds[name]) {
+          difficulty = name;
+        }
+      });
+    }
+
+    return {
+      party_size: levels.length,
+      monster_count: crs.length,
+      base_xp: baseXp,
+      multiplier,
+      adjusted_xp: adjustedXp,
+      thresholds,
+      difficulty,
+      unrated: values.filter(xp => xp === null).length
+    };
+  }
+
+  /**
+   * Level a class picks its subclass at
+   */
+  function subclassLevel(characterClass) {
+    const name = String(characterClass || '').trim().toLowerCase();
+    return SUBCLASS_LEVELS[name] || DEFAULT_SUBCLASS_LEVEL;
+  }
+
+  /**
+   * Hit points gained on a level up when taking the fixed value instead of
+   * rolling: half the hit die plus one, plus the Constitution modifier (at least 1)
+   */
+  function fixedHitPoints(hitDie, conModifier = 0) {
+    return Math.max(1, hitDie / 2 + 1 + conModifier);
+  }
+
+  return {
+    MAX_LEVEL,
+    XP_THRESHOLDS,
+    CR_XP,
+    DIFFICULTIES,
+    DIFFICULTY_THRESHOLDS,
+    ENCOUNTER_MULTIPLIERS,
+    SUBCLASS_LEVELS,
+    xpForLevel,
+    levelForXp,
+    parseCr,
+    crXp,
+    partyThresholds,
+    encounterMultiplier,
+    rateEncounter,
+    subclassLevel,
+    fixedHitPoints
+  };
+}));